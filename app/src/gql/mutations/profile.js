@@ -111,3 +111,30 @@ export const M_REQUEST_ACCOUNT_DELETION = gql`
     }
   }
 `;
+
+// 알림 수신 설정 변경 (전달한 항목만 변경, 보안 알림은 변경 불가)
+export const M_UPDATE_NOTIFICATION_PREFERENCES = gql`
+  mutation MUpdateNotificationPreferences($input: UpdateNotificationPreferencesInput!) {
+    mUpdateNotificationPreferences(input: $input) {
+      success
+      message
+      preferences {
+        categories {
+          category
+          push
+          socket
+          email
+          sms
+          locked
+        }
+        quietHours {
+          enabled
+          start
+          end
+        }
+        timezone
+        language
+      }
+    }
+  }
+`;
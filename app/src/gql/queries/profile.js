@@ -40,3 +40,26 @@ export const M_GET_LANGUAGE_PREFERENCE = gql`
     }
   }
 `;
+
+// 알림 수신 설정 조회 (분류 × 채널, 방해 금지 시간)
+export const M_GET_NOTIFICATION_PREFERENCES = gql`
+  query MNotificationPreferences {
+    mNotificationPreferences {
+      categories {
+        category
+        push
+        socket
+        email
+        sms
+        locked
+      }
+      quietHours {
+        enabled
+        start
+        end
+      }
+      timezone
+      language
+    }
+  }
+`;
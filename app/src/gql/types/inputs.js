@@ -46,7 +46,6 @@ export const MobileSocialLoginInputDoc = `
   input MobileSocialLoginInput {
     provider: String!           # facebook, google, zalo
     accessToken: String!        # 소셜 액세스 토큰
-    email: String               # 이메일 (선택)
     fullName: String            # 이름 (선택)
     avatarUrl: String           # 프로필 이미지 (선택)
   }
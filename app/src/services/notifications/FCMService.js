@@ -6,10 +6,11 @@
 import messaging from '@react-native-firebase/messaging';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform, Alert, PermissionsAndroid } from 'react-native';
-import Config from 'react-native-config';
 import notifee from '@notifee/react-native';
 import { getApolloClient } from '@services/apollo/apolloClient';
 import { M_REGISTER_FCM_TOKEN, M_UPDATE_FCM_TOKEN, M_REMOVE_FCM_TOKEN } from '@gql/mutations/fcm';
+import { M_UPDATE_NOTIFICATION_PREFERENCES } from '@gql/mutations/profile';
+import { M_GET_NOTIFICATION_PREFERENCES } from '@gql/queries/profile';
 import { getDeviceInfo, getPlatformType, getDeviceLanguage, getDeviceTimezone } from '@shared/utils/deviceInfo';
 // import notificationService from '@services/notifications/notificationService'; // 파일이 존재하지 않음
 import i18n from '@shared/i18n';
@@ -845,33 +846,59 @@ class FCMService {
   }
 
   /**
-   * 알림 설정 업데이트
+   * 알림 수신 설정 조회 (서버 실패 시 마지막으로 저장한 로컬 설정)
+   */
+  async getNotificationSettings() {
+    try {
+      const client = await getApolloClient();
+      const { data, errors } = await client.query({
+        query: M_GET_NOTIFICATION_PREFERENCES,
+        fetchPolicy: 'network-only',
+      });
+
+      if (errors || !data?.mNotificationPreferences) {
+        throw errors?.[0] || new Error('알림 설정 조회 실패');
+      }
+
+      const preferences = data.mNotificationPreferences;
+      await AsyncStorage.setItem('notificationSettings', JSON.stringify(preferences));
+      return { success: true, preferences };
+    } catch (error) {
+      console.error('알림 설정 조회 실패:', error);
+      const cached = await AsyncStorage.getItem('notificationSettings');
+      return { success: false, error, preferences: cached ? JSON.parse(cached) : null };
+    }
+  }
+
+  /**
+   * 알림 수신 설정 업데이트 (분류 × 채널, 방해 금지 시간)
+   * @param {Object} settings - UpdateNotificationPreferencesInput ({ categories, quietHours, timezone })
    */
   async updateNotificationSettings(settings) {
     try {
-      await AsyncStorage.setItem('notificationSettings', JSON.stringify(settings));
-
-      // 서버에 설정 동기화
-      const response = await fetch(Config.REACT_APP_GRAPHQL_ENDPOINT || (__DEV__ ? 'http://10.0.2.2:4000/graphql' : 'https://api.yourapp.com/graphql'), {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await AsyncStorage.getItem('authToken')}`},
-        body: JSON.stringify({
-          query: `
-            mutation UpdateNotificationSettings($settings: NotificationSettingsInput!) {
-              updateNotificationSettings(settings: $settings) {
-                success
-                message
-              }
-            }
-          `,
-          variables: { settings }})});
-
-      const result = await response.json();
-      console.log('알림 설정 업데이트:', result.data);
+      const client = await getApolloClient();
+      const { data, errors } = await client.mutate({
+        mutation: M_UPDATE_NOTIFICATION_PREFERENCES,
+        variables: { input: settings },
+      });
+
+      if (errors || !data?.mUpdateNotificationPreferences?.success) {
+        console.error('알림 설정 업데이트 실패:', errors || data?.mUpdateNotificationPreferences?.message);
+        return { success: false, error: errors };
+      }
+
+      // 서버에 저장된 설정을 조회 캐시와 로컬에 반영 (설정 화면 즉시 갱신, 오프라인 표시용)
+      const { preferences } = data.mUpdateNotificationPreferences;
+      client.writeQuery({
+        query: M_GET_NOTIFICATION_PREFERENCES,
+        data: { mNotificationPreferences: preferences },
+      });
+      await AsyncStorage.setItem('notificationSettings', JSON.stringify(preferences));
+
+      return { success: true, preferences };
     } catch (error) {
       console.error('알림 설정 업데이트 실패:', error);
+      return { success: false, error };
     }
   }
 
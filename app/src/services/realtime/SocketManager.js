@@ -9,6 +9,7 @@
  * 3. 자동 재연결 및 백오프 전략
  * 4. 룸(Room) 관리 및 복원
  * 5. 이벤트 리스너 관리
+ * 6. 이벤트 전달 보장 (seq 중복 제거, ack, 재연결 시 놓친 이벤트 재수신)
  *
  * 아키텍처 위치:
  * - 최하위 레벨: 직접 Socket.IO와 통신
@@ -77,6 +78,13 @@ const getSocketEndpoint = () => {
   return url;
 };
 
+/**
+ * 이벤트 전달 보장 설정
+ * 서버는 수신자별 이벤트에 _seq를 붙여 전송 (재전송 이벤트는 _replayed: true)
+ */
+const DELIVERY_ACK_DELAY = 1000;  // ack 묶음 전송 간격 (ms)
+const DELIVERY_GAP_TIMEOUT = 2000; // seq 누락이 이 시간 동안 채워지지 않으면 resume 요청 (ms)
+
 /**
  * SocketManager 클래스
  * --------------------
@@ -96,6 +104,24 @@ class SocketManager {
     this.rooms = new Set();                                // 참가한 룸 목록 ('type:id' 형태)
     this.tokenRefreshAttempts = 0;                         // 토큰 갱신 시도 횟수
     this.maxTokenRefreshAttempts = 3;                      // 최대 토큰 갱신 시도 횟수
+    this.dispatchers = new Map();                          // 이벤트별 Socket.IO 리스너 (seq 중복 제거 후 핸들러 호출)
+    this.resetDeliveryState();
+  }
+
+  /**
+   * 이벤트 전달 상태 초기화
+   * lastSeq: 빠짐없이 처리한 마지막 seq (null이면 이번 실행에서 아직 수신 전 - 서버의 디바이스별 ack 기준으로 재수신)
+   */
+  resetDeliveryState() {
+    clearTimeout(this.delivery?.ackTimer);
+    clearTimeout(this.delivery?.gapTimer);
+    this.delivery = {
+      lastSeq: null,
+      pending: new Set(),  // lastSeq 이후 먼저 도착한 seq
+      ackedSeq: null,
+      ackTimer: null,
+      gapTimer: null
+    };
   }
 
   /**
@@ -287,7 +313,7 @@ class SocketManager {
       }
 
       // ✅ 이벤트 핸들러 자동 복원
-      // 재연결 시 이전에 등록했던 이벤트 리스너들을 자동으로 다시 등록
+      // 새 소켓 인스턴스에 이벤트별 디스패처 등록 (같은 소켓의 재연결이면 이미 등록되어 있어 중복 등록하지 않음)
       if (this.eventHandlers.size > 0) {
         const totalHandlers = Array.from(this.eventHandlers.values()).reduce((sum, set) => sum + set.size, 0);
         logger.info('[SocketManager] 🔄 Restoring event handlers:', {
@@ -297,20 +323,18 @@ class SocketManager {
           chatTypingHandlers: this.eventHandlers.get('chat:typing')?.size || 0
         });
 
-        let restoredCount = 0;
-        for (const [event, handlers] of this.eventHandlers.entries()) {
-          for (const handler of handlers) {
-            this.socket.on(event, handler);
-            restoredCount++;
-            logger.debug(`[SocketManager] ✅ Restored handler ${restoredCount} for '${event}'`);
-          }
+        for (const event of this.eventHandlers.keys()) {
+          this.attachDispatcher(event);
         }
 
-        logger.info(`[SocketManager] 🎉 Successfully restored ${restoredCount} event handlers`);
+        logger.info(`[SocketManager] 🎉 Successfully restored ${totalHandlers} event handlers`);
       } else {
         logger.warn('[SocketManager] ⚠️ No event handlers to restore!');
       }
 
+      // ✅ 끊겨 있던 동안 놓친 이벤트 재수신
+      this.resumeDelivery();
+
       // 연결 성공 이벤트를 로컬로 전파 (컴포넌트에서 활용)
       this.emitLocalEvent('socket:connected', { id: this.socket.id });
     });
@@ -423,6 +447,10 @@ class SocketManager {
       this.state = { status: 'DISCONNECTED', error: null };
       this._emit();
 
+      // 재연결 시 resume으로 처리하므로 대기 중인 ack/누락 확인 중단
+      clearTimeout(this.delivery.ackTimer);
+      clearTimeout(this.delivery.gapTimer);
+
       // 연결 끊김 이벤트 로컬 전파
       this.emitLocalEvent('socket:disconnected', { reason });
     });
@@ -444,6 +472,176 @@ class SocketManager {
       this.state = { status: 'ERROR', error: 'Maximum reconnection attempts reached' };
       this._emit();
     });
+
+    // ============================================
+    // 6. 전체 재동기화 요청 (놓친 이벤트를 재전송할 수 없음)
+    // ============================================
+    // 화면은 on('delivery:resync_required')로 구독해 GraphQL로 전체 데이터를 다시 조회
+    this.socket.on('delivery:resync_required', ({ seq, reason } = {}) => {
+      logger.warn('[SocketManager] Full resync required:', { seq, reason, lastSeq: this.delivery.lastSeq });
+      this.resetDeliveryState();
+      this.delivery.lastSeq = seq ?? null;
+    });
+
+    // ============================================
+    // 7. 서버 측 인증 종료
+    // ============================================
+    // 연결 중 토큰이 만료됨 (토큰 교체 누락) - 갱신 후 새 토큰으로 재연결
+    this.socket.on('auth:expired', async () => {
+      logger.info('[SocketManager] 서버가 만료된 토큰의 연결을 종료 - 토큰 갱신 후 재연결');
+      try {
+        const { refreshToken } = await import('@services/apollo/tokenManager');
+        const newToken = await refreshToken();
+        if (newToken) {
+          await this.updateAuthToken(newToken);
+          return;
+        }
+      } catch (err) {
+        logger.error(`[SocketManager] 토큰 갱신 중 오류 발생: ${err?.message || err}`);
+      }
+      this.state = { status: 'ERROR', error: 'Authentication failed' };
+      this._emit();
+    });
+
+    // 로그아웃/강제 로그아웃/계정 정지로 세션이 무효화됨 - 재연결하지 않음
+    this.socket.on('auth:revoked', ({ reason } = {}) => {
+      logger.warn('[SocketManager] 세션 무효화로 연결 종료:', reason);
+      this.socket.io.opts.reconnection = false;
+      this.state = { status: 'ERROR', error: 'Session revoked' };
+      this._emit();
+      this.emitLocalEvent('socket:auth_revoked', { reason });
+    });
+  }
+
+  /**
+   * 이벤트 전달 보장
+   * ---------------
+   * 서버가 _seq를 붙인 이벤트를 수신하면 호출
+   *
+   * @param {Object} data - 이벤트 데이터
+   * @returns {boolean} 핸들러에 전달할지 여부 (이미 처리한 seq면 false)
+   *
+   * - 연속된 seq: lastSeq 전진 후 ack 예약
+   * - 건너뛴 seq: 먼저 처리하고 누락 seq는 DELIVERY_GAP_TIMEOUT 후에도 비어 있으면 resume 요청
+   */
+  acceptDelivery(data) {
+    const seq = data?._seq;
+    if (!Number.isInteger(seq)) return true;
+
+    const delivery = this.delivery;
+    if (delivery.lastSeq === null) {
+      // 이번 실행의 첫 이벤트 - 기준점으로 사용
+      delivery.lastSeq = seq - 1;
+    }
+
+    if (seq <= delivery.lastSeq || delivery.pending.has(seq)) {
+      logger.debug(`[SocketManager] Duplicate event dropped (seq ${seq})`);
+      return false;
+    }
+
+    if (seq === delivery.lastSeq + 1) {
+      this.advanceDelivery(seq);
+    } else {
+      delivery.pending.add(seq);
+    }
+
+    if (delivery.pending.size > 0 && !delivery.gapTimer) {
+      delivery.gapTimer = setTimeout(() => {
+        delivery.gapTimer = null;
+        if (delivery.pending.size > 0) {
+          logger.warn('[SocketManager] Event gap not filled - resuming:', { lastSeq: delivery.lastSeq });
+          this.resumeDelivery();
+        }
+      }, DELIVERY_GAP_TIMEOUT);
+    } else if (delivery.pending.size === 0) {
+      clearTimeout(delivery.gapTimer);
+      delivery.gapTimer = null;
+    }
+
+    return true;
+  }
+
+  /**
+   * lastSeq를 seq까지 전진 (이어지는 pending seq도 함께 처리) 후 ack 예약
+   */
+  advanceDelivery(seq) {
+    const delivery = this.delivery;
+    delivery.lastSeq = seq;
+    for (const pendingSeq of delivery.pending) {
+      if (pendingSeq <= seq) delivery.pending.delete(pendingSeq);
+    }
+    while (delivery.pending.delete(delivery.lastSeq + 1)) {
+      delivery.lastSeq++;
+    }
+    this.scheduleDeliveryAck();
+  }
+
+  /**
+   * 처리한 seq 확인(ack) - DELIVERY_ACK_DELAY 간격으로 묶어서 전송
+   */
+  scheduleDeliveryAck() {
+    if (this.delivery.ackTimer) return;
+
+    this.delivery.ackTimer = setTimeout(() => {
+      this.delivery.ackTimer = null;
+      const { lastSeq, ackedSeq } = this.delivery;
+      if (lastSeq !== null && lastSeq !== ackedSeq && this.emit('delivery:ack', { seq: lastSeq })) {
+        this.delivery.ackedSeq = lastSeq;
+      }
+    }, DELIVERY_ACK_DELAY);
+  }
+
+  /**
+   * 놓친 이벤트 재전송 요청
+   * 재전송된 이벤트는 일반 이벤트처럼 디스패처를 거쳐 중복 제거 후 핸들러로 전달
+   * (lastSeq가 없으면 서버에 저장된 이 디바이스의 마지막 ack 기준)
+   */
+  resumeDelivery() {
+    if (!this.socket?.connected) return;
+
+    const lastSeq = this.delivery.lastSeq;
+    const payload = lastSeq === null ? {} : { lastSeq };
+
+    this.socket.emit('delivery:resume', payload, (response) => {
+      if (!response?.success) {
+        logger.warn('[SocketManager] Delivery resume failed:', response?.error);
+        return;
+      }
+
+      logger.info('[SocketManager] Delivery resumed:', response);
+
+      // 재전송 후에도 채워지지 않은 seq는 서버에도 없음 - 건너뛰고 서버의 현재 seq로 정렬
+      const { lastSeq: currentSeq } = this.delivery;
+      if (response.status !== 'RESYNC_REQUIRED' && (currentSeq === null || currentSeq < response.seq)) {
+        this.advanceDelivery(response.seq);
+      }
+    });
+  }
+
+  /**
+   * 이벤트별 디스패처 등록
+   * Socket.IO에는 이벤트당 하나의 리스너만 등록하고, 중복 seq를 걸러낸 뒤 등록된 핸들러 전체 호출
+   */
+  attachDispatcher(event) {
+    if (!this.socket) return;
+
+    let dispatcher = this.dispatchers.get(event);
+    if (!dispatcher) {
+      dispatcher = (...args) => {
+        if (!this.acceptDelivery(args[0])) return;
+        for (const handler of this.eventHandlers.get(event) || []) {
+          try {
+            handler(...args);
+          } catch (error) {
+            logger.error(`[SocketManager] Handler error for '${event}':`, error);
+          }
+        }
+      };
+      this.dispatchers.set(event, dispatcher);
+    }
+
+    this.socket.off(event, dispatcher);
+    this.socket.on(event, dispatcher);
   }
 
   /**
@@ -480,12 +678,20 @@ class SocketManager {
         if (isAuthenticated && accessToken) {
           // 소켓이 이미 연결되어 있고 정상 상태라면 auth만 업데이트
           if (this.socket.connected) {
-            logger.info('[SocketManager] 토큰 변경 감지 - auth 정보만 업데이트 (재연결 생략)');
+            logger.info('[SocketManager] 토큰 변경 감지 - 연결 중 토큰 교체 (재연결 생략)');
             this.socket.auth = {
               token: accessToken,
               clientType: 'mobile',
               platform: Platform.OS
             };
+
+            // 서버는 교체되지 않은 토큰이 만료되면 연결을 종료하므로 새 토큰 전달
+            this.socket.emit('authenticate', { token: accessToken }, (response) => {
+              if (!response?.success) {
+                logger.warn('[SocketManager] 토큰 교체 실패 - 재연결:', response?.error);
+                this.updateAuthToken(accessToken);
+              }
+            });
           } else {
             // 연결되지 않은 경우에만 재연결
             logger.info('[SocketManager] 토큰 변경 감지 - 재연결 시도');
@@ -665,8 +871,8 @@ class SocketManager {
     }
     this.eventHandlers.get(event).add(handler);
 
-    // Socket.IO에 리스너 등록
-    this.socket.on(event, handler);
+    // Socket.IO에는 이벤트별 디스패처만 등록 (중복 seq 제거 후 핸들러 호출)
+    this.attachDispatcher(event);
     logger.debug(`[SocketManager] Added listener for '${event}'`);
 
     // 해제 함수 반환 (메모리 누수 방지를 위해 중요)
@@ -684,15 +890,14 @@ class SocketManager {
   off(event, handler) {
     if (!this.socket) return;
 
-    // Socket.IO에서 리스너 제거
-    this.socket.off(event, handler);
-
-    // 내부 저장소에서도 제거
+    // 내부 저장소에서 제거
     if (this.eventHandlers.has(event)) {
       this.eventHandlers.get(event).delete(handler);
-      // 해당 이벤트의 핸들러가 모두 제거되면 Map에서도 제거
+      // 해당 이벤트의 핸들러가 모두 제거되면 Map과 Socket.IO 디스패처도 제거
       if (this.eventHandlers.get(event).size === 0) {
         this.eventHandlers.delete(event);
+        this.socket.off(event, this.dispatchers.get(event));
+        this.dispatchers.delete(event);
       }
     }
 
@@ -711,6 +916,7 @@ class SocketManager {
    * - socket:connected - 연결 성공
    * - socket:disconnected - 연결 끊김
    * - socket:error - 에러 발생
+   * - socket:auth_revoked - 세션 무효화로 서버가 연결 종료 (로그아웃/강제 로그아웃/계정 정지)
    */
   emitLocalEvent(event, data) {
     if (this.eventHandlers.has(event)) {
@@ -809,7 +1015,9 @@ class SocketManager {
     this.socket = null;
     this.rooms.clear();
     this.eventHandlers.clear();
+    this.dispatchers.clear();
     this.listeners.clear();
+    this.resetDeliveryState();
     logger.info('[SocketManager] Cleaned up');
   }
 }
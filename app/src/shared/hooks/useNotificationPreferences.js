@@ -0,0 +1,64 @@
+/**
+ * 알림 수신 설정 Hook (프로필 > 알림 설정 화면)
+ * 분류 × 채널 수신 여부와 방해 금지 시간 조회/변경 - 저장은 FCMService.updateNotificationSettings
+ */
+
+import { useCallback, useState } from 'react';
+import { useQuery } from '@apollo/client';
+import { M_GET_NOTIFICATION_PREFERENCES } from '@gql/queries/profile';
+import fcmService from '@services/notifications/FCMService';
+import { getDeviceTimezone } from '@shared/utils/deviceInfo';
+
+/**
+ * 알림 수신 설정 조회/변경 Hook
+ */
+export const useNotificationPreferences = () => {
+  const [saving, setSaving] = useState(false);
+
+  const {
+    data,
+    loading,
+    error,
+    refetch
+  } = useQuery(M_GET_NOTIFICATION_PREFERENCES, {
+    errorPolicy: 'partial',
+    fetchPolicy: 'cache-and-network'
+  });
+
+  const preferences = data?.mNotificationPreferences || null;
+
+  // 전달한 항목만 변경 (UpdateNotificationPreferencesInput)
+  const updatePreferences = useCallback(async (input) => {
+    setSaving(true);
+    try {
+      return await fcmService.updateNotificationSettings(input);
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  // 분류 하나의 채널 수신 여부 (channel: PUSH | SOCKET | EMAIL | SMS)
+  const setChannel = useCallback((category, channel, enabled) => {
+    return updatePreferences({
+      categories: [{ category, [channel.toLowerCase()]: enabled }]
+    });
+  }, [updatePreferences]);
+
+  // 방해 금지 시간 - 현재 기기 시간대 기준으로 저장
+  const setQuietHours = useCallback((quietHours) => {
+    return updatePreferences({ quietHours, timezone: getDeviceTimezone() });
+  }, [updatePreferences]);
+
+  return {
+    preferences,
+    loading,
+    saving,
+    error,
+    refetch,
+    updatePreferences,
+    setChannel,
+    setQuietHours
+  };
+};
+
+export default useNotificationPreferences;
@@ -0,0 +1,125 @@
+/**
+ * 관리자 계정 관리 테스트
+ * 초대 재전송 시 이전 링크 무효화/재전송 가능 조건, 정지/종료 시 커밋 후 세션/토큰 무효화
+ * DB/세션/메일은 대역, 초대 토큰은 kv 메모리 저장소 사용
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const AdminAccount = {
+  findOne: jest.fn(),
+  findByPk: jest.fn(),
+};
+const transaction = { commit: jest.fn(), rollback: jest.fn(), afterCommit: jest.fn() };
+
+const jwtManager = {
+  revokeSubjectTokens: jest.fn(async () => {}),
+};
+const sessionManager = {
+  revokeOtherSessions: jest.fn(async () => 0),
+  revokeAllSessions: jest.fn(async () => 0),
+};
+const emailService = {
+  sendAdminInvitation: jest.fn(async () => ({ success: true })),
+};
+
+jest.unstable_mockModule('../../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../../../models/index.js', () => ({
+  default: { AdminAccount, sequelize: { transaction: async () => transaction } },
+}));
+jest.unstable_mockModule('../../../../shared/utils/auth/JWT.js', () => ({ default: jwtManager }));
+jest.unstable_mockModule('../../../../shared/utils/auth/SessionManager.js', () => ({ default: sessionManager }));
+jest.unstable_mockModule('../../../../shared/utils/auth/MFAManager.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../../shared/utils/services/EmailService.js', () => ({ default: emailService }));
+
+let Mutation;
+
+beforeAll(async () => {
+  ({ adminAuthResolvers: { Mutation } } = await import('./resolvers.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// update만 기록하는 관리자 대역
+const managedAdmin = (values = {}) => ({
+  id: 21,
+  email: 'viewer@example.com',
+  fullName: 'Viewer',
+  role: 'VIEWER',
+  status: 'ACTIVE',
+  emailVerified: false,
+  lastLoginAt: null,
+  update: jest.fn(async () => {}),
+  ...values,
+});
+
+const context = () => ({
+  req: { headers: {} },
+  language: 'en',
+  adminAccount: { id: 1, role: 'SUPER_ADMIN', status: 'ACTIVE', fullName: 'Super' },
+});
+
+const resend = (adminId = 21) => Mutation.aResendAdminInvitation(null, { adminId }, context());
+const accept = (token) => Mutation.aAcceptInvitation(null, { input: { token, password: 'new-password-1' } }, context());
+
+// 마지막으로 보낸 초대 메일의 토큰
+const lastInvitationToken = () => {
+  const { acceptUrl } = emailService.sendAdminInvitation.mock.calls.at(-1)[0];
+  return new URL(acceptUrl).searchParams.get('token');
+};
+
+const errorCode = (code) => ({ extensions: { code: expect.stringContaining(`[${code}]`) } });
+
+describe('초대 재전송', () => {
+  it('이전 링크는 무효화되고 새 링크로만 비밀번호를 설정한다', async () => {
+    const admin = managedAdmin();
+    AdminAccount.findByPk.mockResolvedValue(admin);
+
+    await resend();
+    const previousToken = lastInvitationToken();
+    expect(await resend()).toMatchObject({ _code: 'AS508' });
+    const currentToken = lastInvitationToken();
+
+    await expect(accept(previousToken)).rejects.toMatchObject(errorCode('A2017'));
+
+    expect(await accept(currentToken)).toMatchObject({ _code: 'AS113' });
+    expect(admin.update).toHaveBeenCalledWith({ passwordHash: 'new-password-1', emailVerified: true }, { transaction });
+
+    await expect(accept(currentToken)).rejects.toMatchObject(errorCode('A2017'));
+  });
+
+  it.each([
+    ['비밀번호를 설정한', { emailVerified: true }, 'A3006'],
+    ['로그인한 적 있는', { lastLoginAt: new Date() }, 'A3006'],
+    ['종료된', { status: 'TERMINATED' }, 'A3003'],
+  ])('%s 관리자에게는 다시 보내지 않는다', async (_, values, code) => {
+    AdminAccount.findByPk.mockResolvedValue(managedAdmin(values));
+
+    await expect(resend()).rejects.toMatchObject(errorCode(code));
+    expect(emailService.sendAdminInvitation).not.toHaveBeenCalled();
+  });
+});
+
+describe('정지/종료', () => {
+  it.each([
+    ['aSuspendAdmin', 'SUSPENDED', 'AS505'],
+    ['aTerminateAdmin', 'TERMINATED', 'AS506'],
+  ])('%s는 모든 세션과 기존 토큰을 커밋 후 무효화한다', async (mutation, status, code) => {
+    const admin = managedAdmin();
+    AdminAccount.findByPk.mockResolvedValue(admin);
+
+    expect(await Mutation[mutation](null, { adminId: 21, reason: 'policy' }, context())).toMatchObject({ _code: code });
+    expect(admin.update).toHaveBeenCalledWith({ status }, { transaction });
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledWith('admin', 21, status, { transaction });
+    // 트랜잭션 안에서 토큰을 직접 무효화하지 않음 (SessionManager가 afterCommit으로 처리)
+    expect(jwtManager.revokeSubjectTokens).not.toHaveBeenCalled();
+  });
+
+  it('본인 계정은 정지할 수 없다', async () => {
+    await expect(Mutation.aSuspendAdmin(null, { adminId: 1 }, context())).rejects.toMatchObject(errorCode('A2010'));
+    expect(sessionManager.revokeAllSessions).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
@@ -1,18 +1,669 @@
 /**
- * Admin Auth Resolvers (Template)
+ * Admin Auth Resolvers
  * Location: /graphql/clients/admin/auth/resolvers.js
+ * Purpose: 관리자 인증 (로그인/토큰) 및 관리자 계정 관리 (SUPER_ADMIN 전용)
  */
 
+import crypto from 'crypto';
+import { GraphQLError } from 'graphql';
+import db from '../../../../models/index.js';
+import { withAAuth, ADMIN_ROLES } from '../utils/AdminResolverUtils.js';
+import jwtManager from '../../../../shared/utils/auth/JWT.js';
+import sessionManager from '../../../../shared/utils/auth/SessionManager.js';
+import mfaManager from '../../../../shared/utils/auth/MFAManager.js';
+import encryptionManager from '../../../../shared/utils/security/Encryption.js';
+import emailService from '../../../../shared/utils/services/EmailService.js';
+import { AuthValidators } from '../../../../shared/utils/validators/AuthValidators.js';
+import { kv } from '../../../../shared/cache/kv.js';
+import { logger } from '../../../../shared/utils/utilities/Logger.js';
+import { ADMIN_PERMISSIONS } from '../../../../shared/config/permissions.js';
+
+const { AdminAccount } = db;
+
+const authValidators = new AuthValidators();
+
+// 초대 링크 유효 시간 (초)
+const ADMIN_INVITATION_TTL = 72 * 60 * 60;
+
+// 초대 토큰 원문은 저장하지 않고 해시로만 조회
+const invitationKey = (token) =>
+  `admin:invitation:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+// 관리자별 유효한 초대 토큰 키 (재전송 시 이전 링크 무효화)
+const pendingInvitationKey = (adminId) => `admin:invitation:pending:${adminId}`;
+
+// 상태별 로그인 차단 에러 코드
+const BLOCKED_STATUS_CODES = {
+  SUSPENDED: 'A2004',
+  TERMINATED: 'A2005',
+};
+
+/**
+ * AuthValidators 검증 실행 - GraphQLError를 A1003(VALIDATION_ERROR)으로 변환
+ * @param {Function} validate - 검증 함수
+ */
+const runValidation = (validate) => {
+  try {
+    return validate();
+  } catch (error) {
+    if (error instanceof GraphQLError) {
+      throw new Error(`A1003:${error.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * 로그인 가능한 계정인지 확인
+ * @param {AdminAccount} admin
+ */
+const assertCanSignIn = (admin) => {
+  const code = BLOCKED_STATUS_CODES[admin.status];
+  if (code) {
+    throw new Error(code);
+  }
+};
+
+/**
+ * 초대 링크 발급 및 메일 전송 - 이전에 발급한 링크는 무효화
+ * @param {AdminAccount} admin
+ * @param {Object} context
+ */
+const sendInvitation = async (admin, context) => {
+  const previousKey = await kv.getdel(pendingInvitationKey(admin.id));
+  if (previousKey) {
+    await kv.del(previousKey);
+  }
+
+  const token = encryptionManager.generateToken(32);
+  const key = invitationKey(token);
+  await kv.setex(key, ADMIN_INVITATION_TTL, String(admin.id));
+  await kv.setex(pendingInvitationKey(admin.id), ADMIN_INVITATION_TTL, key);
+
+  await emailService.sendAdminInvitation({
+    email: admin.email,
+    fullName: admin.fullName,
+    role: admin.role,
+    inviterName: context.adminAccount.fullName,
+    acceptUrl: `${process.env.ADMIN_WEB_URL || 'http://localhost:5002'}/accept-invitation?token=${token}`,
+    expiresInHours: ADMIN_INVITATION_TTL / 3600,
+    language: context.language,
+    idempotencyKey: key,
+  });
+};
+
+/**
+ * 요청 IP 추출 - x-forwarded-for는 app의 trust proxy 설정에 따라 req.ip에 반영됨
+ * @param {Object} context
+ */
+const getClientIp = (context) => context.req?.ip || context.req?.socket?.remoteAddress || null;
+
+/**
+ * Authorization 헤더의 Access Token 추출
+ * @param {Object} context
+ */
+const getBearerToken = (context) => {
+  const authorization = context.req?.headers?.authorization || '';
+  return authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null;
+};
+
+/**
+ * Admin 토큰 쌍 → 클라이언트 응답 형식
+ * @param {Object} tokens - { accessAdminToken, refreshAdminToken }
+ */
+const toTokenResponse = ({ accessAdminToken, refreshAdminToken }) => ({
+  accessToken: accessAdminToken,
+  refreshToken: refreshAdminToken,
+  expiresIn: jwtManager.getTokenRemainingTime(accessAdminToken),
+});
+
+/**
+ * 커스텀 권한 목록 검증 (중복 제거)
+ * @param {string[]} permissions
+ */
+const normalizePermissions = (permissions = []) => {
+  const unique = [...new Set(permissions)];
+  const invalid = unique.filter((permission) => !ADMIN_PERMISSIONS.includes(permission));
+  if (invalid.length > 0) {
+    throw new Error(`A3004:${invalid.join(', ')}`); // INVALID_PERMISSION
+  }
+  return unique;
+};
+
+/**
+ * 관리 대상 관리자 조회 - 본인/종료된 계정은 상태 변경 불가
+ * @param {string} adminId
+ * @param {Object} context
+ */
+const findManagedAdmin = async (adminId, context) => {
+  if (String(adminId) === String(context.adminAccount.id)) {
+    throw new Error('A2010'); // CANNOT_MODIFY_SELF
+  }
+
+  const admin = await AdminAccount.findByPk(adminId, { transaction: context.transaction });
+  if (!admin) {
+    throw new Error('A3001'); // ADMIN_NOT_FOUND
+  }
+  if (admin.status === 'TERMINATED') {
+    throw new Error('A3003'); // ADMIN_ALREADY_TERMINATED
+  }
+  return admin;
+};
+
+/**
+ * 로그인 완료 - 토큰 발급 및 세션 기록 (비밀번호/2단계 인증 확인 후)
+ * @param {AdminAccount} admin
+ * @param {Object} context
+ */
+const completeLogin = async (admin, context) => {
+  const { transaction } = context;
+
+  await admin.updateLastLogin(getClientIp(context), { transaction });
+
+  const tokens = jwtManager.generateAdminTokens(admin);
+  await sessionManager.createSession({
+    clientType: 'admin',
+    subjectId: admin.id,
+    refreshToken: tokens.refreshAdminToken,
+    req: context.req,
+  }, { transaction });
+
+  return {
+    _code: 'AS101',
+    ...toTokenResponse(tokens),
+    admin,
+  };
+};
+
+/**
+ * 활성화된 MFA 자격 증명 조회
+ * @param {string} adminId
+ * @param {Object} transaction
+ */
+const findEnabledCredential = async (adminId, transaction) => {
+  const credential = await mfaManager.getCredential('admin', adminId, { transaction });
+  if (!credential?.isEnabled()) {
+    throw new Error('A2015'); // MFA_NOT_ENABLED
+  }
+  return credential;
+};
+
+/**
+ * MFA 검증 실패 사유 → 에러 코드
+ */
+const mfaErrorCode = (result) => (
+  result.error === 'MFA_TOO_MANY_ATTEMPTS' ? 'A2018' : 'A2012' // MFA_TOO_MANY_ATTEMPTS / INVALID_MFA_CODE
+);
+
+/**
+ * MFA 코드(TOTP 또는 복구 코드) 확인
+ * @param {MfaCredential} credential
+ * @param {string} code
+ * @param {Object} transaction
+ */
+const assertMfaCode = async (credential, code, transaction) => {
+  const result = await mfaManager.verifyCode(credential, code, { transaction });
+  if (!result.valid) {
+    throw new Error(mfaErrorCode(result));
+  }
+  return result;
+};
+
 export const adminAuthResolvers = {
+  // ===============================================
+  // AdminAccount 필드
+  // ===============================================
+  AdminAccount: {
+    allPermissions: (admin) => (
+      typeof admin.getAllPermissions === 'function' ? admin.getAllPermissions() : []
+    ),
+  },
+
   Query: {
     aHealthCheck: () => ({
       success: true,
       message: 'Admin API is healthy',
       timestamp: new Date().toISOString(),
     }),
+
+    /**
+     * 현재 로그인한 관리자 정보
+     */
+    aMe: withAAuth(async (_, __, context) => {
+      const admin = await AdminAccount.findByPk(context.adminAccount.id);
+      if (!admin) {
+        throw new Error('A3001'); // ADMIN_NOT_FOUND
+      }
+      return admin;
+    }, { name: 'aMe' }),
+
+    /**
+     * 로그인된 디바이스(세션) 목록
+     */
+    aSessions: withAAuth(async (_, __, context) => (
+      sessionManager.listSessions('admin', context.adminAccount.id)
+    ), { name: 'aSessions' }),
+
+    /**
+     * 2단계 인증 상태
+     */
+    aMfaStatus: withAAuth(async (_, __, context) => {
+      const credential = await mfaManager.getCredential('admin', context.adminAccount.id);
+      const enabled = Boolean(credential?.isEnabled());
+      return {
+        enabled,
+        enabledAt: enabled ? credential.enabledAt : null,
+        backupCodesRemaining: enabled ? credential.backupCodes.length : 0,
+      };
+    }, { name: 'aMfaStatus' }),
   },
+
   Mutation: {
-    // 추후 인증 뮤테이션 추가
+    // ===============================================
+    // 로그인/토큰 관리
+    // ===============================================
+
+    /**
+     * 이메일 로그인
+     */
+    aLogin: withAAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const email = String(input.email).trim().toLowerCase();
+
+      const admin = await AdminAccount.findOne({ where: { email }, transaction });
+
+      // 계정 없음과 비밀번호 불일치를 구분하지 않음 (계정 열거 방지)
+      if (!admin || !(await admin.comparePassword(input.password))) {
+        throw new Error('A2006'); // INVALID_CREDENTIALS
+      }
+      assertCanSignIn(admin);
+
+      // 2단계 인증 활성화 계정 또는 SUPER_ADMIN(필수)은 토큰 대신 챌린지 발급
+      const credential = await mfaManager.getCredential('admin', admin.id, { transaction });
+      const enabled = Boolean(credential?.isEnabled());
+      if (enabled || admin.role === ADMIN_ROLES.SUPER_ADMIN) {
+        const mfaToken = await mfaManager.createChallenge({
+          clientType: 'admin',
+          subjectId: admin.id,
+          setupRequired: !enabled,
+        });
+        return {
+          _code: 'AS108',
+          mfaRequired: true,
+          mfaSetupRequired: !enabled,
+          mfaToken,
+        };
+      }
+
+      return completeLogin(admin, context);
+    }, { name: 'aLogin', requireAuth: false, requiredFields: ['email', 'password'] }, true),
+
+    /**
+     * 2단계 인증 로그인 - 챌린지 토큰 + TOTP 코드(또는 복구 코드)
+     * 필수 등록 단계(mfaSetupRequired)는 aStartMfaEnrollment 후 첫 코드로 활성화하며 로그인
+     */
+    aVerifyMfaLogin: withAAuth(async (_, { mfaToken, code }, context) => {
+      const { transaction } = context;
+
+      const challenge = await mfaManager.getChallenge(mfaToken, 'admin');
+      if (!challenge || !(await mfaManager.claimChallengeAttempt(mfaToken))) {
+        throw new Error('A2013'); // MFA_CHALLENGE_EXPIRED
+      }
+
+      const admin = await AdminAccount.findByPk(challenge.subjectId, { transaction });
+      if (!admin) {
+        throw new Error('A2013'); // MFA_CHALLENGE_EXPIRED
+      }
+      assertCanSignIn(admin);
+
+      const credential = await mfaManager.getCredential('admin', admin.id, { transaction });
+      let backupCodes = null;
+      let result;
+
+      if (challenge.setupRequired) {
+        if (!credential) {
+          throw new Error('A2015'); // MFA_NOT_ENABLED
+        }
+        if (credential.isEnabled()) {
+          throw new Error('A2014'); // MFA_ALREADY_ENABLED
+        }
+        result = await mfaManager.confirmEnrollment(credential, code, { transaction });
+        backupCodes = result.backupCodes || null;
+      } else {
+        if (!credential?.isEnabled()) {
+          throw new Error('A2015'); // MFA_NOT_ENABLED
+        }
+        result = await mfaManager.verifyCode(credential, code, { transaction });
+      }
+
+      if (!result.valid) {
+        throw new Error(mfaErrorCode(result));
+      }
+
+      await mfaManager.consumeChallenge(mfaToken);
+
+      const response = await completeLogin(admin, context);
+      return { ...response, backupCodes };
+    }, { name: 'aVerifyMfaLogin', requireAuth: false, requiredFields: ['mfaToken', 'code'] }, true),
+
+    /**
+     * 토큰 갱신 - Refresh Token 회전 (기존 토큰은 블랙리스트)
+     */
+    aRefreshToken: withAAuth(async (_, { refreshToken }) => {
+      let decoded;
+      try {
+        decoded = await jwtManager.verifyToken(refreshToken, {
+          isRefresh: true,
+          audience: jwtManager.adminAudience,
+        });
+      } catch (error) {
+        throw new Error(error.name === 'TokenExpiredError' ? 'A2003' : 'A2007');
+      }
+
+      const admin = await AdminAccount.findByPk(decoded.id);
+      if (!admin) {
+        throw new Error('A3001'); // ADMIN_NOT_FOUND
+      }
+      assertCanSignIn(admin);
+
+      const tokens = await jwtManager.refreshTokens(refreshToken, {
+        audience: jwtManager.adminAudience,
+      });
+
+      return { _code: 'AS103', ...toTokenResponse(tokens) };
+    }, { name: 'aRefreshToken', requireAuth: false, requiredFields: ['refreshToken'] }),
+
+    /**
+     * 로그아웃 - Access/Refresh Token 무효화
+     */
+    aLogout: withAAuth(async (_, { refreshToken }, context) => {
+      const accessToken = getBearerToken(context);
+      if (accessToken) {
+        await jwtManager.blacklistToken(accessToken);
+      }
+      if (refreshToken) {
+        await jwtManager.blacklistToken(refreshToken);
+      }
+
+      const { adminAccount } = context;
+      await sessionManager.revokeSession('admin', adminAccount.id, adminAccount.sessionId, 'LOGOUT');
+
+      return { _code: 'AS102' };
+    }, { name: 'aLogout' }),
+
+    // ===============================================
+    // 세션 관리
+    // ===============================================
+
+    /**
+     * 특정 디바이스 로그아웃 - 해당 세션의 토큰은 다음 요청부터 거부
+     */
+    aRevokeSession: withAAuth(async (_, { sessionId }, context) => {
+      const session = await sessionManager.revokeSession(
+        'admin',
+        context.adminAccount.id,
+        sessionId,
+        'REVOKED_BY_USER',
+        { transaction: context.transaction },
+      );
+      if (!session) {
+        throw new Error('A2011'); // SESSION_NOT_FOUND
+      }
+
+      return { _code: 'AS106' };
+    }, { name: 'aRevokeSession', requiredFields: ['sessionId'] }, true),
+
+    /**
+     * 현재 디바이스 외 모두 로그아웃
+     */
+    aRevokeOtherSessions: withAAuth(async (_, __, context) => {
+      const revokedCount = await sessionManager.revokeOtherSessions(
+        'admin',
+        context.adminAccount.id,
+        context.adminAccount.sessionId,
+        'REVOKED_BY_USER',
+        { transaction: context.transaction },
+      );
+
+      return { _code: 'AS107', revokedCount };
+    }, { name: 'aRevokeOtherSessions' }, true),
+
+    // ===============================================
+    // 2단계 인증 관리
+    // ===============================================
+
+    /**
+     * 등록 시작 - 시크릿/QR URL 발급 (확인 전까지 비활성)
+     * 로그인 상태 또는 필수 등록 챌린지(mfaToken)로 호출
+     */
+    aStartMfaEnrollment: withAAuth(async (_, { mfaToken }, context) => {
+      const { transaction } = context;
+
+      let adminId;
+      if (mfaToken) {
+        const challenge = await mfaManager.getChallenge(mfaToken, 'admin');
+        if (!challenge?.setupRequired) {
+          throw new Error('A2013'); // MFA_CHALLENGE_EXPIRED
+        }
+        adminId = challenge.subjectId;
+      } else {
+        if (!context.adminAccount?.id || context.adminAccount.error) {
+          throw new Error('A2001'); // UNAUTHENTICATED
+        }
+        adminId = context.adminAccount.id;
+      }
+
+      const admin = await AdminAccount.findByPk(adminId, { transaction });
+      if (!admin) {
+        throw new Error('A3001'); // ADMIN_NOT_FOUND
+      }
+      assertCanSignIn(admin);
+
+      const credential = await mfaManager.getCredential('admin', admin.id, { transaction });
+      if (credential?.isEnabled()) {
+        throw new Error('A2014'); // MFA_ALREADY_ENABLED
+      }
+
+      const enrollment = await mfaManager.startEnrollment('admin', admin.id, admin.email, { transaction });
+
+      return { _code: 'AS109', ...enrollment };
+    }, { name: 'aStartMfaEnrollment', requireAuth: false }, true),
+
+    /**
+     * 등록 확인 - 인증 앱의 첫 코드 확인 후 활성화
+     */
+    aConfirmMfaEnrollment: withAAuth(async (_, { code }, context) => {
+      const { transaction } = context;
+
+      const credential = await mfaManager.getCredential('admin', context.adminAccount.id, { transaction });
+      if (!credential) {
+        throw new Error('A2015'); // MFA_NOT_ENABLED
+      }
+      if (credential.isEnabled()) {
+        throw new Error('A2014'); // MFA_ALREADY_ENABLED
+      }
+
+      const result = await mfaManager.confirmEnrollment(credential, code, { transaction });
+      if (!result.valid) {
+        throw new Error(mfaErrorCode(result));
+      }
+
+      return { _code: 'AS110', backupCodes: result.backupCodes };
+    }, { name: 'aConfirmMfaEnrollment', requiredFields: ['code'] }, true),
+
+    /**
+     * 복구 코드 재발급 - 기존 복구 코드는 모두 무효화
+     */
+    aRegenerateBackupCodes: withAAuth(async (_, { code }, context) => {
+      const { transaction } = context;
+
+      const credential = await findEnabledCredential(context.adminAccount.id, transaction);
+      await assertMfaCode(credential, code, transaction);
+
+      const backupCodes = await mfaManager.regenerateBackupCodes(credential, { transaction });
+
+      return { _code: 'AS112', backupCodes };
+    }, { name: 'aRegenerateBackupCodes', requiredFields: ['code'] }, true),
+
+    /**
+     * 2단계 인증 해제 - SUPER_ADMIN은 해제 불가
+     */
+    aDisableMfa: withAAuth(async (_, { code }, context) => {
+      const { transaction } = context;
+
+      if (context.adminAccount.role === ADMIN_ROLES.SUPER_ADMIN) {
+        throw new Error('A2016'); // MFA_REQUIRED_FOR_ROLE
+      }
+
+      const credential = await findEnabledCredential(context.adminAccount.id, transaction);
+      await assertMfaCode(credential, code, transaction);
+
+      await credential.destroy({ transaction });
+
+      return { _code: 'AS111' };
+    }, { name: 'aDisableMfa', requiredFields: ['code'] }, true),
+
+    // ===============================================
+    // 초대 수락
+    // ===============================================
+
+    /**
+     * 초대 링크로 비밀번호 설정 - 1회용 토큰 (동시 요청 중 하나만 사용)
+     */
+    aAcceptInvitation: withAAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const password = runValidation(() => authValidators.validatePassword(input.password));
+
+      const adminId = await kv.getdel(invitationKey(input.token));
+      if (!adminId) {
+        throw new Error('A2017'); // INVALID_INVITATION_TOKEN
+      }
+      await kv.del(pendingInvitationKey(adminId));
+
+      const admin = await AdminAccount.findByPk(adminId, { transaction });
+      if (!admin) {
+        throw new Error('A2017'); // INVALID_INVITATION_TOKEN
+      }
+      assertCanSignIn(admin);
+
+      // 초대 메일의 링크로 설정했으므로 이메일 확인 완료 - 이후 초대 재전송 불가
+      await admin.update({ passwordHash: password, emailVerified: true }, { transaction }); // beforeUpdate 훅에서 해싱
+
+      logger.info('AdminInvitationAccepted', { adminId: admin.id });
+
+      return { _code: 'AS113' };
+    }, { name: 'aAcceptInvitation', requireAuth: false, requiredFields: ['token', 'password'] }, true),
+
+    // ===============================================
+    // 관리자 계정 관리 (SUPER_ADMIN 전용)
+    // ===============================================
+
+    /**
+     * 관리자 초대 - 계정 생성 후 1회용 비밀번호 설정 링크 메일 전송
+     * 링크로 비밀번호를 설정하기 전까지는 로그인 불가 (임의 비밀번호)
+     */
+    aInviteAdmin: withAAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const email = String(input.email).trim().toLowerCase();
+
+      const existing = await AdminAccount.findOne({ where: { email }, transaction });
+      if (existing) {
+        throw new Error('A3002'); // EMAIL_ALREADY_EXISTS
+      }
+
+      const admin = await AdminAccount.create({
+        email,
+        fullName: input.fullName.trim(),
+        role: input.role,
+        permissions: input.role === ADMIN_ROLES.SUPER_ADMIN ? [] : normalizePermissions(input.permissions),
+        passwordHash: encryptionManager.generateToken(32), // beforeCreate 훅에서 해싱, 아무에게도 알리지 않음
+      }, { transaction });
+
+      await sendInvitation(admin, context);
+
+      logger.info('AdminInvited', { adminId: admin.id, role: admin.role, invitedBy: context.adminAccount.id });
+
+      return { _code: 'AS504', admin };
+    }, {
+      name: 'aInviteAdmin',
+      roles: [ADMIN_ROLES.SUPER_ADMIN],
+      requiredFields: ['email', 'fullName', 'role'],
+    }, true),
+
+    /**
+     * 초대 재전송 - 아직 비밀번호를 설정하지 않은 관리자만 (기존 링크 무효화, 종료된 계정은 findManagedAdmin에서 거부)
+     */
+    aResendAdminInvitation: withAAuth(async (_, { adminId }, context) => {
+      const admin = await findManagedAdmin(adminId, context);
+      if (admin.emailVerified || admin.lastLoginAt) {
+        throw new Error('A3006'); // INVITATION_ALREADY_ACCEPTED
+      }
+
+      await sendInvitation(admin, context);
+
+      logger.info('AdminInvitationResent', { adminId: admin.id, resentBy: context.adminAccount.id });
+
+      return { _code: 'AS508', admin };
+    }, { name: 'aResendAdminInvitation', roles: [ADMIN_ROLES.SUPER_ADMIN], requiredFields: ['adminId'] }),
+
+    /**
+     * 관리자 정지 - 다음 요청부터 인증 거부 (AuthMiddleware가 DB 상태 사용), 기존 세션/소켓 즉시 종료
+     */
+    aSuspendAdmin: withAAuth(async (_, { adminId, reason }, context) => {
+      const admin = await findManagedAdmin(adminId, context);
+      await admin.update({ status: 'SUSPENDED' }, { transaction: context.transaction });
+
+      // 커밋 후 기존 토큰 무효화 (롤백되면 토큰 유지)
+      await sessionManager.revokeAllSessions('admin', admin.id, 'SUSPENDED', { transaction: context.transaction });
+
+      logger.info('AdminSuspended', { adminId: admin.id, reason, suspendedBy: context.adminAccount.id });
+
+      return { _code: 'AS505', admin };
+    }, { name: 'aSuspendAdmin', roles: [ADMIN_ROLES.SUPER_ADMIN], requiredFields: ['adminId'] }, true),
+
+    /**
+     * 관리자 종료 - 복구 불가, 기존 세션/소켓 즉시 종료
+     */
+    aTerminateAdmin: withAAuth(async (_, { adminId, reason }, context) => {
+      const admin = await findManagedAdmin(adminId, context);
+      await admin.update({ status: 'TERMINATED' }, { transaction: context.transaction });
+
+      // 커밋 후 기존 토큰 무효화 (롤백되면 토큰 유지)
+      await sessionManager.revokeAllSessions('admin', admin.id, 'TERMINATED', { transaction: context.transaction });
+
+      logger.info('AdminTerminated', { adminId: admin.id, reason, terminatedBy: context.adminAccount.id });
+
+      return { _code: 'AS506', admin };
+    }, { name: 'aTerminateAdmin', roles: [ADMIN_ROLES.SUPER_ADMIN], requiredFields: ['adminId'] }, true),
+
+    /**
+     * 커스텀 권한 수정 - 역할 기본 권한은 유지, 커스텀 목록만 교체
+     */
+    aUpdateAdminPermissions: withAAuth(async (_, { adminId, permissions }, context) => {
+      const admin = await AdminAccount.findByPk(adminId, { transaction: context.transaction });
+      if (!admin) {
+        throw new Error('A3001'); // ADMIN_NOT_FOUND
+      }
+      if (admin.role === ADMIN_ROLES.SUPER_ADMIN) {
+        throw new Error('A3005'); // SUPER_ADMIN_PERMISSIONS_FIXED
+      }
+      if (admin.status === 'TERMINATED') {
+        throw new Error('A3003'); // ADMIN_ALREADY_TERMINATED
+      }
+
+      await admin.update(
+        { permissions: normalizePermissions(permissions) },
+        { transaction: context.transaction },
+      );
+
+      logger.info('AdminPermissionsUpdated', {
+        adminId: admin.id,
+        permissions: admin.permissions,
+        updatedBy: context.adminAccount.id,
+      });
+
+      return { _code: 'AS507', admin };
+    }, { name: 'aUpdateAdminPermissions', roles: [ADMIN_ROLES.SUPER_ADMIN], requiredFields: ['adminId'] }, true),
   },
 };
 
@@ -0,0 +1,88 @@
+/**
+ * Admin Event Logs Resolvers
+ * Location: /graphql/clients/admin/eventLogs/resolvers.js
+ * Purpose: Socket 이벤트 로그 검색 및 시간/일 단위 통계 (EventLogger 저장소 기준)
+ */
+
+import { withAAuth } from '../utils/AdminResolverUtils.js';
+import eventLogger from '../../../../shared/websocket/services/EventLogger.js';
+
+// 페이지당 최대 항목 수
+const MAX_LIMIT = 100;
+
+// 기간 미지정 시 기본 조회 범위
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+// 집계 단위별 최대 조회 범위
+const MAX_STAT_RANGE_MS = {
+  HOUR: 7 * 24 * 60 * 60 * 1000,
+  DAY: 90 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * 검색 조건 → EventLogger 조건 (기간 기본값: 최근 24시간)
+ * @param {Object} filter - AdminEventLogFilterInput
+ * @param {number} maxRangeMs - 최대 조회 범위 (없으면 제한 없음)
+ */
+const buildCriteria = (filter = {}, maxRangeMs = null) => {
+  const endDate = filter.to ? new Date(filter.to) : new Date();
+  const startDate = filter.from ? new Date(filter.from) : new Date(endDate.getTime() - DEFAULT_RANGE_MS);
+
+  if (startDate > endDate || (maxRangeMs && endDate - startDate > maxRangeMs)) {
+    throw new Error('A1008'); // INVALID_DATE_RANGE
+  }
+
+  return {
+    namespace: filter.namespace,
+    eventName: filter.eventName,
+    eventNamePrefix: filter.eventNamePrefix,
+    category: filter.category,
+    level: filter.level,
+    minLevel: filter.minLevel,
+    userType: filter.userType,
+    userId: filter.userId,
+    storeId: filter.storeId,
+    startDate,
+    endDate,
+  };
+};
+
+export const eventLogsResolvers = {
+  Query: {
+    /**
+     * 이벤트 로그 검색 (최신순)
+     */
+    aEventLogs: withAAuth(async (_, { filter, pagination }) => {
+      const limit = Math.min(Math.max(pagination?.limit ?? 20, 1), MAX_LIMIT);
+      const offset = Math.max(pagination?.offset ?? 0, 0);
+
+      const { rows, count } = await eventLogger.searchLogs({ ...buildCriteria(filter || {}), limit, offset });
+
+      return {
+        logs: rows,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + rows.length < count,
+        },
+      };
+    }, { name: 'aEventLogs' }),
+
+    /**
+     * 이벤트 로그 통계 - 시간 단위 최대 7일, 일 단위 최대 90일
+     */
+    aEventLogStatistics: withAAuth(async (_, { filter, granularity = 'HOUR' }) => {
+      const criteria = buildCriteria(filter || {}, MAX_STAT_RANGE_MS[granularity]);
+      const statistics = await eventLogger.getStatistics(criteria, granularity);
+
+      return {
+        ...statistics,
+        from: criteria.startDate,
+        to: criteria.endDate,
+      };
+    }, { name: 'aEventLogStatistics' }),
+  },
+};
+
+export default eventLogsResolvers;
@@ -22,9 +22,12 @@ const enumsSchema = readFileSync(join(__dirname, '../../types/enums.graphql'), '
 // Admin 공통 타입 스키마 (Query, Mutation 포함)
 const typesSchema = readFileSync(join(__dirname, 'types.graphql'), 'utf8');
 
-// 도메인 스키마 (auth, users만)
+// 도메인 스키마 (auth, users, eventLogs, opsMetrics, notifications)
 const authSchema = readFileSync(join(__dirname, 'auth', 'schema.graphql'), 'utf8');
 const usersSchema = readFileSync(join(__dirname, 'users', 'schema.graphql'), 'utf8');
+const eventLogsSchema = readFileSync(join(__dirname, 'eventLogs', 'schema.graphql'), 'utf8');
+const opsMetricsSchema = readFileSync(join(__dirname, 'opsMetrics', 'schema.graphql'), 'utf8');
+const notificationsSchema = readFileSync(join(__dirname, 'notifications', 'schema.graphql'), 'utf8');
 
 // ===============================================
 // Admin GraphQL 스키마 통합
@@ -36,6 +39,9 @@ ${enumsSchema}
 ${typesSchema}
 ${authSchema}
 ${usersSchema}
+${eventLogsSchema}
+${opsMetricsSchema}
+${notificationsSchema}
 `;
 
 // Admin GraphQL 리졸버
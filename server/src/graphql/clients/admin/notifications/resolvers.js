@@ -0,0 +1,98 @@
+/**
+ * Admin Notifications Resolvers
+ * Location: /graphql/clients/admin/notifications/resolvers.js
+ * Purpose: 관리자 본인 알림함 (목록/읽음/보관), 알림 템플릿 미리보기
+ */
+
+import { withAAuth } from '../utils/AdminResolverUtils.js';
+import notificationInboxService from '../../../../shared/utils/services/NotificationInboxService.js';
+import notificationTemplateService from '../../../../shared/utils/services/notificationTemplates/index.js';
+
+/**
+ * 요청자 → 알림 수신자 식별자
+ */
+const toRecipient = (context) => ({ type: 'admin', id: context.adminAccount.id });
+
+/**
+ * 알림 서비스 호출 - NotificationError/NotificationTemplateError는 모두 입력 검증 실패
+ * @param {Function} fn - NotificationInboxService/NotificationTemplateService 호출 함수
+ */
+const runNotification = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error.name === 'NotificationError' || error.name === 'NotificationTemplateError') {
+      throw new Error('A1004'); // INVALID_INPUT
+    }
+    throw error;
+  }
+};
+
+export const notificationsResolvers = {
+  Query: {
+    /**
+     * 알림 목록 (커서 페이지네이션, 최신 알림부터)
+     */
+    aNotifications: withAAuth(async (_, { input }, context) => (
+      runNotification(() => notificationInboxService.list(toRecipient(context), input || {}))
+    ), { name: 'aNotifications' }),
+
+    /**
+     * 읽지 않은 알림 수 (보관 제외)
+     */
+    aNotificationUnreadCount: withAAuth(async (_, { category }, context) => (
+      runNotification(() => notificationInboxService.countUnread(toRecipient(context), { category }))
+    ), { name: 'aNotificationUnreadCount' }),
+
+    /**
+     * 알림 템플릿 목록
+     */
+    aNotificationTemplates: withAAuth(async () => (
+      notificationTemplateService.listTemplates().map((template) => ({
+        ...template,
+        languages: template.languages.map((code) => code.toUpperCase())
+      }))
+    ), { name: 'aNotificationTemplates' }),
+
+    /**
+     * 알림 템플릿 미리보기 - 지정 언어로 푸시/이메일/SMS 렌더링
+     */
+    aPreviewNotificationTemplate: withAAuth(async (_, { type, language, variables }) => {
+      const preview = await runNotification(() => notificationTemplateService.preview(type, language, variables));
+      return { ...preview, language: preview.language.toUpperCase() };
+    }, { name: 'aPreviewNotificationTemplate', requiredFields: ['type'] }),
+  },
+
+  Mutation: {
+    /**
+     * 읽음 처리 - all이면 전체(category 지정 시 해당 분류만), 아니면 notificationIds
+     */
+    aMarkNotificationsRead: withAAuth(async (_, { input }, context) => {
+      const recipient = toRecipient(context);
+      const options = { transaction: context.transaction };
+
+      const result = await runNotification(() => (
+        input.all
+          ? notificationInboxService.markAllRead(recipient, { category: input.category }, options)
+          : notificationInboxService.markRead(recipient, input.notificationIds, options)
+      ));
+
+      return { _code: 'AS1001', ...result };
+    }, { name: 'aMarkNotificationsRead' }, true),
+
+    /**
+     * 보관/보관 해제
+     */
+    aArchiveNotifications: withAAuth(async (_, { input }, context) => {
+      const result = await runNotification(() => (
+        notificationInboxService.setArchived(toRecipient(context), input.notificationIds, input.archived, {
+          transaction: context.transaction
+        })
+      ));
+
+      return { _code: input.archived ? 'AS1002' : 'AS1003', ...result };
+    }, { name: 'aArchiveNotifications', requiredFields: ['notificationIds'] }, true),
+  },
+};
+
+export default notificationsResolvers;
@@ -0,0 +1,22 @@
+/**
+ * Admin Ops Metrics Resolvers
+ * Location: /graphql/clients/admin/opsMetrics/resolvers.js
+ * Purpose: 실시간 운영 지표 조회 (OpsMetricsService 메모리 보관분 + 노드별 최신 값)
+ */
+
+import { withAAuth } from '../utils/AdminResolverUtils.js';
+import opsMetricsService, { OPS_METRICS_HISTORY_MINUTES } from '../../../../shared/websocket/services/OpsMetricsService.js';
+
+export const opsMetricsResolvers = {
+  Query: {
+    /**
+     * 실시간 운영 지표 - 최근 minutes분 (1~OPS_METRICS_HISTORY_MINUTES)
+     */
+    aOpsMetrics: withAAuth(async (_, { minutes = OPS_METRICS_HISTORY_MINUTES }) => {
+      const range = Math.min(Math.max(minutes, 1), OPS_METRICS_HISTORY_MINUTES);
+      return opsMetricsService.getSnapshot(range);
+    }, { name: 'aOpsMetrics' }),
+  },
+};
+
+export default opsMetricsResolvers;
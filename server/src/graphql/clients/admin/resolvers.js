@@ -10,6 +10,9 @@ import { mergeResolvers } from '@graphql-tools/merge';
 // 도메인별 리졸버 import
 import { adminAuthResolvers } from './auth/resolvers.js';
 import { usersResolvers } from './users/resolvers.js';
+import { eventLogsResolvers } from './eventLogs/resolvers.js';
+import { opsMetricsResolvers } from './opsMetrics/resolvers.js';
+import { notificationsResolvers } from './notifications/resolvers.js';
 
 // ===============================================
 // 리졸버 통합
@@ -18,6 +21,9 @@ import { usersResolvers } from './users/resolvers.js';
 const allResolvers = [
   adminAuthResolvers,
   usersResolvers,
+  eventLogsResolvers,
+  opsMetricsResolvers,
+  notificationsResolvers,
 ];
 
 // ===============================================
@@ -26,8 +32,9 @@ const allResolvers = [
 
 const mergedResolvers = mergeResolvers(allResolvers);
 
-// AdminAccount 타입 리졸버 추가
+// AdminAccount 타입 리졸버 추가 (도메인 리졸버의 AdminAccount 필드 유지)
 mergedResolvers.AdminAccount = {
+  ...mergedResolvers.AdminAccount,
   permissions: (adminAccount) => {
     if (!adminAccount.permissions) return [];
     if (Array.isArray(adminAccount.permissions)) return adminAccount.permissions;
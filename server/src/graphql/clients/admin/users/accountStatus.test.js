@@ -0,0 +1,104 @@
+/**
+ * 고객/Web 계정 상태 관리 테스트
+ * 정지/차단과 강제 로그아웃 시 모든 세션과 기존 토큰 무효화, 해제 시에는 유지
+ * DB/세션은 대역 사용
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const User = { findByPk: jest.fn() };
+const WebAccount = { findByPk: jest.fn() };
+const transaction = { commit: jest.fn(), rollback: jest.fn(), afterCommit: jest.fn() };
+
+const sessionManager = {
+  revokeAllSessions: jest.fn(async () => 2),
+};
+
+jest.unstable_mockModule('../../../../models/index.js', () => ({
+  default: { User, WebAccount, Op: {}, sequelize: { transaction: async () => transaction } },
+}));
+jest.unstable_mockModule('../../../../shared/utils/auth/SessionManager.js', () => ({ default: sessionManager }));
+
+let Mutation;
+
+beforeAll(async () => {
+  ({ usersResolvers: { Mutation } } = await import('./resolvers.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// update만 기록하는 계정 대역
+const account = (values = {}) => ({
+  id: 31,
+  status: 'ACTIVE',
+  update: jest.fn(async () => {}),
+  ...values,
+});
+
+const context = () => ({
+  req: { headers: {} },
+  adminAccount: { id: 1, role: 'SUPER_ADMIN', status: 'ACTIVE' },
+});
+
+const errorCode = (code) => ({ extensions: { code: expect.stringContaining(`[${code}]`) } });
+
+describe('aUpdateUserStatus', () => {
+  it.each([
+    ['SUSPENDED', 'SUSPENDED', 'AS204'],
+    ['BLOCKED', 'BANNED', 'AS206'],
+  ])('%s는 사유를 기록하고 모든 세션과 기존 토큰을 커밋 후 무효화한다', async (status, savedStatus, code) => {
+    const user = account();
+    User.findByPk.mockResolvedValue(user);
+
+    const result = await Mutation.aUpdateUserStatus(null, { input: { id: 31, status, reason: ' 약관 위반 ' } }, context());
+
+    expect(result).toMatchObject({ _code: code, user });
+    expect(user.update).toHaveBeenCalledWith({ status: savedStatus, statusReason: '약관 위반' }, { transaction });
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledWith('mobile', 31, savedStatus, { transaction });
+  });
+
+  it('해제는 세션을 건드리지 않는다', async () => {
+    const user = account({ status: 'SUSPENDED' });
+    User.findByPk.mockResolvedValue(user);
+
+    expect(await Mutation.aUpdateUserStatus(null, { input: { id: 31, status: 'ACTIVE' } }, context())).toMatchObject({ _code: 'AS205' });
+    expect(user.update).toHaveBeenCalledWith({ status: 'ACTIVE', statusReason: null }, { transaction });
+    expect(sessionManager.revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  it('사유 없는 정지와 이미 정지된 계정은 거부한다', async () => {
+    User.findByPk.mockResolvedValue(account({ status: 'SUSPENDED' }));
+
+    await expect(Mutation.aUpdateUserStatus(null, { input: { id: 31, status: 'SUSPENDED' } }, context()))
+      .rejects.toMatchObject(errorCode('A1006'));
+    await expect(Mutation.aUpdateUserStatus(null, { input: { id: 31, status: 'SUSPENDED', reason: 'spam' } }, context()))
+      .rejects.toMatchObject(errorCode('A5002'));
+    expect(sessionManager.revokeAllSessions).not.toHaveBeenCalled();
+  });
+
+  it('Web 계정은 web 세션/토큰을 무효화한다', async () => {
+    WebAccount.findByPk.mockResolvedValue(account());
+
+    await Mutation.aUpdateWebAccountStatus(null, { input: { id: 31, status: 'SUSPENDED', reason: 'chargeback' } }, context());
+
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledWith('web', 31, 'SUSPENDED', { transaction });
+  });
+});
+
+describe('aForceLogoutUser', () => {
+  it('모든 세션과 기존 토큰을 무효화한다', async () => {
+    User.findByPk.mockResolvedValue(account());
+
+    expect(await Mutation.aForceLogoutUser(null, { id: 31 }, context())).toMatchObject({ _code: 'AS208' });
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledWith('mobile', 31, 'FORCE_LOGOUT');
+  });
+
+  it('없는 고객은 A5001', async () => {
+    User.findByPk.mockResolvedValue(null);
+
+    await expect(Mutation.aForceLogoutUser(null, { id: 99 }, context())).rejects.toMatchObject(errorCode('A5001'));
+    expect(sessionManager.revokeAllSessions).not.toHaveBeenCalled();
+  });
+});
@@ -1,14 +1,308 @@
 /**
- * Admin Users Resolvers (Template)
+ * Admin Users Resolvers
  * Location: /graphql/clients/admin/users/resolvers.js
+ * Purpose: 고객(User) 및 Web 계정(WebAccount) 조회/상태 관리
  */
 
+import db from '../../../../models/index.js';
+import { withAAuth } from '../utils/AdminResolverUtils.js';
+import sessionManager from '../../../../shared/utils/auth/SessionManager.js';
+import { logger } from '../../../../shared/utils/utilities/Logger.js';
+
+const { User, WebAccount, Op } = db;
+
+// 페이지당 최대 항목 수
+const MAX_LIMIT = 100;
+
+// 관리 대상 계정 종류별 설정
+const TARGETS = {
+  user: {
+    model: User,
+    clientType: 'mobile', // 토큰의 clientType
+    notFoundCode: 'A5001', // USER_NOT_FOUND
+    payloadKey: 'user',
+    searchFields: ['name', 'nickname', 'phone', 'email'],
+    filterFields: ['status', 'role', 'language', 'isPhoneVerified', 'isEmailVerified', 'socialProvider'],
+  },
+  webAccount: {
+    model: WebAccount,
+    clientType: 'web',
+    notFoundCode: 'A5005', // WEB_ACCOUNT_NOT_FOUND
+    payloadKey: 'account',
+    searchFields: ['name', 'phone', 'email'],
+    filterFields: ['status', 'role', 'language'],
+  },
+};
+
+// 관리자 지정 상태 → 모델 status 값 및 성공 코드
+const STATUS_ACTIONS = {
+  ACTIVE: { status: 'ACTIVE', successCode: 'AS205' },
+  SUSPENDED: { status: 'SUSPENDED', successCode: 'AS204', alreadyCode: 'A5002' },
+  BLOCKED: { status: 'BANNED', successCode: 'AS206', alreadyCode: 'A5003' },
+};
+
+/**
+ * 기간 조건 생성
+ * @param {Date} from - 시작
+ * @param {Date} to - 종료
+ */
+const buildRange = (from, to) => {
+  if (!from && !to) return null;
+  return {
+    ...(from && { [Op.gte]: from }),
+    ...(to && { [Op.lte]: to }),
+  };
+};
+
+/**
+ * 목록 필터 → where 조건
+ * @param {Object} target - TARGETS 항목
+ * @param {Object} filter - 필터 입력
+ */
+const buildWhere = (target, filter = {}) => {
+  const where = {};
+
+  for (const field of target.filterFields) {
+    if (filter[field] !== undefined && filter[field] !== null) {
+      where[field] = filter[field];
+    }
+  }
+
+  const createdAt = buildRange(filter.createdFrom, filter.createdTo);
+  if (createdAt) where.createdAt = createdAt;
+
+  const lastLoginAt = buildRange(filter.lastLoginFrom, filter.lastLoginTo);
+  if (lastLoginAt) where.lastLoginAt = lastLoginAt;
+
+  const search = filter.search?.trim();
+  if (search) {
+    where[Op.or] = target.searchFields.map((field) => ({
+      [field]: { [Op.like]: `%${search}%` },
+    }));
+  }
+
+  return where;
+};
+
+/**
+ * 페이지네이션 목록 조회
+ * @param {Object} target - TARGETS 항목
+ * @param {Object} filter - 필터 입력
+ * @param {Object} pagination - { limit, offset }
+ */
+const listAccounts = async (target, filter, pagination = {}) => {
+  const limit = Math.min(Math.max(pagination.limit ?? 20, 1), MAX_LIMIT);
+  const offset = Math.max(pagination.offset ?? 0, 0);
+
+  const { rows, count } = await target.model.findAndCountAll({
+    where: buildWhere(target, filter || {}),
+    paranoid: !filter?.includeDeleted,
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset,
+  });
+
+  return {
+    items: rows,
+    pagination: {
+      total: count,
+      limit,
+      offset,
+      hasMore: offset + rows.length < count,
+    },
+  };
+};
+
+/**
+ * 계정 조회 - 없으면 대상별 에러 코드 throw
+ * @param {Object} target - TARGETS 항목
+ * @param {string} id - 계정 ID
+ * @param {Object} options - findByPk 옵션
+ */
+const findAccount = async (target, id, options = {}) => {
+  const account = await target.model.findByPk(id, options);
+  if (!account) {
+    throw new Error(target.notFoundCode);
+  }
+  return account;
+};
+
+/**
+ * 상태 변경 - 정지/차단 시 기존 토큰 모두 무효화
+ * @param {Object} target - TARGETS 항목
+ * @param {Object} input - { id, status, reason }
+ * @param {Object} context
+ */
+const updateAccountStatus = async (target, input, context) => {
+  const action = STATUS_ACTIONS[input.status];
+  const reason = input.reason?.trim() || null;
+
+  if (action.status !== 'ACTIVE' && !reason) {
+    throw new Error('A1006:reason'); // MISSING_REQUIRED_FIELD
+  }
+
+  const account = await findAccount(target, input.id, { transaction: context.transaction });
+  if (action.alreadyCode && account.status === action.status) {
+    throw new Error(action.alreadyCode);
+  }
+
+  await account.update({
+    status: action.status,
+    statusReason: action.status === 'ACTIVE' ? null : reason,
+  }, { transaction: context.transaction });
+
+  // 커밋 후 기존 토큰 무효화 (롤백되면 토큰 유지)
+  if (action.status !== 'ACTIVE') {
+    await sessionManager.revokeAllSessions(target.clientType, account.id, action.status, {
+      transaction: context.transaction,
+    });
+  }
+
+  logger.info('AdminAccountStatusChanged', {
+    target: target.payloadKey,
+    id: account.id,
+    status: action.status,
+    reason,
+    changedBy: context.adminAccount.id,
+  });
+
+  return { _code: action.successCode, [target.payloadKey]: account };
+};
+
+/**
+ * Soft Delete된 계정 복구
+ * @param {Object} target - TARGETS 항목
+ * @param {string} id - 계정 ID
+ * @param {Object} context
+ */
+const restoreAccount = async (target, id, context) => {
+  const account = await findAccount(target, id, { paranoid: false, transaction: context.transaction });
+  if (!account.deletedAt) {
+    throw new Error('A5004'); // USER_NOT_DELETED
+  }
+
+  await account.restore({ transaction: context.transaction });
+
+  logger.info('AdminAccountRestored', {
+    target: target.payloadKey,
+    id: account.id,
+    restoredBy: context.adminAccount.id,
+  });
+
+  return { _code: 'AS207', [target.payloadKey]: account };
+};
+
+/**
+ * 강제 로그아웃 - 현재까지 발급된 모든 토큰 무효화
+ * @param {Object} target - TARGETS 항목
+ * @param {string} id - 계정 ID
+ * @param {Object} context
+ */
+const forceLogout = async (target, id, context) => {
+  const account = await findAccount(target, id);
+
+  await sessionManager.revokeAllSessions(target.clientType, account.id, 'FORCE_LOGOUT');
+
+  logger.info('AdminAccountForceLoggedOut', {
+    target: target.payloadKey,
+    id: account.id,
+    loggedOutBy: context.adminAccount.id,
+  });
+
+  return { _code: 'AS208', [target.payloadKey]: account };
+};
+
 export const usersResolvers = {
   Query: {
-    // 추후 사용자 관리 쿼리 추가
+    // ===============================================
+    // 고객 조회
+    // ===============================================
+
+    /**
+     * 고객 목록 (필터/페이지네이션)
+     */
+    aUsers: withAAuth(async (_, { filter, pagination }) => {
+      const { items, pagination: info } = await listAccounts(TARGETS.user, filter, pagination);
+      return { users: items, pagination: info };
+    }, { name: 'aUsers' }),
+
+    /**
+     * 고객 상세 - 삭제된 계정 포함
+     */
+    aUser: withAAuth(async (_, { id }) => (
+      findAccount(TARGETS.user, id, { paranoid: false })
+    ), { name: 'aUser', requiredFields: ['id'] }),
+
+    // ===============================================
+    // Web 계정 조회
+    // ===============================================
+
+    /**
+     * Web 계정 목록 (필터/페이지네이션)
+     */
+    aWebAccounts: withAAuth(async (_, { filter, pagination }) => {
+      const { items, pagination: info } = await listAccounts(TARGETS.webAccount, filter, pagination);
+      return { accounts: items, pagination: info };
+    }, { name: 'aWebAccounts' }),
+
+    /**
+     * Web 계정 상세 - 삭제된 계정 포함
+     */
+    aWebAccount: withAAuth(async (_, { id }) => (
+      findAccount(TARGETS.webAccount, id, { paranoid: false })
+    ), { name: 'aWebAccount', requiredFields: ['id'] }),
   },
+
   Mutation: {
-    // 추후 사용자 관리 뮤테이션 추가
+    // ===============================================
+    // 고객 관리
+    // ===============================================
+
+    /**
+     * 고객 상태 변경 (정지/차단/해제)
+     */
+    aUpdateUserStatus: withAAuth(async (_, { input }, context) => (
+      updateAccountStatus(TARGETS.user, input, context)
+    ), { name: 'aUpdateUserStatus', requiredFields: ['id', 'status'] }, true),
+
+    /**
+     * 삭제된 고객 복구
+     */
+    aRestoreUser: withAAuth(async (_, { id }, context) => (
+      restoreAccount(TARGETS.user, id, context)
+    ), { name: 'aRestoreUser', requiredFields: ['id'] }, true),
+
+    /**
+     * 고객 강제 로그아웃
+     */
+    aForceLogoutUser: withAAuth(async (_, { id }, context) => (
+      forceLogout(TARGETS.user, id, context)
+    ), { name: 'aForceLogoutUser', requiredFields: ['id'] }),
+
+    // ===============================================
+    // Web 계정 관리
+    // ===============================================
+
+    /**
+     * Web 계정 상태 변경 (정지/차단/해제)
+     */
+    aUpdateWebAccountStatus: withAAuth(async (_, { input }, context) => (
+      updateAccountStatus(TARGETS.webAccount, input, context)
+    ), { name: 'aUpdateWebAccountStatus', requiredFields: ['id', 'status'] }, true),
+
+    /**
+     * 삭제된 Web 계정 복구
+     */
+    aRestoreWebAccount: withAAuth(async (_, { id }, context) => (
+      restoreAccount(TARGETS.webAccount, id, context)
+    ), { name: 'aRestoreWebAccount', requiredFields: ['id'] }, true),
+
+    /**
+     * Web 계정 강제 로그아웃
+     */
+    aForceLogoutWebAccount: withAAuth(async (_, { id }, context) => (
+      forceLogout(TARGETS.webAccount, id, context)
+    ), { name: 'aForceLogoutWebAccount', requiredFields: ['id'] }),
   },
 };
 
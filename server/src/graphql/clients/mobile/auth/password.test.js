@@ -0,0 +1,138 @@
+/**
+ * 모바일 비밀번호 재설정/변경 테스트
+ * 재설정 요청 응답으로 가입 여부가 드러나지 않는지, 변경/재설정 시 기존 세션/토큰 무효화
+ * DB/OTP/세션은 대역 사용
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const User = {
+  findOne: jest.fn(),
+  findByPk: jest.fn(),
+};
+const transaction = { commit: jest.fn(), rollback: jest.fn(), afterCommit: jest.fn() };
+
+const otpManager = {
+  otpTTL: 300,
+  cooldownPeriod: 60,
+  sendOTP: jest.fn(),
+  verifyOTP: jest.fn(),
+};
+const sessionManager = {
+  getRequestInfo: () => ({ ipAddress: '127.0.0.1', userAgent: 'jest' }),
+  revokeOtherSessions: jest.fn(async () => 0),
+  revokeAllSessions: jest.fn(async () => 0),
+};
+
+jest.unstable_mockModule('../../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../../../models/index.js', () => ({
+  default: { User, sequelize: { transaction: async () => transaction } },
+}));
+jest.unstable_mockModule('../../../../shared/utils/auth/JWT.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../../shared/utils/auth/SessionManager.js', () => ({ default: sessionManager }));
+jest.unstable_mockModule('../../../../shared/utils/auth/OTPManager.js', () => ({ default: otpManager }));
+jest.unstable_mockModule('../../../../shared/utils/services/PushDeviceService.js', () => ({ default: {} }));
+
+let Mutation;
+
+beforeAll(async () => {
+  ({ mobileAuthResolvers: { Mutation } } = await import('./resolvers.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findOne.mockResolvedValue(null);
+  otpManager.sendOTP.mockResolvedValue({ success: true, expiresAt: new Date(Date.now() + 299500), cooldownSeconds: 60 });
+  otpManager.verifyOTP.mockResolvedValue({ valid: true, type: 'reset' });
+});
+
+// update만 기록하는 고객 대역
+const customer = (values = {}) => ({
+  id: 7,
+  phone: '+84901234567',
+  status: 'ACTIVE',
+  language: 'VI',
+  comparePassword: async (password) => password === 'current-password',
+  update: jest.fn(async () => {}),
+  ...values,
+});
+
+const context = (user = null) => ({ req: { headers: {} }, user });
+
+const requestReset = () => Mutation.mRequestPasswordReset(null, { input: { phone: '+84901234567' } }, context());
+
+describe('mRequestPasswordReset 응답', () => {
+  it('없는 번호와 가입된 번호의 응답이 같다', async () => {
+    const unknown = await requestReset();
+
+    User.findOne.mockResolvedValue(customer());
+    const registered = await requestReset();
+
+    expect(registered).toEqual(unknown);
+    expect(unknown).toMatchObject({ _code: 'MS103', expiresIn: 300, retryAfter: 60 });
+    expect(otpManager.sendOTP).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ['재전송 대기 중', { success: false, error: 'RESEND_COOLDOWN', retryAfter: 42 }],
+    ['발송 한도 초과', { success: false, error: 'SEND_QUOTA_EXCEEDED', retryAfter: 1800 }],
+    ['SMS 전송 실패', { success: false, error: 'DELIVERY_FAILED', reference: 'ref-1' }],
+  ])('가입된 번호가 %s이어도 없는 번호와 같은 응답', async (_, sendResult) => {
+    const unknown = await requestReset();
+
+    User.findOne.mockResolvedValue(customer());
+    otpManager.sendOTP.mockResolvedValue(sendResult);
+
+    expect(await requestReset()).toEqual(unknown);
+  });
+
+  it('정지된 계정에는 OTP를 보내지 않고 같은 응답', async () => {
+    User.findOne.mockResolvedValue(customer({ status: 'SUSPENDED' }));
+
+    expect(await requestReset()).toMatchObject({ _code: 'MS103', expiresIn: 300, retryAfter: 60 });
+    expect(otpManager.sendOTP).not.toHaveBeenCalled();
+  });
+});
+
+describe('세션/토큰 무효화', () => {
+  it('비밀번호 변경은 현재 세션 외 모든 세션을 종료한다', async () => {
+    const user = customer();
+    User.findByPk.mockResolvedValue(user);
+
+    const result = await Mutation.mChangePassword(
+      null,
+      { currentPassword: 'current-password', newPassword: 'new-password-1' },
+      context({ id: 7, sessionId: 'session-current' })
+    );
+
+    expect(result).toMatchObject({ _code: 'MS004' });
+    expect(sessionManager.revokeOtherSessions).toHaveBeenCalledWith('mobile', 7, 'session-current', 'PASSWORD_CHANGED', { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('현재 비밀번호가 틀리면 세션을 건드리지 않는다', async () => {
+    User.findByPk.mockResolvedValue(customer());
+
+    await expect(Mutation.mChangePassword(
+      null,
+      { currentPassword: 'wrong-password', newPassword: 'new-password-1' },
+      context({ id: 7, sessionId: 'session-current' })
+    )).rejects.toMatchObject({ extensions: { errorCode: 'M2004' } });
+    expect(sessionManager.revokeOtherSessions).not.toHaveBeenCalled();
+  });
+
+  it('비밀번호 재설정은 모든 세션과 기존 토큰을 무효화한다', async () => {
+    const user = customer();
+    User.findOne.mockResolvedValue(user);
+
+    const result = await Mutation.mResetPassword(
+      null,
+      { input: { phone: '+84901234567', code: '482915', newPassword: 'new-password-1' } },
+      context()
+    );
+
+    expect(result).toMatchObject({ _code: 'MS010' });
+    expect(user.update).toHaveBeenCalledWith({ passwordHash: 'new-password-1', isPhoneVerified: true }, { transaction });
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledWith('mobile', 7, 'PASSWORD_RESET', { transaction });
+  });
+});
@@ -1,18 +1,643 @@
 /**
- * Mobile Auth Resolvers (Template)
+ * Mobile Auth Resolvers
  * Location: /graphql/clients/mobile/auth/resolvers.js
+ * Purpose: 전화번호 기반 고객 인증 (회원가입/로그인/OTP/토큰/비밀번호)
  */
 
+import { GraphQLError } from 'graphql';
+import db from '../../../../models/index.js';
+import { withMAuth } from '../utils/MobileResolverUtils.js';
+import jwtManager from '../../../../shared/utils/auth/JWT.js';
+import otpManager from '../../../../shared/utils/auth/OTPManager.js';
+import sessionManager from '../../../../shared/utils/auth/SessionManager.js';
+import socialAuthManager from '../../../../shared/utils/auth/SocialAuthManager.js';
+import pushDeviceService from '../../../../shared/utils/services/PushDeviceService.js';
+import { AuthValidators } from '../../../../shared/utils/validators/AuthValidators.js';
+import { logger } from '../../../../shared/utils/utilities/Logger.js';
+
+const { User } = db;
+
+const authValidators = new AuthValidators();
+
+// 로그인이 차단되는 계정 상태
+const BLOCKED_STATUSES = ['SUSPENDED', 'BANNED'];
+
+// OTPManager 에러 → 모바일 에러 코드
+const OTP_ERROR_CODES = {
+  OTP_NOT_FOUND: 'M2013',
+  OTP_EXPIRED: 'M2013',
+  MAX_ATTEMPTS_EXCEEDED: 'M2010',
+  INVALID_OTP: 'M2010',
+};
+
+// SocialAuthManager 에러 → 모바일 에러 코드
+const SOCIAL_ERROR_CODES = {
+  UNSUPPORTED_PROVIDER: 'M1002',
+  INVALID_TOKEN: 'M2018',
+  PROVIDER_UNAVAILABLE: 'M1009',
+  NOT_CONFIGURED: 'M1009',
+};
+
+// 비밀번호 재설정 OTP는 전화번호 인증 OTP와 키를 분리
+const resetOTPKey = (phone) => `reset:${phone}`;
+
+/**
+ * AuthValidators 검증 실행 - GraphQLError를 M1002로 변환
+ * @param {Function} validate - 검증 함수
+ */
+const runValidation = (validate) => {
+  try {
+    return validate();
+  } catch (error) {
+    if (error instanceof GraphQLError) {
+      throw new Error(`M1002:${error.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * 클라이언트 언어 코드 → User.language ENUM
+ * @param {string} language - 'vi', 'en', 'ko'
+ */
+const toUserLanguage = (language) => {
+  const code = String(language || '').slice(0, 2).toUpperCase();
+  return ['VI', 'EN', 'KO'].includes(code) ? code : undefined;
+};
+
+/**
+ * 로그인 가능한 계정인지 확인
+ * @param {User} user
+ */
+const assertCanSignIn = (user) => {
+  if (BLOCKED_STATUSES.includes(user.status)) {
+    throw new Error('M2008'); // ACCOUNT_SUSPENDED
+  }
+};
+
+/**
+ * Authorization 헤더의 Access Token 추출
+ * @param {Object} context
+ */
+const getBearerToken = (context) => {
+  const authorization = context.req?.headers?.authorization || '';
+  return authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null;
+};
+
+/**
+ * OTP 생성/저장 후 SMS 전송 - 발송 한도 초과 M1008, 전송 실패 M1009
+ * @param {string} identifier - OTP 저장 키
+ * @param {string} phone - 수신 전화번호 (E.164)
+ * @param {Object} context - GraphQL context (IP/언어)
+ * @param {Object} options - saveOTP 옵션
+ */
+const issueOTP = async (identifier, phone, context, options) => {
+  const saved = await otpManager.sendOTP(identifier, phone, {
+    language: context.language,
+    ip: sessionManager.getRequestInfo(context.req).ipAddress,
+    ...options,
+  });
+
+  if (!saved.success) {
+    if (saved.error === 'DELIVERY_FAILED') {
+      throw new Error('M1009'); // SERVICE_UNAVAILABLE
+    }
+    throw new Error(`M1008:${saved.retryAfter}`); // RATE_LIMIT_EXCEEDED
+  }
+
+  if (saved.otp) {
+    logger.debug('MobileOTPIssued', { identifier, otp: saved.otp, type: options.type });
+  }
+
+  return {
+    expiresIn: Math.max(0, Math.floor((saved.expiresAt.getTime() - Date.now()) / 1000)),
+    retryAfter: saved.cooldownSeconds,
+  };
+};
+
+/**
+ * OTP 검증 - 실패 시 모바일 에러 코드 throw
+ * @param {string} identifier - OTP 저장 키
+ * @param {string} code - 입력된 OTP 코드
+ */
+const consumeOTP = async (identifier, code) => {
+  const result = await otpManager.verifyOTP(identifier, code);
+  if (!result.valid) {
+    throw new Error(OTP_ERROR_CODES[result.error] || 'M2010');
+  }
+  return result;
+};
+
+/**
+ * 소셜 토큰 검증 - 제공자 프로필 반환 (실패 시 모바일 에러 코드 throw)
+ * 이메일은 제공자가 인증한 경우에만 사용 (미인증 이메일로 다른 사람의 주소를 선점하지 못하게)
+ * 토큰에 없는 이름은 클라이언트 입력으로 보완
+ * @param {Object} input - MobileSocialLoginInput
+ */
+const verifySocialToken = async (input) => {
+  const validated = runValidation(() => authValidators.validateSocialLoginInput(input));
+
+  const result = await socialAuthManager.verify(validated.provider, validated.accessToken, {
+    nonce: validated.nonce,
+  });
+  if (!result.valid) {
+    throw new Error(SOCIAL_ERROR_CODES[result.error] || 'M2018');
+  }
+
+  const { profile } = result;
+  const email = profile.email && profile.emailVerified ? profile.email.toLowerCase() : null;
+
+  return {
+    ...profile,
+    email,
+    emailVerified: Boolean(email),
+    fullName: profile.fullName || validated.fullName,
+    avatarUrl: profile.avatarUrl || input.avatarUrl || null,
+  };
+};
+
+/**
+ * 소셜 계정으로 연결된 사용자 조회
+ * @param {Object} profile - verifySocialToken 결과
+ * @param {Object} options - findOne 옵션
+ */
+const findSocialUser = (profile, options = {}) => (
+  User.findOne({
+    where: { socialProvider: profile.provider, socialId: profile.providerId },
+    ...options,
+  })
+);
+
+/**
+ * 로그인 시 전달된 푸시 토큰 등록 - 로그인 세션에 연결 (실패해도 로그인은 진행)
+ * @param {User} user - 로그인한 고객
+ * @param {AuthSession|null} session - 생성된 로그인 세션
+ * @param {string} pushToken - FCM 토큰
+ * @param {Object} context - GraphQL context
+ */
+const registerLoginPushToken = async (user, session, pushToken, context) => {
+  if (!pushToken) return;
+
+  try {
+    await pushDeviceService.register({ type: 'mobile', id: user.id }, {
+      token: pushToken,
+      locale: context.language,
+      sessionId: session?.id ?? null,
+      userAgent: sessionManager.getRequestInfo(context.req).userAgent,
+    }, { transaction: context.transaction });
+  } catch (error) {
+    logger.warn('LoginPushTokenRegistrationFailed', { userId: user.id, error: error.message });
+  }
+};
+
 export const mobileAuthResolvers = {
+  // ===============================================
+  // User 필드 별칭 (모바일 앱 선택 필드)
+  // ===============================================
+  User: {
+    phoneVerified: (parent) => parent.isPhoneVerified ?? false,
+    emailVerified: (parent) => parent.isEmailVerified ?? false,
+    fullName: (parent) => parent.name ?? null,
+    avatarUrl: (parent) => parent.profileImage ?? null,
+    preferredLanguage: (parent) => (parent.language ? parent.language.toLowerCase() : null),
+  },
+
   Query: {
     mHealthCheck: () => ({
       success: true,
       message: 'Mobile API is healthy',
       timestamp: new Date().toISOString(),
     }),
+
+    /**
+     * 로그인된 디바이스(세션) 목록
+     */
+    mSessions: withMAuth(async (_, __, context) => (
+      sessionManager.listSessions('mobile', context.user.id)
+    ), { name: 'mSessions' }),
   },
+
   Mutation: {
-    // 추후 인증 뮤테이션 추가
+    // ===============================================
+    // 회원가입/로그인
+    // ===============================================
+
+    /**
+     * 전화번호 회원가입
+     */
+    mRegister: withMAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const validated = runValidation(() => authValidators.validateRegistrationInput(input));
+
+      // Soft Delete된 계정까지 포함하여 중복 확인 (phone/email 고유 제약)
+      const existingPhone = await User.findOne({
+        where: { phone: validated.phone },
+        paranoid: false,
+        transaction,
+      });
+      if (existingPhone) {
+        throw new Error(existingPhone.deletedAt ? 'M2009' : 'M2006');
+      }
+
+      if (validated.email) {
+        const existingEmail = await User.findOne({
+          where: { email: validated.email },
+          paranoid: false,
+          transaction,
+        });
+        if (existingEmail) {
+          throw new Error('M2007'); // EMAIL_ALREADY_EXISTS
+        }
+      }
+
+      const user = await User.create({
+        phone: validated.phone,
+        email: validated.email,
+        passwordHash: validated.password, // beforeCreate 훅에서 해싱
+        name: validated.fullName,
+        language: toUserLanguage(input.preferredLanguage || context.language),
+        lastLoginAt: new Date(),
+      }, { transaction });
+
+      const tokens = jwtManager.generateCustomerTokens(user);
+      const session = await sessionManager.createSession({
+        clientType: 'mobile',
+        subjectId: user.id,
+        refreshToken: tokens.refreshToken,
+        req: context.req,
+      }, { transaction });
+      await registerLoginPushToken(user, session, input.pushToken, context);
+
+      return {
+        _code: 'MS001',
+        ...tokens,
+        isNewUser: true,
+        requiresPhoneVerification: !user.isPhoneVerified,
+        user,
+      };
+    }, { name: 'mRegister', requireAuth: false, requiredFields: ['phone', 'password', 'fullName'] }, true),
+
+    /**
+     * 전화번호 로그인
+     */
+    mLoginWithPhone: withMAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const phone = runValidation(() => authValidators.validatePhone(input.phone));
+
+      const user = await User.findOne({ where: { phone }, transaction });
+
+      // 계정 없음과 비밀번호 불일치를 구분하지 않음 (계정 열거 방지)
+      if (!user || !(await user.comparePassword(input.password))) {
+        throw new Error('M2004'); // INVALID_CREDENTIALS
+      }
+      assertCanSignIn(user);
+
+      await user.update({ lastLoginAt: new Date() }, { transaction });
+
+      const tokens = jwtManager.generateCustomerTokens(user);
+      const session = await sessionManager.createSession({
+        clientType: 'mobile',
+        subjectId: user.id,
+        refreshToken: tokens.refreshToken,
+        req: context.req,
+      }, { transaction });
+      await registerLoginPushToken(user, session, input.pushToken, context);
+
+      return {
+        _code: 'MS002',
+        ...tokens,
+        isNewUser: false,
+        requiresPhoneVerification: !user.isPhoneVerified,
+        user,
+      };
+    }, { name: 'mLoginWithPhone', requireAuth: false, requiredFields: ['phone', 'password'] }, true),
+
+    /**
+     * 소셜 로그인 - 연결된 계정이 없으면 신규 가입
+     * 같은 이메일의 기존 계정은 자동 연결하지 않음 (로그인 후 mLinkSocialAccount 필요)
+     */
+    mSocialLogin: withMAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const profile = await verifySocialToken(input);
+
+      let user = await findSocialUser(profile, { transaction });
+      const isNewUser = !user;
+
+      if (user) {
+        assertCanSignIn(user);
+        await user.update({ lastLoginAt: new Date() }, { transaction });
+      } else {
+        if (profile.email) {
+          const existingEmail = await User.findOne({
+            where: { email: profile.email },
+            paranoid: false,
+            transaction,
+          });
+          if (existingEmail) {
+            throw new Error(existingEmail.deletedAt ? 'M2009' : 'M2019'); // SOCIAL_ACCOUNT_LINK_REQUIRED
+          }
+        }
+
+        user = await User.create({
+          email: profile.email,
+          isEmailVerified: profile.emailVerified,
+          name: profile.fullName,
+          profileImage: profile.avatarUrl,
+          socialProvider: profile.provider,
+          socialId: profile.providerId,
+          language: toUserLanguage(input.preferredLanguage || context.language),
+          lastLoginAt: new Date(),
+        }, { transaction });
+
+        logger.info('SocialUserRegistered', { userId: user.id, provider: profile.provider });
+      }
+
+      const tokens = jwtManager.generateCustomerTokens(user);
+      const session = await sessionManager.createSession({
+        clientType: 'mobile',
+        subjectId: user.id,
+        refreshToken: tokens.refreshToken,
+        req: context.req,
+      }, { transaction });
+      await registerLoginPushToken(user, session, input.pushToken, context);
+
+      return {
+        _code: isNewUser ? 'MS001' : 'MS002',
+        ...tokens,
+        isNewUser,
+        requiresPhoneVerification: !user.isPhoneVerified,
+        user,
+      };
+    }, { name: 'mSocialLogin', requireAuth: false, requiredFields: ['provider', 'accessToken'] }, true),
+
+    // ===============================================
+    // 소셜 계정 연결
+    // ===============================================
+
+    /**
+     * 현재 계정에 소셜 계정 연결 - 계정당 하나의 제공자만 연결
+     */
+    mLinkSocialAccount: withMAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+
+      const user = await User.findByPk(context.user.id, { transaction });
+      if (!user) {
+        throw new Error('M2005'); // CUSTOMER_NOT_FOUND
+      }
+      if (user.socialProvider) {
+        throw new Error('M2020'); // SOCIAL_ACCOUNT_ALREADY_LINKED
+      }
+
+      const profile = await verifySocialToken(input);
+
+      // 다른 사용자(탈퇴 계정 포함)에 연결된 소셜 계정은 재사용 불가
+      const linkedUser = await findSocialUser(profile, { paranoid: false, transaction });
+      if (linkedUser) {
+        throw new Error('M2020'); // SOCIAL_ACCOUNT_ALREADY_LINKED
+      }
+
+      await user.update({
+        socialProvider: profile.provider,
+        socialId: profile.providerId,
+      }, { transaction });
+
+      logger.info('SocialAccountLinked', { userId: user.id, provider: profile.provider });
+
+      return { _code: 'MS119', user };
+    }, { name: 'mLinkSocialAccount', requiredFields: ['provider', 'accessToken'] }, true),
+
+    /**
+     * 소셜 계정 연결 해제 - 비밀번호가 없으면 로그인 수단이 사라지므로 거부
+     */
+    mUnlinkSocialAccount: withMAuth(async (_, __, context) => {
+      const { transaction } = context;
+
+      const user = await User.findByPk(context.user.id, { transaction });
+      if (!user) {
+        throw new Error('M2005'); // CUSTOMER_NOT_FOUND
+      }
+      if (!user.socialProvider) {
+        throw new Error('M2021'); // SOCIAL_ACCOUNT_NOT_LINKED
+      }
+      if (!user.passwordHash) {
+        throw new Error('M2022'); // PASSWORD_REQUIRED_TO_UNLINK
+      }
+
+      const provider = user.socialProvider;
+      await user.update({ socialProvider: null, socialId: null }, { transaction });
+
+      logger.info('SocialAccountUnlinked', { userId: user.id, provider });
+
+      return { _code: 'MS120', user };
+    }, { name: 'mUnlinkSocialAccount' }, true),
+
+    // ===============================================
+    // OTP 인증
+    // ===============================================
+
+    /**
+     * 전화번호 인증 OTP 전송
+     */
+    mSendOTP: withMAuth(async (_, { phone }, context) => {
+      const normalizedPhone = runValidation(() => authValidators.validatePhone(phone));
+      const result = await issueOTP(normalizedPhone, normalizedPhone, context, { type: 'verification' });
+
+      return { _code: 'MS005', ...result };
+    }, { name: 'mSendOTP', requireAuth: false, requiredFields: ['phone'] }),
+
+    /**
+     * OTP 검증 - 가입된 번호면 전화번호 인증 완료 처리
+     */
+    mVerifyOTP: withMAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const phone = runValidation(() => authValidators.validatePhone(input.phone));
+
+      await consumeOTP(phone, input.code);
+
+      const user = await User.findOne({ where: { phone }, transaction });
+      if (user && !user.isPhoneVerified) {
+        await user.update({ isPhoneVerified: true }, { transaction });
+        return { _code: 'MS007', verified: true };
+      }
+
+      return { _code: 'MS006', verified: true };
+    }, { name: 'mVerifyOTP', requireAuth: false, requiredFields: ['phone', 'code'] }, true),
+
+    // ===============================================
+    // 토큰 관리
+    // ===============================================
+
+    /**
+     * 토큰 갱신 - Refresh Token 회전 (기존 토큰은 블랙리스트)
+     */
+    mRefreshToken: withMAuth(async (_, { refreshToken }) => {
+      let decoded;
+      try {
+        decoded = await jwtManager.verifyToken(refreshToken, {
+          isRefresh: true,
+          audience: jwtManager.mobileAudience,
+        });
+      } catch (error) {
+        throw new Error(error.name === 'TokenExpiredError' ? 'M2011' : 'M2014');
+      }
+
+      const user = await User.findByPk(decoded.id);
+      if (!user) {
+        throw new Error('M2005'); // CUSTOMER_NOT_FOUND
+      }
+      assertCanSignIn(user);
+
+      const tokens = await jwtManager.refreshTokens(refreshToken, {
+        audience: jwtManager.mobileAudience,
+      });
+
+      return { _code: 'MS008', ...tokens, user };
+    }, { name: 'mRefreshToken', requireAuth: false, requiredFields: ['refreshToken'] }),
+
+    /**
+     * 로그아웃 - Access/Refresh Token 무효화 및 푸시 토큰 해제
+     * (세션에 연결된 푸시 디바이스는 세션 종료 시 PushDeviceService가 삭제)
+     */
+    mLogout: withMAuth(async (_, { refreshToken }, context) => {
+      const accessToken = getBearerToken(context);
+      if (accessToken) {
+        await jwtManager.blacklistToken(accessToken);
+      }
+      if (refreshToken) {
+        await jwtManager.blacklistToken(refreshToken);
+      }
+
+      await User.update(
+        { fcmToken: null },
+        { where: { id: context.user.id }, transaction: context.transaction },
+      );
+
+      await sessionManager.revokeSession(
+        'mobile',
+        context.user.id,
+        context.user.sessionId,
+        'LOGOUT',
+        { transaction: context.transaction },
+      );
+
+      return { _code: 'MS003' };
+    }, { name: 'mLogout' }, true),
+
+    // ===============================================
+    // 세션 관리
+    // ===============================================
+
+    /**
+     * 특정 디바이스 로그아웃 - 해당 세션의 토큰은 다음 요청부터 거부
+     */
+    mRevokeSession: withMAuth(async (_, { sessionId }, context) => {
+      const session = await sessionManager.revokeSession(
+        'mobile',
+        context.user.id,
+        sessionId,
+        'REVOKED_BY_USER',
+        { transaction: context.transaction },
+      );
+      if (!session) {
+        throw new Error('M2017'); // SESSION_NOT_FOUND
+      }
+
+      return { _code: 'MS117' };
+    }, { name: 'mRevokeSession', requiredFields: ['sessionId'] }, true),
+
+    /**
+     * 현재 디바이스 외 모두 로그아웃
+     */
+    mRevokeOtherSessions: withMAuth(async (_, __, context) => {
+      const revokedCount = await sessionManager.revokeOtherSessions(
+        'mobile',
+        context.user.id,
+        context.user.sessionId,
+        'REVOKED_BY_USER',
+        { transaction: context.transaction },
+      );
+
+      return { _code: 'MS118', revokedCount };
+    }, { name: 'mRevokeOtherSessions' }, true),
+
+    // ===============================================
+    // 비밀번호 관리
+    // ===============================================
+
+    /**
+     * 비밀번호 변경
+     */
+    mChangePassword: withMAuth(async (_, { currentPassword, newPassword }, context) => {
+      const { transaction } = context;
+      const password = runValidation(() => authValidators.validatePassword(newPassword));
+
+      const user = await User.findByPk(context.user.id, { transaction });
+      if (!user) {
+        throw new Error('M2005'); // CUSTOMER_NOT_FOUND
+      }
+      if (!(await user.comparePassword(currentPassword))) {
+        throw new Error('M2004'); // INVALID_CREDENTIALS
+      }
+
+      await user.update({ passwordHash: password }, { transaction }); // beforeUpdate 훅에서 해싱
+
+      // 현재 디바이스 외 세션 종료 (탈취된 세션 차단)
+      await sessionManager.revokeOtherSessions('mobile', user.id, context.user.sessionId, 'PASSWORD_CHANGED', { transaction });
+
+      return { _code: 'MS004' };
+    }, { name: 'mChangePassword', requiredFields: ['currentPassword', 'newPassword'] }, true),
+
+    /**
+     * 비밀번호 재설정 OTP 전송
+     * 가입 여부 노출 방지 - 없는/정지된 번호, 재전송 대기/발송 한도 초과, 전송 실패 모두 같은 응답
+     * (발송하지 못한 사유는 서버 로그로만 남김)
+     */
+    mRequestPasswordReset: withMAuth(async (_, { input }, context) => {
+      const phone = runValidation(() => authValidators.validatePhone(input.phone));
+      const response = { _code: 'MS103', expiresIn: otpManager.otpTTL, retryAfter: otpManager.cooldownPeriod };
+
+      const user = await User.findOne({ where: { phone } });
+      if (!user || BLOCKED_STATUSES.includes(user.status)) {
+        logger.info('MobilePasswordResetSkipped', { reason: user ? 'BLOCKED' : 'NOT_FOUND' });
+        return response;
+      }
+
+      try {
+        await issueOTP(resetOTPKey(phone), phone, context, {
+          type: 'reset',
+          language: user.language,
+          metadata: { userId: user.id },
+        });
+      } catch (error) {
+        logger.warn('MobilePasswordResetNotSent', { userId: user.id, error: error.message });
+      }
+
+      return response;
+    }, { name: 'mRequestPasswordReset', requireAuth: false, requiredFields: ['phone'] }),
+
+    /**
+     * OTP 확인 후 비밀번호 재설정
+     */
+    mResetPassword: withMAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const phone = runValidation(() => authValidators.validatePhone(input.phone));
+      const password = runValidation(() => authValidators.validatePassword(input.newPassword));
+
+      await consumeOTP(resetOTPKey(phone), input.code);
+
+      const user = await User.findOne({ where: { phone }, transaction });
+      if (!user) {
+        throw new Error('M2005'); // CUSTOMER_NOT_FOUND
+      }
+
+      // OTP 수신으로 전화번호 소유가 확인되었으므로 인증 처리
+      await user.update({ passwordHash: password, isPhoneVerified: true }, { transaction });
+
+      // 기존 세션/토큰 모두 무효화 (분실/탈취된 디바이스 차단)
+      await sessionManager.revokeAllSessions('mobile', user.id, 'PASSWORD_RESET', { transaction });
+
+      return { _code: 'MS010' };
+    }, { name: 'mResetPassword', requireAuth: false, requiredFields: ['phone', 'code', 'newPassword'] }, true),
   },
 };
 
@@ -0,0 +1,154 @@
+/**
+ * 모바일 소셜 로그인 테스트
+ * 제공자 검증기를 대역으로 교체해 이메일 저장/계정 연결 규칙 확인
+ * DB/세션/토큰 발급은 대역 사용
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+
+const User = {
+  findOne: jest.fn(),
+  create: jest.fn(),
+};
+const transaction = { commit: jest.fn(), rollback: jest.fn(), afterCommit: jest.fn() };
+
+jest.unstable_mockModule('../../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../../../models/index.js', () => ({
+  default: { User, sequelize: { transaction: async () => transaction } },
+}));
+jest.unstable_mockModule('../../../../shared/utils/auth/JWT.js', () => ({
+  default: { generateCustomerTokens: () => ({ accessToken: 'access', refreshToken: 'refresh', expiresIn: 3600 }) },
+}));
+jest.unstable_mockModule('../../../../shared/utils/auth/SessionManager.js', () => ({
+  default: {
+    createSession: async () => ({ id: 'session-1' }),
+    getRequestInfo: () => ({ ipAddress: '127.0.0.1', userAgent: 'jest' }),
+  },
+}));
+jest.unstable_mockModule('../../../../shared/utils/auth/OTPManager.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../../shared/utils/services/PushDeviceService.js', () => ({ default: {} }));
+
+let mSocialLogin;
+let socialAuthManager;
+let GoogleVerifier;
+
+beforeAll(async () => {
+  ({ default: socialAuthManager, GoogleVerifier } = await import('../../../../shared/utils/auth/SocialAuthManager.js'));
+  ({ mobileAuthResolvers: { Mutation: { mSocialLogin } } } = await import('./resolvers.js'));
+});
+
+beforeEach(() => {
+  User.findOne.mockReset().mockResolvedValue(null);
+  User.create.mockReset().mockImplementation(async (values) => ({ id: 1, isPhoneVerified: false, ...values }));
+});
+
+afterEach(() => {
+  socialAuthManager.resetVerifiers();
+});
+
+// 고정 프로필을 돌려주는 검증기 대역
+const fakeVerifier = (profile) => ({
+  verify: async () => ({ fullName: null, avatarUrl: null, ...profile }),
+});
+
+const socialLogin = (input) => mSocialLogin(null, { input: { accessToken: 'provider-token', ...input } }, { req: { headers: {} } });
+
+describe('mSocialLogin 이메일 처리', () => {
+  it('제공자가 인증한 이메일은 소문자로 저장하고 인증 처리한다', async () => {
+    socialAuthManager.registerVerifier('GOOGLE', fakeVerifier({
+      providerId: 'g-1', email: 'Owner@Example.com', emailVerified: true,
+    }));
+
+    const result = await socialLogin({ provider: 'google' });
+
+    expect(result).toMatchObject({ _code: 'MS001', isNewUser: true });
+    expect(User.create).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'owner@example.com', isEmailVerified: true, socialProvider: 'GOOGLE', socialId: 'g-1' }),
+      expect.anything()
+    );
+  });
+
+  it('미인증 이메일(Facebook)은 저장하지 않고 같은 이메일 계정도 조회하지 않는다', async () => {
+    socialAuthManager.registerVerifier('FACEBOOK', fakeVerifier({
+      providerId: 'fb-1', email: 'victim@example.com', emailVerified: false,
+    }));
+
+    await socialLogin({ provider: 'facebook' });
+
+    expect(User.create).toHaveBeenCalledWith(
+      expect.objectContaining({ email: null, isEmailVerified: false, socialProvider: 'FACEBOOK' }),
+      expect.anything()
+    );
+    // 소셜 계정 조회 한 번뿐 - 이메일로 기존 계정을 찾지 않음
+    expect(User.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('인증된 이메일이 기존 계정과 겹치면 자동 연결하지 않고 연결 절차를 요구한다', async () => {
+    socialAuthManager.registerVerifier('GOOGLE', fakeVerifier({
+      providerId: 'g-2', email: 'taken@example.com', emailVerified: true,
+    }));
+    User.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 9, email: 'taken@example.com', deletedAt: null });
+
+    await expect(socialLogin({ provider: 'google' })).rejects.toMatchObject({
+      extensions: { errorCode: 'M2019' },
+    });
+    expect(User.create).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('검증기가 토큰을 거부하면 M2018을 반환한다', async () => {
+    socialAuthManager.registerVerifier('GOOGLE', {
+      verify: async () => {
+        const error = new Error('bad signature');
+        error.name = 'SocialTokenError';
+        error.reason = 'INVALID_TOKEN';
+        throw error;
+      },
+    });
+
+    await expect(socialLogin({ provider: 'google' })).rejects.toMatchObject({
+      extensions: { errorCode: 'M2018' },
+    });
+  });
+});
+
+describe('GoogleVerifier email_verified 클레임', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  // 로컬 키로 서명한 ID Token을 검증하는 Google 검증기
+  const localGoogleVerifier = () => {
+    const verifier = new GoogleVerifier();
+    verifier.audiences = ['test-client-id'];
+    verifier.jwks = { getKey: async () => publicKey };
+    return verifier;
+  };
+
+  const idToken = (claims) => jwt.sign(
+    { sub: 'g-3', email: 'person@example.com', ...claims },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'local', issuer: 'https://accounts.google.com', audience: 'test-client-id', expiresIn: 60 }
+  );
+
+  it('email_verified가 false인 토큰의 이메일은 저장하지 않는다', async () => {
+    socialAuthManager.registerVerifier('GOOGLE', localGoogleVerifier());
+
+    await socialLogin({ provider: 'google', accessToken: idToken({ email_verified: false }) });
+
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ email: null, isEmailVerified: false }), expect.anything());
+  });
+
+  it('email_verified가 true인 토큰의 이메일은 저장한다', async () => {
+    socialAuthManager.registerVerifier('GOOGLE', localGoogleVerifier());
+
+    await socialLogin({ provider: 'google', accessToken: idToken({ email_verified: true }) });
+
+    expect(User.create).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'person@example.com', isEmailVerified: true }),
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Mobile Chat Resolvers
+ * Location: /graphql/clients/mobile/chat/resolvers.js
+ * Purpose: 고객 ↔ Web 계정 채팅 (채팅방/메시지/수신·읽음 상태)
+ */
+
+import db from '../../../../models/index.js';
+import { withMAuth, parsePagination } from '../utils/MobileResolverUtils.js';
+import chatService from '../../../../shared/utils/services/ChatService.js';
+
+const { WebAccount } = db;
+
+// ChatService 에러 → 모바일 에러 코드
+const CHAT_ERROR_CODES = {
+  ROOM_NOT_FOUND: 'M8501',
+  ACCESS_DENIED: 'M8502',
+  EMPTY_MESSAGE: 'M8503',
+  MESSAGE_TOO_LONG: 'M8504',
+  MESSAGE_NOT_FOUND: 'M8505',
+  INVALID_PARTICIPANT: 'M1002',
+  INVALID_MESSAGE: 'M1002',
+  INVALID_CURSOR: 'M1002',
+  INVALID_MUTE_DURATION: 'M1002',
+};
+
+/**
+ * 요청자 → 채팅 참여자 식별자
+ */
+const toParticipant = (context) => ({ type: 'mobile', id: context.user.id });
+
+/**
+ * ChatService 호출 - ChatError를 모바일 에러 코드로 변환
+ * @param {Function} fn - ChatService 호출 함수
+ */
+const runChat = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error.name === 'ChatError') {
+      throw new Error(CHAT_ERROR_CODES[error.reason] || 'M1002');
+    }
+    throw error;
+  }
+};
+
+const mChatResolvers = {
+  Query: {
+    /**
+     * 참여 중인 채팅방 목록 (최근 메시지 순)
+     */
+    mChatRooms: withMAuth(async (_, { pagination }, context) => {
+      const { limit, offset } = parsePagination(pagination || {});
+      const { rooms, total } = await runChat(() => (
+        chatService.listRooms(toParticipant(context), { limit, offset })
+      ));
+
+      return {
+        rooms,
+        pagination: { total, limit, offset, hasMore: offset + rooms.length < total },
+      };
+    }, { name: 'mChatRooms' }),
+
+    /**
+     * 채팅방 상세
+     */
+    mChatRoom: withMAuth(async (_, { roomId }, context) => (
+      runChat(() => chatService.getRoom(roomId, toParticipant(context)))
+    ), { name: 'mChatRoom', requiredFields: ['roomId'] }),
+
+    /**
+     * 메시지 목록 (커서 페이지네이션, 오래된 메시지 → 최신 메시지 순)
+     */
+    mGetChatMessages: withMAuth(async (_, { input }, context) => (
+      runChat(() => chatService.getMessages(input.roomId, toParticipant(context), input))
+    ), { name: 'mGetChatMessages', requiredFields: ['roomId'] }),
+
+    /**
+     * 읽지 않은 메시지 수 (채팅방별/전체)
+     */
+    mChatUnreadCounts: withMAuth(async (_, __, context) => (
+      runChat(() => chatService.getUnreadSummary(toParticipant(context)))
+    ), { name: 'mChatUnreadCounts' }),
+  },
+
+  Mutation: {
+    /**
+     * 1:1 채팅방 생성 - 같은 상대와의 채팅방이 있으면 기존 채팅방 반환
+     */
+    mCreateChatRoom: withMAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+
+      const webAccount = await WebAccount.findByPk(input.webAccountId, { transaction });
+      if (!webAccount || webAccount.status !== 'ACTIVE') {
+        throw new Error('M8506'); // CHAT_RECIPIENT_NOT_FOUND
+      }
+
+      const participant = toParticipant(context);
+      return runChat(async () => {
+        const { room, created } = await chatService.findOrCreateDirectRoom(
+          participant,
+          { type: 'web', id: webAccount.id },
+          { transaction }
+        );
+
+        return {
+          _code: created ? 'MS750' : 'MS751',
+          created,
+          room: await chatService.getRoom(room.id, participant, { transaction }),
+        };
+      });
+    }, { name: 'mCreateChatRoom', requiredFields: ['webAccountId'] }, true),
+
+    /**
+     * 메시지 전송 - 커밋 후 채팅방 소켓으로 전파
+     */
+    mSendChatMessage: withMAuth(async (_, { input }, context) => {
+      const { message } = await runChat(() => (
+        chatService.sendMessage(input.roomId, toParticipant(context), input, { transaction: context.transaction })
+      ));
+
+      return { _code: 'MS752', chatMessage: message };
+    }, { name: 'mSendChatMessage', requiredFields: ['roomId'] }, true),
+
+    /**
+     * 읽음 처리 - messageId까지 (없으면 마지막 메시지까지)
+     */
+    mMarkMessagesRead: withMAuth(async (_, { input }, context) => {
+      const state = await runChat(() => (
+        chatService.markRead(input.roomId, toParticipant(context), input.messageId, { transaction: context.transaction })
+      ));
+
+      return { _code: 'MS753', ...state };
+    }, { name: 'mMarkMessagesRead', requiredFields: ['roomId'] }, true),
+
+    /**
+     * 수신 처리 - messageId까지 (없으면 마지막 메시지까지)
+     */
+    mMarkMessagesDelivered: withMAuth(async (_, { input }, context) => {
+      const state = await runChat(() => (
+        chatService.markDelivered(input.roomId, toParticipant(context), input.messageId, { transaction: context.transaction })
+      ));
+
+      return { _code: 'MS755', ...state };
+    }, { name: 'mMarkMessagesDelivered', requiredFields: ['roomId'] }, true),
+
+    /**
+     * 푸시 알림 음소거 설정/해제 - durationMinutes가 없으면 무기한
+     */
+    mMuteChatRoom: withMAuth(async (_, { input }, context) => {
+      const state = await runChat(() => (
+        chatService.setMuted(input.roomId, toParticipant(context), input, { transaction: context.transaction })
+      ));
+
+      return { _code: 'MS754', ...state };
+    }, { name: 'mMuteChatRoom', requiredFields: ['roomId'] }, true),
+  },
+};
+
+export default mChatResolvers;
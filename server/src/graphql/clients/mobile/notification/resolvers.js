@@ -0,0 +1,122 @@
+/**
+ * Mobile Notification Resolvers
+ * Location: /graphql/clients/mobile/notification/resolvers.js
+ * Purpose: 고객 알림함 (목록/읽음/보관), 수신 설정, 푸시 디바이스 등록
+ */
+
+import { withMAuth } from '../utils/MobileResolverUtils.js';
+import notificationInboxService from '../../../../shared/utils/services/NotificationInboxService.js';
+import pushDeviceService from '../../../../shared/utils/services/PushDeviceService.js';
+import notificationPreferenceService from '../../../../shared/utils/services/NotificationPreferenceService.js';
+import sessionManager from '../../../../shared/utils/auth/SessionManager.js';
+
+/**
+ * 요청자 → 알림 수신자 식별자
+ */
+const toRecipient = (context) => ({ type: 'mobile', id: context.user.id });
+
+// 입력 검증 실패로 처리하는 서비스 에러
+const INPUT_ERROR_NAMES = ['NotificationError', 'PushDeviceError', 'NotificationPreferenceError'];
+
+/**
+ * 알림함/푸시 디바이스/수신 설정 서비스 호출 - 서비스 에러는 모두 입력 검증 실패
+ * @param {Function} fn - 서비스 호출 함수
+ */
+const runNotification = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (INPUT_ERROR_NAMES.includes(error.name)) {
+      throw new Error('M1002');
+    }
+    throw error;
+  }
+};
+
+const mNotificationResolvers = {
+  Query: {
+    /**
+     * 알림 목록 (커서 페이지네이션, 최신 알림부터)
+     */
+    mNotifications: withMAuth(async (_, { input }, context) => (
+      runNotification(() => notificationInboxService.list(toRecipient(context), input || {}))
+    ), { name: 'mNotifications' }),
+
+    /**
+     * 읽지 않은 알림 수 (보관 제외)
+     */
+    mNotificationUnreadCount: withMAuth(async (_, { category }, context) => (
+      runNotification(() => notificationInboxService.countUnread(toRecipient(context), { category }))
+    ), { name: 'mNotificationUnreadCount' }),
+
+    /**
+     * 알림 수신 설정 (분류 × 채널, 방해 금지 시간)
+     */
+    mNotificationPreferences: withMAuth(async (_, __, context) => (
+      runNotification(() => notificationPreferenceService.getPreferences(toRecipient(context)))
+    ), { name: 'mNotificationPreferences' }),
+  },
+
+  Mutation: {
+    /**
+     * 읽음 처리 - all이면 전체(category 지정 시 해당 분류만), 아니면 notificationIds
+     */
+    mMarkNotificationsRead: withMAuth(async (_, { input }, context) => {
+      const recipient = toRecipient(context);
+      const options = { transaction: context.transaction };
+
+      const result = await runNotification(() => (
+        input.all
+          ? notificationInboxService.markAllRead(recipient, { category: input.category }, options)
+          : notificationInboxService.markRead(recipient, input.notificationIds, options)
+      ));
+
+      return { _code: 'MS700', ...result };
+    }, { name: 'mMarkNotificationsRead' }, true),
+
+    /**
+     * 보관/보관 해제
+     */
+    mArchiveNotifications: withMAuth(async (_, { input }, context) => {
+      const result = await runNotification(() => (
+        notificationInboxService.setArchived(toRecipient(context), input.notificationIds, input.archived, {
+          transaction: context.transaction
+        })
+      ));
+
+      return { _code: input.archived ? 'MS701' : 'MS702', ...result };
+    }, { name: 'mArchiveNotifications', requiredFields: ['notificationIds'] }, true),
+
+    /**
+     * 알림 수신 설정 변경 - 전달한 항목만 변경 (보안 알림은 변경 불가)
+     */
+    mUpdateNotificationPreferences: withMAuth(async (_, { input }, context) => {
+      const preferences = await runNotification(() => (
+        notificationPreferenceService.updatePreferences(toRecipient(context), input, {
+          transaction: context.transaction
+        })
+      ));
+
+      return { _code: 'MS703', preferences };
+    }, { name: 'mUpdateNotificationPreferences' }, true),
+
+    /**
+     * FCM 토큰 등록/갱신 - 현재 세션에 연결 (로그아웃 시 해제)
+     * platform 미전달 시 User-Agent로 판단
+     */
+    mUpdatePushToken: withMAuth(async (_, { pushToken, platform, appVersion, locale }, context) => {
+      await runNotification(() => pushDeviceService.register(toRecipient(context), {
+        token: pushToken,
+        platform,
+        appVersion,
+        locale: locale || context.language,
+        sessionId: context.user.sessionId || null,
+        userAgent: sessionManager.getRequestInfo(context.req).userAgent
+      }, { transaction: context.transaction }));
+
+      return { _code: 'MS920' };
+    }, { name: 'mUpdatePushToken', requiredFields: ['pushToken'] }, true),
+  },
+};
+
+export default mNotificationResolvers;
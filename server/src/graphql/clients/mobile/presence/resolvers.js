@@ -0,0 +1,52 @@
+/**
+ * Mobile Presence Resolvers
+ * Location: /graphql/clients/mobile/presence/resolvers.js
+ * Purpose: 접속 상태 조회 (Web 계정, 같은 채팅방 참여자)
+ */
+
+import { withMAuth } from '../utils/MobileResolverUtils.js';
+import presenceService from '../../../../shared/utils/services/PresenceService.js';
+
+// PresenceService 에러 → 모바일 에러 코드
+const PRESENCE_ERROR_CODES = {
+  INVALID_TARGET: 'M1002',
+  ACCESS_DENIED: 'M8507',
+};
+
+/**
+ * 권한 검증 후 접속 상태 조회 - PresenceError를 모바일 에러 코드로 변환
+ * @param {Object} context - GraphQL context
+ * @param {Array<{ userType, userId }>} targets
+ */
+const loadPresence = async (context, targets) => {
+  try {
+    await presenceService.assertCanView({ userType: 'CUSTOMER', userId: context.user.id }, targets);
+  } catch (error) {
+    if (error.name === 'PresenceError') {
+      throw new Error(PRESENCE_ERROR_CODES[error.reason] || 'M1002');
+    }
+    throw error;
+  }
+  return presenceService.getBulkPresence(targets);
+};
+
+const mPresenceResolvers = {
+  Query: {
+    /**
+     * 접속 상태 조회
+     */
+    mGetPresence: withMAuth(async (_, { target }, context) => {
+      const [presence] = await loadPresence(context, [target]);
+      return presence;
+    }, { name: 'mGetPresence', requiredFields: ['target'] }),
+
+    /**
+     * 접속 상태 일괄 조회 (중복 대상은 한 번만 반환)
+     */
+    mGetBulkPresence: withMAuth(async (_, { targets }, context) => (
+      loadPresence(context, targets)
+    ), { name: 'mGetBulkPresence', requiredFields: ['targets'] }),
+  },
+};
+
+export default mPresenceResolvers;
@@ -9,6 +9,9 @@ import { mergeResolvers } from '@graphql-tools/merge';
 
 // 도메인별 리졸버 import
 import mAuthResolvers from './auth/resolvers.js';
+import mChatResolvers from './chat/resolvers.js';
+import mNotificationResolvers from './notification/resolvers.js';
+import mPresenceResolvers from './presence/resolvers.js';
 
 // ===============================================
 // 리졸버 통합
@@ -16,6 +19,9 @@ import mAuthResolvers from './auth/resolvers.js';
 
 const allResolvers = [
   mAuthResolvers,
+  mChatResolvers,
+  mNotificationResolvers,
+  mPresenceResolvers,
 ];
 
 // ===============================================
@@ -25,12 +25,24 @@ const loadSchema = () => {
     // Mobile auth 스키마
     const authSchemaPath = join(__dirname, './auth/schema.graphql');
 
+    // Mobile chat 스키마
+    const chatSchemaPath = join(__dirname, './chat/schema.graphql');
+
+    // Mobile notification 스키마
+    const notificationSchemaPath = join(__dirname, './notification/schema.graphql');
+
+    // Mobile presence 스키마
+    const presenceSchemaPath = join(__dirname, './presence/schema.graphql');
+
     // 스키마 파일 읽기
     const scalars = readFileSync(scalarsPath, 'utf8');
     const enums = readFileSync(enumsPath, 'utf8');
     const baseTypes = readFileSync(baseTypesPath, 'utf8');
     const baseSchema = readFileSync(baseSchemaPath, 'utf8');
     const authSchema = readFileSync(authSchemaPath, 'utf8');
+    const chatSchema = readFileSync(chatSchemaPath, 'utf8');
+    const notificationSchema = readFileSync(notificationSchemaPath, 'utf8');
+    const presenceSchema = readFileSync(presenceSchemaPath, 'utf8');
 
     // 스키마 병합
     return `
@@ -39,6 +51,9 @@ ${enums}
 ${baseTypes}
 ${baseSchema}
 ${authSchema}
+${chatSchema}
+${notificationSchema}
+${presenceSchema}
     `;
   } catch (error) {
     console.error('[모바일 스키마] 스키마 로드 실패:', error);
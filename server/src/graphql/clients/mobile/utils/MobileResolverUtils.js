@@ -36,7 +36,8 @@ export const withMAuth = (resolverFn, options = {}, isMutation = false) => {
 
     try {
       // 토큰 만료를 먼저 체크 (context.user가 isExpired 객체인 경우)
-      if (context.user?.isExpired === true) {
+      // 인증이 필요 없는 리졸버(로그인, 토큰 갱신 등)는 만료된 토큰을 무시
+      if (requireAuth && context.user?.isExpired === true) {
         console.log('[MobileResolverUtils] Token expired detected');
         throw new Error('M2003'); // ACCESS_TOKEN_EXPIRED
       }
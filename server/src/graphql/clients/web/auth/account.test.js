@@ -0,0 +1,192 @@
+/**
+ * Web 계정 인증 테스트
+ * 로그인/토큰 갱신의 상태별 차단, 비밀번호 변경/재설정과 계정 비활성화 시 세션/토큰 무효화
+ * DB/토큰/세션은 대역, 재설정 토큰은 kv 메모리 저장소 사용
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const WebAccount = {
+  findOne: jest.fn(),
+  findByPk: jest.fn(),
+};
+const transaction = { commit: jest.fn(), rollback: jest.fn(), afterCommit: jest.fn() };
+
+const jwtManager = {
+  webAudience: 'web',
+  generateWebTokens: jest.fn(() => ({ accessWebToken: 'access-1', refreshWebToken: 'refresh-1' })),
+  getTokenRemainingTime: () => 900,
+  verifyToken: jest.fn(),
+  refreshTokens: jest.fn(),
+};
+const sessionManager = {
+  createSession: jest.fn(async () => ({ id: 'session-1' })),
+  revokeOtherSessions: jest.fn(async () => 0),
+  revokeAllSessions: jest.fn(async () => 0),
+};
+const mfaManager = {
+  getCredential: jest.fn(async () => null),
+};
+
+jest.unstable_mockModule('../../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../../../models/index.js', () => ({
+  default: { WebAccount, sequelize: { transaction: async () => transaction } },
+}));
+jest.unstable_mockModule('../../../../shared/utils/auth/JWT.js', () => ({ default: jwtManager }));
+jest.unstable_mockModule('../../../../shared/utils/auth/SessionManager.js', () => ({ default: sessionManager }));
+jest.unstable_mockModule('../../../../shared/utils/auth/MFAManager.js', () => ({ default: mfaManager }));
+jest.unstable_mockModule('../../../../shared/utils/services/EmailService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../../shared/utils/services/NotificationPreferenceService.js', () => ({ default: {} }));
+
+let Mutation;
+let kv;
+
+beforeAll(async () => {
+  ({ webAuthResolvers: { Mutation } } = await import('./resolvers.js'));
+  ({ kv } = await import('../../../../shared/cache/kv.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// update만 기록하는 계정 대역
+const webAccount = (values = {}) => ({
+  id: 11,
+  email: 'owner@example.com',
+  status: 'ACTIVE',
+  comparePassword: async (password) => password === 'current-password',
+  updateLastLogin: jest.fn(async () => {}),
+  update: jest.fn(async () => {}),
+  ...values,
+});
+
+const context = (storeAccount = null) => ({ req: { headers: {}, ip: '127.0.0.1' }, storeAccount });
+const signedIn = () => context({ id: 11, sessionId: 'session-current' });
+
+const login = () => Mutation.wLogin(
+  null,
+  { input: { email: ' Owner@Example.com ', password: 'current-password' } },
+  context()
+);
+
+describe('wLogin', () => {
+  it('정상 계정은 토큰을 발급하고 세션을 기록한다', async () => {
+    WebAccount.findOne.mockResolvedValue(webAccount());
+
+    expect(await login()).toMatchObject({ _code: 'SS002', accessToken: 'access-1', refreshToken: 'refresh-1' });
+    expect(WebAccount.findOne).toHaveBeenCalledWith({ where: { email: 'owner@example.com' }, transaction });
+    expect(sessionManager.createSession).toHaveBeenCalledWith(
+      expect.objectContaining({ clientType: 'web', subjectId: 11, refreshToken: 'refresh-1' }),
+      { transaction }
+    );
+  });
+
+  it('없는 계정과 비밀번호 불일치를 구분하지 않는다', async () => {
+    WebAccount.findOne.mockResolvedValue(null);
+    await expect(login()).rejects.toMatchObject({ extensions: { errorCode: 'S2004' } });
+
+    WebAccount.findOne.mockResolvedValue(webAccount({ comparePassword: async () => false }));
+    await expect(login()).rejects.toMatchObject({ extensions: { errorCode: 'S2004' } });
+  });
+
+  it.each([
+    ['SUSPENDED', 'S2007'],
+    ['BANNED', 'S2007'],
+    ['INACTIVE', 'S2020'],
+  ])('%s 계정은 %s로 거부하고 토큰을 발급하지 않는다', async (status, errorCode) => {
+    WebAccount.findOne.mockResolvedValue(webAccount({ status }));
+
+    await expect(login()).rejects.toMatchObject({ extensions: { errorCode } });
+    expect(jwtManager.generateWebTokens).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('wRefreshToken', () => {
+  const refresh = () => Mutation.wRefreshToken(null, { refreshToken: 'refresh-1' }, context());
+
+  beforeEach(() => {
+    jwtManager.verifyToken.mockResolvedValue({ id: 11 });
+    jwtManager.refreshTokens.mockResolvedValue({ accessWebToken: 'access-2', refreshWebToken: 'refresh-2' });
+  });
+
+  it('정상 계정은 토큰을 회전한다', async () => {
+    WebAccount.findByPk.mockResolvedValue(webAccount());
+
+    expect(await refresh()).toMatchObject({ _code: 'SS006', accessToken: 'access-2', refreshToken: 'refresh-2' });
+    expect(jwtManager.refreshTokens).toHaveBeenCalledWith('refresh-1', { audience: 'web' });
+  });
+
+  it('비활성화된 계정은 갱신하지 않는다', async () => {
+    WebAccount.findByPk.mockResolvedValue(webAccount({ status: 'INACTIVE' }));
+
+    await expect(refresh()).rejects.toMatchObject({ extensions: { errorCode: 'S2020' } });
+    expect(jwtManager.refreshTokens).not.toHaveBeenCalled();
+  });
+
+  it('만료된 Refresh Token은 S2003', async () => {
+    jwtManager.verifyToken.mockRejectedValue(Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' }));
+
+    await expect(refresh()).rejects.toMatchObject({ extensions: { errorCode: 'S2003' } });
+  });
+});
+
+describe('wChangePassword', () => {
+  const changePassword = (currentPassword) => Mutation.wChangePassword(
+    null,
+    { input: { currentPassword, newPassword: 'new-password-1' } },
+    signedIn()
+  );
+
+  it('현재 세션 외 모든 세션을 종료한다', async () => {
+    const account = webAccount();
+    WebAccount.findByPk.mockResolvedValue(account);
+
+    expect(await changePassword('current-password')).toMatchObject({ _code: 'SS004' });
+    expect(account.update).toHaveBeenCalledWith({ passwordHash: 'new-password-1' }, { transaction });
+    expect(sessionManager.revokeOtherSessions).toHaveBeenCalledWith('web', 11, 'session-current', 'PASSWORD_CHANGED', { transaction });
+  });
+
+  it('현재 비밀번호가 틀리면 세션을 건드리지 않는다', async () => {
+    WebAccount.findByPk.mockResolvedValue(webAccount());
+
+    await expect(changePassword('wrong-password')).rejects.toMatchObject({ extensions: { errorCode: 'S2008' } });
+    expect(sessionManager.revokeOtherSessions).not.toHaveBeenCalled();
+  });
+});
+
+describe('wResetPassword', () => {
+  const resetKey = (token) => `web:password-reset:${crypto.createHash('sha256').update(token).digest('hex')}`;
+  const resetPassword = (token) => Mutation.wResetPassword(
+    null,
+    { input: { token, newPassword: 'new-password-1' } },
+    context()
+  );
+
+  it('모든 세션과 기존 토큰을 무효화하고 재설정 토큰은 한 번만 쓴다', async () => {
+    const account = webAccount();
+    WebAccount.findByPk.mockResolvedValue(account);
+    await kv.setex(resetKey('reset-token-1'), 60, '11');
+
+    expect(await resetPassword('reset-token-1')).toMatchObject({ _code: 'SS010' });
+    expect(account.update).toHaveBeenCalledWith({ passwordHash: 'new-password-1' }, { transaction });
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledWith('web', 11, 'PASSWORD_RESET', { transaction });
+
+    await expect(resetPassword('reset-token-1')).rejects.toMatchObject({ extensions: { errorCode: 'S2019' } });
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('wDeactivateAccount', () => {
+  it('계정을 비활성화하고 모든 세션과 기존 토큰을 무효화한다', async () => {
+    const account = webAccount();
+    WebAccount.findByPk.mockResolvedValue(account);
+
+    expect(await Mutation.wDeactivateAccount(null, {}, signedIn())).toMatchObject({ _code: 'SS013' });
+    expect(account.update).toHaveBeenCalledWith({ status: 'INACTIVE' }, { transaction });
+    expect(sessionManager.revokeAllSessions).toHaveBeenCalledWith('web', 11, 'ACCOUNT_DEACTIVATED', { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+});
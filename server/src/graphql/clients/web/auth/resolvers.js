@@ -1,8 +1,198 @@
 /**
- * Web Auth Resolvers (Template)
+ * Web Auth Resolvers
  * Location: /graphql/clients/web/auth/resolvers.js
+ * Purpose: WebAccount 인증 (이메일 로그인/토큰/비밀번호/프로필)
  */
 
+import crypto from 'crypto';
+import { GraphQLError } from 'graphql';
+import db from '../../../../models/index.js';
+import { withWebAuth } from '../utils/WebResolverUtils.js';
+import jwtManager from '../../../../shared/utils/auth/JWT.js';
+import sessionManager from '../../../../shared/utils/auth/SessionManager.js';
+import mfaManager from '../../../../shared/utils/auth/MFAManager.js';
+import encryptionManager from '../../../../shared/utils/security/Encryption.js';
+import { AuthValidators } from '../../../../shared/utils/validators/AuthValidators.js';
+import { kv } from '../../../../shared/cache/kv.js';
+import emailService from '../../../../shared/utils/services/EmailService.js';
+import notificationPreferenceService from '../../../../shared/utils/services/NotificationPreferenceService.js';
+
+const { WebAccount } = db;
+
+const authValidators = new AuthValidators();
+
+// 비밀번호 재설정 토큰 유효 시간 (초)
+const PASSWORD_RESET_TTL = 60 * 60;
+
+// 비밀번호 재설정 메일 요청 한도 (windowSeconds 동안 이메일/IP별 최대 횟수)
+const PASSWORD_RESET_QUOTA = { email: 3, ip: 10, windowSeconds: 60 * 60 };
+
+// 상태별 로그인 차단 에러 코드
+const BLOCKED_STATUS_CODES = {
+  SUSPENDED: 'S2007',
+  BANNED: 'S2007',
+  INACTIVE: 'S2020',
+};
+
+// 재설정 토큰 원문은 저장하지 않고 해시로만 조회
+const passwordResetKey = (token) =>
+  `web:password-reset:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+/**
+ * AuthValidators 검증 실행 - GraphQLError를 지정한 S 코드로 변환
+ * @param {Function} validate - 검증 함수
+ * @param {string} code - 변환할 에러 코드
+ */
+const runValidation = (validate, code = 'S1002') => {
+  try {
+    return validate();
+  } catch (error) {
+    if (error instanceof GraphQLError) {
+      throw new Error(`${code}:${error.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * 클라이언트 언어 코드 → WebAccount.language ENUM
+ * @param {string} language - 'vi', 'en', 'ko'
+ */
+const toAccountLanguage = (language) => {
+  const code = String(language || '').slice(0, 2).toUpperCase();
+  return ['VI', 'EN', 'KO'].includes(code) ? code : undefined;
+};
+
+/**
+ * 로그인 가능한 계정인지 확인
+ * @param {WebAccount} account
+ */
+const assertCanSignIn = (account) => {
+  const code = BLOCKED_STATUS_CODES[account.status];
+  if (code) {
+    throw new Error(code);
+  }
+};
+
+/**
+ * 요청 IP 추출 - x-forwarded-for는 app의 trust proxy 설정에 따라 req.ip에 반영됨
+ * @param {Object} context
+ */
+const getClientIp = (context) => context.req?.ip || context.req?.socket?.remoteAddress || null;
+
+/**
+ * 비밀번호 재설정 메일 요청 한도 확인 (이메일/IP별 토큰 버킷)
+ * - 가입 여부와 무관하게 적용 (한도 응답으로 계정 존재를 알 수 없음)
+ * @param {string} email - 정규화된 이메일
+ * @param {Object} context
+ */
+const assertPasswordResetQuota = async (email, context) => {
+  const emailHash = crypto.createHash('sha256').update(email).digest('hex');
+  const buckets = [
+    [`web:password-reset:quota:email:${emailHash}`, PASSWORD_RESET_QUOTA.email],
+    [`web:password-reset:quota:ip:${getClientIp(context) || 'unknown'}`, PASSWORD_RESET_QUOTA.ip],
+  ];
+
+  for (const [key, capacity] of buckets) {
+    const bucket = await kv.takeToken(key, capacity, capacity / PASSWORD_RESET_QUOTA.windowSeconds);
+    if (!bucket.allowed) {
+      throw new Error(`S1007:${Math.ceil(bucket.retryAfterMs / 1000)}`); // RATE_LIMIT_EXCEEDED
+    }
+  }
+};
+
+/**
+ * Authorization 헤더의 Access Token 추출
+ * @param {Object} context
+ */
+const getBearerToken = (context) => {
+  const authorization = context.req?.headers?.authorization || '';
+  return authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null;
+};
+
+/**
+ * Web 토큰 쌍 → 클라이언트 응답 형식
+ * @param {Object} tokens - { accessWebToken, refreshWebToken }
+ */
+const toTokenResponse = ({ accessWebToken, refreshWebToken }) => ({
+  accessToken: accessWebToken,
+  refreshToken: refreshWebToken,
+  expiresIn: jwtManager.getTokenRemainingTime(accessWebToken),
+});
+
+/**
+ * 현재 인증된 계정 조회
+ * @param {Object} context
+ */
+const findCurrentAccount = async (context) => {
+  const account = await WebAccount.findByPk(context.storeAccount.id, {
+    transaction: context.transaction,
+  });
+  if (!account) {
+    throw new Error('S2005'); // STORE_ACCOUNT_NOT_FOUND
+  }
+  return account;
+};
+
+/**
+ * 로그인 완료 - 토큰 발급 및 세션 기록 (비밀번호/2단계 인증 확인 후)
+ * @param {WebAccount} account
+ * @param {Object} context
+ */
+const completeLogin = async (account, context) => {
+  const { transaction } = context;
+
+  await account.updateLastLogin(getClientIp(context), { transaction });
+
+  const tokens = jwtManager.generateWebTokens(account);
+  await sessionManager.createSession({
+    clientType: 'web',
+    subjectId: account.id,
+    refreshToken: tokens.refreshWebToken,
+    req: context.req,
+  }, { transaction });
+
+  return {
+    _code: 'SS002',
+    ...toTokenResponse(tokens),
+    account,
+  };
+};
+
+/**
+ * 활성화된 MFA 자격 증명 조회
+ * @param {string} accountId
+ * @param {Object} transaction
+ */
+const findEnabledCredential = async (accountId, transaction) => {
+  const credential = await mfaManager.getCredential('web', accountId, { transaction });
+  if (!credential?.isEnabled()) {
+    throw new Error('S2025'); // MFA_NOT_ENABLED
+  }
+  return credential;
+};
+
+/**
+ * MFA 검증 실패 사유 → 에러 코드
+ */
+const mfaErrorCode = (result) => (
+  result.error === 'MFA_TOO_MANY_ATTEMPTS' ? 'S2026' : 'S2022' // MFA_TOO_MANY_ATTEMPTS / INVALID_MFA_CODE
+);
+
+/**
+ * MFA 코드(TOTP 또는 복구 코드) 확인
+ * @param {MfaCredential} credential
+ * @param {string} code
+ * @param {Object} transaction
+ */
+const assertMfaCode = async (credential, code, transaction) => {
+  const result = await mfaManager.verifyCode(credential, code, { transaction });
+  if (!result.valid) {
+    throw new Error(mfaErrorCode(result));
+  }
+  return result;
+};
+
 export const webAuthResolvers = {
   Query: {
     sHealthCheck: () => ({
@@ -10,9 +200,398 @@ export const webAuthResolvers = {
       message: 'Web API is healthy',
       timestamp: new Date().toISOString(),
     }),
+
+    /**
+     * 현재 로그인한 계정 정보
+     */
+    wGetMe: withWebAuth(async (_, __, context) => {
+      const account = await findCurrentAccount(context);
+      return account.get({ plain: true });
+    }, { name: 'wGetMe', checkStoreId: false }),
+
+    /**
+     * 토큰 유효성 검증 - 실패해도 에러 대신 valid: false 반환
+     */
+    wValidateToken: withWebAuth(async (_, __, context) => {
+      const { storeAccount } = context;
+      if (!storeAccount?.id || storeAccount.isExpired) {
+        return { valid: false, account: null };
+      }
+
+      const account = await WebAccount.findByPk(storeAccount.id);
+      if (!account || BLOCKED_STATUS_CODES[account.status]) {
+        return { valid: false, account: null };
+      }
+
+      return { valid: true, account };
+    }, { name: 'wValidateToken', requireAuth: false, checkStoreId: false }),
+
+    /**
+     * 로그인된 디바이스(세션) 목록
+     */
+    wSessions: withWebAuth(async (_, __, context) => (
+      sessionManager.listSessions('web', context.storeAccount.id)
+    ), { name: 'wSessions', checkStoreId: false }),
+
+    /**
+     * 2단계 인증 상태
+     */
+    wMfaStatus: withWebAuth(async (_, __, context) => {
+      const credential = await mfaManager.getCredential('web', context.storeAccount.id);
+      const enabled = Boolean(credential?.isEnabled());
+      return {
+        enabled,
+        enabledAt: enabled ? credential.enabledAt : null,
+        backupCodesRemaining: enabled ? credential.backupCodes.length : 0,
+      };
+    }, { name: 'wMfaStatus', checkStoreId: false }),
   },
+
   Mutation: {
-    // 추후 인증 뮤테이션 추가
+    // ===============================================
+    // 로그인/토큰 관리
+    // ===============================================
+
+    /**
+     * 이메일 로그인
+     */
+    wLogin: withWebAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const email = String(input.email).trim().toLowerCase();
+
+      const account = await WebAccount.findOne({ where: { email }, transaction });
+
+      // 계정 없음과 비밀번호 불일치를 구분하지 않음 (계정 열거 방지)
+      if (!account || !(await account.comparePassword(input.password))) {
+        throw new Error('S2004'); // INVALID_CREDENTIALS
+      }
+      assertCanSignIn(account);
+
+      // 2단계 인증 활성화 계정은 토큰 대신 챌린지 발급
+      const credential = await mfaManager.getCredential('web', account.id, { transaction });
+      if (credential?.isEnabled()) {
+        const mfaToken = await mfaManager.createChallenge({ clientType: 'web', subjectId: account.id });
+        return { _code: 'SS019', mfaRequired: true, mfaToken };
+      }
+
+      return completeLogin(account, context);
+    }, { name: 'wLogin', requireAuth: false, checkStoreId: false, requiredFields: ['email', 'password'] }, true),
+
+    /**
+     * 2단계 인증 로그인 - 챌린지 토큰 + TOTP 코드(또는 복구 코드)
+     */
+    wVerifyMfaLogin: withWebAuth(async (_, { mfaToken, code }, context) => {
+      const { transaction } = context;
+
+      const challenge = await mfaManager.getChallenge(mfaToken, 'web');
+      if (!challenge || !(await mfaManager.claimChallengeAttempt(mfaToken))) {
+        throw new Error('S2023'); // MFA_CHALLENGE_EXPIRED
+      }
+
+      const account = await WebAccount.findByPk(challenge.subjectId, { transaction });
+      if (!account) {
+        throw new Error('S2023'); // MFA_CHALLENGE_EXPIRED
+      }
+      assertCanSignIn(account);
+
+      const credential = await findEnabledCredential(account.id, transaction);
+      const result = await mfaManager.verifyCode(credential, code, { transaction });
+      if (!result.valid) {
+        throw new Error(mfaErrorCode(result));
+      }
+
+      await mfaManager.consumeChallenge(mfaToken);
+
+      return completeLogin(account, context);
+    }, { name: 'wVerifyMfaLogin', requireAuth: false, checkStoreId: false, requiredFields: ['mfaToken', 'code'] }, true),
+
+    /**
+     * 토큰 갱신 - Refresh Token 회전 (기존 토큰은 블랙리스트)
+     */
+    wRefreshToken: withWebAuth(async (_, { refreshToken }) => {
+      let decoded;
+      try {
+        decoded = await jwtManager.verifyToken(refreshToken, {
+          isRefresh: true,
+          audience: jwtManager.webAudience,
+        });
+      } catch (error) {
+        throw new Error(error.name === 'TokenExpiredError' ? 'S2003' : 'S2001');
+      }
+
+      const account = await WebAccount.findByPk(decoded.id);
+      if (!account) {
+        throw new Error('S2005'); // STORE_ACCOUNT_NOT_FOUND
+      }
+      assertCanSignIn(account);
+
+      const tokens = await jwtManager.refreshTokens(refreshToken, {
+        audience: jwtManager.webAudience,
+      });
+
+      return { _code: 'SS006', ...toTokenResponse(tokens) };
+    }, { name: 'wRefreshToken', requireAuth: false, checkStoreId: false, requiredFields: ['refreshToken'] }),
+
+    /**
+     * 로그아웃 - Access/Refresh Token 무효화
+     */
+    wLogout: withWebAuth(async (_, { refreshToken }, context) => {
+      const accessToken = getBearerToken(context);
+      if (accessToken) {
+        await jwtManager.blacklistToken(accessToken);
+      }
+      if (refreshToken) {
+        await jwtManager.blacklistToken(refreshToken);
+      }
+
+      const { storeAccount } = context;
+      await sessionManager.revokeSession('web', storeAccount.id, storeAccount.sessionId, 'LOGOUT');
+
+      return { _code: 'SS003' };
+    }, { name: 'wLogout', checkStoreId: false }),
+
+    // ===============================================
+    // 세션 관리
+    // ===============================================
+
+    /**
+     * 특정 디바이스 로그아웃 - 해당 세션의 토큰은 다음 요청부터 거부
+     */
+    wRevokeSession: withWebAuth(async (_, { sessionId }, context) => {
+      const session = await sessionManager.revokeSession(
+        'web',
+        context.storeAccount.id,
+        sessionId,
+        'REVOKED_BY_USER',
+        { transaction: context.transaction },
+      );
+      if (!session) {
+        throw new Error('S2021'); // SESSION_NOT_FOUND
+      }
+
+      return { _code: 'SS017' };
+    }, { name: 'wRevokeSession', checkStoreId: false, requiredFields: ['sessionId'] }, true),
+
+    /**
+     * 현재 디바이스 외 모두 로그아웃
+     */
+    wRevokeOtherSessions: withWebAuth(async (_, __, context) => {
+      const revokedCount = await sessionManager.revokeOtherSessions(
+        'web',
+        context.storeAccount.id,
+        context.storeAccount.sessionId,
+        'REVOKED_BY_USER',
+        { transaction: context.transaction },
+      );
+
+      return { _code: 'SS018', revokedCount };
+    }, { name: 'wRevokeOtherSessions', checkStoreId: false }, true),
+
+    // ===============================================
+    // 2단계 인증 관리
+    // ===============================================
+
+    /**
+     * 등록 시작 - 시크릿/QR URL 발급 (확인 전까지 비활성)
+     */
+    wStartMfaEnrollment: withWebAuth(async (_, __, context) => {
+      const { transaction } = context;
+      const account = await findCurrentAccount(context);
+
+      const credential = await mfaManager.getCredential('web', account.id, { transaction });
+      if (credential?.isEnabled()) {
+        throw new Error('S2024'); // MFA_ALREADY_ENABLED
+      }
+
+      const enrollment = await mfaManager.startEnrollment('web', account.id, account.email, { transaction });
+
+      return { _code: 'SS020', ...enrollment };
+    }, { name: 'wStartMfaEnrollment', checkStoreId: false }, true),
+
+    /**
+     * 등록 확인 - 인증 앱의 첫 코드 확인 후 활성화
+     */
+    wConfirmMfaEnrollment: withWebAuth(async (_, { code }, context) => {
+      const { transaction } = context;
+
+      const credential = await mfaManager.getCredential('web', context.storeAccount.id, { transaction });
+      if (!credential) {
+        throw new Error('S2025'); // MFA_NOT_ENABLED
+      }
+      if (credential.isEnabled()) {
+        throw new Error('S2024'); // MFA_ALREADY_ENABLED
+      }
+
+      const result = await mfaManager.confirmEnrollment(credential, code, { transaction });
+      if (!result.valid) {
+        throw new Error(mfaErrorCode(result));
+      }
+
+      return { _code: 'SS021', backupCodes: result.backupCodes };
+    }, { name: 'wConfirmMfaEnrollment', checkStoreId: false, requiredFields: ['code'] }, true),
+
+    /**
+     * 복구 코드 재발급 - 기존 복구 코드는 모두 무효화
+     */
+    wRegenerateBackupCodes: withWebAuth(async (_, { code }, context) => {
+      const { transaction } = context;
+
+      const credential = await findEnabledCredential(context.storeAccount.id, transaction);
+      await assertMfaCode(credential, code, transaction);
+
+      const backupCodes = await mfaManager.regenerateBackupCodes(credential, { transaction });
+
+      return { _code: 'SS023', backupCodes };
+    }, { name: 'wRegenerateBackupCodes', checkStoreId: false, requiredFields: ['code'] }, true),
+
+    /**
+     * 2단계 인증 해제 - 현재 코드 확인 필요
+     */
+    wDisableMfa: withWebAuth(async (_, { code }, context) => {
+      const { transaction } = context;
+
+      const credential = await findEnabledCredential(context.storeAccount.id, transaction);
+      await assertMfaCode(credential, code, transaction);
+
+      await credential.destroy({ transaction });
+
+      return { _code: 'SS022' };
+    }, { name: 'wDisableMfa', checkStoreId: false, requiredFields: ['code'] }, true),
+
+    // ===============================================
+    // 비밀번호 관리
+    // ===============================================
+
+    /**
+     * 비밀번호 변경
+     */
+    wChangePassword: withWebAuth(async (_, { input }, context) => {
+      const password = runValidation(() => authValidators.validatePassword(input.newPassword), 'S2009');
+
+      const account = await findCurrentAccount(context);
+      if (!(await account.comparePassword(input.currentPassword))) {
+        throw new Error('S2008'); // INVALID_CURRENT_PASSWORD
+      }
+
+      await account.update({ passwordHash: password }, { transaction: context.transaction }); // beforeUpdate 훅에서 해싱
+
+      // 현재 디바이스 외 세션 종료 (탈취된 세션 차단)
+      await sessionManager.revokeOtherSessions(
+        'web',
+        account.id,
+        context.storeAccount.sessionId,
+        'PASSWORD_CHANGED',
+        { transaction: context.transaction },
+      );
+
+      return { _code: 'SS004' };
+    }, { name: 'wChangePassword', checkStoreId: false, requiredFields: ['currentPassword', 'newPassword'] }, true),
+
+    /**
+     * 비밀번호 재설정 메일 전송 - 가입 여부와 무관하게 동일 응답 (계정 열거 방지)
+     */
+    wRequestPasswordReset: withWebAuth(async (_, { email }, context) => {
+      const normalizedEmail = String(email).trim().toLowerCase();
+      await assertPasswordResetQuota(normalizedEmail, context);
+
+      const account = await WebAccount.findOne({ where: { email: normalizedEmail } });
+
+      if (account && !BLOCKED_STATUS_CODES[account.status]) {
+        const token = encryptionManager.generateToken(32);
+        await kv.setex(passwordResetKey(token), PASSWORD_RESET_TTL, String(account.id));
+
+        const webUrl = process.env.STORE_WEB_URL || 'http://localhost:5001';
+        await emailService.sendPasswordResetEmail({
+          email: account.email,
+          name: account.name,
+          resetUrl: `${webUrl}/reset-password?token=${token}`,
+          expiresInMinutes: PASSWORD_RESET_TTL / 60,
+          language: account.language?.toLowerCase() || context.language,
+        });
+      }
+
+      return { _code: 'SS016' };
+    }, { name: 'wRequestPasswordReset', requireAuth: false, checkStoreId: false, requiredFields: ['email'] }),
+
+    /**
+     * 토큰 확인 후 비밀번호 재설정 - 모든 세션 종료
+     */
+    wResetPassword: withWebAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+      const password = runValidation(() => authValidators.validatePassword(input.newPassword), 'S2009');
+
+      // 1회용 토큰 - 조회와 동시에 삭제 (동시 요청 중 하나만 사용)
+      const accountId = await kv.getdel(passwordResetKey(input.token));
+      if (!accountId) {
+        throw new Error('S2019'); // INVALID_RESET_TOKEN
+      }
+
+      const account = await WebAccount.findByPk(accountId, { transaction });
+      if (!account) {
+        throw new Error('S2019'); // INVALID_RESET_TOKEN
+      }
+
+      await account.update({ passwordHash: password }, { transaction });
+
+      // 기존 세션/토큰 모두 무효화 (세션 기록이 없는 토큰 포함)
+      await sessionManager.revokeAllSessions('web', account.id, 'PASSWORD_RESET', { transaction });
+
+      return { _code: 'SS010' };
+    }, { name: 'wResetPassword', requireAuth: false, checkStoreId: false, requiredFields: ['token', 'newPassword'] }, true),
+
+    // ===============================================
+    // 계정 관리
+    // ===============================================
+
+    /**
+     * 프로필 수정
+     */
+    wUpdateProfile: withWebAuth(async (_, { input }, context) => {
+      const updates = {};
+
+      if (input.name !== undefined) {
+        updates.name = runValidation(() => authValidators.validateFullName(input.name));
+      }
+      if (input.phone !== undefined) {
+        updates.phone = input.phone
+          ? runValidation(() => authValidators.validatePhone(input.phone), 'S2013')
+          : null;
+      }
+      if (input.profileImage !== undefined) {
+        updates.profileImage = input.profileImage || null;
+      }
+      if (input.language !== undefined) {
+        updates.language = toAccountLanguage(input.language);
+        if (!updates.language) {
+          throw new Error('S1005:language'); // INVALID_INPUT
+        }
+      }
+      if (input.notificationsEnabled !== undefined && input.notificationsEnabled !== null) {
+        updates.notificationsEnabled = input.notificationsEnabled;
+      }
+
+      const account = await findCurrentAccount(context);
+      await account.update(updates, { transaction: context.transaction });
+
+      // 알림 수신 설정에 반영되는 값 (언어/알림 사용 여부)
+      if (updates.language || updates.notificationsEnabled !== undefined) {
+        await notificationPreferenceService.invalidate({ type: 'web', id: account.id }, { transaction: context.transaction });
+      }
+
+      return { _code: 'SS011', account };
+    }, { name: 'wUpdateProfile', checkStoreId: false }, true),
+
+    /**
+     * 계정 비활성화 - 모든 디바이스의 세션/토큰 무효화
+     */
+    wDeactivateAccount: withWebAuth(async (_, __, context) => {
+      const account = await findCurrentAccount(context);
+      await account.update({ status: 'INACTIVE' }, { transaction: context.transaction });
+
+      await sessionManager.revokeAllSessions('web', account.id, 'ACCOUNT_DEACTIVATED', { transaction: context.transaction });
+
+      return { _code: 'SS013' };
+    }, { name: 'wDeactivateAccount', checkStoreId: false }, true),
   },
 };
 
@@ -0,0 +1,159 @@
+/**
+ * Web Chat Resolvers
+ * Location: /graphql/clients/web/chat/resolvers.js
+ * Purpose: Web 계정 ↔ 고객 채팅 (채팅방/메시지/수신·읽음 상태)
+ */
+
+import db from '../../../../models/index.js';
+import { withWebAuth, parsePagination } from '../utils/WebResolverUtils.js';
+import chatService from '../../../../shared/utils/services/ChatService.js';
+
+const { User } = db;
+
+// ChatService 에러 → Web 에러 코드
+const CHAT_ERROR_CODES = {
+  ROOM_NOT_FOUND: 'S8501',
+  ACCESS_DENIED: 'S8502',
+  EMPTY_MESSAGE: 'S8503',
+  MESSAGE_TOO_LONG: 'S8504',
+  MESSAGE_NOT_FOUND: 'S8505',
+  INVALID_PARTICIPANT: 'S1002',
+  INVALID_MESSAGE: 'S1002',
+  INVALID_CURSOR: 'S1002',
+  INVALID_MUTE_DURATION: 'S1002',
+};
+
+/**
+ * 요청자 → 채팅 참여자 식별자
+ */
+const toParticipant = (context) => ({ type: 'web', id: context.storeAccount.id });
+
+/**
+ * ChatService 호출 - ChatError를 Web 에러 코드로 변환
+ * @param {Function} fn - ChatService 호출 함수
+ */
+const runChat = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error.name === 'ChatError') {
+      throw new Error(CHAT_ERROR_CODES[error.reason] || 'S1002');
+    }
+    throw error;
+  }
+};
+
+const sChatResolvers = {
+  Query: {
+    /**
+     * 참여 중인 채팅방 목록 (최근 메시지 순)
+     */
+    wChatRooms: withWebAuth(async (_, { pagination }, context) => {
+      const { limit, offset } = parsePagination(pagination || {});
+      const { rooms, total } = await runChat(() => (
+        chatService.listRooms(toParticipant(context), { limit, offset })
+      ));
+
+      return {
+        rooms,
+        pagination: { total, limit, offset, hasMore: offset + rooms.length < total },
+      };
+    }, { name: 'wChatRooms', checkStoreId: false }),
+
+    /**
+     * 채팅방 상세
+     */
+    wChatRoom: withWebAuth(async (_, { roomId }, context) => (
+      runChat(() => chatService.getRoom(roomId, toParticipant(context)))
+    ), { name: 'wChatRoom', checkStoreId: false, requiredFields: ['roomId'] }),
+
+    /**
+     * 메시지 목록 (커서 페이지네이션, 오래된 메시지 → 최신 메시지 순)
+     */
+    wGetChatMessages: withWebAuth(async (_, { input }, context) => (
+      runChat(() => chatService.getMessages(input.roomId, toParticipant(context), input))
+    ), { name: 'wGetChatMessages', checkStoreId: false, requiredFields: ['roomId'] }),
+
+    /**
+     * 읽지 않은 메시지 수 (채팅방별/전체)
+     */
+    wChatUnreadCounts: withWebAuth(async (_, __, context) => (
+      runChat(() => chatService.getUnreadSummary(toParticipant(context)))
+    ), { name: 'wChatUnreadCounts', checkStoreId: false }),
+  },
+
+  Mutation: {
+    /**
+     * 1:1 채팅방 생성 - 같은 고객과의 채팅방이 있으면 기존 채팅방 반환
+     */
+    wCreateChatRoom: withWebAuth(async (_, { input }, context) => {
+      const { transaction } = context;
+
+      const user = await User.findByPk(input.userId, { transaction });
+      if (!user || user.status !== 'ACTIVE') {
+        throw new Error('S8506'); // CHAT_CUSTOMER_NOT_FOUND
+      }
+
+      const participant = toParticipant(context);
+      return runChat(async () => {
+        const { room, created } = await chatService.findOrCreateDirectRoom(
+          participant,
+          { type: 'mobile', id: user.id },
+          { transaction }
+        );
+
+        return {
+          _code: created ? 'SS850' : 'SS851',
+          created,
+          room: await chatService.getRoom(room.id, participant, { transaction }),
+        };
+      });
+    }, { name: 'wCreateChatRoom', checkStoreId: false, requiredFields: ['userId'] }, true),
+
+    /**
+     * 메시지 전송 - 커밋 후 채팅방 소켓으로 전파
+     */
+    wSendChatMessage: withWebAuth(async (_, { input }, context) => {
+      const { message } = await runChat(() => (
+        chatService.sendMessage(input.roomId, toParticipant(context), input, { transaction: context.transaction })
+      ));
+
+      return { _code: 'SS852', chatMessage: message };
+    }, { name: 'wSendChatMessage', checkStoreId: false, requiredFields: ['roomId'] }, true),
+
+    /**
+     * 읽음 처리 - messageId까지 (없으면 마지막 메시지까지)
+     */
+    wMarkMessagesRead: withWebAuth(async (_, { input }, context) => {
+      const state = await runChat(() => (
+        chatService.markRead(input.roomId, toParticipant(context), input.messageId, { transaction: context.transaction })
+      ));
+
+      return { _code: 'SS853', ...state };
+    }, { name: 'wMarkMessagesRead', checkStoreId: false, requiredFields: ['roomId'] }, true),
+
+    /**
+     * 수신 처리 - messageId까지 (없으면 마지막 메시지까지)
+     */
+    wMarkMessagesDelivered: withWebAuth(async (_, { input }, context) => {
+      const state = await runChat(() => (
+        chatService.markDelivered(input.roomId, toParticipant(context), input.messageId, { transaction: context.transaction })
+      ));
+
+      return { _code: 'SS855', ...state };
+    }, { name: 'wMarkMessagesDelivered', checkStoreId: false, requiredFields: ['roomId'] }, true),
+
+    /**
+     * 푸시 알림 음소거 설정/해제 - durationMinutes가 없으면 무기한
+     */
+    wMuteChatRoom: withWebAuth(async (_, { input }, context) => {
+      const state = await runChat(() => (
+        chatService.setMuted(input.roomId, toParticipant(context), input, { transaction: context.transaction })
+      ));
+
+      return { _code: 'SS854', ...state };
+    }, { name: 'wMuteChatRoom', checkStoreId: false, requiredFields: ['roomId'] }, true),
+  },
+};
+
+export default sChatResolvers;
@@ -0,0 +1,129 @@
+/**
+ * Web Notification Resolvers
+ * Location: /graphql/clients/web/notification/resolvers.js
+ * Purpose: Web 계정 알림함 (목록/읽음/보관), 수신 설정, 웹 푸시 구독
+ */
+
+import { withWebAuth } from '../utils/WebResolverUtils.js';
+import notificationInboxService from '../../../../shared/utils/services/NotificationInboxService.js';
+import pushDeviceService from '../../../../shared/utils/services/PushDeviceService.js';
+import notificationPreferenceService from '../../../../shared/utils/services/NotificationPreferenceService.js';
+
+/**
+ * 요청자 → 알림 수신자 식별자
+ */
+const toRecipient = (context) => ({ type: 'web', id: context.storeAccount.id });
+
+// 입력 검증 실패로 처리하는 서비스 에러
+const INPUT_ERROR_NAMES = ['NotificationError', 'PushDeviceError', 'NotificationPreferenceError'];
+
+/**
+ * 알림함/푸시 디바이스/수신 설정 서비스 호출 - 서비스 에러는 모두 입력 검증 실패
+ * @param {Function} fn - 서비스 호출 함수
+ */
+const runNotification = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (INPUT_ERROR_NAMES.includes(error.name)) {
+      throw new Error('S1002');
+    }
+    throw error;
+  }
+};
+
+const sNotificationResolvers = {
+  Query: {
+    /**
+     * 알림 목록 (커서 페이지네이션, 최신 알림부터)
+     */
+    wNotifications: withWebAuth(async (_, { input }, context) => (
+      runNotification(() => notificationInboxService.list(toRecipient(context), input || {}))
+    ), { name: 'wNotifications', checkStoreId: false }),
+
+    /**
+     * 읽지 않은 알림 수 (보관 제외)
+     */
+    wNotificationUnreadCount: withWebAuth(async (_, { category }, context) => (
+      runNotification(() => notificationInboxService.countUnread(toRecipient(context), { category }))
+    ), { name: 'wNotificationUnreadCount', checkStoreId: false }),
+
+    /**
+     * 알림 수신 설정 (분류 × 채널, 방해 금지 시간)
+     */
+    wNotificationPreferences: withWebAuth(async (_, __, context) => (
+      runNotification(() => notificationPreferenceService.getPreferences(toRecipient(context)))
+    ), { name: 'wNotificationPreferences', checkStoreId: false }),
+  },
+
+  Mutation: {
+    /**
+     * 읽음 처리 - all이면 전체(category 지정 시 해당 분류만), 아니면 notificationIds
+     */
+    wMarkNotificationsRead: withWebAuth(async (_, { input }, context) => {
+      const recipient = toRecipient(context);
+      const options = { transaction: context.transaction };
+
+      const result = await runNotification(() => (
+        input.all
+          ? notificationInboxService.markAllRead(recipient, { category: input.category }, options)
+          : notificationInboxService.markRead(recipient, input.notificationIds, options)
+      ));
+
+      return { _code: 'SS950', ...result };
+    }, { name: 'wMarkNotificationsRead', checkStoreId: false }, true),
+
+    /**
+     * 보관/보관 해제
+     */
+    wArchiveNotifications: withWebAuth(async (_, { input }, context) => {
+      const result = await runNotification(() => (
+        notificationInboxService.setArchived(toRecipient(context), input.notificationIds, input.archived, {
+          transaction: context.transaction
+        })
+      ));
+
+      return { _code: input.archived ? 'SS951' : 'SS952', ...result };
+    }, { name: 'wArchiveNotifications', checkStoreId: false, requiredFields: ['notificationIds'] }, true),
+
+    /**
+     * 알림 수신 설정 변경 - 전달한 항목만 변경 (보안 알림은 변경 불가)
+     */
+    wUpdateNotificationPreferences: withWebAuth(async (_, { input }, context) => {
+      const preferences = await runNotification(() => (
+        notificationPreferenceService.updatePreferences(toRecipient(context), input, {
+          transaction: context.transaction
+        })
+      ));
+
+      return { _code: 'SS955', preferences };
+    }, { name: 'wUpdateNotificationPreferences', checkStoreId: false }, true),
+
+    /**
+     * 웹 푸시 구독 등록/갱신 - 현재 세션에 연결 (로그아웃 시 해제)
+     */
+    wRegisterPushSubscription: withWebAuth(async (_, { input }, context) => {
+      await runNotification(() => pushDeviceService.register(toRecipient(context), {
+        token: input.token,
+        appVersion: input.appVersion,
+        locale: input.locale || context.language,
+        sessionId: context.storeAccount.sessionId || null
+      }, { transaction: context.transaction }));
+
+      return { _code: 'SS953' };
+    }, { name: 'wRegisterPushSubscription', checkStoreId: false, requiredFields: ['token'] }, true),
+
+    /**
+     * 웹 푸시 구독 해제 (브라우저 알림 권한 해제 시)
+     */
+    wRemovePushSubscription: withWebAuth(async (_, { token }, context) => {
+      await runNotification(() => pushDeviceService.unregister(toRecipient(context), token, {
+        transaction: context.transaction
+      }));
+
+      return { _code: 'SS954' };
+    }, { name: 'wRemovePushSubscription', checkStoreId: false, requiredFields: ['token'] }, true),
+  },
+};
+
+export default sNotificationResolvers;
@@ -0,0 +1,52 @@
+/**
+ * Web Presence Resolvers
+ * Location: /graphql/clients/web/presence/resolvers.js
+ * Purpose: 접속 상태 조회 (Web 계정, 같은 채팅방 참여 고객)
+ */
+
+import { withWebAuth } from '../utils/WebResolverUtils.js';
+import presenceService from '../../../../shared/utils/services/PresenceService.js';
+
+// PresenceService 에러 → Web 에러 코드
+const PRESENCE_ERROR_CODES = {
+  INVALID_TARGET: 'S1002',
+  ACCESS_DENIED: 'S8507',
+};
+
+/**
+ * 권한 검증 후 접속 상태 조회 - PresenceError를 Web 에러 코드로 변환
+ * @param {Object} context - GraphQL context
+ * @param {Array<{ userType, userId }>} targets
+ */
+const loadPresence = async (context, targets) => {
+  try {
+    await presenceService.assertCanView({ userType: 'WEB', userId: context.storeAccount.id }, targets);
+  } catch (error) {
+    if (error.name === 'PresenceError') {
+      throw new Error(PRESENCE_ERROR_CODES[error.reason] || 'S1002');
+    }
+    throw error;
+  }
+  return presenceService.getBulkPresence(targets);
+};
+
+const sPresenceResolvers = {
+  Query: {
+    /**
+     * 접속 상태 조회
+     */
+    wGetPresence: withWebAuth(async (_, { target }, context) => {
+      const [presence] = await loadPresence(context, [target]);
+      return presence;
+    }, { name: 'wGetPresence', checkStoreId: false, requiredFields: ['target'] }),
+
+    /**
+     * 접속 상태 일괄 조회 (중복 대상은 한 번만 반환)
+     */
+    wGetBulkPresence: withWebAuth(async (_, { targets }, context) => (
+      loadPresence(context, targets)
+    ), { name: 'wGetBulkPresence', checkStoreId: false, requiredFields: ['targets'] }),
+  },
+};
+
+export default sPresenceResolvers;
@@ -9,6 +9,9 @@ import { mergeResolvers } from '@graphql-tools/merge';
 
 // 도메인별 리졸버 import
 import sAuthResolvers from './auth/resolvers.js';
+import sChatResolvers from './chat/resolvers.js';
+import sNotificationResolvers from './notification/resolvers.js';
+import sPresenceResolvers from './presence/resolvers.js';
 
 // ===============================================
 // 리졸버 통합
@@ -16,6 +19,9 @@ import sAuthResolvers from './auth/resolvers.js';
 
 const allResolvers = [
   sAuthResolvers,
+  sChatResolvers,
+  sNotificationResolvers,
+  sPresenceResolvers,
 ];
 
 // ===============================================
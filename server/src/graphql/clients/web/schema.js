@@ -27,12 +27,24 @@ const loadSchema = () => {
     // Web auth 스키마
     const authSchemaPath = join(__dirname, './auth/schema.graphql');
 
+    // Web chat 스키마
+    const chatSchemaPath = join(__dirname, './chat/schema.graphql');
+
+    // Web notification 스키마
+    const notificationSchemaPath = join(__dirname, './notification/schema.graphql');
+
+    // Web presence 스키마
+    const presenceSchemaPath = join(__dirname, './presence/schema.graphql');
+
     // 스키마 파일 읽기
     const scalarsSchema = readFileSync(scalarsPath, 'utf8');
     const enumsSchema = readFileSync(enumsPath, 'utf8');
     const baseTypesSchema = readFileSync(baseTypesPath, 'utf8');
     const baseSchema = readFileSync(baseSchemaPath, 'utf8');
     const authSchema = readFileSync(authSchemaPath, 'utf8');
+    const chatSchema = readFileSync(chatSchemaPath, 'utf8');
+    const notificationSchema = readFileSync(notificationSchemaPath, 'utf8');
+    const presenceSchema = readFileSync(presenceSchemaPath, 'utf8');
 
     // 스키마 병합
     return `
@@ -41,6 +53,9 @@ ${enumsSchema}
 ${baseTypesSchema}
 ${baseSchema}
 ${authSchema}
+${chatSchema}
+${notificationSchema}
+${presenceSchema}
     `;
   } catch (error) {
     console.error('[Web 스키마] 스키마 로드 실패:', error);
@@ -7,7 +7,6 @@ import { GraphQLError } from 'graphql';
 import db from '../../../../models/index.js';
 import { getWebError } from '../../../../shared/errorSystem/webErrorCodes.js';
 import { getWebSuccess } from '../../../../shared/successSystem/webSuccessCodes.js';
-import { getRequiredPermissions } from '../../../../shared/config/resolverPermissions.js';
 
 // Store Roles (Sequelize StoreAccount.role ENUM과 100% 일치)
 export const STORE_ROLES = {
@@ -207,67 +206,14 @@ export const withWebAuth = (resolverFn, options = {}, isMutation = false) => {
           }
         }
 
-        // 권한 확인 (자동 매핑 + 세밀한 권한 체크)
-        let requiredPermissions = permissions; // 명시적 권한 우선
-
-        // 명시적 권한이 없으면 리졸버 이름에서 자동 조회
-        if (requiredPermissions.length === 0) {
-          requiredPermissions = getRequiredPermissions(name);
-        }
-
-        // 권한 체크 필요 시
-        if (requiredPermissions.length > 0) {
-          // 1. JWT 토큰의 permissions 먼저 체크 (성능 최적화)
+        // 권한 확인 (WebAccount.hasPermission과 동일 - OWNER는 전체, 그 외는 토큰의 커스텀 권한)
+        if (permissions.length > 0 && context.storeAccount.role !== 'OWNER') {
           const tokenPermissions = context.storeAccount.permissions || [];
-          const { role } = context.storeAccount;
-
-          // 2. 역할 기본 권한 정의 (StoreAccount.hasPermission()과 100% 동일)
-          const rolePermissions = {
-            FRANCHISE_OWNER: [
-              'MANAGE_STORE_INFO', 'MANAGE_BUSINESS_HOURS', 'MANAGE_DELIVERY_SETTINGS',
-              'CREATE_MENU_ITEM', 'UPDATE_MENU_ITEM', 'DELETE_MENU_ITEM', 'MANAGE_MENU_CATEGORIES',
-              'VIEW_ORDERS', 'MANAGE_ORDERS', 'PROCESS_REFUNDS',
-              'INVITE_STAFF', 'MANAGE_STAFF_ROLES',
-              'VIEW_REVENUE', 'VIEW_REPORTS', 'MANAGE_PROMOTIONS',
-              'MANAGE_POS_SETTINGS', 'MANAGE_BANK_ACCOUNT',
-              'MANAGE_MULTIPLE_STORES', 'VIEW_FRANCHISE_REPORTS', 'MANAGE_FRANCHISE_SETTINGS'
-            ],
-            STORE_OWNER: [
-              'MANAGE_STORE_INFO', 'MANAGE_BUSINESS_HOURS', 'MANAGE_DELIVERY_SETTINGS',
-              'CREATE_MENU_ITEM', 'UPDATE_MENU_ITEM', 'DELETE_MENU_ITEM', 'MANAGE_MENU_CATEGORIES',
-              'VIEW_ORDERS', 'MANAGE_ORDERS', 'PROCESS_REFUNDS',
-              'INVITE_STAFF', 'MANAGE_STAFF_ROLES',
-              'VIEW_REVENUE', 'VIEW_REPORTS', 'MANAGE_PROMOTIONS',
-              'MANAGE_POS_SETTINGS', 'MANAGE_BANK_ACCOUNT'
-            ],
-            STORE_MANAGER: [
-              'UPDATE_MENU_ITEM', 'MANAGE_MENU_AVAILABILITY',
-              'VIEW_ORDERS', 'MANAGE_ORDERS', 'PROCESS_REFUNDS',
-              'VIEW_REVENUE', 'USE_POS', 'MANAGE_STAFF_SCHEDULE'
-            ],
-            CHEF: [
-              'VIEW_ORDERS', 'MANAGE_ORDERS', 'USE_POS', 'UPDATE_MENU_AVAILABILITY'
-            ],
-            CASHIER: [
-              'VIEW_ORDERS', 'USE_POS', 'VIEW_POS_REPORTS', 'PROCESS_PAYMENTS'
-            ],
-            DELIVERY_MANAGER: [
-              'VIEW_ORDERS', 'MANAGE_DELIVERIES', 'ASSIGN_DRIVERS', 'VIEW_DELIVERY_REPORTS'
-            ]
-          };
-
-          const defaultPermissions = rolePermissions[role] || [];
-          const allPermissions = [...new Set([...defaultPermissions, ...tokenPermissions])];
-
-          // 3. 모든 요구 권한 체크
-          for (const permission of requiredPermissions) {
-            if (!allPermissions.includes(permission)) {
-              console.log(`[withSAuth] ❌ 권한 부족: ${role}(${name})에게 ${permission} 권한 없음`);
-              throw new Error('S2002'); // UNAUTHORIZED
-            }
+          const missing = permissions.find((permission) => !tokenPermissions.includes(permission));
+          if (missing) {
+            console.log(`[withSAuth] ❌ 권한 부족: ${context.storeAccount.role}(${name})에게 ${missing} 권한 없음`);
+            throw new Error('S2002'); // UNAUTHORIZED
           }
-
-          console.log(`[withSAuth] ✅ 권한 체크 통과: ${name} - ${requiredPermissions.join(', ')}`);
         }
 
         // 매장 소유권 확인
@@ -7,8 +7,24 @@
 // ===============================================
 
 import { mapSchema, getDirective, MapperKind } from '@graphql-tools/utils';
-import { defaultFieldResolver } from 'graphql';
-import { AuthenticationError, ForbiddenError } from '@apollo/server/errors';
+import { defaultFieldResolver, GraphQLError } from 'graphql';
+import WebAccount from '../models/web/WebAccount.js';
+import { WILDCARD_PERMISSION, findUnregisteredPermissions } from '../shared/config/permissions.js';
+import { getAdminError } from '../shared/errorSystem/adminErrorCodes.js';
+import { getWebError } from '../shared/errorSystem/webErrorCodes.js';
+
+// Apollo Server 4부터 AuthenticationError/ForbiddenError 클래스가 제거되어 GraphQLError로 생성
+class AuthenticationError extends GraphQLError {
+  constructor(message) {
+    super(message, { extensions: { code: 'UNAUTHENTICATED', http: { status: 401 } } });
+  }
+}
+
+class ForbiddenError extends GraphQLError {
+  constructor(message) {
+    super(message, { extensions: { code: 'FORBIDDEN', http: { status: 403 } } });
+  }
+}
 
 // @auth 디렉티브 - 로그인 필수
 export function authDirective(directiveName = 'auth') {
@@ -142,26 +158,148 @@ export function webAuthDirective(directiveName = 'webAuth') {
   };
 }
 
+/**
+ * 요청 주체의 권한 확인 함수 생성
+ * - Admin: AuthMiddleware가 넣어준 AdminAccount.getAllPermissions() 결과 ('*' 와일드카드 포함)
+ * - Web: WebAccount.hasPermission (OWNER는 모든 권한)
+ * @param {Object} context - GraphQL context
+ * @returns {{ clientType: string, principal: Object, has: Function }|null}
+ */
+function getPermissionPrincipal(context) {
+  if (context.adminAccount) {
+    const granted = new Set(context.adminAccount.permissions || []);
+    return {
+      clientType: 'admin',
+      principal: context.adminAccount,
+      has: (permission) => granted.has(WILDCARD_PERMISSION) || granted.has(permission)
+    };
+  }
+
+  if (context.storeAccount) {
+    return {
+      clientType: 'web',
+      principal: context.storeAccount,
+      has: (permission) => WebAccount.prototype.hasPermission.call(context.storeAccount, permission)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 클라이언트별 에러 코드로 GraphQLError 생성
+ * @param {string} clientType - 'admin' | 'web'
+ * @param {string} reason - 'UNAUTHENTICATED' | 'TOKEN_EXPIRED' | 'FORBIDDEN'
+ * @param {string} language - 언어 코드
+ */
+function permissionError(clientType, reason, language = 'vi') {
+  const adminCodes = { UNAUTHENTICATED: 'A2001', TOKEN_EXPIRED: 'A2003', FORBIDDEN: 'A2009' };
+  const webCodes = { UNAUTHENTICATED: 'S2001', TOKEN_EXPIRED: 'S2003', FORBIDDEN: 'S2002' };
+
+  if (clientType === 'admin') {
+    const code = adminCodes[reason];
+    const error = getAdminError(code, language);
+    return new GraphQLError(error.message, {
+      extensions: { code: `[${code}]${error.key}`, timestamp: new Date().toISOString() }
+    });
+  }
+
+  if (clientType === 'web') {
+    const code = webCodes[reason];
+    const error = getWebError(code, language);
+    return new GraphQLError(error.message, {
+      extensions: { code: error.key.split(']')[1], errorCode: code }
+    });
+  }
+
+  return reason === 'FORBIDDEN'
+    ? new ForbiddenError('권한이 없습니다')
+    : new AuthenticationError('인증이 필요합니다');
+}
+
+// @requiresPermission 디렉티브 - 권한 레지스트리 기반 권한 체크 (Admin/Web 계정)
+// any: 하나 이상 보유, all: 모두 보유 (둘 다 지정 시 두 조건 모두 만족해야 함)
+export function requiresPermissionDirective(directiveName = 'requiresPermission') {
+  return {
+    requiresPermissionDirectiveTypeDefs: `directive @${directiveName}(any: [String!], all: [String!]) on FIELD_DEFINITION`,
+
+    requiresPermissionDirectiveTransformer: (schema) => {
+      const unregistered = [];
+
+      const transformed = mapSchema(schema, {
+        [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+          const requiresPermission = getDirective(schema, fieldConfig, directiveName)?.[0];
+
+          if (requiresPermission) {
+            const any = requiresPermission.any || [];
+            const all = requiresPermission.all || [];
+
+            // 시작 시 검증 - 레지스트리에 없는 권한 수집
+            const unknown = findUnregisteredPermissions([...any, ...all]);
+            if (unknown.length > 0) {
+              unregistered.push(`${typeName}.${fieldName}: ${unknown.join(', ')}`);
+            }
+
+            const { resolve = defaultFieldResolver } = fieldConfig;
+
+            fieldConfig.resolve = async function (source, args, context, info) {
+              const subject = getPermissionPrincipal(context);
+              if (!subject) {
+                throw permissionError(context.clientType, 'UNAUTHENTICATED', context.language);
+              }
+              if (subject.principal.isExpired) {
+                throw permissionError(subject.clientType, 'TOKEN_EXPIRED', context.language);
+              }
+
+              const allowed = (any.length === 0 || any.some(subject.has)) &&
+                              all.every(subject.has);
+              if (!allowed) {
+                throw permissionError(subject.clientType, 'FORBIDDEN', context.language);
+              }
+
+              return resolve(source, args, context, info);
+            };
+          }
+
+          return fieldConfig;
+        }
+      });
+
+      if (unregistered.length > 0) {
+        throw new Error(`@${directiveName}에 등록되지 않은 권한이 있습니다 (shared/config/permissions.js):\n${unregistered.join('\n')}`);
+      }
+
+      return transformed;
+    }
+  };
+}
+
 // 모든 디렉티브 통합 export
 export function createAuthDirectives() {
   const { authDirectiveTypeDefs, authDirectiveTransformer } = authDirective();
   const { hasRoleDirectiveTypeDefs, hasRoleDirectiveTransformer } = hasRoleDirective();
   const { isOwnerDirectiveTypeDefs, isOwnerDirectiveTransformer } = isOwnerDirective();
   const { webAuthDirectiveTypeDefs, webAuthDirectiveTransformer } = webAuthDirective();
+  const {
+    requiresPermissionDirectiveTypeDefs,
+    requiresPermissionDirectiveTransformer
+  } = requiresPermissionDirective();
 
   return {
     typeDefs: [
       authDirectiveTypeDefs,
       hasRoleDirectiveTypeDefs,
       isOwnerDirectiveTypeDefs,
-      webAuthDirectiveTypeDefs
+      webAuthDirectiveTypeDefs,
+      requiresPermissionDirectiveTypeDefs
     ].join('\n'),
 
     transformers: [
       authDirectiveTransformer,
       hasRoleDirectiveTransformer,
       isOwnerDirectiveTransformer,
-      webAuthDirectiveTransformer
+      webAuthDirectiveTransformer,
+      requiresPermissionDirectiveTransformer
     ]
   };
 }
\ No newline at end of file
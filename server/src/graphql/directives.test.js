@@ -0,0 +1,87 @@
+/**
+ * @requiresPermission 디렉티브 테스트
+ * any/all 조합, '*' 와일드카드, Web OWNER, 미인증/만료, 미등록 권한의 시작 시 거부
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { graphql } from 'graphql';
+import { makeExecutableSchema } from '@graphql-tools/schema';
+
+let requiresPermissionDirective;
+let schema;
+
+beforeAll(async () => {
+  ({ requiresPermissionDirective } = await import('./directives.js'));
+  schema = buildSchema(`
+    type Query {
+      anyOf: String @requiresPermission(any: ["VIEW_USERS", "MANAGE_USERS"])
+      allOf: String @requiresPermission(all: ["VIEW_USERS", "MANAGE_USERS"])
+      anyAndAll: String @requiresPermission(any: ["VIEW_ORDERS", "MANAGE_ORDERS"], all: ["VIEW_PAYMENTS"])
+    }
+  `);
+});
+
+const buildSchema = (typeDefs) => {
+  const { requiresPermissionDirectiveTypeDefs, requiresPermissionDirectiveTransformer } = requiresPermissionDirective();
+  return requiresPermissionDirectiveTransformer(makeExecutableSchema({
+    typeDefs: [requiresPermissionDirectiveTypeDefs, typeDefs],
+    resolvers: { Query: { anyOf: () => 'ok', allOf: () => 'ok', anyAndAll: () => 'ok' } },
+  }));
+};
+
+const run = async (field, contextValue) => {
+  const { data, errors } = await graphql({ schema, source: `{ ${field} }`, contextValue });
+  return errors ? errors[0].extensions.code : data[field];
+};
+
+const admin = (permissions, values = {}) => ({ clientType: 'admin', adminAccount: { id: 1, permissions, ...values } });
+
+describe('Admin 권한 확인', () => {
+  it('any는 하나만 있어도 허용한다', async () => {
+    expect(await run('anyOf', admin(['MANAGE_USERS']))).toBe('ok');
+    expect(await run('anyOf', admin(['VIEW_ORDERS']))).toBe('[A2009]INSUFFICIENT_PERMISSIONS');
+  });
+
+  it('all은 모두 있어야 허용한다', async () => {
+    expect(await run('allOf', admin(['VIEW_USERS', 'MANAGE_USERS']))).toBe('ok');
+    expect(await run('allOf', admin(['VIEW_USERS']))).toBe('[A2009]INSUFFICIENT_PERMISSIONS');
+  });
+
+  it('any와 all을 함께 지정하면 두 조건을 모두 만족해야 한다', async () => {
+    expect(await run('anyAndAll', admin(['VIEW_ORDERS', 'VIEW_PAYMENTS']))).toBe('ok');
+    expect(await run('anyAndAll', admin(['VIEW_ORDERS']))).toBe('[A2009]INSUFFICIENT_PERMISSIONS');
+    expect(await run('anyAndAll', admin(['VIEW_PAYMENTS']))).toBe('[A2009]INSUFFICIENT_PERMISSIONS');
+  });
+
+  it('와일드카드(*)는 모든 권한을 허용한다', async () => {
+    expect(await run('allOf', admin(['*']))).toBe('ok');
+    expect(await run('anyAndAll', admin(['*']))).toBe('ok');
+  });
+
+  it('미인증/만료 토큰은 권한 부족과 구분한다', async () => {
+    expect(await run('anyOf', { clientType: 'admin' })).toBe('[A2001]UNAUTHENTICATED');
+    expect(await run('anyOf', admin(['*'], { isExpired: true }))).toBe('[A2003]TOKEN_EXPIRED');
+  });
+});
+
+describe('Web 권한 확인', () => {
+  it('OWNER는 모든 권한, 그 외는 토큰의 커스텀 권한만 허용한다', async () => {
+    const web = (role, permissions = []) => ({ clientType: 'web', storeAccount: { id: 2, role, permissions } });
+
+    expect(await run('allOf', web('OWNER'))).toBe('ok');
+    expect(await run('anyOf', web('STAFF', ['VIEW_USERS']))).toBe('ok');
+    expect(await run('anyOf', web('STAFF'))).toBe('UNAUTHORIZED');
+  });
+});
+
+describe('시작 시 검증', () => {
+  it('레지스트리에 없는 권한을 쓰면 필드와 권한명을 담아 스키마 생성을 거부한다', () => {
+    expect(() => buildSchema(`
+      type Query {
+        anyOf: String @requiresPermission(any: ["VIEW_USERS", "VIEW_USRES"])
+        allOf: String @requiresPermission(all: ["DELETE_EVERYTHING"])
+        anyAndAll: String
+      }
+    `)).toThrow(/Query\.anyOf: VIEW_USRES\nQuery\.allOf: DELETE_EVERYTHING/);
+  });
+});
@@ -9,6 +9,7 @@ import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { mergeResolvers } from '@graphql-tools/merge';
+import opsMetricsService from '../shared/websocket/services/OpsMetricsService.js';
 
 // 성능 최적화 모듈들
 // UserTypeResolvers는 이제 각 도메인별 리졸버에 통합됨
@@ -100,6 +101,7 @@ export const createDataLoaderContext = async () => {
 
 /**
  * GraphQL 성능 모니터링 플러그인
+ * 요청별 처리 시간/에러 여부는 관리자 운영 지표(OpsMetricsService)로 전달
  */
 export const createPerformancePlugin = () => {
   return {
@@ -120,6 +122,11 @@ export const createPerformancePlugin = () => {
           const duration = requestContext.request.http?.startTime ?
             Date.now() - requestContext.request.http.startTime : 0;
 
+          opsMetricsService.recordGraphQLRequest(
+            requestContext.request.http?.startTime ? duration : null,
+            Boolean(requestContext.errors?.length)
+          );
+
           // 느린 쿼리 로깅 (500ms 이상)
           if (duration > 500) {
             console.warn(`🐌 Slow GraphQL Query (${duration}ms):`,
@@ -15,6 +15,7 @@ import http from 'http';
 import { GraphQLScalarType } from 'graphql';
 import { GraphQLError } from 'graphql';
 import { mergeTypeDefs, mergeResolvers } from '@graphql-tools/merge';
+import { makeExecutableSchema } from '@graphql-tools/schema';
 
 // Schema & Resolvers - 새로운 클라이언트별 구조 사용
 import path from 'path';
@@ -40,7 +41,10 @@ const readSchemaFile = (filePath) => {
 // Socket.IO 설정 - UnifiedSocketServer 사용
 import { UnifiedSocketServer } from '../shared/websocket/UnifiedSocketServer.js';
 import { logger } from '../shared/utils/utilities/Logger.js';
+import smsService from '../shared/utils/services/sms/index.js';
+import emailService from '../shared/utils/services/EmailService.js';
 import { buildCorsOptions } from '../shared/config/cors.js';
+import { parseTrustProxy } from '../shared/config/trustProxy.js';
 
 // 통합 캐시 시스템
 import { initializeCacheSystem, checkCacheStatus } from '../shared/cache/index.js';
@@ -197,6 +201,9 @@ export async function createGraphQLServer() {
   // Express 앱 생성
   const app = express();
   const httpServer = http.createServer(app);
+
+  // 프록시 신뢰 범위 - req.ip가 이 설정에 따라 x-forwarded-for를 반영 (기본: 신뢰 안 함)
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
   logger.info('✅ Express 앱 및 HTTP 서버 생성 완료');
 
   // 보안/성능 공통 미들웨어 적용 (최상단)
@@ -353,16 +360,33 @@ export async function createGraphQLServer() {
     }
   ]);
   
+  // 인증/권한 디렉티브 (@requiresPermission 등)
+  const { createAuthDirectives } = await import('./directives.js');
+  const authDirectives = createAuthDirectives();
+
   // 스키마 명시적 병합으로 충돌 해결
-  const mergedTypeDefs = mergeTypeDefs([mobileSchema.typeDefs, webSchema.typeDefs, adminSchema.typeDefs]);
-  
+  const mergedTypeDefs = mergeTypeDefs([
+    authDirectives.typeDefs,
+    mobileSchema.typeDefs,
+    webSchema.typeDefs,
+    adminSchema.typeDefs,
+  ]);
+
+  // 디렉티브 적용 - @requiresPermission의 미등록 권한은 여기서 시작 실패 처리
+  const schema = authDirectives.transformers.reduce(
+    (currentSchema, transform) => transform(currentSchema),
+    makeExecutableSchema({
+      typeDefs: mergedTypeDefs,
+      resolvers: unifiedResolvers,
+      // 스키마에 없는 리졸버 필드 무시 (businessNumber, preferredLanguage 등)
+      resolverValidationOptions: {
+        requireResolversToMatchSchema: 'ignore',
+      },
+    }),
+  );
+
   const server = new ApolloServer({
-    typeDefs: mergedTypeDefs,
-    resolvers: unifiedResolvers,
-    // 스키마에 없는 리졸버 필드 무시 (businessNumber, preferredLanguage 등)
-    resolverValidationOptions: {
-      requireResolversToMatchSchema: 'ignore',
-    },
+    schema,
     plugins: [
       ApolloServerPluginDrainHttpServer({ httpServer }),
 
@@ -804,6 +828,28 @@ export async function createGraphQLServer() {
     });
   });
 
+  // SMS 전송 결과 보고 (제공자 웹훅 - Twilio는 form-urlencoded)
+  app.post('/webhooks/sms/:provider', express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+      const result = await smsService.handleDeliveryReport(req.params.provider, req);
+      res.status(result.httpStatus).json({ success: result.handled });
+    } catch (error) {
+      logger.error('SmsDeliveryReportFailed', { provider: req.params.provider, error: error.message });
+      res.status(500).json({ success: false });
+    }
+  });
+
+  // 이메일 반송/수신 거부 (제공자 웹훅 - SES는 SNS가 text/plain으로 JSON 전송)
+  app.post('/webhooks/email/:provider', express.json({ type: ['application/json', 'text/plain'] }), async (req, res) => {
+    try {
+      const result = await emailService.handleFeedback(req.params.provider, req);
+      res.status(result.httpStatus).json({ success: result.handled });
+    } catch (error) {
+      logger.error('EmailFeedbackFailed', { provider: req.params.provider, error: error.message });
+      res.status(500).json({ success: false });
+    }
+  });
+
   // 캐시 상태 확인 (이미 초기화됨)
   try {
     const cacheStatus = await checkCacheStatus();
@@ -863,6 +909,9 @@ export async function startGraphQLServer(port = 4000) {
 
     const { app, httpServer } = await createGraphQLServer();
 
+    // 이메일 발송 큐 워커 (EMAIL_QUEUE_WORKER=false면 등록만)
+    emailService.startWorker();
+
     await new Promise((resolve) => {
       httpServer.listen(port, '0.0.0.0', resolve);  // 모든 네트워크 인터페이스에서 수신
     });
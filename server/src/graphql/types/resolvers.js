@@ -7,6 +7,7 @@
 import { localize } from '../../shared/utils/utilities/Localization.js';
 import { logger } from '../../shared/utils/utilities/Logger.js';
 import db from '../../models/index.js';
+import { LOCKED_CATEGORIES } from '../../shared/utils/services/NotificationPreferenceService.js';
 
 /**
  * User 타입 필드 리졸버
@@ -35,6 +36,11 @@ export const UserResolver = {
     }
   },
 
+  /**
+   * passwordHash 필드 - 해시값은 클라이언트에 노출하지 않음
+   */
+  passwordHash: () => null,
+
   /**
    * profileImage 필드 - null safety 처리
    */
@@ -83,9 +89,18 @@ export const UserResolver = {
  * Web 클라이언트 계정 정보 처리
  */
 export const WebAccountResolver = {
+  /**
+   * passwordHash 필드 - 해시값은 클라이언트에 노출하지 않음
+   */
+  passwordHash: () => null,
+
   /**
    * Non-nullable 필드 기본값 처리
    */
+  permissions: (parent) => {
+    return parent.permissions ?? [];
+  },
+
   notificationsEnabled: (parent) => {
     return parent.notificationsEnabled ?? true;
   },
@@ -136,13 +151,44 @@ export const NotificationResolver = {
   }
 };
 
+/**
+ * NotificationPreferences 타입 필드 리졸버
+ * NotificationPreferenceService 결과({ CHAT: { PUSH, ... } }) → 분류별 목록
+ */
+export const NotificationPreferencesResolver = {
+  categories: (parent) => Object.entries(parent.categories).map(([category, channels]) => ({
+    category,
+    push: channels.PUSH,
+    socket: channels.SOCKET,
+    email: channels.EMAIL,
+    sms: channels.SMS,
+    locked: LOCKED_CATEGORIES.includes(category)
+  }))
+};
+
+/**
+ * AuthSession 타입 필드 리졸버
+ * 로그인 세션 정보 처리
+ */
+export const AuthSessionResolver = {
+  /**
+   * isCurrent 필드 - 요청 토큰의 sid와 비교
+   */
+  isCurrent: (parent, args, context) => {
+    const account = context.adminAccount || context.storeAccount || context.user;
+    return Boolean(account?.sessionId) && account.sessionId === parent.id;
+  }
+};
+
 /**
  * 공통 타입 리졸버 통합
  */
 export const typeResolvers = {
   User: UserResolver,
   WebAccount: WebAccountResolver,
-  Notification: NotificationResolver
+  AuthSession: AuthSessionResolver,
+  Notification: NotificationResolver,
+  NotificationPreferences: NotificationPreferencesResolver
 };
 
 export default typeResolvers;
@@ -1,5 +1,24 @@
 import { DataTypes, Model } from 'sequelize';
 import bcrypt from 'bcrypt';
+import { ADMIN_PERMISSIONS, WILDCARD_PERMISSION } from '../../shared/config/permissions.js';
+
+/**
+ * 역할별 기본 권한
+ */
+const ROLE_DEFAULT_PERMISSIONS = {
+  SUPER_ADMIN: [WILDCARD_PERMISSION], // 모든 권한
+  ADMIN: [...ADMIN_PERMISSIONS],
+  VIEWER: [
+    'VIEW_DASHBOARD',
+    'VIEW_USERS',
+    'VIEW_STORES',
+    'VIEW_ORDERS',
+    'VIEW_ANALYTICS',
+    'VIEW_PAYMENTS',
+    'VIEW_REVIEWS',
+    'VIEW_PROMOTIONS',
+  ],
+};
 
 /**
  * AdminAccount Model
@@ -15,6 +34,19 @@ class AdminAccount extends Model {
     return bcrypt.compare(password, this.passwordHash);
   }
 
+  /**
+   * 마지막 로그인 시간 업데이트
+   * @param {string|null} ip - 로그인 IP (IPv4/IPv6)
+   * @param {Object} options - save 옵션 (transaction 등)
+   */
+  async updateLastLogin(ip = null, options = {}) {
+    this.lastLoginAt = new Date();
+    if (ip) {
+      this.lastLoginIp = ip;
+    }
+    return this.save(options);
+  }
+
   /**
    * 권한 확인
    * @param {string} permission - 확인할 권한
@@ -35,37 +67,7 @@ class AdminAccount extends Model {
    * @returns {string[]}
    */
   getDefaultPermissions() {
-    const defaultPermissions = {
-      SUPER_ADMIN: ['*'], // 모든 권한
-      ADMIN: [
-        'VIEW_DASHBOARD',
-        'VIEW_USERS',
-        'MANAGE_USERS',
-        'VIEW_STORES',
-        'MANAGE_STORES',
-        'VIEW_ORDERS',
-        'MANAGE_ORDERS',
-        'VIEW_ANALYTICS',
-        'VIEW_PAYMENTS',
-        'MANAGE_PAYMENTS',
-        'VIEW_REVIEWS',
-        'MANAGE_REVIEWS',
-        'VIEW_PROMOTIONS',
-        'MANAGE_PROMOTIONS',
-      ],
-      VIEWER: [
-        'VIEW_DASHBOARD',
-        'VIEW_USERS',
-        'VIEW_STORES',
-        'VIEW_ORDERS',
-        'VIEW_ANALYTICS',
-        'VIEW_PAYMENTS',
-        'VIEW_REVIEWS',
-        'VIEW_PROMOTIONS',
-      ],
-    };
-
-    return defaultPermissions[this.role] || [];
+    return ROLE_DEFAULT_PERMISSIONS[this.role] || [];
   }
 
   /**
@@ -74,7 +76,7 @@ class AdminAccount extends Model {
    */
   getAllPermissions() {
     if (this.role === 'SUPER_ADMIN') {
-      return ['*'];
+      return [WILDCARD_PERMISSION];
     }
 
     const defaultPerms = this.getDefaultPermissions();
@@ -0,0 +1,93 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * ChatMessage Model
+ * 채팅 메시지 - id는 채팅방 내 순서이자 페이지네이션 커서
+ * clientMessageId로 클라이언트 재전송 시 중복 저장 방지
+ */
+class ChatMessage extends Model {}
+
+/**
+ * ChatMessage 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initChatMessage = (sequelize) => {
+  ChatMessage.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      roomId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '채팅방 ID',
+      },
+      // 발신자
+      senderType: {
+        type: DataTypes.ENUM('mobile', 'web', 'system'),
+        allowNull: false,
+        comment: '발신자 타입 (system=자동 메시지)',
+      },
+      senderId: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: '발신자 계정 ID (system은 null)',
+      },
+      clientMessageId: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: '클라이언트 생성 메시지 ID (재전송 중복 방지)',
+      },
+      // 내용
+      messageType: {
+        type: DataTypes.ENUM('TEXT', 'IMAGE', 'FILE', 'SYSTEM'),
+        defaultValue: 'TEXT',
+        allowNull: false,
+        comment: '메시지 타입',
+      },
+      content: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: '본문 (첨부만 있는 메시지는 null)',
+      },
+      attachments: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false,
+        comment: '첨부 파일 배열 ({ url, type, name, size })',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ChatMessage',
+      tableName: 'chatMessages',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['roomId', 'id'],
+        },
+        {
+          unique: true,
+          fields: ['roomId', 'senderType', 'senderId', 'clientMessageId'],
+        },
+      ],
+    }
+  );
+
+  return ChatMessage;
+};
+
+export default ChatMessage;
@@ -0,0 +1,104 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * ChatParticipant Model
+ * 채팅방 참여자 - 참여자별 수신/읽음 상태(lastDeliveredMessageId/lastReadMessageId) 보관
+ * participantType/participantId는 AuthSession의 clientType/subjectId와 같은 체계
+ */
+class ChatParticipant extends Model {}
+
+/**
+ * ChatParticipant 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initChatParticipant = (sequelize) => {
+  ChatParticipant.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      roomId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '채팅방 ID',
+      },
+      // 참여자
+      participantType: {
+        type: DataTypes.ENUM('mobile', 'web'),
+        allowNull: false,
+        comment: '참여자 타입 (mobile=User, web=WebAccount)',
+      },
+      participantId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '참여자 계정 ID',
+      },
+      // 읽음 상태
+      lastReadMessageId: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: '마지막으로 읽은 메시지 ID (이하 메시지는 읽음)',
+      },
+      lastReadAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '마지막 읽음 처리 시각',
+      },
+      // 수신 상태 (읽음 처리 시 함께 전진 - 항상 lastReadMessageId 이상)
+      lastDeliveredMessageId: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: '마지막으로 수신한 메시지 ID (이하 메시지는 수신 완료)',
+      },
+      lastDeliveredAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '마지막 수신 처리 시각',
+      },
+      // 알림 설정
+      mutedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '푸시 알림 음소거 종료 시각 (null=음소거 안 함, 9999-12-31=무기한)',
+      },
+      joinedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: '참여 시각',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ChatParticipant',
+      tableName: 'chatParticipants',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['roomId', 'participantType', 'participantId'],
+        },
+        {
+          fields: ['participantType', 'participantId'],
+        },
+      ],
+    }
+  );
+
+  return ChatParticipant;
+};
+
+export default ChatParticipant;
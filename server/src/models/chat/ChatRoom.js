@@ -0,0 +1,84 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * ChatRoom Model
+ * 채팅방 - 고객(User)과 Web 계정(WebAccount) 간 대화
+ * 참여자는 ChatParticipant, 메시지는 ChatMessage에 저장
+ */
+class ChatRoom extends Model {}
+
+/**
+ * ChatRoom 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initChatRoom = (sequelize) => {
+  ChatRoom.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // 채팅방 정보
+      type: {
+        type: DataTypes.ENUM('DIRECT', 'GROUP'),
+        defaultValue: 'DIRECT',
+        allowNull: false,
+        comment: '채팅방 타입 (DIRECT=1:1, GROUP=다자간)',
+      },
+      title: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: '채팅방 이름 (1:1 채팅은 null)',
+      },
+      // 생성자
+      createdByType: {
+        type: DataTypes.ENUM('mobile', 'web'),
+        allowNull: false,
+        comment: '생성자 타입 (mobile=User, web=WebAccount)',
+      },
+      createdById: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '생성자 계정 ID',
+      },
+      // 마지막 메시지 (목록 정렬/미리보기용)
+      lastMessageId: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: '마지막 메시지 ID',
+      },
+      lastMessageAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '마지막 메시지 시각',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'ChatRoom',
+      tableName: 'chatRooms',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['lastMessageAt'],
+        },
+      ],
+    }
+  );
+
+  return ChatRoom;
+};
+
+export default ChatRoom;
@@ -0,0 +1,131 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * AuthSession Model
+ * 로그인 세션 모델 - User / WebAccount / AdminAccount 공통
+ * id는 JWT의 sid(Refresh Token 패밀리 ID)와 동일
+ */
+class AuthSession extends Model {
+  /**
+   * 활성 세션 여부
+   * @returns {boolean}
+   */
+  isActive() {
+    return !this.revokedAt;
+  }
+
+  /**
+   * 세션 종료 기록
+   * @param {string} reason - 종료 사유 (LOGOUT, REVOKED_BY_USER, SESSION_LIMIT 등)
+   * @param {Object} options - save 옵션 (transaction 등)
+   */
+  async markRevoked(reason, options = {}) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save(options);
+  }
+}
+
+/**
+ * AuthSession 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initAuthSession = (sequelize) => {
+  AuthSession.init(
+    {
+      id: {
+        type: DataTypes.STRING(32),
+        primaryKey: true,
+        comment: '세션 ID (JWT sid)',
+      },
+      // 세션 소유자
+      clientType: {
+        type: DataTypes.ENUM('mobile', 'web', 'admin'),
+        allowNull: false,
+        comment: '클라이언트 타입 (mobile=User, web=WebAccount, admin=AdminAccount)',
+      },
+      subjectId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '계정 ID',
+      },
+      // 디바이스 정보
+      deviceType: {
+        type: DataTypes.ENUM('IOS', 'ANDROID', 'WEB', 'DESKTOP'),
+        allowNull: true,
+        comment: '디바이스 타입',
+      },
+      deviceName: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: '표시용 디바이스 이름 (예: Chrome on macOS)',
+      },
+      os: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: '운영체제',
+      },
+      browser: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: '브라우저 (앱은 null)',
+      },
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'User-Agent 원문',
+      },
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+        comment: '마지막 요청 IP (IPv4 또는 IPv6)',
+      },
+      // 활동 정보
+      lastActiveAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: '마지막 활동 시각',
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '세션 종료 시각',
+      },
+      revokedReason: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: '세션 종료 사유',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AuthSession',
+      tableName: 'authSessions',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['clientType', 'subjectId', 'revokedAt'],
+        },
+        {
+          fields: ['lastActiveAt'],
+        },
+      ],
+    }
+  );
+
+  return AuthSession;
+};
+
+export default AuthSession;
@@ -0,0 +1,123 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * EventLog Model
+ * Socket.IO 이벤트 로그 - EventLogger가 묶음(bulk) 저장, 카테고리/레벨별 보관 기간 경과 시 삭제
+ * 관리자 검색(aEventLogs)과 시간/일 단위 통계(aEventLogStatistics)의 원본
+ */
+class EventLog extends Model {}
+
+/**
+ * EventLog 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initEventLog = (sequelize) => {
+  EventLog.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // 이벤트
+      namespace: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: '/',
+        comment: 'Socket.IO 네임스페이스',
+      },
+      eventName: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: '이벤트 이름 (예: chat:send, socket:connect)',
+      },
+      category: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'general',
+        comment: '이벤트 카테고리 (보관 기간 기준)',
+      },
+      level: {
+        type: DataTypes.ENUM('DEBUG', 'INFO', 'WARN', 'ERROR', 'CRITICAL'),
+        allowNull: false,
+        defaultValue: 'INFO',
+        comment: '로그 레벨',
+      },
+      // 주체
+      userType: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: '소켓 사용자 타입 (CUSTOMER/WEB/STORE/ADMIN)',
+      },
+      userId: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: '계정 ID (userType 기준 테이블)',
+      },
+      storeId: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: '매장 ID',
+      },
+      socketId: {
+        type: DataTypes.STRING(40),
+        allowNull: true,
+        comment: 'Socket ID',
+      },
+      // 내용
+      data: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: '이벤트 데이터 (최대 크기 초과 시 잘라서 저장)',
+      },
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: '부가 정보 (IP, User-Agent, stack 등)',
+      },
+      duration: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: '처리 시간 (ms)',
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: '에러 메시지',
+      },
+      timestamp: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: '이벤트 발생 시각',
+      },
+    },
+    {
+      sequelize,
+      modelName: 'EventLog',
+      tableName: 'eventLogs',
+      timestamps: false,
+      indexes: [
+        {
+          fields: ['timestamp'],
+        },
+        {
+          fields: ['namespace', 'timestamp'],
+        },
+        {
+          fields: ['userType', 'userId', 'timestamp'],
+        },
+        {
+          fields: ['eventName', 'timestamp'],
+        },
+        {
+          fields: ['category', 'level', 'timestamp'],
+        },
+      ],
+    }
+  );
+
+  return EventLog;
+};
+
+export default EventLog;
@@ -0,0 +1,95 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * MfaCredential Model
+ * 2단계 인증(TOTP) 자격 증명 - WebAccount / AdminAccount 공통
+ * - secret: EncryptionManager.encrypt 결과 ({ encrypted, iv, authTag })
+ * - backupCodes: 복구 코드 SHA-256 해시 배열 (사용 시 제거)
+ */
+class MfaCredential extends Model {
+  /**
+   * 등록 완료 여부 (enabledAt 없으면 등록 진행 중)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.enabledAt);
+  }
+}
+
+/**
+ * MfaCredential 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initMfaCredential = (sequelize) => {
+  MfaCredential.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // 소유자
+      clientType: {
+        type: DataTypes.ENUM('web', 'admin'),
+        allowNull: false,
+        comment: '클라이언트 타입 (web=WebAccount, admin=AdminAccount)',
+      },
+      subjectId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '계정 ID',
+      },
+      // TOTP
+      secret: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: '암호화된 TOTP 시크릿 (AES-256-GCM)',
+      },
+      lastUsedStep: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: '마지막으로 사용된 TOTP 시간 스텝 (재사용 방지)',
+      },
+      // 복구 코드
+      backupCodes: {
+        type: DataTypes.JSON,
+        defaultValue: [],
+        allowNull: false,
+        comment: '복구 코드 해시 배열',
+      },
+      // 상태
+      enabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '활성화 시각 (null이면 등록 진행 중)',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'MfaCredential',
+      tableName: 'mfaCredentials',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['clientType', 'subjectId'],
+        },
+      ],
+    }
+  );
+
+  return MfaCredential;
+};
+
+export default MfaCredential;
@@ -138,6 +138,11 @@ export const initUser = (sequelize) => {
         allowNull: false,
         comment: '계정 상태',
       },
+      statusReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: '상태 변경 사유 (관리자 정지/차단)',
+      },
       role: {
         type: DataTypes.ENUM('CUSTOMER', 'DRIVER', 'ADMIN', 'SUPER_ADMIN'),
         defaultValue: 'CUSTOMER',
@@ -165,7 +170,7 @@ export const initUser = (sequelize) => {
       },
       // 소셜 로그인
       socialProvider: {
-        type: DataTypes.ENUM('GOOGLE', 'FACEBOOK', 'APPLE', 'KAKAO', 'NAVER'),
+        type: DataTypes.ENUM('GOOGLE', 'FACEBOOK', 'APPLE', 'KAKAO', 'NAVER', 'ZALO'),
         allowNull: true,
         comment: '소셜 로그인 제공자',
       },
@@ -178,7 +183,7 @@ export const initUser = (sequelize) => {
       fcmToken: {
         type: DataTypes.STRING(500),
         allowNull: true,
-        comment: 'Firebase Cloud Messaging 토큰',
+        comment: 'Firebase Cloud Messaging 토큰 (구버전 단일 토큰 - 신규 등록은 PushDevice)',
       },
       deviceType: {
         type: DataTypes.ENUM('IOS', 'ANDROID', 'WEB', 'DESKTOP'),
@@ -8,6 +8,15 @@
  * - customer/User.js     - 고객 사용자
  * - web/WebAccount.js    - Web 클라이언트 계정
  * - admin/AdminAccount.js - 관리자 계정
+ * - core/AuthSession.js  - 로그인 세션 (전체 클라이언트 공통)
+ * - core/MfaCredential.js - 2단계 인증 자격 증명 (Web/Admin)
+ * - core/EventLog.js     - Socket 이벤트 로그
+ * - chat/ChatRoom.js     - 채팅방
+ * - chat/ChatParticipant.js - 채팅방 참여자 (참여자별 읽음 상태)
+ * - chat/ChatMessage.js  - 채팅 메시지
+ * - notification/Notification.js - 알림함 (고객/Web 계정/관리자)
+ * - notification/PushDevice.js - 푸시 수신 디바이스 (FCM 토큰)
+ * - notification/NotificationPreference.js - 알림 수신 설정 (분류 × 채널, 방해 금지 시간)
  * - core/Tag.js          - 태그 (선택적)
  * ===============================================
  */
@@ -33,8 +42,25 @@ import AdminAccount, { initAdminAccount } from './admin/AdminAccount.js';
 // ===============================================
 // 📂 코어 (Core Domain)
 // ===============================================
+import AuthSession, { initAuthSession } from './core/AuthSession.js';
+import MfaCredential, { initMfaCredential } from './core/MfaCredential.js';
+import EventLog, { initEventLog } from './core/EventLog.js';
 import Tag from './core/Tag.js';
 
+// ===============================================
+// 📂 채팅 (Chat Domain)
+// ===============================================
+import ChatRoom, { initChatRoom } from './chat/ChatRoom.js';
+import ChatParticipant, { initChatParticipant } from './chat/ChatParticipant.js';
+import ChatMessage, { initChatMessage } from './chat/ChatMessage.js';
+
+// ===============================================
+// 📂 알림 (Notification Domain)
+// ===============================================
+import Notification, { initNotification } from './notification/Notification.js';
+import PushDevice, { initPushDevice } from './notification/PushDevice.js';
+import NotificationPreference, { initNotificationPreference } from './notification/NotificationPreference.js';
+
 // ===============================================
 // 모델 초기화
 // ===============================================
@@ -43,6 +69,15 @@ const initializeModels = () => {
   initUser(sequelize);
   initWebAccount(sequelize);
   initAdminAccount(sequelize);
+  initAuthSession(sequelize);
+  initMfaCredential(sequelize);
+  initEventLog(sequelize);
+  initChatRoom(sequelize);
+  initChatParticipant(sequelize);
+  initChatMessage(sequelize);
+  initNotification(sequelize);
+  initPushDevice(sequelize);
+  initNotificationPreference(sequelize);
   // Tag는 이미 sequelize.define으로 초기화됨
 };
 
@@ -55,6 +90,12 @@ initializeModels();
 const setupAssociations = () => {
   // 관계 설정이 필요한 경우 여기에 추가
   // 예: User.hasMany(Order);
+
+  // 채팅
+  ChatRoom.hasMany(ChatParticipant, { foreignKey: 'roomId', as: 'participants' });
+  ChatParticipant.belongsTo(ChatRoom, { foreignKey: 'roomId', as: 'room' });
+  ChatRoom.hasMany(ChatMessage, { foreignKey: 'roomId', as: 'messages' });
+  ChatMessage.belongsTo(ChatRoom, { foreignKey: 'roomId', as: 'room' });
 };
 
 // 관계 설정 실행
@@ -78,8 +119,21 @@ const db = {
   AdminAccount,
 
   // Core Domain
+  AuthSession,
+  MfaCredential,
+  EventLog,
   Tag,
 
+  // Chat Domain
+  ChatRoom,
+  ChatParticipant,
+  ChatMessage,
+
+  // Notification Domain
+  Notification,
+  PushDevice,
+  NotificationPreference,
+
   // 초기화 함수들 (server.js에서 호출)
   initializeModels: async () => {
     // 이미 import 시점에 초기화됨 - 여기서는 동기화만 수행
@@ -154,7 +208,20 @@ export {
   AdminAccount,
 
   // Core Domain
+  AuthSession,
+  MfaCredential,
+  EventLog,
   Tag,
+
+  // Chat Domain
+  ChatRoom,
+  ChatParticipant,
+  ChatMessage,
+
+  // Notification Domain
+  Notification,
+  PushDevice,
+  NotificationPreference,
 };
 
 // ===============================================
@@ -0,0 +1,135 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * Notification Model
+ * 알림함 - 수신자별 알림 (읽음/보관 상태 포함)
+ * recipientType/recipientId는 AuthSession의 clientType/subjectId와 같은 체계
+ */
+class Notification extends Model {}
+
+/**
+ * Notification 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initNotification = (sequelize) => {
+  Notification.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // 수신자
+      recipientType: {
+        type: DataTypes.ENUM('mobile', 'web', 'admin'),
+        allowNull: false,
+        comment: '수신자 타입 (mobile=User, web=WebAccount, admin=AdminAccount)',
+      },
+      recipientId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '수신자 계정 ID',
+      },
+      // 분류
+      category: {
+        type: DataTypes.ENUM('TRANSACTIONAL', 'CHAT', 'MARKETING', 'SECURITY', 'SYSTEM'),
+        allowNull: false,
+        defaultValue: 'SYSTEM',
+        comment: '알림 분류 (TRANSACTIONAL=주문/결제, CHAT=채팅, MARKETING=프로모션, SECURITY=보안, SYSTEM=공지)',
+      },
+      type: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'DEFAULT',
+        comment: '알림 종류 (ORDER_UPDATE, CHAT, REVIEW 등)',
+      },
+      priority: {
+        type: DataTypes.ENUM('LOW', 'NORMAL', 'HIGH', 'URGENT'),
+        allowNull: false,
+        defaultValue: 'NORMAL',
+        comment: '우선순위',
+      },
+      // 내용
+      title: {
+        type: DataTypes.STRING(200),
+        allowNull: false,
+        comment: '제목',
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: '본문',
+      },
+      data: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: '추가 데이터 (화면 이동 파라미터 등)',
+      },
+      deepLink: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: '알림 선택 시 이동할 앱/웹 경로',
+      },
+      deliveredVia: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: '전송된 채널 배열 (SOCKET, PUSH)',
+      },
+      // 상태
+      isRead: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: '읽음 여부',
+      },
+      readAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '읽음 처리 시각',
+      },
+      isArchived: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: '보관 여부 (보관한 알림은 기본 목록/읽지 않은 수에서 제외)',
+      },
+      archivedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: '보관 처리 시각',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'Notification',
+      tableName: 'notifications',
+      timestamps: true,
+      indexes: [
+        {
+          // 알림함 목록 (ID 커서)
+          fields: ['recipientType', 'recipientId', 'isArchived', 'id'],
+        },
+        {
+          // 읽지 않은 수
+          fields: ['recipientType', 'recipientId', 'isRead', 'isArchived'],
+        },
+      ],
+    }
+  );
+
+  return Notification;
+};
+
+export default Notification;
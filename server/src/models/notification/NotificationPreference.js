@@ -0,0 +1,95 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * NotificationPreference Model
+ * 알림 수신 설정 - 분류(TRANSACTIONAL, CHAT, MARKETING) × 채널(PUSH, SOCKET, EMAIL, SMS), 방해 금지 시간
+ * 보안(SECURITY) 알림은 항상 발송하므로 저장하지 않음
+ * ownerType/ownerId는 AuthSession의 clientType/subjectId와 같은 체계
+ */
+class NotificationPreference extends Model {}
+
+/**
+ * NotificationPreference 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initNotificationPreference = (sequelize) => {
+  NotificationPreference.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // 소유자
+      ownerType: {
+        type: DataTypes.ENUM('mobile', 'web'),
+        allowNull: false,
+        comment: '소유자 타입 (mobile=User, web=WebAccount)',
+      },
+      ownerId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '소유자 계정 ID',
+      },
+      // 분류 × 채널
+      channels: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {},
+        comment: '분류별 채널 수신 여부 ({ CHAT: { PUSH: false, ... } } - 없는 값은 기본값)',
+      },
+      // 방해 금지 시간
+      quietHoursEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: '방해 금지 시간 사용 여부 (기본 꺼짐 - 사용자가 켠 경우만 적용)',
+      },
+      quietHoursStart: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: '22:00',
+        comment: '방해 금지 시작 (HH:mm, 사용자 시간대)',
+      },
+      quietHoursEnd: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        defaultValue: '07:00',
+        comment: '방해 금지 종료 (HH:mm, 자정 넘김 가능)',
+      },
+      timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'Asia/Ho_Chi_Minh',
+        comment: 'IANA 시간대 (방해 금지 시간 기준)',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'NotificationPreference',
+      tableName: 'notificationPreferences',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['ownerType', 'ownerId'],
+        },
+      ],
+    }
+  );
+
+  return NotificationPreference;
+};
+
+export default NotificationPreference;
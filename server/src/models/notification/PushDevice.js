@@ -0,0 +1,101 @@
+import { DataTypes, Model } from 'sequelize';
+
+/**
+ * PushDevice Model
+ * 푸시 수신 디바이스 - 계정별 FCM 등록 토큰 (앱: iOS/Android, 웹: Firebase JS SDK 웹 푸시 토큰)
+ * ownerType/ownerId는 AuthSession의 clientType/subjectId와 같은 체계
+ */
+class PushDevice extends Model {}
+
+/**
+ * PushDevice 모델 초기화
+ * @param {import('sequelize').Sequelize} sequelize
+ */
+export const initPushDevice = (sequelize) => {
+  PushDevice.init(
+    {
+      id: {
+        type: DataTypes.BIGINT,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      // 소유자
+      ownerType: {
+        type: DataTypes.ENUM('mobile', 'web'),
+        allowNull: false,
+        comment: '소유자 타입 (mobile=User, web=WebAccount)',
+      },
+      ownerId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: '소유자 계정 ID',
+      },
+      sessionId: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: '등록한 로그인 세션 ID (세션 종료 시 삭제)',
+      },
+      // 디바이스
+      token: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+        comment: 'FCM 등록 토큰',
+      },
+      platform: {
+        type: DataTypes.ENUM('ios', 'android', 'web'),
+        allowNull: true,
+        comment: '플랫폼 (앱에서 전달하지 않고 User-Agent로도 알 수 없으면 null)',
+      },
+      appVersion: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+        comment: '앱 버전 (웹은 클라이언트 빌드 버전)',
+      },
+      locale: {
+        type: DataTypes.STRING(10),
+        allowNull: true,
+        comment: '디바이스 언어 (vi, en, ko 등)',
+      },
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: '마지막 등록/갱신 시각 (디바이스 수 제한 시 오래된 순으로 삭제)',
+      },
+      // 시스템 정보
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'PushDevice',
+      tableName: 'pushDevices',
+      timestamps: true,
+      indexes: [
+        {
+          // 같은 디바이스에서 다른 계정으로 로그인하면 소유자만 변경
+          unique: true,
+          fields: ['token'],
+        },
+        {
+          fields: ['ownerType', 'ownerId', 'lastSeenAt'],
+        },
+        {
+          fields: ['sessionId'],
+        },
+      ],
+    }
+  );
+
+  return PushDevice;
+};
+
+export default PushDevice;
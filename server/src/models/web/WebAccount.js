@@ -18,10 +18,15 @@ class WebAccount extends Model {
 
   /**
    * 마지막 로그인 시간 업데이트
+   * @param {string|null} ip - 로그인 IP (IPv4/IPv6)
+   * @param {Object} options - save 옵션 (transaction 등)
    */
-  async updateLastLogin() {
+  async updateLastLogin(ip = null, options = {}) {
     this.lastLoginAt = new Date();
-    return this.save();
+    if (ip) {
+      this.lastLoginIp = ip;
+    }
+    return this.save(options);
   }
 
   /**
@@ -102,11 +107,16 @@ export const initWebAccount = (sequelize) => {
       },
       // 상태
       status: {
-        type: DataTypes.ENUM('ACTIVE', 'INACTIVE', 'SUSPENDED', 'PENDING'),
+        type: DataTypes.ENUM('ACTIVE', 'INACTIVE', 'SUSPENDED', 'PENDING', 'BANNED'),
         defaultValue: 'ACTIVE',
         allowNull: false,
         comment: '계정 상태',
       },
+      statusReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: '상태 변경 사유 (관리자 정지/차단)',
+      },
       // 설정
       language: {
         type: DataTypes.ENUM('VI', 'EN', 'KO'),
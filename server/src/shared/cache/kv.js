@@ -10,6 +10,7 @@ const memory = new Map();
 const memLists = new Map(); // for list ops
 const memSets = new Map();  // for Set ops
 const memZSets = new Map(); // for Sorted Set ops
+const memStreams = new Map(); // for Stream ops
 const expirations = new Map(); // non-string structures TTL
 
 function touchExpireForKey(key) {
@@ -19,6 +20,7 @@ function touchExpireForKey(key) {
     memLists.delete(key);
     memSets.delete(key);
     memZSets.delete(key);
+    memStreams.delete(key);
     expirations.delete(key);
     return true;
   }
@@ -115,6 +117,7 @@ const kv = {
         if (memLists.delete(k)) n++;
         if (memSets.delete(k)) n++;
         if (memZSets.delete(k)) n++;
+        if (memStreams.delete(k)) n++;
         expirations.delete(k);
       }
       return n;
@@ -159,7 +162,7 @@ const kv = {
     if (!client) {
       const cur = parseInt(mem.get(key) || '0');
       const next = cur + 1;
-      memory.set(key, { value: String(next), expiresAt: null });
+      memory.set(key, { value: String(next), expiresAt: memory.get(key)?.expiresAt ?? null }); // Redis처럼 TTL 유지
       return next;
     }
     return client.incr(key);
@@ -169,7 +172,7 @@ const kv = {
     if (!client) {
       const cur = parseInt(mem.get(key) || '0');
       const next = cur + increment;
-      memory.set(key, { value: String(next), expiresAt: null });
+      memory.set(key, { value: String(next), expiresAt: memory.get(key)?.expiresAt ?? null }); // Redis처럼 TTL 유지
       return next;
     }
     return client.incrby(key, increment);
@@ -347,6 +350,297 @@ kv.zscore = async (key, member) => {
   return client.zscore(key, member);
 };
 
+kv.zcount = async (key, min, max) => {
+  const client = getRedis();
+  if (!client) {
+    if (touchExpireForKey(key)) return 0;
+    const z = memZSets.get(key) || new Map();
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    const hi = max === '+inf' ? Infinity : Number(max);
+    let n = 0;
+    for (const s of z.values()) if (s >= lo && s <= hi) n++;
+    return n;
+  }
+  return client.zcount(key, min, max);
+};
+
+kv.zrangebyscore = async (key, min, max, withScoresFlag) => {
+  const client = getRedis();
+  if (!client) {
+    if (touchExpireForKey(key)) return [];
+    const z = memZSets.get(key) || new Map();
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    const hi = max === '+inf' ? Infinity : Number(max);
+    const arr = Array.from(z.entries()).filter(([, s]) => s >= lo && s <= hi).sort((a, b) => a[1] - b[1]);
+    if (withScoresFlag === 'WITHSCORES') {
+      const flat = [];
+      for (const [m, s] of arr) flat.push(m, String(s));
+      return flat;
+    }
+    return arr.map(([m]) => m);
+  }
+  return withScoresFlag ? client.zrangebyscore(key, min, max, withScoresFlag) : client.zrangebyscore(key, min, max);
+};
+
+kv.zremrangebyscore = async (key, min, max) => {
+  const client = getRedis();
+  if (!client) {
+    if (touchExpireForKey(key)) return 0;
+    const z = memZSets.get(key) || new Map();
+    const lo = min === '-inf' ? -Infinity : Number(min);
+    const hi = max === '+inf' ? Infinity : Number(max);
+    let n = 0;
+    for (const [m, s] of z.entries()) {
+      if (s >= lo && s <= hi) { z.delete(m); n++; }
+    }
+    if (z.size === 0) memZSets.delete(key);
+    return n;
+  }
+  return client.zremrangebyscore(key, min, max);
+};
+
+// === Stream operations ===
+// ID는 'ms-seq' 형식 (명시적 ID 사용 시 호출자가 증가 순서를 보장)
+const streamIdCompare = (a, b) => {
+  const [am, as] = a.split('-').map(Number);
+  const [bm, bs] = b.split('-').map(Number);
+  return am === bm ? as - bs : am - bm;
+};
+
+kv.xadd = async (key, maxLen, id, ...fieldValues) => {
+  const client = getRedis();
+  if (!client) {
+    touchExpireForKey(key);
+    const entries = memStreams.get(key) || [];
+    const entryId = id === '*' ? `${Date.now()}-${entries.length}` : id;
+    entries.push([entryId, fieldValues.map(String)]);
+    if (entries.length > maxLen) entries.splice(0, entries.length - maxLen);
+    memStreams.set(key, entries);
+    return entryId;
+  }
+  return client.xadd(key, 'MAXLEN', '~', maxLen, id, ...fieldValues);
+};
+
+kv.xrange = async (key, start, end, count) => {
+  const client = getRedis();
+  if (!client) {
+    if (touchExpireForKey(key)) return [];
+    const entries = memStreams.get(key) || [];
+    const inRange = entries.filter(([entryId]) => (
+      (start === '-' || streamIdCompare(entryId, start) >= 0) && (end === '+' || streamIdCompare(entryId, end) <= 0)
+    ));
+    return count ? inRange.slice(0, count) : inRange;
+  }
+  return count ? client.xrange(key, start, end, 'COUNT', count) : client.xrange(key, start, end);
+};
+
+// 시퀀스 증가와 Stream 추가를 한 번에 처리 (Lua) - 동시에 추가해도 seq 순서대로 {seq}-0 ID로 저장
+const SEQ_XADD_SCRIPT = `
+local seq = redis.call('INCR', KEYS[1])
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[1]))
+redis.call('XADD', KEYS[2], 'MAXLEN', '~', tonumber(ARGV[3]), seq .. '-0', unpack(ARGV, 4))
+redis.call('EXPIRE', KEYS[2], tonumber(ARGV[2]))
+return seq
+`;
+
+/**
+ * 시퀀스 키를 증가시키고 그 값을 ID로 Stream에 추가
+ * @param {string} seqKey
+ * @param {string} streamKey
+ * @param {number} seqTtlSeconds
+ * @param {number} streamTtlSeconds
+ * @param {number} maxLen - Stream 최대 길이 (근사)
+ * @param {...string} fieldValues
+ * @returns {Promise<number>} 부여된 seq
+ */
+kv.xaddWithSeq = async (seqKey, streamKey, seqTtlSeconds, streamTtlSeconds, maxLen, ...fieldValues) => {
+  const client = getRedis();
+  if (!client) {
+    const seq = parseInt(mem.get(seqKey) || '0') + 1;
+    mem.setex(seqKey, seqTtlSeconds, String(seq));
+    touchExpireForKey(streamKey);
+    const entries = memStreams.get(streamKey) || [];
+    entries.push([`${seq}-0`, fieldValues.map(String)]);
+    if (entries.length > maxLen) entries.splice(0, entries.length - maxLen);
+    memStreams.set(streamKey, entries);
+    expirations.set(streamKey, Date.now() + streamTtlSeconds * 1000);
+    return seq;
+  }
+  return Number(await client.eval(SEQ_XADD_SCRIPT, 2, seqKey, streamKey, seqTtlSeconds, streamTtlSeconds, maxLen, ...fieldValues));
+};
+
+// === Atomic claim ===
+// 값이 없을 때만 저장 (멱등 키/잠금) - 저장했으면 true
+kv.setnx = async (key, value, ttlSeconds) => {
+  const client = getRedis();
+  if (!client) {
+    if (mem.get(key) !== null) return false;
+    mem.setex(key, ttlSeconds, value);
+    return true;
+  }
+  return (await client.set(key, value, 'EX', ttlSeconds, 'NX')) === 'OK';
+};
+
+// 조회와 동시에 삭제 (1회용 토큰 소비) - 동시 요청 중 하나만 값을 받음
+kv.getdel = async (key) => {
+  const client = getRedis();
+  if (!client) {
+    const value = mem.get(key);
+    memory.delete(key);
+    return value;
+  }
+  return client.getdel(key);
+};
+
+// JSON 값의 필드가 기대값일 때만 교체 (Lua) - 동시 요청 중 하나만 성공
+// expected가 null이면 키가 없을 때만 저장
+const COMPARE_AND_SET_JSON_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if raw then
+  if ARGV[1] == '0' then return 0 end
+  local ok, doc = pcall(cjson.decode, raw)
+  if not ok or doc[ARGV[2]] ~= ARGV[3] then return 0 end
+elseif ARGV[1] == '1' then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[4], 'EX', tonumber(ARGV[5]))
+return 1
+`;
+
+/**
+ * JSON 문자열 값의 compare-and-set
+ * @param {string} key
+ * @param {string} field - 비교할 필드
+ * @param {string|null} expected - 기대값 (null이면 키가 없어야 함)
+ * @param {string} value - 저장할 JSON 문자열
+ * @param {number} ttlSeconds
+ * @returns {Promise<boolean>} 교체 여부
+ */
+kv.compareAndSetJson = async (key, field, expected, value, ttlSeconds) => {
+  const client = getRedis();
+  if (!client) {
+    const raw = mem.get(key);
+    if (raw !== null) {
+      if (expected === null) return false;
+      let doc;
+      try { doc = JSON.parse(raw); } catch { return false; }
+      if (doc?.[field] !== expected) return false;
+    } else if (expected !== null) {
+      return false;
+    }
+    mem.setex(key, ttlSeconds, value);
+    return true;
+  }
+  const result = await client.eval(
+    COMPARE_AND_SET_JSON_SCRIPT, 1, key, expected === null ? '0' : '1', field, expected ?? '', value, ttlSeconds
+  );
+  return result === 1;
+};
+
+// score가 maxScore 이하인 멤버를 최대 count개 다른 Sorted Set으로 이동 (Lua) - 여러 워커가 동시에 꺼내도 중복 없음
+const ZMOVE_BY_SCORE_SCRIPT = `
+local members = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for _, member in ipairs(members) do
+  redis.call('ZREM', KEYS[1], member)
+  redis.call('ZADD', KEYS[2], ARGV[3], member)
+end
+return members
+`;
+
+/**
+ * Sorted Set 간 원자적 이동 (작업 큐 선점/복구)
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @param {number} maxScore - 이 값 이하인 멤버만
+ * @param {number} count - 최대 이동 수
+ * @param {number} score - 이동한 멤버의 새 score
+ * @returns {Promise<string[]>} 이동한 멤버
+ */
+kv.zmoveByScore = async (fromKey, toKey, maxScore, count, score) => {
+  const client = getRedis();
+  if (!client) {
+    if (touchExpireForKey(fromKey)) return [];
+    const from = memZSets.get(fromKey) || new Map();
+    const members = Array.from(from.entries())
+      .filter(([, s]) => s <= maxScore)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, count)
+      .map(([m]) => m);
+    for (const m of members) {
+      from.delete(m);
+      await kv.zadd(toKey, score, m);
+    }
+    if (from.size === 0) memZSets.delete(fromKey);
+    return members;
+  }
+  return client.eval(ZMOVE_BY_SCORE_SCRIPT, 2, fromKey, toKey, maxScore, count, score);
+};
+
+// === Token bucket ===
+// 읽기-보충-차감을 한 번에 처리 (Lua) - 여러 노드가 같은 버킷을 공유해도 초과 허용 없음
+// 버킷이 가득 찰 시간이 지나면 키 만료 (가득 찬 버킷과 동일)
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2]) / 1000
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local ttlMs = tonumber(ARGV[5])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * refillPerMs)
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retryAfterMs = math.ceil((cost - tokens) / refillPerMs)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], ttlMs)
+return { allowed, tostring(tokens), retryAfterMs }
+`;
+const memBuckets = new Map();
+const MEM_BUCKET_SWEEP_MS = 60 * 1000;
+let nextMemBucketSweepAt = 0;
+
+// 가득 찰 시간(expiresAt)이 지난 버킷 제거 - Redis 키 만료와 동일 (소켓별 버킷 누적 방지)
+function sweepMemBuckets(now) {
+  if (now < nextMemBucketSweepAt) return;
+  nextMemBucketSweepAt = now + MEM_BUCKET_SWEEP_MS;
+  for (const [key, rec] of memBuckets) {
+    if (rec.expiresAt <= now) memBuckets.delete(key);
+  }
+}
+
+/**
+ * 토큰 버킷에서 cost만큼 차감
+ * @param {string} key
+ * @param {number} capacity - 최대 토큰 (순간 허용량)
+ * @param {number} refillPerSec - 초당 보충 토큰
+ * @param {number} cost - 차감할 토큰
+ * @returns {Promise<{ allowed: boolean, remaining: number, retryAfterMs: number }>}
+ */
+kv.takeToken = async (key, capacity, refillPerSec, cost = 1) => {
+  const now = Date.now();
+  const ttlMs = Math.ceil((capacity / refillPerSec) * 1000) + 1000;
+  const client = getRedis();
+  if (!client) {
+    sweepMemBuckets(now);
+    const rec = memBuckets.get(key);
+    const fresh = !rec || rec.expiresAt <= now;
+    let tokens = fresh ? capacity : Math.min(capacity, rec.tokens + ((now - rec.ts) / 1000) * refillPerSec);
+    const allowed = tokens >= cost;
+    const retryAfterMs = allowed ? 0 : Math.ceil(((cost - tokens) / refillPerSec) * 1000);
+    if (allowed) tokens -= cost;
+    memBuckets.set(key, { tokens, ts: now, expiresAt: now + ttlMs });
+    return { allowed, remaining: tokens, retryAfterMs };
+  }
+  const [allowed, remaining, retryAfterMs] = await client.eval(TOKEN_BUCKET_SCRIPT, 1, key, capacity, refillPerSec, cost, now, ttlMs);
+  return { allowed: allowed === 1, remaining: Number(remaining), retryAfterMs };
+};
+
 // Simple pipeline wrapper
 kv.pipeline = () => {
   const client = getRedis();
@@ -410,6 +704,9 @@ kv.pipeline = () => {
   return api;
 };
 
+// Redis 연결 여부 - false면 메모리 저장소 (프로세스 재시작 시 유실, 서버 간 공유 안 됨)
+kv.isPersistent = () => Boolean(getRedis());
+
 // msetex utility: entries: [{ key, ttl, value }]
 kv.msetex = async (entries = []) => {
   if (!Array.isArray(entries) || entries.length === 0) return [];
@@ -0,0 +1,57 @@
+/**
+ * 권한 레지스트리 - 서버에서 사용하는 모든 권한 이름의 단일 출처
+ *
+ * - AdminAccount/WebAccount 커스텀 권한, @requiresPermission 디렉티브,
+ *   withWebAuth의 permissions 옵션은 모두 이 목록에 등록된 이름만 사용합니다.
+ * - 스키마의 @requiresPermission에 미등록 권한이 있으면 서버 시작 시 에러가 발생합니다.
+ * - 새 권한은 여기에 먼저 추가한 뒤 사용하세요.
+ */
+
+/**
+ * 와일드카드 권한 (SUPER_ADMIN - AdminAccount.getAllPermissions())
+ */
+export const WILDCARD_PERMISSION = '*';
+
+/**
+ * 관리자(AdminAccount) 권한
+ */
+export const ADMIN_PERMISSIONS = [
+  'VIEW_DASHBOARD',     // 대시보드 조회
+  'VIEW_USERS',         // 고객/Web 계정 조회
+  'MANAGE_USERS',       // 고객/Web 계정 상태 관리
+  'VIEW_STORES',        // 매장 조회
+  'MANAGE_STORES',      // 매장 관리
+  'VIEW_ORDERS',        // 주문 조회
+  'MANAGE_ORDERS',      // 주문 관리
+  'VIEW_ANALYTICS',     // 통계 조회
+  'VIEW_PAYMENTS',      // 결제 조회
+  'MANAGE_PAYMENTS',    // 결제 관리
+  'VIEW_REVIEWS',       // 리뷰 조회
+  'MANAGE_REVIEWS',     // 리뷰 관리
+  'VIEW_PROMOTIONS',    // 프로모션 조회
+  'MANAGE_PROMOTIONS',  // 프로모션 관리
+  'VIEW_EVENT_LOGS',    // Socket 이벤트 로그/통계 조회
+  'VIEW_SYSTEM_METRICS', // 실시간 운영 지표 조회 (연결/처리량/의존 서비스 상태)
+];
+
+/**
+ * Web 계정(WebAccount) 커스텀 권한 - WebAccount.hasPermission (OWNER는 전체)
+ * 현재 Web 스키마에서 권한으로 제한하는 기능 없음 - 필요 시 여기에 등록 후 사용
+ */
+export const WEB_PERMISSIONS = [];
+
+/**
+ * 등록된 전체 권한
+ */
+export const REGISTERED_PERMISSIONS = new Set([...ADMIN_PERMISSIONS, ...WEB_PERMISSIONS]);
+
+/**
+ * 미등록 권한 이름 찾기
+ * @param {string[]} permissions - 확인할 권한 목록
+ * @returns {string[]} 레지스트리에 없는 권한 목록
+ */
+export function findUnregisteredPermissions(permissions = []) {
+  return [...new Set(permissions)].filter((permission) => !REGISTERED_PERMISSIONS.has(permission));
+}
+
+export default REGISTERED_PERMISSIONS;
@@ -0,0 +1,30 @@
+// 프록시 신뢰 범위 설정 - Express 'trust proxy'와 Socket.IO 핸드셰이크가 같은 기준으로 클라이언트 IP 결정
+import proxyaddr from 'proxy-addr';
+
+// TRUST_PROXY 환경변수 → express 'trust proxy' 값 (홉 수, true/false, 또는 IP/서브넷 목록)
+export function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+// 'trust proxy' 값 → proxy-addr 신뢰 함수 (express의 compileTrust와 동일한 해석)
+export function compileTrustProxy(value) {
+  if (value === true) return () => true;
+  if (typeof value === 'number') return (_, hop) => hop < value;
+  if (!value) return () => false;
+  return proxyaddr.compile(value);
+}
+
+let trustFn = null;
+
+// 요청 객체(http.IncomingMessage)의 클라이언트 IP - 신뢰하는 프록시가 없으면 x-forwarded-for 무시
+export function getRequestIp(req) {
+  if (!trustFn) {
+    trustFn = compileTrustProxy(parseTrustProxy(process.env.TRUST_PROXY));
+  }
+  return proxyaddr(req, trustFn);
+}
+
+export default { parseTrustProxy, compileTrustProxy, getRequestIp };
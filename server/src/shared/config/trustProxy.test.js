@@ -0,0 +1,55 @@
+/**
+ * 프록시 신뢰 범위 테스트
+ * TRUST_PROXY 해석과 클라이언트 IP 결정 - 신뢰하지 않는 주소가 보낸 x-forwarded-for는 무시
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import proxyaddr from 'proxy-addr';
+
+let parseTrustProxy;
+let compileTrustProxy;
+let getRequestIp;
+
+beforeAll(async () => {
+  delete process.env.TRUST_PROXY;
+  ({ parseTrustProxy, compileTrustProxy, getRequestIp } = await import('./trustProxy.js'));
+});
+
+// 핸드셰이크 요청 대역 (http.IncomingMessage)
+const request = (remoteAddress, forwardedFor) => ({
+  headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+  socket: { remoteAddress },
+});
+
+const clientIp = (trustProxy, req) => proxyaddr(req, compileTrustProxy(parseTrustProxy(trustProxy)));
+
+describe('TRUST_PROXY 해석', () => {
+  it('불리언/홉 수/주소 목록을 express와 같은 값으로 바꾼다', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('false')).toBe(false);
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('2')).toBe(2);
+    expect(parseTrustProxy('loopback, 10.0.0.0/8')).toEqual(['loopback', '10.0.0.0/8']);
+  });
+});
+
+describe('클라이언트 IP', () => {
+  it('설정이 없으면 x-forwarded-for를 무시하고 연결 주소를 쓴다', () => {
+    expect(getRequestIp(request('203.0.113.5', '1.2.3.4'))).toBe('203.0.113.5');
+  });
+
+  it('신뢰하는 프록시를 거친 경우에만 x-forwarded-for를 반영한다', () => {
+    const viaProxy = request('10.0.0.2', '198.51.100.7');
+
+    expect(clientIp('10.0.0.0/8', viaProxy)).toBe('198.51.100.7');
+    expect(clientIp('10.0.0.0/8', request('203.0.113.5', '1.2.3.4'))).toBe('203.0.113.5');
+  });
+
+  it('홉 수만큼만 거슬러 올라가 클라이언트가 붙인 값은 신뢰하지 않는다', () => {
+    // 클라이언트가 1.2.3.4를 위조해 보내고 프록시(10.0.0.2)가 실제 주소를 덧붙인 경우
+    const spoofed = request('10.0.0.2', '1.2.3.4, 198.51.100.7');
+
+    expect(clientIp('1', spoofed)).toBe('198.51.100.7');
+    expect(clientIp('true', spoofed)).toBe('1.2.3.4');
+  });
+});
@@ -69,7 +69,7 @@ export const ENUM_DEFINITIONS = {
   },
 
   SocialProvider: {
-    values: ['FACEBOOK', 'GOOGLE', 'ZALO'],
+    values: ['FACEBOOK', 'GOOGLE', 'APPLE', 'ZALO'],
     description: {
       vi: 'Nhà cung cấp đăng nhập xã hội',
       en: 'Social login provider',
@@ -59,6 +59,60 @@ export const ADMIN_AUTH_ERROR = {
     en: 'Insufficient permissions for this operation',
     ko: '이 작업을 수행할 권한이 부족합니다'
   },
+  A2010: {
+    key: 'CANNOT_MODIFY_SELF',
+    vi: 'Không thể thay đổi trạng thái tài khoản của chính mình',
+    en: 'Cannot change the status of your own account',
+    ko: '본인 계정의 상태는 변경할 수 없습니다'
+  },
+  A2011: {
+    key: 'SESSION_NOT_FOUND',
+    vi: 'Không tìm thấy phiên đăng nhập',
+    en: 'Session not found',
+    ko: '로그인 세션을 찾을 수 없습니다'
+  },
+  A2012: {
+    key: 'INVALID_MFA_CODE',
+    vi: 'Mã xác thực không chính xác',
+    en: 'Invalid verification code',
+    ko: '인증 코드가 올바르지 않습니다'
+  },
+  A2013: {
+    key: 'MFA_CHALLENGE_EXPIRED',
+    vi: 'Phiên xác thực hai bước đã hết hạn. Vui lòng đăng nhập lại',
+    en: 'Two-step verification has expired. Please sign in again',
+    ko: '2단계 인증이 만료되었습니다. 다시 로그인해주세요'
+  },
+  A2014: {
+    key: 'MFA_ALREADY_ENABLED',
+    vi: 'Xác thực hai bước đã được bật',
+    en: 'Two-step verification is already enabled',
+    ko: '2단계 인증이 이미 활성화되어 있습니다'
+  },
+  A2015: {
+    key: 'MFA_NOT_ENABLED',
+    vi: 'Xác thực hai bước chưa được bật',
+    en: 'Two-step verification is not enabled',
+    ko: '2단계 인증이 활성화되어 있지 않습니다'
+  },
+  A2016: {
+    key: 'MFA_REQUIRED_FOR_ROLE',
+    vi: 'Tài khoản SUPER_ADMIN bắt buộc phải bật xác thực hai bước',
+    en: 'Two-step verification is mandatory for SUPER_ADMIN accounts',
+    ko: 'SUPER_ADMIN 계정은 2단계 인증이 필수입니다'
+  },
+  A2017: {
+    key: 'INVALID_INVITATION_TOKEN',
+    vi: 'Lời mời không hợp lệ hoặc đã hết hạn',
+    en: 'The invitation is invalid or has expired',
+    ko: '유효하지 않거나 만료된 초대입니다'
+  },
+  A2018: {
+    key: 'MFA_TOO_MANY_ATTEMPTS',
+    vi: 'Bạn đã nhập sai mã xác thực quá nhiều lần. Vui lòng thử lại sau',
+    en: 'Too many incorrect verification codes. Please try again later',
+    ko: '인증 코드를 너무 많이 잘못 입력했습니다. 잠시 후 다시 시도해주세요'
+  },
 };
 
 export default ADMIN_AUTH_ERROR;
@@ -17,6 +17,30 @@ export const ADMIN_MANAGEMENT_ERROR = {
     en: 'Email already exists',
     ko: '이미 사용 중인 이메일입니다'
   },
+  A3003: {
+    key: 'ADMIN_ALREADY_TERMINATED',
+    vi: 'Tài khoản quản trị viên đã bị chấm dứt',
+    en: 'Admin account already terminated',
+    ko: '이미 종료된 관리자 계정입니다'
+  },
+  A3004: {
+    key: 'INVALID_PERMISSION',
+    vi: 'Quyền không hợp lệ',
+    en: 'Invalid permission',
+    ko: '유효하지 않은 권한입니다'
+  },
+  A3005: {
+    key: 'SUPER_ADMIN_PERMISSIONS_FIXED',
+    vi: 'Không thể thay đổi quyền của quản trị viên cấp cao',
+    en: 'Super admin permissions cannot be edited',
+    ko: '최고 관리자의 권한은 변경할 수 없습니다'
+  },
+  A3006: {
+    key: 'INVITATION_ALREADY_ACCEPTED',
+    vi: 'Quản trị viên đã chấp nhận lời mời',
+    en: 'The admin has already accepted the invitation',
+    ko: '이미 초대를 수락한 관리자입니다'
+  },
 
   // 매장 관리 (A4xxx)
   A4001: {
@@ -51,6 +75,24 @@ export const ADMIN_MANAGEMENT_ERROR = {
     en: 'User already suspended',
     ko: '이미 정지된 사용자입니다'
   },
+  A5003: {
+    key: 'USER_ALREADY_BLOCKED',
+    vi: 'Người dùng đã bị chặn',
+    en: 'User already blocked',
+    ko: '이미 차단된 사용자입니다'
+  },
+  A5004: {
+    key: 'USER_NOT_DELETED',
+    vi: 'Người dùng chưa bị xóa',
+    en: 'User is not deleted',
+    ko: '삭제되지 않은 사용자입니다'
+  },
+  A5005: {
+    key: 'WEB_ACCOUNT_NOT_FOUND',
+    vi: 'Không tìm thấy tài khoản web',
+    en: 'Web account not found',
+    ko: 'Web 계정을 찾을 수 없습니다'
+  },
 
   // 주문 관리 (A6xxx)
   A6001: {
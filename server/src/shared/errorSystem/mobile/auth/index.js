@@ -99,5 +99,41 @@ export const MOBILE_AUTH_ERRORS = {
     vi: 'Số điện thoại chưa được xác thực',
     ko: '전화번호 인증이 필요합니다',
     en: 'Phone verification required'
+  },
+  M2017: {
+    key: 'SESSION_NOT_FOUND',
+    vi: 'Không tìm thấy phiên đăng nhập',
+    ko: '로그인 세션을 찾을 수 없습니다',
+    en: 'Session not found'
+  },
+  M2018: {
+    key: 'INVALID_SOCIAL_TOKEN',
+    vi: 'Thông tin đăng nhập mạng xã hội không hợp lệ',
+    ko: '소셜 로그인 정보가 유효하지 않습니다',
+    en: 'Invalid social login credentials'
+  },
+  M2019: {
+    key: 'SOCIAL_ACCOUNT_LINK_REQUIRED',
+    vi: 'Email này đã được đăng ký. Vui lòng đăng nhập và liên kết tài khoản',
+    ko: '이미 가입된 이메일입니다. 로그인 후 계정을 연결해주세요',
+    en: 'This email is already registered. Please sign in and link your account'
+  },
+  M2020: {
+    key: 'SOCIAL_ACCOUNT_ALREADY_LINKED',
+    vi: 'Tài khoản mạng xã hội đã được liên kết',
+    ko: '이미 연결된 소셜 계정이 있습니다',
+    en: 'A social account is already linked'
+  },
+  M2021: {
+    key: 'SOCIAL_ACCOUNT_NOT_LINKED',
+    vi: 'Chưa liên kết tài khoản mạng xã hội',
+    ko: '연결된 소셜 계정이 없습니다',
+    en: 'No social account is linked'
+  },
+  M2022: {
+    key: 'PASSWORD_REQUIRED_TO_UNLINK',
+    vi: 'Vui lòng đặt mật khẩu trước khi hủy liên kết',
+    ko: '연결 해제 전에 비밀번호를 설정해주세요',
+    en: 'Set a password before unlinking your social account'
   }
 };
\ No newline at end of file
@@ -10,49 +10,21 @@
  * - M5xxx: 장바구니
  * - M6xxx: 프로필/설정
  * - M7xxx: 포인트/리워드
- * - M8xxx: 즐겨찾기/알림
+ * - M8xxx: 즐겨찾기/알림 (M85xx: 채팅)
  * - M9xxx: 위치/배달
  */
 
 // 도메인별 에러 import
 import { MOBILE_SYSTEM_ERRORS } from './mobile/system/index.js';
 import { MOBILE_AUTH_ERRORS } from './mobile/auth/index.js';
-import { MOBILE_ORDER_ERRORS } from './mobile/orders/index.js';
-import { MOBILE_PAYMENT_ERRORS } from './mobile/payment/index.js';
-import { MOBILE_CART_ERRORS } from './mobile/cart/index.js';
-import { MOBILE_PROFILE_ERRORS } from './mobile/profile/index.js';
-import { MOBILE_REVIEWS_ERRORS } from './mobile/reviews/index.js';
-import { MOBILE_NOTIFICATIONS_ERRORS } from './mobile/notifications/index.js';
-import { MOBILE_COUPON_ERRORS } from './mobile/coupon/index.js';
-import { MOBILE_SEARCH_ERRORS } from './mobile/search/index.js';
-import { MOBILE_STORE_ERRORS } from './mobile/store/index.js';
-import { MOBILE_ADDRESSES_ERRORS } from './mobile/addresses/index.js';
-import { MOBILE_BANNERS_ERRORS } from './mobile/banners/index.js';
-import { MOBILE_POINTS_ERRORS } from './mobile/points/index.js';
-import { MOBILE_FAVORITES_ERRORS } from './mobile/favorites/index.js';
-import { mobileLocationErrorCodes } from './mobile/location.js';
-import { MOBILE_PROMOTION_ERRORS } from './mobile/promotions/index.js';
+import { MOBILE_CHAT_ERRORS } from './mobile/chat/index.js';
 
 // 모든 모바일 에러 코드 통합
 // 주의: 중복 코드가 있을 경우 나중에 선언된 것이 우선됨
 const mobileErrorCodes = {
   ...MOBILE_SYSTEM_ERRORS,
   ...MOBILE_AUTH_ERRORS,
-  ...MOBILE_ORDER_ERRORS,
-  ...MOBILE_PAYMENT_ERRORS,
-  ...MOBILE_CART_ERRORS,
-  ...MOBILE_PROFILE_ERRORS,
-  ...MOBILE_REVIEWS_ERRORS,
-  ...MOBILE_NOTIFICATIONS_ERRORS,
-  ...MOBILE_COUPON_ERRORS,
-  ...MOBILE_STORE_ERRORS,
-  ...MOBILE_ADDRESSES_ERRORS,
-  ...MOBILE_BANNERS_ERRORS,
-  ...MOBILE_POINTS_ERRORS,
-  ...MOBILE_FAVORITES_ERRORS,
-  ...MOBILE_PROMOTION_ERRORS, // M3020-M3029: 프로모션 검증
-  ...mobileLocationErrorCodes, // M9xxx: Location 에러 (범위 넓음)
-  ...MOBILE_SEARCH_ERRORS // M9xxx: Search 에러 - Location과 겹치지만 Search 우선
+  ...MOBILE_CHAT_ERRORS,
 };
 
 /**
@@ -85,19 +57,7 @@ export const getMobileError = (code, language = 'vi') => {
 export {
   MOBILE_SYSTEM_ERRORS,
   MOBILE_AUTH_ERRORS,
-  MOBILE_ORDER_ERRORS,
-  MOBILE_PAYMENT_ERRORS,
-  MOBILE_CART_ERRORS,
-  MOBILE_PROFILE_ERRORS,
-  MOBILE_REVIEWS_ERRORS,
-  MOBILE_NOTIFICATIONS_ERRORS,
-  MOBILE_COUPON_ERRORS,
-  MOBILE_SEARCH_ERRORS,
-  MOBILE_STORE_ERRORS,
-  MOBILE_ADDRESSES_ERRORS,
-  MOBILE_BANNERS_ERRORS,
-  MOBILE_POINTS_ERRORS,
-  MOBILE_FAVORITES_ERRORS
+  MOBILE_CHAT_ERRORS,
 };
 
 export default mobileErrorCodes;
\ No newline at end of file
@@ -112,6 +112,54 @@ export const STORE_AUTH_ERRORS = {
     vi: 'Chưa đồng ý điều khoản sử dụng',
     ko: '이용약관에 동의하지 않았습니다',
     en: 'Terms and conditions not accepted'
+  },
+  S2019: {
+    key: 'INVALID_RESET_TOKEN',
+    vi: 'Liên kết đặt lại mật khẩu không hợp lệ hoặc đã hết hạn',
+    ko: '비밀번호 재설정 링크가 유효하지 않거나 만료되었습니다',
+    en: 'Password reset link is invalid or has expired'
+  },
+  S2020: {
+    key: 'ACCOUNT_DEACTIVATED',
+    vi: 'Tài khoản đã bị vô hiệu hóa',
+    ko: '비활성화된 계정입니다',
+    en: 'Account has been deactivated'
+  },
+  S2021: {
+    key: 'SESSION_NOT_FOUND',
+    vi: 'Không tìm thấy phiên đăng nhập',
+    ko: '로그인 세션을 찾을 수 없습니다',
+    en: 'Session not found'
+  },
+  S2022: {
+    key: 'INVALID_MFA_CODE',
+    vi: 'Mã xác thực không chính xác',
+    ko: '인증 코드가 올바르지 않습니다',
+    en: 'Invalid verification code'
+  },
+  S2023: {
+    key: 'MFA_CHALLENGE_EXPIRED',
+    vi: 'Phiên xác thực hai bước đã hết hạn. Vui lòng đăng nhập lại',
+    ko: '2단계 인증이 만료되었습니다. 다시 로그인해주세요',
+    en: 'Two-step verification has expired. Please sign in again'
+  },
+  S2024: {
+    key: 'MFA_ALREADY_ENABLED',
+    vi: 'Xác thực hai bước đã được bật',
+    ko: '2단계 인증이 이미 활성화되어 있습니다',
+    en: 'Two-step verification is already enabled'
+  },
+  S2025: {
+    key: 'MFA_NOT_ENABLED',
+    vi: 'Xác thực hai bước chưa được bật',
+    ko: '2단계 인증이 활성화되어 있지 않습니다',
+    en: 'Two-step verification is not enabled'
+  },
+  S2026: {
+    key: 'MFA_TOO_MANY_ATTEMPTS',
+    vi: 'Bạn đã nhập sai mã xác thực quá nhiều lần. Vui lòng thử lại sau',
+    ko: '인증 코드를 너무 많이 잘못 입력했습니다. 잠시 후 다시 시도해주세요',
+    en: 'Too many incorrect verification codes. Please try again later'
   }
 };
 
@@ -0,0 +1,50 @@
+/**
+ * Store Chat Error Codes - S85xx
+ * 채팅 관련 에러 코드
+ */
+
+// ==================== 채팅 (S85xx) ====================
+export const STORE_CHAT_ERRORS = {
+  S8501: {
+    key: 'CHAT_ROOM_NOT_FOUND',
+    vi: 'Không tìm thấy cuộc trò chuyện',
+    ko: '채팅방을 찾을 수 없습니다',
+    en: 'Chat room not found'
+  },
+  S8502: {
+    key: 'CHAT_ACCESS_DENIED',
+    vi: 'Bạn không phải là thành viên của cuộc trò chuyện này',
+    ko: '채팅방 참여자가 아닙니다',
+    en: 'You are not a participant of this chat room'
+  },
+  S8503: {
+    key: 'CHAT_MESSAGE_EMPTY',
+    vi: 'Vui lòng nhập nội dung tin nhắn',
+    ko: '메시지 내용을 입력해주세요',
+    en: 'Message content is required'
+  },
+  S8504: {
+    key: 'CHAT_MESSAGE_TOO_LONG',
+    vi: 'Tin nhắn quá dài',
+    ko: '메시지가 너무 깁니다',
+    en: 'Message is too long'
+  },
+  S8505: {
+    key: 'CHAT_MESSAGE_NOT_FOUND',
+    vi: 'Không tìm thấy tin nhắn',
+    ko: '메시지를 찾을 수 없습니다',
+    en: 'Message not found'
+  },
+  S8506: {
+    key: 'CHAT_CUSTOMER_NOT_FOUND',
+    vi: 'Không tìm thấy khách hàng',
+    ko: '고객을 찾을 수 없습니다',
+    en: 'Customer not found'
+  },
+  S8507: {
+    key: 'PRESENCE_ACCESS_DENIED',
+    vi: 'Bạn không có quyền xem trạng thái hoạt động của người dùng này',
+    ko: '이 사용자의 접속 상태를 조회할 권한이 없습니다',
+    en: 'You are not allowed to view this user\'s presence'
+  }
+};
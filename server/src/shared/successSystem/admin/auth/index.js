@@ -35,6 +35,54 @@ export const ADMIN_AUTH_SUCCESS = {
     en: 'Profile updated successfully',
     ko: '프로필이 업데이트되었습니다'
   },
+  AS106: {
+    key: 'SESSION_REVOKED',
+    vi: 'Đã đăng xuất khỏi thiết bị',
+    en: 'Signed out of the device',
+    ko: '해당 기기에서 로그아웃되었습니다'
+  },
+  AS107: {
+    key: 'OTHER_SESSIONS_REVOKED',
+    vi: 'Đã đăng xuất khỏi tất cả thiết bị khác',
+    en: 'Signed out of all other devices',
+    ko: '다른 모든 기기에서 로그아웃되었습니다'
+  },
+  AS108: {
+    key: 'MFA_REQUIRED',
+    vi: 'Vui lòng nhập mã xác thực hai bước',
+    en: 'Enter your two-step verification code',
+    ko: '2단계 인증 코드를 입력해주세요'
+  },
+  AS109: {
+    key: 'MFA_ENROLLMENT_STARTED',
+    vi: 'Quét mã QR bằng ứng dụng xác thực',
+    en: 'Scan the QR code with your authenticator app',
+    ko: '인증 앱으로 QR 코드를 스캔해주세요'
+  },
+  AS110: {
+    key: 'MFA_ENABLED',
+    vi: 'Đã bật xác thực hai bước',
+    en: 'Two-step verification enabled',
+    ko: '2단계 인증이 활성화되었습니다'
+  },
+  AS111: {
+    key: 'MFA_DISABLED',
+    vi: 'Đã tắt xác thực hai bước',
+    en: 'Two-step verification disabled',
+    ko: '2단계 인증이 비활성화되었습니다'
+  },
+  AS112: {
+    key: 'BACKUP_CODES_REGENERATED',
+    vi: 'Đã tạo mã khôi phục mới',
+    en: 'New recovery codes generated',
+    ko: '새 복구 코드가 발급되었습니다'
+  },
+  AS113: {
+    key: 'INVITATION_ACCEPTED',
+    vi: 'Đã đặt mật khẩu, vui lòng đăng nhập',
+    en: 'Password set. You can now sign in',
+    ko: '비밀번호가 설정되었습니다. 로그인해주세요'
+  },
 };
 
 export default ADMIN_AUTH_SUCCESS;
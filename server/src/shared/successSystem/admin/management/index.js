@@ -35,6 +35,24 @@ export const ADMIN_MANAGEMENT_SUCCESS = {
     en: 'User activated successfully',
     ko: '사용자가 활성화되었습니다'
   },
+  AS206: {
+    key: 'USER_BLOCKED',
+    vi: 'Chặn người dùng thành công',
+    en: 'User blocked successfully',
+    ko: '사용자가 차단되었습니다'
+  },
+  AS207: {
+    key: 'USER_RESTORED',
+    vi: 'Khôi phục người dùng thành công',
+    en: 'User restored successfully',
+    ko: '사용자가 복구되었습니다'
+  },
+  AS208: {
+    key: 'USER_FORCE_LOGGED_OUT',
+    vi: 'Đã đăng xuất người dùng khỏi mọi thiết bị',
+    en: 'User logged out from all devices',
+    ko: '사용자가 모든 기기에서 로그아웃되었습니다'
+  },
 
   // 매장 관리 (AS300-AS399)
   AS301: {
@@ -127,6 +145,36 @@ export const ADMIN_MANAGEMENT_SUCCESS = {
     en: 'Admin deleted successfully',
     ko: '관리자가 삭제되었습니다'
   },
+  AS504: {
+    key: 'ADMIN_INVITED',
+    vi: 'Đã gửi lời mời quản trị viên',
+    en: 'Admin invitation sent successfully',
+    ko: '관리자 초대가 전송되었습니다'
+  },
+  AS505: {
+    key: 'ADMIN_SUSPENDED',
+    vi: 'Tạm ngưng quản trị viên thành công',
+    en: 'Admin suspended successfully',
+    ko: '관리자 계정이 정지되었습니다'
+  },
+  AS506: {
+    key: 'ADMIN_TERMINATED',
+    vi: 'Chấm dứt tài khoản quản trị viên thành công',
+    en: 'Admin terminated successfully',
+    ko: '관리자 계정이 종료되었습니다'
+  },
+  AS507: {
+    key: 'ADMIN_PERMISSIONS_UPDATED',
+    vi: 'Cập nhật quyền quản trị viên thành công',
+    en: 'Admin permissions updated successfully',
+    ko: '관리자 권한이 변경되었습니다'
+  },
+  AS508: {
+    key: 'ADMIN_INVITATION_RESENT',
+    vi: 'Đã gửi lại lời mời quản trị viên',
+    en: 'Admin invitation resent successfully',
+    ko: '관리자 초대가 다시 전송되었습니다'
+  },
 
   // 프로모션 관리 (AS600-AS699)
   AS601: {
@@ -0,0 +1,28 @@
+/**
+ * Admin Notification Success Codes (AS1000-AS1099)
+ * 관리자 알림함 성공 코드
+ */
+
+export const ADMIN_NOTIFICATION_SUCCESS = {
+  // 알림함 (AS1000-AS1099)
+  AS1001: {
+    key: 'NOTIFICATIONS_READ',
+    vi: 'Đã đánh dấu thông báo là đã đọc',
+    en: 'Notifications marked as read',
+    ko: '알림을 읽음 처리했습니다'
+  },
+  AS1002: {
+    key: 'NOTIFICATIONS_ARCHIVED',
+    vi: 'Đã lưu trữ thông báo',
+    en: 'Notifications archived',
+    ko: '알림을 보관했습니다'
+  },
+  AS1003: {
+    key: 'NOTIFICATIONS_UNARCHIVED',
+    vi: 'Đã bỏ lưu trữ thông báo',
+    en: 'Notifications unarchived',
+    ko: '알림 보관을 해제했습니다'
+  },
+};
+
+export default ADMIN_NOTIFICATION_SUCCESS;
@@ -7,6 +7,7 @@
 import ADMIN_SYSTEM_SUCCESS from './admin/system/index.js';
 import ADMIN_AUTH_SUCCESS from './admin/auth/index.js';
 import ADMIN_MANAGEMENT_SUCCESS from './admin/management/index.js';
+import ADMIN_NOTIFICATION_SUCCESS from './admin/notification/index.js';
 
 /**
  * 모든 Admin 성공 코드 통합
@@ -15,6 +16,7 @@ export const ADMIN_SUCCESS_CODES = {
   ...ADMIN_SYSTEM_SUCCESS,
   ...ADMIN_AUTH_SUCCESS,
   ...ADMIN_MANAGEMENT_SUCCESS,
+  ...ADMIN_NOTIFICATION_SUCCESS,
 };
 
 /**
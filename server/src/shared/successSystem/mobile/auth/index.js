@@ -58,6 +58,12 @@ export const MOBILE_AUTH_SUCCESS = {
     en: 'Account deleted successfully',
     ko: '계정이 삭제되었습니다'
   },
+  MS010: {
+    key: 'PASSWORD_RESET_SUCCESSFUL',
+    vi: 'Đặt lại mật khẩu thành công',
+    en: 'Password reset successfully',
+    ko: '비밀번호가 재설정되었습니다'
+  },
 
   // 고급 인증 기능 성공 (MS100-MS116)
   MS100: {
@@ -107,5 +113,29 @@ export const MOBILE_AUTH_SUCCESS = {
     vi: 'Gia hạn phiên làm việc thành công',
     en: 'Session extended successfully',
     ko: '세션이 연장되었습니다'
+  },
+  MS117: {
+    key: 'SESSION_REVOKED',
+    vi: 'Đã đăng xuất khỏi thiết bị',
+    en: 'Signed out of the device',
+    ko: '해당 기기에서 로그아웃되었습니다'
+  },
+  MS118: {
+    key: 'OTHER_SESSIONS_REVOKED',
+    vi: 'Đã đăng xuất khỏi tất cả thiết bị khác',
+    en: 'Signed out of all other devices',
+    ko: '다른 모든 기기에서 로그아웃되었습니다'
+  },
+  MS119: {
+    key: 'SOCIAL_ACCOUNT_LINKED',
+    vi: 'Đã liên kết tài khoản mạng xã hội',
+    en: 'Social account linked',
+    ko: '소셜 계정이 연결되었습니다'
+  },
+  MS120: {
+    key: 'SOCIAL_ACCOUNT_UNLINKED',
+    vi: 'Đã hủy liên kết tài khoản mạng xã hội',
+    en: 'Social account unlinked',
+    ko: '소셜 계정 연결이 해제되었습니다'
   }
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Mobile Chat Success Codes (MS750-MS799)
+ * 채팅 관련 성공 메시지
+ */
+
+export const MOBILE_CHAT_SUCCESS = {
+  MS750: {
+    key: 'CHAT_ROOM_CREATED',
+    vi: 'Đã tạo cuộc trò chuyện',
+    en: 'Chat room created',
+    ko: '채팅방이 생성되었습니다'
+  },
+  MS751: {
+    key: 'CHAT_ROOM_OPENED',
+    vi: 'Đã mở cuộc trò chuyện',
+    en: 'Chat room opened',
+    ko: '기존 채팅방을 열었습니다'
+  },
+  MS752: {
+    key: 'CHAT_MESSAGE_SENT',
+    vi: 'Đã gửi tin nhắn',
+    en: 'Message sent',
+    ko: '메시지를 보냈습니다'
+  },
+  MS753: {
+    key: 'CHAT_MESSAGES_READ',
+    vi: 'Đã đánh dấu tin nhắn là đã đọc',
+    en: 'Messages marked as read',
+    ko: '메시지를 읽음 처리했습니다'
+  },
+  MS754: {
+    key: 'CHAT_MUTE_UPDATED',
+    vi: 'Đã cập nhật cài đặt thông báo cuộc trò chuyện',
+    en: 'Chat notification setting updated',
+    ko: '채팅방 알림 설정이 변경되었습니다'
+  },
+  MS755: {
+    key: 'CHAT_MESSAGES_DELIVERED',
+    vi: 'Đã đánh dấu tin nhắn là đã nhận',
+    en: 'Messages marked as delivered',
+    ko: '메시지를 수신 처리했습니다'
+  }
+};
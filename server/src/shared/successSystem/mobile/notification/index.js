@@ -0,0 +1,31 @@
+/**
+ * Mobile Notification Success Codes (MS700-MS749)
+ * 알림함/알림 설정 관련 성공 메시지
+ */
+
+export const MOBILE_NOTIFICATION_SUCCESS = {
+  MS700: {
+    key: 'NOTIFICATIONS_READ',
+    vi: 'Đã đánh dấu thông báo là đã đọc',
+    en: 'Notifications marked as read',
+    ko: '알림을 읽음 처리했습니다'
+  },
+  MS701: {
+    key: 'NOTIFICATIONS_ARCHIVED',
+    vi: 'Đã lưu trữ thông báo',
+    en: 'Notifications archived',
+    ko: '알림을 보관했습니다'
+  },
+  MS702: {
+    key: 'NOTIFICATIONS_UNARCHIVED',
+    vi: 'Đã bỏ lưu trữ thông báo',
+    en: 'Notifications unarchived',
+    ko: '알림 보관을 해제했습니다'
+  },
+  MS703: {
+    key: 'NOTIFICATION_PREFERENCES_UPDATED',
+    vi: 'Đã cập nhật cài đặt thông báo',
+    en: 'Notification preferences updated',
+    ko: '알림 설정을 변경했습니다'
+  }
+};
@@ -96,6 +96,54 @@ export const STORE_AUTH_SUCCESS = {
     en: 'Permissions updated successfully',
     ko: '권한이 업데이트되었습니다'
   },
+  SS016: {
+    key: 'PASSWORD_RESET_EMAIL_SENT',
+    vi: 'Nếu email đã được đăng ký, hướng dẫn đặt lại mật khẩu sẽ được gửi đến',
+    en: 'If the email is registered, password reset instructions have been sent',
+    ko: '등록된 이메일이라면 비밀번호 재설정 안내가 전송됩니다'
+  },
+  SS017: {
+    key: 'SESSION_REVOKED',
+    vi: 'Đã đăng xuất khỏi thiết bị',
+    en: 'Signed out of the device',
+    ko: '해당 기기에서 로그아웃되었습니다'
+  },
+  SS018: {
+    key: 'OTHER_SESSIONS_REVOKED',
+    vi: 'Đã đăng xuất khỏi tất cả thiết bị khác',
+    en: 'Signed out of all other devices',
+    ko: '다른 모든 기기에서 로그아웃되었습니다'
+  },
+  SS019: {
+    key: 'MFA_REQUIRED',
+    vi: 'Vui lòng nhập mã xác thực hai bước',
+    en: 'Enter your two-step verification code',
+    ko: '2단계 인증 코드를 입력해주세요'
+  },
+  SS020: {
+    key: 'MFA_ENROLLMENT_STARTED',
+    vi: 'Quét mã QR bằng ứng dụng xác thực',
+    en: 'Scan the QR code with your authenticator app',
+    ko: '인증 앱으로 QR 코드를 스캔해주세요'
+  },
+  SS021: {
+    key: 'MFA_ENABLED',
+    vi: 'Đã bật xác thực hai bước',
+    en: 'Two-step verification enabled',
+    ko: '2단계 인증이 활성화되었습니다'
+  },
+  SS022: {
+    key: 'MFA_DISABLED',
+    vi: 'Đã tắt xác thực hai bước',
+    en: 'Two-step verification disabled',
+    ko: '2단계 인증이 비활성화되었습니다'
+  },
+  SS023: {
+    key: 'BACKUP_CODES_REGENERATED',
+    vi: 'Đã tạo mã khôi phục mới',
+    en: 'New recovery codes generated',
+    ko: '새 복구 코드가 발급되었습니다'
+  },
   // 직원 관리 (SS041-SS060)
   SS041: {
     key: 'STAFF_CREATED',
@@ -0,0 +1,48 @@
+/**
+ * Store Notification Success Codes (SS950-SS999)
+ * 알림함/웹 푸시/알림 설정 관련 성공 코드
+ */
+
+export const STORE_NOTIFICATION_SUCCESS = {
+  // 알림함 (SS950-SS999)
+  SS950: {
+    key: 'NOTIFICATIONS_READ',
+    vi: 'Đã đánh dấu thông báo là đã đọc',
+    en: 'Notifications marked as read',
+    ko: '알림을 읽음 처리했습니다'
+  },
+  SS951: {
+    key: 'NOTIFICATIONS_ARCHIVED',
+    vi: 'Đã lưu trữ thông báo',
+    en: 'Notifications archived',
+    ko: '알림을 보관했습니다'
+  },
+  SS952: {
+    key: 'NOTIFICATIONS_UNARCHIVED',
+    vi: 'Đã bỏ lưu trữ thông báo',
+    en: 'Notifications unarchived',
+    ko: '알림 보관을 해제했습니다'
+  },
+
+  // 웹 푸시 구독
+  SS953: {
+    key: 'PUSH_SUBSCRIPTION_REGISTERED',
+    vi: 'Đã bật thông báo đẩy trên trình duyệt',
+    en: 'Browser push notifications enabled',
+    ko: '브라우저 푸시 알림을 등록했습니다'
+  },
+  SS954: {
+    key: 'PUSH_SUBSCRIPTION_REMOVED',
+    vi: 'Đã tắt thông báo đẩy trên trình duyệt',
+    en: 'Browser push notifications disabled',
+    ko: '브라우저 푸시 알림을 해제했습니다'
+  },
+
+  // 알림 설정
+  SS955: {
+    key: 'NOTIFICATION_PREFERENCES_UPDATED',
+    vi: 'Đã cập nhật cài đặt thông báo',
+    en: 'Notification preferences updated',
+    ko: '알림 설정을 변경했습니다'
+  }
+};
@@ -15,6 +15,8 @@
 import jwt from 'jsonwebtoken';
 import { GraphQLError } from 'graphql';
 import { promisify } from 'util';
+import jwtManager from './JWT.js';
+import sessionManager from './SessionManager.js';
 // db 모델 import
 import db from '../../../models/index.js';
 const { User } = db;
@@ -27,6 +29,7 @@ const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_ISSUER = process.env.JWT_ISSUER || 'template';
 const JWT_MOBILE_AUDIENCE = process.env.JWT_MOBILE_AUDIENCE || 'mobile';
 const JWT_STORE_AUDIENCE = process.env.JWT_STORE_AUDIENCE || 'store';
+const JWT_WEB_AUDIENCE = process.env.JWT_WEB_AUDIENCE || 'web';
 const JWT_ADMIN_AUDIENCE = process.env.JWT_ADMIN_AUDIENCE || 'admin';
 
 if (!JWT_SECRET) {
@@ -36,7 +39,7 @@ if (!JWT_SECRET) {
 /**
  * Authorization 헤더에서 JWT 토큰 추출 및 검증
  * @param {Object} req - Express request 객체
- * @param {string} clientType - 클라이언트 타입 ('mobile' | 'store')
+ * @param {string} clientType - 클라이언트 타입 ('mobile' | 'web' | 'store' | 'admin')
  * @returns {Object|null} 인증된 사용자 정보 또는 null
  */
 export async function getUser(req, clientType = null) {
@@ -67,14 +70,38 @@ export async function getUser(req, clientType = null) {
       return null;
     }
 
+    return await authenticateToken(token, clientType, { req });
+  } catch (error) {
+    return handleAuthError(error);
+  }
+}
+
+/**
+ * 토큰 클레임 기준 클라이언트 타입 (clientType 클레임이 없는 이전 토큰은 storeId 유무로 판단)
+ * @param {Object} decoded - 디코딩된 JWT 페이로드
+ */
+export function resolveTokenClientType(decoded) {
+  return decoded?.clientType || (decoded?.storeId ? 'store' : 'mobile');
+}
+
+/**
+ * Access Token 검증 및 계정 조회 - GraphQL(HTTP)과 Socket.IO 핸드셰이크 공용
+ * 서명/발행자/대상 검증 → 블랙리스트(세션/계정/토큰 무효화) 확인 → 클라이언트 타입별 계정 조회
+ * @param {string} token - Access Token (Bearer 접두사 제외)
+ * @param {string|null} clientType - 클라이언트 타입 (없으면 토큰 클레임 기준)
+ * @param {Object} options
+ * @param {Object} [options.req] - 세션 활동 갱신용 요청 객체 (Socket은 socket.request)
+ * @returns {Object|null} 인증된 사용자 정보, 만료 시 { isExpired: true, ... }, 무효/무효화/계정 없음은 null
+ */
+export async function authenticateToken(token, clientType = null, { req = null } = {}) {
+  try {
     // JWT 토큰 초기 디코딩 (clientType 확인용)
     const preliminaryDecoded = jwt.decode(token);
     // 로그 제거 - 토큰 디코딩은 정상 수행
 
     // clientType 최종 결정 (토큰 클레임에서)
     if (!clientType && preliminaryDecoded) {
-      clientType = preliminaryDecoded.clientType ||
-                  (preliminaryDecoded.storeId ? 'store' : 'mobile');
+      clientType = resolveTokenClientType(preliminaryDecoded);
     }
 
     // clientType이 여전히 없으면 기본값 설정 (토큰이 있으면 mobile 가정)
@@ -89,6 +116,8 @@ export async function getUser(req, clientType = null) {
       expectedAudience = JWT_ADMIN_AUDIENCE;
     } else if (clientType === 'store') {
       expectedAudience = JWT_STORE_AUDIENCE;
+    } else if (clientType === 'web') {
+      expectedAudience = JWT_WEB_AUDIENCE;
     } else {
       expectedAudience = JWT_MOBILE_AUDIENCE;
     }
@@ -137,154 +166,206 @@ export async function getUser(req, clientType = null) {
       throw err;
     }
 
+    // 로그아웃 등으로 무효화된 토큰 거부
+    if (await jwtManager.isBlacklisted(token)) {
+      console.log('[AuthMiddleware] Token has been revoked');
+      return null;
+    }
+
+    // 세션 마지막 활동 갱신 (실패해도 인증은 유지)
+    sessionManager.touch(decoded.sid, req).catch((error) => {
+      console.error('[AuthMiddleware] Session touch failed:', error.message);
+    });
+
     // 동적 import로 순환 참조 방지
     const db = await import('../../../models/index.js').then(m => m.default);
 
     // 클라이언트 타입에 따라 명확하게 구분하여 처리
     switch (clientType) {
-      case 'admin': {
-        // Admin 클라이언트 (관리자 패널) - adminAccountId 필수
-        if (!decoded.id) {
-          throw new GraphQLError('Invalid admin token - missing id', {
-            extensions: {
-              code: 'A2003',  // Admin 에러 코드 사용
-              http: { status: 401 }
-            }
-          });
-        }
-
-        // Admin 토큰 검증 - role이 관리자여야 함
-        const validAdminRoles = ['SUPER_ADMIN', 'ADMIN', 'SUPPORT', 'ANALYST'];
-        if (!decoded.role || !validAdminRoles.includes(decoded.role)) {
-          throw new GraphQLError('Invalid admin token - invalid role', {
-            extensions: {
-              code: 'A2004',
-              http: { status: 401 }
-            }
-          });
-        }
+    case 'admin': {
+      // Admin 클라이언트 (관리자 패널) - adminAccountId 필수
+      if (!decoded.id) {
+        throw new GraphQLError('Invalid admin token - missing id', {
+          extensions: {
+            code: 'A2003',  // Admin 에러 코드 사용
+            http: { status: 401 }
+          }
+        });
+      }
 
-        const adminAccount = await db.AdminAccount.findByPk(decoded.id);
-        if (!adminAccount) {
-          return null;
-        }
+      // Admin 토큰 검증 - role이 관리자여야 함
+      const validAdminRoles = ['SUPER_ADMIN', 'ADMIN', 'VIEWER'];
+      if (!decoded.role || !validAdminRoles.includes(decoded.role)) {
+        throw new GraphQLError('Invalid admin token - invalid role', {
+          extensions: {
+            code: 'A2007',
+            http: { status: 401 }
+          }
+        });
+      }
 
-        return {
-          id: adminAccount.id,
-          role: decoded.role,
-          email: adminAccount.email,
-          fullName: adminAccount.fullName,
-          permissions: decoded.permissions || [],
-          isAdminAccount: true
-        };
+      const adminAccount = await db.AdminAccount.findByPk(decoded.id);
+      if (!adminAccount) {
+        return null;
       }
-      case 'store': {
-        // Store 클라이언트 (점주앱) - storeId 필수
-        if (!decoded.storeId) {
-          throw new GraphQLError('Invalid store token - missing storeId', {
-            extensions: {
-              code: 'S2003',  // Store 에러 코드 사용
-              http: { status: 401 }
-            }
-          });
-        }
 
-        // 추가 검증: Store 토큰에 userId가 있으면 잘못된 토큰
-        if (decoded.userId && !decoded.storeAccountId) {
-          throw new GraphQLError('Invalid store token - wrong token type', {
-            extensions: {
-              code: 'S2004',
-              http: { status: 401 }
-            }
-          });
-        }
+      // 역할/권한/상태는 DB 기준 - 정지·권한 변경이 다음 요청부터 즉시 반영
+      return {
+        id: adminAccount.id,
+        role: adminAccount.role,
+        email: adminAccount.email,
+        fullName: adminAccount.fullName,
+        status: adminAccount.status,
+        permissions: adminAccount.getAllPermissions(),
+        isAdminAccount: true,
+        sessionId: decoded.sid || null
+      };
+    }
+    case 'store': {
+      // Store 클라이언트 (점주앱) - storeId 필수
+      if (!decoded.storeId) {
+        throw new GraphQLError('Invalid store token - missing storeId', {
+          extensions: {
+            code: 'S2003',  // Store 에러 코드 사용
+            http: { status: 401 }
+          }
+        });
+      }
 
-        const storeAccount = await db.StoreAccount.findByPk(decoded.id);
-        if (!storeAccount) {
-          return null;
-        }
+      // 추가 검증: Store 토큰에 userId가 있으면 잘못된 토큰
+      if (decoded.userId && !decoded.storeAccountId) {
+        throw new GraphQLError('Invalid store token - wrong token type', {
+          extensions: {
+            code: 'S2004',
+            http: { status: 401 }
+          }
+        });
+      }
 
-        return {
-          id: storeAccount.id,
-          storeId: decoded.storeId,
-          role: decoded.role || 'STORE_STAFF',
-          email: storeAccount.email,
-          phone: storeAccount.phone,
-          fullName: storeAccount.fullName,
-          permissions: decoded.permissions || [],
-          isStoreAccount: true
-        };
+      const storeAccount = await db.StoreAccount.findByPk(decoded.id);
+      if (!storeAccount) {
+        return null;
       }
-      case 'mobile': {
-        // Mobile 클라이언트 (App) - storeId 없어야 함
-        if (decoded.storeId || decoded.storeAccountId) {
-          throw new GraphQLError('Invalid mobile token - wrong token type', {
-            extensions: {
-              code: 'M2003',  // Mobile 에러 코드 사용
-              http: { status: 401 }
-            }
-          });
-        }
 
-        // 추가 검증: 모바일 토큰 role은 CUSTOMER여야 함
-        if (decoded.role && decoded.role !== 'CUSTOMER') {
-          throw new GraphQLError('Invalid mobile token - wrong role', {
-            extensions: {
-              code: 'M2004',
-              http: { status: 401 }
-            }
-          });
-        }
+      return {
+        id: storeAccount.id,
+        storeId: decoded.storeId,
+        role: decoded.role || 'STORE_STAFF',
+        email: storeAccount.email,
+        phone: storeAccount.phone,
+        fullName: storeAccount.fullName,
+        permissions: decoded.permissions || [],
+        isStoreAccount: true
+      };
+    }
+    case 'web': {
+      // Web 클라이언트 (WebAccount) - clientType 'web' 토큰만 허용
+      if (decoded.clientType !== 'web') {
+        throw new GraphQLError('Invalid web token - wrong token type', {
+          extensions: {
+            code: 'S2003',  // Web 에러 코드 사용
+            http: { status: 401 }
+          }
+        });
+      }
 
-        const user = await User.findByPk(decoded.id);
-        if (!user) {
-          return null;
-        }
+      const webAccount = await db.WebAccount.findByPk(decoded.id);
+      // 비활성화/정지된 계정은 만료 전 토큰이라도 거부 (소켓 인증의 isAccountAllowed와 동일)
+      if (!webAccount || webAccount.status !== 'ACTIVE') {
+        return null;
+      }
 
-        return {
-          id: user.id,
-          phone: user.phone,
-          email: user.email,
-          fullName: user.fullName,
-          phoneVerified: user.phoneVerified,
-          preferredLanguage: user.preferredLanguage,
-          role: 'CUSTOMER',
-          isStoreAccount: false
-        };
+      return {
+        id: webAccount.id,
+        email: webAccount.email,
+        name: webAccount.name,
+        role: webAccount.role,
+        status: webAccount.status,
+        permissions: webAccount.permissions || [],
+        preferredLanguage: webAccount.language?.toLowerCase(),
+        isWebAccount: true,
+        sessionId: decoded.sid || null
+      };
+    }
+    case 'mobile': {
+      // Mobile 클라이언트 (App) - storeId 없어야 함
+      if (decoded.storeId || decoded.storeAccountId) {
+        throw new GraphQLError('Invalid mobile token - wrong token type', {
+          extensions: {
+            code: 'M2003',  // Mobile 에러 코드 사용
+            http: { status: 401 }
+          }
+        });
       }
-      default: {
-        // 알 수 없는 클라이언트 타입 - 보안상 거부
-        throw new GraphQLError(`Unknown client type: ${clientType}`, {
+
+      // 추가 검증: 모바일 토큰 role은 CUSTOMER여야 함
+      if (decoded.role && decoded.role !== 'CUSTOMER') {
+        throw new GraphQLError('Invalid mobile token - wrong role', {
           extensions: {
-            code: 'UNKNOWN_CLIENT_TYPE',
-            http: { status: 400 },
-            clientType
+            code: 'M2004',
+            http: { status: 401 }
           }
         });
       }
+
+      const user = await User.findByPk(decoded.id);
+      if (!user) {
+        return null;
+      }
+
+      return {
+        id: user.id,
+        phone: user.phone,
+        email: user.email,
+        fullName: user.name,
+        phoneVerified: user.isPhoneVerified,
+        preferredLanguage: user.language?.toLowerCase(),
+        status: user.status,
+        role: 'CUSTOMER',
+        isStoreAccount: false,
+        sessionId: decoded.sid || null
+      };
     }
-  } catch (error) {
-    // GraphQL 에러는 그대로 전파
-    if (error instanceof GraphQLError) {
-      throw error;
+    default: {
+      // 알 수 없는 클라이언트 타입 - 보안상 거부
+      throw new GraphQLError(`Unknown client type: ${clientType}`, {
+        extensions: {
+          code: 'UNKNOWN_CLIENT_TYPE',
+          http: { status: 400 },
+          clientType
+        }
+      });
     }
-
-    // JWT 검증 실패 (이미 처리된 경우)
-    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
-      // 이미 위에서 처리됨
-      throw error;
     }
+  } catch (error) {
+    return handleAuthError(error);
+  }
+}
 
-    // 기타 에러는 로깅 후 null 반환 (인증되지 않은 사용자로 처리)
-    // 보안상 상세 에러 정보는 로그에만 기록
-    if (process.env.NODE_ENV === 'development') {
-      console.error('Authentication error:', error);
-    } else {
-      console.error('Authentication error:', error.message);
-    }
+/**
+ * 인증 과정 에러 처리 - GraphQL/JWT 에러는 전파, 그 외는 로깅 후 미인증(null) 처리
+ */
+function handleAuthError(error) {
+  // GraphQL 에러는 그대로 전파
+  if (error instanceof GraphQLError) {
+    throw error;
+  }
 
-    return null;
+  // JWT 검증 실패 (이미 처리된 경우)
+  if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+    // 이미 위에서 처리됨
+    throw error;
   }
+
+  // 기타 에러는 로깅 후 null 반환 (인증되지 않은 사용자로 처리)
+  // 보안상 상세 에러 정보는 로그에만 기록
+  if (process.env.NODE_ENV === 'development') {
+    console.error('Authentication error:', error);
+  } else {
+    console.error('Authentication error:', error.message);
+  }
+
+  return null;
 }
 
 /**
@@ -351,6 +432,7 @@ export async function createAuthContext({ req }) {
 // 하위 호환성을 위한 default export
 export default {
   getUser,
+  authenticateToken,
   getStoreAccount,
   getMobileUser,
   createAuthContext
@@ -0,0 +1,53 @@
+/**
+ * AuthMiddleware Web 토큰 인증 테스트
+ * 만료 전 토큰이라도 ACTIVE가 아닌 계정은 거부
+ * DB/블랙리스트/세션은 대역 사용
+ */
+
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const WebAccount = { findByPk: jest.fn() };
+
+jest.unstable_mockModule('../../../models/index.js', () => ({ default: { WebAccount } }));
+jest.unstable_mockModule('./JWT.js', () => ({ default: { isBlacklisted: async () => false } }));
+jest.unstable_mockModule('./SessionManager.js', () => ({ default: { touch: async () => {} } }));
+
+let authenticateToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-access-secret';
+  ({ authenticateToken } = await import('./AuthMiddleware.js'));
+});
+
+beforeEach(() => {
+  WebAccount.findByPk.mockReset();
+});
+
+const webToken = () => jwt.sign(
+  { id: 11, clientType: 'web', sid: 'session-1' },
+  'test-access-secret',
+  { issuer: 'template', audience: 'web', expiresIn: '15m' }
+);
+
+describe('Web 토큰 인증', () => {
+  it('ACTIVE 계정은 세션 ID와 함께 인증한다', async () => {
+    WebAccount.findByPk.mockResolvedValue({ id: 11, email: 'owner@example.com', status: 'ACTIVE', language: 'KO' });
+
+    expect(await authenticateToken(webToken())).toMatchObject({
+      id: 11, status: 'ACTIVE', isWebAccount: true, sessionId: 'session-1', preferredLanguage: 'ko',
+    });
+  });
+
+  it.each(['INACTIVE', 'SUSPENDED', 'BANNED'])('%s 계정은 만료 전 토큰이라도 거부한다', async (status) => {
+    WebAccount.findByPk.mockResolvedValue({ id: 11, status });
+
+    expect(await authenticateToken(webToken())).toBeNull();
+  });
+
+  it('삭제된 계정은 거부한다', async () => {
+    WebAccount.findByPk.mockResolvedValue(null);
+
+    expect(await authenticateToken(webToken())).toBeNull();
+  });
+});
@@ -5,6 +5,11 @@
 
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { kv } from '../../cache/kv.js';
+import { getGlobalDeliveryAppPublisher } from '../services/EventPublisher.js';
+
+// 토큰 무효화 이벤트 (EventBus) - 로그아웃/강제 로그아웃/정지 시 실시간 연결 종료에 사용
+export const TOKENS_REVOKED_EVENT = 'auth.tokens.revoked';
 
 class JWTManager {
   constructor(options = {}) {
@@ -32,6 +37,11 @@ class JWTManager {
       ? (process.env.JWT_STORE_EXPIRY_PROD || '8h')
       : (process.env.JWT_STORE_EXPIRY_DEV || '10s');
 
+    // Web 토큰 만료 시간
+    this.webTokenExpiry = isProduction
+      ? (process.env.JWT_WEB_EXPIRY_PROD || '1h')
+      : (process.env.JWT_WEB_EXPIRY_DEV || '1h');
+
     // Admin 토큰 만료 시간
     this.adminTokenExpiry = isProduction
       ? (process.env.JWT_ADMIN_EXPIRY_PROD || '8h')
@@ -40,17 +50,19 @@ class JWTManager {
     // Audience 설정 (환경변수에서 가져오기)                        // 클라이언트별 audience
     this.mobileAudience = process.env.JWT_MOBILE_AUDIENCE || 'mobile';
     this.storeAudience = process.env.JWT_STORE_AUDIENCE || 'store';
+    this.webAudience = process.env.JWT_WEB_AUDIENCE || 'web';
     this.adminAudience = process.env.JWT_ADMIN_AUDIENCE || 'admin';
 
     // 블랙리스트 관리                                              // 무효화된 토큰 추적
     this.blacklistedTokens = new Set();
-    this.cache = options.cache;
+    this.revokedSubjects = new Map();                               // 계정 단위 무효화 시각
+    this.cache = options.cache === undefined ? kv : options.cache;  // 기본 kv (Redis) - 노드 간 블랙리스트 공유
 
     // JWT 설정                                                     // 토큰 생성 옵션
     this.config = {
       algorithm: 'HS256',                                          // HMAC SHA256 알고리즘
       issuer: 'template',                                       // 발급자
-      audience: [this.mobileAudience, this.storeAudience, 'admin'], // 대상 클라이언트
+      audience: [this.mobileAudience, this.storeAudience, this.webAudience, this.adminAudience], // 대상 클라이언트
       ...options
     };
   }
@@ -116,7 +128,8 @@ class JWTManager {
       storeId: storeAccount.storeId,
       role: storeAccount.role,
       permissions: storeAccount.permissions || [],
-      clientType: 'store'  // AuthMiddleware에서 사용하는 필수 필드 추가
+      clientType: 'store',  // AuthMiddleware에서 사용하는 필수 필드 추가
+      sid: storeAccount.sid || this.createSessionId()  // Refresh Token 패밀리(세션) ID - 갱신 시 유지
     };
 
     return {
@@ -139,7 +152,8 @@ class JWTManager {
       email: user.email,
       phone: user.phone,
       role: 'CUSTOMER',
-      clientType: 'mobile'  // AuthMiddleware에서 사용하는 필수 필드 추가
+      clientType: 'mobile',  // AuthMiddleware에서 사용하는 필수 필드 추가
+      sid: user.sid || this.createSessionId()  // Refresh Token 패밀리(세션) ID - 갱신 시 유지
     };
 
     return {
@@ -152,6 +166,30 @@ class JWTManager {
     };
   }
 
+  /**
+   * Web 계정용 토큰 생성
+   */
+  generateWebTokens(webAccount) {                                   // Web 계정 전용 토큰 쌍
+    const payload = {
+      id: webAccount.id,
+      email: webAccount.email,
+      role: webAccount.role,
+      permissions: webAccount.permissions || [],
+      clientType: 'web',  // AuthMiddleware에서 사용하는 필수 필드 추가
+      sid: webAccount.sid || this.createSessionId()  // Refresh Token 패밀리(세션) ID - 갱신 시 유지
+    };
+
+    return {
+      accessWebToken: this.generateAccessToken(payload, {
+        audience: this.webAudience,
+        expiresIn: this.webTokenExpiry
+      }),
+      refreshWebToken: this.generateRefreshToken(payload, {
+        audience: this.webAudience
+      })
+    };
+  }
+
   /**
    * 슈퍼관리자용 토큰 생성
    */
@@ -161,7 +199,8 @@ class JWTManager {
       email: adminAccount.email,
       role: adminAccount.role,
       permissions: adminAccount.permissions || [],
-      clientType: 'admin'  // AuthMiddleware에서 사용하는 필수 필드 추가
+      clientType: 'admin',  // AuthMiddleware에서 사용하는 필수 필드 추가
+      sid: adminAccount.sid || this.createSessionId()  // Refresh Token 패밀리(세션) ID - 갱신 시 유지
     };
 
     return {
@@ -180,11 +219,6 @@ class JWTManager {
    */
   async verifyToken(token, options = {}) {                          // 토큰 유효성 검사
     try {
-      // 블랙리스트 확인                                            // 무효화 여부 체크
-      if (await this.isBlacklisted(token)) {
-        throw new Error('Token has been revoked');
-      }
-
       // 시크릿 선택                                                // 토큰 타입별 시크릿
       const secret = options.isRefresh ? this.refreshTokenSecret :
                      options.isStore ? this.storeTokenSecret :
@@ -206,6 +240,16 @@ class JWTManager {
         throw new Error('Invalid token type');
       }
 
+      // 재사용 감지 - 블랙리스트보다 먼저 확인                     // 이미 회전된 Refresh Token
+      if (options.isRefresh) {
+        await this.assertCurrentRefreshToken(decoded);
+      }
+
+      // 블랙리스트 확인                                            // 무효화 여부 체크
+      if (await this.isBlacklisted(token)) {
+        throw new Error('Token has been revoked');
+      }
+
       return decoded;
     } catch (error) {
       // JWT 에러를 그대로 전달하여 상위에서 구분 가능하도록 함
@@ -232,9 +276,6 @@ class JWTManager {
       ...options
     });
 
-    // 기존 리프레시 토큰 블랙리스트                                // 재사용 방지
-    await this.blacklistToken(refreshToken);
-
     // 새 토큰 생성                                                 // 갱신된 토큰 쌍
     const payload = {
       id: decoded.id,
@@ -243,25 +284,213 @@ class JWTManager {
       storeId: decoded.storeId,
       role: decoded.role,
       permissions: decoded.permissions,
-      clientType: decoded.clientType  // 기존 토큰의 clientType 유지
+      clientType: decoded.clientType,  // 기존 토큰의 clientType 유지
+      sid: decoded.sid                 // 같은 패밀리로 회전
     };
 
+    const tokens = this.generateTokensFor(decoded, payload, options);
+
+    // 패밀리의 현재 Refresh Token 교체                             // 동시 갱신 중 하나만 성공, 나머지는 재사용
+    const newRefreshToken = tokens.refreshToken || tokens.refreshWebToken
+      || tokens.refreshAdminToken || tokens.refreshStoreToken;
+    await this.rotateRefreshFamily(decoded, jwt.decode(newRefreshToken));
+
+    // 기존 리프레시 토큰 블랙리스트                                // 재사용 방지
+    await this.blacklistToken(refreshToken);
+
+    return tokens;
+  }
+
+  /**
+   * 갱신 대상 클라이언트의 토큰 쌍 생성
+   */
+  generateTokensFor(decoded, payload, options = {}) {               // audience별 토큰 생성기 선택
     // JWT 표준 클레임은 'aud'임 (audience가 아님)
     const aud = decoded.aud;
-    const isStoreAud = Array.isArray(aud) ? aud.includes(this.storeAudience) : aud === this.storeAudience;
+    const hasAud = (audience) => (Array.isArray(aud) ? aud.includes(audience) : aud === audience);
 
     // clientType 또는 audience로 클라이언트 타입 판단
-    if (options.isStore || isStoreAud || payload.clientType === 'store') {
+    if (options.isStore || hasAud(this.storeAudience) || payload.clientType === 'store') {
       return this.generateStoreTokens(payload);
-    } else {
+    }
+    if (hasAud(this.webAudience) || payload.clientType === 'web') {
+      return this.generateWebTokens(payload);
+    }
+    if (hasAud(this.adminAudience) || payload.clientType === 'admin') {
+      return this.generateAdminTokens(payload);
+    }
+    if (hasAud(this.mobileAudience) || payload.clientType === 'mobile') {
       return this.generateCustomerTokens(payload);
     }
+
+    // 알 수 없는 audience는 고객 토큰으로 승격하지 않음
+    throw new Error('Unsupported token audience');
+  }
+
+  /**
+   * 세션(Refresh Token 패밀리) ID 생성
+   */
+  createSessionId() {                                               // 로그인마다 새 패밀리
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Refresh Token 패밀리 키
+   */
+  refreshFamilyKey(sid) {
+    return `auth:rt-family:${sid}`;
+  }
+
+  /**
+   * Refresh Token 패밀리 조회
+   */
+  async getRefreshFamily(sid) {                                     // { clientType, subjectId, currentJti, revoked }
+    const raw = await kv.get(this.refreshFamilyKey(sid));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Refresh Token 패밀리 저장
+   */
+  async saveRefreshFamily(sid, family) {                            // 가장 긴 Refresh Token 수명 동안 유지
+    const ttl = this.expiryToSeconds(this.refreshTokenExpiry);
+    await kv.setex(this.refreshFamilyKey(sid), ttl, JSON.stringify(family));
+  }
+
+  /**
+   * 로그인 시 패밀리 등록 - 첫 Refresh Token부터 재사용 감지 대상
+   * @param {string} refreshToken - 새 세션의 Refresh Token
+   */
+  async registerRefreshFamily(refreshToken) {                       // SessionManager.createSession에서 호출
+    const decoded = jwt.decode(refreshToken);
+    if (!decoded?.sid) return;
+
+    await this.saveRefreshFamily(decoded.sid, {
+      clientType: decoded.clientType,
+      subjectId: decoded.id,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      currentJti: decoded.jti,
+      revoked: false
+    });
+  }
+
+  /**
+   * 회전된 Refresh Token을 패밀리의 현재 토큰으로 기록 (compare-and-set)
+   * - 제시된 토큰이 아직 현재 토큰일 때만 교체 - 동시 갱신 중 하나만 성공
+   * - 패밀리 등록 이전 발급 토큰은 패밀리가 없을 때만 새로 등록
+   * @param {Object} previous - 제시된 Refresh Token 페이로드
+   * @param {Object} next - 새로 발급한 Refresh Token 페이로드
+   */
+  async rotateRefreshFamily(previous, next) {                       // 패밀리당 유효 토큰은 하나
+    if (!next?.sid) return;
+
+    const family = await this.getRefreshFamily(next.sid);
+    const rotated = await kv.compareAndSetJson(
+      this.refreshFamilyKey(next.sid),
+      'currentJti',
+      family ? previous.jti : null,
+      JSON.stringify({
+        clientType: next.clientType,
+        subjectId: next.id,
+        createdAt: family?.createdAt || new Date().toISOString(),
+        rotatedAt: new Date().toISOString(),
+        currentJti: next.jti,
+        revoked: false
+      }),
+      this.expiryToSeconds(this.refreshTokenExpiry)
+    );
+
+    if (!rotated) {
+      // 그 사이 다른 요청이 같은 토큰으로 회전했거나 세션이 종료됨
+      const current = await this.getRefreshFamily(next.sid);
+      if (!current || current.revoked) {
+        throw new Error('Token has been revoked');
+      }
+      await this.handleRefreshTokenReuse(previous, current);
+    }
+  }
+
+  /**
+   * 제시된 Refresh Token이 패밀리의 현재 토큰인지 확인
+   * - 패밀리가 없으면(패밀리 등록 이전 발급 토큰) 통과 - 회전 시 등록
+   * - 이미 회전된 토큰이면 탈취로 간주하고 패밀리 전체 무효화
+   */
+  async assertCurrentRefreshToken(decoded) {                        // 재사용 감지
+    if (!decoded.sid) return;
+
+    const family = await this.getRefreshFamily(decoded.sid);
+    if (!family) return;
+
+    if (family.revoked) {
+      throw new Error('Token has been revoked');
+    }
+
+    if (family.currentJti !== decoded.jti) {
+      await this.handleRefreshTokenReuse(decoded, family);
+    }
+  }
+
+  /**
+   * 재사용 감지 처리 - 패밀리 무효화, 보안 이벤트 발행 후 TokenReuseError
+   */
+  async handleRefreshTokenReuse(decoded, family) {                  // 탈취 의심 세션 종료
+    await this.revokeRefreshFamily(decoded.sid, family, 'REFRESH_TOKEN_REUSE');
+
+    // 보안 이벤트 발행                                             // 모니터링/알림 구독자용
+    try {
+      await getGlobalDeliveryAppPublisher().publishSystemEvent('auth.refresh_token.reuse_detected', {
+        sessionId: decoded.sid,
+        clientType: family.clientType,
+        subjectId: family.subjectId,
+        reusedJti: decoded.jti,
+        detectedAt: new Date()
+      }, { metadata: { severity: 'high' } });
+    } catch (error) {
+      console.error('Failed to publish refresh token reuse event:', error);
+    }
+
+    const reuseError = new Error('Refresh token reuse detected');
+    reuseError.name = 'TokenReuseError';
+    throw reuseError;
+  }
+
+  /**
+   * Refresh Token 패밀리 전체 무효화 - 같은 세션의 Access/Refresh Token 모두 거부
+   * - currentJti를 비워 진행 중인 회전(compare-and-set)도 실패하게 함
+   */
+  async revokeRefreshFamily(sid, family, reason) {                  // 세션 강제 종료
+    await this.saveRefreshFamily(sid, {
+      ...family,
+      currentJti: null,
+      revoked: true,
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason
+    });
+
+    await this.publishRevocation({
+      scope: 'SESSION',
+      sessionId: sid,
+      clientType: family.clientType || null,
+      subjectId: family.subjectId || null,
+      reason
+    });
+  }
+
+  /**
+   * 세션 단위 토큰 무효화 (로그아웃/원격 로그아웃)
+   */
+  async revokeSession(sid, reason) {                                // 다음 요청부터 즉시 거부
+    if (!sid) return;
+
+    const family = await this.getRefreshFamily(sid);
+    await this.revokeRefreshFamily(sid, family || {}, reason);
   }
 
   /**
    * 토큰 무효화
    */
-  async blacklistToken(token) {                                     // 토큰 강제 무효화
+  async blacklistToken(token, reason = 'TOKEN_REVOKED') {           // 토큰 강제 무효화
     try {
       const decoded = jwt.decode(token);
       if (!decoded || !decoded.jti) return;
@@ -279,22 +508,97 @@ class JWTManager {
           this.blacklistedTokens.delete(decoded.jti);
         }, ttl * 1000);
       }
+
+      // Refresh Token으로는 소켓에 연결하지 않음
+      if (decoded.type === 'access') {
+        await this.publishRevocation({
+          scope: 'TOKEN',
+          jti: decoded.jti,
+          sessionId: decoded.sid || null,
+          clientType: decoded.clientType || null,
+          subjectId: decoded.id || null,
+          reason
+        });
+      }
     } catch (error) {
       console.error('Failed to blacklist token:', error);
     }
   }
 
+  /**
+   * 계정의 모든 토큰 무효화 (강제 로그아웃)
+   */
+  async revokeSubjectTokens(clientType, id, reason = 'FORCE_LOGOUT') { // 이 시각 이전 발급 토큰 무효화
+    const key = `revoked:${clientType}:${id}`;
+    const revokedAt = Date.now();
+
+    try {
+      if (this.cache) {
+        // 가장 긴 Refresh Token 수명 동안 유지                     // 이후 발급 토큰만 유효
+        const ttl = this.expiryToSeconds(this.refreshTokenExpiry);
+        await this.cache.setex(key, ttl, String(revokedAt));
+      } else {
+        this.revokedSubjects.set(key, revokedAt);
+      }
+
+      await this.publishRevocation({ scope: 'SUBJECT', clientType, subjectId: id, reason });
+    } catch (error) {
+      console.error('Failed to revoke subject tokens:', error);
+    }
+  }
+
+  /**
+   * 무효화 이벤트 발행 - 구독자(Socket 서버)가 해당 세션/계정의 실시간 연결 종료
+   * @param {Object} revocation - { scope: SESSION|SUBJECT|TOKEN, clientType, subjectId, sessionId, jti, reason }
+   */
+  async publishRevocation(revocation) {                             // 실패해도 무효화는 유지
+    try {
+      await getGlobalDeliveryAppPublisher().publishSystemEvent(TOKENS_REVOKED_EVENT, {
+        ...revocation,
+        revokedAt: new Date()
+      });
+    } catch (error) {
+      console.error('Failed to publish token revocation event:', error);
+    }
+  }
+
   /**
    * 블랙리스트 확인
    */
   async isBlacklisted(token) {                                      // 무효화 여부 확인
+    return this.isRevoked(jwt.decode(token));
+  }
+
+  /**
+   * 디코딩된 페이로드의 무효화 여부 확인 (토큰 원문 없이 재검증할 때 사용)
+   * @param {Object} decoded - { jti, sid, clientType, id, iat }
+   */
+  async isRevoked(decoded) {                                        // 세션/계정/토큰 단위 무효화
     try {
-      const decoded = jwt.decode(token);
       if (!decoded || !decoded.jti) return false;
 
+      // 세션(패밀리) 무효화 확인                                   // 재사용 감지로 종료된 세션
+      if (decoded.sid) {
+        const family = await this.getRefreshFamily(decoded.sid);
+        if (family?.revoked) {
+          return true;
+        }
+      }
+
+      // 계정 단위 무효화 확인                                      // 강제 로그아웃 이전 발급 토큰
+      if (decoded.clientType && decoded.id && decoded.iat) {
+        const key = `revoked:${decoded.clientType}:${decoded.id}`;
+        const revokedAt = this.cache
+          ? Number(await this.cache.get(key))
+          : this.revokedSubjects.get(key);
+        // iat는 초 단위 - 무효화와 같은 초에 발급된 토큰도 거부
+        if (revokedAt && decoded.iat <= Math.floor(revokedAt / 1000)) {
+          return true;
+        }
+      }
+
       if (this.cache) {
-        const exists = await this.cache.exists(`blacklist:${decoded.jti}`);
-        return exists === 1;
+        return Boolean(await this.cache.get(`blacklist:${decoded.jti}`));
       } else {
         return this.blacklistedTokens.has(decoded.jti);
       }
@@ -326,6 +630,19 @@ class JWTManager {
     }
   }
 
+  /**
+   * 만료 시간 문자열을 초 단위로 변환 ('15s', '1h', '7d' 또는 숫자)
+   */
+  expiryToSeconds(expiry) {                                         // 만료 설정 → 초
+    if (typeof expiry === 'number') return expiry;
+
+    const match = /^(\d+)\s*([smhd])$/.exec(String(expiry).trim());
+    if (!match) return 7 * 24 * 60 * 60;
+
+    const units = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+    return Number(match[1]) * units[match[2]];
+  }
+
   /**
    * 토큰 남은 시간 확인
    */
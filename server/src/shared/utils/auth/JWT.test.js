@@ -0,0 +1,120 @@
+/**
+ * JWT Refresh Token 패밀리 테스트
+ * 로그인 시 패밀리 등록, 회전, 재사용 감지, 동시 갱신, 계정 단위 무효화
+ * Redis 없이 kv 메모리 저장소 사용
+ */
+
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const publishSystemEvent = jest.fn();
+
+jest.unstable_mockModule('../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../services/EventPublisher.js', () => ({
+  getGlobalDeliveryAppPublisher: () => ({ publishSystemEvent }),
+}));
+
+let jwtManager;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-access-secret';
+  process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+  ({ default: jwtManager } = await import('./JWT.js'));
+});
+
+beforeEach(() => {
+  publishSystemEvent.mockClear();
+});
+
+const login = async (id = 1) => {
+  const tokens = jwtManager.generateWebTokens({ id, email: `web${id}@example.com`, role: 'OWNER' });
+  await jwtManager.registerRefreshFamily(tokens.refreshWebToken);
+  return tokens;
+};
+
+const refresh = (refreshToken) => jwtManager.refreshTokens(refreshToken, { audience: jwtManager.webAudience });
+
+const reuseEvents = () => publishSystemEvent.mock.calls.filter(([type]) => type === 'auth.refresh_token.reuse_detected');
+
+describe('Refresh Token 패밀리', () => {
+  it('로그인 시 첫 Refresh Token으로 패밀리를 등록한다', async () => {
+    const { refreshWebToken } = await login();
+    const { sid, jti } = jwt.decode(refreshWebToken);
+
+    const family = await jwtManager.getRefreshFamily(sid);
+    expect(family).toMatchObject({ clientType: 'web', subjectId: 1, currentJti: jti, revoked: false });
+  });
+
+  it('회전 후에도 같은 세션(sid)을 유지한다', async () => {
+    const { refreshWebToken } = await login();
+    const rotated = await refresh(refreshWebToken);
+
+    const before = jwt.decode(refreshWebToken);
+    const after = jwt.decode(rotated.refreshWebToken);
+    expect(after.sid).toBe(before.sid);
+    expect(after.jti).not.toBe(before.jti);
+
+    const family = await jwtManager.getRefreshFamily(after.sid);
+    expect(family.currentJti).toBe(after.jti);
+  });
+
+  it('첫 세대 토큰의 재사용도 감지해 세션 전체를 무효화한다', async () => {
+    const { refreshWebToken, accessWebToken } = await login();
+    const rotated = await refresh(refreshWebToken);
+
+    await expect(refresh(refreshWebToken)).rejects.toMatchObject({ name: 'TokenReuseError' });
+    expect(reuseEvents()).toHaveLength(1);
+
+    // 정상 사용자가 가진 최신 토큰과 같은 세션의 Access Token도 거부
+    await expect(refresh(rotated.refreshWebToken)).rejects.toThrow('Token has been revoked');
+    expect(await jwtManager.isBlacklisted(accessWebToken)).toBe(true);
+  });
+
+  it('같은 토큰으로 동시에 갱신하면 하나만 성공하고 세션을 무효화한다', async () => {
+    const { refreshWebToken } = await login();
+
+    const results = await Promise.allSettled([refresh(refreshWebToken), refresh(refreshWebToken)]);
+    const fulfilled = results.filter((result) => result.status === 'fulfilled');
+    const rejected = results.filter((result) => result.status === 'rejected');
+
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.name).toBe('TokenReuseError');
+
+    await expect(refresh(fulfilled[0].value.refreshWebToken)).rejects.toThrow('Token has been revoked');
+  });
+
+  it('패밀리 등록 이전에 발급된 토큰은 첫 회전 때 등록된다', async () => {
+    const legacy = jwtManager.generateWebTokens({ id: 2, email: 'legacy@example.com', role: 'OWNER' });
+    const rotated = await refresh(legacy.refreshWebToken);
+
+    await expect(refresh(legacy.refreshWebToken)).rejects.toMatchObject({ name: 'TokenReuseError' });
+    await expect(refresh(rotated.refreshWebToken)).rejects.toThrow('Token has been revoked');
+  });
+
+  it('세션 종료 후에는 해당 세션의 토큰으로 갱신할 수 없다', async () => {
+    const { refreshWebToken } = await login();
+    const { sid } = jwt.decode(refreshWebToken);
+
+    await jwtManager.revokeSession(sid, 'LOGOUT');
+
+    await expect(refresh(refreshWebToken)).rejects.toThrow('Token has been revoked');
+    expect(reuseEvents()).toHaveLength(0);
+  });
+});
+
+describe('계정 단위 무효화', () => {
+  it('무효화와 같은 초에 발급된 토큰도 거부한다', async () => {
+    const { accessWebToken } = await login(3);
+    await jwtManager.revokeSubjectTokens('web', 3, 'PASSWORD_RESET');
+
+    expect(await jwtManager.isBlacklisted(accessWebToken)).toBe(true);
+  });
+
+  it('다른 계정의 토큰은 영향받지 않는다', async () => {
+    const { accessWebToken } = await login(4);
+    await jwtManager.revokeSubjectTokens('web', 5, 'PASSWORD_RESET');
+
+    expect(await jwtManager.isBlacklisted(accessWebToken)).toBe(false);
+  });
+});
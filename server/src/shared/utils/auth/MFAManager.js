@@ -0,0 +1,375 @@
+/**
+ * MFA(2단계 인증) 관리자
+ * TOTP(RFC 6238) 등록/검증, 복구 코드, 로그인 2단계 챌린지 관리
+ *
+ * - TOTP 시크릿은 EncryptionManager.encrypt(AES-256-GCM)로 암호화해 저장
+ * - 복구 코드는 80bit 난수이며 서버 키로 서명한 HMAC-SHA256만 저장, 한 번 사용하면 제거
+ * - 같은 TOTP 스텝/복구 코드의 동시 사용은 kv SET NX 선점으로 하나만 통과
+ * - 로그인 챌린지는 불투명 토큰으로 kv에 저장 (해시 키, 짧은 TTL, 원자적 시도 횟수 제한)
+ * - 계정 단위 실패 횟수 제한은 챌린지를 새로 받아도 유지
+ */
+
+import crypto from 'crypto';
+import encryptionManager from '../security/Encryption.js';
+import { kv } from '../../cache/kv.js';
+import db from '../../../models/index.js';
+
+const { MfaCredential } = db;
+
+// RFC 4648 Base32 알파벳
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class MFAManager {
+  constructor(options = {}) {
+    this.issuer = process.env.MFA_ISSUER || options.issuer || 'Template';
+    this.digits = 6;
+    this.period = 30;                  // TOTP 시간 스텝 (초)
+    this.window = 1;                   // 허용 오차 (앞뒤 1스텝)
+    this.backupCodeCount = 10;
+    this.challengeTTL = 5 * 60;        // 로그인 챌린지 유효 시간 (초)
+    this.maxChallengeAttempts = 5;     // 챌린지당 최대 시도
+    this.maxAccountFailures = 10;      // 계정당 최대 연속 실패 (기간 내)
+    this.accountFailureWindow = 15 * 60; // 계정 실패 횟수 유지 기간 (초)
+    this.backupCodeSecret = process.env.MFA_BACKUP_CODE_SECRET || options.backupCodeSecret;
+  }
+
+  // ===============================================
+  // TOTP
+  // ===============================================
+
+  /**
+   * TOTP 시크릿 생성 (Base32, 160bit)
+   */
+  generateSecret() {
+    return this.encodeBase32(crypto.randomBytes(20));
+  }
+
+  /**
+   * Buffer → Base32 (5바이트 단위 길이만 사용하므로 패딩 없음)
+   */
+  encodeBase32(bytes) {
+    let bits = '';
+    for (const byte of bytes) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let encoded = '';
+    for (let i = 0; i + 5 <= bits.length; i += 5) {
+      encoded += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5), 2)];
+    }
+    return encoded;
+  }
+
+  /**
+   * Base32 → Buffer
+   */
+  decodeBase32(secret) {
+    const cleaned = secret.replace(/=+$/, '').toUpperCase();
+    let bits = '';
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * 인증 앱 등록용 otpauth URL
+   * @param {string} secret - Base32 시크릿
+   * @param {string} accountName - 표시용 계정 이름 (이메일)
+   */
+  buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * 특정 시간 스텝의 TOTP 코드 생성
+   */
+  generateTOTP(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * TOTP 코드 검증
+   * @param {string} secret - Base32 시크릿
+   * @param {string} code - 사용자 입력 코드
+   * @param {number|null} lastUsedStep - 마지막 사용 스텝 (이하 스텝은 재사용으로 거부)
+   * @returns {number|null} 일치한 시간 스텝
+   */
+  verifyTOTP(secret, code, lastUsedStep = null) {
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / this.period);
+    for (let step = currentStep - this.window; step <= currentStep + this.window; step++) {
+      if (lastUsedStep !== null && step <= Number(lastUsedStep)) continue;
+
+      const expected = Buffer.from(this.generateTOTP(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // ===============================================
+  // 복구 코드
+  // ===============================================
+
+  /**
+   * 복구 코드 정규화 (대소문자/하이픈/공백 무시)
+   */
+  normalizeBackupCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  /**
+   * 복구 코드 해시 - 서버 키 HMAC (DB 유출만으로는 원문 대입 불가)
+   */
+  hashBackupCode(code) {
+    if (!this.backupCodeSecret) {
+      throw new Error('MFA_BACKUP_CODE_SECRET is required');
+    }
+    return crypto.createHmac('sha256', this.backupCodeSecret).update(this.normalizeBackupCode(code)).digest('hex');
+  }
+
+  /**
+   * 복구 코드 생성 (80bit, Base32 XXXX-XXXX-XXXX-XXXX 형식)
+   * @returns {{ codes: string[], hashes: string[] }} 원문은 사용자에게 한 번만 표시
+   */
+  generateBackupCodes() {
+    const codes = Array.from({ length: this.backupCodeCount }, () => (
+      this.encodeBase32(crypto.randomBytes(10)).match(/.{4}/g).join('-')
+    ));
+    return { codes, hashes: codes.map((code) => this.hashBackupCode(code)) };
+  }
+
+  // ===============================================
+  // 자격 증명
+  // ===============================================
+
+  /**
+   * 계정의 MFA 자격 증명 조회
+   */
+  async getCredential(clientType, subjectId, options = {}) {
+    return MfaCredential.findOne({ where: { clientType, subjectId }, ...options });
+  }
+
+  /**
+   * MFA 활성화 여부
+   */
+  async isEnabled(clientType, subjectId) {
+    const credential = await this.getCredential(clientType, subjectId);
+    return Boolean(credential?.isEnabled());
+  }
+
+  /**
+   * 등록 시작 - 새 시크릿 발급 (진행 중인 등록은 덮어씀)
+   * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+   */
+  async startEnrollment(clientType, subjectId, accountName, options = {}) {
+    const secret = this.generateSecret();
+    const encrypted = encryptionManager.encrypt(secret);
+
+    const credential = await this.getCredential(clientType, subjectId, options);
+    if (credential) {
+      await credential.update({ secret: encrypted, lastUsedStep: null, backupCodes: [], enabledAt: null }, options);
+    } else {
+      await MfaCredential.create({ clientType, subjectId, secret: encrypted }, options);
+    }
+
+    return { secret, otpauthUrl: this.buildOtpauthUrl(secret, accountName) };
+  }
+
+  /**
+   * 등록 확인 - 인증 앱의 첫 코드 검증 후 활성화 및 복구 코드 발급
+   * @returns {Promise<{ valid: boolean, error?: string, backupCodes?: string[] }>}
+   */
+  async confirmEnrollment(credential, code, options = {}) {
+    if (!(await this.claimAccountAttempt(credential))) {
+      return { valid: false, error: 'MFA_TOO_MANY_ATTEMPTS' };
+    }
+
+    const step = this.verifyTOTP(encryptionManager.decrypt(credential.secret), String(code || '').trim());
+    if (step === null || !(await this.claimOnce(credential, `step:${step}`))) {
+      return { valid: false, error: 'INVALID_MFA_CODE' };
+    }
+    await this.clearAccountAttempts(credential);
+
+    const { codes, hashes } = this.generateBackupCodes();
+    await credential.update({ enabledAt: new Date(), lastUsedStep: step, backupCodes: hashes }, options);
+
+    return { valid: true, backupCodes: codes };
+  }
+
+  /**
+   * 코드 검증 - TOTP 우선, 실패 시 복구 코드 (사용한 복구 코드는 제거)
+   * @returns {Promise<{ valid: boolean, error?: string, method?: 'TOTP'|'BACKUP_CODE' }>}
+   */
+  async verifyCode(credential, code, options = {}) {
+    if (!(await this.claimAccountAttempt(credential))) {
+      return { valid: false, error: 'MFA_TOO_MANY_ATTEMPTS' };
+    }
+
+    const input = String(code || '').trim();
+
+    const step = this.verifyTOTP(encryptionManager.decrypt(credential.secret), input, credential.lastUsedStep);
+    if (step !== null && await this.claimOnce(credential, `step:${step}`)) {
+      await credential.update({ lastUsedStep: step }, options);
+      await this.clearAccountAttempts(credential);
+      return { valid: true, method: 'TOTP' };
+    }
+
+    const hash = this.hashBackupCode(input);
+    const backupCodes = credential.backupCodes || [];
+    if (input && backupCodes.includes(hash) && await this.claimOnce(credential, `backup:${hash}`)) {
+      await credential.update({ backupCodes: backupCodes.filter((item) => item !== hash) }, options);
+      await this.clearAccountAttempts(credential);
+      return { valid: true, method: 'BACKUP_CODE' };
+    }
+
+    return { valid: false, error: 'INVALID_MFA_CODE' };
+  }
+
+  /**
+   * 복구 코드 재발급 - 기존 코드는 모두 무효화
+   * @returns {Promise<string[]>} 새 복구 코드 원문
+   */
+  async regenerateBackupCodes(credential, options = {}) {
+    const { codes, hashes } = this.generateBackupCodes();
+    await credential.update({ backupCodes: hashes }, options);
+    return codes;
+  }
+
+  // ===============================================
+  // 재사용 방지 / 시도 횟수 제한
+  // ===============================================
+
+  /**
+   * TOTP 스텝/복구 코드 1회 사용 선점 (SET NX) - 동시 요청 중 하나만 true
+   * 키는 검증 허용 구간보다 길게 유지해 같은 스텝을 다시 받을 수 없게 함
+   */
+  async claimOnce(credential, marker) {
+    const ttl = this.period * (this.window * 2 + 2);
+    return kv.setnx(`auth:mfa-used:${credential.clientType}:${credential.subjectId}:${marker}`, '1', ttl);
+  }
+
+  accountAttemptsKey(credential) {
+    return `auth:mfa-attempts:${credential.clientType}:${credential.subjectId}`;
+  }
+
+  /**
+   * 계정 단위 시도 선점 - 검증 전에 원자적으로 증가시켜 동시 요청도 한도 내로 제한
+   * 성공하면 clearAccountAttempts로 초기화, 실패는 accountFailureWindow 동안 누적
+   * @returns {Promise<boolean>} 시도 가능 여부
+   */
+  async claimAccountAttempt(credential) {
+    const key = this.accountAttemptsKey(credential);
+    const attempts = await kv.incr(key);
+    if (attempts === 1) {
+      await kv.expire(key, this.accountFailureWindow);
+    }
+    return attempts <= this.maxAccountFailures;
+  }
+
+  async clearAccountAttempts(credential) {
+    await kv.del(this.accountAttemptsKey(credential));
+  }
+
+  // ===============================================
+  // 로그인 챌린지
+  // ===============================================
+
+  /**
+   * 챌린지 저장 키 (토큰 원문은 저장하지 않음)
+   */
+  challengeKey(token) {
+    return `auth:mfa-challenge:${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+  }
+
+  challengeAttemptsKey(token) {
+    return `${this.challengeKey(token)}:attempts`;
+  }
+
+  /**
+   * 로그인 챌린지 발급 - 비밀번호 확인 후 세션 대신 반환
+   * @param {Object} params
+   * @param {string} params.clientType - web | admin
+   * @param {string|number} params.subjectId - 계정 ID
+   * @param {boolean} params.setupRequired - MFA 미등록 계정의 필수 등록 단계 여부
+   * @returns {Promise<string>} 챌린지 토큰
+   */
+  async createChallenge({ clientType, subjectId, setupRequired = false }) {
+    const token = encryptionManager.generateToken(32);
+    await kv.setex(this.challengeKey(token), this.challengeTTL, JSON.stringify({
+      clientType,
+      subjectId: String(subjectId),
+      setupRequired
+    }));
+    return token;
+  }
+
+  /**
+   * 챌린지 조회
+   * @returns {Promise<Object|null>} { clientType, subjectId, setupRequired }
+   */
+  async getChallenge(token, clientType) {
+    if (!token) return null;
+
+    const raw = await kv.get(this.challengeKey(token));
+    const challenge = raw ? JSON.parse(raw) : null;
+    return challenge?.clientType === clientType ? challenge : null;
+  }
+
+  /**
+   * 챌린지 시도 선점 - 코드 검증 전에 원자적으로 증가, 최대 시도 횟수 초과 시 폐기
+   * @returns {Promise<boolean>} 시도 가능 여부
+   */
+  async claimChallengeAttempt(token) {
+    const key = this.challengeAttemptsKey(token);
+    const attempts = await kv.incr(key);
+    if (attempts === 1) {
+      await kv.expire(key, this.challengeTTL);
+    }
+    if (attempts > this.maxChallengeAttempts) {
+      await this.consumeChallenge(token);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 챌린지 폐기 (로그인 완료 후 재사용 방지)
+   */
+  async consumeChallenge(token) {
+    await kv.del([this.challengeKey(token), this.challengeAttemptsKey(token)]);
+  }
+}
+
+// 싱글톤 인스턴스
+const mfaManager = new MFAManager();
+
+export default mfaManager;
+export { MFAManager };
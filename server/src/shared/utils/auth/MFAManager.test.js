@@ -0,0 +1,181 @@
+/**
+ * MFAManager 테스트
+ * 복구 코드 생성/서명/1회 사용, TOTP 재사용 방지, 챌린지/계정 단위 시도 횟수 제한
+ * Redis 없이 kv 메모리 저장소 사용
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeAll, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../../models/index.js', () => ({ default: { MfaCredential: {} } }));
+
+let mfaManager;
+let MFAManager;
+let encryptionManager;
+let nextSubjectId = 1;
+
+beforeAll(async () => {
+  process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+  process.env.MFA_BACKUP_CODE_SECRET = 'test-backup-code-secret';
+  ({ default: mfaManager, MFAManager } = await import('./MFAManager.js'));
+  ({ default: encryptionManager } = await import('../security/Encryption.js'));
+});
+
+// MfaCredential 모델 대역 - update만 메모리에 반영
+const createCredential = ({ backupCodes = [] } = {}) => {
+  const secret = mfaManager.generateSecret();
+  const credential = {
+    clientType: 'web',
+    subjectId: String(nextSubjectId++),
+    secret: encryptionManager.encrypt(secret),
+    lastUsedStep: null,
+    backupCodes,
+    enabledAt: new Date(),
+    isEnabled: () => true,
+    update: async (fields) => Object.assign(credential, fields),
+  };
+  return { credential, secret };
+};
+
+const currentCode = (secret) => mfaManager.generateTOTP(secret, Math.floor(Date.now() / 1000 / mfaManager.period));
+
+describe('복구 코드', () => {
+  it('80bit 난수를 XXXX-XXXX-XXXX-XXXX 형식으로 발급한다', () => {
+    const { codes, hashes } = mfaManager.generateBackupCodes();
+
+    expect(codes).toHaveLength(mfaManager.backupCodeCount);
+    expect(new Set(codes).size).toBe(codes.length);
+    for (const code of codes) {
+      expect(code).toMatch(/^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/);
+    }
+    expect(hashes).toEqual(codes.map((code) => mfaManager.hashBackupCode(code)));
+  });
+
+  it('서버 키 HMAC으로 저장해 단순 SHA-256이나 다른 키로는 같은 값을 얻을 수 없다', () => {
+    const [code] = mfaManager.generateBackupCodes().codes;
+    const normalized = mfaManager.normalizeBackupCode(code);
+
+    const other = new MFAManager();
+    other.backupCodeSecret = 'another-secret';
+
+    expect(mfaManager.hashBackupCode(code)).not.toBe(crypto.createHash('sha256').update(normalized).digest('hex'));
+    expect(other.hashBackupCode(code)).not.toBe(mfaManager.hashBackupCode(code));
+  });
+
+  it('서명 키가 없으면 해시를 만들지 않는다', () => {
+    const manager = new MFAManager();
+    manager.backupCodeSecret = undefined;
+
+    expect(() => manager.hashBackupCode('ABCD-EFGH')).toThrow('MFA_BACKUP_CODE_SECRET is required');
+  });
+
+  it('복구 코드는 대소문자/하이픈을 무시하고 한 번만 사용할 수 있다', async () => {
+    const { codes, hashes } = mfaManager.generateBackupCodes();
+    const { credential } = createCredential({ backupCodes: hashes });
+
+    const first = await mfaManager.verifyCode(credential, codes[0].replace(/-/g, '').toLowerCase());
+    expect(first).toEqual({ valid: true, method: 'BACKUP_CODE' });
+    expect(credential.backupCodes).toHaveLength(hashes.length - 1);
+
+    const second = await mfaManager.verifyCode(credential, codes[0]);
+    expect(second).toEqual({ valid: false, error: 'INVALID_MFA_CODE' });
+  });
+
+  it('같은 복구 코드로 동시에 요청하면 하나만 통과한다', async () => {
+    const { codes, hashes } = mfaManager.generateBackupCodes();
+    const { credential } = createCredential({ backupCodes: hashes });
+    // 두 요청이 각자 DB에서 읽은 것과 같은 상태
+    const copy = { ...credential, update: async (fields) => Object.assign(copy, fields) };
+
+    const results = await Promise.all([
+      mfaManager.verifyCode(credential, codes[1]),
+      mfaManager.verifyCode(copy, codes[1]),
+    ]);
+    expect(results.filter((result) => result.valid)).toHaveLength(1);
+  });
+});
+
+describe('TOTP', () => {
+  it('현재 코드는 통과하고 같은 코드의 재사용은 거부한다', async () => {
+    const { credential, secret } = createCredential();
+    const code = currentCode(secret);
+
+    expect(await mfaManager.verifyCode(credential, code)).toEqual({ valid: true, method: 'TOTP' });
+    expect(await mfaManager.verifyCode(credential, code)).toEqual({ valid: false, error: 'INVALID_MFA_CODE' });
+  });
+
+  it('같은 코드로 동시에 요청하면 하나만 통과한다', async () => {
+    const { credential, secret } = createCredential();
+    const copy = { ...credential, update: async (fields) => Object.assign(copy, fields) };
+    const code = currentCode(secret);
+
+    const results = await Promise.all([
+      mfaManager.verifyCode(credential, code),
+      mfaManager.verifyCode(copy, code),
+    ]);
+    expect(results.filter((result) => result.valid)).toHaveLength(1);
+  });
+});
+
+describe('로그인 챌린지', () => {
+  it('최대 시도 횟수를 넘기면 챌린지를 폐기한다', async () => {
+    const token = await mfaManager.createChallenge({ clientType: 'web', subjectId: 1 });
+
+    for (let i = 0; i < mfaManager.maxChallengeAttempts; i++) {
+      expect(await mfaManager.claimChallengeAttempt(token)).toBe(true);
+    }
+    expect(await mfaManager.claimChallengeAttempt(token)).toBe(false);
+    expect(await mfaManager.getChallenge(token, 'web')).toBeNull();
+  });
+
+  it('동시 시도도 최대 횟수만큼만 허용한다', async () => {
+    const token = await mfaManager.createChallenge({ clientType: 'web', subjectId: 1 });
+
+    const results = await Promise.all(
+      Array.from({ length: mfaManager.maxChallengeAttempts * 2 }, () => mfaManager.claimChallengeAttempt(token))
+    );
+    expect(results.filter(Boolean)).toHaveLength(mfaManager.maxChallengeAttempts);
+  });
+
+  it('다른 클라이언트 타입의 챌린지는 조회되지 않는다', async () => {
+    const token = await mfaManager.createChallenge({ clientType: 'admin', subjectId: 1 });
+
+    expect(await mfaManager.getChallenge(token, 'web')).toBeNull();
+    expect(await mfaManager.getChallenge(token, 'admin')).toMatchObject({ clientType: 'admin', subjectId: '1' });
+  });
+});
+
+describe('계정 단위 실패 제한', () => {
+  it('연속 실패가 한도를 넘으면 새 챌린지에서도 올바른 코드를 거부한다', async () => {
+    const { credential, secret } = createCredential();
+
+    for (let i = 0; i < mfaManager.maxAccountFailures; i++) {
+      const token = await mfaManager.createChallenge({ clientType: 'web', subjectId: credential.subjectId });
+      expect(await mfaManager.claimChallengeAttempt(token)).toBe(true);
+      expect(await mfaManager.verifyCode(credential, '000000')).toMatchObject({ valid: false });
+    }
+
+    const token = await mfaManager.createChallenge({ clientType: 'web', subjectId: credential.subjectId });
+    expect(await mfaManager.claimChallengeAttempt(token)).toBe(true);
+    expect(await mfaManager.verifyCode(credential, currentCode(secret))).toEqual({
+      valid: false,
+      error: 'MFA_TOO_MANY_ATTEMPTS',
+    });
+  });
+
+  it('성공하면 실패 횟수를 초기화한다', async () => {
+    const { codes, hashes } = mfaManager.generateBackupCodes();
+    const { credential } = createCredential({ backupCodes: hashes });
+
+    for (let i = 0; i < mfaManager.maxAccountFailures - 1; i++) {
+      await mfaManager.verifyCode(credential, 'WRONG-CODE');
+    }
+    expect(await mfaManager.verifyCode(credential, codes[0])).toMatchObject({ valid: true });
+
+    for (let i = 0; i < mfaManager.maxAccountFailures - 1; i++) {
+      await mfaManager.verifyCode(credential, 'WRONG-CODE');
+    }
+    expect(await mfaManager.verifyCode(credential, codes[1])).toMatchObject({ valid: true });
+  });
+});
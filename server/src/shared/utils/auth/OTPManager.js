@@ -4,6 +4,7 @@
  */
 
 import encryptionManager from '../security/Encryption.js';
+import smsService from '../services/sms/index.js';
 
 class OTPManager {
   constructor(cacheService = null) {
@@ -58,6 +59,40 @@ class OTPManager {
     };
   }
 
+  /**
+   * Generate, store and deliver OTP via SMS
+   * Applies resend cooldown and per-number/per-IP quotas; the code is discarded if every gateway fails
+   * @param {string} identifier - OTP storage key
+   * @param {string} phone - Destination phone (E.164)
+   * @param {Object} options - { type, language, ip, ttl, metadata }
+   */
+  async sendOTP(identifier, phone, options = {}) {
+    const resend = await this.canResendOTP(identifier);
+    if (!resend.canResend) {
+      return { success: false, error: 'RESEND_COOLDOWN', retryAfter: resend.cooldownSeconds };
+    }
+
+    const quota = await smsService.checkQuota({ phone, ip: options.ip });
+    if (!quota.allowed) {
+      return { success: false, error: 'SEND_QUOTA_EXCEEDED', retryAfter: quota.retryAfter };
+    }
+
+    const otp = this.generateOTP();
+    const saved = await this.saveOTP(identifier, otp, options);
+
+    const delivery = await smsService.sendOTP(phone, otp, {
+      type: options.type,
+      language: options.language,
+      ttl: options.ttl || this.otpTTL
+    });
+    if (!delivery.success) {
+      await this.deleteOTP(identifier);
+      return { success: false, error: 'DELIVERY_FAILED', reference: delivery.reference };
+    }
+
+    return { success: true, ...saved, reference: delivery.reference };
+  }
+
   /**
    * Verify OTP code
    */
@@ -0,0 +1,251 @@
+/**
+ * 서버 측 세션 관리자
+ * 로그인 세션(디바이스, IP, User-Agent, 마지막 활동) 기록 및 원격 로그아웃
+ *
+ * - 세션 ID는 JWT의 sid(Refresh Token 패밀리 ID)와 동일
+ * - 세션 종료는 JWT 패밀리 무효화로 즉시 반영 (Access/Refresh Token 모두 거부)
+ */
+
+import jwt from 'jsonwebtoken';
+import jwtManager from './JWT.js';
+import db from '../../../models/index.js';
+import { getGlobalEventBus } from '../services/EventBus.js';
+
+const { AuthSession, Op } = db;
+
+class SessionManager {
+  constructor(options = {}) {
+    this.maxConcurrentSessions = Number(process.env.SESSION_MAX_CONCURRENT) || options.maxConcurrentSessions || 5;
+    this.touchInterval = options.touchInterval || 60 * 1000;        // 마지막 활동 갱신 최소 간격 (ms)
+    this.sessionTTL = jwtManager.expiryToSeconds(jwtManager.refreshTokenExpiry) * 1000;
+
+    // Refresh Token 재사용 감지 시 세션 종료 기록
+    getGlobalEventBus().subscribe('auth.refresh_token.reuse_detected', async (event) => {
+      await this.markRevoked(event.data.sessionId, 'REFRESH_TOKEN_REUSE');
+    });
+  }
+
+  /**
+   * 요청에서 IP / User-Agent 추출
+   * - IP는 req.ip (x-forwarded-for는 app의 trust proxy 설정에 따라 반영)
+   * @param {Object} req - Express request 객체
+   */
+  getRequestInfo(req) {
+    return {
+      ipAddress: req?.ip || req?.socket?.remoteAddress || null,
+      userAgent: req?.headers?.['user-agent']?.substring(0, 500) || null,
+      platform: req?.headers?.['x-platform'] || null
+    };
+  }
+
+  /**
+   * User-Agent 파싱 - 디바이스 타입, OS, 브라우저
+   * @param {string} userAgent
+   * @param {string} platform - X-Platform 헤더 (ios/android/web)
+   */
+  parseUserAgent(userAgent = '', platform = null) {
+    const ua = userAgent || '';
+
+    let os = null;
+    if (/iPhone|iPad|iPod/i.test(ua) || platform === 'ios') os = 'iOS';
+    else if (/Android/i.test(ua) || platform === 'android') os = 'Android';
+    else if (/Windows/i.test(ua)) os = 'Windows';
+    else if (/Mac OS X|Macintosh/i.test(ua)) os = 'macOS';
+    else if (/Linux/i.test(ua)) os = 'Linux';
+
+    let browser = null;
+    if (/Edg\//i.test(ua)) browser = 'Edge';
+    else if (/OPR\//i.test(ua)) browser = 'Opera';
+    else if (/CriOS|Chrome\//i.test(ua)) browser = 'Chrome';
+    else if (/FxiOS|Firefox\//i.test(ua)) browser = 'Firefox';
+    else if (/Safari\//i.test(ua)) browser = 'Safari';
+
+    // React Native 앱은 브라우저 없이 OS 기준
+    const isNativeApp = platform === 'ios' || platform === 'android' || /okhttp|Expo|CFNetwork|React Native/i.test(ua);
+    if (isNativeApp) browser = null;
+
+    let deviceType = 'DESKTOP';
+    if (os === 'iOS') deviceType = 'IOS';
+    else if (os === 'Android') deviceType = 'ANDROID';
+    else if (browser) deviceType = 'WEB';
+
+    const deviceName = [browser, os].filter(Boolean).join(' on ') || 'Unknown device';
+
+    return { deviceType, os, browser, deviceName };
+  }
+
+  /**
+   * 로그인 세션 생성 - 동시 세션 수 초과 시 오래된 세션부터 종료
+   * @param {Object} params
+   * @param {string} params.clientType - mobile | web | admin
+   * @param {string|number} params.subjectId - 계정 ID
+   * @param {string} params.refreshToken - 발급된 Refresh Token (sid 추출용)
+   * @param {Object} params.req - Express request 객체
+   * @param {Object} options - create 옵션 (transaction 등)
+   */
+  async createSession({ clientType, subjectId, refreshToken, req }, options = {}) {
+    const { sid } = jwt.decode(refreshToken) || {};
+    if (!sid) return null;
+
+    const { ipAddress, userAgent, platform } = this.getRequestInfo(req);
+
+    // 첫 Refresh Token부터 재사용 감지
+    await jwtManager.registerRefreshFamily(refreshToken);
+
+    const session = await AuthSession.create({
+      id: sid,
+      clientType,
+      subjectId,
+      ...this.parseUserAgent(userAgent, platform),
+      userAgent,
+      ipAddress,
+      lastActiveAt: new Date()
+    }, options);
+
+    await this.enforceSessionLimit(clientType, subjectId, sid, options);
+
+    return session;
+  }
+
+  /**
+   * 동시 세션 수 제한
+   */
+  async enforceSessionLimit(clientType, subjectId, currentSid, options = {}) {
+    const sessions = await this.listSessions(clientType, subjectId, options);
+    const overflow = sessions
+      .filter((session) => session.id !== currentSid)
+      .slice(this.maxConcurrentSessions - 1);
+
+    for (const session of overflow) {
+      await this.endSession(session, 'SESSION_LIMIT', options);
+    }
+  }
+
+  /**
+   * 활성 세션 목록 (최근 활동 순)
+   * - Refresh Token 수명 동안 활동이 없는 세션은 만료로 간주
+   */
+  async listSessions(clientType, subjectId, options = {}) {
+    return AuthSession.findAll({
+      where: {
+        clientType,
+        subjectId,
+        revokedAt: null,
+        lastActiveAt: { [Op.gt]: new Date(Date.now() - this.sessionTTL) }
+      },
+      order: [['lastActiveAt', 'DESC']],
+      ...options
+    });
+  }
+
+  /**
+   * 마지막 활동 갱신 - touchInterval 이내 중복 갱신 생략
+   * @param {string} sid - 세션 ID
+   * @param {Object} req - Express request 객체
+   */
+  async touch(sid, req) {
+    if (!sid) return;
+
+    const { ipAddress } = this.getRequestInfo(req);
+    await AuthSession.update(
+      { lastActiveAt: new Date(), ...(ipAddress && { ipAddress }) },
+      {
+        where: {
+          id: sid,
+          revokedAt: null,
+          lastActiveAt: { [Op.lt]: new Date(Date.now() - this.touchInterval) }
+        },
+        silent: true
+      }
+    );
+  }
+
+  /**
+   * 토큰 무효화 실행 - 트랜잭션 안에서 호출되면 커밋 이후에 실행해
+   * 롤백 시 세션/계정 상태는 그대로인 채 토큰만 끊기지 않게 한다
+   * @param {Function} revokeTokens - async 무효화 함수
+   * @param {string} target - 로그용 대상 설명
+   */
+  async runTokenRevocation(revokeTokens, target, options = {}) {
+    if (options.transaction) {
+      options.transaction.afterCommit(() => revokeTokens().catch((error) => {
+        console.error(`[SessionManager] ${target} 토큰 무효화 실패:`, error.message);
+      }));
+    } else {
+      await revokeTokens();
+    }
+  }
+
+  /**
+   * 세션 종료 - 종료 기록 후 JWT 패밀리 무효화
+   * @param {AuthSession} session
+   * @param {string} reason - 종료 사유
+   */
+  async endSession(session, reason, options = {}) {
+    const revoked = await session.markRevoked(reason, options);
+    await this.runTokenRevocation(() => jwtManager.revokeSession(session.id, reason), `세션 ${session.id}`, options);
+    return revoked;
+  }
+
+  /**
+   * 계정의 특정 세션 종료
+   * @returns {Promise<AuthSession|null>} 종료된 세션 (본인 세션이 아니면 null)
+   */
+  async revokeSession(clientType, subjectId, sid, reason, options = {}) {
+    const session = await AuthSession.findOne({
+      where: { id: sid, clientType, subjectId, revokedAt: null },
+      ...options
+    });
+    if (!session) return null;
+
+    return this.endSession(session, reason, options);
+  }
+
+  /**
+   * 현재 세션을 제외한 모든 세션 종료 (currentSid가 없으면 전체)
+   * @returns {Promise<number>} 종료된 세션 수
+   */
+  async revokeOtherSessions(clientType, subjectId, currentSid, reason, options = {}) {
+    const sessions = await this.listSessions(clientType, subjectId, options);
+    const others = sessions.filter((session) => session.id !== currentSid);
+
+    for (const session of others) {
+      await this.endSession(session, reason, options);
+    }
+
+    return others.length;
+  }
+
+  /**
+   * 계정의 모든 세션 종료 + 지금까지 발급된 토큰 전체 무효화 (세션 기록이 없는 토큰 포함)
+   * 비밀번호 재설정, 계정 비활성화/정지 등 모든 디바이스를 끊어야 할 때 사용
+   * @returns {Promise<number>} 종료된 세션 수
+   */
+  async revokeAllSessions(clientType, subjectId, reason, options = {}) {
+    const revokedCount = await this.revokeOtherSessions(clientType, subjectId, null, reason, options);
+    await this.runTokenRevocation(
+      () => jwtManager.revokeSubjectTokens(clientType, subjectId, reason),
+      `계정 ${clientType}:${subjectId}`,
+      options
+    );
+    return revokedCount;
+  }
+
+  /**
+   * 종료 기록만 남김 (JWT 패밀리는 이미 무효화된 경우)
+   */
+  async markRevoked(sid, reason) {
+    if (!sid) return;
+
+    await AuthSession.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { id: sid, revokedAt: null } }
+    );
+  }
+}
+
+// 싱글톤 인스턴스
+const sessionManager = new SessionManager();
+
+export default sessionManager;
+export { SessionManager };
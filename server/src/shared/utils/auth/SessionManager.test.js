@@ -0,0 +1,171 @@
+/**
+ * SessionManager 테스트
+ * 동시 세션 수 제한, 원격 로그아웃, 트랜잭션 커밋 후 토큰 무효화
+ * AuthSession은 메모리 대역, JWT 무효화는 호출만 기록
+ */
+
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+// AuthSession 메모리 대역 - 조회 조건 중 clientType/subjectId/id/revokedAt만 반영
+let sessions = [];
+let clock = 0;
+
+const matches = (session, where) => ['id', 'clientType', 'subjectId', 'revokedAt']
+  .every((field) => !(field in where) || session[field] === where[field]);
+
+const AuthSession = {
+  create: jest.fn(async (values) => {
+    const session = {
+      ...values,
+      revokedAt: null,
+      lastActiveAt: new Date(++clock),
+      async markRevoked(reason) {
+        this.revokedAt = new Date();
+        this.revokedReason = reason;
+        return this;
+      },
+    };
+    sessions.push(session);
+    return session;
+  }),
+  findAll: jest.fn(async ({ where }) => sessions
+    .filter((session) => matches(session, where))
+    .sort((a, b) => b.lastActiveAt - a.lastActiveAt)),
+  findOne: jest.fn(async ({ where }) => sessions.find((session) => matches(session, where)) || null),
+};
+
+const jwtManager = {
+  refreshTokenExpiry: '30d',
+  expiryToSeconds: () => 30 * 24 * 60 * 60,
+  registerRefreshFamily: jest.fn(async () => {}),
+  revokeSession: jest.fn(async () => {}),
+  revokeSubjectTokens: jest.fn(async () => {}),
+};
+
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: { AuthSession, Op: { gt: Symbol('gt'), lt: Symbol('lt') } },
+}));
+jest.unstable_mockModule('./JWT.js', () => ({ default: jwtManager }));
+jest.unstable_mockModule('../services/EventBus.js', () => ({
+  getGlobalEventBus: () => ({ subscribe: () => {} }),
+}));
+
+let SessionManager;
+let manager;
+
+beforeAll(async () => {
+  delete process.env.SESSION_MAX_CONCURRENT;
+  ({ SessionManager } = await import('./SessionManager.js'));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sessions = [];
+  manager = new SessionManager({ maxConcurrentSessions: 2 });
+});
+
+const login = (sid, subjectId = 7) => manager.createSession({
+  clientType: 'web',
+  subjectId,
+  refreshToken: jwt.sign({ sid }, 'test-refresh-secret'),
+  req: { ip: '10.0.0.1', headers: { 'user-agent': 'Mozilla/5.0 (Macintosh) Chrome/120.0 Safari/537.36' } },
+});
+
+const activeIds = () => sessions.filter((session) => !session.revokedAt).map((session) => session.id);
+
+// afterCommit 콜백을 모아두는 트랜잭션 대역
+const fakeTransaction = () => {
+  const callbacks = [];
+  return {
+    afterCommit: (callback) => callbacks.push(callback),
+    commit: () => Promise.all(callbacks.map((callback) => callback())),
+  };
+};
+
+describe('세션 생성', () => {
+  it('디바이스 정보를 기록하고 Refresh Token 패밀리를 등록한다', async () => {
+    const session = await login('sid-1');
+
+    expect(session).toMatchObject({ id: 'sid-1', clientType: 'web', subjectId: 7, ipAddress: '10.0.0.1', deviceType: 'WEB', deviceName: 'Chrome on macOS' });
+    expect(jwtManager.registerRefreshFamily).toHaveBeenCalledTimes(1);
+  });
+
+  it('동시 세션 수를 넘으면 가장 오래된 세션부터 종료한다', async () => {
+    await login('sid-1');
+    await login('sid-2');
+    await login('sid-3');
+
+    expect(activeIds()).toEqual(['sid-2', 'sid-3']);
+    expect(sessions[0].revokedReason).toBe('SESSION_LIMIT');
+    expect(jwtManager.revokeSession).toHaveBeenCalledWith('sid-1', 'SESSION_LIMIT');
+  });
+
+  it('다른 계정의 세션은 제한에 포함하지 않는다', async () => {
+    await login('sid-1', 7);
+    await login('sid-2', 8);
+    await login('sid-3', 7);
+
+    expect(activeIds()).toEqual(['sid-1', 'sid-2', 'sid-3']);
+  });
+});
+
+describe('원격 로그아웃', () => {
+  it('본인 세션만 종료하고 해당 세션의 토큰을 무효화한다', async () => {
+    await login('sid-1', 7);
+    await login('sid-2', 8);
+
+    expect(await manager.revokeSession('web', 7, 'sid-2', 'REVOKED_BY_USER')).toBeNull();
+    expect(jwtManager.revokeSession).not.toHaveBeenCalled();
+
+    expect(await manager.revokeSession('web', 7, 'sid-1', 'REVOKED_BY_USER')).toMatchObject({ id: 'sid-1', revokedReason: 'REVOKED_BY_USER' });
+    expect(jwtManager.revokeSession).toHaveBeenCalledWith('sid-1', 'REVOKED_BY_USER');
+    expect(activeIds()).toEqual(['sid-2']);
+  });
+
+  it('현재 세션 외 모두 로그아웃은 현재 세션을 남긴다', async () => {
+    await login('sid-1');
+    await login('sid-2');
+
+    expect(await manager.revokeOtherSessions('web', 7, 'sid-2', 'REVOKED_BY_USER')).toBe(1);
+    expect(activeIds()).toEqual(['sid-2']);
+  });
+});
+
+describe('커밋 후 토큰 무효화', () => {
+  it('트랜잭션이 있으면 커밋된 뒤에 세션/계정 토큰을 무효화한다', async () => {
+    await login('sid-1');
+    await login('sid-2');
+    const transaction = fakeTransaction();
+
+    expect(await manager.revokeAllSessions('web', 7, 'PASSWORD_RESET', { transaction })).toBe(2);
+
+    // 세션 종료 기록은 트랜잭션 안에서, 토큰 무효화는 아직
+    expect(activeIds()).toEqual([]);
+    expect(jwtManager.revokeSession).not.toHaveBeenCalled();
+    expect(jwtManager.revokeSubjectTokens).not.toHaveBeenCalled();
+
+    await transaction.commit();
+
+    expect(jwtManager.revokeSession.mock.calls.map(([sid]) => sid).sort()).toEqual(['sid-1', 'sid-2']);
+    expect(jwtManager.revokeSubjectTokens).toHaveBeenCalledWith('web', 7, 'PASSWORD_RESET');
+  });
+
+  it('트랜잭션이 없으면 바로 무효화한다', async () => {
+    await manager.revokeAllSessions('mobile', 7, 'FORCE_LOGOUT');
+
+    expect(jwtManager.revokeSubjectTokens).toHaveBeenCalledWith('mobile', 7, 'FORCE_LOGOUT');
+  });
+
+  it('커밋 후 무효화가 실패해도 커밋 흐름으로 에러를 던지지 않는다', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jwtManager.revokeSubjectTokens.mockRejectedValueOnce(new Error('redis down'));
+    const transaction = fakeTransaction();
+
+    await manager.revokeAllSessions('web', 7, 'ACCOUNT_DEACTIVATED', { transaction });
+
+    await expect(transaction.commit()).resolves.toBeDefined();
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('계정 web:7'), 'redis down');
+    error.mockRestore();
+  });
+});
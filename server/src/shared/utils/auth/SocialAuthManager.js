@@ -0,0 +1,403 @@
+/**
+ * 소셜 로그인 관리자
+ * 제공자별 Identity Token 검증 (Google, Apple, Facebook, Zalo)
+ *
+ * - OIDC ID Token(JWT)은 캐시된 JWKS 공개키로 서명/iss/aud/exp 검증
+ * - JWT를 발급하지 않는 로그인(Facebook 일반 로그인, Zalo)은 제공자 API로 토큰 확인
+ * - 검증기는 registerVerifier로 교체 가능 (테스트에서 로컬 검증기 사용)
+ *
+ * 검증기 인터페이스: verify(token, { nonce }) → { providerId, email, emailVerified, fullName, avatarUrl }
+ * 실패 시 reason이 있는 SocialTokenError throw
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { logger } from '../utilities/Logger.js';
+
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * 쉼표 구분 환경변수 → 배열
+ */
+const parseList = (value) => String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * 검증 실패 에러
+ * @param {string} reason - INVALID_TOKEN | PROVIDER_UNAVAILABLE | NOT_CONFIGURED
+ * @param {string} message
+ */
+const socialTokenError = (reason, message) => {
+  const error = new Error(message || reason);
+  error.name = 'SocialTokenError';
+  error.reason = reason;
+  return error;
+};
+
+/**
+ * 제공자 API 호출 (JSON) - 네트워크 오류는 PROVIDER_UNAVAILABLE
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  } catch (error) {
+    throw socialTokenError('PROVIDER_UNAVAILABLE', error.message);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (response.status >= 500 || !body) {
+    throw socialTokenError('PROVIDER_UNAVAILABLE', `HTTP ${response.status}`);
+  }
+  return { status: response.status, body, headers: response.headers };
+};
+
+/**
+ * 앱 시크릿 기반 appsecret_proof (Facebook/Zalo 토큰-앱 바인딩)
+ */
+const appSecretProof = (accessToken, appSecret) => (
+  crypto.createHmac('sha256', appSecret).update(accessToken).digest('hex')
+);
+
+// ===============================================
+// JWKS 캐시
+// ===============================================
+
+class JwksCache {
+  /**
+   * @param {string} uri - JWKS 엔드포인트
+   * @param {Object} options
+   * @param {number} options.ttl - 기본 캐시 시간 (ms, Cache-Control max-age 우선)
+   * @param {number} options.minRefreshInterval - 알 수 없는 kid로 인한 재조회 최소 간격 (ms)
+   */
+  constructor(uri, options = {}) {
+    this.uri = uri;
+    this.ttl = options.ttl || 60 * 60 * 1000;
+    this.minRefreshInterval = options.minRefreshInterval || 60 * 1000;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.expiresAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * kid에 해당하는 공개키 - 키 회전 대비 미스 시 한 번 재조회
+   */
+  async getKey(kid) {
+    if (Date.now() >= this.expiresAt) {
+      await this.refresh();
+    }
+
+    if (!this.keys.has(kid) && Date.now() - this.fetchedAt >= this.minRefreshInterval) {
+      await this.refresh();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw socialTokenError('INVALID_TOKEN', `Unknown signing key: ${kid}`);
+    }
+    return key;
+  }
+
+  /**
+   * JWKS 재조회 (동시 요청은 하나로 합침)
+   */
+  async refresh() {
+    if (!this.pending) {
+      this.pending = this.load().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async load() {
+    const { status, body, headers } = await fetchJson(this.uri);
+    if (status !== 200 || !Array.isArray(body.keys)) {
+      throw socialTokenError('PROVIDER_UNAVAILABLE', `Invalid JWKS response from ${this.uri}`);
+    }
+
+    const keys = new Map();
+    for (const jwk of body.keys) {
+      if (!jwk.kid || jwk.kty !== 'RSA') continue;
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn('SocialJwksKeySkipped', { uri: this.uri, kid: jwk.kid, error: error.message });
+      }
+    }
+
+    const maxAge = /max-age=(\d+)/.exec(headers.get('cache-control') || '');
+    this.keys = keys;
+    this.fetchedAt = Date.now();
+    this.expiresAt = this.fetchedAt + (maxAge ? Number(maxAge[1]) * 1000 : this.ttl);
+  }
+}
+
+/**
+ * OIDC ID Token 검증 - 서명(RS256), iss, aud, exp, nonce
+ * @param {string} token
+ * @param {Object} params
+ * @param {JwksCache} params.jwks
+ * @param {string[]} params.issuers - 허용 발급자
+ * @param {string[]} params.audiences - 허용 클라이언트 ID
+ * @param {string} params.nonce - 클라이언트가 전달한 nonce (원문 또는 SHA-256)
+ */
+const verifyIdToken = async (token, { jwks, issuers, audiences, nonce }) => {
+  if (audiences.length === 0) {
+    throw socialTokenError('NOT_CONFIGURED', 'Client ID is not configured');
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw socialTokenError('INVALID_TOKEN', 'Malformed identity token');
+  }
+
+  const key = await jwks.getKey(decoded.header.kid);
+
+  let payload;
+  try {
+    payload = jwt.verify(token, key, { algorithms: ['RS256'], issuer: issuers, audience: audiences });
+  } catch (error) {
+    throw socialTokenError('INVALID_TOKEN', error.message);
+  }
+
+  if (nonce) {
+    const hashedNonce = crypto.createHash('sha256').update(nonce).digest('hex');
+    if (payload.nonce !== nonce && payload.nonce !== hashedNonce) {
+      throw socialTokenError('INVALID_TOKEN', 'Nonce mismatch');
+    }
+  }
+
+  return payload;
+};
+
+/**
+ * email_verified 클레임 정규화 (Apple은 문자열 'true')
+ */
+const isTrue = (value) => value === true || value === 'true';
+
+// ===============================================
+// 제공자별 검증기
+// ===============================================
+
+class GoogleVerifier {
+  constructor() {
+    this.audiences = parseList(process.env.GOOGLE_CLIENT_IDS);
+    this.jwks = new JwksCache('https://www.googleapis.com/oauth2/v3/certs');
+  }
+
+  async verify(token, options = {}) {
+    const payload = await verifyIdToken(token, {
+      jwks: this.jwks,
+      issuers: ['accounts.google.com', 'https://accounts.google.com'],
+      audiences: this.audiences,
+      nonce: options.nonce,
+    });
+
+    return {
+      providerId: String(payload.sub),
+      email: payload.email || null,
+      emailVerified: isTrue(payload.email_verified),
+      fullName: payload.name || null,
+      avatarUrl: payload.picture || null,
+    };
+  }
+}
+
+class AppleVerifier {
+  constructor() {
+    this.audiences = parseList(process.env.APPLE_CLIENT_IDS);
+    this.jwks = new JwksCache('https://appleid.apple.com/auth/keys');
+  }
+
+  async verify(token, options = {}) {
+    const payload = await verifyIdToken(token, {
+      jwks: this.jwks,
+      issuers: ['https://appleid.apple.com'],
+      audiences: this.audiences,
+      nonce: options.nonce,
+    });
+
+    // Apple은 이름을 ID Token에 담지 않음 (최초 인증 시 클라이언트에만 전달)
+    return {
+      providerId: String(payload.sub),
+      email: payload.email || null,
+      emailVerified: isTrue(payload.email_verified),
+      fullName: null,
+      avatarUrl: null,
+    };
+  }
+}
+
+class FacebookVerifier {
+  constructor() {
+    this.appId = process.env.FACEBOOK_APP_ID || null;
+    this.appSecret = process.env.FACEBOOK_APP_SECRET || null;
+    this.graphUrl = 'https://graph.facebook.com/v19.0';
+    this.jwks = new JwksCache('https://limited.facebook.com/.well-known/oauth/openid/jwks/');
+  }
+
+  async verify(token, options = {}) {
+    if (!this.appId) {
+      throw socialTokenError('NOT_CONFIGURED', 'FACEBOOK_APP_ID is not configured');
+    }
+
+    // iOS Limited Login은 OIDC ID Token, 그 외는 Graph API Access Token
+    return token.split('.').length === 3
+      ? this.verifyLimitedLogin(token, options)
+      : this.verifyAccessToken(token);
+  }
+
+  async verifyLimitedLogin(token, options) {
+    const payload = await verifyIdToken(token, {
+      jwks: this.jwks,
+      issuers: ['https://www.facebook.com', 'https://limited.facebook.com'],
+      audiences: [this.appId],
+      nonce: options.nonce,
+    });
+
+    return {
+      providerId: String(payload.sub),
+      email: payload.email || null,
+      emailVerified: false,
+      fullName: payload.name || null,
+      avatarUrl: payload.picture || null,
+    };
+  }
+
+  async verifyAccessToken(token) {
+    if (!this.appSecret) {
+      throw socialTokenError('NOT_CONFIGURED', 'FACEBOOK_APP_SECRET is not configured');
+    }
+
+    // 토큰이 이 앱에 발급된 것인지 확인 (다른 앱 토큰 재사용 방지)
+    const debugParams = new URLSearchParams({
+      input_token: token,
+      access_token: `${this.appId}|${this.appSecret}`,
+    });
+    const { body: debug } = await fetchJson(`${this.graphUrl}/debug_token?${debugParams}`);
+    const data = debug.data || {};
+    if (!data.is_valid || String(data.app_id) !== String(this.appId)) {
+      throw socialTokenError('INVALID_TOKEN', 'Facebook token is not valid for this app');
+    }
+
+    const profileParams = new URLSearchParams({
+      fields: 'id,name,email,picture.type(large)',
+      access_token: token,
+      appsecret_proof: appSecretProof(token, this.appSecret),
+    });
+    const { body: profile } = await fetchJson(`${this.graphUrl}/me?${profileParams}`);
+    if (profile.error || String(profile.id) !== String(data.user_id)) {
+      throw socialTokenError('INVALID_TOKEN', profile.error?.message || 'Facebook user mismatch');
+    }
+
+    return {
+      providerId: String(profile.id),
+      email: profile.email || null,
+      emailVerified: false,
+      fullName: profile.name || null,
+      avatarUrl: profile.picture?.data?.url || null,
+    };
+  }
+}
+
+class ZaloVerifier {
+  constructor() {
+    this.appSecret = process.env.ZALO_APP_SECRET || null;
+    this.graphUrl = 'https://graph.zalo.me/v2.0';
+  }
+
+  async verify(token) {
+    if (!this.appSecret) {
+      throw socialTokenError('NOT_CONFIGURED', 'ZALO_APP_SECRET is not configured');
+    }
+
+    // appsecret_proof로 이 앱에 발급된 토큰만 허용
+    const { body } = await fetchJson(`${this.graphUrl}/me?fields=id,name,picture`, {
+      headers: {
+        access_token: token,
+        appsecret_proof: appSecretProof(token, this.appSecret),
+      },
+    });
+    if (body.error || !body.id) {
+      throw socialTokenError('INVALID_TOKEN', body.message || 'Invalid Zalo access token');
+    }
+
+    // Zalo는 이메일을 제공하지 않음
+    return {
+      providerId: String(body.id),
+      email: null,
+      emailVerified: false,
+      fullName: body.name || null,
+      avatarUrl: body.picture?.data?.url || null,
+    };
+  }
+}
+
+// ===============================================
+// 관리자
+// ===============================================
+
+class SocialAuthManager {
+  constructor() {
+    this.verifiers = new Map();
+    this.resetVerifiers();
+  }
+
+  /**
+   * 검증기 등록/교체
+   * @param {string} provider - GOOGLE | APPLE | FACEBOOK | ZALO
+   * @param {{ verify: Function }} verifier
+   */
+  registerVerifier(provider, verifier) {
+    this.verifiers.set(String(provider).toUpperCase(), verifier);
+  }
+
+  /**
+   * 기본 검증기로 초기화
+   */
+  resetVerifiers() {
+    this.verifiers.clear();
+    this.registerVerifier('GOOGLE', new GoogleVerifier());
+    this.registerVerifier('APPLE', new AppleVerifier());
+    this.registerVerifier('FACEBOOK', new FacebookVerifier());
+    this.registerVerifier('ZALO', new ZaloVerifier());
+  }
+
+  /**
+   * 지원 제공자 여부
+   */
+  isSupported(provider) {
+    return this.verifiers.has(String(provider || '').toUpperCase());
+  }
+
+  /**
+   * 제공자 토큰 검증
+   * @param {string} provider
+   * @param {string} token - ID Token 또는 Access Token
+   * @param {Object} options - { nonce }
+   * @returns {Promise<{ valid: boolean, error?: string, profile?: Object }>}
+   */
+  async verify(provider, token, options = {}) {
+    const normalized = String(provider || '').toUpperCase();
+    const verifier = this.verifiers.get(normalized);
+    if (!verifier) {
+      return { valid: false, error: 'UNSUPPORTED_PROVIDER' };
+    }
+
+    try {
+      const profile = await verifier.verify(String(token), options);
+      return { valid: true, profile: { ...profile, provider: normalized } };
+    } catch (error) {
+      const reason = error.name === 'SocialTokenError' ? error.reason : 'INVALID_TOKEN';
+      logger.warn('SocialTokenRejected', { provider: normalized, reason, error: error.message });
+      return { valid: false, error: reason };
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const socialAuthManager = new SocialAuthManager();
+
+export default socialAuthManager;
+export { SocialAuthManager, JwksCache, GoogleVerifier, AppleVerifier, FacebookVerifier, ZaloVerifier };
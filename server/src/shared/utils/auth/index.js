@@ -10,9 +10,19 @@ import jwtManager from './JWT.js';
 // OTP 관리
 import otpManager from './OTPManager.js';
 
+// 세션 관리
+import sessionManager from './SessionManager.js';
+
+// 2단계 인증 관리
+import mfaManager from './MFAManager.js';
+
+// 소셜 로그인 검증
+import socialAuthManager from './SocialAuthManager.js';
+
 // 인증 미들웨어
 import {
   getUser,
+  authenticateToken,
   getStoreAccount,
   getMobileUser,
   createAuthContext
@@ -26,8 +36,18 @@ export {
   // OTP 관리
   otpManager,
 
+  // 세션 관리
+  sessionManager,
+
+  // 2단계 인증 관리
+  mfaManager,
+
+  // 소셜 로그인 검증
+  socialAuthManager,
+
   // 인증 미들웨어
   getUser,
+  authenticateToken,
   getStoreAccount,
   getMobileUser,
   createAuthContext
@@ -37,8 +57,12 @@ export {
 export default {
   jwt: jwtManager,
   otp: otpManager,
+  session: sessionManager,
+  mfa: mfaManager,
+  social: socialAuthManager,
   middleware: {
     getUser,
+    authenticateToken,
     getStoreAccount,
     getMobileUser,
     createAuthContext
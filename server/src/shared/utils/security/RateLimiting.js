@@ -39,16 +39,15 @@ export class RateLimiting {
       return { allowed: true, remaining: this.config.authLimit };
     }
 
-    const current = await this.cache.get(key) || 0;
+    // Redis는 문자열로 반환                          → 숫자 변환
+    const current = Number(await this.cache.get(key)) || 0;
     
     if (current >= this.config.authLimit) {
       const ttl = await this.cache.ttl(key);
       
       throw new GraphQLError(
         `Too many ${action} attempts. Try again in ${Math.ceil(ttl / 60)} minutes`,
-        'RATE_LIMIT_EXCEEDED',
-        429,
-        { retryAfter: ttl }
+        { extensions: { code: 'RATE_LIMIT_EXCEEDED', http: { status: 429 }, retryAfter: ttl } }
       );
     }
 
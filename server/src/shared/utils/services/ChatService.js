@@ -0,0 +1,847 @@
+/**
+ * 채팅 서비스
+ * 채팅방/참여자/메시지 저장소 - GraphQL 리졸버와 UnifiedSocketServer가 공통으로 사용
+ *
+ * - 참여자는 { type, id }로 식별 (type: mobile=User, web=WebAccount)
+ * - 모든 조회/전송/읽음 처리는 참여자 검증(assertParticipant)을 먼저 수행
+ * - 메시지 목록은 메시지 ID 커서 기반 페이지네이션 (before: 이전 메시지, after: 이후 메시지)
+ * - 수신/읽음 상태는 참여자별 lastDeliveredMessageId/lastReadMessageId로 관리하며 뒤로 되돌리지 않음
+ *   메시지별 상태(SENT → DELIVERED → READ)는 발신자를 제외한 모든 참여자의 워터마크 최솟값 기준
+ * - 읽지 않은 메시지 수는 참여자별 Redis Hash(chat:unread:{type}:{id}, roomId → count)로 관리
+ *   새 메시지는 증가, 읽음 처리는 DB 기준 값으로 덮어씀 / 동기화 표시(_synced)가 없으면 DB에서 재계산
+ * - 메시지 생성/수신/읽음/읽지 않은 수 변경 이벤트는 트랜잭션 커밋 후 EventBus로 발행 (소켓 전파는 구독자가 담당)
+ * - 푸시 알림 음소거는 참여자별 mutedUntil로 관리 (푸시 대상 조회 시 제외)
+ *
+ * 실패 시 reason이 있는 ChatError throw
+ */
+
+import db from '../../../models/index.js';
+import kv from '../../cache/kv.js';
+import { getGlobalDeliveryAppPublisher } from './EventPublisher.js';
+import { logger } from '../utilities/Logger.js';
+
+const { ChatRoom, ChatParticipant, ChatMessage, Op } = db;
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_ATTACHMENTS = 10;
+const MAX_MUTE_MINUTES = 60 * 24 * 365;
+
+// 읽지 않은 메시지 수 캐시 (마지막 변경 후 보관 기간 - 만료되면 DB에서 재계산)
+const UNREAD_TTL_SECONDS = 60 * 60 * 24 * 7;
+const UNREAD_SYNCED_FIELD = '_synced';
+const unreadKey = (participant) => `chat:unread:${participant.type}:${participant.id}`;
+
+// 메시지 전달 상태
+export const DELIVERY_STATUS = {
+  SENT: 'SENT',
+  DELIVERED: 'DELIVERED',
+  READ: 'READ'
+};
+
+// 무기한 음소거 시각 (mutedUntil)
+const MUTED_FOREVER = new Date('9999-12-31T00:00:00Z');
+
+// 클라이언트가 보낼 수 있는 메시지 타입 (SYSTEM은 서버 전용)
+const CLIENT_MESSAGE_TYPES = ['TEXT', 'IMAGE', 'FILE'];
+
+/**
+ * 채팅 에러
+ * @param {string} reason - ROOM_NOT_FOUND | ACCESS_DENIED | MESSAGE_NOT_FOUND | EMPTY_MESSAGE |
+ *                          MESSAGE_TOO_LONG | INVALID_MESSAGE | INVALID_CURSOR | INVALID_PARTICIPANT |
+ *                          INVALID_MUTE_DURATION
+ */
+const chatError = (reason) => {
+  const error = new Error(reason);
+  error.name = 'ChatError';
+  error.reason = reason;
+  return error;
+};
+
+/**
+ * 커서(메시지 ID) 검증
+ */
+const parseCursor = (cursor) => {
+  if (cursor === undefined || cursor === null || cursor === '') return null;
+  if (!/^\d+$/.test(String(cursor))) {
+    throw chatError('INVALID_CURSOR');
+  }
+  return String(cursor);
+};
+
+/**
+ * 메시지 ID 비교 (BIGINT 문자열) - a가 b 이상이면 true
+ */
+const isAtLeast = (a, b) => Boolean(a) && BigInt(a) >= BigInt(b);
+
+/**
+ * 트랜잭션이 있으면 커밋 후, 없으면 즉시 실행
+ */
+const afterCommit = (options, fn) => {
+  const run = () => Promise.resolve(fn()).catch((error) => {
+    logger.error('ChatEventPublishFailed', { error: error.message });
+  });
+
+  if (options.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
+class ChatService {
+  // ===============================================
+  // 참여자
+  // ===============================================
+
+  /**
+   * 참여자 식별자 검증
+   * @param {{ type: string, id: string|number }} participant
+   */
+  assertValidParticipant(participant) {
+    if (!['mobile', 'web'].includes(participant?.type) || !participant.id) {
+      throw chatError('INVALID_PARTICIPANT');
+    }
+  }
+
+  /**
+   * 채팅방 참여 정보 조회
+   * @returns {Promise<ChatParticipant|null>}
+   */
+  async getMembership(roomId, participant, options = {}) {
+    if (!roomId || !/^\d+$/.test(String(roomId))) return null;
+
+    return ChatParticipant.findOne({
+      where: { roomId, participantType: participant.type, participantId: participant.id },
+      ...options
+    });
+  }
+
+  /**
+   * 채팅방 참여 여부 (소켓 이벤트 검증용)
+   */
+  async isParticipant(roomId, participant) {
+    if (!participant?.type || !participant.id) return false;
+    return Boolean(await this.getMembership(roomId, participant));
+  }
+
+  /**
+   * 채팅방 참여자 목록 (소켓 이벤트 수신자 조회용)
+   * @returns {Promise<ChatParticipant[]>}
+   */
+  async getParticipants(roomId, options = {}) {
+    if (!roomId || !/^\d+$/.test(String(roomId))) return [];
+
+    return ChatParticipant.findAll({
+      where: { roomId },
+      attributes: ['participantType', 'participantId'],
+      ...options
+    });
+  }
+
+  /**
+   * participant와 같은 채팅방에 참여 중인 상대 ID (접속 상태 공개 범위 판단용)
+   * @param {{ type, id }} participant
+   * @param {string} targetType - mobile | web
+   * @param {Array<string|number>} targetIds
+   * @returns {Promise<Set<string>>}
+   */
+  async findSharedParticipantIds(participant, targetType, targetIds, options = {}) {
+    if (!participant?.type || !participant.id || targetIds.length === 0) return new Set();
+
+    const memberships = await ChatParticipant.findAll({
+      where: { participantType: participant.type, participantId: participant.id },
+      attributes: ['roomId'],
+      ...options
+    });
+    if (memberships.length === 0) return new Set();
+
+    const shared = await ChatParticipant.findAll({
+      where: {
+        roomId: { [Op.in]: memberships.map((m) => m.roomId) },
+        participantType: targetType,
+        participantId: { [Op.in]: targetIds.map(String) }
+      },
+      attributes: ['participantId'],
+      ...options
+    });
+
+    return new Set(shared.map((m) => String(m.participantId)));
+  }
+
+  /**
+   * 채팅방 참여자 검증
+   * @returns {Promise<{ room: ChatRoom, membership: ChatParticipant }>}
+   */
+  async assertParticipant(roomId, participant, options = {}) {
+    this.assertValidParticipant(participant);
+
+    const membership = await this.getMembership(roomId, participant, options);
+    if (!membership) {
+      // 참여자가 아니면 채팅방 존재 여부를 구분하지 않음
+      const exists = roomId && /^\d+$/.test(String(roomId)) && await ChatRoom.count({ where: { id: roomId }, ...options });
+      throw chatError(exists ? 'ACCESS_DENIED' : 'ROOM_NOT_FOUND');
+    }
+
+    const room = await ChatRoom.findByPk(roomId, options);
+    return { room, membership };
+  }
+
+  // ===============================================
+  // 채팅방
+  // ===============================================
+
+  /**
+   * 채팅방 생성
+   * @param {Object} params
+   * @param {{ type, id }} params.createdBy - 생성자 (자동으로 참여자에 포함)
+   * @param {Array<{ type, id }>} params.participants - 다른 참여자
+   * @param {string} params.type - DIRECT | GROUP
+   * @param {string} params.title - 채팅방 이름
+   */
+  async createRoom({ createdBy, participants = [], type = 'DIRECT', title = null }, options = {}) {
+    const members = [createdBy, ...participants];
+    members.forEach((member) => this.assertValidParticipant(member));
+
+    const room = await ChatRoom.create({
+      type,
+      title,
+      createdByType: createdBy.type,
+      createdById: createdBy.id
+    }, options);
+
+    const unique = new Map(members.map((member) => [`${member.type}:${member.id}`, member]));
+    await ChatParticipant.bulkCreate([...unique.values()].map((member) => ({
+      roomId: room.id,
+      participantType: member.type,
+      participantId: member.id
+    })), options);
+
+    return room;
+  }
+
+  /**
+   * 1:1 채팅방 조회 또는 생성
+   * @returns {Promise<{ room: ChatRoom, created: boolean }>}
+   */
+  async findOrCreateDirectRoom(participant, target, options = {}) {
+    this.assertValidParticipant(participant);
+    this.assertValidParticipant(target);
+    if (participant.type === target.type && String(participant.id) === String(target.id)) {
+      throw chatError('INVALID_PARTICIPANT');
+    }
+
+    const memberships = await ChatParticipant.findAll({
+      where: { participantType: participant.type, participantId: participant.id },
+      include: [{ model: ChatRoom, as: 'room', where: { type: 'DIRECT' }, attributes: [] }],
+      attributes: ['roomId'],
+      ...options
+    });
+
+    if (memberships.length > 0) {
+      const existing = await ChatParticipant.findOne({
+        where: {
+          roomId: { [Op.in]: memberships.map((membership) => membership.roomId) },
+          participantType: target.type,
+          participantId: target.id
+        },
+        include: [{ model: ChatRoom, as: 'room' }],
+        ...options
+      });
+      if (existing) {
+        return { room: existing.room, created: false };
+      }
+    }
+
+    const room = await this.createRoom({ createdBy: participant, participants: [target] }, options);
+    return { room, created: true };
+  }
+
+  /**
+   * 참여 중인 채팅방 목록 (최근 메시지 순)
+   * @returns {Promise<{ rooms: Object[], total: number }>}
+   */
+  async listRooms(participant, { limit = 20, offset = 0 } = {}, options = {}) {
+    this.assertValidParticipant(participant);
+
+    const { rows, count } = await ChatRoom.findAndCountAll({
+      include: [{
+        model: ChatParticipant,
+        as: 'participants',
+        where: { participantType: participant.type, participantId: participant.id },
+        attributes: []
+      }],
+      order: [['lastMessageAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset,
+      distinct: true,
+      subQuery: false,
+      ...options
+    });
+
+    return { rooms: await this.serializeRooms(rows, participant, options), total: count };
+  }
+
+  /**
+   * 채팅방 상세 (참여자 검증 포함)
+   */
+  async getRoom(roomId, participant, options = {}) {
+    const { room } = await this.assertParticipant(roomId, participant, options);
+    const [serialized] = await this.serializeRooms([room], participant, options);
+    return serialized;
+  }
+
+  /**
+   * 채팅방 응답 객체 - 참여자 목록, 마지막 메시지, 읽지 않은 메시지 수 포함
+   */
+  async serializeRooms(rooms, participant, options = {}) {
+    if (rooms.length === 0) return [];
+
+    const roomIds = rooms.map((room) => room.id);
+    const lastMessageIds = rooms.map((room) => room.lastMessageId).filter(Boolean);
+
+    const [participants, lastMessages] = await Promise.all([
+      ChatParticipant.findAll({ where: { roomId: { [Op.in]: roomIds } }, ...options }),
+      lastMessageIds.length > 0
+        ? ChatMessage.findAll({ where: { id: { [Op.in]: lastMessageIds } }, ...options })
+        : []
+    ]);
+
+    const isSelf = (member) => member.participantType === participant.type
+      && String(member.participantId) === String(participant.id);
+    const memberships = participants.filter(isSelf);
+    const unreadCounts = await this.getUnreadCounts(participant, options);
+
+    return rooms.map((room) => {
+      const plain = room.get({ plain: true });
+      const membership = memberships.find((member) => String(member.roomId) === String(room.id));
+      const members = participants.filter((member) => String(member.roomId) === String(room.id));
+      const lastMessage = lastMessages.find((message) => String(message.id) === String(room.lastMessageId));
+      return {
+        ...plain,
+        participants: members,
+        lastMessage: lastMessage ? this.withDeliveryStatus(lastMessage, members) : null,
+        unreadCount: unreadCounts.get(String(room.id)) || 0,
+        muted: this.isMuted(membership)
+      };
+    });
+  }
+
+  // ===============================================
+  // 메시지
+  // ===============================================
+
+  /**
+   * 메시지 입력 검증 및 정규화
+   */
+  normalizeMessageInput({ content, messageType = 'TEXT', attachments = [], clientMessageId = null }) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    const files = Array.isArray(attachments) ? attachments : [];
+
+    if (!CLIENT_MESSAGE_TYPES.includes(messageType)) {
+      throw chatError('INVALID_MESSAGE');
+    }
+    if (files.length > MAX_ATTACHMENTS || files.some((file) => typeof file?.url !== 'string' || !file.url)) {
+      throw chatError('INVALID_MESSAGE');
+    }
+    if (!text && files.length === 0) {
+      throw chatError('EMPTY_MESSAGE');
+    }
+    if (text.length > MAX_CONTENT_LENGTH) {
+      throw chatError('MESSAGE_TOO_LONG');
+    }
+
+    return {
+      content: text || null,
+      messageType,
+      attachments: files.map(({ url, type, name, size }) => ({ url, type, name, size })),
+      clientMessageId: clientMessageId ? String(clientMessageId).substring(0, 64) : null
+    };
+  }
+
+  /**
+   * 메시지 전송
+   * - clientMessageId가 같은 재전송은 기존 메시지를 그대로 반환 (이벤트 재발행 없음, 동시 전송은 유니크 제약으로 판별)
+   * - 발신자는 자신의 메시지까지 읽음 처리
+   * @returns {Promise<{ message: ChatMessage, duplicate: boolean }>}
+   */
+  async sendMessage(roomId, sender, input, options = {}) {
+    const normalized = this.normalizeMessageInput(input);
+    const { room, membership } = await this.assertParticipant(roomId, sender, options);
+
+    const identity = { roomId: room.id, senderType: sender.type, senderId: sender.id };
+    const findDuplicate = (findOptions) => ChatMessage.findOne({
+      where: { ...identity, clientMessageId: normalized.clientMessageId },
+      ...findOptions
+    });
+
+    if (normalized.clientMessageId) {
+      const existing = await findDuplicate(options);
+      if (existing) {
+        return { message: existing, duplicate: true };
+      }
+    }
+
+    let message;
+    try {
+      message = await ChatMessage.create({ ...identity, ...normalized }, options);
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError' || !normalized.clientMessageId) {
+        throw error;
+      }
+      // 같은 clientMessageId의 동시 재전송 - 먼저 커밋된 메시지 반환
+      // 잠금 읽기로 트랜잭션 스냅샷 이후 커밋된 행도 조회
+      const existing = await findDuplicate({ ...options, lock: Boolean(options.transaction) });
+      if (!existing) {
+        throw error;
+      }
+      return { message: existing, duplicate: true };
+    }
+
+    await room.update({ lastMessageId: message.id, lastMessageAt: message.createdAt }, options);
+    await membership.update({
+      lastReadMessageId: message.id,
+      lastReadAt: message.createdAt,
+      lastDeliveredMessageId: message.id,
+      lastDeliveredAt: message.createdAt
+    }, options);
+
+    // 읽지 않은 수를 먼저 반영해야 메시지 구독자(푸시 배지)가 최신 값을 읽음
+    afterCommit(options, async () => {
+      await this.applyNewMessageUnread(message, sender);
+      await getGlobalDeliveryAppPublisher().publishDomainEvent('chat.message.created', room.id, {
+        message: message.get({ plain: true })
+      });
+    });
+
+    return { message, duplicate: false };
+  }
+
+  /**
+   * 메시지 목록 (커서 페이지네이션)
+   * - before: 해당 메시지 이전 (기본 - 최신 메시지부터 과거로)
+   * - after: 해당 메시지 이후 (재연결 후 누락 메시지 조회)
+   * - 조회한 메시지는 요청자에게 수신 완료 처리 (가장 최근 메시지까지)
+   * @returns {Promise<{ messages: Object[], pageInfo: { hasMore, startCursor, endCursor } }>} 메시지별 deliveryStatus 포함
+   */
+  async getMessages(roomId, participant, { before, after, limit } = {}, options = {}) {
+    const beforeId = parseCursor(before);
+    const afterId = parseCursor(after);
+    const size = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { room, membership } = await this.assertParticipant(roomId, participant, options);
+
+    const where = { roomId };
+    const forward = Boolean(afterId) && !beforeId;
+    if (beforeId || afterId) {
+      where.id = {
+        ...(beforeId && { [Op.lt]: beforeId }),
+        ...(afterId && { [Op.gt]: afterId })
+      };
+    }
+
+    const rows = await ChatMessage.findAll({
+      where,
+      order: [['id', forward ? 'ASC' : 'DESC']],
+      limit: size + 1,
+      ...options
+    });
+
+    const hasMore = rows.length > size;
+    const page = rows.slice(0, size);
+    // 항상 오래된 메시지 → 최신 메시지 순으로 반환
+    const ordered = forward ? page : page.reverse();
+
+    if (ordered.length > 0) {
+      await this.advanceDelivered(room, membership, participant, ordered[ordered.length - 1].id, options);
+    }
+
+    const members = await ChatParticipant.findAll({ where: { roomId: room.id }, ...options });
+    const messages = ordered.map((message) => this.withDeliveryStatus(message, members));
+
+    return {
+      messages,
+      pageInfo: {
+        hasMore,
+        startCursor: messages.length > 0 ? String(messages[0].id) : null,
+        endCursor: messages.length > 0 ? String(messages[messages.length - 1].id) : null
+      }
+    };
+  }
+
+  // ===============================================
+  // 수신/읽음 상태
+  // ===============================================
+
+  /**
+   * 메시지 전달 상태 - 발신자를 제외한 모든 참여자 기준
+   * READ: 모두 읽음 / DELIVERED: 모두 수신 (읽음 포함) / SENT: 수신하지 않은 참여자가 있음
+   * @param {Object} message - { id, senderType, senderId }
+   * @param {ChatParticipant[]} members - 채팅방 참여자
+   * @returns {string} DELIVERY_STATUS
+   */
+  resolveDeliveryStatus(message, members) {
+    const recipients = members.filter((member) => !(
+      member.participantType === message.senderType && String(member.participantId) === String(message.senderId)
+    ));
+    if (recipients.length === 0) return DELIVERY_STATUS.SENT;
+
+    if (recipients.every((member) => isAtLeast(member.lastReadMessageId, message.id))) {
+      return DELIVERY_STATUS.READ;
+    }
+    const delivered = recipients.every((member) => (
+      isAtLeast(member.lastDeliveredMessageId, message.id) || isAtLeast(member.lastReadMessageId, message.id)
+    ));
+    return delivered ? DELIVERY_STATUS.DELIVERED : DELIVERY_STATUS.SENT;
+  }
+
+  /**
+   * 응답용 메시지 객체 (deliveryStatus 포함)
+   */
+  withDeliveryStatus(message, members) {
+    const plain = typeof message.get === 'function' ? message.get({ plain: true }) : message;
+    return { ...plain, deliveryStatus: this.resolveDeliveryStatus(plain, members) };
+  }
+
+  /**
+   * 수신 워터마크 전진 (뒤로 되돌리지 않음) - 전진하면 chat.messages.delivered 발행
+   * @returns {Promise<boolean>} 전진 여부
+   */
+  async advanceDelivered(room, membership, participant, targetId, options = {}) {
+    const current = membership.lastDeliveredMessageId;
+    if (!targetId || (current && BigInt(targetId) <= BigInt(current))) return false;
+
+    await membership.update({ lastDeliveredMessageId: targetId, lastDeliveredAt: new Date() }, options);
+
+    afterCommit(options, () => getGlobalDeliveryAppPublisher().publishDomainEvent('chat.messages.delivered', room.id, {
+      participantType: participant.type,
+      participantId: String(participant.id),
+      lastDeliveredMessageId: String(targetId),
+      deliveredAt: membership.lastDeliveredAt
+    }));
+    return true;
+  }
+
+  /**
+   * 채팅방 메시지 ID 검증 (없으면 채팅방 마지막 메시지)
+   */
+  async resolveTargetMessageId(room, messageId, options = {}) {
+    if (!messageId) return room.lastMessageId;
+
+    const message = /^\d+$/.test(String(messageId))
+      ? await ChatMessage.findOne({ where: { id: messageId, roomId: room.id }, attributes: ['id'], ...options })
+      : null;
+    if (!message) {
+      throw chatError('MESSAGE_NOT_FOUND');
+    }
+    return message.id;
+  }
+
+  /**
+   * 수신 처리 - messageId까지 (없으면 마지막 메시지까지)
+   * 클라이언트가 메시지를 받으면 호출 (chat:message_delivered) - 메시지 목록 조회 시에도 자동 처리
+   * @returns {Promise<{ roomId, lastDeliveredMessageId, lastDeliveredAt }>}
+   */
+  async markDelivered(roomId, participant, messageId = null, options = {}) {
+    const { room, membership } = await this.assertParticipant(roomId, participant, options);
+
+    const targetId = await this.resolveTargetMessageId(room, messageId, options);
+    await this.advanceDelivered(room, membership, participant, targetId, options);
+
+    return {
+      roomId: room.id,
+      lastDeliveredMessageId: membership.lastDeliveredMessageId,
+      lastDeliveredAt: membership.lastDeliveredAt
+    };
+  }
+
+  /**
+   * 참여자별 읽지 않은 메시지 수 - DB 기준 (본인이 보낸 메시지 제외)
+   * @param {ChatParticipant[]} memberships
+   * @returns {Promise<Map<string, number>>} roomId → count
+   */
+  async countUnread(memberships, options = {}) {
+    const counts = new Map();
+    if (memberships.length === 0) return counts;
+
+    const rows = await ChatMessage.count({
+      where: {
+        [Op.or]: memberships.map((membership) => ({
+          roomId: membership.roomId,
+          ...(membership.lastReadMessageId && { id: { [Op.gt]: membership.lastReadMessageId } }),
+          [Op.not]: { senderType: membership.participantType, senderId: membership.participantId }
+        }))
+      },
+      group: ['roomId'],
+      ...options
+    });
+
+    for (const row of rows) {
+      counts.set(String(row.roomId), Number(row.count));
+    }
+    return counts;
+  }
+
+  /**
+   * 참여자의 채팅방별 읽지 않은 메시지 수 - Redis 카운터 (동기화 전이거나 조회 실패 시 DB에서 재계산)
+   * @returns {Promise<Map<string, number>>} roomId → count (참여 중인 모든 채팅방)
+   */
+  async getUnreadCounts(participant, options = {}) {
+    this.assertValidParticipant(participant);
+
+    try {
+      const hash = await kv.hgetall(unreadKey(participant));
+      if (hash?.[UNREAD_SYNCED_FIELD]) {
+        const counts = new Map();
+        for (const [field, value] of Object.entries(hash)) {
+          if (field !== UNREAD_SYNCED_FIELD) counts.set(field, Math.max(0, Number(value) || 0));
+        }
+        return counts;
+      }
+    } catch (error) {
+      logger.warn('ChatUnreadCacheReadFailed', { participant: `${participant.type}:${participant.id}`, error: error.message });
+    }
+
+    return this.rebuildUnreadCounts(participant, options);
+  }
+
+  /**
+   * DB 기준으로 읽지 않은 메시지 수 재계산 후 Redis에 저장 (참여 중인 모든 채팅방 - 0 포함)
+   */
+  async rebuildUnreadCounts(participant, options = {}) {
+    const memberships = await ChatParticipant.findAll({
+      where: { participantType: participant.type, participantId: participant.id },
+      ...options
+    });
+    const unread = await this.countUnread(memberships, options);
+
+    const counts = new Map(memberships.map((membership) => [
+      String(membership.roomId),
+      unread.get(String(membership.roomId)) || 0
+    ]));
+
+    try {
+      const key = unreadKey(participant);
+      const pipeline = kv.pipeline();
+      for (const [roomId, count] of counts) {
+        pipeline.hset(key, roomId, String(count));
+      }
+      pipeline.hset(key, UNREAD_SYNCED_FIELD, '1');
+      await pipeline.exec();
+      await kv.expire(key, UNREAD_TTL_SECONDS);
+    } catch (error) {
+      logger.warn('ChatUnreadCacheWriteFailed', { participant: `${participant.type}:${participant.id}`, error: error.message });
+    }
+
+    return counts;
+  }
+
+  /**
+   * 참여자의 전체 읽지 않은 메시지 수 (앱 아이콘 배지용)
+   */
+  async countTotalUnread(participant, options = {}) {
+    const counts = await this.getUnreadCounts(participant, options);
+
+    let total = 0;
+    for (const count of counts.values()) {
+      total += count;
+    }
+    return total;
+  }
+
+  /**
+   * 읽지 않은 메시지 수 요약 (mChatUnreadCounts / chat:get_unread_counts)
+   * @returns {Promise<{ total: number, rooms: Array<{ roomId, unreadCount }> }>} rooms는 읽지 않은 메시지가 있는 채팅방만
+   */
+  async getUnreadSummary(participant, options = {}) {
+    const counts = await this.getUnreadCounts(participant, options);
+
+    const rooms = [];
+    let total = 0;
+    for (const [roomId, unreadCount] of counts) {
+      if (unreadCount > 0) rooms.push({ roomId, unreadCount });
+      total += unreadCount;
+    }
+    return { total, rooms };
+  }
+
+  /**
+   * 읽지 않은 메시지 수 변경 알림 (chat.unread.changed)
+   * @param {Map<string, number>} counts - 변경 후 참여자의 채팅방별 읽지 않은 수
+   */
+  async publishUnreadChanged(roomId, participant, counts) {
+    let totalUnread = 0;
+    for (const count of counts.values()) {
+      totalUnread += count;
+    }
+
+    await getGlobalDeliveryAppPublisher().publishDomainEvent('chat.unread.changed', roomId, {
+      participantType: participant.type,
+      participantId: String(participant.id),
+      unreadCount: counts.get(String(roomId)) || 0,
+      totalUnread
+    });
+  }
+
+  /**
+   * 새 메시지 → 발신자를 제외한 참여자의 읽지 않은 수 증가 (커밋 후 호출)
+   * 동기화되지 않은 참여자는 DB에서 재계산 (커밋된 새 메시지 포함)
+   */
+  async applyNewMessageUnread(message, sender) {
+    const members = await this.getParticipants(message.roomId);
+    const recipients = members
+      .map((member) => ({ type: member.participantType, id: String(member.participantId) }))
+      .filter((member) => !(member.type === sender.type && member.id === String(sender.id)));
+
+    await Promise.all(recipients.map(async (recipient) => {
+      try {
+        const key = unreadKey(recipient);
+        const hash = await kv.hgetall(key);
+
+        let counts;
+        if (hash?.[UNREAD_SYNCED_FIELD]) {
+          await kv.hincrby(key, String(message.roomId), 1);
+          await kv.expire(key, UNREAD_TTL_SECONDS);
+          counts = await this.getUnreadCounts(recipient);
+        } else {
+          counts = await this.rebuildUnreadCounts(recipient);
+        }
+
+        await this.publishUnreadChanged(message.roomId, recipient, counts);
+      } catch (error) {
+        logger.error('ChatUnreadIncrementFailed', { roomId: message.roomId, recipient: `${recipient.type}:${recipient.id}`, error: error.message });
+      }
+    }));
+  }
+
+  /**
+   * 읽음 처리 - messageId까지 (없으면 마지막 메시지까지)
+   * 읽음은 수신을 포함하므로 수신 워터마크도 함께 전진
+   * @returns {Promise<{ roomId, lastReadMessageId, lastReadAt, unreadCount }>}
+   */
+  async markRead(roomId, participant, messageId = null, options = {}) {
+    const { room, membership } = await this.assertParticipant(roomId, participant, options);
+
+    const targetId = await this.resolveTargetMessageId(room, messageId, options);
+
+    const current = membership.lastReadMessageId;
+    const advanced = Boolean(targetId) && (!current || BigInt(targetId) > BigInt(current));
+    if (advanced) {
+      const readAt = new Date();
+      const delivered = membership.lastDeliveredMessageId;
+      await membership.update({
+        lastReadMessageId: targetId,
+        lastReadAt: readAt,
+        ...((!delivered || BigInt(targetId) > BigInt(delivered)) && {
+          lastDeliveredMessageId: targetId,
+          lastDeliveredAt: readAt
+        })
+      }, options);
+
+      afterCommit(options, () => getGlobalDeliveryAppPublisher().publishDomainEvent('chat.messages.read', room.id, {
+        participantType: participant.type,
+        participantId: String(participant.id),
+        lastReadMessageId: String(targetId),
+        readAt: membership.lastReadAt
+      }));
+    }
+
+    const unreadCounts = await this.countUnread([membership], options);
+    const unreadCount = unreadCounts.get(String(room.id)) || 0;
+
+    // 카운터는 DB 기준 값으로 덮어씀 (변경이 없어도 어긋난 값 보정)
+    afterCommit(options, async () => {
+      const key = unreadKey(participant);
+      const hash = await kv.hgetall(key);
+      if (!hash?.[UNREAD_SYNCED_FIELD]) {
+        await this.rebuildUnreadCounts(participant);
+      } else {
+        await kv.hset(key, String(room.id), String(unreadCount));
+        await kv.expire(key, UNREAD_TTL_SECONDS);
+      }
+      if (advanced) {
+        await this.publishUnreadChanged(room.id, participant, await this.getUnreadCounts(participant));
+      }
+    });
+
+    return {
+      roomId: room.id,
+      lastReadMessageId: membership.lastReadMessageId,
+      lastReadAt: membership.lastReadAt,
+      unreadCount
+    };
+  }
+
+  // ===============================================
+  // 푸시 알림
+  // ===============================================
+
+  /**
+   * 음소거 여부
+   * @param {ChatParticipant|null} membership
+   */
+  isMuted(membership, now = new Date()) {
+    return Boolean(membership?.mutedUntil && new Date(membership.mutedUntil) > now);
+  }
+
+  /**
+   * 채팅방 푸시 알림 음소거 설정
+   * @param {Object} params
+   * @param {boolean} params.muted - 음소거 여부
+   * @param {number} params.durationMinutes - 음소거 시간 (없으면 무기한)
+   * @returns {Promise<{ roomId, muted, mutedUntil }>}
+   */
+  async setMuted(roomId, participant, { muted, durationMinutes = null }, options = {}) {
+    const { room, membership } = await this.assertParticipant(roomId, participant, options);
+
+    let mutedUntil = null;
+    if (muted) {
+      if (durationMinutes === null || durationMinutes === undefined) {
+        mutedUntil = MUTED_FOREVER;
+      } else if (Number.isInteger(durationMinutes) && durationMinutes > 0 && durationMinutes <= MAX_MUTE_MINUTES) {
+        mutedUntil = new Date(Date.now() + durationMinutes * 60 * 1000);
+      } else {
+        throw chatError('INVALID_MUTE_DURATION');
+      }
+    }
+
+    await membership.update({ mutedUntil }, options);
+
+    return {
+      roomId: room.id,
+      muted: this.isMuted(membership),
+      mutedUntil: membership.mutedUntil
+    };
+  }
+
+  /**
+   * 새 메시지 푸시 알림 대상 - 발신자 제외, 음소거하지 않은 고객(mobile) 참여자
+   * Web 계정은 FCM 토큰이 없으므로 소켓으로만 수신
+   * @param {Object} message - chat.message.created 이벤트의 message
+   * @returns {Promise<ChatParticipant[]>}
+   */
+  async getPushTargets(message, options = {}) {
+    const members = await ChatParticipant.findAll({
+      where: {
+        roomId: message.roomId,
+        participantType: 'mobile',
+        [Op.or]: [
+          { mutedUntil: null },
+          { mutedUntil: { [Op.lte]: new Date() } }
+        ]
+      },
+      ...options
+    });
+
+    return members.filter((member) => !(
+      member.participantType === message.senderType && String(member.participantId) === String(message.senderId)
+    ));
+  }
+}
+
+// 싱글톤 인스턴스
+const chatService = new ChatService();
+
+export default chatService;
+export { ChatService };
@@ -1,92 +1,81 @@
 /**
  * Email Service
- * nodemailer를 사용한 이메일 전송 서비스
+ * 발송 큐(EmailQueue) 등록 + 워커 전송 - 제공자 어댑터(SMTP, SES 호환, 로컬 메일함)와 수신 차단 목록
+ *
+ * 환경변수:
+ * - EMAIL_PROVIDER: smtp | ses | local (기본: 운영 smtp, 개발 local)
+ * - EMAIL_QUEUE_WORKER: false면 이 서버에서는 큐 등록만 (워커 전용 서버 분리 시)
+ * - EMAIL_WEBHOOK_SECRET: 반송/수신 거부 웹훅(/webhooks/email/:provider?secret=) 공유 시크릿
  */
 
-import nodemailer from 'nodemailer';
 import { logger } from '../utilities/Logger.js';
+import { isProduction } from '../../../config/env.js';
+import notificationTemplateService, {
+  ADMIN_ROLE_NAMES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage
+} from './notificationTemplates/index.js';
+import emailQueue, {
+  EMAIL_JOB_STATUS,
+  SmtpEmailProvider,
+  SesEmailProvider,
+  LocalEmailProvider,
+  emailDeliveryError,
+  emailSuppressionList,
+  maskEmail
+} from './email/index.js';
 
 class EmailService {
-  constructor() {
-    this.transporter = null;
-    this.initialize();
+  constructor(options = {}) {
+    this.providers = new Map();
+    [new SmtpEmailProvider(), new SesEmailProvider(), new LocalEmailProvider()]
+      .forEach((provider) => this.registerProvider(provider));
+
+    this.providerName = options.provider || process.env.EMAIL_PROVIDER || (isProduction() ? 'smtp' : 'local');
   }
 
   /**
-   * nodemailer transporter 초기화
+   * 제공자 등록/교체 (테스트에서 로컬 제공자 주입)
+   * @param {EmailProvider} provider
    */
-  initialize() {
-    try {
-      // 환경변수에서 SMTP 설정 읽기
-      const smtpConfig = {
-        host: process.env.SMTP_HOST || 'smtp.gmail.com',
-        port: parseInt(process.env.SMTP_PORT || '587'),
-        secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
-        auth: {
-          user: process.env.SMTP_USER,
-          pass: process.env.SMTP_PASS || process.env.SMTP_PASSWORD
-        }
-      };
-
-      // 개발 환경에서는 Ethereal Email 테스트 계정 사용
-      if (process.env.NODE_ENV === 'development' && !process.env.SMTP_USER) {
-        logger.warn('[EmailService] SMTP 설정이 없습니다. 이메일은 로그로만 출력됩니다.');
-        this.transporter = null;
-        return;
-      }
-
-      this.transporter = nodemailer.createTransport(smtpConfig);
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
 
-      // 연결 확인
-      this.transporter.verify((error) => {
-        if (error) {
-          logger.error('[EmailService] SMTP 연결 실패:', error);
-          this.transporter = null;
-        } else {
-          logger.info('[EmailService] SMTP 서버 연결 성공');
-        }
-      });
-    } catch (error) {
-      logger.error('[EmailService] 초기화 실패:', error);
-      this.transporter = null;
-    }
+  getFromAddress() {
+    return `"${process.env.SMTP_FROM_NAME || process.env.EMAIL_FROM_NAME || 'Delivery VN'}" <${process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER}>`;
   }
 
   /**
-   * 이메일 전송
+   * 이메일 발송 요청 - 큐 등록 후 바로 반환 (전송은 워커)
+   * 수신 차단 주소는 등록하지 않음
+   * @param {Object} params
+   * @param {string} params.to - 수신자 주소
+   * @param {string} params.subject - 제목
+   * @param {string} params.html - HTML 본문
+   * @param {string} params.text - 텍스트 본문
+   * @param {string} params.purpose - 발송 목적 (로그/추적용)
+   * @param {string} params.idempotencyKey - 같은 키는 한 번만 발송 (예: admin-invitation:{id})
+   * @param {boolean} params.sensitive - 본문에 재설정 링크/초대 토큰 등 비밀 포함 (실패 보관 시에도 본문 삭제)
+   * @returns {Promise<{ success: boolean, jobId?: string, duplicate?: boolean, error?: string }>}
    */
-  async sendEmail({ to, subject, html, text }) {
+  async sendEmail({ to, subject, html, text, purpose = 'general', idempotencyKey, sensitive = false }) {
     try {
-      // transporter가 없으면 로그만 출력
-      if (!this.transporter) {
-        logger.info('[EmailService] 이메일 전송 (테스트 모드):', {
-          to,
-          subject,
-          preview: text?.substring(0, 100)
-        });
-        return { success: true, messageId: 'test-mode' };
+      if (await emailSuppressionList.isSuppressed(to)) {
+        logger.warn('[EmailService] 수신 차단 주소 - 발송 안 함', { to: maskEmail(to), purpose });
+        return { success: false, error: 'SUPPRESSED' };
       }
 
-      const mailOptions = {
-        from: `"${process.env.SMTP_FROM_NAME || process.env.EMAIL_FROM_NAME || 'Delivery VN'}" <${process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER}>`,
-        to,
-        subject,
-        text,
-        html
-      };
-
-      const info = await this.transporter.sendMail(mailOptions);
+      const { jobId, duplicate } = await emailQueue.enqueue(
+        { from: this.getFromAddress(), to, subject, html, text, purpose },
+        { idempotencyKey, sensitive }
+      );
 
-      logger.info('[EmailService] 이메일 전송 성공:', {
-        to,
-        subject,
-        messageId: info.messageId
-      });
-
-      return { success: true, messageId: info.messageId };
+      logger.info('[EmailService] 이메일 발송 등록', { to: maskEmail(to), subject, purpose, jobId, duplicate });
+      return { success: true, jobId, duplicate };
     } catch (error) {
-      logger.error('[EmailService] 이메일 전송 실패:', {
-        to,
+      logger.error('[EmailService] 이메일 발송 등록 실패:', {
+        to: maskEmail(to),
         subject,
         error: error.message
       });
@@ -95,445 +84,121 @@ class EmailService {
   }
 
   /**
-   * 직원 초대 이메일 전송
+   * 큐 작업 전송 (워커) - 등록 후 차단된 주소는 전송하지 않고 완료 처리
+   * @param {Object} job - EmailQueue 작업
    */
-  async sendStaffInvitation({ email, fullName, role, temporaryPassword, storeName, storeOwnerName }) {
-    const roleNames = {
-      'STORE_MANAGER': '매장 관리자',
-      'CHEF': '요리사',
-      'CASHIER': '계산원',
-      'DELIVERY_MANAGER': '배달 관리자'
-    };
-
-    const roleName = roleNames[role] || role;
-
-    const subject = `[${storeName}] 직원 초대 - 계정 정보 안내`;
-
-    const html = `
-<!DOCTYPE html>
-<html lang="ko">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>직원 초대</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Noto Sans KR', 'Apple SD Gothic Neo', sans-serif;
-            line-height: 1.6;
-            color: #1a1a1a;
-            background: #f5f7fa;
-            padding: 20px;
-        }
-        .email-wrapper {
-            max-width: 600px;
-            margin: 0 auto;
-            background: #ffffff;
-            border-radius: 16px;
-            overflow: hidden;
-            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.07), 0 10px 20px rgba(0, 0, 0, 0.1);
-        }
-        .header {
-            background: linear-gradient(135deg, #2AC1BC 0%, #00B14F 100%);
-            padding: 48px 32px;
-            text-align: center;
-            position: relative;
-        }
-        .header::before {
-            content: '';
-            position: absolute;
-            top: 0;
-            left: 0;
-            right: 0;
-            bottom: 0;
-            background: url('data:image/svg+xml,<svg width="100" height="100" xmlns="http://www.w3.org/2000/svg"><circle cx="50" cy="50" r="40" fill="white" opacity="0.1"/></svg>');
-            background-size: 100px 100px;
-            opacity: 0.1;
-        }
-        .logo {
-            width: 64px;
-            height: 64px;
-            background: white;
-            border-radius: 16px;
-            display: inline-flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 32px;
-            margin-bottom: 16px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-        }
-        .header h1 {
-            color: white;
-            font-size: 28px;
-            font-weight: 700;
-            margin-bottom: 8px;
-            position: relative;
-        }
-        .header p {
-            color: rgba(255, 255, 255, 0.95);
-            font-size: 16px;
-            font-weight: 500;
-            position: relative;
-        }
-        .content {
-            padding: 40px 32px;
-        }
-        .greeting {
-            font-size: 18px;
-            color: #1a1a1a;
-            margin-bottom: 24px;
-        }
-        .greeting strong {
-            color: #2AC1BC;
-            font-weight: 600;
-        }
-        .invitation-card {
-            background: linear-gradient(135deg, #f8fffe 0%, #f0fdf4 100%);
-            border: 2px solid #2AC1BC;
-            border-radius: 12px;
-            padding: 24px;
-            margin: 24px 0;
-        }
-        .invitation-title {
-            font-size: 14px;
-            font-weight: 600;
-            color: #00B14F;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
-            margin-bottom: 16px;
-        }
-        .invitation-details {
-            display: grid;
-            gap: 12px;
-        }
-        .detail-item {
-            display: flex;
-            align-items: center;
-            gap: 12px;
-        }
-        .detail-icon {
-            width: 36px;
-            height: 36px;
-            background: white;
-            border-radius: 8px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 18px;
-            flex-shrink: 0;
-        }
-        .detail-text {
-            flex: 1;
-        }
-        .detail-label {
-            font-size: 12px;
-            color: #6b7280;
-            margin-bottom: 2px;
-        }
-        .detail-value {
-            font-size: 16px;
-            font-weight: 600;
-            color: #1a1a1a;
-        }
-        .credentials-section {
-            background: #f9fafb;
-            border-radius: 12px;
-            padding: 24px;
-            margin: 24px 0;
-        }
-        .credentials-title {
-            font-size: 16px;
-            font-weight: 600;
-            color: #1a1a1a;
-            margin-bottom: 16px;
-            display: flex;
-            align-items: center;
-            gap: 8px;
-        }
-        .credential-box {
-            background: white;
-            border: 2px solid #e5e7eb;
-            border-radius: 10px;
-            padding: 16px;
-            margin-bottom: 12px;
-            transition: all 0.2s ease;
-        }
-        .credential-box:hover {
-            border-color: #2AC1BC;
-            box-shadow: 0 2px 8px rgba(42, 193, 188, 0.15);
-        }
-        .credential-label {
-            font-size: 11px;
-            color: #6b7280;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
-            margin-bottom: 6px;
-            font-weight: 600;
-        }
-        .credential-value {
-            font-size: 20px;
-            font-weight: 700;
-            color: #2AC1BC;
-            font-family: 'SF Mono', 'Monaco', 'Courier New', monospace;
-            letter-spacing: 1px;
-            word-break: break-all;
-        }
-        .cta-button {
-            display: block;
-            background: linear-gradient(135deg, #2AC1BC 0%, #00B14F 100%);
-            color: white;
-            padding: 16px 32px;
-            text-decoration: none;
-            border-radius: 12px;
-            font-weight: 600;
-            font-size: 16px;
-            text-align: center;
-            margin: 32px 0;
-            box-shadow: 0 4px 12px rgba(42, 193, 188, 0.3);
-            transition: all 0.3s ease;
-        }
-        .cta-button:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 6px 16px rgba(42, 193, 188, 0.4);
-        }
-        .warning-box {
-            background: #fef3c7;
-            border-left: 4px solid #f59e0b;
-            border-radius: 8px;
-            padding: 16px;
-            margin: 24px 0;
-            display: flex;
-            gap: 12px;
-        }
-        .warning-icon {
-            font-size: 20px;
-            flex-shrink: 0;
-        }
-        .warning-content {
-            flex: 1;
-        }
-        .warning-title {
-            font-size: 14px;
-            font-weight: 600;
-            color: #92400e;
-            margin-bottom: 4px;
-        }
-        .warning-text {
-            font-size: 13px;
-            color: #78350f;
-            line-height: 1.5;
-        }
-        .steps {
-            margin: 24px 0;
-        }
-        .step-item {
-            display: flex;
-            gap: 16px;
-            margin-bottom: 16px;
-        }
-        .step-number {
-            width: 32px;
-            height: 32px;
-            background: linear-gradient(135deg, #2AC1BC 0%, #00B14F 100%);
-            color: white;
-            border-radius: 50%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-weight: 700;
-            font-size: 14px;
-            flex-shrink: 0;
-        }
-        .step-content {
-            flex: 1;
-            padding-top: 4px;
-        }
-        .step-text {
-            font-size: 14px;
-            color: #4b5563;
-            line-height: 1.6;
-        }
-        .footer {
-            background: #f9fafb;
-            padding: 32px;
-            text-align: center;
-            border-top: 1px solid #e5e7eb;
-        }
-        .footer-text {
-            color: #6b7280;
-            font-size: 13px;
-            line-height: 1.6;
-            margin-bottom: 12px;
-        }
-        .footer-brand {
-            color: #2AC1BC;
-            font-weight: 600;
-            font-size: 14px;
-        }
-        .divider {
-            height: 1px;
-            background: linear-gradient(90deg, transparent, #e5e7eb, transparent);
-            margin: 24px 0;
-        }
-    </style>
-</head>
-<body>
-    <div class="email-wrapper">
-        <!-- Header -->
-        <div class="header">
-            <div class="logo">🍜</div>
-            <h1>직원 초대장</h1>
-            <p>Delivery VN Store System</p>
-        </div>
-
-        <!-- Content -->
-        <div class="content">
-            <!-- Greeting -->
-            <div class="greeting">
-                안녕하세요, <strong>${fullName}</strong>님!
-            </div>
-
-            <!-- Invitation Card -->
-            <div class="invitation-card">
-                <div class="invitation-title">📨 초대 정보</div>
-                <div class="invitation-details">
-                    <div class="detail-item">
-                        <div class="detail-icon">🏪</div>
-                        <div class="detail-text">
-                            <div class="detail-label">매장명</div>
-                            <div class="detail-value">${storeName}</div>
-                        </div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-icon">👤</div>
-                        <div class="detail-text">
-                            <div class="detail-label">초대자</div>
-                            <div class="detail-value">${storeOwnerName}</div>
-                        </div>
-                    </div>
-                    <div class="detail-item">
-                        <div class="detail-icon">🎯</div>
-                        <div class="detail-text">
-                            <div class="detail-label">직책</div>
-                            <div class="detail-value">${roleName}</div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-
-            <div class="divider"></div>
-
-            <!-- Credentials Section -->
-            <div class="credentials-section">
-                <div class="credentials-title">
-                    <span>🔐</span>
-                    <span>로그인 정보</span>
-                </div>
-
-                <div class="credential-box">
-                    <div class="credential-label">이메일</div>
-                    <div class="credential-value">${email}</div>
-                </div>
-
-                <div class="credential-box">
-                    <div class="credential-label">임시 비밀번호</div>
-                    <div class="credential-value">${temporaryPassword}</div>
-                </div>
-            </div>
-
-            <!-- CTA Button -->
-            <a href="${process.env.STORE_WEB_URL || 'http://localhost:5001'}/login?email=${encodeURIComponent(email)}" class="cta-button">
-                🚀 로그인하고 비밀번호 변경하기
-            </a>
-
-            <!-- Warning Box -->
-            <div class="warning-box">
-                <div class="warning-icon">⚠️</div>
-                <div class="warning-content">
-                    <div class="warning-title">보안 안내</div>
-                    <div class="warning-text">
-                        첫 로그인 시 반드시 비밀번호를 변경해야 시스템을 사용할 수 있습니다.
-                        초대 링크는 <strong>72시간 동안</strong> 유효합니다.
-                    </div>
-                </div>
-            </div>
-
-            <div class="divider"></div>
+  async deliver(job) {
+    if (await emailSuppressionList.isSuppressed(job.to)) {
+      return { status: EMAIL_JOB_STATUS.SUPPRESSED };
+    }
 
-            <!-- Steps -->
-            <div class="steps">
-                <div class="step-item">
-                    <div class="step-number">1</div>
-                    <div class="step-content">
-                        <div class="step-text">
-                            위 버튼을 클릭하거나 ${process.env.STORE_WEB_URL || 'http://localhost:5001'}/login 에 접속하세요
-                        </div>
-                    </div>
-                </div>
-                <div class="step-item">
-                    <div class="step-number">2</div>
-                    <div class="step-content">
-                        <div class="step-text">
-                            이메일과 임시 비밀번호로 로그인하세요
-                        </div>
-                    </div>
-                </div>
-                <div class="step-item">
-                    <div class="step-number">3</div>
-                    <div class="step-content">
-                        <div class="step-text">
-                            안전한 새 비밀번호로 변경하고 시스템을 이용하세요
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
+    const provider = this.providers.get(this.providerName);
+    if (!provider?.isConfigured()) {
+      // 설정 누락은 운영자가 고칠 때까지 재시도
+      throw emailDeliveryError(`provider not configured: ${this.providerName}`);
+    }
 
-        <!-- Footer -->
-        <div class="footer">
-            <div class="footer-text">
-                문의사항이 있으시면 매장 관리자에게 연락해주세요.
-            </div>
-            <div class="footer-brand">
-                Delivery VN © 2025
-            </div>
-        </div>
-    </div>
-</body>
-</html>
-    `;
+    const result = await provider.send({
+      from: job.from,
+      to: job.to,
+      subject: job.subject,
+      html: job.html,
+      text: job.text,
+      reference: job.id
+    });
+
+    logger.info('[EmailService] 이메일 전송 성공:', {
+      to: maskEmail(job.to),
+      subject: job.subject,
+      provider: provider.name,
+      jobId: job.id,
+      messageId: result.messageId
+    });
+
+    return { status: EMAIL_JOB_STATUS.SENT, provider: provider.name, messageId: result.messageId };
+  }
 
-    const text = `
-안녕하세요, ${fullName}님!
+  /**
+   * 발송 워커 시작 (EMAIL_QUEUE_WORKER=false면 시작하지 않음)
+   */
+  startWorker() {
+    if (process.env.EMAIL_QUEUE_WORKER === 'false') return;
+    emailQueue.start((job) => this.deliver(job));
+  }
 
-${storeOwnerName}님께서 ${storeName}의 ${roleName} 직원으로 초대하셨습니다.
+  stopWorker() {
+    emailQueue.stop();
+  }
 
-계정 정보:
-- 이메일: ${email}
-- 임시 비밀번호: ${temporaryPassword}
-- 역할: ${roleName}
+  /**
+   * 반송/수신 거부 웹훅 처리 - /webhooks/email/:provider
+   * 영구 반송과 스팸 신고는 수신 차단 목록에 추가, 일시 반송은 기록만
+   * @param {string} providerName
+   * @param {Object} req - Express request 객체
+   * @returns {Promise<{ handled: boolean, httpStatus: number, suppressed?: number }>}
+   */
+  async handleFeedback(providerName, req) {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      return { handled: false, httpStatus: 404 };
+    }
+    if (!provider.verifyFeedback(req)) {
+      logger.warn('[EmailService] 반송 웹훅 인증 실패', { provider: providerName, ip: req.ip });
+      return { handled: false, httpStatus: 401 };
+    }
 
-로그인 URL: ${process.env.STORE_WEB_URL || 'http://localhost:5001'}/login
+    const payload = req.body || {};
+    if (await provider.confirmSubscription?.(payload)) {
+      logger.info('[EmailService] 반송 알림 구독 확인', { provider: providerName });
+      return { handled: true, httpStatus: 200 };
+    }
 
-보안 안내:
-- 임시 비밀번호는 첫 로그인 시 반드시 변경해주세요
-- 비밀번호는 타인과 공유하지 마세요
-- 이 이메일은 안전하게 보관하거나 삭제해주세요
+    const feedback = provider.parseFeedback(payload);
+    let suppressed = 0;
+    for (const item of feedback) {
+      if (!item.permanent) {
+        logger.info('[EmailService] 일시 반송 - 차단하지 않음', { email: maskEmail(item.email), reason: item.reason });
+        continue;
+      }
+      await emailSuppressionList.add(item.email, { type: item.type, reason: item.reason, provider: providerName });
+      suppressed++;
+    }
 
-문의사항이 있으시면 매장 관리자에게 연락 주세요.
-감사합니다!
+    return { handled: feedback.length > 0, httpStatus: 200, suppressed };
+  }
 
-© 2025 Delivery VN
-    `;
+  /**
+   * 비밀번호 재설정 이메일 전송 (PASSWORD_RESET 템플릿)
+   */
+  async sendPasswordResetEmail({ email, name, resetUrl, expiresInMinutes = 60, language = DEFAULT_LANGUAGE, idempotencyKey }) {
+    const { subject, html, text } = notificationTemplateService.renderEmail('PASSWORD_RESET', language, {
+      name,
+      resetUrl,
+      expiresInMinutes
+    });
+
+    return await this.sendEmail({ to: email, subject, html, text, purpose: 'password-reset', idempotencyKey, sensitive: true });
+  }
 
-    return await this.sendEmail({ to: email, subject, html, text });
+  /**
+   * 관리자 초대 이메일 전송 (ADMIN_INVITATION 템플릿)
+   */
+  async sendAdminInvitation({ email, fullName, role, inviterName, acceptUrl, expiresInHours, language = DEFAULT_LANGUAGE, idempotencyKey }) {
+    const code = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+
+    const { subject, html, text } = notificationTemplateService.renderEmail('ADMIN_INVITATION', code, {
+      fullName,
+      inviterName,
+      roleName: ADMIN_ROLE_NAMES[role]?.[code] || role,
+      acceptUrl,
+      expiresInHours
+    });
+
+    return await this.sendEmail({ to: email, subject, html, text, purpose: 'admin-invitation', idempotencyKey, sensitive: true });
   }
 }
 
 // 싱글톤 인스턴스 export
 export const emailService = new EmailService();
 export default emailService;
+export { EmailService };
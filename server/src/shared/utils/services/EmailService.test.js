@@ -0,0 +1,126 @@
+/**
+ * EmailService 반송/수신 거부 웹훅 테스트
+ * 웹훅 인증, 영구 반송/스팸 신고의 수신 차단 등록, 차단 주소의 큐 등록/전송 거부
+ * Redis 없이 kv 메모리 저장소 사용
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../../config/redis.js', () => ({ redis: null }));
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+let EmailService;
+let emailService;
+let emailQueue;
+let emailSuppressionList;
+let EMAIL_JOB_STATUS;
+let nextAddress = 1;
+
+beforeAll(async () => {
+  process.env.EMAIL_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  ({ default: emailService, EmailService } = await import('./EmailService.js'));
+  ({ default: emailQueue, emailSuppressionList, EMAIL_JOB_STATUS } = await import('./email/index.js'));
+});
+
+let address;
+
+beforeEach(() => {
+  address = `customer${nextAddress++}@example.com`;
+});
+
+// 웹훅 요청 대역
+const webhook = (body, secret = WEBHOOK_SECRET) => ({ query: { secret }, body, ip: '127.0.0.1' });
+
+// SES → SNS 알림 본문
+const snsNotification = (message) => ({ Type: 'Notification', Message: JSON.stringify(message) });
+
+describe('웹훅 인증', () => {
+  it('시크릿이 다르면 401, 모르는 제공자는 404', async () => {
+    const body = { type: 'bounce', email: address };
+
+    expect(await emailService.handleFeedback('local', webhook(body, 'wrong-secret-value!'))).toEqual({ handled: false, httpStatus: 401 });
+    expect(await emailService.handleFeedback('unknown', webhook(body))).toEqual({ handled: false, httpStatus: 404 });
+    expect(await emailSuppressionList.isSuppressed(address)).toBe(false);
+  });
+});
+
+describe('수신 차단 등록', () => {
+  it('영구 반송은 주소를 정규화해 차단하고 이후 발송을 거부한다', async () => {
+    const result = await emailService.handleFeedback('local', webhook({
+      type: 'bounce', email: ` ${address.toUpperCase()} `, permanent: true, reason: '550 mailbox not found',
+    }));
+
+    expect(result).toEqual({ handled: true, httpStatus: 200, suppressed: 1 });
+    expect(await emailSuppressionList.get(address)).toMatchObject({
+      email: address, type: 'BOUNCE', reason: '550 mailbox not found', provider: 'local',
+    });
+
+    const enqueue = jest.spyOn(emailQueue, 'enqueue');
+    expect(await emailService.sendEmail({ to: address, subject: 'Hi', html: '<p>Hi</p>', text: 'Hi' })).toEqual({
+      success: false,
+      error: 'SUPPRESSED',
+    });
+    expect(enqueue).not.toHaveBeenCalled();
+    enqueue.mockRestore();
+  });
+
+  it('일시 반송은 차단하지 않는다', async () => {
+    const result = await emailService.handleFeedback('local', webhook({ type: 'bounce', email: address, permanent: false }));
+
+    expect(result).toEqual({ handled: true, httpStatus: 200, suppressed: 0 });
+    expect(await emailSuppressionList.isSuppressed(address)).toBe(false);
+  });
+
+  it('스팸 신고는 permanent 값과 무관하게 차단한다', async () => {
+    await emailService.handleFeedback('local', webhook({ type: 'complaint', recipients: [address], permanent: false }));
+
+    expect(await emailSuppressionList.get(address)).toMatchObject({ type: 'COMPLAINT' });
+  });
+
+  it('SES 알림의 Permanent 반송과 스팸 신고를 차단하고 Transient 반송은 무시한다', async () => {
+    const transient = `transient-${address}`;
+    const complained = `complaint-${address}`;
+
+    await emailService.handleFeedback('ses', webhook(snsNotification({
+      notificationType: 'Bounce',
+      bounce: { bounceType: 'Permanent', bouncedRecipients: [{ emailAddress: address, diagnosticCode: 'smtp; 550 5.1.1' }] },
+    })));
+    await emailService.handleFeedback('ses', webhook(snsNotification({
+      notificationType: 'Bounce',
+      bounce: { bounceType: 'Transient', bouncedRecipients: [{ emailAddress: transient }] },
+    })));
+    await emailService.handleFeedback('ses', webhook(snsNotification({
+      eventType: 'Complaint',
+      complaint: { complainedRecipients: [{ emailAddress: complained }], complaintFeedbackType: 'abuse' },
+    })));
+
+    expect(await emailSuppressionList.get(address)).toMatchObject({ type: 'BOUNCE', provider: 'ses' });
+    expect(await emailSuppressionList.isSuppressed(transient)).toBe(false);
+    expect(await emailSuppressionList.get(complained)).toMatchObject({ type: 'COMPLAINT', reason: 'abuse' });
+  });
+
+  it('알 수 없는 알림은 처리하지 않음으로 200 응답한다', async () => {
+    expect(await emailService.handleFeedback('local', webhook({ type: 'delivery', email: address }))).toEqual({
+      handled: false,
+      httpStatus: 200,
+      suppressed: 0,
+    });
+  });
+});
+
+describe('전송 직전 차단 확인', () => {
+  it('등록 후 차단된 주소는 제공자로 보내지 않고 SUPPRESSED로 완료한다', async () => {
+    const provider = { name: 'fake', isConfigured: () => true, send: jest.fn(async () => ({ messageId: 'fake-1' })) };
+    const service = new EmailService({ provider: 'fake' });
+    service.registerProvider(provider);
+
+    const job = { id: 'job-1', from: service.getFromAddress(), to: address, subject: 'Hi', html: '<p>Hi</p>', text: 'Hi' };
+    expect(await service.deliver(job)).toMatchObject({ status: EMAIL_JOB_STATUS.SENT, messageId: 'fake-1' });
+
+    await emailSuppressionList.add(address, { type: 'BOUNCE', provider: 'fake' });
+
+    expect(await service.deliver(job)).toEqual({ status: EMAIL_JOB_STATUS.SUPPRESSED });
+    expect(provider.send).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * 알림함 서비스
+ * 수신자별 알림 저장소 - 알림 발송(UnifiedNotificationService), GraphQL 리졸버, UnifiedSocketServer가 공통으로 사용
+ *
+ * - 수신자는 { type, id }로 식별 (type: mobile=User, web=WebAccount, admin=AdminAccount)
+ * - 모든 조회/변경은 수신자 조건을 포함 (다른 수신자의 알림은 존재하지 않는 것으로 처리)
+ * - 목록은 알림 ID 커서 기반 페이지네이션 (최신 알림부터 과거로)
+ * - 보관(isArchived)한 알림은 기본 목록과 읽지 않은 수에서 제외
+ * - 생성/읽음/보관 이벤트는 트랜잭션 커밋 후 EventBus로 발행 (소켓 전파는 구독자가 담당)
+ *   모든 이벤트에 변경 후 읽지 않은 수(unreadCount)를 포함 - GraphQL/소켓 어느 경로로 변경해도 같은 값
+ *
+ * 실패 시 reason이 있는 NotificationError throw
+ */
+
+import db from '../../../models/index.js';
+import { getGlobalDeliveryAppPublisher } from './EventPublisher.js';
+import { logger } from '../utilities/Logger.js';
+
+const { Notification, Op } = db;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_BULK_IDS = 100;
+
+const RECIPIENT_TYPES = ['mobile', 'web', 'admin'];
+
+export const NOTIFICATION_CATEGORIES = ['TRANSACTIONAL', 'CHAT', 'MARKETING', 'SECURITY', 'SYSTEM'];
+
+export const NOTIFICATION_PRIORITIES = ['LOW', 'NORMAL', 'HIGH', 'URGENT'];
+
+/**
+ * 알림 에러
+ * @param {string} reason - INVALID_RECIPIENT | INVALID_CURSOR | INVALID_CATEGORY | INVALID_NOTIFICATION |
+ *                          INVALID_IDS | NOTIFICATION_NOT_FOUND
+ */
+const notificationError = (reason) => {
+  const error = new Error(reason);
+  error.name = 'NotificationError';
+  error.reason = reason;
+  return error;
+};
+
+/**
+ * 커서(알림 ID) 검증
+ */
+const parseCursor = (cursor) => {
+  if (cursor === undefined || cursor === null || cursor === '') return null;
+  if (!/^\d+$/.test(String(cursor))) {
+    throw notificationError('INVALID_CURSOR');
+  }
+  return String(cursor);
+};
+
+/**
+ * 카테고리 검증 (없으면 null)
+ */
+const parseCategory = (category) => {
+  if (!category) return null;
+  if (!NOTIFICATION_CATEGORIES.includes(category)) {
+    throw notificationError('INVALID_CATEGORY');
+  }
+  return category;
+};
+
+/**
+ * 알림 ID 목록 검증 (중복 제거)
+ */
+const parseIds = (ids) => {
+  const list = [...new Set((Array.isArray(ids) ? ids : [ids]).map(String))];
+  if (list.length === 0 || list.length > MAX_BULK_IDS || list.some((id) => !/^\d+$/.test(id))) {
+    throw notificationError('INVALID_IDS');
+  }
+  return list;
+};
+
+/**
+ * 트랜잭션이 있으면 커밋 후, 없으면 즉시 실행
+ */
+const afterCommit = (options, fn) => {
+  const run = () => Promise.resolve(fn()).catch((error) => {
+    logger.error('NotificationEventPublishFailed', { error: error.message });
+  });
+
+  if (options.transaction) {
+    options.transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
+class NotificationInboxService {
+  /**
+   * 수신자 식별자 검증
+   * @param {{ type: string, id: string|number }} recipient
+   */
+  assertValidRecipient(recipient) {
+    if (!RECIPIENT_TYPES.includes(recipient?.type) || !recipient.id) {
+      throw notificationError('INVALID_RECIPIENT');
+    }
+  }
+
+  /**
+   * 수신자 조건
+   */
+  whereRecipient(recipient) {
+    return { recipientType: recipient.type, recipientId: recipient.id };
+  }
+
+  /**
+   * 알림 생성 - 커밋 후 notification.created 발행
+   * @param {{ type: string, id: string|number }} recipient
+   * @param {Object} input - { title, body, category, type, priority, data, deepLink, deliveredVia }
+   * @returns {Promise<Notification>}
+   */
+  async create(recipient, input, options = {}) {
+    this.assertValidRecipient(recipient);
+
+    const title = String(input?.title ?? '').trim();
+    const body = String(input?.body ?? '').trim();
+    if (!title || !body) {
+      throw notificationError('INVALID_NOTIFICATION');
+    }
+
+    const notification = await Notification.create({
+      ...this.whereRecipient(recipient),
+      category: parseCategory(input.category) || 'SYSTEM',
+      type: input.type || 'DEFAULT',
+      priority: NOTIFICATION_PRIORITIES.includes(input.priority) ? input.priority : 'NORMAL',
+      title,
+      body,
+      data: input.data ?? null,
+      deepLink: input.deepLink || null,
+      deliveredVia: input.deliveredVia || []
+    }, options);
+
+    afterCommit(options, async () => {
+      await getGlobalDeliveryAppPublisher().publishDomainEvent('notification.created', notification.id, {
+        recipientType: recipient.type,
+        recipientId: String(recipient.id),
+        notification: notification.get({ plain: true }),
+        unreadCount: await this.countUnread(recipient)
+      });
+    });
+
+    return notification;
+  }
+
+  /**
+   * 알림 목록 (커서 페이지네이션, 최신 알림부터)
+   * @param {Object} filter - { before, limit, category, unreadOnly, archived }
+   * @returns {Promise<{ notifications: Notification[], pageInfo: { hasMore, endCursor }, unreadCount: number }>}
+   */
+  async list(recipient, { before, limit, category, unreadOnly = false, archived = false } = {}, options = {}) {
+    this.assertValidRecipient(recipient);
+
+    const beforeId = parseCursor(before);
+    const size = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const where = {
+      ...this.whereRecipient(recipient),
+      isArchived: Boolean(archived),
+      ...(beforeId && { id: { [Op.lt]: beforeId } }),
+      ...(parseCategory(category) && { category }),
+      ...(unreadOnly && { isRead: false })
+    };
+
+    const rows = await Notification.findAll({
+      where,
+      order: [['id', 'DESC']],
+      limit: size + 1,
+      ...options
+    });
+
+    const hasMore = rows.length > size;
+    const notifications = rows.slice(0, size);
+
+    return {
+      notifications,
+      pageInfo: {
+        hasMore,
+        endCursor: notifications.length > 0 ? String(notifications[notifications.length - 1].id) : null
+      },
+      unreadCount: await this.countUnread(recipient, {}, options)
+    };
+  }
+
+  /**
+   * 읽지 않은 알림 수 (보관한 알림 제외)
+   * @param {Object} filter - { category }
+   */
+  async countUnread(recipient, { category } = {}, options = {}) {
+    this.assertValidRecipient(recipient);
+
+    return Notification.count({
+      where: {
+        ...this.whereRecipient(recipient),
+        isRead: false,
+        isArchived: false,
+        ...(parseCategory(category) && { category })
+      },
+      ...options
+    });
+  }
+
+  /**
+   * 선택한 알림 읽음 처리 - 커밋 후 notification.read 발행
+   * @returns {Promise<{ notificationIds: string[], updatedCount: number, unreadCount: number }>}
+   */
+  async markRead(recipient, notificationIds, options = {}) {
+    this.assertValidRecipient(recipient);
+    const ids = parseIds(notificationIds);
+
+    return this.applyRead(recipient, { id: { [Op.in]: ids } }, ids, options);
+  }
+
+  /**
+   * 모든 알림 읽음 처리 (category 지정 시 해당 분류만)
+   */
+  async markAllRead(recipient, { category } = {}, options = {}) {
+    this.assertValidRecipient(recipient);
+
+    return this.applyRead(recipient, parseCategory(category) ? { category } : {}, null, options);
+  }
+
+  /**
+   * 읽음 처리 공통 - 이미 읽은 알림은 readAt을 유지
+   */
+  async applyRead(recipient, condition, ids, options = {}) {
+    const where = { ...this.whereRecipient(recipient), ...condition, isRead: false };
+
+    const targets = await Notification.findAll({ where, attributes: ['id'], ...options });
+    const targetIds = targets.map((notification) => String(notification.id));
+
+    const readAt = new Date();
+    let updatedCount = 0;
+    if (targetIds.length > 0) {
+      [updatedCount] = await Notification.update(
+        { isRead: true, readAt },
+        { where: { ...where, id: { [Op.in]: targetIds } }, ...options }
+      );
+    }
+
+    const unreadCount = await this.countUnread(recipient, {}, options);
+
+    if (updatedCount > 0) {
+      afterCommit(options, () => getGlobalDeliveryAppPublisher().publishDomainEvent('notification.read', recipient.id, {
+        recipientType: recipient.type,
+        recipientId: String(recipient.id),
+        notificationIds: targetIds,
+        all: ids === null,
+        unreadCount,
+        readAt
+      }));
+    }
+
+    return { notificationIds: ids ?? targetIds, updatedCount, unreadCount };
+  }
+
+  /**
+   * 알림 보관/보관 해제 - 커밋 후 notification.archived 발행
+   * @param {boolean} archived - false면 보관 해제
+   * @returns {Promise<{ notificationIds: string[], updatedCount: number, unreadCount: number }>}
+   */
+  async setArchived(recipient, notificationIds, archived = true, options = {}) {
+    this.assertValidRecipient(recipient);
+    const ids = parseIds(notificationIds);
+
+    const [updatedCount] = await Notification.update(
+      { isArchived: Boolean(archived), archivedAt: archived ? new Date() : null },
+      {
+        where: {
+          ...this.whereRecipient(recipient),
+          id: { [Op.in]: ids },
+          isArchived: !archived
+        },
+        ...options
+      }
+    );
+
+    const unreadCount = await this.countUnread(recipient, {}, options);
+
+    if (updatedCount > 0) {
+      afterCommit(options, () => getGlobalDeliveryAppPublisher().publishDomainEvent('notification.archived', recipient.id, {
+        recipientType: recipient.type,
+        recipientId: String(recipient.id),
+        notificationIds: ids,
+        archived: Boolean(archived),
+        unreadCount
+      }));
+    }
+
+    return { notificationIds: ids, updatedCount, unreadCount };
+  }
+}
+
+// 싱글톤 인스턴스
+const notificationInboxService = new NotificationInboxService();
+
+export default notificationInboxService;
+export { NotificationInboxService };
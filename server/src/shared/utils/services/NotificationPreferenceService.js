@@ -0,0 +1,342 @@
+/**
+ * 알림 수신 설정 서비스
+ * 분류 × 채널 수신 여부와 방해 금지 시간 - 모든 알림 발송 경로(UnifiedNotificationService 등)가 발송 전에 확인
+ *
+ * - 소유자는 { type, id }로 식별 (type: mobile=User, web=WebAccount) - 관리자는 설정 없이 모든 채널 허용
+ * - 분류: TRANSACTIONAL, CHAT, MARKETING, SECURITY (SYSTEM 공지는 TRANSACTIONAL 설정을 따름)
+ * - 채널: PUSH, SOCKET, EMAIL, SMS
+ * - 보안(SECURITY) 알림은 설정과 무관하게 항상 모든 채널 허용 (변경 요청은 CATEGORY_LOCKED)
+ * - 방해 금지 시간은 사용자가 켠 경우만 적용 (기본 꺼짐), 사용자 시간대 기준
+ *   CHAT/MARKETING/SYSTEM의 PUSH/SMS만 보류 (주문 진행 알림은 발송)
+ * - 기존 계정 설정과 동기화
+ *   - notificationsEnabled=false: 보안 외 모든 PUSH 차단
+ *   - marketingOptIn=false (고객): MARKETING 모든 채널 차단
+ *   두 값은 조회 결과에만 반영하고 저장된 분류별 설정은 덮어쓰지 않음
+ *   설정 저장 시 변경한 PUSH/MARKETING 값에 맞게 두 값을 갱신
+ * - 조회 결과는 PREFERENCE_CACHE_TTL초 캐시 (변경 시 커밋 후 삭제)
+ *
+ * 실패 시 reason이 있는 NotificationPreferenceError throw
+ */
+
+import db from '../../../models/index.js';
+import kv from '../../cache/kv.js';
+import { logger } from '../utilities/Logger.js';
+
+const { NotificationPreference, User, WebAccount } = db;
+
+const PREFERENCE_CACHE_TTL = 60;
+
+// 방해 금지 시간 기본 구간 (기본 꺼짐 - 사용자가 켤 때 구간을 지정하지 않으면 사용)
+const DEFAULT_QUIET_HOURS = process.env.PUSH_QUIET_HOURS || '22:00-07:00';
+const DEFAULT_TIMEZONE = process.env.PUSH_QUIET_HOURS_TIMEZONE || 'Asia/Ho_Chi_Minh';
+
+export const PREFERENCE_CATEGORIES = ['TRANSACTIONAL', 'CHAT', 'MARKETING', 'SECURITY'];
+
+export const NOTIFICATION_CHANNELS = ['PUSH', 'SOCKET', 'EMAIL', 'SMS'];
+
+// 변경할 수 없는 분류
+export const LOCKED_CATEGORIES = ['SECURITY'];
+
+// 방해 금지 시간에 보류하는 분류/채널
+const QUIET_HOURS_CATEGORIES = ['CHAT', 'MARKETING', 'SYSTEM'];
+const QUIET_HOURS_CHANNELS = ['PUSH', 'SMS'];
+
+// 설정을 저장하지 않은 계정의 기본값
+const DEFAULT_CHANNELS = {
+  TRANSACTIONAL: { PUSH: true, SOCKET: true, EMAIL: true, SMS: false },
+  CHAT: { PUSH: true, SOCKET: true, EMAIL: false, SMS: false },
+  MARKETING: { PUSH: true, SOCKET: true, EMAIL: true, SMS: false }
+};
+
+const OWNER_ACCOUNTS = {
+  mobile: { model: User, attributes: ['id', 'language', 'notificationsEnabled', 'marketingOptIn'] },
+  web: { model: WebAccount, attributes: ['id', 'language', 'notificationsEnabled'] }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * 알림 설정 에러
+ * @param {string} reason - INVALID_OWNER | ACCOUNT_NOT_FOUND | INVALID_CATEGORY | CATEGORY_LOCKED |
+ *                          INVALID_QUIET_HOURS | INVALID_TIMEZONE
+ */
+const preferenceError = (reason) => {
+  const error = new Error(reason);
+  error.name = 'NotificationPreferenceError';
+  error.reason = reason;
+  return error;
+};
+
+const cacheKey = (owner) => `notification:pref:${owner.type}:${owner.id}`;
+
+/**
+ * 시간대 검증
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 방해 금지 시간 여부
+ * @param {{ enabled: boolean, start: string, end: string }} quietHours - HH:mm (22:00-07:00처럼 자정 넘김 가능)
+ * @param {string} timezone - IANA 시간대
+ * @param {Date} date - 기준 시각
+ * @returns {boolean}
+ */
+export const isWithinQuietHours = (quietHours, timezone, date = new Date()) => {
+  if (!quietHours?.enabled) return false;
+
+  const toMinutes = (value) => {
+    const match = TIME_PATTERN.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  };
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const now = Number(parts.find((part) => part.type === 'hour').value) * 60
+    + Number(parts.find((part) => part.type === 'minute').value);
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+class NotificationPreferenceService {
+  /**
+   * 소유자 식별자 검증
+   * @param {{ type: string, id: string|number }} owner
+   */
+  assertValidOwner(owner) {
+    if (!OWNER_ACCOUNTS[owner?.type] || !owner.id) {
+      throw preferenceError('INVALID_OWNER');
+    }
+  }
+
+  /**
+   * 수신 설정 조회 (캐시 우선)
+   * @returns {Promise<{ categories: Object, quietHours: Object, timezone: string, language: string }>}
+   */
+  async getPreferences(owner, options = {}) {
+    this.assertValidOwner(owner);
+
+    if (!options.transaction) {
+      const cached = await kv.get(cacheKey(owner)).catch(() => null);
+      if (cached) {
+        try { return JSON.parse(cached); } catch { /* 손상된 캐시는 다시 조회 */ }
+      }
+    }
+
+    const { model, attributes } = OWNER_ACCOUNTS[owner.type];
+    const [account, row] = await Promise.all([
+      model.findByPk(owner.id, { attributes, ...options }),
+      NotificationPreference.findOne({ where: { ownerType: owner.type, ownerId: owner.id }, ...options })
+    ]);
+    if (!account) {
+      throw preferenceError('ACCOUNT_NOT_FOUND');
+    }
+
+    const preferences = this.resolve(owner, account, row);
+
+    if (!options.transaction) {
+      await kv.setex(cacheKey(owner), PREFERENCE_CACHE_TTL, JSON.stringify(preferences)).catch(() => {});
+    }
+    return preferences;
+  }
+
+  /**
+   * 저장된 설정 + 기본값 + 계정 설정 → 최종 수신 설정
+   */
+  resolve(owner, account, row) {
+    const [defaultStart, defaultEnd] = DEFAULT_QUIET_HOURS.split('-');
+    const stored = row?.channels || {};
+
+    const categories = {};
+    for (const category of PREFERENCE_CATEGORIES) {
+      if (LOCKED_CATEGORIES.includes(category)) {
+        categories[category] = Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, true]));
+        continue;
+      }
+
+      const channels = { ...DEFAULT_CHANNELS[category], ...stored[category] };
+      if (account.notificationsEnabled === false) {
+        channels.PUSH = false;
+      }
+      if (category === 'MARKETING' && owner.type === 'mobile' && !account.marketingOptIn) {
+        NOTIFICATION_CHANNELS.forEach((channel) => { channels[channel] = false; });
+      }
+      categories[category] = channels;
+    }
+
+    return {
+      categories,
+      quietHours: {
+        enabled: row?.quietHoursEnabled === true,
+        start: row?.quietHoursStart || defaultStart,
+        end: row?.quietHoursEnd || defaultEnd
+      },
+      timezone: row?.timezone || DEFAULT_TIMEZONE,
+      language: (account.language || 'VI').toLowerCase()
+    };
+  }
+
+  /**
+   * 알림 분류의 채널별 발송 여부 - 모든 발송 경로에서 사용
+   * 관리자/알 수 없는 소유자는 모든 채널 허용, 설정 조회 실패 시에도 알림 누락보다 발송이 안전
+   * @param {{ type: string, id: string|number }} owner
+   * @param {string} category - 알림함 분류 (SYSTEM은 TRANSACTIONAL 설정)
+   * @param {Date} at - 기준 시각
+   * @returns {Promise<{ PUSH: boolean, SOCKET: boolean, EMAIL: boolean, SMS: boolean, quietHours: boolean, language: string|null }>}
+   */
+  async resolveChannels(owner, category, at = new Date()) {
+    const allowAll = { PUSH: true, SOCKET: true, EMAIL: true, SMS: true, quietHours: false, language: null };
+    if (!OWNER_ACCOUNTS[owner?.type] || category === 'SECURITY') {
+      return allowAll;
+    }
+
+    let preferences;
+    try {
+      preferences = await this.getPreferences(owner);
+    } catch (error) {
+      logger.warn('NotificationPreferenceLookupFailed', { ownerType: owner.type, ownerId: owner.id, error: error.message });
+      return allowAll;
+    }
+
+    const channels = { ...(preferences.categories[category] || preferences.categories.TRANSACTIONAL) };
+    const quietHours = QUIET_HOURS_CATEGORIES.includes(category)
+      && isWithinQuietHours(preferences.quietHours, preferences.timezone, at);
+    if (quietHours) {
+      QUIET_HOURS_CHANNELS.forEach((channel) => { channels[channel] = false; });
+    }
+
+    return { ...channels, quietHours, language: preferences.language };
+  }
+
+  /**
+   * 분류/채널 하나의 발송 여부
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(owner, category, channel, at = new Date()) {
+    const channels = await this.resolveChannels(owner, category, at);
+    return channels[channel] === true;
+  }
+
+  /**
+   * 수신 설정 변경 - 전달한 값만 변경
+   * @param {Object} input - { categories: [{ category, push, socket, email, sms }], quietHours: { enabled, start, end }, timezone }
+   * @returns {Promise<Object>} 변경 후 수신 설정
+   */
+  async updatePreferences(owner, input = {}, options = {}) {
+    this.assertValidOwner(owner);
+
+    const { model, attributes } = OWNER_ACCOUNTS[owner.type];
+    const account = await model.findByPk(owner.id, { attributes, ...options });
+    if (!account) {
+      throw preferenceError('ACCOUNT_NOT_FOUND');
+    }
+
+    const existing = await NotificationPreference.findOne({
+      where: { ownerType: owner.type, ownerId: owner.id },
+      ...options
+    });
+    const current = this.resolve(owner, account, existing);
+    const stored = existing?.channels || {};
+
+    // 분류 × 채널 - 저장된 값(없으면 기본값) 위에 전달한 값만 변경
+    // 계정 설정(notificationsEnabled/marketingOptIn)으로 꺼진 조회 결과를 저장하면 사용자가 고른 값이 사라짐
+    const channels = Object.fromEntries(Object.keys(DEFAULT_CHANNELS).map((category) => (
+      [category, { ...DEFAULT_CHANNELS[category], ...stored[category] }]
+    )));
+    let pushChanged = false;
+    let marketingChanged = false;
+    for (const item of input.categories || []) {
+      if (LOCKED_CATEGORIES.includes(item.category)) {
+        throw preferenceError('CATEGORY_LOCKED');
+      }
+      if (!channels[item.category]) {
+        throw preferenceError('INVALID_CATEGORY');
+      }
+
+      NOTIFICATION_CHANNELS.forEach((channel) => {
+        const value = item[channel.toLowerCase()];
+        if (typeof value !== 'boolean') return;
+        channels[item.category][channel] = value;
+        if (channel === 'PUSH') pushChanged = true;
+        if (item.category === 'MARKETING') marketingChanged = true;
+      });
+    }
+
+    // 방해 금지 시간
+    const quietHours = { ...current.quietHours };
+    if (input.quietHours) {
+      if (typeof input.quietHours.enabled === 'boolean') quietHours.enabled = input.quietHours.enabled;
+      if (input.quietHours.start !== undefined && input.quietHours.start !== null) quietHours.start = input.quietHours.start;
+      if (input.quietHours.end !== undefined && input.quietHours.end !== null) quietHours.end = input.quietHours.end;
+    }
+    if (!TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+      throw preferenceError('INVALID_QUIET_HOURS');
+    }
+
+    const timezone = input.timezone || current.timezone;
+    if (!isValidTimezone(timezone)) {
+      throw preferenceError('INVALID_TIMEZONE');
+    }
+
+    const values = {
+      channels,
+      quietHoursEnabled: quietHours.enabled,
+      quietHoursStart: quietHours.start,
+      quietHoursEnd: quietHours.end,
+      timezone
+    };
+    const row = existing
+      ? await existing.update(values, options)
+      : await NotificationPreference.create({ ownerType: owner.type, ownerId: owner.id, ...values }, options);
+
+    // 계정 설정 동기화 - 기존 설정을 읽는 화면/경로와 같은 결과 (이번에 변경한 값만)
+    const accountValues = {
+      ...(pushChanged && {
+        notificationsEnabled: Object.values(channels).some((category) => category.PUSH)
+      }),
+      ...(marketingChanged && owner.type === 'mobile' && {
+        marketingOptIn: NOTIFICATION_CHANNELS.some((channel) => channels.MARKETING[channel])
+      })
+    };
+    if (Object.keys(accountValues).length > 0) {
+      await account.update(accountValues, options);
+    }
+
+    await this.invalidate(owner, options);
+
+    return this.resolve(owner, account, row);
+  }
+
+  /**
+   * 캐시 삭제 - 계정 설정(notificationsEnabled 등)을 직접 변경한 경로에서도 호출
+   */
+  async invalidate(owner, options = {}) {
+    const remove = () => kv.del(cacheKey(owner)).catch((error) => {
+      logger.warn('NotificationPreferenceCacheInvalidateFailed', { error: error.message });
+    });
+
+    await remove();
+    if (options.transaction) {
+      options.transaction.afterCommit(remove);
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const notificationPreferenceService = new NotificationPreferenceService();
+
+export default notificationPreferenceService;
+export { NotificationPreferenceService };
@@ -0,0 +1,226 @@
+/**
+ * NotificationPreferenceService 테스트
+ * 기본값/저장값/계정 설정을 합친 수신 설정, 방해 금지 시간 판정, 설정 변경 시 저장값 보존
+ * DB 모델은 대역, Redis 없이 kv 메모리 저장소 사용
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const accounts = new Map();
+const rows = new Map();
+
+// update만 메모리에 반영하는 모델 인스턴스 대역
+const instance = (values) => {
+  const record = { ...values };
+  record.update = jest.fn(async (fields) => Object.assign(record, fields));
+  return record;
+};
+
+const accountModel = (type) => ({
+  findByPk: async (id) => accounts.get(`${type}:${id}`) || null,
+});
+
+jest.unstable_mockModule('../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../../models/index.js', () => ({
+  default: {
+    User: accountModel('mobile'),
+    WebAccount: accountModel('web'),
+    NotificationPreference: {
+      findOne: async ({ where }) => rows.get(`${where.ownerType}:${where.ownerId}`) || null,
+      create: async (values) => {
+        const row = instance(values);
+        rows.set(`${values.ownerType}:${values.ownerId}`, row);
+        return row;
+      },
+    },
+  },
+}));
+
+let notificationPreferenceService;
+let isWithinQuietHours;
+let nextId = 1;
+
+beforeAll(async () => {
+  ({ default: notificationPreferenceService, isWithinQuietHours } = await import('./NotificationPreferenceService.js'));
+});
+
+beforeEach(() => {
+  accounts.clear();
+  rows.clear();
+});
+
+const createOwner = (type, account = {}, row = null) => {
+  const owner = { type, id: nextId++ };
+  accounts.set(`${type}:${owner.id}`, instance({
+    id: owner.id, language: 'VI', notificationsEnabled: true, marketingOptIn: true, ...account,
+  }));
+  if (row) rows.set(`${type}:${owner.id}`, instance({ ownerType: type, ownerId: owner.id, channels: {}, ...row }));
+  return owner;
+};
+
+// 호찌민(UTC+7) 기준 시각
+const hcmc = (time) => new Date(`2026-01-15T${time}:00+07:00`);
+
+describe('isWithinQuietHours', () => {
+  const overnight = { enabled: true, start: '22:00', end: '07:00' };
+  const daytime = { enabled: true, start: '13:00', end: '15:30' };
+
+  it.each([
+    ['자정 넘김 - 시작 시각', overnight, '22:00', true],
+    ['자정 넘김 - 자정 이후', overnight, '03:15', true],
+    ['자정 넘김 - 종료 시각은 제외', overnight, '07:00', false],
+    ['자정 넘김 - 낮', overnight, '12:00', false],
+    ['자정 넘김 - 시작 직전', overnight, '21:59', false],
+    ['같은 날 - 구간 안', daytime, '14:00', true],
+    ['같은 날 - 구간 전', daytime, '12:59', false],
+    ['같은 날 - 종료 시각은 제외', daytime, '15:30', false],
+    ['꺼짐', { ...overnight, enabled: false }, '23:00', false],
+    ['시작과 종료가 같음', { enabled: true, start: '09:00', end: '09:00' }, '09:00', false],
+    ['잘못된 시각 형식', { enabled: true, start: '25:00', end: '07:00' }, '23:00', false],
+  ])('%s', (_, quietHours, time, expected) => {
+    expect(isWithinQuietHours(quietHours, 'Asia/Ho_Chi_Minh', hcmc(time))).toBe(expected);
+  });
+
+  it('사용자 시간대 기준으로 판정한다', () => {
+    // 호찌민 23:00 = 서울 다음날 01:00
+    expect(isWithinQuietHours({ enabled: true, start: '00:00', end: '02:00' }, 'Asia/Seoul', hcmc('23:00'))).toBe(true);
+    expect(isWithinQuietHours({ enabled: true, start: '00:00', end: '02:00' }, 'Asia/Ho_Chi_Minh', hcmc('23:00'))).toBe(false);
+  });
+
+  it('알 수 없는 시간대는 기본 시간대를 사용한다', () => {
+    expect(isWithinQuietHours(overnight, 'Mars/Base', hcmc('23:00'))).toBe(true);
+  });
+});
+
+describe('getPreferences', () => {
+  it('설정을 저장하지 않은 계정은 기본값을 사용하고 방해 금지 시간은 꺼져 있다', async () => {
+    const owner = createOwner('mobile');
+
+    const preferences = await notificationPreferenceService.getPreferences(owner);
+
+    expect(preferences.quietHours).toEqual({ enabled: false, start: '22:00', end: '07:00' });
+    expect(preferences.categories.CHAT).toEqual({ PUSH: true, SOCKET: true, EMAIL: false, SMS: false });
+    expect(preferences.categories.SECURITY).toEqual({ PUSH: true, SOCKET: true, EMAIL: true, SMS: true });
+    expect(preferences.language).toBe('vi');
+  });
+
+  it('저장된 값은 기본값 위에 덮어쓴다', async () => {
+    const owner = createOwner('web', {}, { channels: { CHAT: { PUSH: false } }, quietHoursEnabled: true });
+
+    const preferences = await notificationPreferenceService.getPreferences(owner);
+
+    expect(preferences.categories.CHAT).toEqual({ PUSH: false, SOCKET: true, EMAIL: false, SMS: false });
+    expect(preferences.quietHours.enabled).toBe(true);
+  });
+
+  it('notificationsEnabled=false면 보안 외 모든 PUSH를 끈다', async () => {
+    const owner = createOwner('mobile', { notificationsEnabled: false });
+
+    const { categories } = await notificationPreferenceService.getPreferences(owner);
+
+    expect(categories.TRANSACTIONAL.PUSH).toBe(false);
+    expect(categories.CHAT.PUSH).toBe(false);
+    expect(categories.SECURITY.PUSH).toBe(true);
+  });
+
+  it('marketingOptIn=false인 고객은 MARKETING 모든 채널을 끈다 (Web 계정은 해당 없음)', async () => {
+    const customer = await notificationPreferenceService.getPreferences(createOwner('mobile', { marketingOptIn: false }));
+    const webAccount = await notificationPreferenceService.getPreferences(createOwner('web', { marketingOptIn: false }));
+
+    expect(customer.categories.MARKETING).toEqual({ PUSH: false, SOCKET: false, EMAIL: false, SMS: false });
+    expect(webAccount.categories.MARKETING.PUSH).toBe(true);
+  });
+});
+
+describe('resolveChannels', () => {
+  const quietRow = { quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '07:00', timezone: 'Asia/Ho_Chi_Minh' };
+
+  it.each([
+    ['CHAT', '23:00', { PUSH: false, SMS: false, SOCKET: true, quietHours: true }],
+    ['MARKETING', '23:00', { PUSH: false, SMS: false, EMAIL: true, quietHours: true }],
+    ['SYSTEM', '23:00', { PUSH: false, SOCKET: true, quietHours: true }],
+    ['TRANSACTIONAL', '23:00', { PUSH: true, quietHours: false }],
+    ['SECURITY', '23:00', { PUSH: true, SMS: true, quietHours: false }],
+    ['CHAT', '12:00', { PUSH: true, quietHours: false }],
+  ])('방해 금지 시간(22:00-07:00) 설정 시 %s %s', async (category, time, expected) => {
+    const owner = createOwner('mobile', {}, quietRow);
+
+    expect(await notificationPreferenceService.resolveChannels(owner, category, hcmc(time))).toMatchObject(expected);
+  });
+
+  it('방해 금지 시간을 켜지 않은 계정은 밤에도 CHAT PUSH를 보낸다', async () => {
+    const owner = createOwner('mobile');
+
+    expect(await notificationPreferenceService.resolveChannels(owner, 'CHAT', hcmc('23:30'))).toMatchObject({
+      PUSH: true,
+      quietHours: false,
+    });
+  });
+
+  it('관리자와 조회 실패는 모든 채널을 허용한다', async () => {
+    expect(await notificationPreferenceService.resolveChannels({ type: 'admin', id: 1 }, 'CHAT')).toMatchObject({ PUSH: true, SMS: true });
+    expect(await notificationPreferenceService.resolveChannels({ type: 'mobile', id: 999999 }, 'CHAT')).toMatchObject({ PUSH: true });
+  });
+});
+
+describe('updatePreferences', () => {
+  it('notificationsEnabled=false 계정이 다른 채널을 바꿔도 저장된 분류별 PUSH 선택은 유지한다', async () => {
+    const owner = createOwner('mobile', { notificationsEnabled: false }, {
+      channels: { CHAT: { PUSH: false }, TRANSACTIONAL: { PUSH: true } },
+    });
+
+    await notificationPreferenceService.updatePreferences(owner, {
+      categories: [{ category: 'TRANSACTIONAL', email: false }],
+    });
+
+    const row = rows.get(`mobile:${owner.id}`);
+    expect(row.channels.CHAT.PUSH).toBe(false);
+    expect(row.channels.TRANSACTIONAL).toMatchObject({ PUSH: true, EMAIL: false });
+    expect(row.channels.MARKETING.PUSH).toBe(true);
+    // PUSH를 바꾸지 않았으므로 계정 설정도 그대로
+    expect(accounts.get(`mobile:${owner.id}`).update).not.toHaveBeenCalled();
+  });
+
+  it('PUSH를 켜면 notificationsEnabled를 다시 켠다', async () => {
+    const owner = createOwner('mobile', { notificationsEnabled: false });
+
+    const preferences = await notificationPreferenceService.updatePreferences(owner, {
+      categories: [{ category: 'CHAT', push: true }],
+    });
+
+    expect(accounts.get(`mobile:${owner.id}`).notificationsEnabled).toBe(true);
+    expect(preferences.categories.TRANSACTIONAL.PUSH).toBe(true);
+  });
+
+  it('MARKETING을 모두 끄면 marketingOptIn을 끈다', async () => {
+    const owner = createOwner('mobile');
+
+    await notificationPreferenceService.updatePreferences(owner, {
+      categories: [{ category: 'MARKETING', push: false, socket: false, email: false, sms: false }],
+    });
+
+    expect(accounts.get(`mobile:${owner.id}`).marketingOptIn).toBe(false);
+  });
+
+  it('방해 금지 시간을 켜면 기본 구간을 사용한다', async () => {
+    const owner = createOwner('web');
+
+    const preferences = await notificationPreferenceService.updatePreferences(owner, { quietHours: { enabled: true } });
+
+    expect(preferences.quietHours).toEqual({ enabled: true, start: '22:00', end: '07:00' });
+  });
+
+  it.each([
+    [{ categories: [{ category: 'SECURITY', push: false }] }, 'CATEGORY_LOCKED'],
+    [{ categories: [{ category: 'UNKNOWN', push: false }] }, 'INVALID_CATEGORY'],
+    [{ quietHours: { start: '7:00' } }, 'INVALID_QUIET_HOURS'],
+    [{ timezone: 'Mars/Base' }, 'INVALID_TIMEZONE'],
+  ])('잘못된 입력 %j → %s', async (input, reason) => {
+    const owner = createOwner('mobile');
+
+    await expect(notificationPreferenceService.updatePreferences(owner, input)).rejects.toMatchObject({
+      name: 'NotificationPreferenceError',
+      reason,
+    });
+  });
+});
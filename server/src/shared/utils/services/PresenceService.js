@@ -0,0 +1,386 @@
+/**
+ * 접속 상태(Presence) 서비스
+ * 고객(CUSTOMER) / Web 계정(WEB) / 관리자(ADMIN)의 멀티 디바이스·멀티 노드 접속 상태를 Redis로 관리
+ *
+ * - 연결 목록: presence:conn:{type}:{id} Sorted Set (member: nodeId|socketId|platform, score: 만료 시각 ms)
+ * - 온라인 인덱스: presence:index Sorted Set (member: type:id, score: 가장 늦은 만료 시각)
+ *   인덱스에 새로 추가(zadd=1)한 노드가 online, 인덱스에서 제거(zrem=1)한 노드가 offline 이벤트를 발행 (중복 발행 없음)
+ * - 각 노드는 PRESENCE_REFRESH_SECONDS마다 자기 소켓의 만료 시각을 연장
+ *   노드가 비정상 종료되면 연장이 멈추고 PRESENCE_TTL_SECONDS 후 살아있는 노드의 sweep이 offline 처리
+ * - 마지막 접속/활동 시각: presence:seen:{type}:{id} (lastSeenAt은 offline 전환 시, lastActiveAt은 하트비트 시 갱신)
+ * - 상태 변경은 presence:{type}:{id} Room에 'presence:changed'로 전송 (구독은 presence:subscribe 소켓 이벤트)
+ *
+ * STORE(점주앱) 접속 상태는 WebOnlineStatusService가 별도로 관리
+ */
+
+import os from 'os';
+import kv from '../../cache/kv.js';
+import chatService from './ChatService.js';
+import { logger } from '../utilities/Logger.js';
+
+const PRESENCE_TTL_SECONDS = parseInt(process.env.PRESENCE_TTL_SECONDS || '90');
+const PRESENCE_REFRESH_SECONDS = parseInt(process.env.PRESENCE_REFRESH_SECONDS || '30');
+const PRESENCE_SEEN_TTL_SECONDS = 60 * 60 * 24 * 30;
+const MAX_BULK_TARGETS = 100;
+
+const INDEX_KEY = 'presence:index';
+const PRESENCE_USER_TYPES = ['CUSTOMER', 'WEB', 'ADMIN'];
+
+// 접속 상태 타입 → 채팅 참여자 타입 (공개 범위 판단용)
+const CHAT_PARTICIPANT_TYPES = { CUSTOMER: 'mobile', WEB: 'web' };
+
+/**
+ * 접속 상태 에러
+ * @param {string} reason - INVALID_TARGET | ACCESS_DENIED
+ */
+const presenceError = (reason) => {
+  const error = new Error(reason);
+  error.name = 'PresenceError';
+  error.reason = reason;
+  return error;
+};
+
+const principalKey = (userType, userId) => `${userType}:${userId}`;
+const connKey = (userType, userId) => `presence:conn:${userType}:${userId}`;
+const seenKey = (userType, userId) => `presence:seen:${userType}:${userId}`;
+
+class PresenceService {
+  constructor() {
+    this.nodeId = process.env.NODE_ID || `${os.hostname()}:${process.pid}`;
+    this.io = null;
+    this.refreshInterval = null;
+    this.sockets = new Map(); // socketId -> { userType, userId, member }
+  }
+
+  /**
+   * 상태 변경 구독 Room 이름
+   */
+  roomFor(userType, userId) {
+    return `presence:${userType}:${userId}`;
+  }
+
+  /**
+   * 추적 대상 소켓인지 여부
+   */
+  isTracked(socket) {
+    return PRESENCE_USER_TYPES.includes(socket.userType) && Boolean(socket.userId);
+  }
+
+  /**
+   * 노드 시작 - 만료 연장/sweep 주기 실행
+   * @param {import('socket.io').Server} io
+   */
+  start(io) {
+    this.io = io;
+    if (this.refreshInterval) return;
+
+    this.refreshInterval = setInterval(() => {
+      this.refresh()
+        .then(() => this.sweep())
+        .catch((error) => logger.error('❌ [Presence] 주기 갱신 실패', { error: error.message }));
+    }, PRESENCE_REFRESH_SECONDS * 1000);
+    this.refreshInterval.unref?.();
+
+    logger.info('👥 [Presence] 접속 상태 추적 시작', {
+      nodeId: this.nodeId,
+      ttlSeconds: PRESENCE_TTL_SECONDS,
+      refreshSeconds: PRESENCE_REFRESH_SECONDS
+    });
+  }
+
+  /**
+   * 노드 정상 종료 - 이 노드의 연결을 즉시 정리 (다른 디바이스가 없으면 offline 전환)
+   */
+  async stop() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+
+    const entries = Array.from(this.sockets.keys());
+    for (const socketId of entries) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.handleDisconnect({ id: socketId });
+    }
+  }
+
+  // ===============================================
+  // 연결 / 해제 / 하트비트
+  // ===============================================
+
+  /**
+   * 소켓 연결 등록 - 첫 연결이면 online 전환
+   */
+  async handleConnect(socket) {
+    if (!this.isTracked(socket)) return;
+
+    const { userType, userId } = socket;
+    const platform = socket.handshake?.auth?.platform || 'unknown';
+    const member = `${this.nodeId}|${socket.id}|${platform}`;
+    const expiresAt = Date.now() + PRESENCE_TTL_SECONDS * 1000;
+
+    this.sockets.set(socket.id, { userType, userId, member });
+
+    try {
+      await kv.zadd(connKey(userType, userId), expiresAt, member);
+      await kv.expire(connKey(userType, userId), PRESENCE_TTL_SECONDS);
+      const added = await kv.zadd(INDEX_KEY, expiresAt, principalKey(userType, userId));
+      await this.touchActivity(userType, userId);
+
+      if (Number(added) === 1) {
+        await this.broadcast(userType, userId);
+      }
+    } catch (error) {
+      logger.error('❌ [Presence] 연결 등록 실패', { userType, userId, error: error.message });
+    }
+  }
+
+  /**
+   * 소켓 연결 해제 - 남은 연결이 없으면 offline 전환
+   */
+  async handleDisconnect(socket) {
+    const entry = this.sockets.get(socket.id);
+    if (!entry) return;
+    this.sockets.delete(socket.id);
+
+    const { userType, userId, member } = entry;
+    try {
+      await kv.zrem(connKey(userType, userId), member);
+      await this.settle(userType, userId);
+    } catch (error) {
+      logger.error('❌ [Presence] 연결 해제 처리 실패', { userType, userId, error: error.message });
+    }
+  }
+
+  /**
+   * 클라이언트 하트비트 - 연결 만료 연장 + 마지막 활동 시각 갱신
+   */
+  async handleHeartbeat(socket) {
+    const entry = this.sockets.get(socket.id);
+    if (!entry) return;
+
+    const { userType, userId, member } = entry;
+    const expiresAt = Date.now() + PRESENCE_TTL_SECONDS * 1000;
+    try {
+      await kv.zadd(connKey(userType, userId), expiresAt, member);
+      await kv.expire(connKey(userType, userId), PRESENCE_TTL_SECONDS);
+      await this.touchActivity(userType, userId);
+    } catch (error) {
+      logger.error('❌ [Presence] 하트비트 처리 실패', { userType, userId, error: error.message });
+    }
+  }
+
+  /**
+   * 이 노드의 모든 연결 만료 연장 - 인덱스에 새로 추가된 사용자는 online 전송 (sweep 경합 복구)
+   */
+  async refresh() {
+    if (this.sockets.size === 0) return;
+
+    const expiresAt = Date.now() + PRESENCE_TTL_SECONDS * 1000;
+    const principals = new Map();
+    const pipeline = kv.pipeline();
+
+    for (const { userType, userId, member } of this.sockets.values()) {
+      pipeline.zadd(connKey(userType, userId), expiresAt, member);
+      pipeline.expire(connKey(userType, userId), PRESENCE_TTL_SECONDS);
+      principals.set(principalKey(userType, userId), { userType, userId });
+    }
+    await pipeline.exec();
+
+    for (const [key, { userType, userId }] of principals) {
+      // eslint-disable-next-line no-await-in-loop
+      const added = await kv.zadd(INDEX_KEY, expiresAt, key);
+      if (Number(added) === 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await this.broadcast(userType, userId);
+      }
+    }
+  }
+
+  /**
+   * 만료된 사용자 정리 - 비정상 종료된 노드의 연결을 offline 처리
+   */
+  async sweep() {
+    const expired = await kv.zrangebyscore(INDEX_KEY, '-inf', Date.now());
+
+    for (const key of expired) {
+      const [userType, userId] = key.split(':');
+      // eslint-disable-next-line no-await-in-loop
+      await this.settle(userType, userId);
+    }
+  }
+
+  /**
+   * 만료된 연결 제거 후 남은 연결이 없으면 인덱스에서 제거하고 offline 전송
+   * 인덱스 제거(zrem=1)에 성공한 한 노드만 offline을 발행
+   */
+  async settle(userType, userId) {
+    const now = Date.now();
+    const key = connKey(userType, userId);
+
+    await kv.zremrangebyscore(key, '-inf', now);
+    const live = await kv.zrangebyscore(key, now, '+inf', 'WITHSCORES');
+
+    if (live.length > 0) {
+      // 다른 디바이스/노드 연결이 남아 있음 - 인덱스 만료 시각을 가장 늦은 연결 기준으로 갱신
+      await kv.zadd(INDEX_KEY, Number(live[live.length - 1]), principalKey(userType, userId));
+      return;
+    }
+
+    const removed = await kv.zrem(INDEX_KEY, principalKey(userType, userId));
+    if (Number(removed) !== 1) return;
+
+    const seen = await this.readSeen(userType, userId);
+    await kv.setex(seenKey(userType, userId), PRESENCE_SEEN_TTL_SECONDS, JSON.stringify({
+      ...seen,
+      lastSeenAt: new Date(now).toISOString()
+    }));
+    await this.broadcast(userType, userId);
+  }
+
+  async touchActivity(userType, userId) {
+    const seen = await this.readSeen(userType, userId);
+    await kv.setex(seenKey(userType, userId), PRESENCE_SEEN_TTL_SECONDS, JSON.stringify({
+      ...seen,
+      lastActiveAt: new Date().toISOString()
+    }));
+  }
+
+  async readSeen(userType, userId) {
+    const raw = await kv.get(seenKey(userType, userId));
+    if (!raw) return {};
+    try { return JSON.parse(raw); } catch { return {}; }
+  }
+
+  /**
+   * 현재 상태를 구독 Room에 전송 (Redis adapter로 전체 노드 전파)
+   */
+  async broadcast(userType, userId) {
+    if (!this.io) return;
+
+    const presence = await this.getPresence(userType, userId);
+    this.io.to(this.roomFor(userType, userId)).emit('presence:changed', {
+      ...presence,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info('👥 [Presence] 상태 변경', { userType, userId, online: presence.online });
+  }
+
+  // ===============================================
+  // 조회
+  // ===============================================
+
+  /**
+   * 접속 상태 조회
+   * @returns {Promise<{ userType, userId, online, connectionCount, platforms, lastSeenAt, lastActiveAt }>}
+   */
+  async getPresence(userType, userId) {
+    const live = await kv.zrangebyscore(connKey(userType, userId), Date.now(), '+inf');
+    const seen = await this.readSeen(userType, userId);
+    const platforms = [...new Set(live.map((member) => member.split('|')[2] || 'unknown'))];
+
+    return {
+      userType,
+      userId: String(userId),
+      online: live.length > 0,
+      connectionCount: live.length,
+      platforms,
+      lastSeenAt: seen.lastSeenAt || null,
+      lastActiveAt: seen.lastActiveAt || null
+    };
+  }
+
+  /**
+   * 여러 사용자 접속 상태 조회 (요청 순서 유지, 중복 제거)
+   * @param {Array<{ userType, userId }>} targets
+   */
+  async getBulkPresence(targets) {
+    const unique = new Map();
+    for (const { userType, userId } of targets) {
+      unique.set(principalKey(userType, userId), { userType, userId });
+    }
+    return Promise.all(Array.from(unique.values()).map(({ userType, userId }) => (
+      this.getPresence(userType, userId)
+    )));
+  }
+
+  /**
+   * 고객 온라인 여부 (푸시 발송 조건 판단용)
+   */
+  async isOnline(userType, userId) {
+    const count = await kv.zcount(connKey(userType, userId), Date.now(), '+inf');
+    return Number(count) > 0;
+  }
+
+  // ===============================================
+  // 공개 범위
+  // ===============================================
+
+  /**
+   * 조회 대상 검증 - 타입/ID/개수
+   */
+  assertValidTargets(targets) {
+    if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_BULK_TARGETS) {
+      throw presenceError('INVALID_TARGET');
+    }
+    for (const target of targets) {
+      if (!PRESENCE_USER_TYPES.includes(target?.userType) || !/^\d+$/.test(String(target.userId ?? ''))) {
+        throw presenceError('INVALID_TARGET');
+      }
+    }
+  }
+
+  /**
+   * 조회 권한 검증
+   * - 관리자: 전체
+   * - 본인: 항상 허용
+   * - Web 계정: 로그인한 모든 사용자 (매장 응대 상태)
+   * - 고객: 같은 채팅방에 참여 중인 상대만
+   * - 관리자 계정: 관리자만
+   * @param {{ userType, userId }} viewer
+   * @param {Array<{ userType, userId }>} targets
+   */
+  async assertCanView(viewer, targets) {
+    this.assertValidTargets(targets);
+    if (viewer.userType === 'ADMIN') return;
+
+    const isSelf = (target) => target.userType === viewer.userType && String(target.userId) === String(viewer.userId);
+    const pending = targets.filter((target) => !isSelf(target) && target.userType !== 'WEB');
+
+    if (pending.some((target) => target.userType === 'ADMIN')) {
+      throw presenceError('ACCESS_DENIED');
+    }
+
+    const customerIds = pending.map((target) => String(target.userId));
+    if (customerIds.length === 0) return;
+
+    const participantType = CHAT_PARTICIPANT_TYPES[viewer.userType];
+    const shared = participantType
+      ? await chatService.findSharedParticipantIds({ type: participantType, id: viewer.userId }, 'mobile', customerIds)
+      : new Set();
+
+    if (customerIds.some((id) => !shared.has(id))) {
+      throw presenceError('ACCESS_DENIED');
+    }
+  }
+
+  /**
+   * 조회 권한 여부 (소켓 이벤트 권한 검사용)
+   */
+  async canView(viewer, targets) {
+    try {
+      await this.assertCanView(viewer, targets);
+      return true;
+    } catch (error) {
+      if (error.name === 'PresenceError') return false;
+      throw error;
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const presenceService = new PresenceService();
+
+export default presenceService;
+export { PresenceService, PRESENCE_USER_TYPES, MAX_BULK_TARGETS };
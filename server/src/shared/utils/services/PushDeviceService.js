@@ -0,0 +1,217 @@
+/**
+ * 푸시 디바이스 서비스
+ * 계정별 FCM 등록 토큰 저장소 - 토큰 등록(GraphQL), 푸시 발송(UnifiedNotificationService)이 공통으로 사용
+ *
+ * - 소유자는 { type, id }로 식별 (type: mobile=User, web=WebAccount)
+ * - 토큰은 전역 유일 - 같은 디바이스에서 다른 계정으로 로그인하면 소유자만 변경
+ * - 계정별 최대 PUSH_MAX_DEVICES_PER_OWNER개 - 초과 시 마지막 등록(lastSeenAt)이 오래된 디바이스부터 삭제
+ * - FCM 발송 결과에서 더 이상 유효하지 않은 토큰(registration-token-not-registered 등)은 즉시 삭제
+ * - 세션 종료(로그아웃/원격 로그아웃)는 해당 세션에서 등록한 토큰, 계정 전체 무효화는 계정의 모든 토큰 삭제
+ * - 웹(WebAccount)은 Firebase JS SDK가 발급한 웹 푸시 토큰을 같은 방식으로 등록 (platform: web)
+ *
+ * 실패 시 reason이 있는 PushDeviceError throw
+ */
+
+import db from '../../../models/index.js';
+import { getGlobalEventBus } from './EventBus.js';
+import { TOKENS_REVOKED_EVENT } from '../auth/JWT.js';
+import { logger } from '../utilities/Logger.js';
+
+const { PushDevice, User, Op } = db;
+
+const PUSH_MAX_DEVICES_PER_OWNER = parseInt(process.env.PUSH_MAX_DEVICES_PER_OWNER || '10');
+const MAX_TOKEN_LENGTH = 512;
+
+const OWNER_PLATFORMS = {
+  mobile: ['ios', 'android'],
+  web: ['web']
+};
+
+// 재시도해도 성공할 수 없는 토큰 (앱 삭제/토큰 만료/형식 오류)
+// messaging/mismatched-credential 같은 서버 인증 오류는 토큰 문제가 아니므로 삭제 대상에서 제외
+export const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+/**
+ * 푸시 디바이스 에러
+ * @param {string} reason - INVALID_OWNER | INVALID_TOKEN | INVALID_PLATFORM
+ */
+const pushDeviceError = (reason) => {
+  const error = new Error(reason);
+  error.name = 'PushDeviceError';
+  error.reason = reason;
+  return error;
+};
+
+class PushDeviceService {
+  constructor() {
+    // 세션/계정 토큰 무효화 시 해당 디바이스 푸시 중단
+    getGlobalEventBus().subscribe(TOKENS_REVOKED_EVENT, async (event) => {
+      await this.handleRevocation(event.data);
+    });
+  }
+
+  /**
+   * 소유자 식별자 검증
+   * @param {{ type: string, id: string|number }} owner
+   */
+  assertValidOwner(owner) {
+    if (!OWNER_PLATFORMS[owner?.type] || !owner.id) {
+      throw pushDeviceError('INVALID_OWNER');
+    }
+  }
+
+  /**
+   * 플랫폼 결정 - 전달값 우선, 없으면 User-Agent (React Native: Android okhttp / iOS CFNetwork)
+   * @returns {string|null}
+   */
+  resolvePlatform(owner, platform, userAgent = '') {
+    const platforms = OWNER_PLATFORMS[owner.type];
+    if (platform) {
+      const value = String(platform).toLowerCase();
+      if (!platforms.includes(value)) {
+        throw pushDeviceError('INVALID_PLATFORM');
+      }
+      return value;
+    }
+
+    if (platforms.length === 1) return platforms[0];
+    if (/Android|okhttp/i.test(userAgent || '')) return 'android';
+    if (/iPhone|iPad|iPod|CFNetwork|Darwin/i.test(userAgent || '')) return 'ios';
+    return null;
+  }
+
+  /**
+   * 디바이스 등록/갱신 - 토큰이 이미 있으면 소유자/정보/lastSeenAt 갱신
+   * @param {{ type: string, id: string|number }} owner
+   * @param {Object} input - { token, platform, appVersion, locale, sessionId, userAgent }
+   * @returns {Promise<{ device: PushDevice, created: boolean }>}
+   */
+  async register(owner, input, options = {}) {
+    this.assertValidOwner(owner);
+
+    const token = String(input?.token ?? '').trim();
+    if (!token || token.length > MAX_TOKEN_LENGTH) {
+      throw pushDeviceError('INVALID_TOKEN');
+    }
+
+    // 전달하지 않은 정보는 기존 값 유지
+    const platform = this.resolvePlatform(owner, input.platform, input.userAgent);
+    const values = {
+      ownerType: owner.type,
+      ownerId: owner.id,
+      lastSeenAt: new Date(),
+      ...(platform && { platform }),
+      ...(input.appVersion && { appVersion: String(input.appVersion).slice(0, 32) }),
+      ...(input.locale && { locale: String(input.locale).slice(0, 10) }),
+      ...(input.sessionId !== undefined && { sessionId: input.sessionId })
+    };
+
+    const existing = await PushDevice.findOne({ where: { token }, ...options });
+    const device = existing
+      ? await existing.update(values, options)
+      : await PushDevice.create({ token, ...values }, options);
+
+    await this.enforceDeviceLimit(owner, options);
+
+    return { device, created: !existing };
+  }
+
+  /**
+   * 디바이스 수 제한 - 초과분은 lastSeenAt이 오래된 순으로 삭제
+   * @returns {Promise<number>} 삭제된 디바이스 수
+   */
+  async enforceDeviceLimit(owner, options = {}) {
+    const overflow = await PushDevice.findAll({
+      where: { ownerType: owner.type, ownerId: owner.id },
+      attributes: ['id'],
+      order: [['lastSeenAt', 'DESC'], ['id', 'DESC']],
+      offset: PUSH_MAX_DEVICES_PER_OWNER,
+      limit: 1000,
+      ...options
+    });
+    if (overflow.length === 0) return 0;
+
+    return PushDevice.destroy({ where: { id: overflow.map((device) => device.id) }, ...options });
+  }
+
+  /**
+   * 디바이스 해제 (본인 토큰만)
+   * @returns {Promise<boolean>} 삭제 여부
+   */
+  async unregister(owner, token, options = {}) {
+    this.assertValidOwner(owner);
+
+    const removed = await PushDevice.destroy({
+      where: { ownerType: owner.type, ownerId: owner.id, token: String(token ?? '') },
+      ...options
+    });
+    return removed > 0;
+  }
+
+  /**
+   * 푸시 토큰 목록 (최근 등록 순)
+   * 등록된 디바이스가 없는 고객은 기존 User.fcmToken(단일 토큰) 사용 - 앱이 mUpdatePushToken으로 다시 등록하기 전까지
+   * @returns {Promise<Array<{ token: string, platform: string, locale: string|null }>>}
+   */
+  async getDevices(owner) {
+    this.assertValidOwner(owner);
+
+    const devices = await PushDevice.findAll({
+      where: { ownerType: owner.type, ownerId: owner.id },
+      attributes: ['token', 'platform', 'locale'],
+      order: [['lastSeenAt', 'DESC']],
+      limit: PUSH_MAX_DEVICES_PER_OWNER
+    });
+    if (devices.length > 0 || owner.type !== 'mobile') {
+      return devices.map(({ token, platform, locale }) => ({ token, platform, locale }));
+    }
+
+    const user = await User.findByPk(owner.id, { attributes: ['id', 'fcmToken'] });
+    return user?.fcmToken ? [{ token: user.fcmToken, platform: null, locale: null }] : [];
+  }
+
+  /**
+   * FCM 발송 결과에서 유효하지 않은 토큰 삭제
+   * @param {string[]} tokens - 발송한 토큰 (responses와 같은 순서)
+   * @param {Array<{ success: boolean, error?: { code: string } }>} responses - sendEachForMulticast 결과
+   * @returns {Promise<string[]>} 삭제한 토큰
+   */
+  async pruneInvalidTokens(tokens, responses = []) {
+    const invalid = responses
+      .map((response, index) => (!response.success && INVALID_TOKEN_ERRORS.includes(response.error?.code) ? tokens[index] : null))
+      .filter(Boolean);
+    if (invalid.length === 0) return [];
+
+    await PushDevice.destroy({ where: { token: { [Op.in]: invalid } } });
+    // 기존 단일 토큰 컬럼도 정리
+    await User.update({ fcmToken: null }, { where: { fcmToken: { [Op.in]: invalid } } });
+
+    logger.info('PushTokensPruned', { count: invalid.length });
+    return invalid;
+  }
+
+  /**
+   * 토큰 무효화 이벤트 처리
+   * @param {Object} revocation - { scope: SESSION|SUBJECT|TOKEN, clientType, subjectId, sessionId }
+   */
+  async handleRevocation({ scope, clientType, subjectId, sessionId } = {}) {
+    try {
+      if (scope === 'SESSION' && sessionId) {
+        await PushDevice.destroy({ where: { sessionId } });
+      } else if (scope === 'SUBJECT' && OWNER_PLATFORMS[clientType] && subjectId) {
+        await PushDevice.destroy({ where: { ownerType: clientType, ownerId: subjectId } });
+      }
+    } catch (error) {
+      logger.error('PushDeviceRevocationFailed', { error: error.message, scope, sessionId });
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const pushDeviceService = new PushDeviceService();
+
+export default pushDeviceService;
+export { PushDeviceService, PUSH_MAX_DEVICES_PER_OWNER };
@@ -29,13 +29,19 @@
  *        └────┬────┘
  *             ↓
  *      ┌─────────────┐
- *      │ DB 알림 저장│
+ *      │ DB 알림 저장│  → 알림함 (NotificationInboxService - notification:new / unread_count 전파)
  *      └─────────────┘
  */
 
 import { getFirebaseMessaging, isFirebaseInitialized } from '../../../config/firebase.js';
-import db from '../../../models/index.js';
 import { kv } from '../../cache/kv.js';
+import presenceService from './PresenceService.js';
+import notificationInboxService from './NotificationInboxService.js';
+import pushDeviceService from './PushDeviceService.js';
+import notificationPreferenceService from './NotificationPreferenceService.js';
+import chatService from './ChatService.js';
+import notificationTemplateService, { getOrderStatusTemplateType } from './notificationTemplates/index.js';
+import { NOTIFICATION_RECIPIENT_TYPES, personalRoomFor } from '../../websocket/services/EventDeliveryService.js';
 
 const logger = {
   info: (...args) => console.log('[UnifiedNotificationService]', ...args),
@@ -43,17 +49,37 @@ const logger = {
   warn: (...args) => console.warn('[UnifiedNotificationService]', ...args)
 };
 
+// 채팅 푸시 설정
+// - 같은 채팅방의 연속 메시지는 CHAT_PUSH_COLLAPSE_SECONDS 동안 한 번만 발송
+// - 구간 중 건너뛴 메시지가 있으면 구간이 끝날 때 읽지 않은 수를 담은 요약 푸시 1회 발송
+// - 수신 설정/방해 금지 시간은 NotificationPreferenceService 기준
+const CHAT_PUSH_COLLAPSE_SECONDS = parseInt(process.env.CHAT_PUSH_COLLAPSE_SECONDS || '30');
+const CHAT_PUSH_TRAILING_KEY = 'chat:push:trailing';        // 요약 푸시 예약 (score: 발송 시각 ms, member: 대기 payload 키)
+const CHAT_PUSH_TRAILING_POLL_MS = 5000;
+
+const chatPushSlotKey = (userId, roomId) => `chat:push:${userId}:${roomId}`;
+const chatPushPendingKey = (userId, roomId) => `chat:push:pending:${userId}:${roomId}`;
+
+// 알림 타입 → 알림함 분류 (없으면 SYSTEM)
+const NOTIFICATION_TYPE_CATEGORIES = {
+  ORDER: 'TRANSACTIONAL',
+  ORDER_UPDATE: 'TRANSACTIONAL',
+  PAYMENT: 'TRANSACTIONAL',
+  REVIEW: 'TRANSACTIONAL',
+  CHAT: 'CHAT',
+  PROMOTION: 'MARKETING',
+  SECURITY: 'SECURITY'
+};
+
 /**
- * 사용자 Socket 연결 상태 확인
+ * 사용자 Socket 연결 상태 확인 (PresenceService - 모든 노드/디바이스 기준)
  * @param {string} userId - 사용자 ID
- * @returns {Promise<boolean>} - true면 연결됨(포그라운드), false면 오프라인/백그라운드
+ * @param {string} recipientType - 수신자 타입 (mobile | web | admin, 기본: mobile)
+ * @returns {Promise<boolean>} - true면 연결됨, false면 오프라인
  */
-async function isUserSocketConnected(userId) {
+async function isUserSocketConnected(userId, recipientType = 'mobile') {
   try {
-    // Redis에서 사용자 Socket 연결 상태 확인
-    // Key 형식: "socket:user:{userId}:connected"
-    const isConnected = await kv.get(`socket:user:${userId}:connected`);
-    return isConnected === '1' || isConnected === 'true';
+    return await presenceService.isOnline(NOTIFICATION_RECIPIENT_TYPES[recipientType] || 'CUSTOMER', userId);
   } catch (error) {
     logger.error('Socket 연결 상태 확인 실패:', error);
     // 에러 발생 시 안전하게 false 반환 (FCM 발송)
@@ -62,37 +88,27 @@ async function isUserSocketConnected(userId) {
 }
 
 /**
- * 사용자의 FCM 토큰 조회
+ * 사용자의 FCM 토큰 조회 (PushDeviceService - 최근 등록한 디바이스 우선)
  * @param {string} userId - 사용자 ID
+ * @param {string} ownerType - 소유자 타입 (mobile | web, 기본: mobile)
  * @returns {Promise<string[]>} - FCM 토큰 배열
  */
-async function getUserFcmTokens(userId) {
+async function getUserFcmTokens(userId, ownerType = 'mobile') {
   try {
-    // FCMToken 모델에서 활성화된 토큰만 조회
-    const fcmTokens = await db.FCMToken.findAll({
-      where: {
-        userId: userId,
-        isActive: true
-      },
-      attributes: ['token', 'platform', 'language'],
-      order: [['lastUsedAt', 'DESC']] // 최근 사용한 토큰 우선
-    });
+    const devices = await pushDeviceService.getDevices({ type: ownerType, id: userId });
 
-    if (!fcmTokens || fcmTokens.length === 0) {
-      logger.warn('⚠️ 활성화된 FCM 토큰이 없습니다:', { userId });
+    if (devices.length === 0) {
+      logger.warn('⚠️ 등록된 푸시 디바이스가 없습니다:', { userId, ownerType });
       return [];
     }
 
-    // 토큰 문자열 배열로 변환
-    const tokens = fcmTokens.map(t => t.token);
-
     logger.info('✅ FCM 토큰 조회 성공:', {
       userId,
-      tokenCount: tokens.length,
-      platforms: fcmTokens.map(t => t.platform)
+      tokenCount: devices.length,
+      platforms: devices.map(device => device.platform)
     });
 
-    return tokens;
+    return devices.map(device => device.token);
   } catch (error) {
     logger.error('❌ FCM 토큰 조회 실패:', error);
     return [];
@@ -140,9 +156,21 @@ async function getUserAppState(userId) {
  * @param {string} params.body - 알림 내용
  * @param {Object} params.data - 추가 데이터
  * @param {string} params.type - 알림 타입
+ * @param {number} params.badge - iOS 앱 아이콘 배지 (기본: 1)
+ * @param {string} params.collapseKey - 같은 키의 알림은 알림 센터에서 하나로 대체
+ * @param {string} params.channelId - Android 알림 채널 ID
  * @returns {Promise<Object>} - 발송 결과
  */
-async function sendFcmNotification({ tokens, title, body, data = {}, type = 'DEFAULT' }) {
+async function sendFcmNotification({
+  tokens,
+  title,
+  body,
+  data = {},
+  type = 'DEFAULT',
+  badge = 1,
+  collapseKey = null,
+  channelId = 'delivery-channel'
+}) {
   if (!isFirebaseInitialized()) {
     logger.warn('Firebase가 초기화되지 않았습니다. FCM 발송 건너뜀');
     return { success: false, reason: 'firebase_not_initialized' };
@@ -167,15 +195,18 @@ async function sendFcmNotification({ tokens, title, body, data = {}, type = 'DEF
       },
       android: {
         priority: 'high',
+        ...(collapseKey && { collapseKey }),
         notification: {
-          channelId: 'delivery-channel',  // ✅ 클라이언트와 동일한 channel ID 사용
+          channelId,  // ✅ 클라이언트와 동일한 channel ID 사용
           sound: 'default',
           priority: 'high',
           defaultVibrateTimings: true,
-          visibility: 'public'
+          visibility: 'public',
+          ...(collapseKey && { tag: collapseKey })
         }
       },
       apns: {
+        ...(collapseKey && { headers: { 'apns-collapse-id': collapseKey } }),
         payload: {
           aps: {
             alert: {
@@ -183,9 +214,18 @@ async function sendFcmNotification({ tokens, title, body, data = {}, type = 'DEF
               body
             },
             sound: 'default',
-            badge: 1
+            badge,
+            ...(collapseKey && { 'thread-id': collapseKey })
           }
         }
+      },
+      // 웹 푸시 (Firebase JS SDK 토큰) - 같은 Topic의 대기 중인 알림은 하나로 대체
+      webpush: {
+        ...(collapseKey && { headers: { Topic: collapseKey } }),
+        notification: {
+          title,
+          body
+        }
       }
     };
 
@@ -197,6 +237,13 @@ async function sendFcmNotification({ tokens, title, body, data = {}, type = 'DEF
       totalTokens: tokens.length
     });
 
+    // 더 이상 유효하지 않은 토큰 삭제 (정리 실패는 발송 결과에 영향 없음)
+    if (response.failureCount > 0) {
+      await pushDeviceService.pruneInvalidTokens(tokens, response.responses).catch((error) => {
+        logger.error('무효 FCM 토큰 정리 실패:', error);
+      });
+    }
+
     return {
       success: true,
       successCount: response.successCount,
@@ -210,6 +257,94 @@ async function sendFcmNotification({ tokens, title, body, data = {}, type = 'DEF
   }
 }
 
+/**
+ * 채팅방별 푸시 발송 슬롯 확보 (SET NX EX - 값은 구간 종료 시각)
+ * 첫 메시지만 즉시 발송하고, 같은 구간의 이후 메시지는 구간 종료 시 요약 푸시로 합침
+ * @param {string} userId - 수신자 ID
+ * @param {string} roomId - 채팅방 ID
+ * @returns {Promise<{ claimed: boolean, windowEndsAt?: number }>} - claimed면 즉시 발송
+ */
+async function claimChatPushSlot(userId, roomId) {
+  try {
+    const key = chatPushSlotKey(userId, roomId);
+    const windowEndsAt = Date.now() + CHAT_PUSH_COLLAPSE_SECONDS * 1000;
+    if (await kv.setnx(key, String(windowEndsAt), CHAT_PUSH_COLLAPSE_SECONDS)) {
+      return { claimed: true };
+    }
+    return { claimed: false, windowEndsAt: Number(await kv.get(key)) || windowEndsAt };
+  } catch (error) {
+    logger.error('채팅 푸시 슬롯 확보 실패:', error);
+    // Redis 장애 시 알림 누락보다 중복 발송이 안전
+    return { claimed: true };
+  }
+}
+
+/**
+ * 구간 종료 시 요약 푸시 예약 - 같은 구간에서는 최신 메시지 정보로 덮어씀
+ */
+async function scheduleTrailingChatPush({ userId, roomId, messageId, senderName, messagePreview, language }, windowEndsAt) {
+  const pendingKey = chatPushPendingKey(userId, roomId);
+  await kv.setex(pendingKey, CHAT_PUSH_COLLAPSE_SECONDS * 2 + 60, JSON.stringify({
+    userId, roomId, messageId, senderName, messagePreview, language
+  }));
+  await kv.zadd(CHAT_PUSH_TRAILING_KEY, windowEndsAt, pendingKey);
+}
+
+/**
+ * 구간이 끝난 요약 푸시 발송
+ * 여러 노드가 동시에 실행해도 zrem에 성공한 노드만 발송, 그 사이 모두 읽었으면 건너뜀
+ * @returns {Promise<number>} 처리한 예약 수
+ */
+export async function flushTrailingChatPushes(now = Date.now()) {
+  const pendingKeys = await kv.zrangebyscore(CHAT_PUSH_TRAILING_KEY, '-inf', now);
+  let processed = 0;
+
+  for (const pendingKey of pendingKeys) {
+    if (!(await kv.zrem(CHAT_PUSH_TRAILING_KEY, pendingKey))) continue;
+
+    try {
+      const raw = await kv.getdel(pendingKey);
+      if (!raw) continue;
+      const pending = JSON.parse(raw);
+
+      const participant = { type: 'mobile', id: pending.userId };
+      const [unreadCounts, badge] = await Promise.all([
+        chatService.getUnreadCounts(participant),
+        chatService.countTotalUnread(participant)
+      ]);
+      const unreadCount = unreadCounts.get(String(pending.roomId)) || 0;
+      if (unreadCount === 0) continue;
+
+      await sendChatMessageNotification({ ...pending, unreadCount, badge });
+      processed += 1;
+    } catch (error) {
+      logger.error('채팅 요약 푸시 발송 실패:', { pendingKey, error: error.message });
+    }
+  }
+  return processed;
+}
+
+let trailingChatPushInterval = null;
+
+/**
+ * 요약 푸시 주기 실행 시작 (소켓 서버 노드마다 실행)
+ */
+export function startChatPushScheduler() {
+  if (trailingChatPushInterval) return;
+
+  trailingChatPushInterval = setInterval(() => {
+    flushTrailingChatPushes().catch((error) => logger.error('채팅 요약 푸시 주기 실행 실패:', error));
+  }, CHAT_PUSH_TRAILING_POLL_MS);
+  trailingChatPushInterval.unref?.();
+}
+
+export function stopChatPushScheduler() {
+  if (trailingChatPushInterval) {
+    clearInterval(trailingChatPushInterval);
+    trailingChatPushInterval = null;
+  }
+}
+
 /**
  * 통합 알림 발송 (Socket.IO + FCM)
  * @param {Object} params - 알림 파라미터
@@ -221,6 +356,10 @@ async function sendFcmNotification({ tokens, title, body, data = {}, type = 'DEF
  * @param {string} params.body - 알림 내용 (FCM용)
  * @param {Object} params.fcmData - FCM 추가 데이터
  * @param {string} params.type - 알림 타입 (ORDER, CHAT, REVIEW 등)
+ * @param {string} params.category - 알림함 분류 (기본: type 기준)
+ * @param {string} params.deepLink - 알림함에서 선택 시 이동할 경로
+ * @param {string} params.recipientType - 알림함 수신자 타입 (mobile | web | admin, 기본: mobile)
+ * @param {boolean} params.checkPreferences - 수신 설정 확인 여부 (기본: true, 수신자가 계정이 아닐 때만 false)
  * @param {boolean} params.saveToDb - DB 저장 여부 (기본: true)
  * @returns {Promise<Object>} - 발송 결과
  */
@@ -233,6 +372,10 @@ export async function sendUnifiedNotification({
   body,
   fcmData = {},
   type = 'DEFAULT',
+  category = null,
+  deepLink = null,
+  recipientType = 'mobile',
+  checkPreferences = true,
   saveToDb = true
 }) {
   const result = {
@@ -240,34 +383,47 @@ export async function sendUnifiedNotification({
     fcm: false,
     saved: false
   };
+  const notificationCategory = category || NOTIFICATION_TYPE_CATEGORIES[type] || 'SYSTEM';
 
   try {
+    // ============================================
+    // 0단계: 수신 설정 확인 (분류 × 채널, 방해 금지 시간)
+    // ============================================
+    const channels = checkPreferences
+      ? await notificationPreferenceService.resolveChannels({ type: recipientType, id: userId }, notificationCategory)
+      : { PUSH: true, SOCKET: true };
+
     // ============================================
     // 1단계: Socket.IO 실시간 알림 전송
     // ============================================
-    if (io && userId && eventName) {
-      io.to(`user:${userId}`).emit(eventName, socketData);
+    // 수신자 타입별 개인 Room (고객 user:, Web 계정 web:, 관리자 admin:)
+    const room = personalRoomFor(NOTIFICATION_RECIPIENT_TYPES[recipientType], userId);
+    if (io && room && eventName && channels.SOCKET) {
+      io.to(room).emit(eventName, socketData);
       result.socket = true;
 
       logger.info('📡 [Socket] 실시간 알림 발송:', {
         userId,
         eventName,
-        room: `user:${userId}`
+        room
       });
     }
 
     // ============================================
     // 2단계: Socket 연결 상태 확인
     // ============================================
-    const isConnected = await isUserSocketConnected(userId);
+    const isConnected = await isUserSocketConnected(userId, recipientType);
 
-    if (!isConnected) {
+    // 관리자는 푸시 디바이스가 없음 (Socket/알림함만)
+    if (!channels.PUSH) {
+      logger.info('🔕 수신 설정/방해 금지 시간 - FCM 건너뜀:', { userId, category: notificationCategory, quietHours: channels.quietHours });
+    } else if (!isConnected && recipientType !== 'admin') {
       // ============================================
       // 3단계: 오프라인/백그라운드인 경우 FCM 발송
       // ============================================
       logger.info('🔔 사용자 오프라인/백그라운드 감지, FCM 푸시 발송 시작...');
 
-      const tokens = await getUserFcmTokens(userId);
+      const tokens = await getUserFcmTokens(userId, recipientType);
 
       if (tokens.length > 0) {
         const fcmResult = await sendFcmNotification({
@@ -294,16 +450,14 @@ export async function sendUnifiedNotification({
     // 4단계: DB에 알림 저장 (선택적)
     // ============================================
     if (saveToDb) {
-      await db.Notification.create({
-        userId,
+      await notificationInboxService.create({ type: recipientType, id: userId }, {
+        category: notificationCategory,
         type,
         title,
         body,
-        data: JSON.stringify(fcmData),
-        platform: result.fcm ? 'FCM' : 'SOCKET',
-        deliveryStatus: result.socket || result.fcm ? 'SENT' : 'FAILED',
-        sentAt: new Date(),
-        isRead: false
+        data: fcmData,
+        deepLink,
+        deliveredVia: [result.socket && 'SOCKET', result.fcm && 'PUSH'].filter(Boolean)
       });
 
       result.saved = true;
@@ -334,10 +488,14 @@ export async function sendOrderStatusNotification({
   orderNumber,
   oldStatus,
   newStatus,
-  language = 'vi'
+  language = null
 }) {
+  // 수신 설정 (언어 미지정 시 사용자 언어)
+  const channels = await notificationPreferenceService.resolveChannels({ type: 'mobile', id: userId }, 'TRANSACTIONAL');
+  language = language || channels.language;
+
   // ============================================
-  // 1. Socket 이벤트는 모든 상태 변경 시 발송
+  // 1. Socket 이벤트는 모든 상태 변경 시 발송 (주문 화면 상태 동기화 - 수신 설정과 무관)
   // ============================================
   const socketData = {
     orderId,
@@ -358,136 +516,12 @@ export async function sendOrderStatusNotification({
   }
 
   // ============================================
-  // 2. FCM 푸시 메시지 생성 (상태별 맞춤 메시지)
+  // 2. FCM 푸시 메시지 생성 (상태별 템플릿 - ORDER_<STATUS>, 없으면 ORDER_STATUS)
   // ============================================
-  let title, body;
-
-  if (newStatus === 'CONFIRMED') {
-    // 주문 확인
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber}`
-      : language === 'en'
-      ? `Order #${orderNumber}`
-      : `주문 #${orderNumber}`;
-
-    body = language === 'vi'
-      ? 'Đã xác nhận đơn hàng của bạn'
-      : language === 'en'
-      ? 'Your order has been confirmed'
-      : '주문이 확인되었습니다';
-
-  } else if (newStatus === 'PREPARING') {
-    // 음식 준비 중
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber}`
-      : language === 'en'
-      ? `Order #${orderNumber}`
-      : `주문 #${orderNumber}`;
-
-    body = language === 'vi'
-      ? 'Cửa hàng đang chuẩn bị đơn hàng của bạn'
-      : language === 'en'
-      ? 'Your order is being prepared'
-      : '매장에서 주문을 준비 중입니다';
-
-  } else if (newStatus === 'READY') {
-    // 픽업 준비 완료
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber} sẵn sàng`
-      : language === 'en'
-      ? `Order #${orderNumber} ready`
-      : `주문 #${orderNumber} 준비 완료`;
-
-    body = language === 'vi'
-      ? 'Đơn hàng của bạn đã sẵn sàng để giao'
-      : language === 'en'
-      ? 'Your order is ready for delivery'
-      : '주문이 배달 준비 완료되었습니다';
-
-  } else if (newStatus === 'DELIVERING') {
-    // ⭐ 배달 중 (새로 추가)
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber} đang giao`
-      : language === 'en'
-      ? `Order #${orderNumber} on the way`
-      : `주문 #${orderNumber} 배달 중`;
-
-    body = language === 'vi'
-      ? 'Đơn hàng của bạn đang được giao đến'
-      : language === 'en'
-      ? 'Your order is on the way'
-      : '주문이 배달 중입니다';
-
-  } else if (newStatus === 'COMPLETED') {
-    // 배달완료 + 리뷰 작성 요청 메시지
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber} hoàn thành`
-      : language === 'en'
-      ? `Order #${orderNumber} completed`
-      : `주문 #${orderNumber} 완료`;
-
-    body = language === 'vi'
-      ? 'Cảm ơn bạn! Vui lòng đánh giá đơn hàng của bạn'
-      : language === 'en'
-      ? 'Thank you! Please review your order'
-      : '감사합니다! 주문에 대한 리뷰를 남겨주세요';
-
-  } else if (newStatus === 'CANCELLED') {
-    // 주문 취소
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber} đã bị hủy`
-      : language === 'en'
-      ? `Order #${orderNumber} cancelled`
-      : `주문 #${orderNumber} 취소됨`;
-
-    body = language === 'vi'
-      ? 'Đơn hàng của bạn đã bị hủy'
-      : language === 'en'
-      ? 'Your order has been cancelled'
-      : '주문이 취소되었습니다';
-
-  } else if (newStatus === 'REJECTED') {
-    // 주문 거절
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber} bị từ chối`
-      : language === 'en'
-      ? `Order #${orderNumber} rejected`
-      : `주문 #${orderNumber} 거절됨`;
-
-    body = language === 'vi'
-      ? 'Xin lỗi, cửa hàng đã từ chối đơn hàng của bạn'
-      : language === 'en'
-      ? 'Sorry, the store has rejected your order'
-      : '죄송합니다. 매장에서 주문을 거절했습니다';
-
-  } else if (newStatus === 'PENDING') {
-    // 주문 접수 대기
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber}`
-      : language === 'en'
-      ? `Order #${orderNumber}`
-      : `주문 #${orderNumber}`;
-
-    body = language === 'vi'
-      ? 'Đơn hàng của bạn đang chờ xác nhận'
-      : language === 'en'
-      ? 'Your order is pending confirmation'
-      : '주문이 확인 대기 중입니다';
-
-  } else {
-    // 기타 상태에 대한 기본 메시지
-    title = language === 'vi'
-      ? `Đơn hàng #${orderNumber}`
-      : language === 'en'
-      ? `Order #${orderNumber}`
-      : `주문 #${orderNumber}`;
-
-    body = language === 'vi'
-      ? `Trạng thái đơn hàng: ${newStatus}`
-      : language === 'en'
-      ? `Order status: ${newStatus}`
-      : `주문 상태: ${newStatus}`;
-  }
+  const { title, body } = notificationTemplateService.renderPush(getOrderStatusTemplateType(newStatus), language, {
+    orderNumber,
+    status: newStatus
+  });
 
   // ============================================
   // 4. 통합 알림 발송 (Socket 연결 상태 + 앱 상태 확인 → FCM)
@@ -502,8 +536,9 @@ export async function sendOrderStatusNotification({
     willSendFCM: !isConnected || appState === 'background'
   });
 
-  // FCM 발송 조건: Socket 연결 안 됨 OR 앱이 백그라운드 상태
-  const shouldSendFCM = !isConnected || appState === 'background';
+  // FCM 발송 조건: 수신 설정 허용 AND (Socket 연결 안 됨 OR 앱이 백그라운드 상태)
+  const shouldSendFCM = channels.PUSH && (!isConnected || appState === 'background');
+  let pushed = false;
 
   if (shouldSendFCM) {
     logger.info('🔔 [FCM] FCM 푸시 발송 조건 충족 (오프라인 또는 백그라운드)');
@@ -526,6 +561,7 @@ export async function sendOrderStatusNotification({
         },
         type: 'ORDER_UPDATE'
       });
+      pushed = fcmResult.success;
 
       logger.info(fcmResult.success ? '✅ [FCM] 푸시 발송 성공' : '❌ [FCM] 푸시 발송 실패');
     }
@@ -536,58 +572,97 @@ export async function sendOrderStatusNotification({
   // ============================================
   // 5. DB에 알림 저장
   // ============================================
-  await db.Notification.create({
-    userId,
-    type: 'ORDER_UPDATE',  // ✅ ENUM 값: ORDER_UPDATE
+  await notificationInboxService.create({ type: 'mobile', id: userId }, {
+    category: 'TRANSACTIONAL',
+    type: 'ORDER_UPDATE',
+    priority: ['CANCELLED', 'REJECTED'].includes(newStatus) ? 'HIGH' : 'NORMAL',
     title,
     body,
-    data: { orderId, orderNumber, oldStatus, newStatus },  // ✅ JSON 직접 저장
-    platform: 'PUSH',  // ✅ ENUM 값: PUSH (FCM/Socket 구분 없이 통일)
-    deliveryStatus: 'SENT',
-    sentAt: new Date(),
-    isRead: false
+    data: { orderId, orderNumber, oldStatus, newStatus, screen: 'OrderDetail' },
+    deepLink: `/orders/${orderId}`,
+    deliveredVia: pushed ? ['SOCKET', 'PUSH'] : ['SOCKET']
   });
 
-  return { socket: true, fcm: !isConnected, saved: true };
+  return { socket: true, fcm: pushed, saved: true };
 }
 
 /**
- * 채팅 메시지 알림 (통합)
+ * 채팅 메시지 푸시 알림
+ * 수신자가 오프라인이거나 앱이 백그라운드인 경우 UnifiedSocketServer가 호출 (소켓 전파는 chat:received로 이미 완료)
+ *
+ * - 수신 설정(CHAT × PUSH)이 꺼져 있거나 사용자 방해 금지 시간이면 발송하지 않음
+ * - 같은 채팅방의 연속 메시지는 collapse 구간당 한 번만 즉시 발송하고, 건너뛴 메시지는 구간 종료 시 요약 푸시 (알림 센터에서는 채팅방별로 대체)
+ * - 배지는 전체 채팅 읽지 않은 수
+ *
  * @param {Object} params - 알림 파라미터
+ * @param {string} params.userId - 수신자 사용자 ID
+ * @param {string} params.roomId - 채팅방 ID
+ * @param {string} params.messageId - 메시지 ID
+ * @param {string} params.senderName - 발신자 이름
+ * @param {string} params.messagePreview - 메시지 미리보기
+ * @param {number} params.unreadCount - 해당 채팅방 읽지 않은 메시지 수
+ * @param {number} params.badge - 전체 읽지 않은 메시지 수
+ * @param {string} params.language - 수신자 언어 (기본: 사용자 언어)
+ * @returns {Promise<{ fcm: boolean, skipped?: string }>}
  */
 export async function sendChatMessageNotification({
-  io,
   userId,
   roomId,
+  messageId,
   senderName,
   messagePreview,
-  language = 'vi'
+  unreadCount = 1,
+  badge = 1,
+  language = null
 }) {
-  const title = language === 'vi'
-    ? `Tin nhắn mới từ ${senderName}`
-    : language === 'en'
-    ? `New message from ${senderName}`
-    : `${senderName}님의 새 메시지`;
+  const channels = await notificationPreferenceService.resolveChannels({ type: 'mobile', id: userId }, 'CHAT');
+  if (!channels.PUSH) {
+    logger.info('🔕 [Chat] 수신 설정/방해 금지 시간 - 채팅 푸시 건너뜀:', { userId, roomId, quietHours: channels.quietHours });
+    return { fcm: false, skipped: channels.quietHours ? 'quiet_hours' : 'disabled' };
+  }
+  language = language || channels.language;
 
-  return await sendUnifiedNotification({
-    io,
-    userId,
-    eventName: 'chat:message:new',
-    socketData: {
-      roomId,
-      senderName,
-      messagePreview,
-      timestamp: new Date()
-    },
+  const slot = await claimChatPushSlot(userId, roomId);
+  if (!slot.claimed) {
+    await scheduleTrailingChatPush({ userId, roomId, messageId, senderName, messagePreview, language }, slot.windowEndsAt);
+    logger.info('💬 [Chat] 연속 메시지 - 구간 종료 시 요약 푸시:', { userId, roomId });
+    return { fcm: false, skipped: 'collapsed' };
+  }
+
+  const tokens = await getUserFcmTokens(userId);
+  if (tokens.length === 0) {
+    logger.warn('⚠️ [FCM] 사용자의 FCM 토큰이 없습니다:', { userId });
+    return { fcm: false, skipped: 'no_tokens' };
+  }
+
+  // 읽지 않은 메시지가 여러 개면 개수를 앞에 표시 (CHAT_MESSAGE 템플릿 복수형)
+  const { title, body } = notificationTemplateService.renderPush('CHAT_MESSAGE', language, {
+    senderName,
+    messagePreview,
+    unreadCount
+  });
+
+  const fcmResult = await sendFcmNotification({
+    tokens,
     title,
-    body: messagePreview,
-    fcmData: {
+    body,
+    data: {
       roomId: roomId.toString(),
+      chatRoomId: roomId.toString(),
+      messageId: messageId ? messageId.toString() : '',
       senderName,
-      screen: 'ChatRoom'
+      unreadCount: String(unreadCount),
+      badge: String(badge),
+      screen: 'ChatRoom',
+      channelId: 'chat-channel'
     },
-    type: 'CHAT'
+    type: 'CHAT',
+    badge,
+    collapseKey: `chat:${roomId}`,
+    channelId: 'chat-channel'
   });
+
+  return { fcm: fcmResult.success };
 }
 
 /**
@@ -601,17 +676,7 @@ export async function sendReviewNotification({
   rating,
   language = 'vi'
 }) {
-  const title = language === 'vi'
-    ? `Đánh giá mới (${rating}⭐)`
-    : language === 'en'
-    ? `New Review (${rating}⭐)`
-    : `새 리뷰 (${rating}⭐)`;
-
-  const body = language === 'vi'
-    ? 'Đánh giá từ khách hàng đã được đăng'
-    : language === 'en'
-    ? 'Customer review has been posted'
-    : '고객님의 리뷰가 등록되었습니다';
+  const { title, body } = notificationTemplateService.renderPush('REVIEW', language, { rating });
 
   return await sendUnifiedNotification({
     io,
@@ -629,7 +694,10 @@ export async function sendReviewNotification({
       rating: rating.toString(),
       screen: 'ReviewDetail'
     },
-    type: 'REVIEW'
+    type: 'REVIEW',
+    // 매장(storeId)은 계정이 아님 - 수신 설정/알림함 없이 소켓/푸시만 발송
+    checkPreferences: false,
+    saveToDb: false
   });
 }
 
@@ -637,6 +705,9 @@ export default {
   sendUnifiedNotification,
   sendOrderStatusNotification,
   sendChatMessageNotification,
+  flushTrailingChatPushes,
+  startChatPushScheduler,
+  stopChatPushScheduler,
   sendReviewNotification,
   isUserSocketConnected,
   getUserFcmTokens
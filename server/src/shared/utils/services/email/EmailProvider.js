@@ -0,0 +1,87 @@
+/**
+ * 이메일 제공자 기본 클래스
+ * 모든 어댑터는 send()를 구현하고, 반송/수신 거부 웹훅을 받으면 parseFeedback()을 구현
+ */
+
+import crypto from 'crypto';
+
+// 반송/수신 거부 알림 종류
+export const EMAIL_FEEDBACK_TYPES = {
+  BOUNCE: 'BOUNCE',         // 반송 (permanent면 수신 차단)
+  COMPLAINT: 'COMPLAINT',   // 스팸 신고 (항상 수신 차단)
+};
+
+/**
+ * 전송 실패 에러
+ * @param {string} message - 제공자 에러 메시지
+ * @param {boolean} permanent - 재시도해도 성공할 수 없는 실패 (주소 거부, 요청 형식 오류 등)
+ */
+export const emailDeliveryError = (message, permanent = false) => {
+  const error = new Error(message);
+  error.name = 'EmailDeliveryError';
+  error.permanent = permanent;
+  return error;
+};
+
+export class EmailProvider {
+  /**
+   * @param {string} name - 제공자 이름 (smtp, ses, local)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 필수 설정(호스트, 키 등) 존재 여부
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * 메시지 전송 - 실패 시 emailDeliveryError throw (permanent가 아니면 큐에서 재시도)
+   * @param {Object} message
+   * @param {string} message.from - 발신자 ("이름" <주소>)
+   * @param {string} message.to - 수신자 주소
+   * @param {string} message.subject - 제목
+   * @param {string} message.html - HTML 본문
+   * @param {string} message.text - 텍스트 본문
+   * @param {string} message.reference - 내부 메시지 ID (큐 작업 ID)
+   * @returns {Promise<{ messageId: string }>}
+   */
+  async send() {
+    throw new Error(`${this.name}: send() is not implemented`);
+  }
+
+  /**
+   * 반송/수신 거부 웹훅 요청 검증 - 기본은 공유 시크릿 쿼리 파라미터 (?secret=)
+   * @param {Object} req - Express request 객체
+   */
+  verifyFeedback(req) {
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    const provided = String(req.query?.secret || '');
+    if (!secret || provided.length !== secret.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret));
+  }
+
+  /**
+   * 반송/수신 거부 알림 파싱 - 기본 형식 { type: bounce|complaint, email 또는 recipients, permanent, reason }
+   * @param {Object} payload - 요청 본문
+   * @returns {Array<{ email: string, type: string, permanent: boolean, reason?: string }>}
+   */
+  parseFeedback(payload) {
+    const type = String(payload?.type || '').toUpperCase();
+    if (!EMAIL_FEEDBACK_TYPES[type]) return [];
+
+    const recipients = Array.isArray(payload.recipients) ? payload.recipients : [payload.email];
+    return recipients.filter(Boolean).map((email) => ({
+      email: String(email),
+      type,
+      // 반송 종류를 모르면 permanent로 취급 (재전송 시 평판 하락 방지)
+      permanent: type === EMAIL_FEEDBACK_TYPES.COMPLAINT || payload.permanent !== false,
+      reason: payload.reason ? String(payload.reason).slice(0, 500) : undefined,
+    }));
+  }
+}
+
+export default EmailProvider;
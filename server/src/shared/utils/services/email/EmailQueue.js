@@ -0,0 +1,284 @@
+/**
+ * 이메일 발송 큐 (Redis)
+ * 요청 처리 중에는 큐 등록만 하고, 워커가 꺼내서 전송 - 서버 재시작/제공자 장애에도 메시지 유실 없음
+ *
+ * - email:queue:scheduled (Sorted Set): 작업 ID → 전송 예정 시각(ms), 등록 즉시 또는 재시도 대기
+ * - email:queue:processing (Sorted Set): 작업 ID → 선점 만료 시각(ms), 워커 중단 시 만료 후 scheduled로 복구
+ * - email:queue:job:{id}: 작업 (JSON) - 본문(html/text)은 전송 완료 시 삭제, 민감 작업은 dead letter에서도 삭제
+ * - email:queue:dead (List): 재시도 한도 초과/영구 실패 작업 ID (최근 EMAIL_QUEUE_DEAD_LETTER_MAX개)
+ * - email:queue:idempotency:{key}: 멱등 키 → 작업 ID (같은 키는 EMAIL_QUEUE_IDEMPOTENCY_TTL 동안 한 번만 등록)
+ *
+ * 재시도: EMAIL_QUEUE_RETRY_BASE_SECONDS × 2^(시도-1) (최대 1시간, ±20% 분산), 최대 EMAIL_QUEUE_MAX_ATTEMPTS회
+ * 전송은 최소 1회 보장 - 전송 직후 워커가 중단되면 같은 작업이 다시 전송될 수 있음
+ * Redis 없이(kv 메모리 저장소) 실행하면 재시작 시 대기 작업이 유실됨 - 워커 시작 시 경고
+ */
+
+import crypto from 'crypto';
+import { kv } from '../../../cache/kv.js';
+import { logger } from '../../utilities/Logger.js';
+import { isProduction } from '../../../../config/env.js';
+import { maskEmail } from './EmailSuppressionList.js';
+
+const SCHEDULED_KEY = 'email:queue:scheduled';
+const PROCESSING_KEY = 'email:queue:processing';
+const DEAD_LETTER_KEY = 'email:queue:dead';
+
+const EMAIL_QUEUE_MAX_ATTEMPTS = parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS || '6');
+const EMAIL_QUEUE_RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_QUEUE_RETRY_BASE_SECONDS || '30');
+const EMAIL_QUEUE_CONCURRENCY = parseInt(process.env.EMAIL_QUEUE_CONCURRENCY || '5');
+const EMAIL_QUEUE_POLL_MS = parseInt(process.env.EMAIL_QUEUE_POLL_MS || '1000');
+const EMAIL_QUEUE_LEASE_SECONDS = parseInt(process.env.EMAIL_QUEUE_LEASE_SECONDS || '120');
+const EMAIL_QUEUE_IDEMPOTENCY_TTL = parseInt(process.env.EMAIL_QUEUE_IDEMPOTENCY_TTL || String(24 * 60 * 60));
+const EMAIL_QUEUE_DEAD_LETTER_MAX = parseInt(process.env.EMAIL_QUEUE_DEAD_LETTER_MAX || '1000');
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const JOB_TTL = 7 * 24 * 60 * 60;          // 완료/대기 작업 보관 기간 (초)
+const DEAD_JOB_TTL = 30 * 24 * 60 * 60;    // 실패 작업 보관 기간 (초)
+
+// 작업 상태
+export const EMAIL_JOB_STATUS = {
+  QUEUED: 'QUEUED',           // 등록 (첫 전송 대기)
+  RETRYING: 'RETRYING',       // 전송 실패 후 재시도 대기
+  SENT: 'SENT',               // 제공자 접수 완료
+  SUPPRESSED: 'SUPPRESSED',   // 등록 후 수신 차단되어 전송 안 함
+  DEAD: 'DEAD',               // 재시도 한도 초과/영구 실패
+};
+
+/**
+ * 재시도 대기 시간 (초)
+ * @param {number} attempts - 지금까지 시도 횟수
+ */
+export const getRetryDelaySeconds = (attempts) => {
+  const delay = Math.min(EMAIL_QUEUE_RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * 본문(html/text)을 뺀 작업 - 비밀번호 재설정 링크, 초대 토큰 등이 전송 후 Redis에 남지 않도록
+ */
+const withoutBody = ({ html, text, ...job }) => ({ ...job, bodyRemoved: true });
+
+class EmailQueue {
+  constructor() {
+    this.processor = null;
+    this.pollInterval = null;
+    this.polling = false;
+  }
+
+  jobKey(id) {
+    return `email:queue:job:${id}`;
+  }
+
+  idempotencyKey(key) {
+    return `email:queue:idempotency:${key}`;
+  }
+
+  async getJob(id) {
+    const raw = await kv.get(this.jobKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async saveJob(job, ttl = JOB_TTL) {
+    await kv.setex(this.jobKey(job.id), ttl, JSON.stringify({ ...job, updatedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * 큐 등록 - 같은 멱등 키로 이미 등록된 작업이 있으면 새로 등록하지 않음
+   * 저장에 실패하면 멱등 키를 해제해 같은 키로 다시 등록할 수 있게 함
+   * @param {Object} message - { from, to, subject, html, text, purpose }
+   * @param {Object} options - { idempotencyKey, sensitive: 본문에 토큰/링크 등 비밀 포함 (dead letter에서도 본문 삭제) }
+   * @returns {Promise<{ jobId: string, duplicate: boolean }>}
+   */
+  async enqueue(message, { idempotencyKey, sensitive = false } = {}) {
+    const id = crypto.randomUUID();
+
+    if (idempotencyKey) {
+      const claimed = await kv.setnx(this.idempotencyKey(idempotencyKey), id, EMAIL_QUEUE_IDEMPOTENCY_TTL);
+      if (!claimed) {
+        const existingId = await kv.get(this.idempotencyKey(idempotencyKey));
+        logger.info('[Email] 중복 등록 무시 (멱등 키)', { idempotencyKey, jobId: existingId });
+        return { jobId: existingId, duplicate: true };
+      }
+    }
+
+    const now = Date.now();
+    try {
+      await this.saveJob({
+        id,
+        ...message,
+        idempotencyKey: idempotencyKey || null,
+        sensitive,
+        status: EMAIL_JOB_STATUS.QUEUED,
+        attempts: 0,
+        maxAttempts: EMAIL_QUEUE_MAX_ATTEMPTS,
+        errors: [],
+        createdAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(now).toISOString()
+      });
+      await kv.zadd(SCHEDULED_KEY, now, id);
+    } catch (error) {
+      await kv.del([this.jobKey(id), ...(idempotencyKey ? [this.idempotencyKey(idempotencyKey)] : [])]).catch(() => {});
+      throw error;
+    }
+
+    return { jobId: id, duplicate: false };
+  }
+
+  // ===============================================
+  // 워커
+  // ===============================================
+
+  /**
+   * 워커 시작
+   * @param {Function} processor - async (job) => { status?: SUPPRESSED, provider, messageId } - 실패 시 throw (error.permanent면 재시도 안 함)
+   */
+  start(processor) {
+    this.processor = processor;
+    if (this.pollInterval) return;
+
+    if (!kv.isPersistent()) {
+      logger[isProduction() ? 'error' : 'warn']('[Email] Redis 미연결 - 메모리 큐로 동작 (재시작 시 대기 중인 메일 유실, 서버 간 공유 안 됨)');
+    }
+
+    this.pollInterval = setInterval(() => {
+      this.poll().catch((error) => logger.error('[Email] 큐 처리 실패', { error: error.message }));
+    }, EMAIL_QUEUE_POLL_MS);
+    this.pollInterval.unref?.();
+    logger.info('[Email] 발송 워커 시작', { concurrency: EMAIL_QUEUE_CONCURRENCY, pollMs: EMAIL_QUEUE_POLL_MS });
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+
+  /**
+   * 1회 처리 - 선점 만료 작업 복구 후 전송 시각이 된 작업을 최대 EMAIL_QUEUE_CONCURRENCY개 처리
+   * @returns {Promise<number>} 처리한 작업 수
+   */
+  async poll() {
+    if (this.polling || !this.processor) return 0;
+    this.polling = true;
+
+    try {
+      const now = Date.now();
+      const recovered = await kv.zmoveByScore(PROCESSING_KEY, SCHEDULED_KEY, now, 100, now);
+      if (recovered.length > 0) {
+        logger.warn('[Email] 선점 만료 작업 복구', { count: recovered.length });
+      }
+
+      const ids = await kv.zmoveByScore(
+        SCHEDULED_KEY,
+        PROCESSING_KEY,
+        now,
+        EMAIL_QUEUE_CONCURRENCY,
+        now + EMAIL_QUEUE_LEASE_SECONDS * 1000
+      );
+      await Promise.all(ids.map((id) => this.processJob(id)));
+      return ids.length;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * 작업 1건 전송 - 성공/차단은 완료, 실패는 재시도 예약 또는 dead letter
+   */
+  async processJob(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      // 보관 기간이 지난 작업
+      await kv.zrem(PROCESSING_KEY, id);
+      return;
+    }
+
+    job.attempts += 1;
+
+    try {
+      const result = await this.processor(job);
+      await this.saveJob({
+        ...withoutBody(job),
+        status: result?.status || EMAIL_JOB_STATUS.SENT,
+        provider: result?.provider || null,
+        providerMessageId: result?.messageId || null,
+        sentAt: new Date().toISOString()
+      });
+      await kv.zrem(PROCESSING_KEY, id);
+    } catch (error) {
+      job.errors = [...job.errors, { attempt: job.attempts, error: error.message, at: new Date().toISOString() }].slice(-10);
+
+      if (error.permanent || job.attempts >= job.maxAttempts) {
+        await this.deadLetter(job, error);
+      } else {
+        const retryAt = Date.now() + getRetryDelaySeconds(job.attempts) * 1000;
+        await this.saveJob({ ...job, status: EMAIL_JOB_STATUS.RETRYING, nextAttemptAt: new Date(retryAt).toISOString() });
+        // 재시도 예약 후 선점 해제 (중간에 중단되어도 작업 유실 없음)
+        await kv.zadd(SCHEDULED_KEY, retryAt, id);
+        await kv.zrem(PROCESSING_KEY, id);
+
+        logger.warn('[Email] 전송 실패 - 재시도 예약', {
+          jobId: id,
+          to: maskEmail(job.to),
+          attempts: job.attempts,
+          retryAt: new Date(retryAt).toISOString(),
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * 최종 실패 처리 - 민감 작업은 본문을 지우고 보관 (재등록 불가)
+   */
+  async deadLetter(job, error) {
+    await this.saveJob({
+      ...(job.sensitive ? withoutBody(job) : job),
+      status: EMAIL_JOB_STATUS.DEAD,
+      failedAt: new Date().toISOString()
+    }, DEAD_JOB_TTL);
+    await kv.lpush(DEAD_LETTER_KEY, job.id);
+    await kv.ltrim(DEAD_LETTER_KEY, 0, EMAIL_QUEUE_DEAD_LETTER_MAX - 1);
+    await kv.zrem(PROCESSING_KEY, job.id);
+
+    logger.error('[Email] 전송 최종 실패 (dead letter)', {
+      jobId: job.id,
+      to: maskEmail(job.to),
+      purpose: job.purpose,
+      attempts: job.attempts,
+      permanent: Boolean(error.permanent),
+      error: error.message
+    });
+  }
+
+  /**
+   * 최근 실패 작업 (dead letter)
+   * @param {number} limit
+   */
+  async getDeadLetters(limit = 50) {
+    const ids = await kv.lrange(DEAD_LETTER_KEY, 0, limit - 1);
+    const jobs = await Promise.all(ids.map((id) => this.getJob(id)));
+    return jobs.filter(Boolean);
+  }
+
+  /**
+   * 실패 작업 재등록 (시도 횟수 초기화) - 본문을 지운 작업은 재등록하지 않음
+   * @returns {Promise<boolean>} 재등록 여부
+   */
+  async requeueDeadLetter(id) {
+    const job = await this.getJob(id);
+    if (job?.status !== EMAIL_JOB_STATUS.DEAD || job.bodyRemoved) return false;
+
+    const now = Date.now();
+    await this.saveJob({ ...job, status: EMAIL_JOB_STATUS.QUEUED, attempts: 0, nextAttemptAt: new Date(now).toISOString() });
+    await kv.zadd(SCHEDULED_KEY, now, id);
+    return true;
+  }
+}
+
+// 싱글톤 인스턴스
+const emailQueue = new EmailQueue();
+
+export default emailQueue;
+export { EmailQueue, EMAIL_QUEUE_MAX_ATTEMPTS };
@@ -0,0 +1,183 @@
+/**
+ * EmailQueue 테스트
+ * 전송 완료 시 본문 삭제, 재시도 예약, 재시도 한도/영구 실패 dead letter, 민감 작업 본문 삭제, 멱등 키 해제
+ * Redis 없이 kv 메모리 저장소 사용
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../../../config/redis.js', () => ({ redis: null }));
+
+let EmailQueue;
+let EMAIL_JOB_STATUS;
+let EMAIL_QUEUE_MAX_ATTEMPTS;
+let emailDeliveryError;
+let kv;
+let logger;
+let queue;
+let processor;
+
+beforeAll(async () => {
+  ({ EmailQueue, EMAIL_JOB_STATUS, EMAIL_QUEUE_MAX_ATTEMPTS } = await import('./EmailQueue.js'));
+  ({ emailDeliveryError } = await import('./EmailProvider.js'));
+  ({ default: kv } = await import('../../../cache/kv.js'));
+  ({ logger } = await import('../../utilities/Logger.js'));
+});
+
+beforeEach(async () => {
+  await kv.del(['email:queue:scheduled', 'email:queue:processing', 'email:queue:dead']);
+  processor = jest.fn(async () => ({ provider: 'local', messageId: 'local-1' }));
+  queue = new EmailQueue();
+  queue.processor = processor;
+});
+
+const message = (overrides = {}) => ({
+  from: '"Delivery VN" <no-reply@example.com>',
+  to: 'owner@example.com',
+  subject: 'Reset your password',
+  html: '<a href="https://example.com/reset?token=secret">Reset</a>',
+  text: 'Reset: https://example.com/reset?token=secret',
+  purpose: 'password-reset',
+  ...overrides
+});
+
+// 재시도 대기 중인 작업을 바로 전송할 수 있게 예약 시각을 앞당김
+const makeDue = (id) => kv.zadd('email:queue:scheduled', Date.now(), id);
+
+// 재시도 한도까지 실패시킴
+const failUntilDead = async (id) => {
+  processor.mockRejectedValue(emailDeliveryError('smtp: connection refused'));
+  for (let i = 0; i < EMAIL_QUEUE_MAX_ATTEMPTS; i++) {
+    await makeDue(id);
+    await queue.poll();
+  }
+};
+
+describe('전송', () => {
+  it('전송에 성공하면 SENT로 기록하고 본문을 지운다', async () => {
+    const { jobId } = await queue.enqueue(message());
+
+    expect(await queue.poll()).toBe(1);
+
+    const job = await queue.getJob(jobId);
+    expect(job).toMatchObject({ status: EMAIL_JOB_STATUS.SENT, attempts: 1, provider: 'local', providerMessageId: 'local-1', bodyRemoved: true });
+    expect(job).not.toHaveProperty('html');
+    expect(job).not.toHaveProperty('text');
+    expect(await kv.zscore('email:queue:processing', jobId)).toBeNull();
+  });
+
+  it('전송 시각이 되지 않은 작업은 처리하지 않는다', async () => {
+    const { jobId } = await queue.enqueue(message());
+    await kv.zadd('email:queue:scheduled', Date.now() + 60000, jobId);
+
+    expect(await queue.poll()).toBe(0);
+    expect(processor).not.toHaveBeenCalled();
+  });
+});
+
+describe('재시도', () => {
+  it('일시 실패는 본문을 유지한 채 RETRYING으로 다음 시도를 예약한다', async () => {
+    processor.mockRejectedValueOnce(emailDeliveryError('smtp: timeout'));
+    const { jobId } = await queue.enqueue(message());
+
+    await queue.poll();
+
+    const job = await queue.getJob(jobId);
+    expect(job).toMatchObject({ status: EMAIL_JOB_STATUS.RETRYING, attempts: 1, html: message().html });
+    expect(job.errors).toEqual([expect.objectContaining({ attempt: 1, error: 'smtp: timeout' })]);
+    expect(Number(await kv.zscore('email:queue:scheduled', jobId))).toBeGreaterThan(Date.now());
+    expect(await kv.zscore('email:queue:processing', jobId)).toBeNull();
+
+    // 예약 시각 전에는 다시 시도하지 않음
+    expect(await queue.poll()).toBe(0);
+
+    await makeDue(jobId);
+    await queue.poll();
+    expect(await queue.getJob(jobId)).toMatchObject({ status: EMAIL_JOB_STATUS.SENT, attempts: 2 });
+  });
+
+  it('선점 만료된 작업은 다시 전송 대기로 복구한다', async () => {
+    const { jobId } = await queue.enqueue(message());
+    // 워커가 꺼낸 뒤 중단된 상태
+    await kv.zrem('email:queue:scheduled', jobId);
+    await kv.zadd('email:queue:processing', Date.now() - 1, jobId);
+
+    await queue.poll();
+
+    expect(processor).toHaveBeenCalledWith(expect.objectContaining({ id: jobId }));
+    expect(await queue.getJob(jobId)).toMatchObject({ status: EMAIL_JOB_STATUS.SENT });
+  });
+});
+
+describe('dead letter', () => {
+  it('재시도 한도를 넘으면 DEAD로 보관하고 재등록할 수 있다', async () => {
+    const { jobId } = await queue.enqueue(message({ purpose: 'general' }));
+
+    await failUntilDead(jobId);
+
+    const job = await queue.getJob(jobId);
+    expect(job).toMatchObject({ status: EMAIL_JOB_STATUS.DEAD, attempts: EMAIL_QUEUE_MAX_ATTEMPTS, html: message().html });
+    expect(await kv.zscore('email:queue:scheduled', jobId)).toBeNull();
+    expect((await queue.getDeadLetters()).map((dead) => dead.id)).toEqual([jobId]);
+
+    expect(await queue.requeueDeadLetter(jobId)).toBe(true);
+    processor.mockResolvedValue({ provider: 'local', messageId: 'local-2' });
+    await queue.poll();
+    expect(await queue.getJob(jobId)).toMatchObject({ status: EMAIL_JOB_STATUS.SENT, attempts: 1 });
+  });
+
+  it('영구 실패는 재시도하지 않고 바로 DEAD', async () => {
+    processor.mockRejectedValueOnce(emailDeliveryError('ses: HTTP 400 invalid address', true));
+    const { jobId } = await queue.enqueue(message());
+
+    await queue.poll();
+
+    expect(await queue.getJob(jobId)).toMatchObject({ status: EMAIL_JOB_STATUS.DEAD, attempts: 1 });
+    expect(await kv.zscore('email:queue:scheduled', jobId)).toBeNull();
+  });
+
+  it('민감 작업은 DEAD로 보관할 때 본문을 지우고 재등록하지 않는다', async () => {
+    const { jobId } = await queue.enqueue(message(), { sensitive: true });
+
+    await failUntilDead(jobId);
+
+    const job = await queue.getJob(jobId);
+    expect(job).toMatchObject({ status: EMAIL_JOB_STATUS.DEAD, sensitive: true, bodyRemoved: true });
+    expect(job).not.toHaveProperty('html');
+    expect(job).not.toHaveProperty('text');
+    expect(await queue.requeueDeadLetter(jobId)).toBe(false);
+  });
+});
+
+describe('멱등 키', () => {
+  it('같은 키는 한 번만 등록한다', async () => {
+    const first = await queue.enqueue(message(), { idempotencyKey: 'reset:1' });
+    const second = await queue.enqueue(message(), { idempotencyKey: 'reset:1' });
+
+    expect(second).toEqual({ jobId: first.jobId, duplicate: true });
+    expect(await queue.poll()).toBe(1);
+  });
+
+  it('작업 저장에 실패하면 키를 해제해 다시 등록할 수 있다', async () => {
+    const spy = jest.spyOn(kv, 'zadd').mockRejectedValueOnce(new Error('down'));
+
+    await expect(queue.enqueue(message(), { idempotencyKey: 'reset:2' })).rejects.toThrow('down');
+    spy.mockRestore();
+
+    const retry = await queue.enqueue(message(), { idempotencyKey: 'reset:2' });
+    expect(retry.duplicate).toBe(false);
+    expect(await queue.getJob(retry.jobId)).toMatchObject({ status: EMAIL_JOB_STATUS.QUEUED });
+  });
+});
+
+describe('워커 시작', () => {
+  it('Redis 없이 시작하면 메모리 큐 경고를 남긴다', () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    queue.start(processor);
+    queue.stop();
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Redis 미연결'));
+    warn.mockRestore();
+  });
+});
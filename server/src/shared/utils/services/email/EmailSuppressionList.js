@@ -0,0 +1,74 @@
+/**
+ * 이메일 수신 차단 목록
+ * 영구 반송(permanent bounce)/스팸 신고(complaint)된 주소 - 큐 등록과 실제 전송 직전에 모두 확인
+ * 만료 없음 (운영자가 remove()로 해제)
+ */
+
+import { kv } from '../../../cache/kv.js';
+import { logger } from '../../utilities/Logger.js';
+
+/**
+ * 주소 정규화 (대소문자/공백 무시)
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * 로그용 주소 마스킹 (staff@example.com → st***@example.com)
+ */
+export const maskEmail = (email) => String(email || '').replace(/^([^@]{0,2})[^@]*@/, '$1***@');
+
+class EmailSuppressionList {
+  key(email) {
+    return `email:suppression:${normalizeEmail(email)}`;
+  }
+
+  /**
+   * 차단 정보 조회
+   * @returns {Promise<{ email, type, reason, provider, createdAt }|null>}
+   */
+  async get(email) {
+    const raw = await kv.get(this.key(email));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async isSuppressed(email) {
+    return Boolean(await this.get(email));
+  }
+
+  /**
+   * 차단 추가 (이미 있으면 최초 등록 시각 유지)
+   * @param {string} email
+   * @param {Object} info - { type: BOUNCE|COMPLAINT, reason, provider }
+   */
+  async add(email, { type, reason, provider } = {}) {
+    const existing = await this.get(email);
+    const record = {
+      email: normalizeEmail(email),
+      type,
+      reason: reason || null,
+      provider: provider || null,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await kv.set(this.key(email), JSON.stringify(record));
+
+    if (!existing) {
+      logger.warn('[Email] 수신 차단 등록', { email: maskEmail(record.email), type, provider });
+    }
+    return record;
+  }
+
+  /**
+   * 차단 해제
+   * @returns {Promise<boolean>} 해제 여부
+   */
+  async remove(email) {
+    return (await kv.del(this.key(email))) > 0;
+  }
+}
+
+// 싱글톤 인스턴스
+const emailSuppressionList = new EmailSuppressionList();
+
+export default emailSuppressionList;
+export { EmailSuppressionList };
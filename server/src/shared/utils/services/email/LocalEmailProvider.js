@@ -0,0 +1,38 @@
+/**
+ * 로컬 개발용 메일함 (파일)
+ * 실제 전송 없이 EMAIL_LOCAL_MAILBOX 디렉터리(기본 tmp/mailbox)에 메시지별 JSON + HTML 파일 저장
+ * 반송/수신 거부는 기본 형식으로 /webhooks/email/local에 보내 테스트
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { EmailProvider } from './EmailProvider.js';
+import { logger } from '../../utilities/Logger.js';
+
+export class LocalEmailProvider extends EmailProvider {
+  constructor(options = {}) {
+    super('local');
+    this.mailboxPath = options.mailboxPath || process.env.EMAIL_LOCAL_MAILBOX || path.join(process.cwd(), 'tmp', 'mailbox');
+  }
+
+  async send({ from, to, subject, html, text, reference }) {
+    const messageId = `local-${crypto.randomUUID()}`;
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${reference}`;
+
+    await fs.mkdir(this.mailboxPath, { recursive: true });
+    await fs.writeFile(
+      path.join(this.mailboxPath, `${fileName}.json`),
+      JSON.stringify({ messageId, reference, from, to, subject, text, sentAt: new Date().toISOString() }, null, 2),
+    );
+    if (html) {
+      await fs.writeFile(path.join(this.mailboxPath, `${fileName}.html`), html);
+    }
+
+    logger.info('[Email] 로컬 메일함 저장 (테스트 모드)', { to, subject, reference, file: `${fileName}.json` });
+
+    return { messageId };
+  }
+}
+
+export default LocalEmailProvider;
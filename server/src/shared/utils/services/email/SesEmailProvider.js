@@ -0,0 +1,154 @@
+/**
+ * Amazon SES(v2 API) 호환 어댑터
+ * 환경변수: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN(선택), EMAIL_SES_REGION(AWS_REGION),
+ *          EMAIL_SES_ENDPOINT (SES 호환 서비스/LocalStack 주소, 기본 https://email.{region}.amazonaws.com),
+ *          EMAIL_SES_CONFIGURATION_SET (반송/수신 거부를 SNS로 보내는 구성 세트)
+ * 반송/수신 거부는 SNS HTTPS 구독으로 수신 - 구독 URL에 ?secret=EMAIL_WEBHOOK_SECRET 포함
+ */
+
+import crypto from 'crypto';
+import { EmailProvider, EMAIL_FEEDBACK_TYPES, emailDeliveryError } from './EmailProvider.js';
+
+const REQUEST_TIMEOUT = 10000;
+const SEND_PATH = '/v2/email/outbound-emails';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+export class SesEmailProvider extends EmailProvider {
+  constructor(options = {}) {
+    super('ses');
+    this.region = options.region || process.env.EMAIL_SES_REGION || process.env.AWS_REGION || 'ap-southeast-1';
+    this.endpoint = (options.endpoint || process.env.EMAIL_SES_ENDPOINT || `https://email.${this.region}.amazonaws.com`).replace(/\/$/, '');
+    this.accessKeyId = options.accessKeyId || process.env.AWS_ACCESS_KEY_ID;
+    this.secretAccessKey = options.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY;
+    this.sessionToken = options.sessionToken || process.env.AWS_SESSION_TOKEN;
+    this.configurationSet = options.configurationSet || process.env.EMAIL_SES_CONFIGURATION_SET;
+  }
+
+  isConfigured() {
+    return Boolean(this.accessKeyId && this.secretAccessKey);
+  }
+
+  /**
+   * AWS Signature Version 4 헤더
+   */
+  signRequest(url, body, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/ses/aws4_request`;
+
+    const headers = {
+      'content-type': 'application/json',
+      host: url.host,
+      'x-amz-date': amzDate,
+      ...(this.sessionToken && { 'x-amz-security-token': this.sessionToken })
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers).sort().map((name) => `${name}:${headers[name]}\n`).join('');
+    const canonicalRequest = ['POST', url.pathname, '', canonicalHeaders, signedHeaders, sha256(body)].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const signingKey = hmac(hmac(hmac(dateKey, this.region), 'ses'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // host는 fetch가 URL로 설정
+    delete headers.host;
+    return {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  async send({ from, to, subject, html, text }) {
+    const url = new URL(`${this.endpoint}${SEND_PATH}`);
+    const body = JSON.stringify({
+      FromEmailAddress: from,
+      Destination: { ToAddresses: [to] },
+      Content: {
+        Simple: {
+          Subject: { Data: subject, Charset: 'UTF-8' },
+          Body: {
+            ...(text && { Text: { Data: text, Charset: 'UTF-8' } }),
+            ...(html && { Html: { Data: html, Charset: 'UTF-8' } })
+          }
+        }
+      },
+      ...(this.configurationSet && { ConfigurationSetName: this.configurationSet })
+    });
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: this.signRequest(url, body),
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+    } catch (error) {
+      throw emailDeliveryError(`ses: ${error.message}`);
+    }
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok) {
+      // 요청/주소 거부(4xx)는 재시도하지 않음 - 인증(403)/요청 한도(429)/서버 오류(5xx)는 재시도
+      const permanent = response.status >= 400 && response.status < 500 && ![403, 429].includes(response.status);
+      throw emailDeliveryError(`ses: HTTP ${response.status} ${result?.message || ''}`.trim(), permanent);
+    }
+
+    return { messageId: result?.MessageId };
+  }
+
+  /**
+   * SNS 구독 확인 - 구독 요청이면 SubscribeURL 호출 후 true
+   * @param {Object} payload - SNS 메시지
+   */
+  async confirmSubscription(payload) {
+    if (payload?.Type !== 'SubscriptionConfirmation') return false;
+
+    const subscribeUrl = new URL(payload.SubscribeURL);
+    if (subscribeUrl.protocol !== 'https:' || !/^sns\.[a-z0-9-]+\.amazonaws\.com$/.test(subscribeUrl.hostname)) {
+      throw new Error('ses: invalid SubscribeURL');
+    }
+    await fetch(subscribeUrl, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    return true;
+  }
+
+  /**
+   * SNS 알림 → 반송/수신 거부 (SES 알림 notificationType, 이벤트 게시 eventType 모두 지원)
+   */
+  parseFeedback(payload) {
+    if (payload?.Type !== 'Notification') return [];
+
+    let message;
+    try {
+      message = typeof payload.Message === 'string' ? JSON.parse(payload.Message) : payload.Message;
+    } catch {
+      return [];
+    }
+
+    const kind = message?.notificationType || message?.eventType;
+    if (kind === 'Bounce') {
+      const { bounceType, bouncedRecipients = [] } = message.bounce || {};
+      return bouncedRecipients.map((recipient) => ({
+        email: recipient.emailAddress,
+        type: EMAIL_FEEDBACK_TYPES.BOUNCE,
+        permanent: bounceType === 'Permanent',
+        reason: recipient.diagnosticCode?.slice(0, 500)
+      }));
+    }
+    if (kind === 'Complaint') {
+      const { complainedRecipients = [], complaintFeedbackType } = message.complaint || {};
+      return complainedRecipients.map((recipient) => ({
+        email: recipient.emailAddress,
+        type: EMAIL_FEEDBACK_TYPES.COMPLAINT,
+        permanent: true,
+        reason: complaintFeedbackType
+      }));
+    }
+    return [];
+  }
+}
+
+export default SesEmailProvider;
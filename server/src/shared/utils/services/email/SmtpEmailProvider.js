@@ -0,0 +1,66 @@
+/**
+ * SMTP 어댑터 (nodemailer)
+ * 환경변수: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS(SMTP_PASSWORD)
+ * 반송/수신 거부는 릴레이 서버가 기본 형식으로 /webhooks/email/smtp에 전달
+ */
+
+import nodemailer from 'nodemailer';
+import { EmailProvider, emailDeliveryError } from './EmailProvider.js';
+
+const SMTP_TIMEOUT = 30000;
+
+// 재시도해도 성공할 수 없는 nodemailer 에러 (주소/메시지 형식 오류)
+const PERMANENT_ERROR_CODES = ['EENVELOPE', 'EMESSAGE'];
+
+export class SmtpEmailProvider extends EmailProvider {
+  constructor(options = {}) {
+    super('smtp');
+    this.config = {
+      host: options.host || process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: parseInt(options.port || process.env.SMTP_PORT || '587'),
+      secure: options.secure ?? process.env.SMTP_SECURE === 'true', // true for 465
+      auth: {
+        user: options.user || process.env.SMTP_USER,
+        pass: options.pass || process.env.SMTP_PASS || process.env.SMTP_PASSWORD
+      },
+      connectionTimeout: SMTP_TIMEOUT,
+      socketTimeout: SMTP_TIMEOUT
+    };
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.config.host && this.config.auth.user);
+  }
+
+  /**
+   * transporter는 첫 전송 시 생성 (서버 시작 시 SMTP 연결하지 않음)
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({ ...this.config, pool: true });
+    }
+    return this.transporter;
+  }
+
+  async send({ from, to, subject, html, text, reference }) {
+    try {
+      const info = await this.getTransporter().sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+        // 재시도로 중복 전송되어도 수신 측에서 같은 메시지로 인식
+        messageId: `<${reference}@${this.config.host}>`
+      });
+      return { messageId: info.messageId };
+    } catch (error) {
+      // 5xx 응답(수신 거부 등)과 형식 오류는 재시도하지 않음, 4xx/연결 오류는 재시도
+      const permanent = (error.responseCode >= 500 && error.responseCode < 600) || PERMANENT_ERROR_CODES.includes(error.code);
+      throw emailDeliveryError(`smtp: ${error.message}`, permanent);
+    }
+  }
+}
+
+export default SmtpEmailProvider;
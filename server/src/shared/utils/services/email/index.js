@@ -0,0 +1,17 @@
+/**
+ * 이메일 발송 모듈
+ * 제공자 어댑터(SMTP, SES 호환, 로컬 메일함), Redis 발송 큐, 수신 차단 목록
+ * 발송 요청은 EmailService.sendEmail (큐 등록)
+ */
+
+import emailQueue, { EmailQueue } from './EmailQueue.js';
+
+export { EmailQueue };
+export { EMAIL_JOB_STATUS, getRetryDelaySeconds } from './EmailQueue.js';
+export { EmailProvider, EMAIL_FEEDBACK_TYPES, emailDeliveryError } from './EmailProvider.js';
+export { SmtpEmailProvider } from './SmtpEmailProvider.js';
+export { SesEmailProvider } from './SesEmailProvider.js';
+export { LocalEmailProvider } from './LocalEmailProvider.js';
+export { default as emailSuppressionList, normalizeEmail, maskEmail } from './EmailSuppressionList.js';
+
+export default emailQueue;
@@ -0,0 +1,186 @@
+/**
+ * 알림 템플릿 서비스
+ * 알림 타입별 다국어 템플릿 레지스트리 - 푸시(title/body), 이메일(subject/html/text), SMS 문구를 렌더링
+ *
+ * - 언어는 LanguageCodeEnum(VI, EN, KO, ZH, JA)과 같은 vi/en/ko/zh/ja (VI, zh-CN 등 허용)
+ * - 언어 결정: 요청 언어 → 기본 언어(vi) 순서로 템플릿에 있는 첫 언어, 채널(푸시/이메일/SMS)별로 같은 순서 적용
+ * - 변수/복수형 문법은 render.js 참고, brandName은 기본값(SMS_BRAND_NAME) 제공
+ *
+ * 실패 시 reason이 있는 NotificationTemplateError throw
+ */
+
+import { renderString } from './render.js';
+import { renderEmail } from './emailLayout.js';
+import { ORDER_TEMPLATES } from './orderTemplates.js';
+import { CHAT_TEMPLATES } from './chatTemplates.js';
+import { STORE_TEMPLATES } from './storeTemplates.js';
+import { ACCOUNT_TEMPLATES } from './accountTemplates.js';
+
+export const SUPPORTED_LANGUAGES = ['vi', 'en', 'ko', 'zh', 'ja'];
+export const DEFAULT_LANGUAGE = 'vi';
+export const TEMPLATE_CHANNELS = ['push', 'email', 'sms'];
+
+const BRAND = () => process.env.SMS_BRAND_NAME || 'Duri';
+
+// 알림 타입 → 템플릿
+export const NOTIFICATION_TEMPLATES = {
+  ...ORDER_TEMPLATES,
+  ...CHAT_TEMPLATES,
+  ...STORE_TEMPLATES,
+  ...ACCOUNT_TEMPLATES
+};
+
+/**
+ * 알림 템플릿 에러
+ * @param {string} reason - TEMPLATE_NOT_FOUND | INVALID_LANGUAGE | INVALID_VARIABLES
+ */
+const notificationTemplateError = (reason) => {
+  const error = new Error(reason);
+  error.name = 'NotificationTemplateError';
+  error.reason = reason;
+  return error;
+};
+
+/**
+ * 언어 코드 정규화 (VI → vi, zh-CN → zh), 미지원 언어는 null
+ * @param {string} language
+ * @returns {string|null}
+ */
+export const normalizeLanguage = (language) => {
+  const code = String(language || '').slice(0, 2).toLowerCase();
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+};
+
+class NotificationTemplateService {
+  /**
+   * 템플릿 조회
+   * @param {string} type - 알림 타입
+   */
+  getTemplate(type) {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) {
+      throw notificationTemplateError('TEMPLATE_NOT_FOUND');
+    }
+    return template;
+  }
+
+  hasTemplate(type) {
+    return Boolean(NOTIFICATION_TEMPLATES[type]);
+  }
+
+  /**
+   * 채널 렌더링에 사용할 언어 - 요청 언어 → 기본 언어 순서로 해당 채널 문구가 있는 언어
+   * @returns {string|null} 해당 채널 문구가 없는 템플릿이면 null
+   */
+  resolveLanguage(template, language, channel) {
+    const candidates = [normalizeLanguage(language), DEFAULT_LANGUAGE].filter(Boolean);
+    return candidates.find((code) => template.languages[code]?.[channel]) || null;
+  }
+
+  /**
+   * 템플릿 렌더링
+   * @param {string} type - 알림 타입
+   * @param {string} language - 수신자 언어
+   * @param {Object} variables - 템플릿 변수
+   * @param {Object} options - { channels: 렌더링할 채널 (기본: 전체) }
+   * @returns {{ type, language, push: { title, body }|null, email: { subject, html, text }|null, sms: string|null, missingVariables: string[] }}
+   */
+  render(type, language, variables = {}, { channels = TEMPLATE_CHANNELS } = {}) {
+    const template = this.getTemplate(type);
+    if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw notificationTemplateError('INVALID_VARIABLES');
+    }
+
+    const values = { brandName: BRAND(), ...variables };
+    const missing = new Set();
+    const result = {
+      type,
+      language: null,
+      push: null,
+      email: null,
+      sms: null
+    };
+
+    for (const channel of channels) {
+      const code = this.resolveLanguage(template, language, channel);
+      if (!code) continue;
+
+      result.language = result.language || code;
+      const content = template.languages[code][channel];
+      const options = { language: code, missing };
+      if (channel === 'push') {
+        result.push = { title: renderString(content.title, values, options), body: renderString(content.body, values, options) };
+      } else if (channel === 'email') {
+        result.email = renderEmail(content, values, options);
+      } else if (channel === 'sms') {
+        result.sms = renderString(content, values, options);
+      }
+    }
+
+    return { ...result, language: result.language || DEFAULT_LANGUAGE, missingVariables: [...missing] };
+  }
+
+  /**
+   * 푸시 문구 렌더링
+   * @returns {{ title: string, body: string }|null}
+   */
+  renderPush(type, language, variables) {
+    return this.render(type, language, variables, { channels: ['push'] }).push;
+  }
+
+  /**
+   * 이메일 렌더링
+   * @returns {{ subject: string, html: string, text: string }|null}
+   */
+  renderEmail(type, language, variables) {
+    return this.render(type, language, variables, { channels: ['email'] }).email;
+  }
+
+  /**
+   * SMS 문구 렌더링
+   * @returns {string|null}
+   */
+  renderSms(type, language, variables) {
+    return this.render(type, language, variables, { channels: ['sms'] }).sms;
+  }
+
+  /**
+   * 템플릿 목록 (관리자 미리보기용)
+   */
+  listTemplates() {
+    return Object.entries(NOTIFICATION_TEMPLATES).map(([type, template]) => ({
+      type,
+      category: template.category,
+      description: template.description,
+      variables: template.variables,
+      sampleVariables: template.sample,
+      channels: TEMPLATE_CHANNELS.filter((channel) => (
+        SUPPORTED_LANGUAGES.some((code) => template.languages[code]?.[channel])
+      )),
+      languages: SUPPORTED_LANGUAGES.filter((code) => template.languages[code])
+    }));
+  }
+
+  /**
+   * 관리자 미리보기 - 전달하지 않은 변수는 예시 값 사용, 미지원 언어는 거부 (실제 발송은 기본 언어로 대체)
+   * @param {string} type - 알림 타입
+   * @param {string} language - 미리볼 언어
+   * @param {Object} variables - 덮어쓸 변수
+   */
+  preview(type, language, variables = {}) {
+    const template = this.getTemplate(type);
+    if (language && !normalizeLanguage(language)) {
+      throw notificationTemplateError('INVALID_LANGUAGE');
+    }
+    if (variables && (typeof variables !== 'object' || Array.isArray(variables))) {
+      throw notificationTemplateError('INVALID_VARIABLES');
+    }
+    return this.render(type, language, { ...template.sample, ...variables });
+  }
+}
+
+// 싱글톤 인스턴스
+const notificationTemplateService = new NotificationTemplateService();
+
+export default notificationTemplateService;
+export { NotificationTemplateService };
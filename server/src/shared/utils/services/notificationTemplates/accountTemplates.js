@@ -0,0 +1,183 @@
+/**
+ * 계정/인증 알림 템플릿
+ * - PASSWORD_RESET: Web 계정 비밀번호 재설정 링크 (이메일)
+ * - ADMIN_INVITATION: 관리자 콘솔 초대 - 비밀번호 설정 링크 (이메일) - 역할명은 roleName으로 전달 (ADMIN_ROLE_NAMES)
+ * - OTP_VERIFICATION / OTP_RESET / OTP_LOGIN: SMS 인증번호 (OTPManager.saveOTP의 type별)
+ * SMS의 베트남어는 브랜드네임 SMS 비유니코드 요금제를 위해 성조 없이 작성
+ */
+
+// 관리자 역할명 (ADMIN_INVITATION의 roleName)
+export const ADMIN_ROLE_NAMES = {
+  SUPER_ADMIN: { vi: 'Quản trị viên cấp cao', en: 'Super admin', ko: '최고 관리자', zh: '超级管理员', ja: 'スーパー管理者' },
+  ADMIN: { vi: 'Quản trị viên', en: 'Admin', ko: '관리자', zh: '管理员', ja: '管理者' },
+  VIEWER: { vi: 'Người xem', en: 'Viewer', ko: '조회 전용', zh: '只读用户', ja: '閲覧者' }
+};
+
+const otp = (description, languages) => ({
+  category: 'SECURITY',
+  description,
+  variables: ['code', 'minutes'],
+  sample: { code: '482915', minutes: 5 },
+  languages
+});
+
+export const ACCOUNT_TEMPLATES = {
+  PASSWORD_RESET: {
+    category: 'SECURITY',
+    description: 'Web 계정 비밀번호 재설정 링크',
+    variables: ['name', 'resetUrl', 'expiresInMinutes'],
+    sample: {
+      name: 'Nguyễn Văn A',
+      resetUrl: 'http://localhost:5001/reset-password?token=sample',
+      expiresInMinutes: 60
+    },
+    languages: {
+      vi: {
+        email: {
+          subject: 'Đặt lại mật khẩu',
+          greeting: 'Xin chào {{name}},',
+          paragraphs: ['Chúng tôi đã nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn.'],
+          action: { label: 'Đặt lại mật khẩu', url: '{{resetUrl}}' },
+          notice: 'Liên kết có hiệu lực trong {expiresInMinutes, plural, other {# phút}}.',
+          footer: 'Nếu bạn không yêu cầu, hãy bỏ qua email này.'
+        }
+      },
+      en: {
+        email: {
+          subject: 'Reset your password',
+          greeting: 'Hello {{name}},',
+          paragraphs: ['We received a request to reset the password for your account.'],
+          action: { label: 'Reset password', url: '{{resetUrl}}' },
+          notice: 'This link is valid for {expiresInMinutes, plural, one {# minute} other {# minutes}}.',
+          footer: 'If you did not request this, you can ignore this email.'
+        }
+      },
+      ko: {
+        email: {
+          subject: '비밀번호 재설정 안내',
+          greeting: '안녕하세요, {{name}}님!',
+          paragraphs: ['계정의 비밀번호 재설정 요청이 접수되었습니다.'],
+          action: { label: '비밀번호 재설정하기', url: '{{resetUrl}}' },
+          notice: '링크는 {expiresInMinutes, plural, other {#분}} 동안 유효합니다.',
+          footer: '본인이 요청하지 않았다면 이 이메일을 무시해주세요.'
+        }
+      },
+      zh: {
+        email: {
+          subject: '重置密码',
+          greeting: '{{name}}，您好！',
+          paragraphs: ['我们收到了重置您账户密码的请求。'],
+          action: { label: '重置密码', url: '{{resetUrl}}' },
+          notice: '该链接在{expiresInMinutes, plural, other {#分钟}}内有效。',
+          footer: '如果这不是您本人的操作，请忽略此邮件。'
+        }
+      },
+      ja: {
+        email: {
+          subject: 'パスワード再設定のご案内',
+          greeting: '{{name}}様',
+          paragraphs: ['アカウントのパスワード再設定のリクエストを受け付けました。'],
+          action: { label: 'パスワードを再設定', url: '{{resetUrl}}' },
+          notice: 'リンクの有効期限は{expiresInMinutes, plural, other {#分}}です。',
+          footer: 'お心当たりがない場合は、このメールを無視してください。'
+        }
+      }
+    }
+  },
+
+  ADMIN_INVITATION: {
+    category: 'SECURITY',
+    description: '관리자 콘솔 초대 (1회용 비밀번호 설정 링크)',
+    variables: ['fullName', 'inviterName', 'roleName', 'acceptUrl', 'expiresInHours'],
+    sample: {
+      fullName: 'Nguyễn Văn A',
+      inviterName: 'Trần Thị B',
+      roleName: 'Quản trị viên',
+      acceptUrl: 'http://localhost:5002/accept-invitation?token=sample',
+      expiresInHours: 72
+    },
+    languages: {
+      vi: {
+        email: {
+          subject: 'Lời mời tham gia trang quản trị',
+          greeting: 'Xin chào {{fullName}},',
+          paragraphs: ['{{inviterName}} đã mời bạn tham gia trang quản trị với vai trò {{roleName}}.'],
+          action: { label: 'Đặt mật khẩu', url: '{{acceptUrl}}' },
+          notice: 'Liên kết chỉ dùng được một lần và hết hạn sau {expiresInHours, plural, other {# giờ}}.'
+        }
+      },
+      en: {
+        email: {
+          subject: 'Invitation to the admin console',
+          greeting: 'Hello {{fullName}},',
+          paragraphs: ['{{inviterName}} has invited you to the admin console as {{roleName}}.'],
+          action: { label: 'Set your password', url: '{{acceptUrl}}' },
+          notice: 'This link can be used once and expires in {expiresInHours, plural, one {# hour} other {# hours}}.'
+        }
+      },
+      ko: {
+        email: {
+          subject: '관리자 콘솔 초대 안내',
+          greeting: '안녕하세요, {{fullName}}님!',
+          paragraphs: ['{{inviterName}}님이 {{roleName}} 역할로 관리자 콘솔에 초대했습니다.'],
+          action: { label: '비밀번호 설정하기', url: '{{acceptUrl}}' },
+          notice: '이 링크는 한 번만 사용할 수 있으며 {expiresInHours, plural, other {#시간}} 후 만료됩니다.'
+        }
+      },
+      zh: {
+        email: {
+          subject: '管理后台邀请',
+          greeting: '{{fullName}}，您好！',
+          paragraphs: ['{{inviterName}} 邀请您以{{roleName}}身份加入管理后台。'],
+          action: { label: '设置密码', url: '{{acceptUrl}}' },
+          notice: '该链接仅可使用一次，将在{expiresInHours, plural, other {#小时}}后失效。'
+        }
+      },
+      ja: {
+        email: {
+          subject: '管理コンソールへの招待',
+          greeting: '{{fullName}}様',
+          paragraphs: ['{{inviterName}}様より、{{roleName}}として管理コンソールに招待されました。'],
+          action: { label: 'パスワードを設定', url: '{{acceptUrl}}' },
+          notice: 'このリンクは一度だけ使用でき、{expiresInHours, plural, other {#時間}}後に失効します。'
+        }
+      }
+    }
+  },
+
+  OTP_VERIFICATION: otp('SMS 인증번호 (가입/번호 인증)', {
+    vi: { sms: '{{brandName}}: Ma xac thuc cua ban la {{code}}. Ma co hieu luc trong {minutes, plural, other {# phut}}. Khong chia se ma nay voi bat ky ai.' },
+    en: { sms: '{{brandName}}: Your verification code is {{code}}. It expires in {minutes, plural, one {# minute} other {# minutes}}. Do not share this code.' },
+    ko: { sms: '[{{brandName}}] 인증번호 {{code}}를 입력해주세요. {minutes, plural, other {#분}}간 유효하며 타인에게 알려주지 마세요.' },
+    zh: { sms: '【{{brandName}}】您的验证码是 {{code}}，{minutes, plural, other {#分钟}}内有效。请勿将验证码告诉他人。' },
+    ja: { sms: '【{{brandName}}】認証コードは {{code}} です。有効期限は{minutes, plural, other {#分}}です。他人に教えないでください。' }
+  }),
+
+  OTP_RESET: otp('SMS 인증번호 (비밀번호 재설정)', {
+    vi: { sms: '{{brandName}}: Ma dat lai mat khau cua ban la {{code}}. Ma co hieu luc trong {minutes, plural, other {# phut}}. Neu ban khong yeu cau, hay bo qua tin nhan nay.' },
+    en: { sms: '{{brandName}}: Your password reset code is {{code}}. It expires in {minutes, plural, one {# minute} other {# minutes}}. If you did not request this, ignore this message.' },
+    ko: { sms: '[{{brandName}}] 비밀번호 재설정 인증번호는 {{code}}입니다. {minutes, plural, other {#분}}간 유효합니다. 요청하지 않았다면 무시해주세요.' },
+    zh: { sms: '【{{brandName}}】您的密码重置验证码是 {{code}}，{minutes, plural, other {#分钟}}内有效。如非本人操作，请忽略此短信。' },
+    ja: { sms: '【{{brandName}}】パスワード再設定コードは {{code}} です。有効期限は{minutes, plural, other {#分}}です。お心当たりがない場合は無視してください。' }
+  }),
+
+  OTP_LOGIN: otp('SMS 인증번호 (로그인)', {
+    vi: { sms: '{{brandName}}: Ma dang nhap cua ban la {{code}}. Ma co hieu luc trong {minutes, plural, other {# phut}}. Khong chia se ma nay voi bat ky ai.' },
+    en: { sms: '{{brandName}}: Your sign-in code is {{code}}. It expires in {minutes, plural, one {# minute} other {# minutes}}. Do not share this code.' },
+    ko: { sms: '[{{brandName}}] 로그인 인증번호는 {{code}}입니다. {minutes, plural, other {#분}}간 유효하며 타인에게 알려주지 마세요.' },
+    zh: { sms: '【{{brandName}}】您的登录验证码是 {{code}}，{minutes, plural, other {#分钟}}内有效。请勿将验证码告诉他人。' },
+    ja: { sms: '【{{brandName}}】ログインコードは {{code}} です。有効期限は{minutes, plural, other {#分}}です。他人に教えないでください。' }
+  })
+};
+
+/**
+ * OTP 용도(verification | reset | login) → 템플릿 타입, 모르는 용도는 OTP_VERIFICATION
+ * @param {string} type
+ * @returns {string}
+ */
+export const getOtpTemplateType = (type) => {
+  const templateType = `OTP_${String(type || '').toUpperCase()}`;
+  return ACCOUNT_TEMPLATES[templateType] ? templateType : 'OTP_VERIFICATION';
+};
+
+export default ACCOUNT_TEMPLATES;
@@ -0,0 +1,47 @@
+/**
+ * 채팅 알림 템플릿 (고객용)
+ * 읽지 않은 메시지가 여러 개면 본문 앞에 개수 표시 (복수형)
+ */
+
+export const CHAT_TEMPLATES = {
+  CHAT_MESSAGE: {
+    category: 'CHAT',
+    description: '새 채팅 메시지 (채팅방별로 합쳐서 발송)',
+    variables: ['senderName', 'messagePreview', 'unreadCount'],
+    sample: { senderName: 'Phở Hà Nội', messagePreview: 'Xin chào!', unreadCount: 3 },
+    languages: {
+      vi: {
+        push: {
+          title: 'Tin nhắn mới từ {{senderName}}',
+          body: '{unreadCount, plural, one {{{messagePreview}}} other {# tin nhắn mới · {{messagePreview}}}}'
+        }
+      },
+      en: {
+        push: {
+          title: 'New message from {{senderName}}',
+          body: '{unreadCount, plural, one {{{messagePreview}}} other {# new messages · {{messagePreview}}}}'
+        }
+      },
+      ko: {
+        push: {
+          title: '{{senderName}}님의 새 메시지',
+          body: '{unreadCount, plural, =1 {{{messagePreview}}} other {새 메시지 #개 · {{messagePreview}}}}'
+        }
+      },
+      zh: {
+        push: {
+          title: '来自{{senderName}}的新消息',
+          body: '{unreadCount, plural, =1 {{{messagePreview}}} other {#条新消息 · {{messagePreview}}}}'
+        }
+      },
+      ja: {
+        push: {
+          title: '{{senderName}}さんから新着メッセージ',
+          body: '{unreadCount, plural, =1 {{{messagePreview}}} other {新着メッセージ#件 · {{messagePreview}}}}'
+        }
+      }
+    }
+  }
+};
+
+export default CHAT_TEMPLATES;
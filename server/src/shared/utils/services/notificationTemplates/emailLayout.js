@@ -0,0 +1,75 @@
+/**
+ * 알림 이메일 공통 레이아웃
+ * 템플릿의 email 정의(제목/인사/본문/상세 정보/버튼/안내/단계/푸터)로 HTML과 텍스트 본문을 함께 생성
+ * 메일 클라이언트 호환을 위해 <style> 대신 인라인 스타일 사용
+ */
+
+import { renderString, escapeHtml } from './render.js';
+
+const BRAND_NAME = () => process.env.SMTP_FROM_NAME || process.env.EMAIL_FROM_NAME || 'Delivery VN';
+
+/**
+ * email 정의 → { subject, html, text }
+ * @param {Object} email - 템플릿 email 정의
+ * @param {Object} variables - 변수 값
+ * @param {Object} options - { language, missing }
+ */
+export const renderEmail = (email, variables, { language, missing } = {}) => {
+  const text = (template) => renderString(template, variables, { language, missing });
+  const html = (template) => renderString(template, variables, { language, missing, html: true });
+
+  const subject = text(email.subject);
+  const details = email.details || [];
+  const { action } = email;
+
+  const htmlBody = `
+<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1a1a1a; background: #f5f7fa; padding: 20px;">
+    <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 16px; padding: 32px;">
+        ${email.heading ? `<h1 style="font-size: 22px; margin: 0 0 24px;">${html(email.heading)}</h1>` : ''}
+        ${email.greeting ? `<p>${html(email.greeting)}</p>` : ''}
+        ${(email.paragraphs || []).map((paragraph) => `<p>${html(paragraph)}</p>`).join('\n        ')}
+        ${details.length > 0 ? `
+        <table style="width: 100%; border-collapse: collapse; margin: 24px 0; background: #f9fafb; border-radius: 12px;">
+            ${details.map((detail) => `<tr>
+                <td style="padding: 10px 16px; color: #6b7280; width: 40%;">${html(detail.label)}</td>
+                <td style="padding: 10px 16px; font-weight: 600; font-family: monospace;">${html(detail.value)}</td>
+            </tr>`).join('\n            ')}
+        </table>` : ''}
+        ${action ? `
+        <p style="margin: 24px 0;">
+            <a href="${html(action.url)}" style="background: #2563eb; color: #ffffff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">${html(action.label)}</a>
+        </p>` : ''}
+        ${email.notice ? `<p style="background: #fff7ed; border-left: 4px solid #f97316; padding: 12px 16px; border-radius: 8px;">${html(email.notice)}</p>` : ''}
+        ${email.steps?.length ? `
+        <ol style="padding-left: 20px; color: #374151;">
+            ${email.steps.map((step) => `<li style="margin-bottom: 8px;">${html(step)}</li>`).join('\n            ')}
+        </ol>` : ''}
+        ${email.footer ? `<p style="color: #6b7280; font-size: 13px; margin-top: 32px;">${html(email.footer)}</p>` : ''}
+        <p style="color: #9ca3af; font-size: 12px;">${escapeHtml(BRAND_NAME())} © ${new Date().getFullYear()}</p>
+    </div>
+</body>
+</html>
+    `;
+
+  const textBody = [
+    email.greeting && text(email.greeting),
+    ...(email.paragraphs || []).map(text),
+    details.length > 0 && details.map((detail) => `- ${text(detail.label)}: ${text(detail.value)}`).join('\n'),
+    action && `${text(action.label)}: ${text(action.url)}`,
+    email.notice && text(email.notice),
+    email.steps?.length && email.steps.map((step, index) => `${index + 1}. ${text(step)}`).join('\n'),
+    email.footer && text(email.footer),
+    `© ${new Date().getFullYear()} ${BRAND_NAME()}`
+  ].filter(Boolean).join('\n\n');
+
+  return { subject, html: htmlBody, text: textBody };
+};
+
+export default renderEmail;
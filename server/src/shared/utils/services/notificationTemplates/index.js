@@ -0,0 +1,20 @@
+/**
+ * 알림 템플릿 모듈
+ * 알림 타입별 다국어(vi/en/ko/zh/ja) 푸시/이메일/SMS 템플릿 레지스트리와 렌더링 서비스
+ */
+
+import notificationTemplateService, { NotificationTemplateService } from './NotificationTemplateService.js';
+
+export { NotificationTemplateService };
+export {
+  NOTIFICATION_TEMPLATES,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TEMPLATE_CHANNELS,
+  normalizeLanguage
+} from './NotificationTemplateService.js';
+export { getOrderStatusTemplateType } from './orderTemplates.js';
+export { ADMIN_ROLE_NAMES, getOtpTemplateType } from './accountTemplates.js';
+export { renderString, escapeHtml } from './render.js';
+
+export default notificationTemplateService;
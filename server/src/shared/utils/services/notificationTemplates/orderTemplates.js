@@ -0,0 +1,269 @@
+/**
+ * 주문 알림 템플릿 (고객용)
+ * 주문 상태별 타입 ORDER_<STATUS> - 등록되지 않은 상태는 ORDER_STATUS({{status}} 표시) 사용
+ * SMS의 베트남어는 브랜드네임 SMS 비유니코드 요금제를 위해 성조 없이 작성 (accountTemplates.js의 OTP와 동일)
+ */
+
+const order = (description, languages) => ({
+  category: 'TRANSACTIONAL',
+  description,
+  variables: ['orderNumber'],
+  sample: { orderNumber: 'DV240101001' },
+  languages
+});
+
+export const ORDER_TEMPLATES = {
+  ORDER_PENDING: order('주문 접수 대기', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}}', body: 'Đơn hàng của bạn đang chờ xác nhận' },
+      sms: '{{brandName}}: Don hang #{{orderNumber}} dang cho cua hang xac nhan.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}}', body: 'Your order is pending confirmation' },
+      sms: '{{brandName}}: Order #{{orderNumber}} is waiting for store confirmation.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}}', body: '주문이 확인 대기 중입니다' },
+      sms: '[{{brandName}}] 주문 #{{orderNumber}}이 매장 확인을 기다리고 있습니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}}', body: '您的订单正在等待确认' },
+      sms: '【{{brandName}}】订单 #{{orderNumber}} 正在等待商家确认。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}}', body: 'ご注文は確認待ちです' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} は店舗の確認待ちです。'
+    }
+  }),
+
+  ORDER_CONFIRMED: order('주문 확인', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}}', body: 'Đã xác nhận đơn hàng của bạn' },
+      sms: '{{brandName}}: Don hang #{{orderNumber}} da duoc xac nhan.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}}', body: 'Your order has been confirmed' },
+      sms: '{{brandName}}: Order #{{orderNumber}} has been confirmed.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}}', body: '주문이 확인되었습니다' },
+      sms: '[{{brandName}}] 주문 #{{orderNumber}}이 확인되었습니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}}', body: '您的订单已确认' },
+      sms: '【{{brandName}}】订单 #{{orderNumber}} 已确认。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}}', body: 'ご注文が確認されました' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} が確認されました。'
+    }
+  }),
+
+  ORDER_PREPARING: order('음식 준비 중', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}}', body: 'Cửa hàng đang chuẩn bị đơn hàng của bạn' },
+      sms: '{{brandName}}: Cua hang dang chuan bi don hang #{{orderNumber}}.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}}', body: 'Your order is being prepared' },
+      sms: '{{brandName}}: Order #{{orderNumber}} is being prepared.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}}', body: '매장에서 주문을 준비 중입니다' },
+      sms: '[{{brandName}}] 매장에서 주문 #{{orderNumber}}을 준비 중입니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}}', body: '商家正在准备您的订单' },
+      sms: '【{{brandName}}】商家正在准备订单 #{{orderNumber}}。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}}', body: '店舗でご注文を準備しています' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} を準備しています。'
+    }
+  }),
+
+  ORDER_READY: order('픽업 준비 완료', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}} sẵn sàng', body: 'Đơn hàng của bạn đã sẵn sàng để giao' },
+      sms: '{{brandName}}: Don hang #{{orderNumber}} da san sang de giao.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}} ready', body: 'Your order is ready for delivery' },
+      sms: '{{brandName}}: Order #{{orderNumber}} is ready for delivery.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}} 준비 완료', body: '주문이 배달 준비 완료되었습니다' },
+      sms: '[{{brandName}}] 주문 #{{orderNumber}}이 배달 준비 완료되었습니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}} 已备好', body: '您的订单已备好，等待配送' },
+      sms: '【{{brandName}}】订单 #{{orderNumber}} 已备好，等待配送。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}} 準備完了', body: 'ご注文の配達準備が整いました' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} の配達準備が整いました。'
+    }
+  }),
+
+  ORDER_DELIVERING: order('배달 중', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}} đang giao', body: 'Đơn hàng của bạn đang được giao đến' },
+      sms: '{{brandName}}: Don hang #{{orderNumber}} dang duoc giao den ban.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}} on the way', body: 'Your order is on the way' },
+      sms: '{{brandName}}: Order #{{orderNumber}} is on the way.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}} 배달 중', body: '주문이 배달 중입니다' },
+      sms: '[{{brandName}}] 주문 #{{orderNumber}}이 배달 중입니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}} 配送中', body: '您的订单正在配送中' },
+      sms: '【{{brandName}}】订单 #{{orderNumber}} 正在配送中。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}} 配達中', body: 'ご注文をお届け中です' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} をお届け中です。'
+    }
+  }),
+
+  ORDER_COMPLETED: order('배달 완료 (리뷰 작성 요청)', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}} hoàn thành', body: 'Cảm ơn bạn! Vui lòng đánh giá đơn hàng của bạn' },
+      sms: '{{brandName}}: Don hang #{{orderNumber}} da giao thanh cong. Cam on ban!'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}} completed', body: 'Thank you! Please review your order' },
+      sms: '{{brandName}}: Order #{{orderNumber}} has been delivered. Thank you!'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}} 완료', body: '감사합니다! 주문에 대한 리뷰를 남겨주세요' },
+      sms: '[{{brandName}}] 주문 #{{orderNumber}} 배달이 완료되었습니다. 감사합니다!'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}} 已完成', body: '感谢您的惠顾！请为您的订单留下评价' },
+      sms: '【{{brandName}}】订单 #{{orderNumber}} 已送达，感谢您的惠顾！'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}} 完了', body: 'ありがとうございました！ご注文のレビューをお願いします' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} の配達が完了しました。ありがとうございました！'
+    }
+  }),
+
+  ORDER_CANCELLED: order('주문 취소', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}} đã bị hủy', body: 'Đơn hàng của bạn đã bị hủy' },
+      sms: '{{brandName}}: Don hang #{{orderNumber}} da bi huy.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}} cancelled', body: 'Your order has been cancelled' },
+      sms: '{{brandName}}: Order #{{orderNumber}} has been cancelled.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}} 취소됨', body: '주문이 취소되었습니다' },
+      sms: '[{{brandName}}] 주문 #{{orderNumber}}이 취소되었습니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}} 已取消', body: '您的订单已取消' },
+      sms: '【{{brandName}}】订单 #{{orderNumber}} 已取消。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}} キャンセル', body: 'ご注文はキャンセルされました' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} はキャンセルされました。'
+    }
+  }),
+
+  ORDER_REJECTED: order('주문 거절', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}} bị từ chối', body: 'Xin lỗi, cửa hàng đã từ chối đơn hàng của bạn' },
+      sms: '{{brandName}}: Xin loi, cua hang da tu choi don hang #{{orderNumber}}.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}} rejected', body: 'Sorry, the store has rejected your order' },
+      sms: '{{brandName}}: Sorry, the store has rejected order #{{orderNumber}}.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}} 거절됨', body: '죄송합니다. 매장에서 주문을 거절했습니다' },
+      sms: '[{{brandName}}] 죄송합니다. 매장에서 주문 #{{orderNumber}}을 거절했습니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}} 被拒绝', body: '抱歉，商家拒绝了您的订单' },
+      sms: '【{{brandName}}】抱歉，商家拒绝了订单 #{{orderNumber}}。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}} 受付不可', body: '申し訳ありません。店舗がご注文をお受けできませんでした' },
+      sms: '【{{brandName}}】申し訳ありません。注文 #{{orderNumber}} は店舗でお受けできませんでした。'
+    }
+  }),
+
+  ORDER_REFUNDED: order('환불 완료', {
+    vi: {
+      push: { title: 'Đơn hàng #{{orderNumber}} đã hoàn tiền', body: 'Tiền của đơn hàng đã được hoàn lại' },
+      sms: '{{brandName}}: Don hang #{{orderNumber}} da duoc hoan tien.'
+    },
+    en: {
+      push: { title: 'Order #{{orderNumber}} refunded', body: 'Your payment has been refunded' },
+      sms: '{{brandName}}: Order #{{orderNumber}} has been refunded.'
+    },
+    ko: {
+      push: { title: '주문 #{{orderNumber}} 환불 완료', body: '결제 금액이 환불되었습니다' },
+      sms: '[{{brandName}}] 주문 #{{orderNumber}}의 결제 금액이 환불되었습니다.'
+    },
+    zh: {
+      push: { title: '订单 #{{orderNumber}} 已退款', body: '您的付款已退还' },
+      sms: '【{{brandName}}】订单 #{{orderNumber}} 已退款。'
+    },
+    ja: {
+      push: { title: '注文 #{{orderNumber}} 返金済み', body: 'お支払い金額が返金されました' },
+      sms: '【{{brandName}}】注文 #{{orderNumber}} の返金が完了しました。'
+    }
+  }),
+
+  ORDER_STATUS: {
+    category: 'TRANSACTIONAL',
+    description: '주문 상태 변경 (기타 상태)',
+    variables: ['orderNumber', 'status'],
+    sample: { orderNumber: 'DV240101001', status: 'PICKED_UP' },
+    languages: {
+      vi: {
+        push: { title: 'Đơn hàng #{{orderNumber}}', body: 'Trạng thái đơn hàng: {{status}}' },
+        sms: '{{brandName}}: Trang thai don hang #{{orderNumber}}: {{status}}'
+      },
+      en: {
+        push: { title: 'Order #{{orderNumber}}', body: 'Order status: {{status}}' },
+        sms: '{{brandName}}: Order #{{orderNumber}} status: {{status}}'
+      },
+      ko: {
+        push: { title: '주문 #{{orderNumber}}', body: '주문 상태: {{status}}' },
+        sms: '[{{brandName}}] 주문 #{{orderNumber}} 상태: {{status}}'
+      },
+      zh: {
+        push: { title: '订单 #{{orderNumber}}', body: '订单状态：{{status}}' },
+        sms: '【{{brandName}}】订单 #{{orderNumber}} 状态：{{status}}'
+      },
+      ja: {
+        push: { title: '注文 #{{orderNumber}}', body: '注文ステータス：{{status}}' },
+        sms: '【{{brandName}}】注文 #{{orderNumber}} ステータス：{{status}}'
+      }
+    }
+  }
+};
+
+// 템플릿이 따로 없는 주문 상태 → 같은 의미의 템플릿 상태
+const ORDER_STATUS_ALIASES = {
+  PICKED_UP: 'DELIVERING',
+  DELIVERED: 'COMPLETED'
+};
+
+/**
+ * 주문 상태 → 템플릿 타입 (없으면 ORDER_STATUS)
+ * @param {string} status - 주문 상태
+ * @returns {string}
+ */
+export const getOrderStatusTemplateType = (status) => {
+  const type = `ORDER_${ORDER_STATUS_ALIASES[status] || status}`;
+  return ORDER_TEMPLATES[type] ? type : 'ORDER_STATUS';
+};
+
+export default ORDER_TEMPLATES;
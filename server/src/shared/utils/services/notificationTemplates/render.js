@@ -0,0 +1,69 @@
+/**
+ * 알림 템플릿 문자열 렌더링
+ *
+ * - 변수: {{name}} (이메일 HTML은 값을 이스케이프)
+ * - 복수형: {count, plural, =0 {...} one {# item} other {# items}} - Intl.PluralRules 기준, #은 count 값
+ *   (vi/ko/zh/ja는 other만 사용, 형태 안에서 {{name}} 사용 가능)
+ * - 값이 없는 변수는 빈 문자열로 치환하고 missing에 기록 (관리자 미리보기에서 표시)
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const PLURAL_PATTERN = /\{(\w+),\s*plural,((?:\s*(?:=\d+|zero|one|two|few|many|other)\s*\{(?:[^{}]|\{\{\s*\w+\s*\}\})*\})+)\s*\}/g;
+const PLURAL_FORM_PATTERN = /(=\d+|zero|one|two|few|many|other)\s*\{((?:[^{}]|\{\{\s*\w+\s*\}\})*)\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * HTML 이스케이프
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * 복수형 형태 선택 (정확한 값(=N) 우선, 없으면 언어 규칙, 최종 other)
+ */
+const selectPluralForm = (forms, count, language) => {
+  if (forms[`=${count}`] !== undefined) return forms[`=${count}`];
+  const category = new Intl.PluralRules(language).select(count);
+  return forms[category] ?? forms.other ?? '';
+};
+
+/**
+ * 템플릿 문자열 렌더링
+ * @param {string} template - 템플릿 문자열
+ * @param {Object} variables - 변수 값
+ * @param {Object} options - { language, html: HTML 이스케이프 여부, missing: 누락 변수 수집용 Set }
+ * @returns {string}
+ */
+export const renderString = (template, variables = {}, { language = 'vi', html = false, missing } = {}) => {
+  if (!template) return '';
+
+  const value = (name) => {
+    const raw = variables[name];
+    if (raw === undefined || raw === null || raw === '') {
+      missing?.add(name);
+      return '';
+    }
+    return html ? escapeHtml(raw) : String(raw);
+  };
+
+  const withPlurals = template.replace(PLURAL_PATTERN, (_, name, body) => {
+    const count = Number(variables[name]);
+    if (!Number.isFinite(count)) {
+      missing?.add(name);
+      return '';
+    }
+
+    const forms = {};
+    for (const [, key, text] of body.matchAll(PLURAL_FORM_PATTERN)) {
+      forms[key] = text;
+    }
+    const formatted = new Intl.NumberFormat(language).format(count);
+    return selectPluralForm(forms, count, language).replace(/#/g, formatted);
+  });
+
+  return withPlurals.replace(VARIABLE_PATTERN, (_, name) => value(name));
+};
+
+export default renderString;
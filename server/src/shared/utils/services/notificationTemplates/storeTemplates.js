@@ -0,0 +1,22 @@
+/**
+ * 매장 알림 템플릿 (점주용)
+ * - REVIEW: 새 리뷰 등록 푸시
+ */
+
+export const STORE_TEMPLATES = {
+  REVIEW: {
+    category: 'TRANSACTIONAL',
+    description: '새 리뷰 등록 (점주용)',
+    variables: ['rating'],
+    sample: { rating: 5 },
+    languages: {
+      vi: { push: { title: 'Đánh giá mới ({{rating}}⭐)', body: 'Đánh giá từ khách hàng đã được đăng' } },
+      en: { push: { title: 'New Review ({{rating}}⭐)', body: 'Customer review has been posted' } },
+      ko: { push: { title: '새 리뷰 ({{rating}}⭐)', body: '고객님의 리뷰가 등록되었습니다' } },
+      zh: { push: { title: '新评价（{{rating}}⭐）', body: '顾客发布了新的评价' } },
+      ja: { push: { title: '新しいレビュー（{{rating}}⭐）', body: 'お客様のレビューが投稿されました' } }
+    }
+  }
+};
+
+export default STORE_TEMPLATES;
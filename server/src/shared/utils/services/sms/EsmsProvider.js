@@ -0,0 +1,67 @@
+/**
+ * eSMS.vn 어댑터 (베트남 브랜드네임 SMS)
+ * 환경변수: ESMS_API_KEY, ESMS_SECRET_KEY, ESMS_BRANDNAME, ESMS_SANDBOX
+ */
+
+import { SmsProvider, SMS_STATUS } from './SmsProvider.js';
+
+const ESMS_ENDPOINT = 'https://rest.esms.vn/MainService.svc/json/SendMultipleMessage_V4_post_json/';
+
+// eSMS 결과 보고 SendStatus → 공통 상태
+const DELIVERY_STATUS = {
+  1: SMS_STATUS.QUEUED,      // 대기
+  2: SMS_STATUS.SENT,        // 통신사 전달
+  5: SMS_STATUS.DELIVERED,   // 수신 완료
+};
+
+export class EsmsProvider extends SmsProvider {
+  constructor(options = {}) {
+    super('esms');
+    this.apiKey = options.apiKey || process.env.ESMS_API_KEY;
+    this.secretKey = options.secretKey || process.env.ESMS_SECRET_KEY;
+    this.brandname = options.brandname || process.env.ESMS_BRANDNAME;
+    this.sandbox = options.sandbox ?? process.env.ESMS_SANDBOX === 'true';
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey && this.secretKey && this.brandname);
+  }
+
+  async send({ to, text, reference }) {
+    const body = await this.request(ESMS_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ApiKey: this.apiKey,
+        SecretKey: this.secretKey,
+        Brandname: this.brandname,
+        Phone: this.toMsisdn(to),
+        Content: text,
+        SmsType: '2',                         // 브랜드네임 고객 관리(CSKH) 메시지
+        IsUnicode: [...text].some((char) => char.charCodeAt(0) > 127) ? '1' : '0',
+        Sandbox: this.sandbox ? '1' : '0',
+        RequestId: reference,
+      }),
+    });
+
+    // CodeResult 100 = 접수 성공
+    if (!body || String(body.CodeResult) !== '100') {
+      throw new Error(`esms: ${body?.CodeResult} ${body?.ErrorMessage || 'send failed'}`);
+    }
+
+    return { messageId: String(body.SMSID), status: SMS_STATUS.QUEUED };
+  }
+
+  parseDeliveryReport(payload) {
+    if (!payload.SMSID) return null;
+
+    const status = DELIVERY_STATUS[Number(payload.SendStatus)] || SMS_STATUS.FAILED;
+    return {
+      messageId: String(payload.SMSID),
+      status,
+      error: status === SMS_STATUS.FAILED ? String(payload.SendFailedReason || payload.SendStatus) : undefined,
+    };
+  }
+}
+
+export default EsmsProvider;
@@ -0,0 +1,35 @@
+/**
+ * 로컬 개발용 SMS 싱크
+ * 실제 전송 없이 로그로 출력하고, SMS_LOCAL_OUTBOX 설정 시 파일(JSON Lines)에 추가
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { SmsProvider, SMS_STATUS } from './SmsProvider.js';
+import { logger } from '../../utilities/Logger.js';
+
+export class LocalSmsProvider extends SmsProvider {
+  constructor(options = {}) {
+    super('local');
+    this.outboxPath = options.outboxPath || process.env.SMS_LOCAL_OUTBOX || null;
+  }
+
+  async send({ to, text, reference }) {
+    const messageId = `local-${crypto.randomUUID()}`;
+
+    logger.info('[SMS] 로컬 전송 (테스트 모드)', { to, reference, text });
+
+    if (this.outboxPath) {
+      await fs.mkdir(path.dirname(this.outboxPath), { recursive: true });
+      await fs.appendFile(
+        this.outboxPath,
+        `${JSON.stringify({ messageId, to, text, reference, sentAt: new Date().toISOString() })}\n`,
+      );
+    }
+
+    return { messageId, status: SMS_STATUS.DELIVERED };
+  }
+}
+
+export default LocalSmsProvider;
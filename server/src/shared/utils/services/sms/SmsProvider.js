@@ -0,0 +1,86 @@
+/**
+ * SMS 제공자 기본 클래스
+ * 모든 어댑터는 send()를 구현하고, 전송 결과 보고(DLR) 웹훅을 받으면 parseDeliveryReport()를 구현
+ */
+
+import crypto from 'crypto';
+
+const REQUEST_TIMEOUT = 10000;
+
+// 메시지 전송 상태
+export const SMS_STATUS = {
+  QUEUED: 'QUEUED',         // 제공자 접수 (결과 대기)
+  SENT: 'SENT',             // 통신사 전달
+  DELIVERED: 'DELIVERED',   // 단말 수신 확인
+  FAILED: 'FAILED',         // 전송 실패
+};
+
+export class SmsProvider {
+  /**
+   * @param {string} name - 제공자 이름 (vietguys, esms, twilio, local)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 필수 설정(API 키 등) 존재 여부 - 미설정 제공자는 장애 조치 대상에서 제외
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * 메시지 전송 - 실패 시 throw (SmsService가 다음 제공자로 전환)
+   * @param {Object} message
+   * @param {string} message.to - E.164 전화번호 (+84...)
+   * @param {string} message.text - 본문
+   * @param {string} message.reference - 내부 메시지 ID
+   * @returns {Promise<{ messageId: string, status: string }>}
+   */
+  async send() {
+    throw new Error(`${this.name}: send() is not implemented`);
+  }
+
+  /**
+   * 전송 결과 보고 요청 검증 - 기본은 공유 시크릿 쿼리 파라미터 (?secret=)
+   * @param {Object} req - Express request 객체
+   */
+  verifyDeliveryReport(req) {
+    const secret = process.env.SMS_WEBHOOK_SECRET;
+    const provided = String(req.query?.secret || '');
+    if (!secret || provided.length !== secret.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret));
+  }
+
+  /**
+   * 전송 결과 보고 파싱
+   * @param {Object} payload - 요청 본문 + 쿼리
+   * @returns {{ messageId: string, status: string, error?: string } | null}
+   */
+  parseDeliveryReport() {
+    return null;
+  }
+
+  /**
+   * E.164 → 국가번호 포함 숫자 (+84901234567 → 84901234567)
+   */
+  toMsisdn(phone) {
+    return String(phone).replace(/\D/g, '');
+  }
+
+  /**
+   * 제공자 API 호출 (JSON 응답) - 네트워크/HTTP 오류는 throw
+   */
+  async request(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(`${this.name}: HTTP ${response.status} ${JSON.stringify(body)}`);
+    }
+    return body;
+  }
+}
+
+export default SmsProvider;
@@ -0,0 +1,259 @@
+/**
+ * SMS 전송 서비스
+ * 제공자 장애 조치(primary → fallback), 번호/IP별 발송 한도, 전송 상태 추적
+ *
+ * 환경변수:
+ * - SMS_PRIMARY_PROVIDER: vietguys | esms | twilio | local (기본: 운영 vietguys, 개발 local)
+ * - SMS_FALLBACK_PROVIDERS: 쉼표 구분 (예: esms,twilio)
+ * - SMS_PHONE_LIMIT / SMS_IP_LIMIT: 시간당 발송 한도 (기본 5 / 20)
+ */
+
+import crypto from 'crypto';
+import { kv } from '../../../cache/kv.js';
+import { RateLimiting } from '../../security/RateLimiting.js';
+import { logger } from '../../utilities/Logger.js';
+import { isProduction } from '../../../../config/env.js';
+import { SMS_STATUS } from './SmsProvider.js';
+import { VietGuysProvider } from './VietGuysProvider.js';
+import { EsmsProvider } from './EsmsProvider.js';
+import { TwilioProvider } from './TwilioProvider.js';
+import { LocalSmsProvider } from './LocalSmsProvider.js';
+import notificationTemplateService, { getOtpTemplateType } from '../notificationTemplates/index.js';
+
+const STATUS_TTL = 7 * 24 * 60 * 60;       // 전송 상태 보관 기간 (초)
+const QUOTA_WINDOW = 60 * 60 * 1000;       // 발송 한도 집계 구간 (ms)
+
+// 상태 우선순위 - 순서가 뒤바뀐 결과 보고로 상태가 되돌아가지 않도록
+const STATUS_RANK = {
+  [SMS_STATUS.QUEUED]: 0,
+  [SMS_STATUS.SENT]: 1,
+  [SMS_STATUS.DELIVERED]: 2,
+  [SMS_STATUS.FAILED]: 2,
+};
+
+const parseList = (value) => String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * 로그/저장용 전화번호 마스킹 (+84901234567 → +8490****567)
+ */
+const maskPhone = (phone) => String(phone).replace(/^(\+?\d{4})\d+(\d{3})$/, '$1****$2');
+
+class SmsService {
+  constructor(options = {}) {
+    this.providers = new Map();
+    [new VietGuysProvider(), new EsmsProvider(), new TwilioProvider(), new LocalSmsProvider()]
+      .forEach((provider) => this.registerProvider(provider));
+
+    this.primary = options.primary || process.env.SMS_PRIMARY_PROVIDER || (isProduction() ? 'vietguys' : 'local');
+    this.fallbacks = options.fallbacks || parseList(process.env.SMS_FALLBACK_PROVIDERS);
+
+    this.phoneLimiter = new RateLimiting({
+      cache: kv,
+      authLimit: Number(process.env.SMS_PHONE_LIMIT) || 5,
+      authWindow: QUOTA_WINDOW,
+    });
+    this.ipLimiter = new RateLimiting({
+      cache: kv,
+      authLimit: Number(process.env.SMS_IP_LIMIT) || 20,
+      authWindow: QUOTA_WINDOW,
+    });
+  }
+
+  /**
+   * 제공자 등록/교체 (테스트에서 로컬 제공자 주입)
+   * @param {SmsProvider} provider
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * 전송 시도 순서 - 설정이 완료된 제공자만
+   */
+  getProviderChain() {
+    return [...new Set([this.primary, ...this.fallbacks])]
+      .map((name) => this.providers.get(name))
+      .filter((provider) => provider?.isConfigured());
+  }
+
+  // ===============================================
+  // 발송 한도
+  // ===============================================
+
+  /**
+   * 번호/IP별 발송 한도 확인 (호출 시 1회 차감)
+   * @returns {Promise<{ allowed: boolean, retryAfter?: number }>}
+   */
+  async checkQuota({ phone, ip }) {
+    try {
+      await this.phoneLimiter.checkAuthRateLimit(phone, 'sms_phone');
+      if (ip) {
+        await this.ipLimiter.checkAuthRateLimit(ip, 'sms_ip');
+      }
+      return { allowed: true };
+    } catch (error) {
+      if (error.extensions?.code === 'RATE_LIMIT_EXCEEDED') {
+        logger.warn('[SMS] 발송 한도 초과', { phone: maskPhone(phone), ip });
+        return { allowed: false, retryAfter: error.extensions.retryAfter };
+      }
+      throw error;
+    }
+  }
+
+  // ===============================================
+  // 전송
+  // ===============================================
+
+  /**
+   * 메시지 전송 - 실패 시 다음 제공자로 장애 조치
+   * @param {Object} params
+   * @param {string} params.to - E.164 전화번호
+   * @param {string} params.text - 본문
+   * @param {string} params.purpose - 전송 목적 (상태 추적용)
+   * @returns {Promise<{ success: boolean, reference: string, provider?: string, status?: string, error?: string }>}
+   */
+  async send({ to, text, purpose = 'general' }) {
+    const reference = crypto.randomUUID();
+    const chain = this.getProviderChain();
+    const attempts = [];
+
+    if (chain.length === 0) {
+      logger.error('[SMS] 사용 가능한 제공자 없음', { primary: this.primary, fallbacks: this.fallbacks });
+      return { success: false, reference, error: 'NO_PROVIDER_CONFIGURED' };
+    }
+
+    for (const provider of chain) {
+      try {
+        const result = await provider.send({ to, text, reference });
+
+        await this.saveStatus({
+          reference,
+          provider: provider.name,
+          providerMessageId: result.messageId,
+          to: maskPhone(to),
+          purpose,
+          status: result.status,
+          attempts,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+        });
+
+        logger.info('[SMS] 전송 접수', { reference, provider: provider.name, to: maskPhone(to), purpose });
+
+        return { success: true, reference, provider: provider.name, status: result.status };
+      } catch (error) {
+        attempts.push({ provider: provider.name, error: error.message });
+        logger.warn('[SMS] 제공자 전송 실패 - 다음 제공자로 전환', {
+          reference,
+          provider: provider.name,
+          error: error.message,
+        });
+      }
+    }
+
+    await this.saveStatus({
+      reference,
+      provider: null,
+      to: maskPhone(to),
+      purpose,
+      status: SMS_STATUS.FAILED,
+      attempts,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+
+    logger.error('[SMS] 모든 제공자 전송 실패', { reference, to: maskPhone(to), attempts });
+
+    return { success: false, reference, error: 'ALL_PROVIDERS_FAILED' };
+  }
+
+  /**
+   * OTP 전송 - 알림 템플릿(OTP_<TYPE>)의 SMS 문구를 수신자 언어로 렌더링
+   * @param {string} phone - E.164 전화번호
+   * @param {string} code - OTP 코드
+   * @param {Object} options - { type, language, ttl(초) }
+   */
+  async sendOTP(phone, code, options = {}) {
+    const type = options.type || 'verification';
+    const text = notificationTemplateService.renderSms(getOtpTemplateType(type), options.language, {
+      code,
+      minutes: Math.ceil((options.ttl || 300) / 60),
+    });
+
+    return this.send({ to: phone, text, purpose: `otp:${type}` });
+  }
+
+  // ===============================================
+  // 전송 상태 추적
+  // ===============================================
+
+  statusKey(reference) {
+    return `sms:message:${reference}`;
+  }
+
+  providerIndexKey(provider, messageId) {
+    return `sms:provider-message:${provider}:${messageId}`;
+  }
+
+  async saveStatus(record) {
+    await kv.setex(this.statusKey(record.reference), STATUS_TTL, JSON.stringify(record));
+    if (record.provider && record.providerMessageId) {
+      await kv.setex(this.providerIndexKey(record.provider, record.providerMessageId), STATUS_TTL, record.reference);
+    }
+  }
+
+  /**
+   * 전송 상태 조회
+   * @param {string} reference - send()가 반환한 내부 메시지 ID
+   */
+  async getStatus(reference) {
+    const raw = await kv.get(this.statusKey(reference));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * 제공자 전송 결과 보고(DLR) 처리 - /webhooks/sms/:provider
+   * @param {string} providerName
+   * @param {Object} req - Express request 객체
+   * @returns {Promise<{ handled: boolean, httpStatus: number }>}
+   */
+  async handleDeliveryReport(providerName, req) {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      return { handled: false, httpStatus: 404 };
+    }
+    if (!provider.verifyDeliveryReport(req)) {
+      logger.warn('[SMS] 결과 보고 인증 실패', { provider: providerName, ip: req.ip });
+      return { handled: false, httpStatus: 401 };
+    }
+
+    const report = provider.parseDeliveryReport({ ...req.query, ...req.body });
+    if (!report) {
+      return { handled: false, httpStatus: 400 };
+    }
+
+    const reference = await kv.get(this.providerIndexKey(providerName, report.messageId));
+    const record = reference ? await this.getStatus(reference) : null;
+    if (!record) {
+      // 보관 기간이 지났거나 다른 서버가 보낸 메시지 - 재전송 방지를 위해 200 응답
+      return { handled: false, httpStatus: 200 };
+    }
+
+    if (STATUS_RANK[report.status] >= STATUS_RANK[record.status]) {
+      await this.saveStatus({
+        ...record,
+        status: report.status,
+        error: report.error,
+        updatedAt: new Date().toISOString(),
+      });
+    }
+
+    return { handled: true, httpStatus: 200 };
+  }
+}
+
+// 싱글톤 인스턴스
+const smsService = new SmsService();
+
+export default smsService;
+export { SmsService };
@@ -0,0 +1,87 @@
+/**
+ * Twilio 어댑터 (국제 번호 / 장애 조치용)
+ * 환경변수: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM 또는 TWILIO_MESSAGING_SERVICE_SID,
+ *          SMS_STATUS_CALLBACK_URL (결과 보고 수신 URL)
+ */
+
+import crypto from 'crypto';
+import { SmsProvider, SMS_STATUS } from './SmsProvider.js';
+
+// Twilio MessageStatus → 공통 상태
+const DELIVERY_STATUS = {
+  accepted: SMS_STATUS.QUEUED,
+  queued: SMS_STATUS.QUEUED,
+  sending: SMS_STATUS.QUEUED,
+  sent: SMS_STATUS.SENT,
+  delivered: SMS_STATUS.DELIVERED,
+  undelivered: SMS_STATUS.FAILED,
+  failed: SMS_STATUS.FAILED,
+};
+
+export class TwilioProvider extends SmsProvider {
+  constructor(options = {}) {
+    super('twilio');
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.from = options.from || process.env.TWILIO_FROM;
+    this.messagingServiceSid = options.messagingServiceSid || process.env.TWILIO_MESSAGING_SERVICE_SID;
+    this.statusCallbackUrl = options.statusCallbackUrl || process.env.SMS_STATUS_CALLBACK_URL;
+  }
+
+  isConfigured() {
+    return Boolean(this.accountSid && this.authToken && (this.from || this.messagingServiceSid));
+  }
+
+  async send({ to, text }) {
+    const params = new URLSearchParams({ To: to, Body: text });
+    if (this.messagingServiceSid) {
+      params.set('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      params.set('From', this.from);
+    }
+    if (this.statusCallbackUrl) {
+      params.set('StatusCallback', `${this.statusCallbackUrl.replace(/\/$/, '')}/${this.name}`);
+    }
+
+    const body = await this.request(`https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params.toString(),
+    });
+
+    return { messageId: body.sid, status: DELIVERY_STATUS[body.status] || SMS_STATUS.QUEUED };
+  }
+
+  /**
+   * X-Twilio-Signature 검증 (HMAC-SHA1: 요청 URL + 정렬된 POST 파라미터)
+   */
+  verifyDeliveryReport(req) {
+    const signature = req.headers?.['x-twilio-signature'];
+    if (!signature || !this.statusCallbackUrl) return false;
+
+    const url = `${this.statusCallbackUrl.replace(/\/$/, '')}/${this.name}`;
+    const data = Object.keys(req.body || {})
+      .sort()
+      .reduce((acc, key) => acc + key + req.body[key], url);
+    const expected = crypto.createHmac('sha1', this.authToken).update(data).digest('base64');
+
+    return expected.length === signature.length
+      && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  parseDeliveryReport(payload) {
+    if (!payload.MessageSid) return null;
+
+    const status = DELIVERY_STATUS[payload.MessageStatus] || SMS_STATUS.QUEUED;
+    return {
+      messageId: String(payload.MessageSid),
+      status,
+      error: payload.ErrorCode ? String(payload.ErrorCode) : undefined,
+    };
+  }
+}
+
+export default TwilioProvider;
@@ -0,0 +1,66 @@
+/**
+ * VietGuys SMS 어댑터 (베트남 브랜드네임 SMS)
+ * 환경변수: VIETGUYS_USERNAME, VIETGUYS_TOKEN, VIETGUYS_BRANDNAME, VIETGUYS_ENDPOINT
+ */
+
+import { SmsProvider, SMS_STATUS } from './SmsProvider.js';
+
+// VietGuys 결과 보고 상태 → 공통 상태
+const DELIVERY_STATUS = {
+  DELIVRD: SMS_STATUS.DELIVERED,
+  SENT: SMS_STATUS.SENT,
+  UNDELIV: SMS_STATUS.FAILED,
+  EXPIRED: SMS_STATUS.FAILED,
+  REJECTD: SMS_STATUS.FAILED,
+};
+
+export class VietGuysProvider extends SmsProvider {
+  constructor(options = {}) {
+    super('vietguys');
+    this.username = options.username || process.env.VIETGUYS_USERNAME;
+    this.token = options.token || process.env.VIETGUYS_TOKEN;
+    this.brandname = options.brandname || process.env.VIETGUYS_BRANDNAME;
+    this.endpoint = options.endpoint || process.env.VIETGUYS_ENDPOINT || 'https://cloudsms.vietguys.com.vn/api/index.php';
+  }
+
+  isConfigured() {
+    return Boolean(this.username && this.token && this.brandname);
+  }
+
+  async send({ to, text, reference }) {
+    const body = await this.request(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        u: this.username,
+        pwd: this.token,
+        from: this.brandname,
+        phone: this.toMsisdn(to),
+        sms: text,
+        bid: reference,
+        json: 1,
+      }),
+    });
+
+    // error = 0 이면 접수 성공, 그 외는 VietGuys 에러 코드
+    if (!body || Number(body.error) !== 0) {
+      throw new Error(`vietguys: ${body?.error} ${body?.message || 'send failed'}`);
+    }
+
+    return { messageId: String(body.msgid || reference), status: SMS_STATUS.QUEUED };
+  }
+
+  parseDeliveryReport(payload) {
+    const messageId = payload.msgid || payload.bid;
+    if (!messageId) return null;
+
+    const status = DELIVERY_STATUS[String(payload.status).toUpperCase()] || SMS_STATUS.FAILED;
+    return {
+      messageId: String(messageId),
+      status,
+      error: status === SMS_STATUS.FAILED ? String(payload.status) : undefined,
+    };
+  }
+}
+
+export default VietGuysProvider;
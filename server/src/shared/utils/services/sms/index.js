@@ -0,0 +1,15 @@
+/**
+ * SMS 서비스 모듈
+ * 제공자 어댑터(VietGuys, eSMS, Twilio, 로컬 싱크)와 장애 조치 전송 서비스
+ */
+
+import smsService, { SmsService } from './SmsService.js';
+
+export { SmsService };
+export { SmsProvider, SMS_STATUS } from './SmsProvider.js';
+export { VietGuysProvider } from './VietGuysProvider.js';
+export { EsmsProvider } from './EsmsProvider.js';
+export { TwilioProvider } from './TwilioProvider.js';
+export { LocalSmsProvider } from './LocalSmsProvider.js';
+
+export default smsService;
@@ -56,8 +56,7 @@ export class AuthValidators extends SecurityValidator {
     if (!phone || typeof phone !== 'string') {
       throw new GraphQLError(
         'Phone number is required',
-        'PHONE_REQUIRED',
-        400
+        { extensions: { code: 'PHONE_REQUIRED' } }
       );
     }
 
@@ -67,8 +66,7 @@ export class AuthValidators extends SecurityValidator {
     if (phone.length > 20) {
       throw new GraphQLError(
         'Phone number too long',
-        'PHONE_TOO_LONG',
-        400
+        { extensions: { code: 'PHONE_TOO_LONG' } }
       );
     }
 
@@ -89,8 +87,7 @@ export class AuthValidators extends SecurityValidator {
 
     throw new GraphQLError(
       'Invalid phone number format. Please use international format (+country code)',
-      'INVALID_PHONE_FORMAT',
-      400
+      { extensions: { code: 'INVALID_PHONE_FORMAT' } }
     );
   }
 
@@ -126,8 +123,7 @@ export class AuthValidators extends SecurityValidator {
         if (cleanNumber.startsWith('+')) return cleanNumber;
         throw new GraphQLError(
           `Unsupported country code: ${countryCode}`,
-          'UNSUPPORTED_COUNTRY',
-          400
+          { extensions: { code: 'UNSUPPORTED_COUNTRY' } }
         );
     }
   }
@@ -142,8 +138,7 @@ export class AuthValidators extends SecurityValidator {
     if (!password || typeof password !== 'string') {
       throw new GraphQLError(
         'Password is required',
-        'PASSWORD_REQUIRED',
-        400
+        { extensions: { code: 'PASSWORD_REQUIRED' } }
       );
     }
 
@@ -151,16 +146,14 @@ export class AuthValidators extends SecurityValidator {
     if (password.length < 8) {
       throw new GraphQLError(
         'Password must be at least 8 characters',
-        'PASSWORD_TOO_SHORT',
-        400
+        { extensions: { code: 'PASSWORD_TOO_SHORT' } }
       );
     }
 
     if (password.length > 128) {
       throw new GraphQLError(
         'Password too long',
-        'PASSWORD_TOO_LONG',
-        400
+        { extensions: { code: 'PASSWORD_TOO_LONG' } }
       );
     }
 
@@ -178,8 +171,7 @@ export class AuthValidators extends SecurityValidator {
       if (passedChecks < 3) {
         throw new GraphQLError(
           'Password must contain at least 3 of: lowercase, uppercase, number, special character',
-          'PASSWORD_TOO_WEAK',
-          400
+          { extensions: { code: 'PASSWORD_TOO_WEAK' } }
         );
       }
     }
@@ -188,8 +180,7 @@ export class AuthValidators extends SecurityValidator {
     if (this.isCommonPassword(password)) {
       throw new GraphQLError(
         'Password is too common. Please choose a different password',
-        'COMMON_PASSWORD',
-        400
+        { extensions: { code: 'COMMON_PASSWORD' } }
       );
     }
 
@@ -206,8 +197,7 @@ export class AuthValidators extends SecurityValidator {
     if (!fullName || typeof fullName !== 'string') {
       throw new GraphQLError(
         'Full name is required',
-        'FULLNAME_REQUIRED',
-        400
+        { extensions: { code: 'FULLNAME_REQUIRED' } }
       );
     }
 
@@ -219,16 +209,14 @@ export class AuthValidators extends SecurityValidator {
     if (trimmed.length < 2) {
       throw new GraphQLError(
         'Full name too short',
-        'FULLNAME_TOO_SHORT',
-        400
+        { extensions: { code: 'FULLNAME_TOO_SHORT' } }
       );
     }
 
     if (trimmed.length > 100) {
       throw new GraphQLError(
         'Full name too long',
-        'FULLNAME_TOO_LONG',
-        400
+        { extensions: { code: 'FULLNAME_TOO_LONG' } }
       );
     }
 
@@ -236,8 +224,7 @@ export class AuthValidators extends SecurityValidator {
     if (/<[^>]*>/g.test(trimmed)) {
       throw new GraphQLError(
         'Full name cannot contain HTML tags',
-        'INVALID_FULLNAME_FORMAT',
-        400
+        { extensions: { code: 'INVALID_FULLNAME_FORMAT' } }
       );
     }
 
@@ -261,8 +248,7 @@ export class AuthValidators extends SecurityValidator {
     if (this.isSuspiciousDomain(domain)) {
       throw new GraphQLError(
         'Email domain not allowed',
-        'DOMAIN_NOT_ALLOWED',
-        400
+        { extensions: { code: 'DOMAIN_NOT_ALLOWED' } }
       );
     }
 
@@ -343,8 +329,7 @@ export class AuthValidators extends SecurityValidator {
 
     throw new GraphQLError(
       'Phone number or email is required',
-      'IDENTIFIER_REQUIRED',
-      400
+      { extensions: { code: 'IDENTIFIER_REQUIRED' } }
     );
   }
 
@@ -355,14 +340,13 @@ export class AuthValidators extends SecurityValidator {
    * @returns {object}     - 검증된 소셜 데이터
    */
   validateSocialLoginInput(input) {
-    const { provider, providerId, accessToken, email, fullName } = input;
+    const { provider, accessToken, nonce, fullName } = input;
 
-    // 필수 필드 검증
-    if (!provider || !providerId || !accessToken) {
+    // 필수 필드 검증 (제공자 사용자 ID는 토큰 검증 결과에서 추출)
+    if (!provider || !accessToken) {
       throw new GraphQLError(
-        'Provider, providerId, and accessToken are required',
-        'SOCIAL_LOGIN_INCOMPLETE',
-        400
+        'Provider and accessToken are required',
+        { extensions: { code: 'SOCIAL_LOGIN_INCOMPLETE' } }
       );
     }
 
@@ -370,16 +354,14 @@ export class AuthValidators extends SecurityValidator {
     if (!this.supportedSocialProviders.includes(provider.toLowerCase())) {
       throw new GraphQLError(
         'Unsupported social login provider',
-        'UNSUPPORTED_PROVIDER',
-        400
+        { extensions: { code: 'UNSUPPORTED_PROVIDER' } }
       );
     }
 
     return {
       provider: provider.toLowerCase(),
-      providerId: String(providerId),
       accessToken: String(accessToken),
-      email: email ? this.validateEmailForAuth(email) : null,
+      nonce: nonce ? String(nonce) : null,
       fullName: fullName ? this.validateFullName(fullName) : null,
     };
   }
@@ -394,8 +376,7 @@ export class AuthValidators extends SecurityValidator {
     if (!token || typeof token !== 'string') {
       throw new GraphQLError(
         'Reset token is required',
-        'RESET_TOKEN_REQUIRED',
-        400
+        { extensions: { code: 'RESET_TOKEN_REQUIRED' } }
       );
     }
 
@@ -403,8 +384,7 @@ export class AuthValidators extends SecurityValidator {
     if (token.length < 32 || token.length > 128) {
       throw new GraphQLError(
         'Invalid reset token format',
-        'INVALID_RESET_TOKEN',
-        400
+        { extensions: { code: 'INVALID_RESET_TOKEN' } }
       );
     }
 
@@ -33,7 +33,6 @@ export const MOBILE_SOCKET_EVENTS = {
   ORDER_STATUS_UPDATE: 'mobile:order_status_update',
 
   // === 배달 추적 이벤트 ===
-  DELIVERY_LOCATION_UPDATE: 'mobile:delivery_location_update',
   DELIVERY_ETA_UPDATE: 'mobile:delivery_eta_update',
   DELIVERY_STARTED: 'mobile:delivery_started',
   DELIVERY_COMPLETED: 'mobile:delivery_completed',
@@ -161,22 +160,6 @@ export const MOBILE_EVENT_MESSAGES = {
   },
 
   // === 배달 추적 메시지 ===
-  [MOBILE_SOCKET_EVENTS.DELIVERY_LOCATION_UPDATE]: {
-    title: {
-      vi: 'Cập nhật vị trí giao hàng',
-      ko: '배달 위치 업데이트',
-      en: 'Delivery Location Update'
-    },
-    message: {
-      vi: 'Người giao hàng đang di chuyển đến bạn',
-      ko: '배달기사가 고객님께 이동 중입니다',
-      en: 'Driver is moving towards you'
-    },
-    priority: 'LOW',
-    sound: null,
-    icon: '📍'
-  },
-
   [MOBILE_SOCKET_EVENTS.DELIVERY_ETA_UPDATE]: {
     title: {
       vi: 'Cập nhật thời gian giao hàng',
@@ -394,9 +377,6 @@ export class MobileSocketManager {
     // 사용자별 룸 참여
     this.joinUserRooms(socket);
 
-    // Mobile 전용 이벤트 핸들러 설정
-    this.setupMobileEventHandlers(socket);
-
     // 연결 성공 알림
     socket.emit('mobile:connected', {
       userId,
@@ -430,166 +410,12 @@ export class MobileSocketManager {
   }
 
   /**
-   * Mobile 전용 이벤트 핸들러 설정
+   * Mobile 하트비트 (mobile:heartbeat - 수신 이벤트는 events/connectionEvents.js에서 등록)
    */
-  setupMobileEventHandlers(socket) {
-    const { userId } = socket;
-
-    // 주문 추적 시작
-    socket.on('mobile:track_order', (data) => {
-      this.handleTrackOrder(socket, data);
-    });
-
-    // 배달 추적 시작
-    socket.on('mobile:track_delivery', (data) => {
-      this.handleTrackDelivery(socket, data);
-    });
-
-    // 채팅 룸 참여
-    socket.on('mobile:join_chat', (data) => {
-      this.handleJoinChat(socket, data);
-    });
-
-    // 채팅 메시지 전송
-    socket.on('mobile:send_chat_message', (data) => {
-      this.handleSendChatMessage(socket, data);
-    });
-
-    // 채팅 타이핑 상태
-    socket.on('mobile:chat_typing', (data) => {
-      this.handleChatTyping(socket, data);
-    });
-
-    // 채팅 메시지 읽음 처리
-    socket.on('mobile:mark_chat_read', (data) => {
-      this.handleMarkChatRead(socket, data);
-    });
-
-    // 채팅방 생성
-    socket.on('mobile:create_chat_room', (data) => {
-      this.handleCreateChatRoom(socket, data);
-    });
-
-    // 알림 읽음 처리
-    socket.on('mobile:mark_notification_read', (data) => {
-      this.handleMarkNotificationRead(socket, data);
-    });
-
-    // 위치 업데이트 (배달 추적용)
-    socket.on('mobile:update_location', (data) => {
-      this.handleLocationUpdate(socket, data);
-    });
-
-    // 하트비트
-    socket.on('mobile:heartbeat', (data) => {
-      socket.lastHeartbeat = new Date();
-      socket.emit('mobile:heartbeat_ack', { timestamp: new Date() });
-    });
-  }
-
-  /**
-   * 주문 추적 처리
-   */
-  async handleTrackOrder(socket, data) {
-    const { orderId } = data;
-    const { userId } = socket;
-
-    try {
-      // 주문 권한 확인 (실제로는 DB 조회)
-      const hasPermission = await this.verifyOrderPermission(userId, orderId);
-
-      if (!hasPermission) {
-        socket.emit('mobile:error', {
-          code: 'PERMISSION_DENIED',
-          message: '주문 조회 권한이 없습니다'
-        });
-        return;
-      }
-
-      // 주문 추적 룸 참여
-      socket.join(`${MOBILE_ROOM_TYPES.ORDER}:${orderId}`);
-
-      socket.emit('mobile:order_tracking_started', {
-        orderId,
-        timestamp: new Date()
-      });
-
-      logger.info('📱 주문 추적 시작', { userId, orderId });
-
-    } catch (error) {
-      logger.error('📱 주문 추적 실패', { userId, orderId, error: error.message });
-      socket.emit('mobile:error', {
-        code: 'ORDER_TRACKING_FAILED',
-        message: '주문 추적을 시작할 수 없습니다'
-      });
-    }
-  }
-
-  /**
-   * 배달 추적 처리
-   */
-  async handleTrackDelivery(socket, data) {
-    const { orderId } = data;
-    const { userId } = socket;
-
-    try {
-      // 배달 추적 룸 참여
-      socket.join(`${MOBILE_ROOM_TYPES.DELIVERY}:${orderId}`);
-
-      socket.emit('mobile:delivery_tracking_started', {
-        orderId,
-        timestamp: new Date()
-      });
-
-      logger.info('📱 배달 추적 시작', { userId, orderId });
-
-    } catch (error) {
-      logger.error('📱 배달 추적 실패', { userId, orderId, error: error.message });
-    }
-  }
-
-  /**
-   * 채팅 룸 참여 처리
-   */
-  async handleJoinChat(socket, data) {
-    const { roomId } = data;
-    const { userId } = socket;
-
-    try {
-      // 채팅 룸 참여
-      socket.join(`${MOBILE_ROOM_TYPES.CHAT}:${roomId}`);
-
-      socket.emit('mobile:chat_joined', {
-        roomId,
-        timestamp: new Date()
-      });
-
-      logger.info('📱 채팅 룸 참여', { userId, roomId });
-
-    } catch (error) {
-      logger.error('📱 채팅 룸 참여 실패', { userId, roomId, error: error.message });
-    }
-  }
-
-  /**
-   * 알림 읽음 처리
-   */
-  async handleMarkNotificationRead(socket, data) {
-    const { notificationId } = data;
-    const { userId } = socket;
-
-    try {
-      // 실제로는 DB 업데이트
-      logger.info('📱 알림 읽음 처리', { userId, notificationId });
-
-      socket.emit('mobile:notification_marked_read', {
-        notificationId,
-        timestamp: new Date()
-      });
-
-    } catch (error) {
-      logger.error('📱 알림 읽음 처리 실패', { userId, notificationId, error: error.message });
-    }
+  async handleHeartbeat(socket) {
+    socket.lastHeartbeat = new Date();
+    await this.unifiedSocket.presenceService.handleHeartbeat(socket);
+    socket.emit('mobile:heartbeat_ack', { timestamp: new Date() });
   }
 
   /**
@@ -653,14 +479,6 @@ export class MobileSocketManager {
     }
   }
 
-  /**
-   * 배달 위치 업데이트 알림
-   */
-  async notifyDeliveryLocationUpdate(orderId, locationData) {
-    this.io.to(`${MOBILE_ROOM_TYPES.DELIVERY}:${orderId}`)
-      .emit('mobile:delivery_location_update', locationData);
-  }
-
   /**
    * 메시지 포맷팅
    */
@@ -702,14 +520,6 @@ export class MobileSocketManager {
     };
   }
 
-  /**
-   * 주문 권한 확인 (Mock)
-   */
-  async verifyOrderPermission(userId, orderId) {
-    // 실제로는 DB에서 확인
-    return true;
-  }
-
   /**
    * 미읽은 알림 전송
    */
@@ -726,141 +536,6 @@ export class MobileSocketManager {
     logger.info('📱 Mobile Socket Manager 메트릭 초기화');
   }
 
-  // ===============================================
-  // 채팅 관련 핸들러들 (RealtimeMessagingService 통합)
-  // ===============================================
-
-  /**
-   * 채팅 메시지 전송 핸들러
-   */
-  async handleSendChatMessage(socket, data) {
-    try {
-      const { roomId, content, messageType = 'TEXT' } = data;
-      const { userId } = socket;
-
-      logger.info('📱 Mobile 채팅 메시지 전송', { userId, roomId });
-
-      // 메시지를 MobileSocketManager 이벤트로 변환 후 전송
-      const messageData = {
-        roomId,
-        senderId: userId,
-        senderType: 'USER',
-        content,
-        messageType,
-        timestamp: new Date()
-      };
-
-      // 채팅방 참가자들에게 메시지 전송
-      this.io.to(`${MOBILE_ROOM_TYPES.CHAT}:${roomId}`).emit('mobile:chat_message_received', messageData);
-
-      // 성공 응답
-      socket.emit('mobile:message_sent', {
-        success: true,
-        messageId: `temp_${Date.now()}`,
-        timestamp: messageData.timestamp
-      });
-
-    } catch (error) {
-      logger.error('📱 Mobile 채팅 메시지 전송 실패', { error: error.message });
-      socket.emit('mobile:message_error', {
-        error: 'MESSAGE_SEND_FAILED',
-        message: '메시지 전송에 실패했습니다.'
-      });
-    }
-  }
-
-  /**
-   * 채팅 타이핑 상태 핸들러
-   */
-  async handleChatTyping(socket, data) {
-    try {
-      const { roomId, isTyping = true } = data;
-      const { userId } = socket;
-
-      // 채팅방 다른 참가자들에게 타이핑 상태 전송
-      socket.to(`${MOBILE_ROOM_TYPES.CHAT}:${roomId}`).emit('mobile:chat_typing', {
-        roomId,
-        userId,
-        isTyping,
-        timestamp: new Date()
-      });
-
-      logger.info('📱 Mobile 타이핑 상태 업데이트', { userId, roomId, isTyping });
-
-    } catch (error) {
-      logger.error('📱 Mobile 타이핑 상태 업데이트 실패', { error: error.message });
-    }
-  }
-
-  /**
-   * 채팅 메시지 읽음 처리 핸들러
-   */
-  async handleMarkChatRead(socket, data) {
-    try {
-      const { roomId, messageIds } = data;
-      const { userId } = socket;
-
-      logger.info('📱 Mobile 채팅 메시지 읽음 처리', { userId, roomId });
-
-      // 읽음 상태 변경 알림
-      this.io.to(`${MOBILE_ROOM_TYPES.CHAT}:${roomId}`).emit('mobile:chat_messages_read', {
-        roomId,
-        userId,
-        messageIds,
-        readAt: new Date()
-      });
-
-      // 성공 응답
-      socket.emit('mobile:mark_read_success', {
-        roomId,
-        readCount: messageIds?.length || 0
-      });
-
-    } catch (error) {
-      logger.error('📱 Mobile 채팅 읽음 처리 실패', { error: error.message });
-    }
-  }
-
-  /**
-   * 채팅방 생성 핸들러
-   */
-  async handleCreateChatRoom(socket, data) {
-    try {
-      const { storeId, orderId = null, type = 'GENERAL_INQUIRY' } = data;
-      const { userId } = socket;
-
-      logger.info('📱 Mobile 채팅방 생성', { userId, storeId, orderId });
-
-      // 임시 채팅방 ID 생성 (실제로는 DB에서 생성)
-      const roomId = `room_${userId}_${storeId}_${Date.now()}`;
-
-      // 채팅방 참여
-      socket.join(`${MOBILE_ROOM_TYPES.CHAT}:${roomId}`);
-
-      // 성공 응답
-      socket.emit('mobile:chat_room_created', {
-        success: true,
-        room: {
-          id: roomId,
-          userId,
-          storeId,
-          orderId,
-          type,
-          createdAt: new Date()
-        }
-      });
-
-      logger.info('📱 Mobile 채팅방 생성 완료', { roomId });
-
-    } catch (error) {
-      logger.error('📱 Mobile 채팅방 생성 실패', { error: error.message });
-      socket.emit('mobile:chat_room_created', {
-        success: false,
-        error: error.message
-      });
-    }
-  }
-
   /**
    * 채팅 알림 전송
    */
@@ -5,11 +5,11 @@
  * Local 음식 App을 위한 통합 실시간 통신 시스템:
  * - Mobile 클라이언트 (고객 앱)
  * - Store 클라이언트 (점주 웹앱)
+ * - Web 클라이언트 (WebAccount)
  */
 
 import { Server } from 'socket.io';
 import { createAdapter } from '@socket.io/redis-adapter';
-import jwt from 'jsonwebtoken';
 import { buildSocketCors } from '../config/cors.js';
 import loggerDefault from '../utils/utilities/Logger.js';
 import db from '../../models/index.js';
@@ -19,6 +19,23 @@ import WebOnlineStatusService from './services/WebOnlineStatusService.js';
 import { kv } from '../cache/kv.js';
 import { redisClient, redisPub as redisPubClient, redisSub as redisSubClient } from '../../config/redis.js';
 import eventLogger from './services/EventLogger.js';
+import chatService from '../utils/services/ChatService.js';
+import notificationInboxService from '../utils/services/NotificationInboxService.js';
+import notificationPreferenceService from '../utils/services/NotificationPreferenceService.js';
+import presenceService from '../utils/services/PresenceService.js';
+import eventDeliveryService, { CHAT_RECIPIENT_TYPES, NOTIFICATION_RECIPIENT_TYPES, personalRoomFor } from './services/EventDeliveryService.js';
+import chatTypingService, { TYPING_STOP_REASONS } from './services/ChatTypingService.js';
+import { getGlobalEventBus } from '../utils/services/EventBus.js';
+import {
+  sendChatMessageNotification,
+  startChatPushScheduler,
+  stopChatPushScheduler
+} from '../utils/services/UnifiedNotificationService.js';
+import notificationTemplateService, { getOrderStatusTemplateType } from '../utils/services/notificationTemplates/index.js';
+import socketEventRegistry from './events/index.js';
+import { authenticateSocket, refreshSocketAuth } from './middleware/socketAuth.js';
+import socketAuthGuard from './services/SocketAuthGuard.js';
+import opsMetricsService, { OPS_METRICS_ROOM } from './services/OpsMetricsService.js';
 
 /**
  * Socket.IO 전용 실시간 이벤트 정의
@@ -35,7 +52,6 @@ export const SOCKET_EVENTS = {
   ORDER_CANCELLED: 'order:cancelled',
 
   // 배달 추적 이벤트
-  DELIVERY_LOCATION_UPDATE: 'delivery:location_update',
   DELIVERY_ETA_UPDATE: 'delivery:eta_update',
   DELIVERY_STARTED: 'delivery:started',
   DELIVERY_COMPLETED: 'delivery:completed',
@@ -66,12 +82,6 @@ export const SOCKET_EVENTS = {
   MAINTENANCE_NOTICE: 'system:maintenance',
   CONNECTION_STATUS: 'system:connection_status',
 
-  // POS 시스템 이벤트
-  POS_ORDER_RECEIVED: 'pos:order_received',
-  POS_ORDER_CONFIRMED: 'pos:order_confirmed',
-  POS_STATUS_CHANGED: 'pos:status_changed',
-  POS_CONNECTION_STATUS: 'pos:connection_status',
-
   // 점주 전용 이벤트
   STORE_NEW_ORDER: 'store:new_order',
   STORE_NOTIFICATION: 'store:notification',
@@ -109,18 +119,13 @@ export const STORE_EVENTS = {
     messageKo: '고객 메시지가 도착했습니다',
     messageVi: 'Tin nhắn từ khách hàng đã đến',
     messageEn: 'Customer message received'
-  },
-  // 시스템 관련
-  'pos_status_changed': {
-    key: 'POS_STATUS_CHANGED',
-    messageKo: 'POS 연결 상태 변경',
-    messageVi: 'Thay đổi trạng thái kết nối POS',
-    messageEn: 'POS connection status changed'
   }
 };
 
 const logger = loggerDefault;
-const { User, StoreAccount, Store, Order, Notification, ChatRoom, Payment } = db;
+
+// 한 번의 전송(폴링 요청 본문/웹소켓 메시지) 최대 크기
+const SOCKET_MAX_HTTP_BUFFER_SIZE = parseInt(process.env.SOCKET_MAX_HTTP_BUFFER_SIZE || String(256 * 1024));
 
 export class UnifiedSocketServer {
   constructor(httpServer) {
@@ -130,7 +135,7 @@ export class UnifiedSocketServer {
       pingTimeout: 60000,
       pingInterval: 25000,
       connectTimeout: 45000,
-      maxHttpBufferSize: 1e6,
+      maxHttpBufferSize: SOCKET_MAX_HTTP_BUFFER_SIZE,  // 이벤트별 크기 제한은 레지스트리 maxPayloadBytes
       allowEIO3: true
     });
 
@@ -156,8 +161,33 @@ export class UnifiedSocketServer {
     // ✅ 점주 온라인 상태 추적 서비스 초기화
     this.webOnlineService = new WebOnlineStatusService(this.io);
 
+    // 고객/Web 계정/관리자 접속 상태 추적 (멀티 노드)
+    this.presenceService = presenceService;
+    this.presenceService.start(this.io);
+
+    // 수신자별 이벤트 시퀀스/재전송 (재연결 시 놓친 이벤트 복구)
+    this.eventDeliveryService = eventDeliveryService;
+    this.eventDeliveryService.attach(this.io);
+
+    // 채팅 타이핑 상태 보관/자동 만료
+    this.chatTypingService = chatTypingService;
+    this.chatTypingService.start(this.io);
+
+    // 연속 메시지로 건너뛴 채팅 푸시를 구간 종료 시 요약 발송
+    startChatPushScheduler();
+
+    // 토큰 무효화 시 즉시 연결 종료 + 만료/무효화 토큰 주기 재검증
+    this.socketAuthGuard = socketAuthGuard;
+    this.socketAuthGuard.start(this.io);
+
+    // 관리자 실시간 운영 지표 수집 (최근 1시간 메모리 보관)
+    this.opsMetricsService = opsMetricsService;
+    this.opsMetricsService.start(this);
+
     this.setupGlobalMiddleware();
     this.setupSocketHandlers();
+    this.setupChatEventSubscriptions();
+    this.setupNotificationEventSubscriptions();
 
     // 단일 소켓 구조로 변경 - 네임스페이스 초기화 불필요
     this.initializationPromise = Promise.resolve();
@@ -192,7 +222,15 @@ export class UnifiedSocketServer {
    */
   setupGlobalMiddleware() {
     // 기본 인증 미들웨어
-    this.io.use(async (socket, next) => {
+    this.io.use(async (socket, done) => {
+      // 인증 실패는 이벤트 로그(auth:failed)에 기록
+      const next = (error) => {
+        if (error) {
+          this.eventLogger.logAuthentication(socket, false, error);
+        }
+        done(error);
+      };
+
       try {
         const bypassAuth = process.env.SOCKET_AUTH_BYPASS === '1' && process.env.NODE_ENV === 'development';
         logger.info('🔌 New Socket connection attempt (단일 소켓 구조)', {
@@ -213,12 +251,13 @@ export class UnifiedSocketServer {
           const rawStoreId = socket.handshake.auth?.storeId || null;
 
           socket.userId = rawUserId;
-          socket.userType = clientType === 'store-admin' || clientType === 'store' ? 'STORE' : 'CUSTOMER';
+          socket.userType = this.resolveSocketUserType(clientType);
           socket.storeId = rawStoreId;
           socket.userRole = 'STORE_MANAGER';
 
-          // 사용자/매장 Room 가입
-          if (socket.userId) socket.join(`user:${socket.userId}`);
+          // 개인/매장 Room 가입
+          const personalRoom = personalRoomFor(socket.userType, socket.userId);
+          if (personalRoom) socket.join(personalRoom);
           if (socket.storeId) socket.join(`store:${socket.storeId}`);
 
           logger.warn('⚠️ SOCKET_AUTH_BYPASS 활성화 - 인증 및 DB 조회 생략', {
@@ -229,145 +268,18 @@ export class UnifiedSocketServer {
           return next();
         }
 
-        // Accept token from either auth.token or Authorization header, tolerating optional "Bearer " prefix
-        let token = socket.handshake.auth?.token || socket.handshake.headers?.authorization || '';
-        if (typeof token === 'string' && token.startsWith('Bearer ')) {
-          token = token.slice(7).trim();
-        }
-
-        if (!token) {
-          logger.warn('Socket connection attempted without valid token', {
-            hasToken: !!token,
-            hasAuthObject: !!socket.handshake.auth,
-            authKeys: socket.handshake.auth ? Object.keys(socket.handshake.auth) : [],
-            clientType: socket.handshake.auth?.clientType,
-            namespace: socket.nsp.name
-          });
-          return next(new Error('Authentication failed: No token provided'));
-        }
-
-        let decoded;
+        // GraphQL과 같은 인증 경로 (서명/대상 검증, 세션/계정/토큰 무효화, 계정 조회) + IP별 연결 시도 제한
         try {
-          const JWT_SECRET = process.env.JWT_SECRET;
-          const JWT_ISSUER = process.env.JWT_ISSUER || 'template';
-          const JWT_MOBILE_AUDIENCE = process.env.JWT_MOBILE_AUDIENCE || 'mobile';
-          const JWT_STORE_AUDIENCE = process.env.JWT_STORE_AUDIENCE || 'store';
-
-          // audience를 사전 결정하기 어렵기 때문에, 허용 가능한 audience 배열로 검증
-          decoded = jwt.verify(token, JWT_SECRET, {
-            algorithms: ['HS256'],
-            issuer: JWT_ISSUER,
-            audience: [JWT_MOBILE_AUDIENCE, JWT_STORE_AUDIENCE],
-            clockTolerance: 30,
-          });
-        } catch (jwtError) {
-          if (jwtError.name === 'TokenExpiredError') {
-            logger.warn('Socket authentication failed - JWT expired', {
-              expiredAt: jwtError.expiredAt,
-              service: 'delivery-mvp-server',
-              socketId: socket.id,
-              namespace: socket.nsp.name,
-              clientType: socket.handshake.auth?.clientType
-            });
-            return next(new Error('Authentication failed: Token expired'));
-          } else if (jwtError.name === 'JsonWebTokenError') {
-            logger.error('Socket authentication failed - Invalid JWT', {
-              error: jwtError.message,
-              service: 'delivery-mvp-server',
-              socketId: socket.id,
-              namespace: socket.nsp.name,
-              jwtSecret: process.env.JWT_SECRET ? 'Set' : 'NOT SET',
-            });
-            return next(new Error('Authentication failed: Invalid token'));
-          } else {
-            logger.error('Socket authentication failed - JWT verification error', {
-              error: jwtError.message,
-              name: jwtError.name,
-              service: 'delivery-mvp-server',
-              socketId: socket.id
-            });
-            return next(new Error('Authentication failed'));
-          }
-        }
-
-        // JWT 페이로드에서 올바른 ID 추출 (userId가 실제 필드)
-        const userId = decoded.userId || decoded.id;
-
-        logger.info('JWT Token decoded', {
-          userId: userId,
-          decodedId: decoded.id,
-          type: decoded.type,
-          clientType: decoded.clientType,
-          storeId: decoded.storeId,
-          storeAccountId: decoded.storeAccountId,
-          role: decoded.role,
-          exp: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null,
-        });
-
-        // clientType에 따라 올바른 테이블에서 사용자 조회
-        const clientType = socket.handshake.auth?.clientType || decoded.clientType;
-        let user = null;
-
-        logger.info('Socket auth attempt', {
-          userId: userId,
-          decodedId: decoded.id,
-          clientType: clientType,
-          handshakeClientType: socket.handshake.auth?.clientType
-        });
-
-        if (clientType === 'store-admin' || clientType === 'store' || decoded.type === 'store') {
-          // 점주앱: StoreAccount 테이블에서 조회
-          logger.info('Searching in StoreAccount table', { id: userId });
-
-          user = await StoreAccount.findByPk(userId, {
-            include: [
-              { model: Store, as: 'store', required: false },
-              { model: Store, as: 'ownedStores', required: false }
-            ]
-          });
-
-          logger.info('StoreAccount query result', {
-            found: !!user,
-            userId: user?.id,
-            userEmail: user?.email,
-            userRole: user?.role,
-            userStoreId: user?.storeId
-          });
-
-          if (user) {
-            socket.userId = userId;
-            socket.user = user;
-            socket.userType = 'STORE';
-            socket.storeId = user.storeId || user.store?.id || user.ownedStores?.[0]?.id;
-            socket.userRole = user.role;
-          }
-        } else {
-          // 고객앱: User 테이블에서 조회 (Sequelize 모델 사용)
-          user = await db.User.findByPk(userId, {
-            attributes: ['id', 'phone', 'email', 'fullName', 'status']
-          });
-
-          if (user) {
-            socket.userId = userId;
-            socket.user = user;
-            socket.userType = 'CUSTOMER';
-            socket.storeId = null; // 관련 정보는 필요시 별도 조회
-          }
-        }
-
-        if (!user) {
-          logger.error('Socket authentication failed - User not found', {
-            userId: userId,
-            clientType: clientType,
-            table: clientType === 'store-admin' || clientType === 'store' ? 'StoreAccount' : 'User',
-            decodedInfo: {
-              userId: decoded.userId,
-              id: decoded.id,
-              type: decoded.type,
-              role: decoded.role
-            }
+          await authenticateSocket(socket);
+        } catch (authError) {
+          logger.warn('Socket authentication failed', {
+            socketId: socket.id,
+            namespace: socket.nsp.name,
+            clientType: socket.handshake.auth?.clientType,
+            code: authError.data?.code,
+            error: authError.message
           });
-          return next(new Error('Authentication failed: User not found'));
+          return next(authError);
         }
 
         const platformInfo = socket.handshake.auth?.platform || 'unknown';
@@ -386,9 +298,8 @@ export class UnifiedSocketServer {
           userType: socket.userType,
           storeId: socket.storeId,
           userRole: socket.userRole,
-          clientType: clientType,
-          namespace: socket.nsp.name,
-          table: clientType === 'store-admin' ? 'StoreAccount' : 'User'
+          clientType: socket.data.auth.clientType,
+          namespace: socket.nsp.name
         });
 
         next();
@@ -408,6 +319,10 @@ export class UnifiedSocketServer {
    */
   setupSocketHandlers() {
     this.io.on('connection', (socket) => {
+      // 다른 노드에서도 fetchSockets()로 사용자 타입을 확인할 수 있도록 socket.data에 보관
+      socket.data.userId = socket.userId;
+      socket.data.userType = socket.userType;
+
       this.connections.set(socket.id, {
         socket,
         userId: socket.userId,
@@ -416,20 +331,15 @@ export class UnifiedSocketServer {
         connectedAt: new Date()
       });
 
-      // 사용자별 Room 가입
-      if (socket.userId) {
-        socket.join(`user:${socket.userId}`);
-        logger.info(`사용자 Room 가입`, { userId: socket.userId, room: `user:${socket.userId}` });
-
-        // ✅ Redis에 사용자 Socket 연결 상태 저장 (FCM 조건부 발송용)
-        kv.setex(`socket:user:${socket.userId}:connected`, 3600, '1')
-          .then(() => {
-            logger.info('📡 [Redis] 사용자 Socket 연결 상태 저장:', { userId: socket.userId });
-          })
-          .catch(err => {
-            logger.error('❌ [Redis] Socket 연결 상태 저장 실패:', err);
-          });
+      // 개인 Room 가입 - 고객 user:, Web 계정 web:, 관리자 admin: (ID가 서로 겹치므로 분리)
+      const personalRoom = personalRoomFor(socket.userType, socket.userId);
+      if (personalRoom) {
+        socket.join(personalRoom);
+        logger.info(`사용자 Room 가입`, { userId: socket.userId, room: personalRoom });
+      }
 
+      // 앱 상태(FCM 발송 조건)는 고객 앱만 추적
+      if (socket.userType === 'CUSTOMER' && socket.userId) {
         // ✅ 초기 앱 상태는 'foreground'로 설정 (연결 직후는 포그라운드)
         kv.setex(`socket:user:${socket.userId}:appState`, 3600, 'foreground')
           .then(() => {
@@ -451,8 +361,16 @@ export class UnifiedSocketServer {
         }
       }
 
-      // 단일 소켓 이벤트 핸들러 등록
-      this.registerEventHandlers(socket);
+      // 수신자 Room 가입 (시퀀스가 붙은 이벤트 수신)
+      this.eventDeliveryService.join(socket);
+
+      // 접속 상태 등록 (첫 연결이면 구독자에게 online 전송)
+      this.presenceService.handleConnect(socket);
+
+      // 수신 이벤트는 레지스트리가 검증 후 라우팅 (events/ 모듈에 선언)
+      socketEventRegistry.attach(this, socket);
+
+      this.eventLogger.logConnection(socket, 'connect');
 
       // 연결 해제 처리
       socket.on('disconnect', (reason) => {
@@ -464,16 +382,14 @@ export class UnifiedSocketServer {
           reason
         });
 
-        // ✅ Redis에서 사용자 Socket 연결 상태 제거 (FCM 조건부 발송용)
-        if (socket.userId) {
-          kv.del(`socket:user:${socket.userId}:connected`)
-            .then(() => {
-              logger.info('📡 [Redis] 사용자 Socket 연결 상태 제거:', { userId: socket.userId });
-            })
-            .catch(err => {
-              logger.error('❌ [Redis] Socket 연결 상태 제거 실패:', err);
-            });
-        }
+        // 접속 상태 해제 (남은 디바이스가 없으면 구독자에게 offline 전송)
+        this.presenceService.handleDisconnect(socket);
+
+        // 이 연결이 시작한 타이핑 상태 해제
+        this.chatTypingService.handleDisconnect(socket)
+          .catch((error) => logger.error('타이핑 상태 해제 실패', { socketId: socket.id, error: error.message }));
+
+        this.eventLogger.logConnection(socket, 'disconnect', reason);
 
         // ✅ 점주 오프라인 상태 업데이트 (점주 웹앱 종료)
         if (socket.userType === 'STORE' && socket.storeId) {
@@ -514,13 +430,6 @@ export class UnifiedSocketServer {
     return await this.webSocketManager.emitOrderStatusChanged(storeId, orderData);
   }
 
-  /**
-   * Store에 POS 연결 상태 알림 발송
-   */
-  async notifyStorePOSConnectionStatus(storeId, posData) {
-    return await this.webSocketManager.emitPOSConnectionStatus(storeId, posData);
-  }
-
   /**
    * Store에 시스템 알림 발송
    */
@@ -556,73 +465,6 @@ export class UnifiedSocketServer {
     return this.webSocketManager.setStoreMetric(storeId, metric, value);
   }
 
-  /**
-   * 강화된 Socket.IO 이벤트 핸들러 등록
-   * 완전한 실시간 통신을 위한 모든 이벤트 처리
-   */
-  registerEventHandlers(socket) {
-    // === 인증 및 연결 관리 ===
-    socket.on('authenticate', (data) => this.handleAuthentication(socket, data));
-    socket.on('heartbeat', (data) => this.handleHeartbeat(socket, data));
-    socket.on('reconnect_request', (data) => this.handleReconnectRequest(socket, data));
-
-    // === 채팅 이벤트 (다국어 지원) ===
-    socket.on('chat:send_message', (data) => this.handleChatMessage(socket, data));
-    socket.on('chat:join_room', (data) => this.handleJoinRoom(socket, data));
-    socket.on('chat:leave_room', (data) => this.handleLeaveRoom(socket, data));
-    socket.on('chat:typing_start', (data) => this.handleTypingStart(socket, data));
-    socket.on('chat:typing_stop', (data) => this.handleTypingStop(socket, data));
-    socket.on('chat:message_read', (data) => this.handleMessageRead(socket, data));
-    socket.on('chat:get_history', (data) => this.handleGetChatHistory(socket, data));
-
-    // === 주문 추적 이벤트 ===
-    socket.on('order:track_start', (data) => this.handleOrderTrackStart(socket, data));
-    socket.on('order:track_stop', (data) => this.handleOrderTrackStop(socket, data));
-    socket.on('order:status_update', (data) => this.handleOrderStatusUpdate(socket, data));
-    socket.on('order:cancel_request', (data) => this.handleOrderCancelRequest(socket, data));
-
-    // === 배달 추적 이벤트 ===
-    socket.on('delivery:track_start', (data) => this.handleDeliveryTrackStart(socket, data));
-    socket.on('delivery:track_stop', (data) => this.handleDeliveryTrackStop(socket, data));
-    socket.on('delivery:location_update', (data) => this.handleDeliveryLocationUpdate(socket, data));
-    socket.on('delivery:eta_update', (data) => this.handleDeliveryEtaUpdate(socket, data));
-
-    // === POS 시스템 이벤트 ===
-    socket.on('pos:order_received', (data) => this.handlePosOrderReceived(socket, data));
-    socket.on('pos:order_confirm', (data) => this.handlePosOrderConfirm(socket, data));
-    socket.on('pos:order_reject', (data) => this.handlePosOrderReject(socket, data));
-    socket.on('pos:status_check', (data) => this.handlePosStatusCheck(socket, data));
-    socket.on('pos:menu_sync', (data) => this.handlePosMenuSync(socket, data));
-
-    // === 알림 이벤트 ===
-    socket.on('notification:mark_read', (data) => this.handleNotificationRead(socket, data));
-    socket.on('notification:mark_all_read', (data) => this.handleMarkAllNotificationsRead(socket, data));
-    socket.on('notification:get_unread_count', (data) => this.handleGetUnreadNotificationCount(socket, data));
-
-    // === 매장 관리 이벤트 (점주 전용) ===
-    socket.on('store:status_change', (data) => this.handleStoreStatusChange(socket, data));
-    socket.on('store:menu_update', (data) => this.handleStoreMenuUpdate(socket, data));
-    socket.on('store:analytics_request', (data) => this.handleStoreAnalyticsRequest(socket, data));
-
-    // === 일반 Room 관리 이벤트 (store 온라인 상태 추적 등) ===
-    socket.on('joinRoom', (data) => this.handleGenericJoinRoom(socket, data));
-    socket.on('leaveRoom', (data) => this.handleGenericLeaveRoom(socket, data));
-
-    // === 시스템 이벤트 ===
-    socket.on('system:ping', (data) => this.handleSystemPing(socket, data));
-    socket.on('system:get_status', (data) => this.handleGetSystemStatus(socket, data));
-
-    // === 앱 상태 변화 이벤트 (FCM 조건부 발송용) ===
-    socket.on('app:state', (data) => this.handleAppStateChange(socket, data));
-
-    logger.info('🔌 모든 Socket.IO 이벤트 핸들러 등록 완료', {
-      userId: socket.userId,
-      userType: socket.userType,
-      storeId: socket.storeId,
-      handlersCount: 20
-    });
-  }
-
   /**
    * ====================================================================
    * 강화된 Socket.IO 이벤트 핸들러들
@@ -631,60 +473,56 @@ export class UnifiedSocketServer {
    */
 
   /**
-   * 인증 처리 (동적 인증 지원)
+   * 연결 중 토큰 교체 - 핸드셰이크와 같은 검증(블랙리스트/계정 상태 포함), 같은 계정의 토큰만 허용
+   * 토큰 갱신 후 호출하지 않으면 기존 토큰 만료 시 SocketAuthGuard가 'auth:expired' 후 연결 종료
+   * ack: { success, expiresAt } | { success: false, error }
    */
-  async handleAuthentication(socket, data) {
-    try {
-      const { token, userType, language = 'vi' } = data;
+  async handleAuthentication(socket, data, ack = null) {
+    const { token, language } = data;
 
-      if (!token) {
-        socket.emit('auth:error', {
-          error: 'TOKEN_REQUIRED',
-          message: this.getLocalizedMessage('TOKEN_REQUIRED', language)
-        });
-        return;
-      }
-
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId || decoded.id;
-      socket.userType = userType || decoded.type || 'CUSTOMER';
+    try {
+      const { expiresAt } = await refreshSocketAuth(socket, token);
       socket.language = language;
 
-      // 사용자별 Room 가입
-      socket.join(`user:${socket.userId}`);
-
-      // 매장 관련 Room 가입 (점주의 경우)
-      if (socket.userType === 'STORE' && decoded.storeId) {
-        socket.storeId = decoded.storeId;
-        socket.join(`store:${decoded.storeId}`);
-      }
-
-      socket.emit('auth:success', {
+      const payload = {
         userId: socket.userId,
         userType: socket.userType,
-        language: socket.language
-      });
+        language: socket.language,
+        expiresAt
+      };
+      socket.emit('auth:success', payload);
+      if (ack) {
+        ack({ success: true, ...payload });
+      }
 
-      logger.info('🔐 동적 인증 성공', {
+      logger.info('🔐 소켓 토큰 교체', {
         userId: socket.userId,
         userType: socket.userType,
-        language: socket.language
+        expiresAt
       });
     } catch (error) {
+      const code = error.data?.code || 'AUTH_FAILED';
       socket.emit('auth:error', {
-        error: 'AUTH_FAILED',
+        error: code,
         message: 'Authentication failed'
       });
-      logger.error('동적 인증 실패', error);
+      if (ack) {
+        ack({ success: false, error: code });
+      }
+      logger.warn('소켓 토큰 교체 실패', { userId: socket.userId, code, error: error.message });
     }
   }
 
   /**
-   * 하트비트 처리 (연결 상태 모니터링)
+   * 하트비트 처리 (연결 상태 모니터링) - ack 콜백이 있으면 서버 시각으로 응답 (RTT 측정용)
    */
-  async handleHeartbeat(socket, data) {
+  async handleHeartbeat(socket, data, ack = null) {
     try {
       socket.lastHeartbeat = new Date();
+      await this.presenceService.handleHeartbeat(socket);
+      if (ack) {
+        ack(Date.now());
+      }
       socket.emit('heartbeat:pong', {
         timestamp: socket.lastHeartbeat,
         latency: data.timestamp ? Date.now() - data.timestamp : 0
@@ -695,27 +533,38 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 재연결 요청 처리
+   * 재연결 요청 처리 - 참여 중인 채팅방만 재가입
    */
   async handleReconnectRequest(socket, data) {
     try {
-      // 기존 연결 정보 복구
-      const { lastMessageId, roomIds = [] } = data;
-
-      // 채팅방 재가입
-      for (const roomId of roomIds) {
-        await socket.join(`chat:${roomId}`);
+      const { roomIds = [] } = data || {};
+      const participant = this.getChatParticipant(socket);
+
+      const rejoined = [];
+      for (const roomId of Array.isArray(roomIds) ? roomIds : []) {
+        if (await this.verifyChatRoomAccess(socket, roomId)) {
+          await socket.join(`chat:${roomId}`);
+          rejoined.push(roomId);
+        }
       }
 
+      // 채팅방 재가입 후 놓친 이벤트 재전송 (재전송 불가 시 delivery:resync_required)
+      const delivery = data?.lastSeq !== undefined
+        ? await this.eventDeliveryService.resume(socket, data.lastSeq)
+        : null;
+
       socket.emit('reconnect:success', {
         status: 'RECONNECTED',
-        rejoined_rooms: roomIds,
+        rejoined_rooms: rejoined,
+        delivery,
         timestamp: new Date()
       });
 
       logger.info('재연결 완료', {
         userId: socket.userId,
-        roomCount: roomIds.length
+        participantType: participant?.type,
+        requestedCount: roomIds.length,
+        roomCount: rejoined.length
       });
     } catch (error) {
       socket.emit('reconnect:error', { error: error.message });
@@ -724,107 +573,48 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 강화된 채팅 메시지 처리 (다국어, 첨부파일 지원)
+   * 채팅 메시지 전송 - 저장 후 커밋되면 chat.message.created 구독자가 채팅방에 전파
    */
-  async handleChatMessage(socket, data) {
+  async handleChatMessage(socket, data = {}) {
+    const { roomId, clientMessageId } = data;
+
     try {
-      const messageData = {
-        id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        roomId: data.roomId,
-        senderId: socket.userId,
-        senderType: socket.userType,
-        content: data.message || data.content,
-        messageType: data.type || 'text',
+      const { message, duplicate } = await chatService.sendMessage(roomId, this.getChatParticipant(socket), {
+        content: data.message ?? data.content,
+        messageType: String(data.messageType || data.type || 'TEXT').toUpperCase(),
         attachments: data.attachments || [],
-        language: socket.language || 'vi',
-        timestamp: new Date(),
-        serverTimestamp: new Date().toISOString()
-      };
-
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-      console.log('🔥 [SERVER] handleChatMessage 호출됨!');
-      console.log('Message ID:', messageData.id);
-      console.log('Room ID:', data.roomId);
-      console.log('Sender:', socket.userId, '/', socket.userType);
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-
-      // 메시지를 데이터베이스에 저장 (선택적)
-      let chatRoom = null;
-      if (data.persist !== false) {
-        chatRoom = await this.saveChatMessage(messageData);
-      } else {
-        // persist가 false여도 storeId를 위해 ChatRoom 조회
-        chatRoom = await db.ChatRoom.findByPk(data.roomId);
-      }
-
-      // ✅ 채팅방의 모든 참여자에게 단일 통합 이벤트로 메시지 전송
-      // 점주앱, App 모두 'chat:received' 이벤트로 통일 (중복 방지)
-      console.log('📤 [SERVER] 이벤트 발송:', {
-        event: 'chat:received',
-        room: `chat:${data.roomId}`,
-        messageId: messageData.id
+        clientMessageId
       });
 
-      this.io.to(`chat:${data.roomId}`).emit('chat:received', messageData);
-
-      console.log('✅ [SERVER] 메시지 발송 완료!');
-      console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-
-      // 상대방이 오프라인인 경우 푸시 알림 준비
-      await this.handleOfflineChatNotification(messageData);
+      // 발신자 확인 응답 (재전송 중복이면 기존 메시지)
+      socket.emit('chat:message_sent', {
+        roomId,
+        clientMessageId: clientMessageId || null,
+        duplicate,
+        message: message.get({ plain: true })
+      });
 
       logger.info('💬 채팅 메시지 전송 완료', {
-        messageId: messageData.id,
-        roomId: data.roomId,
-        messageType: messageData.messageType,
-        hasAttachments: messageData.attachments.length > 0
+        messageId: message.id,
+        roomId,
+        messageType: message.messageType,
+        duplicate,
+        hasAttachments: message.attachments.length > 0
       });
     } catch (error) {
-      socket.emit('chat:error', {
-        error: 'MESSAGE_SEND_FAILED',
-        message: this.getLocalizedMessage('MESSAGE_SEND_FAILED', socket.language)
-      });
-      logger.error('채팅 메시지 처리 실패', error);
+      this.emitChatError(socket, 'chat:error', roomId, error, 'MESSAGE_SEND_FAILED', { clientMessageId });
+      logger.error('채팅 메시지 처리 실패', { roomId, userId: socket.userId, error: error.message });
     }
   }
 
   /**
-   * 채팅방 입장 처리 (권한 검증 포함)
+   * 채팅방 입장 처리 - 참여자 검증은 레지스트리 권한 검사(chatEvents)에서 완료
    */
   async handleJoinRoom(socket, data) {
     try {
-      const { roomId } = data || {};
-
-      // 입력 검증
-      if (!roomId) {
-        logger.warn('⚠️ roomId가 제공되지 않음', { userId: socket.userId, data });
-        socket.emit('chat:join_error', {
-          error: 'ROOM_ID_REQUIRED',
-          message: 'roomId is required'
-        });
-        return;
-      }
-
-      // ✅ store: prefix가 있으면 그대로 join (store room)
-      // chat: prefix가 없으면 chat: 추가 (채팅방)
-      const actualRoomId = roomId.startsWith('store:') || roomId.startsWith('chat:') || roomId.startsWith('user:')
-        ? roomId
-        : `chat:${roomId}`;
-
-      // 채팅방 접근 권한 검증 (store room은 skip)
-      if (actualRoomId.startsWith('chat:')) {
-        const chatRoomId = actualRoomId.replace('chat:', '');
-        const hasAccess = await this.verifyChatRoomAccess(socket.userId, chatRoomId, socket.userType);
-
-        if (!hasAccess) {
-          socket.emit('chat:access_denied', {
-            roomId,
-            error: 'ACCESS_DENIED',
-            message: this.getLocalizedMessage('CHAT_ACCESS_DENIED', socket.language)
-          });
-          return;
-        }
-      }
+      // roomId는 '123' 또는 'chat:123'
+      const chatRoomId = String(data.roomId).replace(/^chat:/, '');
+      const actualRoomId = `chat:${chatRoomId}`;
 
       await socket.join(actualRoomId);
 
@@ -836,31 +626,39 @@ export class UnifiedSocketServer {
         timestamp: new Date()
       });
 
-      // 채팅방 참여자에게 입장 알림 (chat room만)
-      if (actualRoomId.startsWith('chat:')) {
-        socket.to(actualRoomId).emit(SOCKET_EVENTS.CHAT_ROOM_JOINED, {
-          userId: socket.userId,
-          userType: socket.userType,
-          roomId: actualRoomId,
-          timestamp: new Date()
-        });
+      // 채팅방 참여자에게 입장 알림
+      socket.to(actualRoomId).emit(SOCKET_EVENTS.CHAT_ROOM_JOINED, {
+        userId: socket.userId,
+        userType: socket.userType,
+        roomId: actualRoomId,
+        timestamp: new Date()
+      });
 
-        // 최근 메시지 히스토리 전송 (선택적, chat room만)
-        if (data.loadHistory !== false) {
-          const chatRoomId = actualRoomId.replace('chat:', '');
-          const recentMessages = await this.getChatHistory(chatRoomId, 20);
-          socket.emit('chat:history', {
-            roomId: chatRoomId,
-            messages: recentMessages
-          });
-        }
+      // 현재 타이핑 중인 참여자
+      socket.emit('chat:typing_state', {
+        roomId: chatRoomId,
+        typing: await this.chatTypingService.getTyping(chatRoomId)
+      });
+
+      // 최근 메시지 히스토리 전송 (선택적)
+      if (data.loadHistory !== false) {
+        const { messages, pageInfo } = await chatService.getMessages(
+          chatRoomId,
+          this.getChatParticipant(socket),
+          { limit: 20 }
+        );
+        socket.emit('chat:history', {
+          roomId: chatRoomId,
+          messages,
+          pageInfo,
+          hasMore: pageInfo.hasMore
+        });
       }
 
-      logger.info('🏠 Room 입장 완료', {
+      logger.info('🏠 채팅방 입장 완료', {
         userId: socket.userId,
         roomId: actualRoomId,
-        userType: socket.userType,
-        storeId: socket.storeId
+        userType: socket.userType
       });
     } catch (error) {
       socket.emit('chat:join_error', {
@@ -878,11 +676,13 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 채팅방 나가기 처리
+   * 채팅방 나가기 처리 (소켓 구독 해제 - 참여 정보는 유지)
    */
   async handleLeaveRoom(socket, data) {
     try {
-      const { roomId } = data;
+      const { roomId } = data || {};
+      if (!this.isInChatRoom(socket, roomId)) return;
+
       await socket.leave(`chat:${roomId}`);
 
       // 채팅방 참여자에게 퇴장 알림
@@ -903,824 +703,222 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 타이핑 시작 처리
+   * 타이핑 시작/연장 - 입장한 채팅방 여부는 레지스트리 권한 검사(chatEvents)에서 확인
+   * 상태가 새로 생긴 경우에만 전파, CHAT_TYPING_TTL_SECONDS 동안 연장이 없으면 자동 해제
    */
   async handleTypingStart(socket, data) {
     try {
-      const typingData = {
-        userId: socket.userId,
-        userType: socket.userType,
-        roomId: data.roomId,
-        isTyping: true,
-        timestamp: new Date()
-      };
-
-      socket.to(`chat:${data.roomId}`).emit(SOCKET_EVENTS.CHAT_TYPING, typingData);
-
-      logger.debug('⌨️ 타이핑 시작', {
-        userId: socket.userId,
-        roomId: data.roomId
-      });
+      const started = await this.chatTypingService.startTyping(socket, data.roomId, this.getChatParticipant(socket));
+      if (started) {
+        logger.debug('⌨️ 타이핑 시작', { userId: socket.userId, roomId: data.roomId });
+      }
     } catch (error) {
-      logger.error('타이핑 시작 처리 실패', error);
+      logger.error('타이핑 상태 처리 실패', { roomId: data?.roomId, userId: socket.userId, error: error.message });
     }
   }
 
   /**
-   * 타이핑 중지 처리
+   * 타이핑 중지 - 타이핑 상태였던 경우에만 전파
    */
   async handleTypingStop(socket, data) {
     try {
-      const typingData = {
-        userId: socket.userId,
-        userType: socket.userType,
-        roomId: data.roomId,
-        isTyping: false,
-        timestamp: new Date()
-      };
-
-      socket.to(`chat:${data.roomId}`).emit(SOCKET_EVENTS.CHAT_TYPING, typingData);
-
-      logger.debug('⌨️ 타이핑 중지', {
-        userId: socket.userId,
-        roomId: data.roomId
-      });
+      await this.chatTypingService.stopTyping(
+        data.roomId,
+        this.getChatParticipant(socket),
+        TYPING_STOP_REASONS.STOPPED,
+        socket
+      );
     } catch (error) {
-      logger.error('타이핑 중지 처리 실패', error);
+      logger.error('타이핑 상태 처리 실패', { roomId: data?.roomId, userId: socket.userId, error: error.message });
     }
   }
 
   /**
-   * 메시지 읽음 처리
+   * 메시지 읽음 처리 - 커밋되면 chat.messages.read 구독자가 채팅방에 전파
    */
   async handleMessageRead(socket, data) {
-    try {
-      const { roomId, messageId, lastReadMessageId } = data;
+    const { roomId, messageId, lastReadMessageId } = data || {};
 
-      // 메시지 읽음 상태 업데이트
-      await this.markMessagesAsRead(socket.userId, roomId, messageId || lastReadMessageId);
+    try {
+      const state = await chatService.markRead(roomId, this.getChatParticipant(socket), messageId || lastReadMessageId);
 
-      // 상대방에게 읽음 상태 알림
-      socket.to(`chat:${roomId}`).emit('chat:message_read', {
-        userId: socket.userId,
-        roomId,
-        messageId: messageId || lastReadMessageId,
-        timestamp: new Date()
-      });
+      socket.emit('chat:read_state', state);
 
       logger.info('✅ 메시지 읽음 처리', {
         userId: socket.userId,
         roomId,
-        messageId: messageId || lastReadMessageId
+        lastReadMessageId: state.lastReadMessageId
       });
     } catch (error) {
-      logger.error('메시지 읽음 처리 실패', error);
+      this.emitChatError(socket, 'chat:error', roomId, error, 'CHAT_READ_FAILED');
+      logger.error('메시지 읽음 처리 실패', { roomId, userId: socket.userId, error: error.message });
     }
   }
 
   /**
-   * 채팅 히스토리 조회
+   * 메시지 수신 처리 - 커밋되면 chat.messages.delivered 구독자가 채팅방에 전파
    */
-  async handleGetChatHistory(socket, data) {
-    try {
-      const { roomId, limit = 50, before = null } = data;
+  async handleMessageDelivered(socket, data) {
+    const { roomId, messageId } = data || {};
 
-      const messages = await this.getChatHistory(roomId, limit, before);
-
-      socket.emit('chat:history', {
-        roomId,
-        messages,
-        hasMore: messages.length === limit
-      });
-
-      logger.info('📜 채팅 히스토리 전송', {
-        roomId,
-        messageCount: messages.length
-      });
-    } catch (error) {
-      socket.emit('chat:history_error', {
-        roomId: data.roomId,
-        error: error.message
-      });
-      logger.error('채팅 히스토리 조회 실패', error);
-    }
-  }
-
-  /**
-   * ====================================================================
-   * 주문 추적 이벤트 핸들러들
-   * ====================================================================
-   */
-
-  /**
-   * 주문 추적 시작
-   */
-  async handleOrderTrackStart(socket, data) {
     try {
-      const { orderId } = data;
-
-      // 주문 추적 Room 가입
-      await socket.join(`order:${orderId}`);
-
-      // 주문 현재 상태 조회 및 전송
-      const order = await Order.findByPk(orderId);
-      if (order) {
-        socket.emit('order:tracking_started', {
-          orderId,
-          currentStatus: order.status,
-          estimatedTime: order.estimatedDeliveryTime,
-          timestamp: new Date()
-        });
-      }
-
-      logger.info('📦 주문 추적 시작', {
-        userId: socket.userId,
-        orderId
-      });
+      const state = await chatService.markDelivered(roomId, this.getChatParticipant(socket), messageId);
+      socket.emit('chat:delivered_state', state);
     } catch (error) {
-      socket.emit('order:track_error', {
-        orderId: data.orderId,
-        error: error.message
-      });
-      logger.error('주문 추적 시작 실패', error);
+      this.emitChatError(socket, 'chat:error', roomId, error, 'CHAT_DELIVERED_FAILED');
+      logger.error('메시지 수신 처리 실패', { roomId, userId: socket.userId, error: error.message });
     }
   }
 
   /**
-   * 주문 추적 중지
+   * 읽지 않은 메시지 수 조회 (채팅방별 + 전체)
    */
-  async handleOrderTrackStop(socket, data) {
+  async handleGetUnreadCounts(socket, ack = null) {
     try {
-      const { orderId } = data;
-
-      // 주문 추적 Room 나가기
-      await socket.leave(`order:${orderId}`);
-
-      socket.emit('order:tracking_stopped', {
-        orderId,
-        timestamp: new Date()
-      });
+      const result = await chatService.getUnreadSummary(this.getChatParticipant(socket));
 
-      logger.info('📦 주문 추적 중지', {
-        userId: socket.userId,
-        orderId
-      });
-    } catch (error) {
-      logger.error('주문 추적 중지 실패', error);
-    }
-  }
-
-  /**
-   * 주문 상태 업데이트 (강화된 버전)
-   */
-  async handleOrderStatusUpdate(socket, data) {
-    try {
-      const {
-        orderId,
-        status,
-        userId,
-        storeId,
-        estimatedTime,
-        reason,
-        deliveryInfo
-      } = data;
-
-      const orderUpdateData = {
-        orderId,
-        status,
-        previousStatus: data.previousStatus,
-        estimatedTime,
-        reason,
-        deliveryInfo,
-        timestamp: new Date(),
-        updatedBy: socket.userId,
-        updaterType: socket.userType
-      };
-
-      // Local어 우선 다국어 메시지
-      const statusMessage = this.getOrderStatusMessage(status, 'vi');
-
-      // 고객에게 주문 상태 알림
-      if (userId) {
-        this.io.to(`user:${userId}`).emit(SOCKET_EVENTS.ORDER_STATUS_CHANGED, {
-          ...orderUpdateData,
-          message: statusMessage
-        });
-
-        // 주문별 추적자들에게 알림
-        this.io.to(`order:${orderId}`).emit('order:status_updated', orderUpdateData);
-      }
-
-      // 매장에 주문 상태 알림
-      if (storeId) {
-        this.io.to(`store:${storeId}`).emit('store:order_status_changed', orderUpdateData);
-      }
-
-      logger.info('📦 주문 상태 업데이트 완료', {
-        orderId,
-        status,
-        userId,
-        storeId
-      });
-    } catch (error) {
-      socket.emit('order:status_update_error', {
-        orderId: data.orderId,
-        error: error.message
-      });
-      logger.error('주문 상태 업데이트 실패', error);
-    }
-  }
-
-  /**
-   * 주문 취소 요청
-   */
-  async handleOrderCancelRequest(socket, data) {
-    try {
-      const { orderId, reason } = data;
-
-      const cancelData = {
-        orderId,
-        reason,
-        requestedBy: socket.userId,
-        requesterType: socket.userType,
-        timestamp: new Date()
-      };
-
-      // 매장에 취소 요청 알림
-      const order = await Order.findByPk(orderId, {
-        include: [{ model: Store, as: 'store' }]
-      });
-
-      if (order && order.store) {
-        this.io.to(`store:${order.storeId}`).emit('store:order_cancel_request', cancelData);
-      }
-
-      socket.emit('order:cancel_request_sent', {
-        orderId,
-        status: 'PENDING_CANCELLATION'
-      });
-
-      logger.info('❌ 주문 취소 요청', {
-        userId: socket.userId,
-        orderId,
-        reason
-      });
-    } catch (error) {
-      socket.emit('order:cancel_error', {
-        orderId: data.orderId,
-        error: error.message
-      });
-      logger.error('주문 취소 요청 실패', error);
-    }
-  }
-
-  /**
-   * ====================================================================
-   * 배달 추적 이벤트 핸들러들
-   * ====================================================================
-   */
-
-  /**
-   * 배달 추적 시작
-   */
-  async handleDeliveryTrackStart(socket, data) {
-    try {
-      const { orderId } = data;
-
-      await socket.join(`delivery:${orderId}`);
-
-      socket.emit('delivery:tracking_started', {
-        orderId,
-        timestamp: new Date()
-      });
-
-      logger.info('🚚 배달 추적 시작', {
-        userId: socket.userId,
-        orderId
-      });
-    } catch (error) {
-      socket.emit('delivery:track_error', {
-        orderId: data.orderId,
-        error: error.message
-      });
-      logger.error('배달 추적 시작 실패', error);
-    }
-  }
-
-  /**
-   * 배달 추적 중지
-   */
-  async handleDeliveryTrackStop(socket, data) {
-    try {
-      const { orderId } = data;
-
-      await socket.leave(`delivery:${orderId}`);
-
-      logger.info('🚚 배달 추적 중지', {
-        userId: socket.userId,
-        orderId
-      });
-    } catch (error) {
-      logger.error('배달 추적 중지 실패', error);
-    }
-  }
-
-  /**
-   * 배달 위치 업데이트
-   */
-  async handleDeliveryLocationUpdate(socket, data) {
-    try {
-      const {
-        orderId,
-        location,
-        address,
-        eta,
-        distance
-      } = data;
-
-      const locationData = {
-        orderId,
-        location,
-        address,
-        eta,
-        distance,
-        timestamp: new Date(),
-        deliveryPersonId: socket.userId
-      };
-
-      // 배달 추적자들에게 위치 업데이트 전송
-      this.io.to(`delivery:${orderId}`).emit(SOCKET_EVENTS.DELIVERY_LOCATION_UPDATE, locationData);
-
-      // 고객에게 직접 알림
-      const order = await Order.findByPk(orderId);
-      if (order) {
-        this.io.to(`user:${order.userId}`).emit('delivery:location_updated', locationData);
-      }
-
-      logger.info('📍 배달 위치 업데이트', {
-        orderId,
-        location,
-        eta
-      });
-    } catch (error) {
-      logger.error('배달 위치 업데이트 실패', error);
-    }
-  }
-
-  /**
-   * 배달 예상시간 업데이트
-   */
-  async handleDeliveryEtaUpdate(socket, data) {
-    try {
-      const { orderId, eta, reason } = data;
-
-      const etaData = {
-        orderId,
-        eta,
-        reason,
-        timestamp: new Date()
-      };
-
-      this.io.to(`delivery:${orderId}`).emit(SOCKET_EVENTS.DELIVERY_ETA_UPDATE, etaData);
-
-      logger.info('⏱️ 배달 예상시간 업데이트', {
-        orderId,
-        eta,
-        reason
-      });
-    } catch (error) {
-      logger.error('배달 예상시간 업데이트 실패', error);
-    }
-  }
-
-  /**
-   * ====================================================================
-   * POS 시스템 이벤트 핸들러들
-   * ====================================================================
-   */
-
-  /**
-   * POS 주문 수신 처리
-   */
-  async handlePosOrderReceived(socket, data) {
-    try {
-      const { orderId, posSystemId, orderDetails } = data;
-
-      const posOrderData = {
-        orderId,
-        posSystemId,
-        status: 'RECEIVED',
-        orderDetails,
-        timestamp: new Date(),
-        receivedBy: socket.userId
-      };
-
-      // 매장에 POS 주문 수신 알림
-      if (socket.storeId) {
-        this.io.to(`store:${socket.storeId}`).emit(SOCKET_EVENTS.POS_ORDER_RECEIVED, posOrderData);
-      }
-
-      socket.emit('pos:order_received_ack', {
-        orderId,
-        status: 'ACKNOWLEDGED'
-      });
-
-      logger.info('🖥️ POS 주문 수신', {
-        orderId,
-        posSystemId,
-        storeId: socket.storeId
-      });
-    } catch (error) {
-      socket.emit('pos:order_error', {
-        orderId: data.orderId,
-        error: error.message
-      });
-      logger.error('POS 주문 수신 실패', error);
-    }
-  }
-
-  /**
-   * POS 주문 확인 처리
-   */
-  async handlePosOrderConfirm(socket, data) {
-    try {
-      const { orderId, estimatedPrepTime, notes } = data;
-
-      const confirmData = {
-        orderId,
-        status: 'CONFIRMED',
-        estimatedPrepTime,
-        notes,
-        confirmedAt: new Date(),
-        confirmedBy: socket.userId
-      };
-
-      // 주문 정보 조회
-      const order = await Order.findByPk(orderId);
-      if (order) {
-        // 고객에게 주문 확인 알림
-        this.io.to(`user:${order.userId}`).emit(SOCKET_EVENTS.ORDER_CONFIRMED, {
-          orderId,
-          status: 'CONFIRMED',
-          estimatedTime: estimatedPrepTime,
-          storeMessage: notes,
-          timestamp: new Date()
-        });
-
-        // 주문 추적자들에게 알림
-        this.io.to(`order:${orderId}`).emit('order:pos_confirmed', confirmData);
+      if (ack) {
+        ack({ success: true, ...result });
+      } else {
+        socket.emit('chat:unread_counts', result);
       }
-
-      logger.info('✅ POS 주문 확인', {
-        orderId,
-        estimatedPrepTime,
-        storeId: socket.storeId
-      });
     } catch (error) {
-      socket.emit('pos:confirm_error', {
-        orderId: data.orderId,
-        error: error.message
-      });
-      logger.error('POS 주문 확인 실패', error);
-    }
-  }
-
-  /**
-   * POS 주문 거부 처리
-   */
-  async handlePosOrderReject(socket, data) {
-    try {
-      const { orderId, reason } = data;
-
-      const rejectData = {
-        orderId,
-        status: 'REJECTED',
-        reason,
-        rejectedAt: new Date(),
-        rejectedBy: socket.userId
-      };
-
-      // 주문 정보 조회
-      const order = await Order.findByPk(orderId);
-      if (order) {
-        // 고객에게 주문 거부 알림
-        this.io.to(`user:${order.userId}`).emit(SOCKET_EVENTS.ORDER_CANCELLED, {
-          orderId,
-          status: 'REJECTED',
-          reason,
-          timestamp: new Date()
-        });
+      logger.error('읽지 않은 메시지 수 조회 실패', { userId: socket.userId, error: error.message });
+      if (ack) {
+        ack({ success: false, error: error.message });
       }
-
-      logger.info('❌ POS 주문 거부', {
-        orderId,
-        reason,
-        storeId: socket.storeId
-      });
-    } catch (error) {
-      socket.emit('pos:reject_error', {
-        orderId: data.orderId,
-        error: error.message
-      });
-      logger.error('POS 주문 거부 실패', error);
-    }
-  }
-
-  /**
-   * POS 상태 확인
-   */
-  async handlePosStatusCheck(socket, data) {
-    try {
-      const statusData = {
-        storeId: socket.storeId,
-        status: 'ONLINE',
-        lastSyncTime: new Date(),
-        pendingOrders: data.pendingOrders || 0
-      };
-
-      socket.emit('pos:status_response', statusData);
-
-      logger.info('🖥️ POS 상태 확인', {
-        storeId: socket.storeId,
-        status: 'ONLINE'
-      });
-    } catch (error) {
-      socket.emit('pos:status_error', {
-        error: error.message
-      });
-      logger.error('POS 상태 확인 실패', error);
     }
   }
 
   /**
-   * POS 메뉴 동기화
+   * 채팅 히스토리 조회 (커서 페이지네이션 - before/after는 메시지 ID)
    */
-  async handlePosMenuSync(socket, data) {
-    try {
-      const { menuData, syncType = 'FULL' } = data;
-
-      const syncData = {
-        storeId: socket.storeId,
-        syncType,
-        itemCount: menuData ? menuData.length : 0,
-        syncTime: new Date()
-      };
-
-      // 매장에 메뉴 동기화 완료 알림
-      this.io.to(`store:${socket.storeId}`).emit('pos:menu_synced', syncData);
-
-      socket.emit('pos:sync_complete', {
-        syncType,
-        status: 'SUCCESS',
-        timestamp: new Date()
-      });
-
-      logger.info('🔄 POS 메뉴 동기화', {
-        storeId: socket.storeId,
-        syncType,
-        itemCount: syncData.itemCount
-      });
-    } catch (error) {
-      socket.emit('pos:sync_error', {
-        syncType: data.syncType,
-        error: error.message
-      });
-      logger.error('POS 메뉴 동기화 실패', error);
-    }
-  }
-
-  /**
-   * ====================================================================
-   * 알림 시스템 이벤트 핸들러들
-   * ====================================================================
-   */
-
-  /**
-   * 개별 알림 읽음 처리
-   */
-  async handleNotificationRead(socket, data) {
-    try {
-      const { notificationId } = data;
-
-      // 알림 읽음 상태 업데이트
-      const [updatedCount] = await Notification.update(
-        { isRead: true, readAt: new Date() },
-        { where: { id: notificationId, userId: socket.userId } }
-      );
-
-      if (updatedCount > 0) {
-        socket.emit(SOCKET_EVENTS.NOTIFICATION_READ, {
-          notificationId,
-          readAt: new Date()
-        });
-      }
-
-      logger.info('🔔 알림 읽음 처리', {
-        userId: socket.userId,
-        notificationId
-      });
-    } catch (error) {
-      socket.emit('notification:read_error', {
-        notificationId: data.notificationId,
-        error: error.message
-      });
-      logger.error('알림 읽음 처리 실패', error);
-    }
-  }
+  async handleGetChatHistory(socket, data) {
+    const { roomId, limit = 50, before = null, after = null } = data || {};
 
-  /**
-   * 모든 알림 읽음 처리
-   */
-  async handleMarkAllNotificationsRead(socket, data) {
     try {
-      const [updatedCount] = await Notification.update(
-        { isRead: true, readAt: new Date() },
-        {
-          where: {
-            userId: socket.userId,
-            isRead: false
-          }
-        }
+      const { messages, pageInfo } = await chatService.getMessages(
+        roomId,
+        this.getChatParticipant(socket),
+        { before, after, limit }
       );
 
-      socket.emit('notification:all_read', {
-        markedCount: updatedCount,
-        timestamp: new Date()
-      });
-
-      logger.info('🔔 모든 알림 읽음 처리', {
-        userId: socket.userId,
-        markedCount: updatedCount
-      });
-    } catch (error) {
-      socket.emit('notification:mark_all_error', {
-        error: error.message
-      });
-      logger.error('모든 알림 읽음 처리 실패', error);
-    }
-  }
-
-  /**
-   * 미읽은 알림 개수 조회
-   */
-  async handleGetUnreadNotificationCount(socket, data) {
-    try {
-      const count = await Notification.count({
-        where: {
-          userId: socket.userId,
-          isRead: false
-        }
-      });
-
-      socket.emit('notification:unread_count', {
-        count,
-        timestamp: new Date()
+      socket.emit('chat:history', {
+        roomId,
+        messages,
+        pageInfo,
+        hasMore: pageInfo.hasMore
       });
 
-      logger.info('🔔 미읽은 알림 개수 조회', {
-        userId: socket.userId,
-        count
-      });
-    } catch (error) {
-      socket.emit('notification:count_error', {
-        error: error.message
+      logger.info('📜 채팅 히스토리 전송', {
+        roomId,
+        messageCount: messages.length
       });
-      logger.error('미읽은 알림 개수 조회 실패', error);
+    } catch (error) {
+      this.emitChatError(socket, 'chat:history_error', roomId, error, 'CHAT_HISTORY_FAILED');
+      logger.error('채팅 히스토리 조회 실패', { roomId, userId: socket.userId, error: error.message });
     }
   }
 
   /**
    * ====================================================================
-   * 매장 관리 이벤트 핸들러들 (점주 전용)
+   * 알림 시스템 이벤트 핸들러들
    * ====================================================================
    */
 
   /**
-   * 매장 상태 변경
+   * 개별 알림 읽음 처리 - 결과(notification:read, notification:unread_count)는 구독자가 수신자의 모든 소켓에 전파
    */
-  async handleStoreStatusChange(socket, data) {
+  async handleNotificationRead(socket, data) {
     try {
-      if (socket.userType !== 'STORE') {
-        socket.emit('store:access_denied', {
-          error: 'STORE_ONLY_ACCESS'
-        });
-        return;
-      }
-
-      const { status, reason } = data;
-
-      const statusData = {
-        storeId: socket.storeId,
-        status,
-        reason,
-        changedBy: socket.userId,
-        timestamp: new Date()
-      };
-
-      // 매장의 모든 연결된 클라이언트에게 상태 변경 알림
-      this.io.to(`store:${socket.storeId}`).emit('store:status_changed', statusData);
+      const { notificationId } = data;
 
-      // 해당 매장의 고객들에게 알림 (진행 중인 주문이 있는 경우)
-      // TODO: 매장의 활성 주문 고객들에게 알림 전송
+      const result = await notificationInboxService.markRead(this.getNotificationRecipient(socket), [notificationId]);
 
-      logger.info('🏪 매장 상태 변경', {
-        storeId: socket.storeId,
-        status,
-        reason
+      logger.info('🔔 알림 읽음 처리', {
+        userId: socket.userId,
+        notificationId,
+        updatedCount: result.updatedCount
       });
     } catch (error) {
-      socket.emit('store:status_change_error', {
-        error: error.message
+      socket.emit('notification:read_error', {
+        notificationId: data.notificationId,
+        error: error?.name === 'NotificationError' ? error.reason : error.message
       });
-      logger.error('매장 상태 변경 실패', error);
+      logger.error('알림 읽음 처리 실패', error);
     }
   }
 
   /**
-   * 매장 메뉴 업데이트
+   * 모든 알림 읽음 처리 (category 지정 시 해당 분류만)
    */
-  async handleStoreMenuUpdate(socket, data) {
+  async handleMarkAllNotificationsRead(socket, data) {
     try {
-      if (socket.userType !== 'STORE') {
-        socket.emit('store:access_denied', {
-          error: 'STORE_ONLY_ACCESS'
-        });
-        return;
-      }
-
-      const { menuItemId, action, updateData } = data;
+      const { updatedCount, unreadCount } = await notificationInboxService.markAllRead(
+        this.getNotificationRecipient(socket),
+        { category: data?.category }
+      );
 
-      const menuUpdateData = {
-        storeId: socket.storeId,
-        menuItemId,
-        action, // 'ADD', 'UPDATE', 'DELETE', 'AVAILABILITY_CHANGE'
-        updateData,
-        updatedBy: socket.userId,
+      socket.emit('notification:all_read', {
+        markedCount: updatedCount,
+        unreadCount,
         timestamp: new Date()
-      };
-
-      // 매장 관리자들에게 메뉴 업데이트 알림
-      this.io.to(`store:${socket.storeId}`).emit(SOCKET_EVENTS.STORE_ANALYTICS_UPDATE, menuUpdateData);
-
-      socket.emit('store:menu_updated', {
-        menuItemId,
-        action,
-        status: 'SUCCESS'
       });
 
-      logger.info('📋 매장 메뉴 업데이트', {
-        storeId: socket.storeId,
-        menuItemId,
-        action
+      logger.info('🔔 모든 알림 읽음 처리', {
+        userId: socket.userId,
+        markedCount: updatedCount
       });
     } catch (error) {
-      socket.emit('store:menu_update_error', {
-        menuItemId: data.menuItemId,
-        error: error.message
+      socket.emit('notification:mark_all_error', {
+        error: error?.name === 'NotificationError' ? error.reason : error.message
       });
-      logger.error('매장 메뉴 업데이트 실패', error);
+      logger.error('모든 알림 읽음 처리 실패', error);
     }
   }
 
   /**
-   * 매장 분석 데이터 요청
+   * 알림 보관/보관 해제
    */
-  async handleStoreAnalyticsRequest(socket, data) {
+  async handleArchiveNotifications(socket, data) {
     try {
-      if (socket.userType !== 'STORE') {
-        socket.emit('store:access_denied', {
-          error: 'STORE_ONLY_ACCESS'
-        });
-        return;
-      }
+      const { notificationIds, archived = true } = data;
 
-      const { dateRange, metrics } = data;
+      await notificationInboxService.setArchived(this.getNotificationRecipient(socket), notificationIds, archived);
+    } catch (error) {
+      socket.emit('notification:archive_error', {
+        notificationIds: data?.notificationIds ?? [],
+        error: error?.name === 'NotificationError' ? error.reason : error.message
+      });
+      logger.error('알림 보관 처리 실패', error);
+    }
+  }
 
-      // 실시간 분석 데이터 조회 (실제 구현은 별도 서비스에서)
-      const analyticsData = {
-        storeId: socket.storeId,
-        dateRange,
-        metrics: {
-          todayOrders: 0,
-          todayRevenue: 0,
-          averageOrderTime: 0,
-          customerSatisfaction: 0
-        },
-        timestamp: new Date()
-      };
+  /**
+   * 미읽은 알림 개수 조회 (보관한 알림 제외)
+   */
+  async handleGetUnreadNotificationCount(socket, data) {
+    try {
+      const count = await notificationInboxService.countUnread(
+        this.getNotificationRecipient(socket),
+        { category: data?.category }
+      );
 
-      socket.emit('store:analytics_response', analyticsData);
+      socket.emit('notification:unread_count', {
+        count,
+        category: data?.category ?? null,
+        timestamp: new Date()
+      });
 
-      logger.info('📊 매장 분석 데이터 요청', {
-        storeId: socket.storeId,
-        dateRange,
-        requestedMetrics: metrics
+      logger.info('🔔 미읽은 알림 개수 조회', {
+        userId: socket.userId,
+        count
       });
     } catch (error) {
-      socket.emit('store:analytics_error', {
-        error: error.message
+      socket.emit('notification:count_error', {
+        error: error?.name === 'NotificationError' ? error.reason : error.message
       });
-      logger.error('매장 분석 데이터 요청 실패', error);
+      logger.error('미읽은 알림 개수 조회 실패', error);
     }
   }
 
@@ -1731,69 +929,17 @@ export class UnifiedSocketServer {
    */
 
   /**
-   * 일반 Room 참가 처리 (store 온라인 상태 추적 등)
+   * 일반 Room 참가 처리 - 가입 권한은 canJoinRoom으로 선검증
    */
   async handleGenericJoinRoom(socket, data) {
     try {
       // 표준 형식: { roomId: 'type:id' }
-      const roomId = data?.roomId;
-
-      if (!roomId) {
-        logger.warn('⚠️ joinRoom: roomId가 제공되지 않음', { userId: socket.userId, data });
-        return;
-      }
+      const { roomId } = data;
 
       // Room에 참가
-      socket.join(roomId);
+      await socket.join(roomId);
       logger.info(`🚪 Room 참가: ${roomId}`, { userId: socket.userId, socketId: socket.id });
 
-      // store room인 경우 현재 온라인 상태 전송
-      if (roomId.startsWith('store:')) {
-        const storeId = roomId.replace('store:', '');
-
-        // Redis에서 직접 온라인 상태 조회
-        try {
-          const redisKey = `store:${storeId}:online`;
-          const statusData = await kv.get(redisKey);
-
-          let isOnline = false;
-          let lastSeenAt = null;
-          let socketCount = 0;
-
-          if (statusData) {
-            const parsed = typeof statusData === 'string' ? JSON.parse(statusData) : statusData;
-            isOnline = parsed.isOnline || false;
-            lastSeenAt = parsed.lastSeenAt || null;
-            socketCount = parsed.socketCount || 0;
-          }
-
-          // 현재 상태 즉시 전송
-          socket.emit('store:online:status', {
-            storeId,
-            isOnline,
-            lastSeenAt,
-            socketCount,
-            timestamp: new Date().toISOString()
-          });
-
-          logger.info(`📡 Store 온라인 상태 전송: ${storeId}`, {
-            isOnline,
-            lastSeenAt,
-            socketCount,
-            userId: socket.userId
-          });
-        } catch (error) {
-          logger.error('Store 온라인 상태 조회 실패', { storeId, error: error.message });
-          // 에러 시에도 기본 상태 전송
-          socket.emit('store:online:status', {
-            storeId,
-            isOnline: false,
-            lastSeenAt: null,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
-
       // 참가 확인 응답
       socket.emit('room:joined', { roomId, timestamp: new Date() });
     } catch (error) {
@@ -1807,15 +953,10 @@ export class UnifiedSocketServer {
   async handleGenericLeaveRoom(socket, data) {
     try {
       // 표준 형식: { roomId: 'type:id' }
-      const roomId = data?.roomId;
-
-      if (!roomId) {
-        logger.warn('⚠️ leaveRoom: roomId가 제공되지 않음', { userId: socket.userId, data });
-        return;
-      }
+      const { roomId } = data;
 
       // Room에서 퇴장
-      socket.leave(roomId);
+      await socket.leave(roomId);
       logger.info(`🚪 Room 퇴장: ${roomId}`, { userId: socket.userId, socketId: socket.id });
 
       // 퇴장 확인 응답
@@ -1872,6 +1013,96 @@ export class UnifiedSocketServer {
     }
   }
 
+  /**
+   * 접속 상태 구독 - 대상별 presence Room 가입 후 현재 상태 응답 (조회 권한은 레지스트리에서 선검증)
+   */
+  async handlePresenceSubscribe(socket, data, ack = null) {
+    try {
+      const { targets } = data;
+      await socket.join(targets.map(({ userType, userId }) => this.presenceService.roomFor(userType, userId)));
+
+      const presences = await this.presenceService.getBulkPresence(targets);
+      if (ack) {
+        ack({ success: true, presences });
+      } else {
+        socket.emit('presence:snapshot', { presences, timestamp: new Date().toISOString() });
+      }
+    } catch (error) {
+      logger.error('접속 상태 구독 실패', { userId: socket.userId, error: error.message });
+      if (ack) {
+        ack({ success: false, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 접속 상태 구독 해제
+   */
+  async handlePresenceUnsubscribe(socket, data) {
+    const { targets } = data;
+    for (const { userType, userId } of targets) {
+      // eslint-disable-next-line no-await-in-loop
+      await socket.leave(this.presenceService.roomFor(userType, userId));
+    }
+  }
+
+  /**
+   * 실시간 운영 지표 구독 - 최근 지표/노드별 현황을 ack(없으면 'admin:ops_snapshot')로 응답
+   */
+  async handleOpsMetricsSubscribe(socket, data, ack = null) {
+    try {
+      await socket.join(OPS_METRICS_ROOM);
+
+      const snapshot = await this.opsMetricsService.getSnapshot(data.minutes);
+      if (ack) {
+        ack({ success: true, ...snapshot });
+      } else {
+        socket.emit('admin:ops_snapshot', snapshot);
+      }
+    } catch (error) {
+      logger.error('운영 지표 구독 실패', { userId: socket.userId, error: error.message });
+      if (ack) {
+        ack({ success: false, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 실시간 운영 지표 구독 해제
+   */
+  async handleOpsMetricsUnsubscribe(socket) {
+    await socket.leave(OPS_METRICS_ROOM);
+  }
+
+  /**
+   * 수신 확인 - 클라이언트가 연속으로 처리한 마지막 seq 저장 (다음 resume 기본값)
+   */
+  async handleDeliveryAck(socket, data) {
+    try {
+      await this.eventDeliveryService.acknowledge(socket, data.seq);
+    } catch (error) {
+      logger.error('수신 확인 저장 실패', { userId: socket.userId, seq: data.seq, error: error.message });
+    }
+  }
+
+  /**
+   * 재연결 후 놓친 이벤트 재전송 요청
+   * ack: { success, status: UP_TO_DATE|REPLAYED|RESYNC_REQUIRED, seq, replayed }
+   */
+  async handleDeliveryResume(socket, data, ack = null) {
+    try {
+      const result = await this.eventDeliveryService.resume(socket, data.lastSeq);
+      if (ack) {
+        ack({ success: true, ...result });
+      }
+    } catch (error) {
+      logger.error('이벤트 재전송 실패', { userId: socket.userId, lastSeq: data.lastSeq, error: error.message });
+      if (ack) {
+        ack({ success: false, error: error.message });
+      }
+    }
+  }
+
   /**
    * 앱 상태 변화 처리 (포그라운드/백그라운드)
    * FCM 발송 조건 판단을 위한 실제 앱 상태 추적
@@ -1881,8 +1112,8 @@ export class UnifiedSocketServer {
       const { state } = data; // 'foreground' 또는 'background'
       const userId = socket.userId;
 
-      if (!userId) {
-        logger.warn('📱 [AppState] 사용자 ID 없음 - 상태 변경 무시');
+      if (!userId || socket.userType !== 'CUSTOMER') {
+        logger.warn('📱 [AppState] 고객 앱 소켓이 아님 - 상태 변경 무시', { userType: socket.userType });
         return;
       }
 
@@ -1964,6 +1195,13 @@ export class UnifiedSocketServer {
       // 2초 대기 후 연결 종료 (클라이언트가 메시지를 받을 시간)
       await new Promise(resolve => setTimeout(resolve, 2000));
 
+      // 이 노드의 접속 상태 정리 (sweep 대기 없이 즉시 offline 전환)
+      await this.presenceService.stop();
+      this.socketAuthGuard.stop();
+      this.opsMetricsService.stop();
+      this.chatTypingService.stop();
+      stopChatPushScheduler();
+
       // 모든 연결 정리
       this.connections.clear();
 
@@ -2022,17 +1260,14 @@ export class UnifiedSocketServer {
 
   /**
    * 사용자별 미읽은 알림 조회 (GraphQL Query)
+   * @param {string} recipientType - mobile | web | admin
    */
-  async getUnreadNotifications(userId, limit = 10) {
+  async getUnreadNotifications(userId, limit = 10, recipientType = 'mobile') {
     try {
-      const notifications = await Notification.findAll({
-        where: {
-          userId,
-          isRead: false
-        },
-        order: [['createdAt', 'DESC']],
-        limit
-      });
+      const { notifications } = await notificationInboxService.list(
+        { type: recipientType, id: userId },
+        { limit, unreadOnly: true }
+      );
 
       return notifications;
     } catch (error) {
@@ -2086,19 +1321,12 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 알림 읽음 처리 (GraphQL Mutation)
+   * 알림 읽음 처리 (GraphQL Mutation) - 읽음 상태 전파는 notification.read 구독자가 담당
+   * @param {string} recipientType - mobile | web | admin
    */
-  async markNotificationAsRead(notificationId, userId) {
+  async markNotificationAsRead(notificationId, userId, recipientType = 'mobile') {
     try {
-      const [updatedCount] = await Notification.update(
-        { isRead: true, readAt: new Date() },
-        { where: { id: notificationId, userId } }
-      );
-
-      if (updatedCount > 0) {
-        // 실시간으로 알림 읽음 상태 브로드캐스트
-        this.io.to(`user:${userId}`).emit('notification:read', { notificationId });
-      }
+      const { updatedCount } = await notificationInboxService.markRead({ type: recipientType, id: userId }, [notificationId]);
 
       return {
         success: updatedCount > 0
@@ -2172,38 +1400,6 @@ export class UnifiedSocketServer {
     }
   }
 
-  /**
-   * 배달 위치 업데이트 이벤트 발행
-   */
-  async publishDeliveryLocationUpdate(locationData) {
-    try {
-      const eventData = {
-        deliveryLocationUpdate: {
-          orderId: locationData.orderId,
-          location: locationData.location,
-          eta: locationData.eta,
-          deliveryId: locationData.deliveryId,
-          userId: locationData.userId,
-          timestamp: new Date()
-        }
-      };
-
-      await this.publishSocketEvent('DELIVERY_LOCATION_UPDATE', eventData);
-
-      // 기존 직접 전송도 유지 (호환성)
-      this.io.to(`tracking:order:${locationData.orderId}`).emit('tracking:location_updated', eventData.deliveryLocationUpdate);
-
-      // Mobile Socket Manager를 통한 배달 위치 업데이트
-      if (locationData.orderId) {
-        await this.mobileSocketManager.notifyDeliveryLocationUpdate(locationData.orderId, locationData);
-      }
-
-      logger.info('배달 위치 업데이트 이벤트 발행 완료', { orderId: locationData.orderId });
-    } catch (error) {
-      logger.error('배달 위치 업데이트 이벤트 발행 실패', { error: error.message, locationData });
-    }
-  }
-
   /**
    * 채팅 메시지 이벤트 발행
    */
@@ -2322,10 +1518,11 @@ export class UnifiedSocketServer {
 
   /**
    * 단일 소켓 이벤트 발송 메서드
+   * user:/admin:/chat: Room은 수신자별 시퀀스를 붙여 전송 (재연결 시 재전송 가능)
    */
-  emitToRoom(room, event, data) {
+  async emitToRoom(room, event, data) {
     try {
-      this.io.to(room).emit(event, data);
+      await this.eventDeliveryService.emitToRoom(room, event, data);
       logger.info(`이벤트 발송`, { room, event });
     } catch (error) {
       logger.error('이벤트 발송 실패', error);
@@ -2369,6 +1566,91 @@ export class UnifiedSocketServer {
         vi: 'Gửi tin nhắn thất bại',
         ko: '메시지 전송에 실패했습니다',
         en: 'Failed to send message'
+      },
+      'CHAT_ROOM_NOT_FOUND': {
+        vi: 'Không tìm thấy cuộc trò chuyện',
+        ko: '채팅방을 찾을 수 없습니다',
+        en: 'Chat room not found'
+      },
+      'CHAT_EMPTY_MESSAGE': {
+        vi: 'Vui lòng nhập nội dung tin nhắn',
+        ko: '메시지 내용을 입력해주세요',
+        en: 'Message content is required'
+      },
+      'CHAT_MESSAGE_TOO_LONG': {
+        vi: 'Tin nhắn quá dài',
+        ko: '메시지가 너무 깁니다',
+        en: 'Message is too long'
+      },
+      'CHAT_MESSAGE_NOT_FOUND': {
+        vi: 'Không tìm thấy tin nhắn',
+        ko: '메시지를 찾을 수 없습니다',
+        en: 'Message not found'
+      },
+      'CHAT_READ_FAILED': {
+        vi: 'Không thể cập nhật trạng thái đã đọc',
+        ko: '읽음 처리에 실패했습니다',
+        en: 'Failed to update read state'
+      },
+      'CHAT_DELIVERED_FAILED': {
+        vi: 'Không thể cập nhật trạng thái đã nhận',
+        ko: '수신 처리에 실패했습니다',
+        en: 'Failed to update delivery state'
+      },
+      'CHAT_HISTORY_FAILED': {
+        vi: 'Không thể tải lịch sử trò chuyện',
+        ko: '채팅 기록을 불러오지 못했습니다',
+        en: 'Failed to load chat history'
+      },
+      'SOCKET_UNKNOWN_EVENT': {
+        vi: 'Sự kiện không được hỗ trợ',
+        ko: '지원하지 않는 이벤트입니다',
+        en: 'Unsupported event'
+      },
+      'SOCKET_UNAUTHENTICATED': {
+        vi: 'Vui lòng xác thực trước',
+        ko: '인증이 필요합니다',
+        en: 'Authentication required'
+      },
+      'SOCKET_FORBIDDEN': {
+        vi: 'Bạn không có quyền thực hiện thao tác này',
+        ko: '이 작업에 대한 권한이 없습니다',
+        en: 'You do not have permission for this action'
+      },
+      'SOCKET_RATE_LIMITED': {
+        vi: 'Quá nhiều yêu cầu, vui lòng thử lại sau',
+        ko: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요',
+        en: 'Too many requests, please try again later'
+      },
+      'SOCKET_MUTED': {
+        vi: 'Bạn đã gửi quá nhiều yêu cầu và tạm thời bị hạn chế',
+        ko: '요청이 너무 많아 잠시 동안 이용이 제한되었습니다',
+        en: 'Too many requests. You are temporarily restricted'
+      },
+      'SOCKET_PAYLOAD_TOO_LARGE': {
+        vi: 'Dữ liệu gửi lên quá lớn',
+        ko: '요청 데이터가 너무 큽니다',
+        en: 'Payload too large'
+      },
+      'SOCKET_INVALID_PAYLOAD': {
+        vi: 'Dữ liệu không hợp lệ',
+        ko: '요청 데이터가 올바르지 않습니다',
+        en: 'Invalid payload'
+      },
+      'SOCKET_HANDLER_FAILED': {
+        vi: 'Không thể xử lý yêu cầu',
+        ko: '요청을 처리하지 못했습니다',
+        en: 'Failed to process the request'
+      },
+      'CHAT_PREVIEW_IMAGE': {
+        vi: '[Hình ảnh]',
+        ko: '[사진]',
+        en: '[Image]'
+      },
+      'CHAT_PREVIEW_FILE': {
+        vi: '[Tệp đính kèm]',
+        ko: '[파일]',
+        en: '[File]'
       }
     };
 
@@ -2376,64 +1658,44 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 주문 상태별 다국어 메시지
+   * 주문 상태별 다국어 메시지 (주문 알림 템플릿의 푸시 본문)
    */
   getOrderStatusMessage(status, language = 'vi') {
-    const statusMessages = {
-      'PENDING': {
-        vi: 'Đơn hàng đang chờ xử lý',
-        ko: '주문 처리 대기 중',
-        en: 'Order is pending'
-      },
-      'CONFIRMED': {
-        vi: 'Đơn hàng đã được xác nhận',
-        ko: '주문이 확인되었습니다',
-        en: 'Order confirmed'
-      },
-      'PREPARING': {
-        vi: 'Đang chuẩn bị món ăn',
-        ko: '음식을 준비 중입니다',
-        en: 'Preparing your food'
-      },
-      'READY': {
-        vi: 'Món ăn đã sẵn sàng',
-        ko: '음식이 준비완료되었습니다',
-        en: 'Food is ready'
-      },
-      'PICKED_UP': {
-        vi: 'Đã bắt đầu giao hàng',
-        ko: '배달이 시작되었습니다',
-        en: 'Delivery started'
-      },
-      'DELIVERED': {
-        vi: 'Giao hàng hoàn tất',
-        ko: '배달이 완료되었습니다',
-        en: 'Delivery completed'
-      },
-      'CANCELLED': {
-        vi: 'Đơn hàng đã bị hủy',
-        ko: '주문이 취소되었습니다',
-        en: 'Order cancelled'
-      }
-    };
+    return notificationTemplateService.renderPush(getOrderStatusTemplateType(status), language, { status }).body;
+  }
+
+  /**
+   * 토큰 clientType → 소켓 사용자 타입
+   */
+  resolveSocketUserType(clientType) {
+    if (clientType === 'store-admin' || clientType === 'store') return 'STORE';
+    if (clientType === 'web') return 'WEB';
+    return 'CUSTOMER';
+  }
+
+  /**
+   * 소켓 사용자 → 채팅 참여자 식별자 (채팅 참여자가 될 수 없는 타입은 null)
+   */
+  getChatParticipant(socket) {
+    const type = { CUSTOMER: 'mobile', WEB: 'web' }[socket.userType];
+    return type && socket.userId ? { type, id: socket.userId } : null;
+  }
 
-    return statusMessages[status]?.[language] || statusMessages[status]?.['vi'] || status;
+  /**
+   * 소켓 사용자 → 알림 수신자 식별자 (알림함이 없는 타입은 null - NotificationInboxService가 INVALID_RECIPIENT)
+   */
+  getNotificationRecipient(socket) {
+    const type = { CUSTOMER: 'mobile', WEB: 'web', ADMIN: 'admin' }[socket.userType];
+    return type && socket.userId ? { type, id: socket.userId } : null;
   }
 
   /**
-   * 채팅방 접근 권한 검증
+   * 채팅방 참여자 검증 (ChatParticipant 기준)
    */
-  async verifyChatRoomAccess(userId, roomId, userType) {
+  async verifyChatRoomAccess(socket, roomId) {
     try {
-      // 실제 구현에서는 데이터베이스에서 채팅방 참여자 확인
-      // 임시로 true 반환 (개발용)
-      return true;
-
-      // 실제 구현 예시:
-      // const chatRoom = await ChatRoom.findByPk(roomId, {
-      //   include: [{ model: ChatParticipant, where: { userId } }]
-      // });
-      // return !!chatRoom;
+      const participant = this.getChatParticipant(socket);
+      return participant ? await chatService.isParticipant(roomId, participant) : false;
     } catch (error) {
       logger.error('채팅방 접근 권한 검증 실패', error);
       return false;
@@ -2441,125 +1703,244 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 채팅 메시지 저장
-   *
-   * ⚠️ 주의: GraphQL Mutation(mSendChatMessage)에서 이미 DB 저장을 처리합니다.
-   * Socket.IO 이벤트는 실시간 전파용으로만 사용하고, 중복 저장하지 않습니다.
+   * 일반 Room 가입 권한 - 본인 개인 Room(고객 user, Web 계정 web), 소속 매장 store Room, 참여 중인 chat Room만 허용
    */
-  async saveChatMessage(messageData) {
-    try {
-      logger.info('💬 채팅 메시지 Socket 전파 (프로덕션)', {
-        messageId: messageData.id,
-        roomId: messageData.roomId,
-        senderId: messageData.senderId
-      });
+  async canJoinRoom(socket, roomId) {
+    const [type, id] = roomId.split(':');
 
-      // GraphQL Mutation에서 이미 DB 저장이 완료되었으므로
-      // Socket.IO는 실시간 전파만 담당
-      // 별도 DB 저장 로직 불필요
+    if (type === 'user') return socket.userType === 'CUSTOMER' && String(id) === String(socket.userId);
+    if (type === 'web') return socket.userType === 'WEB' && String(id) === String(socket.userId);
+    if (type === 'store') return Boolean(socket.storeId) && String(id) === String(socket.storeId);
+    if (type === 'chat') return this.verifyChatRoomAccess(socket, id);
+    return false;
+  }
 
-      return true;
-    } catch (error) {
-      logger.error('❌ 채팅 메시지 Socket 전파 실패', error);
-      throw error;
-    }
+  /**
+   * 참여자 검증을 거쳐 입장한 채팅방인지 여부 (handleJoinRoom/handleReconnectRequest에서만 join)
+   */
+  isInChatRoom(socket, roomId) {
+    return Boolean(roomId) && socket.rooms.has(`chat:${roomId}`);
   }
 
   /**
-   * 채팅 히스토리 조회
-   *
-   * ⚠️ 주의: GraphQL Query(mGetChatMessages)에서 이미 DB 조회를 처리합니다.
-   * Socket.IO에서는 히스토리 조회 기능을 사용하지 않습니다.
+   * 채팅 에러 응답 - ChatService 에러는 reason을 그대로 전달
    */
-  async getChatHistory(roomId, limit = 50, before = null) {
-    try {
-      logger.info('📜 채팅 히스토리 조회 (GraphQL Query 사용 권장)', {
-        roomId,
-        limit,
-        before
-      });
+  emitChatError(socket, event, roomId, error, fallbackKey, extra = {}) {
+    const reason = error?.name === 'ChatError' ? error.reason : null;
+    const messageKey = reason ? `CHAT_${reason}` : fallbackKey;
 
-      // GraphQL Query(mGetChatMessages)를 사용하여 조회하세요
-      // Socket.IO는 실시간 메시지 전파용으로만 사용
-      return [];
-    } catch (error) {
-      logger.error('❌ 채팅 히스토리 조회 실패', error);
-      return [];
-    }
+    socket.emit(event, {
+      roomId: roomId ?? null,
+      error: reason || fallbackKey,
+      message: this.getLocalizedMessage(messageKey, socket.language),
+      ...extra
+    });
   }
 
   /**
-   * 메시지 읽음 상태 업데이트
-   *
-   * ⚠️ 주의: GraphQL Mutation(mMarkMessagesRead)에서 이미 DB 업데이트를 처리합니다.
-   * Socket.IO는 실시간 읽음 상태 전파용으로만 사용합니다.
+   * 채팅 이벤트 구독 - GraphQL/소켓 어느 경로로 저장되든 커밋 후 한 번만 전파
    */
-  async markMessagesAsRead(userId, roomId, lastReadMessageId) {
-    try {
-      logger.info('👁️ 메시지 읽음 상태 Socket 전파 (프로덕션)', {
-        userId,
-        roomId,
-        lastReadMessageId
+  setupChatEventSubscriptions() {
+    const eventBus = getGlobalEventBus();
+
+    eventBus.subscribe('chat.message.created', async (event) => {
+      const { message } = event.data;
+      await this.eventDeliveryService.emitToRoom(`chat:${message.roomId}`, 'chat:received', message);
+
+      // 메시지를 보낸 참여자의 타이핑 표시 해제
+      await this.chatTypingService.stopTyping(
+        message.roomId,
+        { type: message.senderType, id: message.senderId },
+        TYPING_STOP_REASONS.MESSAGE_SENT
+      );
+
+      // 상대방이 오프라인인 경우 푸시 알림 준비
+      await this.handleOfflineChatNotification(message);
+    });
+
+    eventBus.subscribe('chat.messages.read', async (event) => {
+      const { aggregateId: roomId, participantType, participantId, lastReadMessageId, readAt } = event.data;
+      await this.eventDeliveryService.emitToRoom(`chat:${roomId}`, 'chat:message_read', {
+        roomId: String(roomId),
+        participantType,
+        participantId,
+        userId: participantId,
+        messageId: lastReadMessageId,
+        timestamp: readAt
+      });
+    });
+
+    eventBus.subscribe('chat.messages.delivered', async (event) => {
+      const { aggregateId: roomId, participantType, participantId, lastDeliveredMessageId, deliveredAt } = event.data;
+      await this.eventDeliveryService.emitToRoom(`chat:${roomId}`, 'chat:message_delivered', {
+        roomId: String(roomId),
+        participantType,
+        participantId,
+        messageId: lastDeliveredMessageId,
+        timestamp: deliveredAt
       });
+    });
 
-      // GraphQL Mutation에서 이미 DB 업데이트가 완료되었으므로
-      // Socket.IO는 실시간 전파만 담당
-      // 별도 DB 업데이트 로직 불필요
+    // 읽지 않은 수는 해당 참여자에게만 (앱 배지/채팅방 목록 갱신)
+    eventBus.subscribe('chat.unread.changed', async (event) => {
+      const { aggregateId: roomId, participantType, participantId, unreadCount, totalUnread } = event.data;
+      await this.eventDeliveryService.deliver(CHAT_RECIPIENT_TYPES[participantType], participantId, 'chat:unread_updated', {
+        roomId: String(roomId),
+        unreadCount,
+        totalUnread
+      });
+    });
+  }
 
-      return true;
-    } catch (error) {
-      logger.error('❌ 메시지 읽음 상태 Socket 전파 실패', error);
-    }
+  /**
+   * 알림함 이벤트 구독 - 변경된 알림과 변경 후 읽지 않은 수를 수신자의 모든 소켓에 전파
+   * GraphQL/소켓 어느 경로로 변경되든 'notification:unread_count'가 같은 값을 전달
+   * 새 알림(notification:new)은 수신 설정의 SOCKET 채널이 꺼져 있으면 생략 (읽지 않은 수는 항상 전달)
+   */
+  setupNotificationEventSubscriptions() {
+    const eventBus = getGlobalEventBus();
+
+    const deliverUnreadCount = (recipientType, recipientId, count) => (
+      this.eventDeliveryService.deliver(NOTIFICATION_RECIPIENT_TYPES[recipientType], recipientId, 'notification:unread_count', {
+        count,
+        category: null,
+        timestamp: new Date()
+      })
+    );
+
+    eventBus.subscribe('notification.created', async (event) => {
+      const { recipientType, recipientId, notification, unreadCount } = event.data;
+      const recipient = { type: recipientType, id: recipientId };
+      if (await notificationPreferenceService.isAllowed(recipient, notification.category, 'SOCKET')) {
+        await this.eventDeliveryService.deliver(NOTIFICATION_RECIPIENT_TYPES[recipientType], recipientId, 'notification:new', {
+          ...notification,
+          id: String(notification.id),
+          content: notification.body,
+          unreadCount
+        });
+      }
+      await deliverUnreadCount(recipientType, recipientId, unreadCount);
+    });
+
+    eventBus.subscribe('notification.read', async (event) => {
+      const { recipientType, recipientId, notificationIds, all, unreadCount, readAt } = event.data;
+      await this.eventDeliveryService.deliver(NOTIFICATION_RECIPIENT_TYPES[recipientType], recipientId, SOCKET_EVENTS.NOTIFICATION_READ, {
+        notificationId: notificationIds.length === 1 ? notificationIds[0] : null,
+        notificationIds,
+        all,
+        unreadCount,
+        readAt
+      });
+      await deliverUnreadCount(recipientType, recipientId, unreadCount);
+    });
+
+    eventBus.subscribe('notification.archived', async (event) => {
+      const { recipientType, recipientId, notificationIds, archived, unreadCount } = event.data;
+      await this.eventDeliveryService.deliver(NOTIFICATION_RECIPIENT_TYPES[recipientType], recipientId, 'notification:archived', {
+        notificationIds,
+        archived,
+        unreadCount
+      });
+      await deliverUnreadCount(recipientType, recipientId, unreadCount);
+    });
   }
 
   /**
-   * 오프라인 사용자를 위한 푸시 알림 준비
+   * 오프라인/백그라운드 참여자에게 채팅 푸시 알림 발송
+   * 음소거한 참여자는 제외, 수신 설정/방해 금지 시간/연속 메시지 합치기는 sendChatMessageNotification에서 처리
    */
   async handleOfflineChatNotification(messageData) {
     try {
-      // 채팅방 참여자 중 오프라인 사용자 확인
-      const offlineParticipants = await this.getOfflineChatParticipants(messageData.roomId, messageData.senderId);
+      const offlineParticipants = await this.getOfflineChatParticipants(messageData);
+      if (offlineParticipants.length === 0) return;
+
+      const senderName = await this.getChatSenderName(messageData);
+      const users = await db.User.findAll({
+        where: { id: offlineParticipants.map((participant) => participant.participantId) },
+        attributes: ['id', 'language']
+      });
+
+      for (const user of users) {
+        const participant = { type: 'mobile', id: user.id };
+        const [unreadCounts, badge] = await Promise.all([
+          chatService.getUnreadCounts(participant),
+          chatService.countTotalUnread(participant)
+        ]);
 
-      for (const participant of offlineParticipants) {
-        // FCM 푸시 알림 준비 (실제 구현 필요)
-        logger.info('오프라인 푸시 알림 준비', {
-          userId: participant.userId,
+        await sendChatMessageNotification({
+          userId: user.id,
+          roomId: messageData.roomId,
           messageId: messageData.id,
-          roomId: messageData.roomId
+          senderName,
+          messagePreview: this.getChatMessagePreview(messageData, user.language),
+          unreadCount: unreadCounts.get(String(messageData.roomId)) || 1,
+          badge,
+          language: user.language
         });
       }
     } catch (error) {
-      logger.error('오프라인 채팅 알림 처리 실패', error);
+      logger.error('오프라인 채팅 알림 처리 실패', { error: error.message, roomId: messageData?.roomId });
     }
   }
 
   /**
    * 오프라인 채팅 참여자 조회
+   * 푸시 대상(발신자 제외, 음소거 안 한 고객) 중 고객 앱 소켓이 없거나 앱이 백그라운드인 참여자
+   * @returns {Promise<ChatParticipant[]>}
    */
-  async getOfflineChatParticipants(roomId, excludeUserId) {
+  async getOfflineChatParticipants(messageData) {
     try {
-      // 실제 구현에서는 채팅방 참여자 중 현재 연결되지 않은 사용자 조회
-      return [];
+      const targets = await chatService.getPushTargets(messageData);
+      const offline = [];
+
+      for (const target of targets) {
+        const [sockets, appState] = await Promise.all([
+          this.io.in(`user:${target.participantId}`).fetchSockets(),
+          kv.get(`socket:user:${target.participantId}:appState`)
+        ]);
+        const connected = sockets.some((socket) => socket.data?.userType === 'CUSTOMER');
+
+        if (!connected || appState === 'background') {
+          offline.push(target);
+        }
+      }
 
-      // 실제 구현 예시:
-      // const participants = await ChatParticipant.findAll({
-      //   where: {
-      //     roomId,
-      //     userId: { [Op.ne]: excludeUserId }
-      //   },
-      //   include: [{ model: User, as: 'user' }]
-      // });
-
-      // return participants.filter(p => {
-      //   const connections = this.getConnectionsByUser(p.userId);
-      //   return connections.length === 0; // 연결되지 않은 사용자
-      // });
+      return offline;
     } catch (error) {
-      logger.error('오프라인 채팅 참여자 조회 실패', error);
+      logger.error('오프라인 채팅 참여자 조회 실패', { error: error.message, roomId: messageData?.roomId });
       return [];
     }
   }
 
+  /**
+   * 채팅 푸시 발신자 표시 이름
+   */
+  async getChatSenderName(messageData) {
+    if (messageData.senderType === 'web') {
+      const account = await db.WebAccount.findByPk(messageData.senderId, { attributes: ['id', 'name'] });
+      return account?.name || 'Delivery VN';
+    }
+    if (messageData.senderType === 'mobile') {
+      const user = await db.User.findByPk(messageData.senderId, { attributes: ['id', 'name', 'nickname'] });
+      return user?.nickname || user?.name || 'Delivery VN';
+    }
+    return 'Delivery VN';
+  }
+
+  /**
+   * 채팅 푸시 미리보기 (본문 100자, 첨부만 있으면 타입 표시)
+   */
+  getChatMessagePreview(messageData, language = 'vi') {
+    if (messageData.content) {
+      return messageData.content.length > 100
+        ? `${messageData.content.slice(0, 100)}…`
+        : messageData.content;
+    }
+
+    const key = messageData.messageType === 'IMAGE' ? 'CHAT_PREVIEW_IMAGE' : 'CHAT_PREVIEW_FILE';
+    return this.getLocalizedMessage(key, language);
+  }
+
   /**
    * ====================================================================
    * GraphQL 리졸버를 위한 실시간 서비스 인터페이스
@@ -2581,7 +1962,6 @@ export class UnifiedSocketServer {
 
       // 이벤트 발행 (주문, 배달, 채팅, 알림)
       publishOrderStatusChanged: this.publishOrderStatusChanged.bind(this),
-      publishDeliveryLocationUpdate: this.publishDeliveryLocationUpdate.bind(this),
       publishChatMessageReceived: this.publishChatMessageReceived.bind(this),
       publishNotificationReceived: this.publishNotificationReceived.bind(this),
       publishSystemAlert: this.publishSystemAlert.bind(this),
@@ -2590,7 +1970,6 @@ export class UnifiedSocketServer {
       notifyStoreNewOrder: this.notifyStoreNewOrder.bind(this),
       notifyStorePaymentCompleted: this.notifyStorePaymentCompleted.bind(this),
       notifyStoreOrderStatusChanged: this.notifyStoreOrderStatusChanged.bind(this),
-      notifyStorePOSConnectionStatus: this.notifyStorePOSConnectionStatus.bind(this),
       notifyStoreSystemAlert: this.notifyStoreSystemAlert.bind(this),
       notifyStoreAnalyticsUpdate: this.notifyStoreAnalyticsUpdate.bind(this),
 
@@ -2620,11 +1999,11 @@ export class UnifiedSocketServer {
    */
 
   /**
-   * 특정 사용자에게 이벤트 전송
+   * 특정 사용자에게 이벤트 전송 (시퀀스 부여, 재연결 시 재전송)
    */
-  emitToUser(userId, eventName, data) {
+  async emitToUser(userId, eventName, data) {
     try {
-      this.io.to(`user:${userId}`).emit(eventName, {
+      await this.eventDeliveryService.deliver('CUSTOMER', userId, eventName, {
         ...data,
         timestamp: new Date(),
         serverTime: new Date().toISOString()
@@ -2662,11 +2041,11 @@ export class UnifiedSocketServer {
   }
 
   /**
-   * 특정 채팅방에 이벤트 전송
+   * 특정 채팅방에 이벤트 전송 (참여자별 시퀀스 부여, 재연결 시 재전송)
    */
-  emitToChatRoom(chatRoomId, eventName, data) {
+  async emitToChatRoom(chatRoomId, eventName, data) {
     try {
-      this.io.to(`chat:${chatRoomId}`).emit(eventName, {
+      await this.eventDeliveryService.emitToRoom(`chat:${chatRoomId}`, eventName, {
         ...data,
         timestamp: new Date(),
         serverTime: new Date().toISOString()
@@ -0,0 +1,230 @@
+/**
+ * Socket 이벤트 레지스트리
+ * 기능 모듈이 수신 이벤트를 선언하면 UnifiedSocketServer가 검증 후 자동 라우팅
+ *
+ * 이벤트 정의:
+ * {
+ *   event: 'chat:send_message',               // 이벤트명 (중복 등록 불가)
+ *   description: '채팅 메시지 전송',
+ *   schema: Joi.object({ ... }),              // 페이로드 스키마 (정의되지 않은 필드는 제거)
+ *   auth: true,                               // 인증 필요 여부 (기본 true)
+ *   userTypes: ['CUSTOMER', 'WEB'],           // 허용 사용자 타입 (없으면 인증된 전체)
+ *   permission: (server, socket, payload) => boolean | Promise<boolean>,  // 추가 권한 검사
+ *   rateLimit: {                              // 토큰 버킷 (기본 DEFAULT_RATE_LIMIT, SocketRateLimiter 참고)
+ *     limit: 30, windowMs: 10000,             //   계정별 최대 limit개, windowMs 동안 limit개 보충
+ *     web: { limit: 60, windowMs: 10000 },    //   클라이언트 타입별 한도 (mobile/web/admin, 없으면 기본 × 배수)
+ *     scope: 'socket'                         //   연결별 버킷 (하트비트 등)
+ *   },
+ *   maxPayloadBytes: 4096,                    // 페이로드 최대 크기 (기본 DEFAULT_MAX_PAYLOAD_BYTES)
+ *   essential: true,                          // 연결 유지용 - 요청 제한 위반으로 음소거 중에도 허용
+ *   handler: (server, socket, payload, ack) => Promise<void>
+ * }
+ *
+ * 처리 순서: 등록 여부 → 인증 → 사용자 타입 → 페이로드 크기/요청 빈도/음소거 → 페이로드 → 권한 → 핸들러
+ * 거부 시 'socket:error' { event, code, message, details } 발송 (ack 콜백이 있으면 ack로도 응답)
+ * code: UNKNOWN_EVENT | UNAUTHENTICATED | FORBIDDEN | PAYLOAD_TOO_LARGE | RATE_LIMITED | MUTED | INVALID_PAYLOAD | HANDLER_FAILED
+ */
+
+import Joi from 'joi';
+import loggerDefault from '../../utils/utilities/Logger.js';
+import socketRateLimiter from '../services/SocketRateLimiter.js';
+
+const logger = loggerDefault;
+
+// 레지스트리 거부 응답 이벤트
+export const SOCKET_ERROR_EVENT = 'socket:error';
+
+// rateLimit을 선언하지 않은 이벤트의 기본 한도 (계정별 1분 60회)
+const DEFAULT_RATE_LIMIT = { limit: 60, windowMs: 60000 };
+
+// maxPayloadBytes를 선언하지 않은 이벤트의 기본 최대 크기
+const DEFAULT_MAX_PAYLOAD_BYTES = parseInt(process.env.SOCKET_MAX_PAYLOAD_BYTES || '16384');
+
+// 스키마가 없는 이벤트는 페이로드를 받지 않음
+const EMPTY_SCHEMA = Joi.object({});
+
+/**
+ * 소켓 이벤트 에러
+ * @param {string} code - UNKNOWN_EVENT | UNAUTHENTICATED | FORBIDDEN | PAYLOAD_TOO_LARGE | RATE_LIMITED | MUTED | INVALID_PAYLOAD | HANDLER_FAILED
+ * @param {Object} details - 추가 정보 (INVALID_PAYLOAD의 필드 목록, RATE_LIMITED의 retryAfterMs 등)
+ */
+export const socketEventError = (code, details = null) => {
+  const error = new Error(code);
+  error.name = 'SocketEventError';
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+class SocketEventRegistry {
+  constructor() {
+    this.definitions = new Map(); // event -> 정의
+  }
+
+  /**
+   * 기능 모듈의 이벤트 등록
+   * @param {string} module - 모듈명 (로그/목록용)
+   * @param {Object[]} definitions - 이벤트 정의 배열
+   */
+  registerModule(module, definitions) {
+    for (const definition of definitions) {
+      if (!definition.event || typeof definition.handler !== 'function') {
+        throw new Error(`Invalid socket event definition in module ${module}`);
+      }
+      if (this.definitions.has(definition.event)) {
+        throw new Error(`Socket event already registered: ${definition.event}`);
+      }
+
+      this.definitions.set(definition.event, {
+        auth: true,
+        rateLimit: DEFAULT_RATE_LIMIT,
+        maxPayloadBytes: DEFAULT_MAX_PAYLOAD_BYTES,
+        essential: false,
+        schema: EMPTY_SCHEMA,
+        ...definition,
+        module
+      });
+    }
+    return this;
+  }
+
+  /**
+   * 이벤트 정의 조회
+   */
+  get(event) {
+    return this.definitions.get(event) || null;
+  }
+
+  /**
+   * 등록된 이벤트 수
+   */
+  get size() {
+    return this.definitions.size;
+  }
+
+  /**
+   * 등록된 이벤트 목록 (핸들러 제외)
+   */
+  list() {
+    return Array.from(this.definitions.values()).map(({ event, module, description, auth, userTypes, rateLimit, maxPayloadBytes, essential }) => ({
+      event,
+      module,
+      description: description || null,
+      auth,
+      userTypes: userTypes || null,
+      rateLimit,
+      maxPayloadBytes,
+      essential
+    }));
+  }
+
+  /**
+   * 소켓에 레지스트리 라우팅 연결 - 모든 수신 이벤트를 dispatch로 전달
+   * @param {import('../UnifiedSocketServer.js').UnifiedSocketServer} server
+   * @param {import('socket.io').Socket} socket
+   */
+  attach(server, socket) {
+    socket.onAny((event, ...args) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      return this.dispatch(server, socket, event, args[0], ack);
+    });
+  }
+
+  /**
+   * 이벤트 검증 후 핸들러 실행
+   */
+  async dispatch(server, socket, event, payload, ack = null) {
+    const definition = this.definitions.get(event);
+    const startTime = Date.now();
+
+    try {
+      if (!definition) {
+        throw socketEventError('UNKNOWN_EVENT');
+      }
+      if (definition.auth && !socket.userId) {
+        throw socketEventError('UNAUTHENTICATED');
+      }
+      if (definition.userTypes && !definition.userTypes.includes(socket.userType)) {
+        throw socketEventError('FORBIDDEN');
+      }
+
+      const throttled = await socketRateLimiter.consume(server, socket, definition, payload);
+      if (throttled) {
+        throw socketEventError(throttled.code, throttled.details);
+      }
+
+      const { value, error } = definition.schema.validate(payload ?? {}, {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: true
+      });
+      if (error) {
+        throw socketEventError('INVALID_PAYLOAD', error.details.map((detail) => ({
+          field: detail.path.join('.'),
+          type: detail.type
+        })));
+      }
+
+      if (definition.permission && !(await definition.permission(server, socket, value))) {
+        throw socketEventError('FORBIDDEN');
+      }
+
+      await definition.handler(server, socket, value, ack);
+
+      // 처리 시간 기록 (payload는 저장하지 않음 - 기본 설정에서 DEBUG는 DB 미저장)
+      server.eventLogger?.logBusinessEvent(socket, event, null, startTime, 'DEBUG');
+    } catch (error) {
+      const code = error.name === 'SocketEventError' ? error.code : 'HANDLER_FAILED';
+      this.reject(server, socket, event, code, error.details, ack);
+
+      const log = code === 'HANDLER_FAILED' ? logger.error : logger.warn;
+      log.call(logger, 'SocketEventRejected', {
+        event,
+        code,
+        userId: socket.userId,
+        userType: socket.userType,
+        socketId: socket.id,
+        ...(code === 'HANDLER_FAILED' && { error: error.message })
+      });
+
+      if (code === 'HANDLER_FAILED') {
+        server.eventLogger?.logError(socket, event, error, { code });
+      } else {
+        server.eventLogger?.logEvent({
+          namespace: socket.nsp?.name,
+          eventName: event,
+          level: 'WARN',
+          userType: socket.userType,
+          userId: socket.userId,
+          storeId: socket.storeId,
+          socketId: socket.id,
+          data: { code, ...(error.details && { details: error.details }) }
+        });
+      }
+    }
+  }
+
+  /**
+   * 거부 응답 발송
+   */
+  reject(server, socket, event, code, details, ack) {
+    const response = {
+      event,
+      code,
+      message: server.getLocalizedMessage(`SOCKET_${code}`, socket.language),
+      ...(details && { details }),
+      timestamp: new Date()
+    };
+
+    socket.emit(SOCKET_ERROR_EVENT, response);
+    if (ack) {
+      ack({ success: false, error: response });
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const socketEventRegistry = new SocketEventRegistry();
+
+export default socketEventRegistry;
+export { SocketEventRegistry };
@@ -0,0 +1,39 @@
+/**
+ * 관리자 Socket 이벤트
+ * 실시간 운영 지표 구독 - 구독 중에는 노드마다 OPS_METRICS_INTERVAL_SECONDS 간격으로 'admin:ops_metrics' 수신
+ */
+
+import Joi from 'joi';
+import { WILDCARD_PERMISSION } from '../../config/permissions.js';
+import { OPS_METRICS_HISTORY_MINUTES } from '../services/OpsMetricsService.js';
+
+/**
+ * 연결 시 인증된 관리자 권한 기준 (AuthMiddleware가 넣어준 getAllPermissions 결과)
+ */
+const hasAdminPermission = (socket, permission) => {
+  const permissions = socket.user?.permissions || [];
+  return permissions.includes(WILDCARD_PERMISSION) || permissions.includes(permission);
+};
+
+const adminEvents = [
+  {
+    event: 'admin:ops_subscribe',
+    description: '실시간 운영 지표 구독 (ack로 최근 지표와 노드별 현황 응답)',
+    userTypes: ['ADMIN'],
+    schema: Joi.object({
+      minutes: Joi.number().integer().min(1).max(OPS_METRICS_HISTORY_MINUTES).default(15)
+    }),
+    permission: (server, socket) => hasAdminPermission(socket, 'VIEW_SYSTEM_METRICS'),
+    rateLimit: { limit: 10, windowMs: 60000 },
+    handler: (server, socket, payload, ack) => server.handleOpsMetricsSubscribe(socket, payload, ack)
+  },
+  {
+    event: 'admin:ops_unsubscribe',
+    description: '실시간 운영 지표 구독 해제',
+    userTypes: ['ADMIN'],
+    rateLimit: { limit: 10, windowMs: 60000 },
+    handler: (server, socket) => server.handleOpsMetricsUnsubscribe(socket)
+  }
+];
+
+export default adminEvents;
@@ -0,0 +1,129 @@
+/**
+ * 채팅 Socket 이벤트
+ * 참여자 검증은 ChatService가 수행 - 입장(join)과 타이핑은 레지스트리 권한 검사로 선검증
+ * 타이핑 상태는 ChatTypingService가 보관/만료, 수신/읽음 상태와 읽지 않은 수는 ChatService가 관리
+ */
+
+import Joi from 'joi';
+
+// 채팅 참여자 타입 (고객 / Web 계정)
+const CHAT_USER_TYPES = ['CUSTOMER', 'WEB'];
+
+const roomId = Joi.alternatives(Joi.string().pattern(/^\d+$/), Joi.number().integer().positive());
+const messageId = Joi.alternatives(Joi.string().pattern(/^\d+$/), Joi.number().integer().positive());
+
+const chatEvents = [
+  {
+    event: 'chat:send_message',
+    description: '채팅 메시지 전송',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: roomId.required(),
+      content: Joi.string().allow('').max(2000),
+      message: Joi.string().allow('').max(2000),
+      messageType: Joi.string(),
+      type: Joi.string(),
+      attachments: Joi.array().items(Joi.object().unknown(true)).max(10),
+      clientMessageId: Joi.string().max(64)
+    }),
+    // Web(매장 직원)은 여러 고객 채팅에 동시에 응답
+    rateLimit: { limit: 10, windowMs: 10000, web: { limit: 40, windowMs: 10000 } },
+    maxPayloadBytes: 32 * 1024,
+    handler: (server, socket, payload) => server.handleChatMessage(socket, payload)
+  },
+  {
+    event: 'chat:join_room',
+    description: '채팅방 입장 (소켓 구독 + 최근 메시지)',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: Joi.alternatives(roomId, Joi.string().pattern(/^chat:\d+$/)).required(),
+      loadHistory: Joi.boolean().default(true)
+    }),
+    permission: (server, socket, { roomId: id }) => (
+      server.verifyChatRoomAccess(socket, String(id).replace(/^chat:/, ''))
+    ),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleJoinRoom(socket, payload)
+  },
+  {
+    event: 'chat:leave_room',
+    description: '채팅방 퇴장 (소켓 구독 해제)',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: roomId.required()
+    }),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleLeaveRoom(socket, payload)
+  },
+  {
+    event: 'chat:typing_start',
+    description: '타이핑 시작/연장 (CHAT_TYPING_TTL_SECONDS 동안 다시 보내지 않으면 자동 해제)',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: roomId.required()
+    }),
+    permission: (server, socket, payload) => server.isInChatRoom(socket, payload.roomId),
+    rateLimit: { limit: 10, windowMs: 10000 },
+    maxPayloadBytes: 256,
+    handler: (server, socket, payload) => server.handleTypingStart(socket, payload)
+  },
+  {
+    event: 'chat:typing_stop',
+    description: '타이핑 중지',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: roomId.required()
+    }),
+    permission: (server, socket, payload) => server.isInChatRoom(socket, payload.roomId),
+    rateLimit: { limit: 10, windowMs: 10000 },
+    maxPayloadBytes: 256,
+    handler: (server, socket, payload) => server.handleTypingStop(socket, payload)
+  },
+  {
+    event: 'chat:message_read',
+    description: '읽음 처리 (messageId까지, 없으면 마지막 메시지까지)',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: roomId.required(),
+      messageId,
+      lastReadMessageId: messageId
+    }),
+    rateLimit: { limit: 60, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleMessageRead(socket, payload)
+  },
+  {
+    event: 'chat:message_delivered',
+    description: '수신 처리 (messageId까지, 없으면 마지막 메시지까지)',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: roomId.required(),
+      messageId
+    }),
+    // 메시지를 받을 때마다 전송
+    rateLimit: { limit: 120, windowMs: 60000 },
+    maxPayloadBytes: 256,
+    handler: (server, socket, payload) => server.handleMessageDelivered(socket, payload)
+  },
+  {
+    event: 'chat:get_unread_counts',
+    description: '채팅방별/전체 읽지 않은 메시지 수 (ack 또는 chat:unread_counts로 응답)',
+    userTypes: CHAT_USER_TYPES,
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload, ack) => server.handleGetUnreadCounts(socket, ack)
+  },
+  {
+    event: 'chat:get_history',
+    description: '메시지 히스토리 (커서 페이지네이션)',
+    userTypes: CHAT_USER_TYPES,
+    schema: Joi.object({
+      roomId: roomId.required(),
+      limit: Joi.number().integer().min(1).max(100).default(50),
+      before: messageId,
+      after: messageId
+    }),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleGetChatHistory(socket, payload)
+  }
+];
+
+export default chatEvents;
@@ -0,0 +1,63 @@
+/**
+ * 연결 관리 Socket 이벤트
+ * 토큰 교체, 하트비트, 재연결, 앱 상태
+ */
+
+import Joi from 'joi';
+
+const connectionEvents = [
+  {
+    event: 'authenticate',
+    description: '연결 중 토큰 교체 (토큰 갱신 후 같은 계정의 새 Access Token 전송, ack로 결과 응답)',
+    auth: false,
+    schema: Joi.object({
+      token: Joi.string().required(),
+      language: Joi.string().valid('vi', 'en', 'ko', 'zh', 'ja').default('vi')
+    }),
+    rateLimit: { limit: 5, windowMs: 60000, scope: 'socket' },
+    essential: true,
+    handler: (server, socket, payload, ack) => server.handleAuthentication(socket, payload, ack)
+  },
+  {
+    event: 'heartbeat',
+    description: '연결 상태 확인 (ack가 있으면 서버 시각으로 응답)',
+    schema: Joi.object({
+      timestamp: Joi.number()
+    }),
+    rateLimit: { limit: 12, windowMs: 60000, scope: 'socket' },
+    essential: true,
+    handler: (server, socket, payload, ack) => server.handleHeartbeat(socket, payload, ack)
+  },
+  {
+    event: 'mobile:heartbeat',
+    description: '고객 앱 하트비트',
+    userTypes: ['CUSTOMER'],
+    rateLimit: { limit: 12, windowMs: 60000, scope: 'socket' },
+    essential: true,
+    handler: (server, socket) => server.mobileSocketManager.handleHeartbeat(socket)
+  },
+  {
+    event: 'reconnect_request',
+    description: '재연결 후 참여 중인 채팅방 재가입 (lastSeq를 보내면 놓친 이벤트도 재전송)',
+    schema: Joi.object({
+      roomIds: Joi.array().items(Joi.alternatives(Joi.string(), Joi.number())).max(50).default([]),
+      lastSeq: Joi.number().integer().min(0)
+    }),
+    rateLimit: { limit: 10, windowMs: 60000, scope: 'socket' },
+    essential: true,
+    handler: (server, socket, payload) => server.handleReconnectRequest(socket, payload)
+  },
+  {
+    event: 'app:state',
+    description: '앱 포그라운드/백그라운드 전환 (FCM 조건부 발송용)',
+    userTypes: ['CUSTOMER'],
+    schema: Joi.object({
+      state: Joi.string().valid('foreground', 'background').required()
+    }),
+    rateLimit: { limit: 30, windowMs: 60000, scope: 'socket' },
+    essential: true,
+    handler: (server, socket, payload) => server.handleAppStateChange(socket, payload)
+  }
+];
+
+export default connectionEvents;
@@ -0,0 +1,33 @@
+/**
+ * 이벤트 전달 보장 Socket 이벤트
+ * 수신자별 이벤트에는 _seq가 붙음 - 처리한 seq를 ack하고, 재연결 시 resume으로 놓친 이벤트를 재수신
+ * 재전송할 수 없으면 'delivery:resync_required' 수신 후 클라이언트가 전체 재조회
+ */
+
+import Joi from 'joi';
+import { DELIVERY_USER_TYPES } from '../services/EventDeliveryService.js';
+
+const seq = Joi.number().integer().min(0);
+
+const deliveryEvents = [
+  {
+    event: 'delivery:ack',
+    description: '수신 확인 (연속으로 처리한 마지막 seq)',
+    userTypes: DELIVERY_USER_TYPES,
+    schema: Joi.object({ seq: seq.required() }),
+    rateLimit: { limit: 120, windowMs: 60000, scope: 'socket' },
+    essential: true,
+    handler: (server, socket, payload) => server.handleDeliveryAck(socket, payload)
+  },
+  {
+    event: 'delivery:resume',
+    description: '놓친 이벤트 재전송 요청 (lastSeq 생략 시 이 디바이스의 마지막 ack 기준)',
+    userTypes: DELIVERY_USER_TYPES,
+    schema: Joi.object({ lastSeq: seq }),
+    rateLimit: { limit: 10, windowMs: 60000, scope: 'socket' },
+    essential: true,
+    handler: (server, socket, payload, ack) => server.handleDeliveryResume(socket, payload, ack)
+  }
+];
+
+export default deliveryEvents;
@@ -0,0 +1,27 @@
+/**
+ * Socket 이벤트 모듈 등록
+ * 새 기능의 수신 이벤트는 모듈 파일에 선언하고 여기에서 등록 (등록되지 않은 이벤트는 UNKNOWN_EVENT로 거부)
+ */
+
+import socketEventRegistry from './SocketEventRegistry.js';
+import connectionEvents from './connectionEvents.js';
+import chatEvents from './chatEvents.js';
+import roomEvents from './roomEvents.js';
+import notificationEvents from './notificationEvents.js';
+import systemEvents from './systemEvents.js';
+import presenceEvents from './presenceEvents.js';
+import deliveryEvents from './deliveryEvents.js';
+import adminEvents from './adminEvents.js';
+
+socketEventRegistry
+  .registerModule('connection', connectionEvents)
+  .registerModule('chat', chatEvents)
+  .registerModule('room', roomEvents)
+  .registerModule('notification', notificationEvents)
+  .registerModule('system', systemEvents)
+  .registerModule('presence', presenceEvents)
+  .registerModule('delivery', deliveryEvents)
+  .registerModule('admin', adminEvents);
+
+export { SOCKET_ERROR_EVENT, socketEventError } from './SocketEventRegistry.js';
+export default socketEventRegistry;
@@ -0,0 +1,58 @@
+/**
+ * 알림 Socket 이벤트
+ * 알림함은 NotificationInboxService가 관리 - 읽음/보관 결과와 읽지 않은 수는 수신자의 모든 소켓에 전파
+ */
+
+import Joi from 'joi';
+
+// 알림함 수신자 타입 (고객 / Web 계정 / 관리자)
+const NOTIFICATION_USER_TYPES = ['CUSTOMER', 'WEB', 'ADMIN'];
+
+const notificationId = Joi.alternatives(Joi.string().pattern(/^\d+$/), Joi.number().integer().positive());
+const category = Joi.string().valid('TRANSACTIONAL', 'CHAT', 'MARKETING', 'SECURITY', 'SYSTEM');
+
+const notificationEvents = [
+  {
+    event: 'notification:mark_read',
+    description: '개별 알림 읽음 처리',
+    userTypes: NOTIFICATION_USER_TYPES,
+    schema: Joi.object({
+      notificationId: notificationId.required()
+    }),
+    rateLimit: { limit: 60, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleNotificationRead(socket, payload)
+  },
+  {
+    event: 'notification:mark_all_read',
+    description: '모든 알림 읽음 처리 (category 지정 시 해당 분류만)',
+    userTypes: NOTIFICATION_USER_TYPES,
+    schema: Joi.object({
+      category
+    }),
+    rateLimit: { limit: 10, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleMarkAllNotificationsRead(socket, payload)
+  },
+  {
+    event: 'notification:archive',
+    description: '알림 보관/보관 해제 (보관한 알림은 읽지 않은 수에서 제외)',
+    userTypes: NOTIFICATION_USER_TYPES,
+    schema: Joi.object({
+      notificationIds: Joi.array().items(notificationId).min(1).max(100).required(),
+      archived: Joi.boolean().default(true)
+    }),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleArchiveNotifications(socket, payload)
+  },
+  {
+    event: 'notification:get_unread_count',
+    description: '읽지 않은 알림 수 조회',
+    userTypes: NOTIFICATION_USER_TYPES,
+    schema: Joi.object({
+      category
+    }),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleGetUnreadNotificationCount(socket, payload)
+  }
+];
+
+export default notificationEvents;
@@ -0,0 +1,36 @@
+/**
+ * 접속 상태 Socket 이벤트
+ * 구독한 대상의 상태 변경은 'presence:changed'로 수신 (공개 범위는 PresenceService.assertCanView 기준)
+ */
+
+import Joi from 'joi';
+import { PRESENCE_USER_TYPES, MAX_BULK_TARGETS } from '../../utils/services/PresenceService.js';
+
+const targets = Joi.array().items(Joi.object({
+  userType: Joi.string().valid(...PRESENCE_USER_TYPES).required(),
+  userId: Joi.alternatives(Joi.string().pattern(/^\d+$/), Joi.number().integer().positive()).required()
+})).min(1).max(MAX_BULK_TARGETS).required();
+
+const presenceEvents = [
+  {
+    event: 'presence:subscribe',
+    description: '접속 상태 구독 (ack로 현재 상태 응답)',
+    userTypes: PRESENCE_USER_TYPES,
+    schema: Joi.object({ targets }),
+    permission: (server, socket, payload) => (
+      server.presenceService.canView({ userType: socket.userType, userId: socket.userId }, payload.targets)
+    ),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload, ack) => server.handlePresenceSubscribe(socket, payload, ack)
+  },
+  {
+    event: 'presence:unsubscribe',
+    description: '접속 상태 구독 해제',
+    userTypes: PRESENCE_USER_TYPES,
+    schema: Joi.object({ targets }),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handlePresenceUnsubscribe(socket, payload)
+  }
+];
+
+export default presenceEvents;
@@ -0,0 +1,34 @@
+/**
+ * 일반 Room Socket 이벤트 ({ roomId: 'type:id' })
+ * 가입 가능한 Room은 UnifiedSocketServer.canJoinRoom 기준 (본인 user/web, 소속 store, 참여 중인 chat)
+ */
+
+import Joi from 'joi';
+
+const roomKey = Joi.string().pattern(/^(user|web|store|chat):[\w-]+$/).max(100).required();
+
+const roomEvents = [
+  {
+    event: 'joinRoom',
+    description: '일반 Room 가입',
+    schema: Joi.object({
+      roomId: roomKey
+    }),
+    permission: (server, socket, payload) => server.canJoinRoom(socket, payload.roomId),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    maxPayloadBytes: 512,
+    handler: (server, socket, payload) => server.handleGenericJoinRoom(socket, payload)
+  },
+  {
+    event: 'leaveRoom',
+    description: '일반 Room 퇴장',
+    schema: Joi.object({
+      roomId: roomKey
+    }),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    maxPayloadBytes: 512,
+    handler: (server, socket, payload) => server.handleGenericLeaveRoom(socket, payload)
+  }
+];
+
+export default roomEvents;
@@ -0,0 +1,25 @@
+/**
+ * 시스템 Socket 이벤트
+ */
+
+import Joi from 'joi';
+
+const systemEvents = [
+  {
+    event: 'system:ping',
+    description: '지연 시간 측정',
+    schema: Joi.object({
+      timestamp: Joi.number()
+    }),
+    rateLimit: { limit: 30, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleSystemPing(socket, payload)
+  },
+  {
+    event: 'system:get_status',
+    description: '서버 연결 상태 조회',
+    rateLimit: { limit: 10, windowMs: 60000 },
+    handler: (server, socket, payload) => server.handleGetSystemStatus(socket, payload)
+  }
+];
+
+export default systemEvents;
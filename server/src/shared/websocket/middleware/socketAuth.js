@@ -0,0 +1,213 @@
+/**
+ * Socket.IO 핸드셰이크 인증
+ * GraphQL(HTTP)과 같은 인증 경로 사용 - AuthMiddleware.authenticateToken
+ * (서명/발행자/대상 검증 → 세션/계정/토큰 무효화 확인 → 클라이언트 타입별 계정 조회)
+ *
+ * - IP별 연결 시도 제한: RateLimiting (kv/Redis 공유, 노드 간 합산)
+ * - 인증 정보는 socket.data.auth에 보관 → 다른 노드에서도 fetchSockets()로 확인, SocketAuthGuard 재검증에 사용
+ * - 세션/계정 Room 가입 → 토큰 무효화 시 SocketAuthGuard가 해당 Room의 소켓을 클러스터 전체에서 연결 종료
+ *
+ * 실패 시 connect_error { message, data: { code } }
+ * code: NO_TOKEN | INVALID_TOKEN | TOKEN_EXPIRED | ACCOUNT_INACTIVE | SUBJECT_MISMATCH | RATE_LIMITED
+ */
+
+import jwt from 'jsonwebtoken';
+import kv from '../../cache/kv.js';
+import { authenticateToken, resolveTokenClientType } from '../../utils/auth/AuthMiddleware.js';
+import { RateLimiting } from '../../utils/security/RateLimiting.js';
+import { getRequestIp } from '../../config/trustProxy.js';
+
+const SOCKET_CONNECT_IP_LIMIT = parseInt(process.env.SOCKET_CONNECT_IP_LIMIT || '30');
+const SOCKET_CONNECT_WINDOW_MS = 60 * 1000;
+
+// 토큰 clientType → socket.userType
+export const SOCKET_USER_TYPES = {
+  mobile: 'CUSTOMER',
+  web: 'WEB',
+  store: 'STORE',
+  admin: 'ADMIN'
+};
+
+// 고객 계정 중 접속을 거부하는 상태 (로그인 차단 상태와 동일)
+const BLOCKED_CUSTOMER_STATUSES = ['SUSPENDED', 'BANNED'];
+
+const connectLimiter = new RateLimiting({
+  cache: kv,
+  authLimit: SOCKET_CONNECT_IP_LIMIT,
+  authWindow: SOCKET_CONNECT_WINDOW_MS
+});
+
+/**
+ * 세션(Refresh Token 패밀리) Room - 로그아웃/원격 로그아웃 시 연결 종료 대상
+ */
+export const sessionRoom = (sid) => `auth:session:${sid}`;
+
+/**
+ * 계정 Room - 강제 로그아웃/정지 시 연결 종료 대상
+ */
+export const subjectRoom = (clientType, subjectId) => `auth:subject:${clientType}:${subjectId}`;
+
+/**
+ * 핸드셰이크 인증 에러 (connect_error로 전달)
+ * 메시지는 기존 클라이언트 분기('expired', 'authentication failed') 호환 유지
+ */
+const authError = (code, message, extra = {}) => {
+  const error = new Error(`Authentication failed: ${message}`);
+  error.data = { code, ...extra };
+  return error;
+};
+
+/**
+ * auth.token 또는 Authorization 헤더의 토큰 (Bearer 접두사 허용)
+ */
+export const extractSocketToken = (socket) => {
+  const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization || '';
+  if (typeof token !== 'string') return '';
+  return token.startsWith('Bearer ') ? token.slice(7).trim() : token.trim();
+};
+
+/**
+ * 클라이언트 IP - HTTP와 같은 TRUST_PROXY 기준 (신뢰하는 프록시를 거친 경우에만 x-forwarded-for 반영)
+ */
+const getClientIp = (socket) => (
+  socket.request ? getRequestIp(socket.request) : socket.handshake.address
+);
+
+/**
+ * 계정 상태별 접속 허용 - Web/관리자는 ACTIVE만, 고객은 정지/차단만 거부
+ */
+const isAccountAllowed = (clientType, principal) => {
+  if (clientType === 'web' || clientType === 'admin') {
+    return principal.status === 'ACTIVE';
+  }
+  if (clientType === 'mobile') {
+    return !BLOCKED_CUSTOMER_STATUSES.includes(principal.status);
+  }
+  return true;
+};
+
+/**
+ * IP별 연결 시도 제한 - 초과 시 보안 알림 후 거부
+ */
+const checkConnectRateLimit = async (socket) => {
+  const ip = getClientIp(socket);
+  if (!ip) return;
+
+  try {
+    await connectLimiter.checkAuthRateLimit(ip, 'socket_connect');
+  } catch (error) {
+    if (error.extensions?.code !== 'RATE_LIMIT_EXCEEDED') throw error;
+
+    await connectLimiter.reportSuspiciousActivity(ip, 'socket_connect', {
+      limit: SOCKET_CONNECT_IP_LIMIT,
+      retryAfter: error.extensions.retryAfter
+    });
+
+    const limited = new Error('Too many connection attempts');
+    limited.data = { code: 'RATE_LIMITED', retryAfter: error.extensions.retryAfter };
+    throw limited;
+  }
+};
+
+/**
+ * Access Token 검증 (핸드셰이크/auth:refresh 공용)
+ * @param {string} token
+ * @param {Object} req - 세션 활동 갱신용 요청 (socket.request)
+ * @returns {Promise<{ principal, decoded, clientType }>}
+ */
+export const verifySocketToken = async (token, req = null) => {
+  if (!token) throw authError('NO_TOKEN', 'No token provided');
+
+  let principal;
+  try {
+    principal = await authenticateToken(token, null, { req });
+  } catch (error) {
+    // 토큰 종류 불일치 등 (GraphQLError)
+    throw authError('INVALID_TOKEN', error.message);
+  }
+
+  if (!principal) throw authError('INVALID_TOKEN', 'Invalid token');
+  if (principal.isExpired) throw authError('TOKEN_EXPIRED', 'Token expired');
+
+  const decoded = jwt.decode(token);
+  const clientType = resolveTokenClientType(decoded);
+
+  if (!isAccountAllowed(clientType, principal)) {
+    throw authError('ACCOUNT_INACTIVE', 'Account is not active');
+  }
+
+  return { principal, decoded, clientType };
+};
+
+/**
+ * 인증 결과를 소켓에 반영하고 세션/계정 Room 가입
+ * socket.data.auth는 JWT 클레임 이름 그대로 보관 (jwtManager.isRevoked에 바로 전달)
+ */
+const applySocketAuth = async (socket, { principal, decoded, clientType }) => {
+  const previousSid = socket.data.auth?.sid;
+
+  socket.userId = principal.id;
+  socket.user = principal;
+  socket.userType = SOCKET_USER_TYPES[clientType];
+  socket.storeId = principal.storeId || null;
+  socket.userRole = principal.role;
+
+  socket.data.auth = {
+    clientType,
+    id: principal.id,
+    sid: decoded.sid || null,
+    jti: decoded.jti,
+    iat: decoded.iat,
+    exp: decoded.exp
+  };
+
+  if (previousSid && previousSid !== decoded.sid) {
+    await socket.leave(sessionRoom(previousSid));
+  }
+
+  const rooms = [subjectRoom(clientType, principal.id)];
+  if (decoded.sid) rooms.push(sessionRoom(decoded.sid));
+  await socket.join(rooms);
+};
+
+/**
+ * 핸드셰이크 인증 - 성공 시 socket.userId/userType/user/storeId/userRole 설정
+ * @param {Socket} socket
+ * @returns {Promise<Object>} 인증된 사용자 정보
+ */
+export const authenticateSocket = async (socket) => {
+  await checkConnectRateLimit(socket);
+
+  const result = await verifySocketToken(extractSocketToken(socket), socket.request);
+  await applySocketAuth(socket, result);
+  return result.principal;
+};
+
+/**
+ * 연결 중 토큰 교체 (auth:refresh) - 같은 계정의 새 Access Token만 허용
+ * 교체하지 않으면 기존 토큰 만료 후 SocketAuthGuard가 연결 종료
+ * @param {Socket} socket
+ * @param {string} token - 새 Access Token
+ * @returns {Promise<{ expiresAt: string }>}
+ */
+export const refreshSocketAuth = async (socket, token) => {
+  const result = await verifySocketToken(token, socket.request);
+  const current = socket.data.auth;
+
+  if (current && (current.clientType !== result.clientType || String(current.id) !== String(result.principal.id))) {
+    throw authError('SUBJECT_MISMATCH', 'Token belongs to another account');
+  }
+
+  await applySocketAuth(socket, result);
+  return { expiresAt: new Date(result.decoded.exp * 1000).toISOString() };
+};
+
+export default {
+  authenticateSocket,
+  refreshSocketAuth,
+  verifySocketToken,
+  extractSocketToken,
+  sessionRoom,
+  subjectRoom,
+  SOCKET_USER_TYPES
+};
@@ -0,0 +1,176 @@
+/**
+ * 채팅 타이핑 상태 서비스
+ * 클라이언트가 보낸 값을 그대로 전파하지 않고 서버가 참여자별 타이핑 상태를 보관/만료 처리
+ *
+ * - 상태: chat:typing:{roomId} Sorted Set (member: participantType:participantId, score: 만료 시각 ms)
+ *   typing_start마다 CHAT_TYPING_TTL_SECONDS 연장 - 새로 추가(zadd=1)된 경우에만 isTyping: true 전파
+ * - 만료 인덱스: chat:typing:rooms Sorted Set (member: roomId, score: 채팅방의 가장 늦은 만료 시각)
+ *   각 노드가 주기적으로 만료된 채팅방을 정리 - 제거(zrem=1)한 노드만 isTyping: false 전파 (중복 전송 없음)
+ * - 해제 사유(reason): STOPPED(typing_stop) / MESSAGE_SENT(메시지 전송) / DISCONNECTED(연결 종료) / EXPIRED(만료)
+ *
+ * 'chat:typing' { userId, userType, participantType, participantId, roomId, isTyping, expiresAt, reason, timestamp }
+ * 클라이언트는 isTyping: false를 놓쳐도 expiresAt이 지나면 표시를 지움
+ */
+
+import kv from '../../cache/kv.js';
+import loggerDefault from '../../utils/utilities/Logger.js';
+
+const logger = loggerDefault;
+
+const CHAT_TYPING_TTL_SECONDS = parseInt(process.env.CHAT_TYPING_TTL_SECONDS || '6');
+const TYPING_SWEEP_INTERVAL_MS = 2000;
+
+const INDEX_KEY = 'chat:typing:rooms';
+const roomKey = (roomId) => `chat:typing:${roomId}`;
+const memberOf = (participant) => `${participant.type}:${participant.id}`;
+
+// 채팅 참여자 타입 → 소켓 사용자 타입 (기존 userType 필드 호환)
+const SOCKET_USER_TYPES = { mobile: 'CUSTOMER', web: 'WEB' };
+
+export const CHAT_TYPING_EVENT = 'chat:typing';
+
+export const TYPING_STOP_REASONS = {
+  STOPPED: 'STOPPED',
+  MESSAGE_SENT: 'MESSAGE_SENT',
+  DISCONNECTED: 'DISCONNECTED',
+  EXPIRED: 'EXPIRED'
+};
+
+class ChatTypingService {
+  constructor() {
+    this.io = null;
+    this.sweepInterval = null;
+    this.sockets = new Map(); // socketId -> Map(roomId -> participant) (이 노드에서 타이핑을 시작한 소켓)
+  }
+
+  /**
+   * 만료 정리 시작
+   * @param {import('socket.io').Server} io
+   */
+  start(io) {
+    this.io = io;
+    if (this.sweepInterval) return;
+
+    this.sweepInterval = setInterval(() => {
+      this.sweep().catch((error) => logger.error('❌ [ChatTyping] 만료 정리 실패', { error: error.message }));
+    }, TYPING_SWEEP_INTERVAL_MS);
+    this.sweepInterval.unref?.();
+  }
+
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+    this.sockets.clear();
+  }
+
+  /**
+   * 'chat:typing' 페이로드
+   */
+  buildPayload(roomId, participant, isTyping, { expiresAt = null, reason = null } = {}) {
+    return {
+      userId: participant.id,
+      userType: SOCKET_USER_TYPES[participant.type],
+      participantType: participant.type,
+      participantId: String(participant.id),
+      roomId: String(roomId),
+      isTyping,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      reason,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * 타이핑 시작/연장
+   * @param {import('socket.io').Socket} socket - 발신 소켓 (전파 대상에서 제외)
+   * @param {{ type: string, id: string|number }} participant
+   * @returns {Promise<boolean>} 새로 타이핑 상태가 된 경우 true
+   */
+  async startTyping(socket, roomId, participant) {
+    const expiresAt = Date.now() + CHAT_TYPING_TTL_SECONDS * 1000;
+    const added = Number(await kv.zadd(roomKey(roomId), expiresAt, memberOf(participant)));
+    await kv.expire(roomKey(roomId), CHAT_TYPING_TTL_SECONDS * 2);
+    await kv.zadd(INDEX_KEY, expiresAt, String(roomId));
+
+    if (!this.sockets.has(socket.id)) this.sockets.set(socket.id, new Map());
+    this.sockets.get(socket.id).set(String(roomId), participant);
+
+    if (added !== 1) return false;
+
+    socket.to(`chat:${roomId}`).emit(CHAT_TYPING_EVENT, this.buildPayload(roomId, participant, true, { expiresAt }));
+    return true;
+  }
+
+  /**
+   * 타이핑 해제 - 상태가 있던 경우에만 isTyping: false 전파
+   * @param {string} reason - TYPING_STOP_REASONS
+   * @param {import('socket.io').Socket|null} socket - 발신 소켓 (있으면 전파 대상에서 제외)
+   * @returns {Promise<boolean>} 해제 여부
+   */
+  async stopTyping(roomId, participant, reason = TYPING_STOP_REASONS.STOPPED, socket = null) {
+    if (socket) {
+      this.sockets.get(socket.id)?.delete(String(roomId));
+    }
+
+    const removed = Number(await kv.zrem(roomKey(roomId), memberOf(participant)));
+    if (removed !== 1) return false;
+
+    const target = socket ? socket.to(`chat:${roomId}`) : this.io?.to(`chat:${roomId}`);
+    target?.emit(CHAT_TYPING_EVENT, this.buildPayload(roomId, participant, false, { reason }));
+    return true;
+  }
+
+  /**
+   * 연결 종료 - 이 소켓이 시작한 타이핑 상태 해제
+   */
+  async handleDisconnect(socket) {
+    const rooms = this.sockets.get(socket.id);
+    this.sockets.delete(socket.id);
+    if (!rooms) return;
+
+    await Promise.all([...rooms].map(([roomId, participant]) => (
+      this.stopTyping(roomId, participant, TYPING_STOP_REASONS.DISCONNECTED)
+    )));
+  }
+
+  /**
+   * 만료된 타이핑 상태 정리 (모든 노드에서 주기 실행)
+   */
+  async sweep() {
+    const now = Date.now();
+    const roomIds = await kv.zrangebyscore(INDEX_KEY, '-inf', now);
+
+    for (const roomId of roomIds) {
+      await kv.zrem(INDEX_KEY, roomId);
+
+      const members = await kv.zrangebyscore(roomKey(roomId), '-inf', now);
+      for (const member of members) {
+        const [type, id] = member.split(':');
+        await this.stopTyping(roomId, { type, id }, TYPING_STOP_REASONS.EXPIRED);
+      }
+    }
+  }
+
+  /**
+   * 채팅방에서 현재 타이핑 중인 참여자 (입장 시 초기 상태)
+   * @returns {Promise<Array<{ participantType, participantId, expiresAt }>>}
+   */
+  async getTyping(roomId) {
+    const flat = await kv.zrangebyscore(roomKey(roomId), Date.now(), '+inf', 'WITHSCORES');
+
+    const typing = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      const [participantType, participantId] = flat[i].split(':');
+      typing.push({ participantType, participantId, expiresAt: new Date(Number(flat[i + 1])).toISOString() });
+    }
+    return typing;
+  }
+}
+
+// 싱글톤 인스턴스
+const chatTypingService = new ChatTypingService();
+
+export default chatTypingService;
+export { ChatTypingService, CHAT_TYPING_TTL_SECONDS };
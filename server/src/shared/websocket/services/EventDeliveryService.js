@@ -0,0 +1,215 @@
+/**
+ * Socket 이벤트 전달 보장 서비스
+ * 수신자(고객/Web 계정/관리자)별 시퀀스 번호를 붙여 전송하고, 재연결 시 놓친 이벤트를 재전송
+ *
+ * - 시퀀스: delivery:seq:{type}:{id} (INCR, 수신자별 단조 증가)
+ * - 보관: delivery:stream:{type}:{id} Redis Stream (ID: {seq}-0, MAXLEN ~ DELIVERY_STREAM_MAXLEN, TTL DELIVERY_STREAM_TTL_SECONDS)
+ *   seq 증가와 Stream 추가는 한 스크립트로 처리 (동시 전송에도 seq 순서대로 저장)
+ * - 전송: 수신자의 모든 소켓이 가입한 recipient:{type}:{id} Room으로 { ...data, _seq } 전송
+ * - 확인(ack): 클라이언트가 연속으로 처리한 마지막 seq를 delivery:ack로 보고 (디바이스별 저장, resume 기본값)
+ * - 재개(resume): lastSeq 이후 이벤트를 { ...data, _seq, _replayed: true }로 재전송
+ *   보관 범위를 벗어났거나 간격이 DELIVERY_MAX_REPLAY를 넘으면 'delivery:resync_required' (클라이언트 전체 재조회)
+ *
+ * 수신자를 특정할 수 없는 Room(store:, presence: 등)과 타이핑 같은 일시적 이벤트는 기존처럼 즉시 전송만 수행
+ */
+
+import kv from '../../cache/kv.js';
+import chatService from '../../utils/services/ChatService.js';
+import loggerDefault from '../../utils/utilities/Logger.js';
+
+const logger = loggerDefault;
+
+const DELIVERY_STREAM_MAXLEN = parseInt(process.env.DELIVERY_STREAM_MAXLEN || '1000');
+const DELIVERY_STREAM_TTL_SECONDS = parseInt(process.env.DELIVERY_STREAM_TTL_SECONDS || '86400');
+const DELIVERY_MAX_REPLAY = parseInt(process.env.DELIVERY_MAX_REPLAY || '500');
+const DELIVERY_SEQ_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+export const DELIVERY_USER_TYPES = ['CUSTOMER', 'WEB', 'ADMIN'];
+
+// 채팅 참여자 타입 → 수신자 타입
+export const CHAT_RECIPIENT_TYPES = { mobile: 'CUSTOMER', web: 'WEB' };
+
+// 알림 수신자 타입 → 수신자 타입
+export const NOTIFICATION_RECIPIENT_TYPES = { mobile: 'CUSTOMER', web: 'WEB', admin: 'ADMIN' };
+
+// 수신자 타입 → 개인 Room 접두어 (고객/Web 계정/관리자 ID는 서로 겹치므로 Room 분리)
+export const PERSONAL_ROOM_PREFIXES = { CUSTOMER: 'user', WEB: 'web', ADMIN: 'admin' };
+
+/**
+ * 개인 Room 이름 (user:{id} | web:{id} | admin:{id}, 개인 Room이 없는 타입은 null)
+ */
+export function personalRoomFor(userType, userId) {
+  const prefix = PERSONAL_ROOM_PREFIXES[userType];
+  return prefix && userId ? `${prefix}:${userId}` : null;
+}
+
+// resume 결과
+export const RESUME_STATUS = {
+  UP_TO_DATE: 'UP_TO_DATE',
+  REPLAYED: 'REPLAYED',
+  RESYNC_REQUIRED: 'RESYNC_REQUIRED'
+};
+
+const seqKey = (userType, userId) => `delivery:seq:${userType}:${userId}`;
+const streamKey = (userType, userId) => `delivery:stream:${userType}:${userId}`;
+const ackKey = (userType, userId) => `delivery:ack:${userType}:${userId}`;
+
+class EventDeliveryService {
+  constructor() {
+    this.io = null;
+  }
+
+  attach(io) {
+    this.io = io;
+  }
+
+  /**
+   * 수신자 전용 Room (수신자의 모든 디바이스 소켓이 가입)
+   */
+  roomFor(userType, userId) {
+    return `recipient:${userType}:${userId}`;
+  }
+
+  /**
+   * 소켓 연결 시 수신자 Room 가입
+   */
+  async join(socket) {
+    if (!DELIVERY_USER_TYPES.includes(socket.userType) || !socket.userId) return;
+    await socket.join(this.roomFor(socket.userType, socket.userId));
+  }
+
+  /**
+   * Room 이름 → 수신자 목록 (특정할 수 없으면 null)
+   * - user:{id} → 고객, web:{id} → Web 계정, admin:{id} → 관리자, chat:{id} → 채팅방 참여자
+   */
+  async resolveRecipients(room) {
+    const [type, id] = String(room).split(':');
+    if (!id) return null;
+
+    const personalType = Object.keys(PERSONAL_ROOM_PREFIXES).find((userType) => PERSONAL_ROOM_PREFIXES[userType] === type);
+    if (personalType) return [{ userType: personalType, userId: id }];
+    if (type === 'chat') {
+      const participants = await chatService.getParticipants(id);
+      return participants.map((participant) => ({
+        userType: CHAT_RECIPIENT_TYPES[participant.participantType],
+        userId: String(participant.participantId)
+      }));
+    }
+    return null;
+  }
+
+  /**
+   * Room 단위 전송 - 수신자를 특정할 수 있으면 수신자별 시퀀스 전송, 아니면 즉시 전송
+   */
+  async emitToRoom(room, event, data) {
+    let recipients = null;
+    try {
+      recipients = await this.resolveRecipients(room);
+    } catch (error) {
+      logger.error('❌ [Delivery] 수신자 조회 실패 - Room 즉시 전송으로 대체', { room, event, error: error.message });
+    }
+
+    if (!recipients) {
+      this.io.to(room).emit(event, data);
+      return;
+    }
+
+    await Promise.all(recipients.map(({ userType, userId }) => this.deliver(userType, userId, event, data)));
+  }
+
+  /**
+   * 수신자에게 시퀀스 번호를 붙여 저장 후 전송
+   * Redis 저장에 실패해도 실시간 전송은 수행 (seq 없이)
+   * @returns {Promise<number|null>} 부여된 seq
+   */
+  async deliver(userType, userId, event, data = {}) {
+    let seq = null;
+    try {
+      seq = await kv.xaddWithSeq(
+        seqKey(userType, userId),
+        streamKey(userType, userId),
+        DELIVERY_SEQ_TTL_SECONDS,
+        DELIVERY_STREAM_TTL_SECONDS,
+        DELIVERY_STREAM_MAXLEN,
+        'event', event, 'data', JSON.stringify(data)
+      );
+    } catch (error) {
+      logger.error('❌ [Delivery] 이벤트 저장 실패 - 재전송 불가', { userType, userId, event, error: error.message });
+    }
+
+    this.io.to(this.roomFor(userType, userId)).emit(event, seq ? { ...data, _seq: seq } : data);
+    return seq;
+  }
+
+  /**
+   * 클라이언트 확인(ack) 저장 - 디바이스별 마지막 연속 처리 seq (뒤로 되돌리지 않음)
+   */
+  async acknowledge(socket, seq) {
+    const { userType, userId } = socket;
+    const deviceId = this.getDeviceId(socket);
+
+    const current = Number(await kv.hget(ackKey(userType, userId), deviceId) || 0);
+    if (seq <= current) return current;
+
+    await kv.hset(ackKey(userType, userId), deviceId, String(seq));
+    await kv.expire(ackKey(userType, userId), DELIVERY_SEQ_TTL_SECONDS);
+    return seq;
+  }
+
+  /**
+   * 재연결 후 놓친 이벤트 재전송
+   * @param {Socket} socket
+   * @param {number|undefined} lastSeq - 클라이언트가 마지막으로 처리한 seq (없으면 이 디바이스의 마지막 ack)
+   * @returns {Promise<{ status, seq, replayed }>}
+   */
+  async resume(socket, lastSeq) {
+    const { userType, userId } = socket;
+    const from = lastSeq ?? Number(await kv.hget(ackKey(userType, userId), this.getDeviceId(socket)) || 0);
+    const seq = Number(await kv.get(seqKey(userType, userId)) || 0);
+
+    if (from === seq) {
+      return { status: RESUME_STATUS.UP_TO_DATE, seq, replayed: 0 };
+    }
+
+    // 서버 시퀀스가 초기화되었거나(만료) 재전송할 이벤트가 너무 많음
+    if (from > seq || seq - from > DELIVERY_MAX_REPLAY) {
+      return this.requireResync(socket, seq, from > seq ? 'SEQUENCE_RESET' : 'GAP_TOO_LARGE');
+    }
+
+    const entries = await kv.xrange(streamKey(userType, userId), `${from + 1}-0`, '+', DELIVERY_MAX_REPLAY);
+
+    // 보관 범위 밖 (MAXLEN/TTL로 이미 삭제됨)
+    const firstSeq = entries.length > 0 ? Number(entries[0][0].split('-')[0]) : null;
+    if (firstSeq !== from + 1) {
+      return this.requireResync(socket, seq, 'EVENTS_EXPIRED');
+    }
+
+    for (const [entryId, fields] of entries) {
+      const entry = {};
+      for (let i = 0; i < fields.length; i += 2) entry[fields[i]] = fields[i + 1];
+
+      let data;
+      try { data = JSON.parse(entry.data); } catch { data = {}; }
+      socket.emit(entry.event, { ...data, _seq: Number(entryId.split('-')[0]), _replayed: true });
+    }
+
+    logger.info('🔁 [Delivery] 놓친 이벤트 재전송', { userType, userId, from, seq, replayed: entries.length });
+    return { status: RESUME_STATUS.REPLAYED, seq, replayed: entries.length };
+  }
+
+  requireResync(socket, seq, reason) {
+    socket.emit('delivery:resync_required', { seq, reason, timestamp: new Date().toISOString() });
+    logger.warn('⚠️ [Delivery] 전체 재동기화 필요', { userType: socket.userType, userId: socket.userId, seq, reason });
+    return { status: RESUME_STATUS.RESYNC_REQUIRED, seq, replayed: 0, reason };
+  }
+
+  getDeviceId(socket) {
+    return String(socket.handshake?.auth?.deviceId || 'default');
+  }
+}
+
+// 싱글톤 인스턴스
+const eventDeliveryService = new EventDeliveryService();
+
+export default eventDeliveryService;
+export { EventDeliveryService };
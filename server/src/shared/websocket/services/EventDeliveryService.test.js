@@ -0,0 +1,152 @@
+/**
+ * EventDeliveryService 테스트
+ * 수신자별 seq 부여/저장, 동시 전송 순서, ack, 재연결 재전송과 재동기화 판단
+ * Redis 없이 kv 메모리 저장소 사용
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../utils/services/ChatService.js', () => ({
+  default: { getParticipants: async () => [] },
+}));
+
+let EventDeliveryService;
+let RESUME_STATUS;
+let kv;
+let service;
+let emitted;
+let nextUserId = 1;
+
+beforeAll(async () => {
+  ({ EventDeliveryService, RESUME_STATUS } = await import('./EventDeliveryService.js'));
+  ({ default: kv } = await import('../../cache/kv.js'));
+});
+
+beforeEach(() => {
+  emitted = [];
+  service = new EventDeliveryService();
+  service.attach({
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+  });
+});
+
+// 재연결한 고객 앱 소켓 대역
+const createSocket = (userId, deviceId = 'device-1') => ({
+  userType: 'CUSTOMER',
+  userId: String(userId),
+  handshake: { auth: { deviceId } },
+  emit: jest.fn(),
+});
+
+const replayedSeqs = (socket) => socket.emit.mock.calls
+  .filter(([event]) => event !== 'delivery:resync_required')
+  .map(([, data]) => data._seq);
+
+describe('전송', () => {
+  it('수신자별로 1부터 증가하는 seq를 붙여 수신자 Room으로 전송한다', async () => {
+    const userId = nextUserId++;
+
+    expect(await service.deliver('CUSTOMER', userId, 'order:status_changed', { orderId: 1 })).toBe(1);
+    expect(await service.deliver('CUSTOMER', userId, 'order:status_changed', { orderId: 2 })).toBe(2);
+    expect(await service.deliver('WEB', userId, 'notification:new', {})).toBe(1);
+
+    expect(emitted[1]).toEqual({
+      room: `recipient:CUSTOMER:${userId}`,
+      event: 'order:status_changed',
+      data: { orderId: 2, _seq: 2 },
+    });
+  });
+
+  it('동시에 전송해도 Stream에는 seq 순서대로 빠짐없이 저장된다', async () => {
+    const userId = nextUserId++;
+
+    const seqs = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => service.deliver('CUSTOMER', userId, 'chat:message:new', { i }))
+    );
+    expect([...seqs].sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+
+    const entries = await kv.xrange(`delivery:stream:CUSTOMER:${userId}`, '-', '+');
+    expect(entries.map(([id]) => id)).toEqual(Array.from({ length: 20 }, (_, i) => `${i + 1}-0`));
+  });
+
+  it('저장에 실패해도 seq 없이 실시간 전송은 한다', async () => {
+    const userId = nextUserId++;
+    const spy = jest.spyOn(kv, 'xaddWithSeq').mockRejectedValueOnce(new Error('down'));
+
+    expect(await service.deliver('CUSTOMER', userId, 'notification:new', { id: 1 })).toBeNull();
+    expect(emitted[0].data).toEqual({ id: 1 });
+    spy.mockRestore();
+  });
+});
+
+describe('ack', () => {
+  it('디바이스별 마지막 seq를 저장하고 뒤로 되돌리지 않는다', async () => {
+    const socket = createSocket(nextUserId++);
+
+    expect(await service.acknowledge(socket, 3)).toBe(3);
+    expect(await service.acknowledge(socket, 2)).toBe(3);
+    expect(await service.acknowledge(createSocket(socket.userId, 'device-2'), 1)).toBe(1);
+  });
+});
+
+describe('재연결 재전송', () => {
+  it('lastSeq 이후 이벤트만 순서대로 _replayed 표시와 함께 재전송한다', async () => {
+    const userId = nextUserId++;
+    for (let i = 1; i <= 5; i++) {
+      await service.deliver('CUSTOMER', userId, 'notification:new', { id: i });
+    }
+    const socket = createSocket(userId);
+
+    const result = await service.resume(socket, 2);
+
+    expect(result).toEqual({ status: RESUME_STATUS.REPLAYED, seq: 5, replayed: 3 });
+    expect(replayedSeqs(socket)).toEqual([3, 4, 5]);
+    expect(socket.emit).toHaveBeenCalledWith('notification:new', { id: 3, _seq: 3, _replayed: true });
+  });
+
+  it('lastSeq가 없으면 이 디바이스의 마지막 ack부터 재전송한다', async () => {
+    const userId = nextUserId++;
+    for (let i = 1; i <= 3; i++) {
+      await service.deliver('CUSTOMER', userId, 'notification:new', { id: i });
+    }
+    const socket = createSocket(userId);
+    await service.acknowledge(socket, 2);
+
+    await service.resume(socket);
+
+    expect(replayedSeqs(socket)).toEqual([3]);
+  });
+
+  it('놓친 이벤트가 없으면 UP_TO_DATE', async () => {
+    const userId = nextUserId++;
+    await service.deliver('CUSTOMER', userId, 'notification:new', {});
+    const socket = createSocket(userId);
+
+    expect(await service.resume(socket, 1)).toEqual({ status: RESUME_STATUS.UP_TO_DATE, seq: 1, replayed: 0 });
+    expect(socket.emit).not.toHaveBeenCalled();
+  });
+
+  it('보관 범위를 벗어난 이벤트가 있으면 EVENTS_EXPIRED로 재동기화를 요구한다', async () => {
+    const userId = nextUserId++;
+    for (let i = 1; i <= 3; i++) {
+      await service.deliver('CUSTOMER', userId, 'notification:new', { id: i });
+    }
+    await kv.del(`delivery:stream:CUSTOMER:${userId}`);
+    const socket = createSocket(userId);
+
+    const result = await service.resume(socket, 1);
+
+    expect(result).toMatchObject({ status: RESUME_STATUS.RESYNC_REQUIRED, reason: 'EVENTS_EXPIRED' });
+    expect(socket.emit).toHaveBeenCalledWith('delivery:resync_required', expect.objectContaining({ seq: 3, reason: 'EVENTS_EXPIRED' }));
+  });
+
+  it('서버 seq보다 큰 lastSeq는 SEQUENCE_RESET으로 재동기화를 요구한다', async () => {
+    const userId = nextUserId++;
+    await service.deliver('CUSTOMER', userId, 'notification:new', {});
+
+    const result = await service.resume(createSocket(userId), 10);
+
+    expect(result).toMatchObject({ status: RESUME_STATUS.RESYNC_REQUIRED, reason: 'SEQUENCE_RESET' });
+  });
+});
@@ -3,6 +3,10 @@
  * 
  * Socket.IO 이벤트를 체계적으로 기록하고 분석할 수 있는 
  * 중앙집중식 로깅 시스템입니다.
+ *
+ * - 저장: EventLog 테이블에 묶음(bulk) 저장 (EVENT_LOG_BATCH_SIZE개 또는 EVENT_LOG_FLUSH_MS마다)
+ * - 보관: 카테고리별 보관 기간 (ERROR/CRITICAL은 레벨 보관 기간이 더 길면 그 기간, DEBUG는 1일)
+ * - 조회: searchLogs(관리자 aEventLogs), getStatistics(시간/일 단위 집계, aEventLogStatistics)
  */
 
 import fs from 'fs/promises';
@@ -12,7 +16,7 @@ import models from '../../../models/index.js';
 import kv from '../../cache/kv.js';
 
 const logger = loggerDefault;
-const { EventLog, Sequelize } = models;
+const { EventLog, Sequelize, Op } = models;
 
 /**
  * 이벤트 로깅 설정
@@ -41,7 +45,7 @@ const CONFIG = {
     PERFORMANCE: 'performance'
   },
   
-  // 로그 보관 정책
+  // 로그 보관 정책 - 레벨별 (일)
   RETENTION: {
     DEBUG: 1, // 1일
     INFO: 7, // 7일
@@ -49,6 +53,31 @@ const CONFIG = {
     ERROR: 90, // 90일
     CRITICAL: 365 // 1년
   },
+
+  // 로그 보관 정책 - 카테고리별 (일, 미등록 카테고리는 general)
+  CATEGORY_RETENTION: {
+    connection: 7,
+    authentication: 30,
+    notification: 14,
+    order: 90,
+    chat: 30,
+    pos: 30,
+    delivery: 30,
+    analytics: 7,
+    error: 90,
+    performance: 7,
+    general: 14
+  },
+
+  // DB 저장 설정
+  DATABASE: {
+    minLevel: (process.env.EVENT_LOG_MIN_LEVEL || 'INFO').toUpperCase(), // 이 레벨 미만은 저장하지 않음
+    batchSize: parseInt(process.env.EVENT_LOG_BATCH_SIZE || '200'),
+    flushInterval: parseInt(process.env.EVENT_LOG_FLUSH_MS || '2000'),
+    maxBuffer: 5000, // DB 장애 시 메모리 보관 최대 개수 (초과분은 오래된 것부터 버림)
+    maxDataLength: 8192, // data/metadata 최대 크기 (JSON 문자열 기준)
+    cleanupBatchSize: 5000 // 보관 기간 경과 로그 삭제 단위
+  },
   
   // 실시간 메트릭스 업데이트 간격
   METRICS_UPDATE_INTERVAL: 5000, // 5초
@@ -62,6 +91,52 @@ const CONFIG = {
   }
 };
 
+/**
+ * 레벨 순서 값 (미등록 레벨은 INFO)
+ */
+const levelValue = (level) => CONFIG.LOG_LEVELS[level] ?? CONFIG.LOG_LEVELS.INFO;
+
+/**
+ * 숫자 ID만 저장 (인증 우회 등으로 숫자가 아닌 값은 null)
+ */
+const toId = (value) => (value !== null && value !== undefined && /^\d+$/.test(String(value)) ? String(value) : null);
+
+/**
+ * data/metadata 크기 제한 - 초과 시 앞부분만 문자열로 보관
+ */
+const limitSize = (value) => {
+  if (value === null || value === undefined) return null;
+
+  let json;
+  try {
+    json = JSON.stringify(value);
+  } catch {
+    return { _unserializable: true };
+  }
+  if (json === undefined) return null;
+  if (json.length <= CONFIG.DATABASE.maxDataLength) return value;
+
+  return { _truncated: true, _size: json.length, preview: json.slice(0, CONFIG.DATABASE.maxDataLength) };
+};
+
+/**
+ * 카테고리/레벨의 보관 기간 (일)
+ * 카테고리 기간 기준, 레벨 기간이 더 길면(WARN 이상) 레벨 기간 - DEBUG는 항상 레벨 기간
+ */
+export const getRetentionDays = (category, level) => {
+  if (level === 'DEBUG') return CONFIG.RETENTION.DEBUG;
+  const categoryDays = CONFIG.CATEGORY_RETENTION[category] ?? CONFIG.CATEGORY_RETENTION.general;
+  return Math.max(categoryDays, CONFIG.RETENTION[level] ?? 0);
+};
+
+/**
+ * 통계 집계 단위 (MySQL DATE_FORMAT, UTC)
+ */
+const STAT_GRANULARITY = {
+  HOUR: '%Y-%m-%d %H:00:00',
+  DAY: '%Y-%m-%d 00:00:00'
+};
+
 /**
  * 이벤트 로거 클래스
  */
@@ -77,8 +152,12 @@ class EventLogger {
     };
     
     this.responseTimes = [];
+    this.buffer = [];
+    this.droppedCount = 0;
+    this.flushing = null;
     this.initializeMetrics();
     this.startMetricsUpdater();
+    this.startFlushTimer();
   }
   
   /**
@@ -99,6 +178,7 @@ class EventLogger {
       eventName,
       category,
       level = 'INFO',
+      userType,
       userId,
       storeId,
       socketId,
@@ -114,18 +194,19 @@ class EventLogger {
         eventName,
         category: category || this.categorizeEvent(eventName),
         level,
-        userId,
-        storeId,
-        socketId,
-        data: JSON.stringify(data),
-        metadata: JSON.stringify(metadata),
+        userType: userType || null,
+        userId: toId(userId),
+        storeId: toId(storeId),
+        socketId: socketId || null,
+        data: limitSize(data),
+        metadata: limitSize(metadata),
         duration,
         error: error ? error.message : null,
         timestamp: new Date()
       };
       
-      // 데이터베이스에 저장
-      await this.saveToDatabase(logEntry);
+      // 데이터베이스 저장 대기열에 추가 (묶음 저장)
+      this.saveToDatabase(logEntry);
       
       // Redis에 실시간 메트릭스 업데이트
       await this.updateRealtimeMetrics(logEntry);
@@ -151,7 +232,7 @@ class EventLogger {
   /**
    * 연결 이벤트 로깅
    */
-  async logConnection(socket, action = 'connect') {
+  async logConnection(socket, action = 'connect', reason = null) {
     // Socket.user null safety 확보
     const user = socket.user || {};
     const userId = user.id || socket.userId || null;
@@ -162,13 +243,15 @@ class EventLogger {
       eventName: `socket:${action}`,
       category: CONFIG.CATEGORIES.CONNECTION,
       level: 'INFO',
+      userType: socket.userType,
       userId,
       storeId,
       socketId: socket.id,
       metadata: {
         ip: socket.handshake.address,
         userAgent: socket.handshake.headers['user-agent'],
-        tokenRefresh: socket.tokenRefresh || false
+        tokenRefresh: socket.tokenRefresh || false,
+        ...(reason && { reason })
       }
     });
     
@@ -199,7 +282,7 @@ class EventLogger {
   /**
    * 비즈니스 이벤트 로깅
    */
-  async logBusinessEvent(socket, eventName, data, startTime = null) {
+  async logBusinessEvent(socket, eventName, data, startTime = null, level = 'INFO') {
     const duration = startTime ? Date.now() - startTime : null;
 
     // Socket.user null safety 확보
@@ -211,7 +294,8 @@ class EventLogger {
       namespace: socket.nsp.name,
       eventName,
       category: this.categorizeEvent(eventName),
-      level: 'INFO',
+      level,
+      userType: socket.userType,
       userId,
       storeId,
       socketId: socket.id,
@@ -241,13 +325,14 @@ class EventLogger {
       eventName,
       category: CONFIG.CATEGORIES.ERROR,
       level: 'ERROR',
+      userType: socket?.userType,
       userId,
       storeId,
       socketId: socket?.id,
       error,
       data: context,
       metadata: {
-        stack: error.stack,
+        stack: error?.stack,
         tokenRefresh: socket?.tokenRefresh || false
       }
     });
@@ -258,7 +343,8 @@ class EventLogger {
   /**
    * 이벤트 카테고리 자동 분류
    */
-  categorizeEvent(eventName) {
+  categorizeEvent(eventName = '') {
+    if (eventName.startsWith('socket:') || eventName.startsWith('connection:') || eventName === 'heartbeat') return CONFIG.CATEGORIES.CONNECTION;
     if (eventName.includes('notification')) return CONFIG.CATEGORIES.NOTIFICATION;
     if (eventName.includes('order')) return CONFIG.CATEGORIES.ORDER;
     if (eventName.includes('chat')) return CONFIG.CATEGORIES.CHAT;
@@ -269,13 +355,75 @@ class EventLogger {
   }
   
   /**
-   * 데이터베이스에 로그 저장
+   * 데이터베이스 저장 대기열에 추가 - batchSize에 도달하면 즉시 저장
    */
-  async saveToDatabase(logEntry) {
-    try {
-      await EventLog.create(logEntry);
-    } catch (error) {
-      logger.error('Failed to save log to database:', error);
+  saveToDatabase(logEntry) {
+    if (levelValue(logEntry.level) < levelValue(CONFIG.DATABASE.minLevel)) return;
+
+    this.buffer.push(logEntry);
+    this.trimBuffer();
+
+    if (this.buffer.length >= CONFIG.DATABASE.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * 대기 중인 로그 묶음 저장 (동시에 한 번만 실행)
+   * 저장 실패 시 대기열 앞에 되돌려 다음 주기에 재시도
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+    if (this.buffer.length === 0) return Promise.resolve();
+
+    this.flushing = (async () => {
+      while (this.buffer.length > 0) {
+        const batch = this.buffer.splice(0, CONFIG.DATABASE.batchSize);
+        try {
+          await EventLog.bulkCreate(batch, { validate: false });
+        } catch (error) {
+          this.buffer.unshift(...batch);
+          this.trimBuffer();
+          logger.error('Failed to save logs to database:', { count: batch.length, error: error.message });
+          break;
+        }
+      }
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * 대기열 최대 크기 유지 (DB 장애가 길어지면 오래된 로그부터 버림)
+   */
+  trimBuffer() {
+    const overflow = this.buffer.length - CONFIG.DATABASE.maxBuffer;
+    if (overflow > 0) {
+      this.buffer.splice(0, overflow);
+      this.droppedCount += overflow;
+      logger.warn('Event log buffer overflow - oldest logs dropped', { dropped: overflow, totalDropped: this.droppedCount });
+    }
+  }
+
+  /**
+   * 주기적 묶음 저장
+   */
+  startFlushTimer() {
+    this.flushTimer = setInterval(() => this.flush(), CONFIG.DATABASE.flushInterval);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * 종료 시 대기 중인 로그 저장
+   */
+  async shutdown() {
+    clearInterval(this.flushTimer);
+    clearInterval(this.metricsTimer);
+    await this.flush();
+    if (this.buffer.length > 0) {
+      logger.warn('Event logs not saved on shutdown', { count: this.buffer.length });
     }
   }
   
@@ -402,7 +550,7 @@ class EventLogger {
    * 메트릭스 주기적 업데이트
    */
   startMetricsUpdater() {
-    setInterval(async () => {
+    this.metricsTimer = setInterval(async () => {
       try {
         await kv.set('socket:metrics:summary', JSON.stringify(this.metrics));
         await kv.expire('socket:metrics:summary', 60); // 1분
@@ -410,6 +558,7 @@ class EventLogger {
         logger.error('Failed to update metrics summary:', error);
       }
     }, CONFIG.METRICS_UPDATE_INTERVAL);
+    this.metricsTimer.unref?.();
   }
   
   /**
@@ -446,150 +595,192 @@ class EventLogger {
   }
   
   /**
-   * 로그 검색
+   * 검색 조건 → where
+   * @param {Object} criteria - { namespace, eventName, category, level, userType, userId, storeId, startDate, endDate }
    */
-  async searchLogs(criteria) {
-    const {
-      namespace,
-      eventName,
-      category,
-      level,
-      userId,
-      storeId,
-      startDate,
-      endDate,
-      limit = 100,
-      offset = 0
-    } = criteria;
-    
+  buildWhere(criteria = {}) {
     const where = {};
-    
-    if (namespace) where.namespace = namespace;
-    if (eventName) where.eventName = eventName;
-    if (category) where.category = category;
-    if (level) where.level = level;
-    if (userId) where.userId = userId;
-    if (storeId) where.storeId = storeId;
-    
-    if (startDate || endDate) {
-      where.timestamp = {};
-      if (startDate) where.timestamp[Sequelize.Op.gte] = startDate;
-      if (endDate) where.timestamp[Sequelize.Op.lte] = endDate;
+
+    for (const field of ['namespace', 'eventName', 'category', 'level', 'userType', 'userId', 'storeId', 'socketId']) {
+      if (criteria[field] !== undefined && criteria[field] !== null && criteria[field] !== '') {
+        where[field] = criteria[field];
+      }
     }
-    
-    try {
-      const logs = await EventLog.findAll({
-        where,
-        limit,
-        offset,
-        order: [['timestamp', 'DESC']]
-      });
-      
-      return logs;
-    } catch (error) {
-      logger.error('Failed to search logs:', error);
-      return [];
+
+    // 이벤트 이름 접두사 검색 (예: 'chat:')
+    if (!where.eventName && criteria.eventNamePrefix) {
+      where.eventName = { [Op.startsWith]: criteria.eventNamePrefix };
     }
+
+    // 최소 레벨 (예: WARN → WARN/ERROR/CRITICAL)
+    if (!where.level && criteria.minLevel) {
+      where.level = Object.keys(CONFIG.LOG_LEVELS).filter((level) => levelValue(level) >= levelValue(criteria.minLevel));
+    }
+
+    if (criteria.startDate || criteria.endDate) {
+      where.timestamp = {};
+      if (criteria.startDate) where.timestamp[Op.gte] = criteria.startDate;
+      if (criteria.endDate) where.timestamp[Op.lte] = criteria.endDate;
+    }
+
+    return where;
   }
-  
+
   /**
-   * 로그 정리 (오래된 로그 삭제)
+   * 로그 검색 (최신순)
+   * @returns {Promise<{ rows: EventLog[], count: number }>}
+   */
+  async searchLogs(criteria = {}) {
+    const { limit = 100, offset = 0 } = criteria;
+
+    return EventLog.findAndCountAll({
+      where: this.buildWhere(criteria),
+      limit,
+      offset,
+      order: [['timestamp', 'DESC'], ['id', 'DESC']]
+    });
+  }
+
+  /**
+   * 로그 정리 - 카테고리/레벨별 보관 기간이 지난 로그 삭제 (cleanupBatchSize 단위)
+   * @returns {Promise<number>} 삭제된 로그 수
    */
   async cleanupOldLogs() {
+    const knownCategories = Object.keys(CONFIG.CATEGORY_RETENTION);
+    let deleted = 0;
+
     try {
-      for (const [level, days] of Object.entries(CONFIG.RETENTION)) {
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-        
-        await EventLog.destroy({
-          where: {
-            level,
-            timestamp: {
-              [Sequelize.Op.lt]: cutoffDate
-            }
-          }
-        });
+      for (const level of Object.keys(CONFIG.LOG_LEVELS)) {
+        for (const category of knownCategories) {
+          const cutoffDate = new Date(Date.now() - getRetentionDays(category, level) * 24 * 60 * 60 * 1000);
+
+          // 미등록 카테고리는 general 보관 기간 적용
+          const categoryWhere = category === 'general'
+            ? { [Op.or]: [{ [Op.eq]: 'general' }, { [Op.notIn]: knownCategories }] }
+            : category;
+
+          let removed;
+          do {
+            // eslint-disable-next-line no-await-in-loop
+            removed = await EventLog.destroy({
+              where: { level, category: categoryWhere, timestamp: { [Op.lt]: cutoffDate } },
+              limit: CONFIG.DATABASE.cleanupBatchSize
+            });
+            deleted += removed;
+          } while (removed === CONFIG.DATABASE.cleanupBatchSize);
+        }
       }
-      
-      logger.info('Old logs cleaned up successfully');
+
+      logger.info('Old logs cleaned up successfully', { deleted });
     } catch (error) {
       logger.error('Failed to cleanup old logs:', error);
     }
+
+    return deleted;
   }
-  
+
   /**
-   * 이벤트 통계 생성
+   * 이벤트 통계 - EventLog 기준 시간/일 단위 집계
+   * @param {Object} criteria - 검색 조건 (buildWhere) + startDate/endDate 필수
+   * @param {'HOUR'|'DAY'} granularity - 집계 단위 (UTC)
    */
-  async generateStatistics(namespace, period = 'day') {
-    const stats = {
-      period,
-      namespace,
-      totalEvents: 0,
-      eventsByCategory: {},
-      eventsByHour: {},
-      topEvents: [],
-      errorRate: 0,
-      avgResponseTime: 0
-    };
-    
-    try {
-      const startDate = new Date();
-      if (period === 'day') {
-        startDate.setHours(0, 0, 0, 0);
-      } else if (period === 'week') {
-        startDate.setDate(startDate.getDate() - 7);
-      } else if (period === 'month') {
-        startDate.setMonth(startDate.getMonth() - 1);
-      }
-      
-      const logs = await EventLog.findAll({
-        where: {
-          namespace,
-          timestamp: {
-            [Sequelize.Op.gte]: startDate
-          }
-        },
+  async getStatistics(criteria, granularity = 'HOUR') {
+    const where = this.buildWhere(criteria);
+    const bucket = Sequelize.fn('DATE_FORMAT', Sequelize.col('timestamp'), STAT_GRANULARITY[granularity] || STAT_GRANULARITY.HOUR);
+    const errorCount = Sequelize.literal(`SUM(CASE WHEN level IN ('ERROR', 'CRITICAL') THEN 1 ELSE 0 END)`);
+
+    const [totals, buckets, byCategory, byLevel, topEvents] = await Promise.all([
+      EventLog.findOne({
+        where,
+        attributes: [
+          [Sequelize.fn('COUNT', Sequelize.col('id')), 'total'],
+          [errorCount, 'errors'],
+          [Sequelize.fn('AVG', Sequelize.col('duration')), 'avgDuration']
+        ],
+        raw: true
+      }),
+      EventLog.findAll({
+        where,
+        attributes: [
+          [bucket, 'bucket'],
+          [Sequelize.fn('COUNT', Sequelize.col('id')), 'total'],
+          [errorCount, 'errors'],
+          [Sequelize.fn('AVG', Sequelize.col('duration')), 'avgDuration']
+        ],
+        group: ['bucket'],
+        order: [[Sequelize.literal('bucket'), 'ASC']],
+        raw: true
+      }),
+      EventLog.findAll({
+        where,
+        attributes: ['category', [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']],
+        group: ['category'],
+        raw: true
+      }),
+      EventLog.findAll({
+        where,
+        attributes: ['level', [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']],
+        group: ['level'],
+        raw: true
+      }),
+      EventLog.findAll({
+        where,
         attributes: [
           'eventName',
-          'category',
-          'level',
-          [Sequelize.fn('COUNT', '*'), 'count'],
+          [Sequelize.fn('COUNT', Sequelize.col('id')), 'count'],
           [Sequelize.fn('AVG', Sequelize.col('duration')), 'avgDuration']
         ],
-        group: ['eventName', 'category', 'level'],
+        group: ['eventName'],
+        order: [[Sequelize.literal('count'), 'DESC']],
+        limit: 10,
         raw: true
-      });
-      
-      // 통계 집계
-      logs.forEach(log => {
-        stats.totalEvents += parseInt(log.count);
-        
-        if (!stats.eventsByCategory[log.category]) {
-          stats.eventsByCategory[log.category] = 0;
-        }
-        stats.eventsByCategory[log.category] += parseInt(log.count);
-        
-        stats.topEvents.push({
-          event: log.eventName,
-          count: parseInt(log.count),
-          avgDuration: parseFloat(log.avgDuration) || 0
-        });
-      });
-      
-      // Top 10 이벤트
-      stats.topEvents.sort((a, b) => b.count - a.count);
-      stats.topEvents = stats.topEvents.slice(0, 10);
-      
-      // 에러율 계산
-      const errorCount = logs.filter(l => l.level === 'ERROR' || l.level === 'CRITICAL')
-                              .reduce((sum, l) => sum + parseInt(l.count), 0);
-      stats.errorRate = stats.totalEvents > 0 ? (errorCount / stats.totalEvents * 100).toFixed(2) : 0;
-      
-      return stats;
-      
+      })
+    ]);
+
+    const totalEvents = parseInt(totals?.total || 0);
+    const totalErrors = parseInt(totals?.errors || 0);
+
+    return {
+      granularity,
+      totalEvents,
+      errorCount: totalErrors,
+      errorRate: totalEvents > 0 ? Number((totalErrors / totalEvents * 100).toFixed(2)) : 0,
+      avgDuration: totals?.avgDuration !== null && totals?.avgDuration !== undefined ? Math.round(parseFloat(totals.avgDuration)) : null,
+      buckets: buckets.map((row) => ({
+        bucket: new Date(`${row.bucket.replace(' ', 'T')}Z`),
+        total: parseInt(row.total),
+        errors: parseInt(row.errors || 0),
+        avgDuration: row.avgDuration !== null ? Math.round(parseFloat(row.avgDuration)) : null
+      })),
+      byCategory: byCategory.map((row) => ({ key: row.category, count: parseInt(row.count) })),
+      byLevel: byLevel.map((row) => ({ key: row.level, count: parseInt(row.count) })),
+      topEvents: topEvents.map((row) => ({
+        eventName: row.eventName,
+        count: parseInt(row.count),
+        avgDuration: row.avgDuration !== null ? Math.round(parseFloat(row.avgDuration)) : null
+      }))
+    };
+  }
+
+  /**
+   * 기간별 네임스페이스 통계 (day/week/month)
+   */
+  async generateStatistics(namespace, period = 'day') {
+    const startDate = new Date();
+    if (period === 'day') {
+      startDate.setHours(0, 0, 0, 0);
+    } else if (period === 'week') {
+      startDate.setDate(startDate.getDate() - 7);
+    } else if (period === 'month') {
+      startDate.setMonth(startDate.getMonth() - 1);
+    }
+
+    try {
+      const stats = await this.getStatistics({ namespace, startDate }, period === 'day' ? 'HOUR' : 'DAY');
+      return { period, namespace, ...stats };
     } catch (error) {
       logger.error('Failed to generate statistics:', error);
-      return stats;
+      return { period, namespace, totalEvents: 0, errorCount: 0, errorRate: 0, avgDuration: null, buckets: [], byCategory: [], byLevel: [], topEvents: [] };
     }
   }
 }
@@ -597,25 +788,31 @@ class EventLogger {
 // 싱글톤 인스턴스
 const eventLogger = new EventLogger();
 
-// 로그 정리 스케줄러 (매일 자정)
-setInterval(() => {
+// 로그 정리 스케줄러 (매일 자정, 여러 노드 중 한 곳에서만 실행)
+setInterval(async () => {
   const now = new Date();
   if (now.getHours() === 0 && now.getMinutes() === 0) {
-    eventLogger.cleanupOldLogs();
+    try {
+      const lockKey = `socket:eventlog:cleanup:${now.toISOString().slice(0, 10)}`;
+      if (Number(await kv.incr(lockKey)) !== 1) return;
+      await kv.expire(lockKey, 86400);
+    } catch (error) {
+      logger.warn('Event log cleanup lock failed - running locally', { error: error.message });
+    }
+    await eventLogger.cleanupOldLogs();
   }
-}, 60000); // 1분마다 체크
+}, 60000).unref?.(); // 1분마다 체크
 
 export default eventLogger;
+export { EventLogger, CONFIG as EVENT_LOG_CONFIG };
 
-// 편의 함수 export
-export const {
-  logEvent,
-  logConnection,
-  logAuthentication,
-  logBusinessEvent,
-  logError,
-  getMetrics,
-  getRecentEvents,
-  searchLogs,
-  generateStatistics
-} = eventLogger;
+// 편의 함수 export (인스턴스에 바인딩)
+export const logEvent = eventLogger.logEvent.bind(eventLogger);
+export const logConnection = eventLogger.logConnection.bind(eventLogger);
+export const logAuthentication = eventLogger.logAuthentication.bind(eventLogger);
+export const logBusinessEvent = eventLogger.logBusinessEvent.bind(eventLogger);
+export const logError = eventLogger.logError.bind(eventLogger);
+export const getMetrics = eventLogger.getMetrics.bind(eventLogger);
+export const getRecentEvents = eventLogger.getRecentEvents.bind(eventLogger);
+export const searchLogs = eventLogger.searchLogs.bind(eventLogger);
+export const generateStatistics = eventLogger.generateStatistics.bind(eventLogger);
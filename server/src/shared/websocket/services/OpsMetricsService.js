@@ -0,0 +1,303 @@
+/**
+ * 관리자 실시간 운영 지표
+ * OPS_METRICS_INTERVAL_SECONDS마다 이 노드의 상태를 수집해 OPS_METRICS_HISTORY_MINUTES 동안 메모리에 보관 (차트용)
+ *
+ * 수집 항목:
+ * - 연결 수: 클라이언트 타입별(mobile/web/store/admin, 인증 전 anonymous) + Room/점주 연결 (UnifiedSocketServer.getStatus)
+ * - Socket 이벤트 처리량/에러율: EventLogger 메트릭스의 구간 증가분
+ * - GraphQL 처리량/에러율/응답 시간 백분위: createPerformancePlugin이 recordGraphQLRequest로 전달
+ * - 의존 서비스 상태: Redis / MySQL / Elasticsearch 응답 시간 (OPS_HEALTH_TIMEOUT_MS 초과 시 DOWN)
+ *
+ * 전달:
+ * - 'admin:ops' Room에 'admin:ops_metrics' (노드마다 전송 - Redis 어댑터로 다른 노드 구독자에게도 전달, nodeId로 구분)
+ * - 노드별 최신 값은 kv에 보관 → aOpsMetrics의 nodes (클러스터 전체 현황)
+ */
+
+import os from 'os';
+import kv from '../../cache/kv.js';
+import sequelize from '../../../config/database.js';
+import { checkRedisConnection } from '../../../config/redis.js';
+import loggerDefault from '../../utils/utilities/Logger.js';
+import eventLogger from './EventLogger.js';
+
+const logger = loggerDefault;
+
+const OPS_METRICS_INTERVAL_SECONDS = parseInt(process.env.OPS_METRICS_INTERVAL_SECONDS || '5');
+const OPS_METRICS_HISTORY_MINUTES = parseInt(process.env.OPS_METRICS_HISTORY_MINUTES || '60');
+const OPS_HEALTH_TIMEOUT_MS = parseInt(process.env.OPS_HEALTH_TIMEOUT_MS || '2000');
+
+// 구간당 보관하는 GraphQL 응답 시간 표본 수 (초과 시 저수지 표본 추출)
+const LATENCY_SAMPLE_SIZE = 5000;
+
+// 노드별 최신 지표 (kv)
+const NODE_INDEX_KEY = 'ops:metrics:nodes';
+const nodeKey = (nodeId) => `ops:metrics:node:${nodeId}`;
+
+// socket.userType → 토큰 clientType (SOCKET_AUTH_BYPASS 연결 등 socket.data.auth가 없는 경우)
+const USER_TYPE_CLIENT_TYPES = {
+  CUSTOMER: 'mobile',
+  WEB: 'web',
+  STORE: 'store',
+  ADMIN: 'admin'
+};
+
+// 구독 Room / 전송 이벤트
+export const OPS_METRICS_ROOM = 'admin:ops';
+export const OPS_METRICS_EVENT = 'admin:ops_metrics';
+
+/**
+ * 정렬된 배열의 백분위 값
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 100 : 0);
+
+/**
+ * 제한 시간 안에 끝나지 않으면 DOWN
+ */
+const checkWithTimeout = async (check) => {
+  let timer;
+  try {
+    return await Promise.race([
+      check(),
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ status: 'DOWN', responseTime: -1, error: 'Health check timed out' }), OPS_HEALTH_TIMEOUT_MS);
+      })
+    ]);
+  } catch (error) {
+    return { status: 'DOWN', responseTime: -1, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const checkMysql = async () => {
+  const startTime = Date.now();
+  await sequelize.authenticate();
+  return { status: 'OK', responseTime: Date.now() - startTime };
+};
+
+// 검색은 선택 기능 - 설정이 없는 환경에서도 서버 시작에 영향이 없도록 사용할 때 로드
+const checkElasticsearch = async () => {
+  const { checkElasticsearchConnection } = await import('../../../config/elasticsearch.js');
+  return checkElasticsearchConnection();
+};
+
+class OpsMetricsService {
+  constructor() {
+    this.server = null;
+    this.nodeId = process.env.NODE_ID || `${os.hostname()}:${process.pid}`;
+    this.samples = [];
+    this.sampleInterval = null;
+    this.sampling = false;
+    this.lastEventTotals = null;
+    this.lastSampleAt = Date.now();
+    this.resetGraphQLWindow();
+  }
+
+  /**
+   * 수집 시작
+   * @param {import('../UnifiedSocketServer.js').UnifiedSocketServer} server
+   */
+  start(server) {
+    this.server = server;
+    if (this.sampleInterval) return;
+
+    this.lastSampleAt = Date.now();
+    this.sampleInterval = setInterval(() => {
+      this.sample().catch((error) => logger.error('❌ [OpsMetrics] 지표 수집 실패', { error: error.message }));
+    }, OPS_METRICS_INTERVAL_SECONDS * 1000);
+    this.sampleInterval.unref?.();
+  }
+
+  stop() {
+    if (this.sampleInterval) {
+      clearInterval(this.sampleInterval);
+      this.sampleInterval = null;
+    }
+  }
+
+  resetGraphQLWindow() {
+    this.graphql = { requests: 0, errors: 0, durations: [] };
+  }
+
+  /**
+   * GraphQL 요청 1건 기록 (createPerformancePlugin)
+   * @param {number|null} durationMs - 처리 시간 (파싱/검증 실패 등 측정 전 종료 시 null)
+   * @param {boolean} failed - 에러 포함 여부
+   */
+  recordGraphQLRequest(durationMs, failed = false) {
+    const window = this.graphql;
+    window.requests++;
+    if (failed) window.errors++;
+    if (durationMs === null || durationMs === undefined) return;
+
+    if (window.durations.length < LATENCY_SAMPLE_SIZE) {
+      window.durations.push(durationMs);
+    } else {
+      const index = Math.floor(Math.random() * window.requests);
+      if (index < LATENCY_SAMPLE_SIZE) window.durations[index] = durationMs;
+    }
+  }
+
+  /**
+   * 이 노드의 클라이언트 타입별 연결 수
+   */
+  countConnections() {
+    const counts = { total: 0, mobile: 0, web: 0, store: 0, admin: 0, anonymous: 0 };
+    for (const socket of this.server.io.sockets.sockets.values()) {
+      const clientType = socket.data.auth?.clientType || USER_TYPE_CLIENT_TYPES[socket.userType] || 'anonymous';
+      counts[clientType] = (counts[clientType] || 0) + 1;
+      counts.total++;
+    }
+
+    const status = this.server.getStatus();
+    return { ...counts, rooms: status.rooms, connectedStores: status.storeManager.connectedStores };
+  }
+
+  /**
+   * Socket 이벤트 처리량 - EventLogger 누적값의 이전 수집 대비 증가분
+   */
+  collectEvents(elapsedSeconds) {
+    const { totalEvents, errorCount } = eventLogger.metrics;
+    const previous = this.lastEventTotals || { totalEvents, errorCount };
+    this.lastEventTotals = { totalEvents, errorCount };
+
+    const count = Math.max(0, totalEvents - previous.totalEvents);
+    const errors = Math.max(0, errorCount - previous.errorCount);
+    return {
+      count,
+      perSecond: Math.round((count / elapsedSeconds) * 100) / 100,
+      errors,
+      errorRate: rate(errors, count)
+    };
+  }
+
+  /**
+   * GraphQL 처리량/응답 시간 - 구간 집계 후 초기화
+   */
+  collectGraphQL(elapsedSeconds) {
+    const { requests, errors, durations } = this.graphql;
+    this.resetGraphQLWindow();
+
+    const sorted = durations.sort((a, b) => a - b);
+    return {
+      requests,
+      perSecond: Math.round((requests / elapsedSeconds) * 100) / 100,
+      errors,
+      errorRate: rate(errors, requests),
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      p99: percentile(sorted, 99),
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+    };
+  }
+
+  async collectHealth() {
+    const [redis, mysql, elasticsearch] = await Promise.all([
+      checkWithTimeout(checkRedisConnection),
+      checkWithTimeout(checkMysql),
+      checkWithTimeout(checkElasticsearch)
+    ]);
+
+    const summarize = ({ status, responseTime, error }) => ({ status, responseTime, error: error || null });
+    return { redis: summarize(redis), mysql: summarize(mysql), elasticsearch: summarize(elasticsearch) };
+  }
+
+  /**
+   * 지표 1회 수집 → 보관/전송
+   * @returns {Promise<Object|null>} 수집한 지표 (이전 수집이 진행 중이면 null)
+   */
+  async sample() {
+    if (!this.server || this.sampling) return null;
+
+    this.sampling = true;
+    try {
+      const now = Date.now();
+      const elapsedSeconds = Math.max(1, (now - this.lastSampleAt) / 1000);
+      this.lastSampleAt = now;
+
+      const memory = process.memoryUsage();
+      const sample = {
+        nodeId: this.nodeId,
+        timestamp: new Date(now).toISOString(),
+        connections: this.countConnections(),
+        events: this.collectEvents(elapsedSeconds),
+        graphql: this.collectGraphQL(elapsedSeconds),
+        health: await this.collectHealth(),
+        process: {
+          uptime: Math.round(process.uptime()),
+          rssMb: Math.round(memory.rss / 1048576),
+          heapUsedMb: Math.round(memory.heapUsed / 1048576)
+        }
+      };
+
+      this.samples.push(sample);
+      const oldest = now - OPS_METRICS_HISTORY_MINUTES * 60 * 1000;
+      while (this.samples.length > 0 && Date.parse(this.samples[0].timestamp) < oldest) {
+        this.samples.shift();
+      }
+
+      this.server.io.to(OPS_METRICS_ROOM).emit(OPS_METRICS_EVENT, sample);
+      await this.publishLatest(sample);
+      return sample;
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  /**
+   * 노드별 최신 지표 보관 (수집이 멈춘 노드는 3구간 후 만료)
+   */
+  async publishLatest(sample) {
+    const ttl = OPS_METRICS_INTERVAL_SECONDS * 3;
+    try {
+      await kv.setex(nodeKey(this.nodeId), ttl, JSON.stringify(sample));
+      await kv.zadd(NODE_INDEX_KEY, Date.now(), this.nodeId);
+      await kv.zremrangebyscore(NODE_INDEX_KEY, 0, Date.now() - ttl * 1000);
+    } catch (error) {
+      logger.warn('⚠️ [OpsMetrics] 노드 지표 저장 실패', { error: error.message });
+    }
+  }
+
+  /**
+   * 이 노드의 보관 지표
+   * @param {number} minutes - 최근 N분 (최대 OPS_METRICS_HISTORY_MINUTES)
+   */
+  getHistory(minutes = OPS_METRICS_HISTORY_MINUTES) {
+    const since = Date.now() - Math.min(minutes, OPS_METRICS_HISTORY_MINUTES) * 60 * 1000;
+    return this.samples.filter((sample) => Date.parse(sample.timestamp) >= since);
+  }
+
+  /**
+   * 클러스터 노드별 최신 지표
+   */
+  async getNodes() {
+    const nodeIds = await kv.zrangebyscore(NODE_INDEX_KEY, Date.now() - OPS_METRICS_INTERVAL_SECONDS * 3 * 1000, '+inf');
+    if (nodeIds.length === 0) return [];
+
+    const values = await kv.mget(nodeIds.map(nodeKey));
+    return values.filter(Boolean).map((value) => (typeof value === 'string' ? JSON.parse(value) : value));
+  }
+
+  /**
+   * 대시보드 초기 데이터 (aOpsMetrics / admin:ops_subscribe 응답)
+   */
+  async getSnapshot(minutes) {
+    return {
+      nodeId: this.nodeId,
+      intervalSeconds: OPS_METRICS_INTERVAL_SECONDS,
+      samples: this.getHistory(minutes),
+      nodes: await this.getNodes()
+    };
+  }
+}
+
+// 싱글톤 인스턴스
+const opsMetricsService = new OpsMetricsService();
+
+export default opsMetricsService;
+export { OpsMetricsService, OPS_METRICS_HISTORY_MINUTES };
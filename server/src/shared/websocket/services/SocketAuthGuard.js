@@ -0,0 +1,162 @@
+/**
+ * Socket 인증 유지 감시
+ * 핸드셰이크 이후에도 GraphQL과 같은 무효화 기준을 적용해 실시간 연결을 종료
+ *
+ * - 즉시 종료: jwtManager가 발행하는 auth.tokens.revoked 구독
+ *   SESSION(로그아웃/원격 로그아웃/재사용 감지) → auth:session:{sid} Room
+ *   SUBJECT(강제 로그아웃/정지/차단) → auth:subject:{clientType}:{id} Room
+ *   TOKEN(단일 Access Token 블랙리스트) → 세션 Room 중 jti가 같은 소켓
+ *   Redis 어댑터로 다른 노드의 소켓까지 'auth:revoked' 전송 후 연결 종료
+ * - 주기 재검증: SOCKET_AUTH_REVALIDATE_SECONDS마다 이 노드의 소켓 검사
+ *   토큰 만료 후 SOCKET_AUTH_EXPIRY_GRACE_SECONDS 안에 auth:refresh로 교체하지 않으면 'auth:expired' 후 종료
+ *   무효화 이벤트를 받지 못한 경우(다른 프로세스에서 무효화 등)도 kv의 무효화 기록으로 종료
+ * - 기본('/') 외 네임스페이스에 연결된 소켓도 모두 대상
+ */
+
+import jwtManager, { TOKENS_REVOKED_EVENT } from '../../utils/auth/JWT.js';
+import { getGlobalEventBus } from '../../utils/services/EventBus.js';
+import loggerDefault from '../../utils/utilities/Logger.js';
+import { sessionRoom, subjectRoom } from '../middleware/socketAuth.js';
+
+const logger = loggerDefault;
+
+const SOCKET_AUTH_REVALIDATE_SECONDS = parseInt(process.env.SOCKET_AUTH_REVALIDATE_SECONDS || '60');
+const SOCKET_AUTH_EXPIRY_GRACE_SECONDS = parseInt(process.env.SOCKET_AUTH_EXPIRY_GRACE_SECONDS || '60');
+const REVALIDATE_BATCH_SIZE = 100;
+
+// 클라이언트 수신 이벤트
+export const AUTH_REVOKED_EVENT = 'auth:revoked';
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
+class SocketAuthGuard {
+  constructor() {
+    this.io = null;
+    this.subscriptionId = null;
+    this.revalidateInterval = null;
+    this.revalidating = false;
+  }
+
+  /**
+   * 무효화 이벤트 구독 및 주기 재검증 시작
+   * @param {import('socket.io').Server} io
+   */
+  start(io) {
+    this.io = io;
+
+    if (!this.subscriptionId) {
+      this.subscriptionId = getGlobalEventBus().subscribe(TOKENS_REVOKED_EVENT, (event) => this.handleRevocation(event.data));
+    }
+
+    if (!this.revalidateInterval) {
+      this.revalidateInterval = setInterval(() => {
+        this.revalidate().catch((error) => logger.error('❌ [SocketAuth] 주기 재검증 실패', { error: error.message }));
+      }, SOCKET_AUTH_REVALIDATE_SECONDS * 1000);
+      this.revalidateInterval.unref?.();
+    }
+  }
+
+  stop() {
+    if (this.subscriptionId) {
+      getGlobalEventBus().unsubscribe(this.subscriptionId);
+      this.subscriptionId = null;
+    }
+    if (this.revalidateInterval) {
+      clearInterval(this.revalidateInterval);
+      this.revalidateInterval = null;
+    }
+  }
+
+  /**
+   * 등록된 모든 네임스페이스 (io.of()로 생성된 네임스페이스 포함)
+   */
+  namespaces() {
+    return Array.from(this.io._nsps.values());
+  }
+
+  /**
+   * 토큰 무효화 → 해당 세션/계정의 소켓 연결 종료 (클러스터 전체)
+   * @param {Object} revocation - { scope, clientType, subjectId, sessionId, jti, reason }
+   */
+  async handleRevocation({ scope, clientType, subjectId, sessionId, jti, reason }) {
+    if (!this.io) return;
+
+    if (scope === 'TOKEN') {
+      if (!sessionId) return;
+
+      const sockets = await Promise.all(this.namespaces().map((nsp) => nsp.in(sessionRoom(sessionId)).fetchSockets()));
+      const targets = sockets.flat().filter((socket) => socket.data.auth?.jti === jti);
+      targets.forEach((socket) => this.terminate(socket, AUTH_REVOKED_EVENT, reason));
+
+      logger.info('🔒 [SocketAuth] 무효화된 토큰의 소켓 연결 종료', { sessionId, disconnected: targets.length, reason });
+      return;
+    }
+
+    let room = null;
+    if (scope === 'SESSION' && sessionId) {
+      room = sessionRoom(sessionId);
+    } else if (scope === 'SUBJECT' && clientType && subjectId) {
+      room = subjectRoom(clientType, subjectId);
+    }
+    if (!room) return;
+
+    for (const nsp of this.namespaces()) {
+      nsp.to(room).emit(AUTH_REVOKED_EVENT, { reason, timestamp: new Date().toISOString() });
+      nsp.in(room).disconnectSockets(true);
+    }
+
+    logger.info('🔒 [SocketAuth] 무효화된 세션/계정의 소켓 연결 종료', { scope, room, reason });
+  }
+
+  /**
+   * 사유 전송 후 연결 종료 (서버 종료이므로 클라이언트는 자동 재연결하지 않음)
+   */
+  terminate(socket, event, reason) {
+    socket.emit(event, { reason, timestamp: new Date().toISOString() });
+    socket.disconnect(true);
+  }
+
+  /**
+   * 이 노드의 소켓 재검증 - 만료(유예 시간 경과) 또는 무효화된 토큰이면 연결 종료
+   * @returns {Promise<{ checked: number, expired: number, revoked: number }>}
+   */
+  async revalidate() {
+    const result = { checked: 0, expired: 0, revoked: 0 };
+    if (!this.io || this.revalidating) return result;
+
+    this.revalidating = true;
+    try {
+      const expiredBefore = Date.now() - SOCKET_AUTH_EXPIRY_GRACE_SECONDS * 1000;
+      const sockets = this.namespaces()
+        .flatMap((nsp) => Array.from(nsp.sockets.values()))
+        .filter((socket) => socket.data.auth);
+
+      for (let i = 0; i < sockets.length; i += REVALIDATE_BATCH_SIZE) {
+        await Promise.all(sockets.slice(i, i + REVALIDATE_BATCH_SIZE).map(async (socket) => {
+          const { auth } = socket.data;
+          result.checked++;
+
+          if (auth.exp * 1000 < expiredBefore) {
+            result.expired++;
+            this.terminate(socket, AUTH_EXPIRED_EVENT, 'TOKEN_EXPIRED');
+          } else if (await jwtManager.isRevoked(auth)) {
+            result.revoked++;
+            this.terminate(socket, AUTH_REVOKED_EVENT, 'TOKEN_REVOKED');
+          }
+        }));
+      }
+    } finally {
+      this.revalidating = false;
+    }
+
+    if (result.expired > 0 || result.revoked > 0) {
+      logger.info('🔒 [SocketAuth] 주기 재검증으로 연결 종료', result);
+    }
+    return result;
+  }
+}
+
+// 싱글톤 인스턴스
+const socketAuthGuard = new SocketAuthGuard();
+
+export default socketAuthGuard;
+export { SocketAuthGuard };
@@ -0,0 +1,133 @@
+/**
+ * SocketAuthGuard 테스트
+ * 토큰 무효화 이벤트(SESSION/SUBJECT/TOKEN) 수신 시 소켓 연결 종료, 주기 재검증 - 모든 네임스페이스 대상
+ * Socket.IO 서버/네임스페이스는 대역, 이벤트 버스는 구독 핸들러만 기록
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const TOKENS_REVOKED_EVENT = 'auth.tokens.revoked';
+const handlers = new Map();
+
+const jwtManager = {
+  isRevoked: jest.fn(async () => false),
+};
+
+jest.unstable_mockModule('../../utils/auth/JWT.js', () => ({ default: jwtManager, TOKENS_REVOKED_EVENT }));
+jest.unstable_mockModule('../../utils/services/EventBus.js', () => ({
+  getGlobalEventBus: () => ({
+    subscribe: (eventName, handler) => {
+      handlers.set(eventName, handler);
+      return `sub-${eventName}`;
+    },
+    unsubscribe: () => {},
+  }),
+}));
+jest.unstable_mockModule('../middleware/socketAuth.js', () => ({
+  sessionRoom: (sid) => `auth:session:${sid}`,
+  subjectRoom: (clientType, subjectId) => `auth:subject:${clientType}:${subjectId}`,
+}));
+
+let SocketAuthGuard;
+let AUTH_REVOKED_EVENT;
+let AUTH_EXPIRED_EVENT;
+
+beforeAll(async () => {
+  ({ SocketAuthGuard, AUTH_REVOKED_EVENT, AUTH_EXPIRED_EVENT } = await import('./SocketAuthGuard.js'));
+});
+
+// 인증된 소켓 대역 - socketAuth와 같은 세션/계정 Room에 가입
+const fakeSocket = ({ sid = 'sid-1', clientType = 'web', subjectId = 7, jti = 'jti-1', exp = Date.now() / 1000 + 600 } = {}) => ({
+  data: { auth: { sid, clientType, subjectId, jti, exp } },
+  rooms: new Set([`auth:session:${sid}`, `auth:subject:${clientType}:${subjectId}`]),
+  emit: jest.fn(),
+  disconnect: jest.fn(),
+});
+
+// 네임스페이스 대역 - Room 단위 emit/disconnectSockets/fetchSockets
+const fakeNamespace = (sockets) => {
+  const inRoom = (room) => sockets.filter((socket) => socket.rooms.has(room));
+  return {
+    sockets: new Map(sockets.map((socket, index) => [`socket-${index}`, socket])),
+    to: (room) => ({ emit: (event, payload) => inRoom(room).forEach((socket) => socket.emit(event, payload)) }),
+    in: (room) => ({
+      fetchSockets: async () => inRoom(room),
+      disconnectSockets: (close) => inRoom(room).forEach((socket) => socket.disconnect(close)),
+    }),
+  };
+};
+
+let guard;
+let sockets;
+
+const startGuard = (namespaces) => {
+  guard?.stop();
+  guard = new SocketAuthGuard();
+  guard.start({ _nsps: new Map(Object.entries(namespaces)) });
+};
+
+const revoke = (data) => handlers.get(TOKENS_REVOKED_EVENT)({ data });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sockets = {
+    current: fakeSocket({ sid: 'sid-1', jti: 'jti-1' }),
+    otherDevice: fakeSocket({ sid: 'sid-2', jti: 'jti-2' }),
+    chat: fakeSocket({ sid: 'sid-1', jti: 'jti-1' }),
+    otherAccount: fakeSocket({ sid: 'sid-9', subjectId: 8, jti: 'jti-9' }),
+  };
+  startGuard({
+    '/': fakeNamespace([sockets.current, sockets.otherDevice, sockets.otherAccount]),
+    '/chat': fakeNamespace([sockets.chat]),
+  });
+});
+
+const disconnected = () => Object.entries(sockets)
+  .filter(([, socket]) => socket.disconnect.mock.calls.length > 0)
+  .map(([name]) => name);
+
+describe('무효화 이벤트', () => {
+  it('SESSION은 해당 세션의 소켓을 모든 네임스페이스에서 종료한다', async () => {
+    await revoke({ scope: 'SESSION', sessionId: 'sid-1', reason: 'LOGOUT' });
+
+    expect(disconnected()).toEqual(['current', 'chat']);
+    expect(sockets.chat.emit).toHaveBeenCalledWith(AUTH_REVOKED_EVENT, expect.objectContaining({ reason: 'LOGOUT' }));
+    expect(sockets.chat.disconnect).toHaveBeenCalledWith(true);
+  });
+
+  it('SUBJECT는 계정의 모든 디바이스 소켓을 종료한다', async () => {
+    await revoke({ scope: 'SUBJECT', clientType: 'web', subjectId: 7, reason: 'SUSPENDED' });
+
+    expect(disconnected()).toEqual(['current', 'otherDevice', 'chat']);
+  });
+
+  it('TOKEN은 세션 중 같은 Access Token(jti)의 소켓만 종료한다', async () => {
+    const stale = fakeSocket({ sid: 'sid-1', jti: 'jti-old' });
+    startGuard({ '/': fakeNamespace([sockets.current, stale]), '/chat': fakeNamespace([sockets.chat]) });
+
+    await revoke({ scope: 'TOKEN', sessionId: 'sid-1', jti: 'jti-old', reason: 'LOGOUT' });
+
+    expect(stale.disconnect).toHaveBeenCalledWith(true);
+    expect(disconnected()).toEqual([]);
+  });
+
+  it('대상 정보가 없는 이벤트는 무시한다', async () => {
+    await revoke({ scope: 'SUBJECT', clientType: 'web', reason: 'SUSPENDED' });
+    await revoke({ scope: 'TOKEN', jti: 'jti-1' });
+
+    expect(disconnected()).toEqual([]);
+  });
+});
+
+describe('주기 재검증', () => {
+  it('만료 유예가 지난 소켓과 무효화된 소켓을 모든 네임스페이스에서 종료한다', async () => {
+    const expired = fakeSocket({ sid: 'sid-3', exp: Date.now() / 1000 - 3600 });
+    startGuard({ '/': fakeNamespace([sockets.current, expired]), '/chat': fakeNamespace([sockets.chat]) });
+    jwtManager.isRevoked.mockImplementation(async (auth) => auth === sockets.chat.data.auth);
+
+    expect(await guard.revalidate()).toEqual({ checked: 3, expired: 1, revoked: 1 });
+    expect(expired.emit).toHaveBeenCalledWith(AUTH_EXPIRED_EVENT, expect.objectContaining({ reason: 'TOKEN_EXPIRED' }));
+    expect(sockets.chat.emit).toHaveBeenCalledWith(AUTH_REVOKED_EVENT, expect.objectContaining({ reason: 'TOKEN_REVOKED' }));
+    expect(sockets.current.disconnect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Socket 이벤트 요청 빈도 / 페이로드 크기 제한
+ * SocketEventRegistry.dispatch가 검증 전에 호출 - 거부 사유를 반환하면 레지스트리가 socket:error로 응답
+ *
+ * - 토큰 버킷: 이벤트 정의의 rateLimit { limit, windowMs } → 최대 limit개, windowMs 동안 limit개 보충
+ *   kv(Redis)에 계정별로 보관 → 같은 계정의 여러 기기/노드가 한도를 공유
+ *   scope: 'socket'인 이벤트(하트비트 등 연결마다 주기적으로 보내는 이벤트)는 연결별 버킷
+ * - 클라이언트 타입별 한도: rateLimit[clientType]이 있으면 그 값 그대로, 없으면 기본 한도 × SOCKET_RATE_SCALE_*
+ * - 페이로드 크기: 이벤트 정의의 maxPayloadBytes (JSON 직렬화 기준 바이트)
+ *
+ * 위반(한도 초과/크기 초과) 누적 시 단계적 제재 (SOCKET_RATE_VIOLATION_WINDOW_SECONDS 동안 계정별 합산)
+ *   1. 경고: RATE_LIMITED / PAYLOAD_TOO_LARGE 거부만
+ *   2. SOCKET_RATE_MUTE_AFTER회: 계정의 모든 연결 SOCKET_RATE_MUTE_SECONDS 동안 음소거 (essential 이벤트 외 MUTED 거부)
+ *   3. SOCKET_RATE_DISCONNECT_AFTER회: 위반한 연결 종료
+ *   음소거/연결 종료 시 'socket:throttled' { action, reason, until } 전송 + RateLimiting.reportSuspiciousActivity
+ */
+
+import kv from '../../cache/kv.js';
+import loggerDefault from '../../utils/utilities/Logger.js';
+import { RateLimiting } from '../../utils/security/RateLimiting.js';
+import { subjectRoom } from '../middleware/socketAuth.js';
+
+const logger = loggerDefault;
+
+const SOCKET_RATE_VIOLATION_WINDOW_SECONDS = parseInt(process.env.SOCKET_RATE_VIOLATION_WINDOW_SECONDS || '300');
+const SOCKET_RATE_MUTE_AFTER = parseInt(process.env.SOCKET_RATE_MUTE_AFTER || '3');
+const SOCKET_RATE_MUTE_SECONDS = parseInt(process.env.SOCKET_RATE_MUTE_SECONDS || '60');
+const SOCKET_RATE_DISCONNECT_AFTER = parseInt(process.env.SOCKET_RATE_DISCONNECT_AFTER || '6');
+
+// 클라이언트 타입별 기본 한도 배수 (Web/관리자는 여러 화면에서 같은 계정으로 동시 접속)
+const CLIENT_TYPE_SCALES = {
+  mobile: parseFloat(process.env.SOCKET_RATE_SCALE_MOBILE || '1'),
+  web: parseFloat(process.env.SOCKET_RATE_SCALE_WEB || '2'),
+  store: parseFloat(process.env.SOCKET_RATE_SCALE_WEB || '2'),
+  admin: parseFloat(process.env.SOCKET_RATE_SCALE_ADMIN || '4')
+};
+
+// socket.userType → 토큰 clientType (SOCKET_AUTH_BYPASS 연결 등 socket.data.auth가 없는 경우)
+const USER_TYPE_CLIENT_TYPES = {
+  CUSTOMER: 'mobile',
+  WEB: 'web',
+  STORE: 'store',
+  ADMIN: 'admin'
+};
+
+// 제재 알림 이벤트
+export const SOCKET_THROTTLED_EVENT = 'socket:throttled';
+
+const abuseReporter = new RateLimiting({ cache: kv });
+
+class SocketRateLimiter {
+  /**
+   * 제한 대상 식별 - 인증 전 연결은 연결 단위
+   * @returns {{ clientType: string, subject: string, room: string|null }}
+   */
+  identify(socket) {
+    const clientType = socket.data?.auth?.clientType || USER_TYPE_CLIENT_TYPES[socket.userType];
+    if (!clientType || !socket.userId) {
+      return { clientType: 'anonymous', subject: `anonymous:${socket.id}`, room: null };
+    }
+    return {
+      clientType,
+      subject: `${clientType}:${socket.userId}`,
+      room: socket.data?.auth ? subjectRoom(clientType, socket.userId) : null
+    };
+  }
+
+  /**
+   * 클라이언트 타입별 버킷 설정
+   * @returns {{ capacity: number, refillPerSec: number }}
+   */
+  resolveBucket(rateLimit, clientType) {
+    const override = rateLimit[clientType];
+    const { limit, windowMs } = override || rateLimit;
+    const capacity = override ? limit : Math.max(1, Math.floor(limit * (CLIENT_TYPE_SCALES[clientType] || 1)));
+    return { capacity, refillPerSec: (capacity * 1000) / windowMs };
+  }
+
+  /**
+   * 이벤트 1회 처리 가능 여부 확인 (토큰 차감 포함)
+   * @param {import('../UnifiedSocketServer.js').UnifiedSocketServer} server
+   * @param {import('socket.io').Socket} socket
+   * @param {Object} definition - 레지스트리 이벤트 정의
+   * @param {*} payload - 검증 전 페이로드
+   * @returns {Promise<{ code: string, details: Object }|null>} 거부 사유 (허용 시 null)
+   */
+  async consume(server, socket, definition, payload) {
+    const identity = this.identify(socket);
+
+    const bytes = Buffer.byteLength(JSON.stringify(payload ?? {}) || '');
+    if (bytes > definition.maxPayloadBytes) {
+      await this.recordViolation(server, socket, identity, definition.event, 'PAYLOAD_TOO_LARGE');
+      return { code: 'PAYLOAD_TOO_LARGE', details: { bytes, maxBytes: definition.maxPayloadBytes } };
+    }
+
+    try {
+      const { rateLimit } = definition;
+      const { capacity, refillPerSec } = this.resolveBucket(rateLimit, identity.clientType);
+      const bucketKey = rateLimit.scope === 'socket'
+        ? `socket:ratelimit:socket:${socket.id}:${definition.event}`
+        : `socket:ratelimit:${identity.subject}:${definition.event}`;
+
+      const [bucket, mutedUntil] = await Promise.all([
+        kv.takeToken(bucketKey, capacity, refillPerSec),
+        definition.essential ? null : kv.get(`socket:mute:${identity.subject}`)
+      ]);
+
+      if (!bucket.allowed) {
+        await this.recordViolation(server, socket, identity, definition.event, 'RATE_LIMITED');
+        return { code: 'RATE_LIMITED', details: { retryAfterMs: bucket.retryAfterMs } };
+      }
+
+      if (mutedUntil && Number(mutedUntil) > Date.now()) {
+        return { code: 'MUTED', details: { retryAfterMs: Number(mutedUntil) - Date.now() } };
+      }
+    } catch (error) {
+      // 저장소 장애 시 실시간 기능을 막지 않음
+      logger.error('❌ [SocketRateLimit] 한도 확인 실패 - 허용', { event: definition.event, error: error.message });
+    }
+
+    return null;
+  }
+
+  /**
+   * 위반 누적 → 음소거 / 연결 종료
+   * @returns {Promise<'WARN'|'MUTE'|'DISCONNECT'>}
+   */
+  async recordViolation(server, socket, identity, event, reason) {
+    let violations;
+    try {
+      const key = `socket:abuse:${identity.subject}`;
+      violations = await kv.incr(key);
+      if (violations === 1) {
+        await kv.expire(key, SOCKET_RATE_VIOLATION_WINDOW_SECONDS);
+      }
+    } catch (error) {
+      logger.error('❌ [SocketRateLimit] 위반 기록 실패', { event, error: error.message });
+      return 'WARN';
+    }
+
+    if (violations < SOCKET_RATE_MUTE_AFTER) return 'WARN';
+
+    const action = violations >= SOCKET_RATE_DISCONNECT_AFTER ? 'DISCONNECT' : 'MUTE';
+    const until = Date.now() + SOCKET_RATE_MUTE_SECONDS * 1000;
+    await kv.setex(`socket:mute:${identity.subject}`, SOCKET_RATE_MUTE_SECONDS, String(until));
+
+    const notice = { action, reason, until: new Date(until).toISOString() };
+
+    if (action === 'DISCONNECT') {
+      socket.emit(SOCKET_THROTTLED_EVENT, notice);
+      socket.disconnect(true);
+    } else if (identity.room) {
+      server.io.to(identity.room).emit(SOCKET_THROTTLED_EVENT, notice);
+    } else {
+      socket.emit(SOCKET_THROTTLED_EVENT, notice);
+    }
+
+    // 단계가 바뀔 때만 보안 알림 (음소거 중 추가 위반은 음소거 연장만)
+    if (violations === SOCKET_RATE_MUTE_AFTER || action === 'DISCONNECT') {
+      await abuseReporter.reportSuspiciousActivity(identity.subject, 'socket_rate_limit', {
+        action,
+        reason,
+        event,
+        violations,
+        socketId: socket.id
+      });
+    }
+
+    logger.warn('🚫 [SocketRateLimit] 요청 제한 위반 제재', { subject: identity.subject, event, reason, action, violations });
+    return action;
+  }
+}
+
+// 싱글톤 인스턴스
+const socketRateLimiter = new SocketRateLimiter();
+
+export default socketRateLimiter;
+export { SocketRateLimiter };
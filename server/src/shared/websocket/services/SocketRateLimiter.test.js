@@ -0,0 +1,139 @@
+/**
+ * SocketRateLimiter 테스트
+ * 토큰 버킷 한도, 위반 누적 시 단계적 제재 (경고 → 음소거 → 연결 종료), 페이로드 크기 제한
+ * Redis 없이 kv 메모리 저장소 사용, 보안 알림은 호출만 기록
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, jest } from '@jest/globals';
+
+const reportSuspiciousActivity = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../config/redis.js', () => ({ redis: null }));
+jest.unstable_mockModule('../../utils/security/RateLimiting.js', () => ({
+  RateLimiting: class {
+    reportSuspiciousActivity(...args) {
+      return reportSuspiciousActivity(...args);
+    }
+  },
+}));
+jest.unstable_mockModule('../middleware/socketAuth.js', () => ({
+  subjectRoom: (clientType, subjectId) => `auth:subject:${clientType}:${subjectId}`,
+}));
+
+let SocketRateLimiter;
+let SOCKET_THROTTLED_EVENT;
+let limiter;
+let server;
+let roomEmit;
+let nextUserId = 1;
+
+beforeAll(async () => {
+  ({ SocketRateLimiter, SOCKET_THROTTLED_EVENT } = await import('./SocketRateLimiter.js'));
+});
+
+// 계정마다 위반 기록이 분리되도록 테스트별로 다른 사용자
+let socket;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  limiter = new SocketRateLimiter();
+  roomEmit = jest.fn();
+  server = { io: { to: jest.fn(() => ({ emit: roomEmit })) } };
+  socket = {
+    id: `socket-${nextUserId}`,
+    userId: nextUserId++,
+    data: { auth: { clientType: 'mobile' } },
+    emit: jest.fn(),
+    disconnect: jest.fn(),
+  };
+});
+
+const chatSend = { event: 'chat:send', rateLimit: { limit: 2, windowMs: 60000 }, maxPayloadBytes: 100 };
+const typing = { event: 'chat:typing', rateLimit: { limit: 10, windowMs: 60000 }, maxPayloadBytes: 100 };
+const heartbeat = { event: 'heartbeat', essential: true, rateLimit: { limit: 10, windowMs: 60000 }, maxPayloadBytes: 100 };
+
+const send = (definition = chatSend, payload = { text: 'hi' }) => limiter.consume(server, socket, definition, payload);
+
+// 한도를 다 쓴 뒤 n번 더 보내 위반 누적
+const violate = async (times) => {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await send());
+  }
+  return results;
+};
+
+describe('토큰 버킷', () => {
+  it('한도까지 허용하고 초과하면 RATE_LIMITED', async () => {
+    expect(await send()).toBeNull();
+    expect(await send()).toBeNull();
+
+    expect(await send()).toMatchObject({ code: 'RATE_LIMITED', details: { retryAfterMs: expect.any(Number) } });
+  });
+
+  it('클라이언트 타입별 배수를 적용하고 이벤트별 지정값은 그대로 쓴다', () => {
+    expect(limiter.resolveBucket({ limit: 10, windowMs: 1000 }, 'admin')).toEqual({ capacity: 40, refillPerSec: 40 });
+    expect(limiter.resolveBucket({ limit: 10, windowMs: 1000, web: { limit: 5, windowMs: 1000 } }, 'web')).toEqual({ capacity: 5, refillPerSec: 5 });
+  });
+});
+
+describe('단계적 제재', () => {
+  it('경고 → 음소거 → 연결 종료 순으로 올린다', async () => {
+    await violate(2); // 한도 소진
+
+    // 1~2회: 거부만
+    await violate(2);
+    expect(roomEmit).not.toHaveBeenCalled();
+    expect(reportSuspiciousActivity).not.toHaveBeenCalled();
+
+    // 3회: 계정의 모든 연결에 음소거 알림 + 보안 알림
+    await violate(1);
+    expect(server.io.to).toHaveBeenCalledWith(`auth:subject:mobile:${socket.userId}`);
+    expect(roomEmit).toHaveBeenCalledWith(SOCKET_THROTTLED_EVENT, expect.objectContaining({ action: 'MUTE', reason: 'RATE_LIMITED' }));
+    expect(reportSuspiciousActivity).toHaveBeenCalledTimes(1);
+    expect(socket.disconnect).not.toHaveBeenCalled();
+
+    // 4~5회: 음소거 연장만 (보안 알림 없음)
+    await violate(2);
+    expect(reportSuspiciousActivity).toHaveBeenCalledTimes(1);
+
+    // 6회: 위반한 연결 종료
+    await violate(1);
+    expect(socket.emit).toHaveBeenCalledWith(SOCKET_THROTTLED_EVENT, expect.objectContaining({ action: 'DISCONNECT' }));
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+    expect(reportSuspiciousActivity).toHaveBeenLastCalledWith(
+      `mobile:${socket.userId}`,
+      'socket_rate_limit',
+      expect.objectContaining({ action: 'DISCONNECT', violations: 6 })
+    );
+  });
+
+  it('음소거 중에는 다른 이벤트도 MUTED로 거부하고 essential 이벤트는 허용한다', async () => {
+    await violate(5);
+
+    expect(await send(typing)).toMatchObject({ code: 'MUTED', details: { retryAfterMs: expect.any(Number) } });
+    expect(await send(heartbeat)).toBeNull();
+  });
+
+  it('인증 전 연결은 연결 단위로 제재하고 해당 연결에만 알린다', async () => {
+    socket.data = {};
+    socket.userId = null;
+
+    await violate(5);
+
+    expect(server.io.to).not.toHaveBeenCalled();
+    expect(socket.emit).toHaveBeenCalledWith(SOCKET_THROTTLED_EVENT, expect.objectContaining({ action: 'MUTE' }));
+  });
+});
+
+describe('페이로드 크기', () => {
+  it('최대 크기를 넘으면 PAYLOAD_TOO_LARGE로 거부하고 위반으로 센다', async () => {
+    const payload = { text: 'x'.repeat(200) };
+
+    for (let i = 0; i < 3; i++) {
+      expect(await send(chatSend, payload)).toMatchObject({ code: 'PAYLOAD_TOO_LARGE', details: { maxBytes: 100 } });
+    }
+
+    expect(roomEmit).toHaveBeenCalledWith(SOCKET_THROTTLED_EVENT, expect.objectContaining({ action: 'MUTE', reason: 'PAYLOAD_TOO_LARGE' }));
+  });
+});
@@ -18,3 +18,7 @@ export * from './queries/basic.js';
 // Auth 도메인
 export * from './queries/auth.js';
 export * from './mutations/auth.js';
+
+// Notification 도메인
+export * from './queries/notification.js';
+export * from './mutations/notification.js';
@@ -20,6 +20,35 @@ import { gql } from '../gqlSetup.js';
 export const W_LOGIN = gql`
   mutation WLogin($input: WebLoginInput!) {
     wLogin(input: $input) {
+      success
+      message
+      accessToken
+      refreshToken
+      expiresIn
+      mfaRequired
+      mfaToken
+      account {
+        id
+        email
+        name
+        phone
+        role
+        status
+        profileImage
+        permissions
+        language
+        lastLoginAt
+        createdAt
+        updatedAt
+      }
+    }
+  }
+`;
+
+// 2단계 인증 로그인 (TOTP 또는 복구 코드)
+export const W_VERIFY_MFA_LOGIN = gql`
+  mutation WVerifyMfaLogin($mfaToken: String!, $code: String!) {
+    wVerifyMfaLogin(mfaToken: $mfaToken, code: $code) {
       success
       message
       accessToken
@@ -129,6 +158,79 @@ export const W_DEACTIVATE_ACCOUNT = gql`
   }
 `;
 
+// ===============================================
+// 세션(로그인 디바이스) 관리 Mutations
+// ===============================================
+
+// 특정 디바이스 로그아웃
+export const W_REVOKE_SESSION = gql`
+  mutation WRevokeSession($sessionId: ID!) {
+    wRevokeSession(sessionId: $sessionId) {
+      success
+      message
+    }
+  }
+`;
+
+// 현재 디바이스 외 모두 로그아웃
+export const W_REVOKE_OTHER_SESSIONS = gql`
+  mutation WRevokeOtherSessions {
+    wRevokeOtherSessions {
+      success
+      message
+      revokedCount
+    }
+  }
+`;
+
+// ===============================================
+// 2단계 인증(MFA) 관리 Mutations
+// ===============================================
+
+// 등록 시작 (시크릿/QR URL 발급)
+export const W_START_MFA_ENROLLMENT = gql`
+  mutation WStartMfaEnrollment {
+    wStartMfaEnrollment {
+      success
+      message
+      secret
+      otpauthUrl
+    }
+  }
+`;
+
+// 첫 코드 확인 후 활성화 (복구 코드 발급)
+export const W_CONFIRM_MFA_ENROLLMENT = gql`
+  mutation WConfirmMfaEnrollment($code: String!) {
+    wConfirmMfaEnrollment(code: $code) {
+      success
+      message
+      backupCodes
+    }
+  }
+`;
+
+// 복구 코드 재발급
+export const W_REGENERATE_BACKUP_CODES = gql`
+  mutation WRegenerateBackupCodes($code: String!) {
+    wRegenerateBackupCodes(code: $code) {
+      success
+      message
+      backupCodes
+    }
+  }
+`;
+
+// 2단계 인증 해제
+export const W_DISABLE_MFA = gql`
+  mutation WDisableMfa($code: String!) {
+    wDisableMfa(code: $code) {
+      success
+      message
+    }
+  }
+`;
+
 // ===============================================
 // Store Account Mutations (S_ prefix)
 // ===============================================
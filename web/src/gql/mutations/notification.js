@@ -0,0 +1,40 @@
+/**
+ * Notification Domain Mutations (W_ prefix)
+ * Web 클라이언트 알림 설정 관련 GraphQL Mutation 정의
+ *
+ * @description
+ * - Fragment 미사용 (인라인 필드)
+ * - W_ prefix: Export 변수명
+ * - w prefix: Server operation name
+ *
+ * @author Template Project
+ */
+
+import { gql } from '../gqlSetup.js';
+
+// 알림 수신 설정 변경 (전달한 항목만 변경, 보안 알림은 변경 불가)
+export const W_UPDATE_NOTIFICATION_PREFERENCES = gql`
+  mutation WUpdateNotificationPreferences($input: UpdateNotificationPreferencesInput!) {
+    wUpdateNotificationPreferences(input: $input) {
+      success
+      message
+      preferences {
+        categories {
+          category
+          push
+          socket
+          email
+          sms
+          locked
+        }
+        quietHours {
+          enabled
+          start
+          end
+        }
+        timezone
+        language
+      }
+    }
+  }
+`;
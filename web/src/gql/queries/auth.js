@@ -48,3 +48,31 @@ export const W_VALIDATE_TOKEN = gql`
     }
   }
 `;
+
+// 로그인된 디바이스(세션) 목록
+export const W_SESSIONS = gql`
+  query WSessions {
+    wSessions {
+      id
+      deviceType
+      deviceName
+      os
+      browser
+      ipAddress
+      isCurrent
+      lastActiveAt
+      createdAt
+    }
+  }
+`;
+
+// 2단계 인증 상태
+export const W_MFA_STATUS = gql`
+  query WMfaStatus {
+    wMfaStatus {
+      enabled
+      enabledAt
+      backupCodesRemaining
+    }
+  }
+`;
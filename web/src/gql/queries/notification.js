@@ -0,0 +1,36 @@
+/**
+ * Notification Domain Queries (W_ prefix)
+ * Web 클라이언트 알림 설정 관련 GraphQL Query 정의
+ *
+ * @description
+ * - Fragment 미사용 (인라인 필드)
+ * - W_ prefix: Export 변수명
+ * - w prefix: Server operation name
+ *
+ * @author Template Project
+ */
+
+import { gql } from '../gqlSetup.js';
+
+// 알림 수신 설정 조회 (분류 × 채널, 방해 금지 시간)
+export const W_GET_NOTIFICATION_PREFERENCES = gql`
+  query WNotificationPreferences {
+    wNotificationPreferences {
+      categories {
+        category
+        push
+        socket
+        email
+        sms
+        locked
+      }
+      quietHours {
+        enabled
+        start
+        end
+      }
+      timezone
+      language
+    }
+  }
+`;
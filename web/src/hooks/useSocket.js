@@ -10,6 +10,7 @@
 import { useEffect, useRef, useCallback, useState } from 'react';
 import { useAuthContext } from '@/providers/AuthProvider';
 import { StoreSocketClient } from '@/lib/socket-client';
+import { tokenManager } from '@/lib/apolloClient';
 
 /**
  * UseSocketConfig 타입 (주석으로 문서화):
@@ -33,6 +34,9 @@ import { StoreSocketClient } from '@/lib/socket-client';
  *   joinStoreRoom: (storeId: string) => void,
  *   leaveStoreRoom: (storeId: string) => void
  * }
+ *
+ * 서버가 _seq를 붙인 이벤트는 StoreSocketClient가 중복 제거/ack/재연결 시 재수신을 처리
+ * 재전송할 수 없을 때는 on('delivery:resync_required', ...)로 받아 전체 데이터를 다시 조회
  */
 
 /**
@@ -50,7 +54,9 @@ export const useSocket = (config = {}) => {
     debug = process.env.NODE_ENV === 'development'
   } = config;
 
-  const { user, accessStoreToken } = useAuthContext();
+  const { user } = useAuthContext();
+  // AuthProvider는 토큰을 노출하지 않으므로 Apollo tokenManager에서 조회
+  const accessStoreToken = user ? tokenManager.getAccessToken() : null;
   const socketRef = useRef(null);
   const [connectionStatus, setConnectionStatus] = useState('DISCONNECTED');
 
@@ -82,6 +88,7 @@ export const useSocket = (config = {}) => {
     const socket = initializeSocket();
     if (socket) {
       try {
+        socket.updateToken(accessStoreToken);
         await socket.connect();
         if (debug) {
           console.log('✅ Socket 연결 성공');
@@ -145,26 +152,27 @@ export const useSocket = (config = {}) => {
     }
   }, [debug]);
 
-  // 자동 연결 처리
+  // 자동 연결 처리 - 토큰 갱신만으로는 연결을 끊지 않음 (아래 effect에서 교체)
+  const hasToken = Boolean(accessStoreToken);
+  const connectRef = useRef(connect);
+  connectRef.current = connect;
+
   useEffect(() => {
-    if (autoConnect && accessStoreToken && user) {
-      connect();
+    if (autoConnect && hasToken && user) {
+      connectRef.current();
     }
 
     return () => {
       disconnect();
     };
-  }, [autoConnect, accessStoreToken, user, connect, disconnect]);
+  }, [autoConnect, hasToken, user, disconnect]);
 
-  // 토큰 변경 시 재연결
+  // 토큰 변경 시 연결을 유지한 채 교체 (서버는 교체되지 않은 토큰이 만료되면 연결 종료)
   useEffect(() => {
     if (socketRef.current && accessStoreToken) {
-      disconnect();
-      setTimeout(() => {
-        connect();
-      }, 100);
+      socketRef.current.updateToken(accessStoreToken);
     }
-  }, [accessStoreToken, connect, disconnect]);
+  }, [accessStoreToken]);
 
   // 컴포넌트 언마운트 시 정리
   useEffect(() => {
@@ -0,0 +1,332 @@
+/**
+ * Store Socket.IO 클라이언트
+ * useSocket Hook에서 사용하는 저수준 Socket 연결 관리
+ *
+ * 이벤트 전달 보장:
+ * - 서버는 수신자별 이벤트에 _seq를 붙여 전송 (재전송 이벤트는 _replayed: true)
+ * - 이미 처리한 seq는 리스너에 전달하지 않음 (재전송/중복 수신 제거)
+ * - 처리한 seq는 묶어서 delivery:ack로 확인
+ * - 연결/재연결 시 delivery:resume으로 끊겨 있던 동안의 이벤트를 재수신
+ * - 재전송할 수 없으면 서버가 delivery:resync_required 전송 → 구독한 화면이 전체 데이터를 다시 조회
+ *
+ * 인증 유지:
+ * - 토큰 갱신 시 updateToken()으로 연결을 유지한 채 authenticate 전송 (실패하면 새 토큰으로 재연결)
+ * - 교체하지 않은 토큰이 만료되면 서버가 auth:expired 후 연결 종료 → 다음 updateToken()에서 재연결
+ * - 로그아웃/강제 로그아웃/계정 정지 시 서버가 auth:revoked 후 연결 종료 (자동 재연결 없음)
+ */
+
+import { io } from 'socket.io-client';
+
+const SERVER_URL = process.env.NODE_ENV === 'development'
+  ? 'http://localhost:4000'
+  : 'https://api.template.com';
+
+const DELIVERY_ACK_DELAY = 1000;  // ack 묶음 전송 간격 (ms)
+const DELIVERY_GAP_TIMEOUT = 2000; // seq 누락이 이 시간 동안 채워지지 않으면 resume 요청 (ms)
+
+export class StoreSocketClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - 액세스 토큰
+   * @param {number} [options.reconnectAttempts=5] - 재연결 시도 횟수
+   * @param {boolean} [options.debug=false] - 디버그 로그 출력
+   * @param {Function} [options.onConnectionChange] - 연결 상태 변경 콜백 (DISCONNECTED|CONNECTING|CONNECTED|RECONNECTING|ERROR)
+   */
+  constructor({ token, reconnectAttempts = 5, debug = false, onConnectionChange } = {}) {
+    this.token = token;
+    this.reconnectAttempts = reconnectAttempts;
+    this.debug = debug;
+    this.onConnectionChange = onConnectionChange;
+
+    this.socket = null;
+    this.handlers = new Map();     // 이벤트 → 리스너 Set
+    this.dispatchers = new Map();  // 이벤트 → Socket.IO 리스너 (seq 중복 제거 후 리스너 호출)
+    this.storeRooms = new Set();
+    this.resetDelivery();
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[StoreSocketClient]', ...args);
+    }
+  }
+
+  setStatus(status) {
+    this.onConnectionChange?.(status);
+  }
+
+  /**
+   * 연결 (연결 완료 또는 실패 시 resolve/reject)
+   */
+  connect() {
+    if (this.socket?.connected) return Promise.resolve();
+
+    this.disconnect();
+    this.setStatus('CONNECTING');
+
+    this.socket = io(SERVER_URL, {
+      transports: ['websocket'],
+      reconnection: true,
+      reconnectionAttempts: this.reconnectAttempts,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      timeout: 20000,
+      // 재연결마다 최신 토큰 사용
+      auth: (callback) => callback({
+        token: this.token,
+        clientType: 'store-admin'
+      })
+    });
+
+    this.socket.on('connect', () => {
+      this.setStatus('CONNECTED');
+
+      // 재연결 시 매장 Room 재가입 후 놓친 이벤트 재수신
+      for (const storeId of this.storeRooms) {
+        this.socket.emit('joinRoom', { roomId: `store:${storeId}` });
+      }
+      this.resumeDelivery();
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      this.log('disconnected:', reason);
+      clearTimeout(this.delivery.ackTimer);
+      clearTimeout(this.delivery.gapTimer);
+      this.setStatus(reason === 'io client disconnect' ? 'DISCONNECTED' : 'RECONNECTING');
+    });
+
+    this.socket.io.on('reconnect_failed', () => this.setStatus('ERROR'));
+
+    this.socket.on('delivery:resync_required', ({ seq, reason } = {}) => {
+      this.log('full resync required:', { seq, reason });
+      this.resetDelivery();
+      this.delivery.lastSeq = seq ?? null;
+    });
+
+    this.socket.on('auth:expired', () => {
+      this.log('token expired on server - waiting for refreshed token');
+      this.setStatus('ERROR');
+    });
+
+    this.socket.on('auth:revoked', ({ reason } = {}) => {
+      console.warn('[StoreSocketClient] 세션 무효화로 연결 종료:', reason);
+      this.setStatus('ERROR');
+    });
+
+    for (const event of this.handlers.keys()) {
+      this.attachDispatcher(event);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.socket.once('connect', resolve);
+      this.socket.once('connect_error', (error) => {
+        this.setStatus('ERROR');
+        reject(error);
+      });
+    });
+  }
+
+  disconnect() {
+    if (!this.socket) return;
+
+    this.socket.removeAllListeners();
+    this.socket.disconnect();
+    this.socket = null;
+    this.resetDelivery();
+    this.setStatus('DISCONNECTED');
+  }
+
+  /**
+   * 토큰 교체 - 연결 중이면 authenticate로 서버에 전달, 서버가 끊은 연결은 새 토큰으로 재연결
+   */
+  updateToken(token) {
+    if (!token || token === this.token) return;
+    this.token = token;
+    if (!this.socket) return;
+
+    if (!this.socket.connected) {
+      this.socket.connect();
+      return;
+    }
+
+    this.socket.emit('authenticate', { token }, (response) => {
+      if (response?.success) return;
+
+      this.log('token swap failed - reconnecting:', response?.error);
+      this.socket?.disconnect().connect();
+    });
+  }
+
+  emit(event, data, ack) {
+    if (!this.socket?.connected) {
+      console.warn(`❌ Socket 미연결 - '${event}' 전송 불가`);
+      return false;
+    }
+
+    if (ack) {
+      this.socket.emit(event, data, ack);
+    } else {
+      this.socket.emit(event, data);
+    }
+    return true;
+  }
+
+  on(event, listener) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(listener);
+    this.attachDispatcher(event);
+  }
+
+  off(event, listener) {
+    const listeners = this.handlers.get(event);
+    if (!listeners) return;
+
+    if (listener) {
+      listeners.delete(listener);
+    } else {
+      listeners.clear();
+    }
+
+    if (listeners.size === 0) {
+      this.handlers.delete(event);
+      this.socket?.off(event, this.dispatchers.get(event));
+      this.dispatchers.delete(event);
+    }
+  }
+
+  joinStoreRoom(storeId) {
+    this.storeRooms.add(String(storeId));
+    this.emit('joinRoom', { roomId: `store:${storeId}` });
+  }
+
+  leaveStoreRoom(storeId) {
+    this.storeRooms.delete(String(storeId));
+    this.emit('leaveRoom', { roomId: `store:${storeId}` });
+  }
+
+  /**
+   * 이벤트별 디스패처 등록 - Socket.IO에는 이벤트당 하나만 등록
+   */
+  attachDispatcher(event) {
+    if (!this.socket) return;
+
+    let dispatcher = this.dispatchers.get(event);
+    if (!dispatcher) {
+      dispatcher = (...args) => {
+        if (!this.acceptDelivery(args[0])) return;
+        for (const listener of this.handlers.get(event) || []) {
+          try {
+            listener(...args);
+          } catch (error) {
+            console.error(`[StoreSocketClient] '${event}' 리스너 오류:`, error);
+          }
+        }
+      };
+      this.dispatchers.set(event, dispatcher);
+    }
+
+    this.socket.off(event, dispatcher);
+    this.socket.on(event, dispatcher);
+  }
+
+  // ========================= 이벤트 전달 보장 =========================
+
+  /**
+   * lastSeq: 빠짐없이 처리한 마지막 seq (null이면 아직 수신 전 - 서버의 디바이스별 ack 기준으로 재수신)
+   */
+  resetDelivery() {
+    clearTimeout(this.delivery?.ackTimer);
+    clearTimeout(this.delivery?.gapTimer);
+    this.delivery = { lastSeq: null, pending: new Set(), ackedSeq: null, ackTimer: null, gapTimer: null };
+  }
+
+  /**
+   * @returns {boolean} 리스너에 전달할지 여부 (이미 처리한 seq면 false)
+   */
+  acceptDelivery(data) {
+    const seq = data?._seq;
+    if (!Number.isInteger(seq)) return true;
+
+    const delivery = this.delivery;
+    if (delivery.lastSeq === null) {
+      delivery.lastSeq = seq - 1;
+    }
+
+    if (seq <= delivery.lastSeq || delivery.pending.has(seq)) {
+      this.log(`duplicate event dropped (seq ${seq})`);
+      return false;
+    }
+
+    if (seq === delivery.lastSeq + 1) {
+      this.advanceDelivery(seq);
+    } else {
+      delivery.pending.add(seq);
+    }
+
+    if (delivery.pending.size > 0 && !delivery.gapTimer) {
+      delivery.gapTimer = setTimeout(() => {
+        delivery.gapTimer = null;
+        if (delivery.pending.size > 0) {
+          this.log('event gap not filled - resuming from', delivery.lastSeq);
+          this.resumeDelivery();
+        }
+      }, DELIVERY_GAP_TIMEOUT);
+    } else if (delivery.pending.size === 0) {
+      clearTimeout(delivery.gapTimer);
+      delivery.gapTimer = null;
+    }
+
+    return true;
+  }
+
+  advanceDelivery(seq) {
+    const delivery = this.delivery;
+    delivery.lastSeq = seq;
+    for (const pendingSeq of delivery.pending) {
+      if (pendingSeq <= seq) delivery.pending.delete(pendingSeq);
+    }
+    while (delivery.pending.delete(delivery.lastSeq + 1)) {
+      delivery.lastSeq++;
+    }
+    this.scheduleDeliveryAck();
+  }
+
+  scheduleDeliveryAck() {
+    if (this.delivery.ackTimer) return;
+
+    this.delivery.ackTimer = setTimeout(() => {
+      this.delivery.ackTimer = null;
+      const { lastSeq, ackedSeq } = this.delivery;
+      if (lastSeq !== null && lastSeq !== ackedSeq && this.emit('delivery:ack', { seq: lastSeq })) {
+        this.delivery.ackedSeq = lastSeq;
+      }
+    }, DELIVERY_ACK_DELAY);
+  }
+
+  /**
+   * 놓친 이벤트 재전송 요청 - 재전송 이벤트는 디스패처를 거쳐 중복 제거 후 리스너로 전달
+   */
+  resumeDelivery() {
+    if (!this.socket?.connected) return;
+
+    const { lastSeq } = this.delivery;
+    this.socket.emit('delivery:resume', lastSeq === null ? {} : { lastSeq }, (response) => {
+      if (!response?.success) {
+        console.warn('[StoreSocketClient] 이벤트 재전송 요청 실패:', response?.error);
+        return;
+      }
+
+      this.log('delivery resumed:', response);
+
+      // 재전송 후에도 채워지지 않은 seq는 서버에도 없음 - 서버의 현재 seq로 정렬
+      const { lastSeq: currentSeq } = this.delivery;
+      if (response.status !== 'RESYNC_REQUIRED' && (currentSeq === null || currentSeq < response.seq)) {
+        this.advanceDelivery(response.seq);
+      }
+    });
+  }
+}
+
+export default StoreSocketClient;
@@ -141,7 +141,7 @@ export const UnifiedSocketProvider = ({ children }) => {
     heartbeatIntervalRef.current = setInterval(() => {
       if (socketRef.current?.connected) {
         const startTime = Date.now();
-        socketRef.current.emit('ping', { timestamp: startTime });
+        socketRef.current.emit('system:ping', { timestamp: startTime });
         dispatch({ type: ACTION_TYPES.UPDATE_HEARTBEAT });
       }
     }, state.settings.heartbeatInterval);
@@ -3,6 +3,9 @@
  * Store settings management
  */
 import { createSlice } from '@reduxjs/toolkit';
+import { initApolloClient } from '@/lib/apolloClient';
+import { W_GET_NOTIFICATION_PREFERENCES } from '@/gql/queries/notification';
+import { W_UPDATE_NOTIFICATION_PREFERENCES } from '@/gql/mutations/notification';
 
 // 초기 상태
 const initialState = {
@@ -38,6 +41,10 @@ const initialState = {
     promotionNotifications: false
   },
 
+  // 알림 수신 설정 (서버 저장 - wNotificationPreferences / wUpdateNotificationPreferences 결과)
+  // { categories: [{ category, push, socket, email, sms, locked }], quietHours: { enabled, start, end }, timezone, language }
+  notificationPreferences: null,
+
   // POS 설정
   pos: {
     autoAcceptOrders: false,
@@ -155,6 +162,12 @@ const settingsSlice = createSlice({
       state.lastUpdated = Date.now();
     },
 
+    // 알림 수신 설정 반영 (서버 응답)
+    setNotificationPreferences: (state, action) => {
+      state.notificationPreferences = action.payload;
+      state.lastUpdated = Date.now();
+    },
+
     // POS 설정 업데이트
     updatePosSettings: (state, action) => {
       state.pos = {
@@ -254,6 +267,7 @@ export const {
   updateGeneralSettings,
   updateThemeSettings,
   updateNotificationSettings,
+  setNotificationPreferences,
   updatePosSettings,
   updateDeliverySettings,
   updatePaymentSettings,
@@ -267,10 +281,45 @@ export const {
   toggleThemeMode
 } = settingsSlice.actions;
 
+// 알림 수신 설정 불러오기 (wNotificationPreferences)
+export const fetchNotificationPreferences = () => async (dispatch) => {
+  const result = await initApolloClient().query({
+    query: W_GET_NOTIFICATION_PREFERENCES,
+    fetchPolicy: 'network-only'
+  });
+  if (result.errors?.length) {
+    throw result.errors[0];
+  }
+
+  const preferences = result.data?.wNotificationPreferences || null;
+  dispatch(setNotificationPreferences(preferences));
+  return preferences;
+};
+
+// 알림 수신 설정 저장 - 전달한 항목만 변경 (UpdateNotificationPreferencesInput)
+export const saveNotificationPreferences = (input) => async (dispatch) => {
+  const result = await initApolloClient().mutate({
+    mutation: W_UPDATE_NOTIFICATION_PREFERENCES,
+    variables: { input }
+  });
+  if (result.errors?.length) {
+    throw result.errors[0];
+  }
+
+  const payload = result.data?.wUpdateNotificationPreferences;
+  if (!payload?.success) {
+    throw new Error(payload?.message || 'NOTIFICATION_PREFERENCES_UPDATE_FAILED');
+  }
+
+  dispatch(setNotificationPreferences(payload.preferences));
+  return payload.preferences;
+};
+
 // 셀렉터
 export const selectGeneralSettings = (state) => state.settings.general;
 export const selectThemeSettings = (state) => state.settings.theme;
 export const selectNotificationSettings = (state) => state.settings.notifications;
+export const selectNotificationPreferences = (state) => state.settings.notificationPreferences;
 export const selectPosSettings = (state) => state.settings.pos;
 export const selectDeliverySettings = (state) => state.settings.delivery;
 export const selectPaymentSettings = (state) => state.settings.payment;